@@ -12,6 +12,11 @@ import Customers from './pages/Customers';
 import Reports from './pages/Reports';
 import Shifts from './pages/Shifts';
 import Settings from './pages/Settings';
+import AuditLog from './pages/AuditLog';
+import Purchasing from './pages/Purchasing';
+import StockCounts from './pages/StockCounts';
+import Promotions from './pages/Promotions';
+import Accounts from './pages/Accounts';
 
 // Protected Route wrapper - requires authentication
 const ProtectedRoute = ({ children }) => {
@@ -87,9 +92,37 @@ function App() {
           {/* Inventory - Admin/Manager/Inventory/Salesman (view-only for salesman) */}
           <Route path="inventory" element={<Inventory />} />
 
+          {/* Stock Counts - Admin/Manager/Inventory */}
+          <Route path="stock-counts" element={
+            <RoleProtectedRoute allowedRoles={['admin', 'manager', 'inventory']}>
+              <StockCounts />
+            </RoleProtectedRoute>
+          } />
+
+          {/* Purchasing - Admin/Manager/Inventory */}
+          <Route path="purchasing" element={
+            <RoleProtectedRoute allowedRoles={['admin', 'manager', 'inventory']}>
+              <Purchasing />
+            </RoleProtectedRoute>
+          } />
+
+          {/* Promotions - Admin/Manager only */}
+          <Route path="promotions" element={
+            <RoleProtectedRoute allowedRoles={['admin', 'manager']}>
+              <Promotions />
+            </RoleProtectedRoute>
+          } />
+
           {/* Customers - All roles */}
           <Route path="customers" element={<Customers />} />
 
+          {/* Customer accounts - Admin/Manager/Cashier */}
+          <Route path="accounts" element={
+            <RoleProtectedRoute allowedRoles={['admin', 'manager', 'cashier']}>
+              <Accounts />
+            </RoleProtectedRoute>
+          } />
+
           {/* Reports - Admin/Manager only */}
           <Route path="reports" element={
             <RoleProtectedRoute allowedRoles={['admin', 'manager']}>
@@ -110,6 +143,13 @@ function App() {
               <Settings />
             </RoleProtectedRoute>
           } />
+
+          {/* Audit Log - Admin only */}
+          <Route path="audit" element={
+            <RoleProtectedRoute allowedRoles={['admin']}>
+              <AuditLog />
+            </RoleProtectedRoute>
+          } />
         </Route>
 
         {/* Catch all */}
@@ -1,6 +1,7 @@
 import { useState, useEffect, Suspense } from 'react';
 import { Outlet, NavLink, useNavigate } from 'react-router-dom';
 import { useAuthStore } from '../stores/authStore';
+import { useOfflineStore } from '../stores/offlineStore';
 import api from '../services/api';
 import PageLoader from './PageLoader';
 import {
@@ -17,6 +18,11 @@ import {
   HomeIcon,
   PresentationChartLineIcon,
   EyeIcon,
+  ShieldCheckIcon,
+  TruckIcon,
+  ClipboardDocumentCheckIcon,
+  ReceiptPercentIcon,
+  BanknotesIcon,
 } from '@heroicons/react/24/outline';
 
 // Navigation items with role restrictions
@@ -25,10 +31,15 @@ const allNavItems = [
   { path: '/pos', name: 'POS Terminal', icon: ShoppingCartIcon, roles: ['admin', 'manager', 'cashier', 'salesman'] },
   { path: '/products', name: 'Products', icon: CubeIcon, roles: ['admin', 'manager', 'salesman'], viewOnly: ['salesman'] },
   { path: '/inventory', name: 'Inventory', icon: ArchiveBoxIcon, roles: ['admin', 'manager', 'inventory', 'salesman'], viewOnly: ['salesman'] },
+  { path: '/stock-counts', name: 'Stock Counts', icon: ClipboardDocumentCheckIcon, roles: ['admin', 'manager', 'inventory'] },
+  { path: '/purchasing', name: 'Purchasing', icon: TruckIcon, roles: ['admin', 'manager', 'inventory'] },
+  { path: '/promotions', name: 'Promotions', icon: ReceiptPercentIcon, roles: ['admin', 'manager'] },
   { path: '/customers', name: 'Customers', icon: UsersIcon, roles: ['admin', 'manager', 'cashier', 'salesman'] },
+  { path: '/accounts', name: 'Accounts', icon: BanknotesIcon, roles: ['admin', 'manager', 'cashier'] },
   { path: '/reports', name: 'Reports', icon: PresentationChartLineIcon, roles: ['admin', 'manager'] },
   { path: '/shifts', name: 'Shifts', icon: ClockIcon, roles: ['admin', 'manager'] },
   { path: '/settings', name: 'Settings', icon: Cog6ToothIcon, roles: ['admin'] },
+  { path: '/audit', name: 'Audit Log', icon: ShieldCheckIcon, roles: ['admin'] },
 ];
 
 export default function Layout() {
@@ -66,6 +77,30 @@ export default function Layout() {
     }
   }, [isUserSalesman, currentShift]);
 
+  // Track connectivity and replay sales queued while offline
+  useEffect(() => {
+    const { setOnline, syncQueue, refreshQueuedCount } = useOfflineStore.getState();
+
+    const handleOnline = () => {
+      setOnline(true);
+      syncQueue();
+    };
+    const handleOffline = () => setOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    refreshQueuedCount();
+    if (navigator.onLine) {
+      syncQueue();
+    }
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
   const handleLogout = async () => {
     await logout();
     navigate('/login');
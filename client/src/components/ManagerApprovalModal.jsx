@@ -0,0 +1,82 @@
+import { useState } from 'react';
+import { ShieldCheckIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { approvalService } from '../services/api';
+import toast from 'react-hot-toast';
+
+// Manager enters their PIN; the server returns a short-lived token for this one action
+export default function ManagerApprovalModal({ action, title, description, referenceId, context, onApproved, onClose }) {
+  const [managerPIN, setManagerPIN] = useState('');
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const { data } = await approvalService.request({
+        action,
+        managerPIN,
+        referenceId: referenceId || null,
+        context,
+        reason: reason || null
+      });
+      toast.success(`Approved by ${data.approvedBy}`);
+      onApproved(data.approvalToken, data.approvedBy);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Approval failed');
+      setManagerPIN('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-sm">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center gap-2">
+            <ShieldCheckIcon className="w-6 h-6 text-primary-600" />
+            <h3 className="text-lg font-semibold">{title || 'Manager Approval'}</h3>
+          </div>
+          <button onClick={onClose}>
+            <XMarkIcon className="w-6 h-6 text-gray-400" />
+          </button>
+        </div>
+
+        {description && <p className="text-sm text-gray-500 mb-4">{description}</p>}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="label">Reason</label>
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="input"
+            />
+          </div>
+          <div>
+            <label className="label">Manager PIN *</label>
+            <input
+              type="password"
+              inputMode="numeric"
+              value={managerPIN}
+              onChange={(e) => setManagerPIN(e.target.value)}
+              className="input text-center text-xl tracking-widest"
+              required
+              autoFocus
+            />
+          </div>
+          <div className="flex gap-2">
+            <button type="button" onClick={onClose} className="flex-1 btn btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={submitting || !managerPIN} className="flex-1 btn-primary">
+              {submitting ? 'Checking...' : 'Approve'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
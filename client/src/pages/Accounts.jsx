@@ -0,0 +1,585 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  XMarkIcon,
+  MagnifyingGlassIcon,
+  BanknotesIcon,
+  ClockIcon,
+  PrinterIcon,
+  DocumentTextIcon,
+} from '@heroicons/react/24/outline';
+import { useAuthStore } from '../stores/authStore';
+import api, { accountService } from '../services/api';
+import toast from 'react-hot-toast';
+
+const formatMoney = (value) => parseFloat(value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// Validation errors carry the reason in details (a string, or a list of fields)
+const errorMessage = (error, fallback) => {
+  const data = error.response?.data;
+  return (typeof data?.details === 'string' ? data.details : data?.details?.[0]?.message) || data?.error || fallback;
+};
+
+// Date -> value for a date input (local time)
+const toDateInput = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (ch) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[ch]));
+
+const AGING_COLUMNS = [
+  { key: 'current', label: '0-30' },
+  { key: 'days31to60', label: '31-60' },
+  { key: 'days61to90', label: '61-90' },
+  { key: 'over90', label: '90+' },
+];
+
+export default function Accounts() {
+  const { hasPermission } = useAuthStore();
+  const [activeTab, setActiveTab] = useState('accounts');
+
+  const tabs = [
+    { id: 'accounts', label: 'Accounts', icon: BanknotesIcon },
+    ...(hasPermission('reports') ? [{ id: 'aging', label: 'Aging', icon: ClockIcon }] : []),
+  ];
+
+  return (
+    <div className="p-6">
+      {/* Header */}
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">Customer Accounts</h1>
+        <p className="text-gray-500">Credit limits, balances owed and payments received on account</p>
+      </div>
+
+      {/* Tabs */}
+      <div className="flex gap-2 mb-6">
+        {tabs.map(tab => (
+          <button
+            key={tab.id}
+            onClick={() => setActiveTab(tab.id)}
+            className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 ${
+              activeTab === tab.id ? 'bg-primary-600 text-white' : 'bg-white text-gray-700 border'
+            }`}
+          >
+            <tab.icon className="w-5 h-5" />
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {activeTab === 'aging' ? <AgingReport /> : <AccountList />}
+    </div>
+  );
+}
+
+// Customers with a credit limit or a balance
+function AccountList() {
+  const [search, setSearch] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['accounts', search],
+    queryFn: () => accountService.getAll({ search: search || undefined }).then(res => res.data),
+  });
+  const accounts = data?.accounts || [];
+
+  return (
+    <>
+      <div className="relative max-w-md mb-4">
+        <MagnifyingGlassIcon className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search by name or phone..."
+          className="input pl-10"
+        />
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Customer</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Credit Limit</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Available</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Oldest Unpaid</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {isLoading ? (
+              <tr><td colSpan={5} className="px-4 py-8 text-center text-gray-500">Loading...</td></tr>
+            ) : accounts.length === 0 ? (
+              <tr><td colSpan={5} className="px-4 py-8 text-center text-gray-500">No customer accounts. Set a credit limit on a customer to open one.</td></tr>
+            ) : accounts.map(account => (
+              <tr key={account.customerId} onClick={() => setSelectedId(account.customerId)} className="hover:bg-gray-50 cursor-pointer">
+                <td className="px-4 py-3">
+                  <p className="font-medium text-gray-900">{account.name}</p>
+                  <p className="text-sm text-gray-500">{account.phone}</p>
+                </td>
+                <td className="px-4 py-3 text-right">${formatMoney(account.creditLimit)}</td>
+                <td className={`px-4 py-3 text-right font-medium ${account.balance > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                  ${formatMoney(account.balance)}
+                </td>
+                <td className="px-4 py-3 text-right">${formatMoney(account.available)}</td>
+                <td className="px-4 py-3 text-sm text-gray-500">
+                  {account.oldestInvoiceAt ? new Date(account.oldestInvoiceAt).toLocaleDateString() : '-'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {selectedId && <AccountModal customerId={selectedId} onClose={() => setSelectedId(null)} />}
+    </>
+  );
+}
+
+// One account: open invoices, receiving a payment, the credit limit and statements
+function AccountModal({ customerId, onClose }) {
+  const queryClient = useQueryClient();
+  const { hasPermission, currentShift, currentLocation } = useAuthStore();
+  const [payment, setPayment] = useState({ amount: '', paymentMethodId: '', referenceNumber: '', notes: '' });
+  const [creditLimit, setCreditLimit] = useState(null);
+  const [showStatement, setShowStatement] = useState(false);
+
+  const { data: account, isLoading } = useQuery({
+    queryKey: ['account', customerId],
+    queryFn: () => accountService.getAccount(customerId).then(res => res.data.account),
+  });
+
+  const { data: paymentMethodsData } = useQuery({
+    queryKey: ['payment-methods'],
+    queryFn: () => api.get('/sales/payment-methods/list').then(res => res.data),
+  });
+  // Accounts are settled with money, not with another credit
+  const paymentMethods = (Array.isArray(paymentMethodsData) ? paymentMethodsData : (paymentMethodsData?.paymentMethods || []))
+    .filter(method => !['account', 'credit', 'loyalty'].includes(method.method_type));
+
+  const refresh = () => {
+    queryClient.invalidateQueries({ queryKey: ['account', customerId] });
+    queryClient.invalidateQueries({ queryKey: ['accounts'] });
+    queryClient.invalidateQueries({ queryKey: ['account-aging'] });
+  };
+
+  const paymentMutation = useMutation({
+    mutationFn: (data) => accountService.receivePayment(customerId, data),
+    onSuccess: (res) => {
+      toast.success(`Payment ${res.data.payment.payment_number} received`);
+      setPayment({ amount: '', paymentMethodId: '', referenceNumber: '', notes: '' });
+      refresh();
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to receive payment')),
+  });
+
+  const limitMutation = useMutation({
+    mutationFn: (value) => accountService.setCreditLimit(customerId, value),
+    onSuccess: () => {
+      toast.success('Credit limit updated');
+      setCreditLimit(null);
+      refresh();
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to update credit limit')),
+  });
+
+  const handlePayment = (e) => {
+    e.preventDefault();
+    paymentMutation.mutate({
+      amount: parseFloat(payment.amount),
+      paymentMethodId: parseInt(payment.paymentMethodId || paymentMethods[0]?.payment_method_id),
+      referenceNumber: payment.referenceNumber || null,
+      notes: payment.notes || null,
+      locationId: currentLocation?.id,
+      shiftId: currentShift?.shift_id || null,
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between p-6 border-b">
+          <div>
+            <h3 className="text-xl font-semibold">{account?.name || 'Account'}</h3>
+            {account?.phone && <p className="text-sm text-gray-500">{account.phone}</p>}
+          </div>
+          <div className="flex items-center gap-3">
+            <button onClick={() => setShowStatement(true)} className="btn btn-secondary btn-sm flex items-center gap-1">
+              <DocumentTextIcon className="w-4 h-4" />
+              Statement
+            </button>
+            <button onClick={onClose}>
+              <XMarkIcon className="w-6 h-6 text-gray-400" />
+            </button>
+          </div>
+        </div>
+
+        {isLoading || !account ? (
+          <div className="p-8 text-center text-gray-500">Loading...</div>
+        ) : (
+          <div className="p-6 space-y-6">
+            {/* Summary */}
+            <div className="grid grid-cols-3 gap-4">
+              <div className="p-4 bg-gray-50 rounded-lg">
+                <p className="text-sm text-gray-500">Credit Limit</p>
+                {creditLimit === null ? (
+                  <div className="flex items-center justify-between">
+                    <p className="text-xl font-bold">${formatMoney(account.creditLimit)}</p>
+                    {hasPermission('discounts') && (
+                      <button onClick={() => setCreditLimit(String(account.creditLimit))} className="text-sm text-primary-600 hover:underline">
+                        Change
+                      </button>
+                    )}
+                  </div>
+                ) : (
+                  <div className="flex items-center gap-2 mt-1">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={creditLimit}
+                      onChange={(e) => setCreditLimit(e.target.value)}
+                      className="input py-1"
+                    />
+                    <button
+                      onClick={() => limitMutation.mutate(parseFloat(creditLimit) || 0)}
+                      disabled={limitMutation.isPending}
+                      className="btn btn-primary btn-sm"
+                    >
+                      Save
+                    </button>
+                  </div>
+                )}
+              </div>
+              <div className="p-4 bg-red-50 rounded-lg">
+                <p className="text-sm text-red-700">Balance Owed</p>
+                <p className="text-xl font-bold text-red-700">${formatMoney(account.balance)}</p>
+              </div>
+              <div className="p-4 bg-green-50 rounded-lg">
+                <p className="text-sm text-green-700">Available Credit</p>
+                <p className="text-xl font-bold text-green-700">${formatMoney(account.available)}</p>
+              </div>
+            </div>
+
+            {/* Aging */}
+            <div className="grid grid-cols-4 gap-2 text-center">
+              {AGING_COLUMNS.map(column => (
+                <div key={column.key} className="p-2 border rounded-lg">
+                  <p className="text-xs text-gray-500">{column.label} days</p>
+                  <p className="font-medium">${formatMoney(account.aging[column.key])}</p>
+                </div>
+              ))}
+            </div>
+
+            {/* Receive payment */}
+            {account.balance > 0 && (
+              <form onSubmit={handlePayment} className="p-4 border rounded-lg space-y-3">
+                <div className="flex items-center justify-between">
+                  <h4 className="font-medium">Receive Payment</h4>
+                  <span className="text-xs text-gray-500">Settles the oldest invoices first</span>
+                </div>
+                <div className="grid grid-cols-2 gap-3">
+                  <input
+                    type="number"
+                    min="0.01"
+                    max={account.balance}
+                    step="0.01"
+                    required
+                    value={payment.amount}
+                    onChange={(e) => setPayment({ ...payment, amount: e.target.value })}
+                    placeholder={`Amount (up to ${formatMoney(account.balance)})`}
+                    className="input"
+                  />
+                  <select
+                    value={payment.paymentMethodId}
+                    onChange={(e) => setPayment({ ...payment, paymentMethodId: e.target.value })}
+                    className="input"
+                  >
+                    {paymentMethods.map(method => (
+                      <option key={method.payment_method_id} value={method.payment_method_id}>{method.method_name}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={payment.referenceNumber}
+                    onChange={(e) => setPayment({ ...payment, referenceNumber: e.target.value })}
+                    placeholder="Reference (cheque or transfer no.)"
+                    className="input"
+                  />
+                  <input
+                    type="text"
+                    value={payment.notes}
+                    onChange={(e) => setPayment({ ...payment, notes: e.target.value })}
+                    placeholder="Notes"
+                    className="input"
+                  />
+                </div>
+                <button type="submit" disabled={paymentMutation.isPending} className="btn btn-primary w-full">
+                  {paymentMutation.isPending ? 'Saving...' : 'Receive Payment'}
+                </button>
+              </form>
+            )}
+
+            {/* Open invoices */}
+            <div>
+              <h4 className="font-medium mb-2">Open Invoices</h4>
+              {account.invoices.length === 0 ? (
+                <p className="text-sm text-gray-500">Nothing owed</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Sale</th>
+                      <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Charged</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Paid</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Owed</th>
+                      <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Days</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y">
+                    {account.invoices.map(invoice => (
+                      <tr key={invoice.saleId}>
+                        <td className="px-3 py-2 font-mono">{invoice.saleNumber}</td>
+                        <td className="px-3 py-2">{new Date(invoice.createdAt).toLocaleDateString()}</td>
+                        <td className="px-3 py-2 text-right">${formatMoney(invoice.invoiced)}</td>
+                        <td className="px-3 py-2 text-right">${formatMoney(invoice.settled)}</td>
+                        <td className="px-3 py-2 text-right font-medium">${formatMoney(invoice.outstanding)}</td>
+                        <td className={`px-3 py-2 text-right ${invoice.ageDays > 60 ? 'text-red-600' : ''}`}>{invoice.ageDays}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {showStatement && <StatementModal customerId={customerId} onClose={() => setShowStatement(false)} />}
+    </div>
+  );
+}
+
+// Statement of account for a period, printable for the customer
+function StatementModal({ customerId, onClose }) {
+  const now = new Date();
+  const [from, setFrom] = useState(toDateInput(new Date(now.getFullYear(), now.getMonth(), 1)));
+  const [to, setTo] = useState(toDateInput(now));
+
+  const { data: statement, isLoading } = useQuery({
+    queryKey: ['account-statement', customerId, from, to],
+    queryFn: () => accountService.getStatement(customerId, { from, to }).then(res => res.data.statement),
+    enabled: !!from && !!to,
+  });
+
+  const printStatement = () => {
+    const rows = statement.entries.map(entry => `
+      <tr>
+        <td>${new Date(entry.date).toLocaleDateString()}</td>
+        <td>${escapeHtml(entry.reference)}${entry.notes ? `<br><small>${escapeHtml(entry.notes)}</small>` : ''}</td>
+        <td class="num">${entry.debit ? formatMoney(entry.debit) : ''}</td>
+        <td class="num">${entry.credit ? formatMoney(entry.credit) : ''}</td>
+        <td class="num">${formatMoney(entry.balance)}</td>
+      </tr>`).join('');
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>Statement - ${escapeHtml(statement.customer.name)}</title>
+        <style>
+          body { font-family: Arial, sans-serif; font-size: 10pt; margin: 15mm; }
+          h1 { font-size: 16pt; margin: 0 0 4mm; }
+          table { width: 100%; border-collapse: collapse; margin-top: 4mm; }
+          th, td { border-bottom: 1px solid #ddd; padding: 2mm; text-align: left; }
+          .num { text-align: right; }
+          .total td { font-weight: bold; border-top: 2px solid #000; }
+        </style>
+      </head>
+      <body>
+        <h1>Statement of Account</h1>
+        <p>
+          <strong>${escapeHtml(statement.customer.name)}</strong><br>
+          ${escapeHtml(statement.customer.phone || '')}<br>
+          Period: ${new Date(from).toLocaleDateString()} - ${new Date(to).toLocaleDateString()}
+        </p>
+        <table>
+          <thead>
+            <tr><th>Date</th><th>Reference</th><th class="num">Charges</th><th class="num">Payments</th><th class="num">Balance</th></tr>
+          </thead>
+          <tbody>
+            <tr><td></td><td>Opening balance</td><td></td><td></td><td class="num">${formatMoney(statement.openingBalance)}</td></tr>
+            ${rows}
+            <tr class="total"><td></td><td>Closing balance</td><td></td><td></td><td class="num">${formatMoney(statement.closingBalance)}</td></tr>
+          </tbody>
+        </table>
+        <table>
+          <thead>
+            <tr>${AGING_COLUMNS.map(column => `<th class="num">${column.label} days</th>`).join('')}</tr>
+          </thead>
+          <tbody>
+            <tr>${AGING_COLUMNS.map(column => `<td class="num">${formatMoney(statement.aging[column.key])}</td>`).join('')}</tr>
+          </tbody>
+        </table>
+        <script>
+          window.onload = function() {
+            setTimeout(function() {
+              window.print();
+              window.close();
+            }, 300);
+          }
+        </script>
+      </body>
+      </html>
+    `;
+
+    const printWindow = window.open('', '_blank', 'width=800,height=600');
+    if (printWindow) {
+      printWindow.document.write(html);
+      printWindow.document.close();
+    } else {
+      toast.error('Please allow popups to print statements');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl w-full max-w-3xl max-h-[90vh] overflow-y-auto p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-semibold">Statement</h3>
+          <button onClick={onClose}>
+            <XMarkIcon className="w-6 h-6 text-gray-400" />
+          </button>
+        </div>
+
+        <div className="flex items-end gap-3 mb-4">
+          <label className="text-sm">
+            <span className="block text-gray-500 mb-1">From</span>
+            <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="input" />
+          </label>
+          <label className="text-sm">
+            <span className="block text-gray-500 mb-1">To</span>
+            <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="input" />
+          </label>
+          <button
+            onClick={printStatement}
+            disabled={!statement}
+            className="btn btn-primary flex items-center gap-2 ml-auto"
+          >
+            <PrinterIcon className="w-5 h-5" />
+            Print
+          </button>
+        </div>
+
+        {isLoading || !statement ? (
+          <div className="p-8 text-center text-gray-500">Loading...</div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Reference</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Charges</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Payments</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              <tr className="bg-gray-50">
+                <td className="px-3 py-2" colSpan={4}>Opening balance</td>
+                <td className="px-3 py-2 text-right font-medium">${formatMoney(statement.openingBalance)}</td>
+              </tr>
+              {statement.entries.map((entry, index) => (
+                <tr key={index}>
+                  <td className="px-3 py-2">{new Date(entry.date).toLocaleDateString()}</td>
+                  <td className="px-3 py-2">
+                    <span className="font-mono">{entry.reference}</span>
+                    {entry.notes && <span className="block text-xs text-gray-500">{entry.notes}</span>}
+                  </td>
+                  <td className="px-3 py-2 text-right">{entry.debit ? `$${formatMoney(entry.debit)}` : ''}</td>
+                  <td className="px-3 py-2 text-right text-green-600">{entry.credit ? `$${formatMoney(entry.credit)}` : ''}</td>
+                  <td className="px-3 py-2 text-right">${formatMoney(entry.balance)}</td>
+                </tr>
+              ))}
+              <tr className="bg-gray-50 font-semibold">
+                <td className="px-3 py-2" colSpan={4}>Closing balance</td>
+                <td className="px-3 py-2 text-right">${formatMoney(statement.closingBalance)}</td>
+              </tr>
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Amounts owed by invoice age, per customer, as at a date
+function AgingReport() {
+  const [asOf, setAsOf] = useState(toDateInput(new Date()));
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['account-aging', asOf],
+    queryFn: () => accountService.getAging({ asOf }).then(res => res.data),
+    enabled: !!asOf,
+  });
+  const customers = data?.customers || [];
+
+  return (
+    <>
+      <div className="flex items-center gap-3 mb-4">
+        <label className="text-sm text-gray-600">As of</label>
+        <input type="date" value={asOf} onChange={(e) => setAsOf(e.target.value)} className="input w-auto" />
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Customer</th>
+              {AGING_COLUMNS.map(column => (
+                <th key={column.key} className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">{column.label} days</th>
+              ))}
+              <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {isLoading ? (
+              <tr><td colSpan={6} className="px-4 py-8 text-center text-gray-500">Loading...</td></tr>
+            ) : customers.length === 0 ? (
+              <tr><td colSpan={6} className="px-4 py-8 text-center text-gray-500">Nothing owed on account</td></tr>
+            ) : customers.map(customer => (
+              <tr key={customer.customerId}>
+                <td className="px-4 py-3">
+                  <p className="font-medium text-gray-900">{customer.name}</p>
+                  <p className="text-sm text-gray-500">{customer.invoiceCount} open invoice{customer.invoiceCount === 1 ? '' : 's'}</p>
+                </td>
+                {AGING_COLUMNS.map(column => (
+                  <td key={column.key} className={`px-4 py-3 text-right ${column.key === 'over90' && customer.over90 > 0 ? 'text-red-600 font-medium' : ''}`}>
+                    {customer[column.key] ? `$${formatMoney(customer[column.key])}` : '-'}
+                  </td>
+                ))}
+                <td className="px-4 py-3 text-right font-semibold">${formatMoney(customer.total)}</td>
+              </tr>
+            ))}
+          </tbody>
+          {customers.length > 0 && (
+            <tfoot className="bg-gray-50 font-semibold">
+              <tr>
+                <td className="px-4 py-3">Total</td>
+                {AGING_COLUMNS.map(column => (
+                  <td key={column.key} className="px-4 py-3 text-right">${formatMoney(data.totals[column.key])}</td>
+                ))}
+                <td className="px-4 py-3 text-right">${formatMoney(data.totals.total)}</td>
+              </tr>
+            </tfoot>
+          )}
+        </table>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,253 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import {
+  ShieldCheckIcon,
+  XMarkIcon,
+  ChevronLeftIcon,
+  ChevronRightIcon,
+} from '@heroicons/react/24/outline';
+import { auditService } from '../services/api';
+
+const PAGE_SIZE = 50;
+
+const ACTION_STYLES = {
+  INSERT: 'bg-green-100 text-green-700',
+  UPDATE: 'bg-blue-100 text-blue-700',
+  DELETE: 'bg-red-100 text-red-700',
+  VOID: 'bg-red-100 text-red-700',
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+export default function AuditLog() {
+  const [filters, setFilters] = useState({ tableName: '', action: '', recordId: '', startDate: '', endDate: '' });
+  const [page, setPage] = useState(1);
+  const [selectedEntry, setSelectedEntry] = useState(null);
+
+  const { data: facets } = useQuery({
+    queryKey: ['audit-facets'],
+    queryFn: () => auditService.getFacets().then(res => res.data)
+  });
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['audit-log', filters, page],
+    queryFn: () => {
+      const params = { page, limit: PAGE_SIZE };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      return auditService.getEntries(params).then(res => res.data);
+    }
+  });
+
+  const entries = data?.entries || [];
+  const totalPages = Math.max(1, Math.ceil((data?.total || 0) / PAGE_SIZE));
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters((f) => ({ ...f, [name]: value }));
+    setPage(1);
+  };
+
+  return (
+    <div className="p-6">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Audit Log</h1>
+          <p className="text-gray-500">Who changed what, when and from where</p>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-xl p-4 mb-6 grid grid-cols-1 md:grid-cols-5 gap-4">
+        <div>
+          <label className="label">Record Type</label>
+          <select name="tableName" value={filters.tableName} onChange={handleFilterChange} className="input">
+            <option value="">All</option>
+            {(facets?.tables || []).map(table => (
+              <option key={table} value={table}>{table}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="label">Action</label>
+          <select name="action" value={filters.action} onChange={handleFilterChange} className="input">
+            <option value="">All</option>
+            {(facets?.actions || []).map(action => (
+              <option key={action} value={action}>{action}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="label">Record ID</label>
+          <input name="recordId" value={filters.recordId} onChange={handleFilterChange} className="input" />
+        </div>
+        <div>
+          <label className="label">From</label>
+          <input type="date" name="startDate" value={filters.startDate} onChange={handleFilterChange} className="input" />
+        </div>
+        <div>
+          <label className="label">To</label>
+          <input type="date" name="endDate" value={filters.endDate} onChange={handleFilterChange} className="input" />
+        </div>
+      </div>
+
+      {/* Entries */}
+      <div className="bg-white rounded-xl border overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-left text-gray-500">
+              <tr>
+                <th className="px-4 py-3 font-medium">When</th>
+                <th className="px-4 py-3 font-medium">User</th>
+                <th className="px-4 py-3 font-medium">Action</th>
+                <th className="px-4 py-3 font-medium">Record</th>
+                <th className="px-4 py-3 font-medium">Changed</th>
+                <th className="px-4 py-3 font-medium">IP / Terminal</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {isLoading ? (
+                <tr>
+                  <td colSpan={6} className="p-8 text-center text-gray-500">Loading...</td>
+                </tr>
+              ) : entries.length > 0 ? (
+                entries.map((entry) => (
+                  <tr
+                    key={entry.audit_id}
+                    onClick={() => setSelectedEntry(entry)}
+                    className="hover:bg-gray-50 cursor-pointer"
+                  >
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      {new Date(entry.created_at).toLocaleString()}
+                    </td>
+                    <td className="px-4 py-3">
+                      {entry.user_first_name
+                        ? `${entry.user_first_name} ${entry.user_last_name || ''}`.trim()
+                        : 'System'}
+                    </td>
+                    <td className="px-4 py-3">
+                      <span className={`text-xs px-2 py-0.5 rounded-full ${ACTION_STYLES[entry.action] || 'bg-gray-100 text-gray-700'}`}>
+                        {entry.action}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3">
+                      {entry.table_name} #{entry.record_id || '—'}
+                    </td>
+                    <td className="px-4 py-3 text-gray-500 max-w-xs truncate">
+                      {(entry.changed_fields || []).join(', ') || '—'}
+                    </td>
+                    <td className="px-4 py-3 text-gray-500 whitespace-nowrap">
+                      {entry.ip_address || '—'}{entry.terminal_id ? ` • ${entry.terminal_id}` : ''}
+                    </td>
+                  </tr>
+                ))
+              ) : (
+                <tr>
+                  <td colSpan={6} className="p-8 text-center text-gray-500">
+                    <ShieldCheckIcon className="w-12 h-12 mx-auto mb-4 text-gray-300" />
+                    <p>No audit entries found</p>
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Pagination */}
+        <div className="flex items-center justify-between p-4 border-t text-sm text-gray-500">
+          <span>{data?.total || 0} entries</span>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setPage(p => p - 1)}
+              disabled={page <= 1}
+              className="btn btn-secondary p-2"
+            >
+              <ChevronLeftIcon className="w-4 h-4" />
+            </button>
+            <span>Page {page} of {totalPages}</span>
+            <button
+              onClick={() => setPage(p => p + 1)}
+              disabled={page >= totalPages}
+              className="btn btn-secondary p-2"
+            >
+              <ChevronRightIcon className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {selectedEntry && (
+        <AuditEntryModal entry={selectedEntry} onClose={() => setSelectedEntry(null)} />
+      )}
+    </div>
+  );
+}
+
+// Before/after values for one entry, changed fields first
+function AuditEntryModal({ entry, onClose }) {
+  const oldValues = entry.old_values || {};
+  const newValues = entry.new_values || {};
+  const changed = new Set(entry.changed_fields || []);
+  const fields = [...new Set([...Object.keys(oldValues), ...Object.keys(newValues)])]
+    .sort((a, b) => Number(changed.has(b)) - Number(changed.has(a)));
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="text-lg font-semibold">
+              {entry.action} {entry.table_name} #{entry.record_id || '—'}
+            </h3>
+            <p className="text-sm text-gray-500">
+              {new Date(entry.created_at).toLocaleString()} by{' '}
+              {entry.user_first_name ? `${entry.user_first_name} ${entry.user_last_name || ''}`.trim() : 'System'}
+            </p>
+          </div>
+          <button onClick={onClose}>
+            <XMarkIcon className="w-6 h-6 text-gray-400" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2 text-sm bg-gray-50 rounded-lg p-3 mb-4">
+          <p><span className="text-gray-500">Request:</span> {entry.request_path || '—'}</p>
+          <p><span className="text-gray-500">IP:</span> {entry.ip_address || '—'}</p>
+          <p><span className="text-gray-500">Terminal:</span> {entry.terminal_id || '—'}</p>
+          <p className="truncate"><span className="text-gray-500">Device:</span> {entry.user_agent || '—'}</p>
+          {entry.reason && (
+            <p className="col-span-2"><span className="text-gray-500">Reason:</span> {entry.reason}</p>
+          )}
+        </div>
+
+        {fields.length > 0 ? (
+          <table className="w-full text-sm">
+            <thead className="text-left text-gray-500">
+              <tr>
+                <th className="py-2 font-medium">Field</th>
+                <th className="py-2 font-medium">Before</th>
+                <th className="py-2 font-medium">After</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {fields.map(field => (
+                <tr key={field} className={changed.has(field) ? 'bg-yellow-50' : ''}>
+                  <td className="py-2 pr-4 font-medium">{field}</td>
+                  <td className="py-2 pr-4 text-gray-600 break-all">{formatValue(oldValues[field])}</td>
+                  <td className="py-2 text-gray-900 break-all">{formatValue(newValues[field])}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="text-center text-gray-500 py-4">No values recorded</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -13,9 +13,13 @@ import {
   ShoppingBagIcon,
   ClockIcon,
   ChatBubbleLeftIcon,
-  GiftIcon
+  GiftIcon,
+  ChartPieIcon,
+  FunnelIcon,
+  UsersIcon,
+  ArrowsRightLeftIcon
 } from '@heroicons/react/24/outline';
-import api from '../services/api';
+import api, { accountService, customerService } from '../services/api';
 import toast from 'react-hot-toast';
 import { useAuthStore } from '../stores/authStore';
 
@@ -27,6 +31,7 @@ export default function Customers() {
   const [showDetailsModal, setShowDetailsModal] = useState(false);
   const [editingCustomer, setEditingCustomer] = useState(null);
   const [selectedCustomer, setSelectedCustomer] = useState(null);
+  const [view, setView] = useState('customers');
 
   // Check if user is salesman (can only add, not edit/delete)
   const isSalesman = user?.role?.toLowerCase() === 'salesman' || user?.isSalesman;
@@ -43,20 +48,22 @@ export default function Customers() {
 
   // Extract and normalize customers array from response
   const customers = (customersData?.customers || []).map(c => ({
-    customer_id: c.CustomerID,
-    phone: c.Phone,
-    first_name: c.FirstName,
-    last_name: c.LastName,
-    email: c.Email,
-    customer_type: c.CustomerType,
-    total_spent: c.TotalSpend,
-    total_orders: c.TotalVisits,
-    last_visit_at: c.LastVisitAt,
-    wallet_balance: c.WalletBalance,
-    loyalty_points: c.LoyaltyPoints,
+    customer_id: c.customer_id,
+    phone: c.phone,
+    first_name: c.first_name,
+    last_name: c.last_name,
+    email: c.email,
+    address: c.address,
+    notes: c.notes,
+    sms_opt_in: c.sms_opt_in,
+    total_spent: c.total_purchases,
+    total_orders: c.visit_count,
+    last_visit_at: c.last_visit_at,
+    wallet_balance: parseFloat(c.wallet_balance) || 0,
+    loyalty_points: c.loyalty_points || 0,
     // Calculate days since last purchase
-    last_purchase_days: c.LastVisitAt
-      ? Math.floor((new Date() - new Date(c.LastVisitAt)) / (1000 * 60 * 60 * 24))
+    last_purchase_days: c.last_visit_at
+      ? Math.floor((new Date() - new Date(c.last_visit_at)) / (1000 * 60 * 60 * 24))
       : 999
   }));
 
@@ -108,160 +115,188 @@ export default function Customers() {
         </button>
       </div>
 
-      {/* Stats Cards */}
-      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
-        <div className="bg-white rounded-xl p-4 border">
-          <div className="flex items-center gap-3">
-            <div className="w-10 h-10 bg-primary-100 rounded-lg flex items-center justify-center">
-              <UserIcon className="w-5 h-5 text-primary-600" />
-            </div>
-            <div>
-              <p className="text-sm text-gray-500">Total Customers</p>
-              <p className="text-xl font-bold text-gray-900">{customers?.length || 0}</p>
-            </div>
-          </div>
-        </div>
-        <div className="bg-white rounded-xl p-4 border">
-          <div className="flex items-center gap-3">
-            <div className="w-10 h-10 bg-green-100 rounded-lg flex items-center justify-center">
-              <ShoppingBagIcon className="w-5 h-5 text-green-600" />
-            </div>
-            <div>
-              <p className="text-sm text-gray-500">Active This Month</p>
-              <p className="text-xl font-bold text-gray-900">
-                {customers?.filter(c => c.last_purchase_days <= 30).length || 0}
-              </p>
-            </div>
-          </div>
-        </div>
-        <div className="bg-white rounded-xl p-4 border">
-          <div className="flex items-center gap-3">
-            <div className="w-10 h-10 bg-yellow-100 rounded-lg flex items-center justify-center">
-              <WalletIcon className="w-5 h-5 text-yellow-600" />
-            </div>
-            <div>
-              <p className="text-sm text-gray-500">Total Store Credit</p>
-              <p className="text-xl font-bold text-gray-900">
-                ${customers?.reduce((sum, c) => sum + (c.wallet_balance || 0), 0).toLocaleString() || 0}
-              </p>
-            </div>
-          </div>
-        </div>
-        <div className="bg-white rounded-xl p-4 border">
-          <div className="flex items-center gap-3">
-            <div className="w-10 h-10 bg-purple-100 rounded-lg flex items-center justify-center">
-              <GiftIcon className="w-5 h-5 text-purple-600" />
-            </div>
-            <div>
-              <p className="text-sm text-gray-500">Loyalty Points</p>
-              <p className="text-xl font-bold text-gray-900">
-                {customers?.reduce((sum, c) => sum + (c.loyalty_points || 0), 0).toLocaleString() || 0}
-              </p>
-            </div>
-          </div>
-        </div>
-      </div>
-
-      {/* Search */}
-      <div className="bg-white rounded-xl p-4 mb-6">
-        <div className="relative">
-          <MagnifyingGlassIcon className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
-          <input
-            type="text"
-            value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
-            placeholder="Search customers by name, phone, or email..."
-            className="w-full pl-10 pr-4 py-2 border rounded-lg"
-          />
-        </div>
+      {/* Views */}
+      <div className="flex gap-2 mb-6">
+        {[
+          { id: 'customers', label: 'All Customers', icon: UserIcon },
+          { id: 'segments', label: 'Segments', icon: ChartPieIcon },
+          { id: 'duplicates', label: 'Duplicates', icon: UsersIcon },
+        ].map(tab => (
+          <button
+            key={tab.id}
+            onClick={() => setView(tab.id)}
+            className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 ${
+              view === tab.id ? 'bg-primary-600 text-white' : 'bg-white text-gray-700 border'
+            }`}
+          >
+            <tab.icon className="w-5 h-5" />
+            {tab.label}
+          </button>
+        ))}
       </div>
 
-      {/* Customers Grid */}
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-        {isLoading ? (
-          [...Array(6)].map((_, i) => (
-            <div key={i} className="bg-white rounded-xl p-6 animate-pulse">
-              <div className="flex items-center gap-4 mb-4">
-                <div className="w-16 h-16 bg-gray-200 rounded-full" />
-                <div className="flex-1">
-                  <div className="h-4 bg-gray-200 rounded w-3/4 mb-2" />
-                  <div className="h-3 bg-gray-200 rounded w-1/2" />
+      {view === 'segments' ? (
+        <SegmentBuilder onViewCustomer={(customerId) => handleViewDetails({ customer_id: customerId })} />
+      ) : view === 'duplicates' ? (
+        <DuplicateFinder onViewCustomer={(customerId) => handleViewDetails({ customer_id: customerId })} />
+      ) : (
+        <>
+          {/* Stats Cards */}
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+            <div className="bg-white rounded-xl p-4 border">
+              <div className="flex items-center gap-3">
+                <div className="w-10 h-10 bg-primary-100 rounded-lg flex items-center justify-center">
+                  <UserIcon className="w-5 h-5 text-primary-600" />
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Total Customers</p>
+                  <p className="text-xl font-bold text-gray-900">{customers?.length || 0}</p>
                 </div>
               </div>
-              <div className="h-3 bg-gray-200 rounded w-full mb-2" />
-              <div className="h-3 bg-gray-200 rounded w-2/3" />
-            </div>
-          ))
-        ) : customers?.length > 0 ? (
-          customers.map((customer) => (
-            <div
-              key={customer.customer_id}
-              className="bg-white rounded-2xl p-6 border hover:shadow-xl transition-shadow cursor-pointer flex flex-col gap-4"
-              onClick={() => handleViewDetails(customer)}
-            >
-              <div className="flex items-center gap-4 mb-2">
-                <div className="w-16 h-16 bg-primary-100 rounded-full flex items-center justify-center flex-shrink-0">
-                  <span className="text-2xl font-bold text-primary-600">
-                    {customer.first_name?.[0]}{customer.last_name?.[0]}
-                  </span>
+            </div>
+            <div className="bg-white rounded-xl p-4 border">
+              <div className="flex items-center gap-3">
+                <div className="w-10 h-10 bg-green-100 rounded-lg flex items-center justify-center">
+                  <ShoppingBagIcon className="w-5 h-5 text-green-600" />
                 </div>
-                <div className="flex-1 min-w-0">
-                  <h3 className="font-semibold text-gray-900 text-lg truncate">
-                    {customer.first_name} {customer.last_name}
-                  </h3>
-                  <div className="flex items-center gap-2 text-base text-primary-700 font-medium mt-1">
-                    <PhoneIcon className="w-5 h-5" />
-                    <span>{customer.phone || <span className="text-gray-400">No phone</span>}</span>
-                  </div>
-                  {customer.email && (
-                    <div className="flex items-center gap-2 text-sm text-gray-500 mt-1">
-                      <EnvelopeIcon className="w-4 h-4" />
-                      <span className="truncate">{customer.email}</span>
-                    </div>
-                  )}
+                <div>
+                  <p className="text-sm text-gray-500">Active This Month</p>
+                  <p className="text-xl font-bold text-gray-900">
+                    {customers?.filter(c => c.last_purchase_days <= 30).length || 0}
+                  </p>
                 </div>
-                {!isSalesman && (
-                  <button
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      handleEdit(customer);
-                    }}
-                    className="p-2 text-gray-400 hover:text-primary-600 hover:bg-gray-100 rounded-lg self-start"
-                    title="Edit customer"
-                  >
-                    <PencilIcon className="w-4 h-4" />
-                  </button>
-                )}
               </div>
-
-              <div className="grid grid-cols-2 gap-4 pt-4 border-t mt-2">
-                <div className="text-center">
-                  <p className="text-xs text-gray-500">Total Spent</p>
-                  <p className="font-semibold text-gray-900 text-lg">
-                    ${parseFloat(customer.total_spent || 0).toLocaleString()}
+            </div>
+            <div className="bg-white rounded-xl p-4 border">
+              <div className="flex items-center gap-3">
+                <div className="w-10 h-10 bg-yellow-100 rounded-lg flex items-center justify-center">
+                  <WalletIcon className="w-5 h-5 text-yellow-600" />
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Total Store Credit</p>
+                  <p className="text-xl font-bold text-gray-900">
+                    ${customers?.reduce((sum, c) => sum + (c.wallet_balance || 0), 0).toLocaleString() || 0}
                   </p>
                 </div>
-                <div className="text-center">
-                  <p className="text-xs text-gray-500">Orders</p>
-                  <p className="font-semibold text-gray-900 text-lg">{customer.total_orders || 0}</p>
+              </div>
+            </div>
+            <div className="bg-white rounded-xl p-4 border">
+              <div className="flex items-center gap-3">
+                <div className="w-10 h-10 bg-purple-100 rounded-lg flex items-center justify-center">
+                  <GiftIcon className="w-5 h-5 text-purple-600" />
                 </div>
-                <div className="text-center col-span-2">
-                  <p className="text-xs text-gray-500">Credit</p>
-                  <p className="font-semibold text-green-600 text-lg">
-                    ${parseFloat(customer.wallet_balance || 0).toFixed(2)}
+                <div>
+                  <p className="text-sm text-gray-500">Loyalty Points</p>
+                  <p className="text-xl font-bold text-gray-900">
+                    {customers?.reduce((sum, c) => sum + (c.loyalty_points || 0), 0).toLocaleString() || 0}
                   </p>
                 </div>
               </div>
             </div>
-          ))
-        ) : (
-          <div className="col-span-full flex flex-col items-center justify-center py-12 text-gray-500">
-            <UserIcon className="w-16 h-16 mb-4 text-gray-300" />
-            <p className="text-lg font-medium">No customers found</p>
-            <p className="text-sm">Add your first customer to get started</p>
           </div>
-        )}
-      </div>
+
+          {/* Search */}
+          <div className="bg-white rounded-xl p-4 mb-6">
+            <div className="relative">
+              <MagnifyingGlassIcon className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+              <input
+                type="text"
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                placeholder="Search customers by name, phone, or email..."
+                className="w-full pl-10 pr-4 py-2 border rounded-lg"
+              />
+            </div>
+          </div>
+
+          {/* Customers Grid */}
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {isLoading ? (
+              [...Array(6)].map((_, i) => (
+                <div key={i} className="bg-white rounded-xl p-6 animate-pulse">
+                  <div className="flex items-center gap-4 mb-4">
+                    <div className="w-16 h-16 bg-gray-200 rounded-full" />
+                    <div className="flex-1">
+                      <div className="h-4 bg-gray-200 rounded w-3/4 mb-2" />
+                      <div className="h-3 bg-gray-200 rounded w-1/2" />
+                    </div>
+                  </div>
+                  <div className="h-3 bg-gray-200 rounded w-full mb-2" />
+                  <div className="h-3 bg-gray-200 rounded w-2/3" />
+                </div>
+              ))
+            ) : customers?.length > 0 ? (
+              customers.map((customer) => (
+                <div
+                  key={customer.customer_id}
+                  className="bg-white rounded-2xl p-6 border hover:shadow-xl transition-shadow cursor-pointer flex flex-col gap-4"
+                  onClick={() => handleViewDetails(customer)}
+                >
+                  <div className="flex items-center gap-4 mb-2">
+                    <div className="w-16 h-16 bg-primary-100 rounded-full flex items-center justify-center flex-shrink-0">
+                      <span className="text-2xl font-bold text-primary-600">
+                        {customer.first_name?.[0]}{customer.last_name?.[0]}
+                      </span>
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <h3 className="font-semibold text-gray-900 text-lg truncate">
+                        {customer.first_name} {customer.last_name}
+                      </h3>
+                      <div className="flex items-center gap-2 text-base text-primary-700 font-medium mt-1">
+                        <PhoneIcon className="w-5 h-5" />
+                        <span>{customer.phone || <span className="text-gray-400">No phone</span>}</span>
+                      </div>
+                      {customer.email && (
+                        <div className="flex items-center gap-2 text-sm text-gray-500 mt-1">
+                          <EnvelopeIcon className="w-4 h-4" />
+                          <span className="truncate">{customer.email}</span>
+                        </div>
+                      )}
+                    </div>
+                    {!isSalesman && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          handleEdit(customer);
+                        }}
+                        className="p-2 text-gray-400 hover:text-primary-600 hover:bg-gray-100 rounded-lg self-start"
+                        title="Edit customer"
+                      >
+                        <PencilIcon className="w-4 h-4" />
+                      </button>
+                    )}
+                  </div>
+
+                  <div className="grid grid-cols-2 gap-4 pt-4 border-t mt-2">
+                    <div className="text-center">
+                      <p className="text-xs text-gray-500">Total Spent</p>
+                      <p className="font-semibold text-gray-900 text-lg">
+                        ${parseFloat(customer.total_spent || 0).toLocaleString()}
+                      </p>
+                    </div>
+                    <div className="text-center">
+                      <p className="text-xs text-gray-500">Orders</p>
+                      <p className="font-semibold text-gray-900 text-lg">{customer.total_orders || 0}</p>
+                    </div>
+                    <div className="text-center col-span-2">
+                      <p className="text-xs text-gray-500">Credit</p>
+                      <p className="font-semibold text-green-600 text-lg">
+                        ${parseFloat(customer.wallet_balance || 0).toFixed(2)}
+                      </p>
+                    </div>
+                  </div>
+                </div>
+              ))
+            ) : (
+              <div className="col-span-full flex flex-col items-center justify-center py-12 text-gray-500">
+                <UserIcon className="w-16 h-16 mb-4 text-gray-300" />
+                <p className="text-lg font-medium">No customers found</p>
+                <p className="text-sm">Add your first customer to get started</p>
+              </div>
+            )}
+          </div>
+        </>
+      )}
 
       {/* Customer Modal */}
       {showCustomerModal && (
@@ -480,43 +515,34 @@ function CustomerDetailsModal({ customerId, onClose }) {
     queryFn: () => api.get(`/customers/${customerId}`).then(res => res.data)
   });
 
-  // Normalize customer data from server (PascalCase to snake_case)
+  // Normalize customer data from server
   const customer = customerData?.customer ? {
-    customer_id: customerData.customer.CustomerID,
-    phone: customerData.customer.Phone,
-    first_name: customerData.customer.FirstName,
-    last_name: customerData.customer.LastName,
-    email: customerData.customer.Email,
-    address: customerData.customer.Address,
-    notes: customerData.customer.Notes,
-    customer_type: customerData.customer.CustomerType,
-    total_spent: customerData.customer.TotalSpend,
-    total_orders: customerData.customer.TotalVisits,
-    wallet_balance: customerData.customer.WalletBalance,
-    loyalty_points: customerData.customer.LoyaltyPoints,
-    sms_opt_in: customerData.customer.SMSOptIn,
-    created_at: customerData.customer.CreatedAt
+    customer_id: customerData.customer.customer_id,
+    phone: customerData.customer.phone,
+    first_name: customerData.customer.first_name,
+    last_name: customerData.customer.last_name,
+    email: customerData.customer.email,
+    address: customerData.customer.address,
+    notes: customerData.customer.notes,
+    total_spent: customerData.customer.total_purchases,
+    total_orders: customerData.customer.visit_count,
+    wallet_balance: customerData.customer.wallet_balance,
+    loyalty_points: customerData.customer.loyalty_points,
+    sms_opt_in: customerData.customer.sms_opt_in,
+    created_at: customerData.customer.created_at
   } : null;
 
   // Normalize purchases from server
-  const purchases = (customerData?.purchases || []).map(p => ({
-    transaction_id: p.SaleID,
-    transaction_number: p.SaleNumber,
-    total_amount: p.TotalAmount,
-    status: p.Status,
-    created_at: p.CreatedAt,
-    location_name: p.LocationName,
-    item_count: p.ItemCount
+  const purchases = (customerData?.recentPurchases || []).map(p => ({
+    transaction_id: p.sale_id,
+    transaction_number: p.sale_number,
+    total_amount: p.total_amount,
+    status: p.status,
+    created_at: p.created_at,
+    location_name: p.location_name,
+    item_count: p.item_count
   }));
 
-  // Add/Remove wallet balance mutation
-  const walletMutation = useMutation({
-    mutationFn: (data) => api.post(`/customers/${customerId}/wallet`, data),
-    onSuccess: () => {
-      toast.success('Wallet updated');
-    }
-  });
-
   if (isLoading) {
     return (
       <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
@@ -581,7 +607,7 @@ function CustomerDetailsModal({ customerId, onClose }) {
 
         {/* Tabs */}
         <div className="flex border-b px-6">
-          {['overview', 'purchases', 'wallet'].map((tab) => (
+          {['overview', 'purchases', 'wallet', 'points'].map((tab) => (
             <button
               key={tab}
               onClick={() => setActiveTab(tab)}
@@ -626,6 +652,7 @@ function CustomerDetailsModal({ customerId, onClose }) {
                   {customer?.sms_opt_in ? 'Opted In' : 'Opted Out'}
                 </span>
               </div>
+              <CreditAccountPanel customerId={customerId} />
             </div>
           )}
 
@@ -660,18 +687,10 @@ function CustomerDetailsModal({ customerId, onClose }) {
           )}
 
           {activeTab === 'wallet' && (
-            <div className="space-y-4">
-              <div className="p-6 bg-gradient-to-r from-primary-500 to-purple-600 rounded-xl text-white text-center">
-                <p className="text-sm opacity-80 mb-1">Available Balance</p>
-                <p className="text-4xl font-bold">
-                  ${parseFloat(customer?.wallet_balance || 0).toFixed(2)}
-                </p>
-              </div>
-              <p className="text-sm text-gray-500">
-                Store credit can be applied at checkout. Credits are added from returns or promotional offers.
-              </p>
-            </div>
+            <WalletTab customerId={customerId} balance={parseFloat(customer?.wallet_balance || 0)} />
           )}
+
+          {activeTab === 'points' && <LoyaltyTab customerId={customerId} />}
         </div>
 
         <div className="flex items-center justify-end gap-3 p-6 border-t bg-gray-50">
@@ -683,3 +702,859 @@ function CustomerDetailsModal({ customerId, onClose }) {
     </div>
   );
 }
+
+// Credit account (buying on account): limit, what is owed, and opening or changing the limit
+function CreditAccountPanel({ customerId }) {
+  const queryClient = useQueryClient();
+  const { hasPermission } = useAuthStore();
+  const [limit, setLimit] = useState(null);
+
+  const { data: account } = useQuery({
+    queryKey: ['account', customerId],
+    queryFn: () => accountService.getAccount(customerId).then(res => res.data.account)
+  });
+
+  const limitMutation = useMutation({
+    mutationFn: (value) => accountService.setCreditLimit(customerId, value),
+    onSuccess: () => {
+      toast.success('Credit limit updated');
+      setLimit(null);
+      queryClient.invalidateQueries({ queryKey: ['account', customerId] });
+      queryClient.invalidateQueries({ queryKey: ['accounts'] });
+    },
+    onError: (error) => toast.error(error.response?.data?.error || 'Failed to update credit limit')
+  });
+
+  if (!account) return null;
+
+  return (
+    <div>
+      <p className="text-sm text-gray-500 mb-1">Credit Account</p>
+      {limit === null ? (
+        <div className="flex items-center gap-3">
+          <p className="text-gray-900">
+            {account.creditLimit > 0
+              ? `$${account.balance.toFixed(2)} owed of $${account.creditLimit.toFixed(2)} limit`
+              : account.balance > 0 ? `$${account.balance.toFixed(2)} owed (account closed)` : 'No credit account'}
+          </p>
+          {hasPermission('discounts') && (
+            <button onClick={() => setLimit(String(account.creditLimit))} className="text-sm text-primary-600 hover:underline">
+              {account.creditLimit > 0 ? 'Change limit' : 'Open account'}
+            </button>
+          )}
+        </div>
+      ) : (
+        <div className="flex items-center gap-2">
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={limit}
+            onChange={(e) => setLimit(e.target.value)}
+            placeholder="Credit limit"
+            className="input w-40"
+          />
+          <button
+            onClick={() => limitMutation.mutate(parseFloat(limit) || 0)}
+            disabled={limitMutation.isPending}
+            className="btn btn-primary btn-sm"
+          >
+            Save
+          </button>
+          <button onClick={() => setLimit(null)} className="btn btn-secondary btn-sm">Cancel</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Store credit balance, statement and manual credits/debits
+function WalletTab({ customerId, balance }) {
+  const queryClient = useQueryClient();
+  const { hasPermission } = useAuthStore();
+  const [entry, setEntry] = useState({ type: 'credit', amount: '', reason: '' });
+
+  const canAdjust = hasPermission('discounts');
+
+  const { data: statement, isLoading } = useQuery({
+    queryKey: ['customer-wallet-transactions', customerId],
+    queryFn: () => customerService.getWalletTransactions(customerId).then(res => res.data)
+  });
+
+  const walletMutation = useMutation({
+    mutationFn: ({ type, ...data }) => type === 'credit'
+      ? customerService.addCredit(customerId, data)
+      : customerService.useWallet(customerId, data),
+    onSuccess: () => {
+      toast.success('Store credit updated');
+      setEntry({ type: 'credit', amount: '', reason: '' });
+      queryClient.invalidateQueries({ queryKey: ['customer-wallet-transactions', customerId] });
+      queryClient.invalidateQueries({ queryKey: ['customer-wallet', customerId] });
+      queryClient.invalidateQueries({ queryKey: ['customer', customerId] });
+      queryClient.invalidateQueries({ queryKey: ['customers'] });
+    },
+    onError: (error) => {
+      const data = error.response?.data;
+      toast.error((typeof data?.details === 'string' ? data.details : data?.error) || 'Failed to update store credit');
+    }
+  });
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const amount = parseFloat(entry.amount);
+    if (!(amount > 0) || !entry.reason.trim()) {
+      toast.error('Enter an amount and a reason');
+      return;
+    }
+    walletMutation.mutate({ type: entry.type, amount, reason: entry.reason.trim() });
+  };
+
+  const typeLabels = {
+    CREDIT: 'Credit added',
+    DEBIT: 'Credit removed',
+    SALE: 'Paid for purchase',
+    REFUND: 'Refund from return',
+    VOID: 'Returned from voided sale'
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="p-6 bg-gradient-to-r from-primary-500 to-purple-600 rounded-xl text-white text-center">
+        <p className="text-sm opacity-80 mb-1">Available Balance</p>
+        <p className="text-4xl font-bold">${balance.toFixed(2)}</p>
+      </div>
+
+      {canAdjust && (
+        <form onSubmit={handleSubmit} className="flex gap-2">
+          <select
+            value={entry.type}
+            onChange={(e) => setEntry({ ...entry, type: e.target.value })}
+            className="input w-28"
+          >
+            <option value="credit">Add</option>
+            <option value="debit">Remove</option>
+          </select>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={entry.amount}
+            onChange={(e) => setEntry({ ...entry, amount: e.target.value })}
+            placeholder="Amount"
+            className="input w-32"
+          />
+          <input
+            type="text"
+            value={entry.reason}
+            onChange={(e) => setEntry({ ...entry, reason: e.target.value })}
+            placeholder="Reason"
+            className="input flex-1"
+          />
+          <button type="submit" disabled={walletMutation.isPending} className="btn-primary">
+            {walletMutation.isPending ? 'Saving...' : 'Save'}
+          </button>
+        </form>
+      )}
+
+      {isLoading ? (
+        <div className="text-center py-8 text-gray-500">Loading...</div>
+      ) : statement?.transactions?.length > 0 ? (
+        <div className="divide-y border rounded-lg">
+          {statement.transactions.map((row) => (
+            <div key={row.transaction_id} className="flex items-center justify-between p-3">
+              <div>
+                <p className="font-medium text-gray-900">{typeLabels[row.transaction_type] || row.transaction_type}</p>
+                <p className="text-sm text-gray-500">
+                  {new Date(row.created_at).toLocaleString()}
+                  {row.reference_number && ` · ${row.reference_number}`}
+                  {row.user_first_name && ` · ${row.user_first_name} ${row.user_last_name || ''}`}
+                </p>
+                {row.notes && <p className="text-xs text-gray-500">{row.notes}</p>}
+              </div>
+              <div className="text-right">
+                <p className={`font-semibold ${parseFloat(row.amount) > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                  {parseFloat(row.amount) > 0 ? '+' : '-'}${Math.abs(parseFloat(row.amount)).toFixed(2)}
+                </p>
+                <p className="text-xs text-gray-500">Balance ${parseFloat(row.balance_after).toFixed(2)}</p>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-center py-8 text-gray-500">
+          <WalletIcon className="w-12 h-12 mx-auto mb-4 text-gray-300" />
+          <p>No store credit activity yet</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Loyalty points balance, ledger and manual adjustments
+function LoyaltyTab({ customerId }) {
+  const queryClient = useQueryClient();
+  const { hasPermission } = useAuthStore();
+  const [adjustment, setAdjustment] = useState({ points: '', reason: '' });
+
+  const canAdjust = hasPermission('discounts');
+
+  const { data: balance } = useQuery({
+    queryKey: ['customer-loyalty', customerId],
+    queryFn: () => customerService.getLoyalty(customerId).then(res => res.data)
+  });
+
+  const { data: ledger, isLoading } = useQuery({
+    queryKey: ['customer-loyalty-transactions', customerId],
+    queryFn: () => customerService.getLoyaltyTransactions(customerId).then(res => res.data)
+  });
+
+  const adjustMutation = useMutation({
+    mutationFn: (data) => customerService.adjustLoyalty(customerId, data),
+    onSuccess: () => {
+      toast.success('Points adjusted');
+      setAdjustment({ points: '', reason: '' });
+      queryClient.invalidateQueries({ queryKey: ['customer-loyalty', customerId] });
+      queryClient.invalidateQueries({ queryKey: ['customer-loyalty-transactions', customerId] });
+      queryClient.invalidateQueries({ queryKey: ['customer', customerId] });
+      queryClient.invalidateQueries({ queryKey: ['customers'] });
+    },
+    onError: (error) => {
+      const data = error.response?.data;
+      toast.error((typeof data?.details === 'string' ? data.details : data?.error) || 'Failed to adjust points');
+    }
+  });
+
+  const handleAdjust = (e) => {
+    e.preventDefault();
+    const points = parseInt(adjustment.points);
+    if (!points || !adjustment.reason.trim()) {
+      toast.error('Enter the points and a reason');
+      return;
+    }
+    adjustMutation.mutate({ points, reason: adjustment.reason.trim() });
+  };
+
+  const typeLabels = {
+    EARN: 'Earned',
+    REDEEM: 'Redeemed',
+    EARN_REVERSAL: 'Earned points reversed',
+    REDEEM_REVERSAL: 'Redeemed points returned',
+    EXPIRE: 'Expired',
+    ADJUST: 'Adjustment'
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="p-6 bg-gradient-to-r from-purple-500 to-primary-600 rounded-xl text-white text-center">
+        <p className="text-sm opacity-80 mb-1">Points Balance</p>
+        <p className="text-4xl font-bold">{balance?.points ?? 0}</p>
+        {balance && (
+          <p className="text-sm opacity-80 mt-1">Worth ${balance.value.toFixed(2)} at the till</p>
+        )}
+        {balance?.nextExpiry && (
+          <p className="text-xs opacity-80 mt-2">
+            {balance.nextExpiry.points} points expire on {new Date(balance.nextExpiry.expiresAt).toLocaleDateString()}
+          </p>
+        )}
+      </div>
+
+      {canAdjust && (
+        <form onSubmit={handleAdjust} className="flex gap-2">
+          <input
+            type="number"
+            step="1"
+            value={adjustment.points}
+            onChange={(e) => setAdjustment({ ...adjustment, points: e.target.value })}
+            placeholder="+/- points"
+            className="input w-32"
+          />
+          <input
+            type="text"
+            value={adjustment.reason}
+            onChange={(e) => setAdjustment({ ...adjustment, reason: e.target.value })}
+            placeholder="Reason"
+            className="input flex-1"
+          />
+          <button type="submit" disabled={adjustMutation.isPending} className="btn-primary">
+            {adjustMutation.isPending ? 'Saving...' : 'Adjust'}
+          </button>
+        </form>
+      )}
+
+      {isLoading ? (
+        <div className="text-center py-8 text-gray-500">Loading...</div>
+      ) : ledger?.transactions?.length > 0 ? (
+        <div className="divide-y border rounded-lg">
+          {ledger.transactions.map((entry) => (
+            <div key={entry.transaction_id} className="flex items-center justify-between p-3">
+              <div>
+                <p className="font-medium text-gray-900">{typeLabels[entry.transaction_type] || entry.transaction_type}</p>
+                <p className="text-sm text-gray-500">
+                  {new Date(entry.created_at).toLocaleString()}
+                  {entry.sale_number && ` · ${entry.sale_number}`}
+                  {entry.return_number && ` · ${entry.return_number}`}
+                </p>
+                {entry.notes && <p className="text-xs text-gray-500">{entry.notes}</p>}
+              </div>
+              <div className="text-right">
+                <p className={`font-semibold ${entry.points > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                  {entry.points > 0 ? '+' : ''}{entry.points}
+                </p>
+                <p className="text-xs text-gray-500">Balance {entry.balance_after}</p>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-center py-8 text-gray-500">
+          <GiftIcon className="w-12 h-12 mx-auto mb-4 text-gray-300" />
+          <p>No points activity yet</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const EMPTY_SEGMENT_FILTER = {
+  segment: [],
+  lapsed: '',
+  vip: '',
+  minSpend: '',
+  maxSpend: '',
+  minVisits: '',
+  maxVisits: '',
+  lastVisitWithinDays: '',
+  noVisitForDays: '',
+  minRecency: '',
+  minFrequency: '',
+  minMonetary: '',
+  city: '',
+  preferredCategoryId: '',
+};
+
+// Builder form -> segment filter for the API (empty criteria left out)
+const toSegmentFilter = (form) => Object.fromEntries(
+  Object.entries(form).filter(([, value]) => (Array.isArray(value) ? value.length > 0 : value !== ''))
+);
+
+// Saved segment filter -> builder form
+const toSegmentForm = (filter) => ({
+  ...EMPTY_SEGMENT_FILTER,
+  ...Object.fromEntries(Object.entries(filter || {}).map(([key, value]) => [
+    key,
+    key === 'segment' ? value : (Array.isArray(value) ? String(value[0]) : String(value)),
+  ])),
+});
+
+// RFM segments, lapsed/VIP and city/category breakdowns, with a builder that
+// previews the matching customers and saves the filter as a named segment
+function SegmentBuilder({ onViewCustomer }) {
+  const queryClient = useQueryClient();
+  const { hasPermission } = useAuthStore();
+  const canSave = hasPermission('discounts');
+  const [form, setForm] = useState(EMPTY_SEGMENT_FILTER);
+  const [editingSegment, setEditingSegment] = useState(null);
+  const [segmentName, setSegmentName] = useState('');
+  const filter = toSegmentFilter(form);
+
+  const { data: summary } = useQuery({
+    queryKey: ['customer-segments-summary'],
+    queryFn: () => customerService.getSegmentSummary().then(res => res.data)
+  });
+
+  const { data: savedData } = useQuery({
+    queryKey: ['customer-segments'],
+    queryFn: () => customerService.getSegments().then(res => res.data)
+  });
+  const savedSegments = savedData?.segments || [];
+
+  const { data: preview, isFetching: previewLoading } = useQuery({
+    queryKey: ['customer-segment-preview', filter],
+    queryFn: () => customerService.previewSegment(filter, { limit: 50 }).then(res => res.data),
+    placeholderData: (previous) => previous
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => editingSegment
+      ? customerService.updateSegment(editingSegment.segment_id, data)
+      : customerService.createSegment(data),
+    onSuccess: () => {
+      toast.success(editingSegment ? 'Segment updated' : 'Segment saved');
+      setEditingSegment(null);
+      setSegmentName('');
+      queryClient.invalidateQueries({ queryKey: ['customer-segments'] });
+    },
+    onError: (error) => toast.error(error.response?.data?.error || 'Failed to save segment')
+  });
+
+  const deleteMutation = useMutation({
+    mutationFn: (segmentId) => customerService.deleteSegment(segmentId),
+    onSuccess: () => {
+      toast.success('Segment deleted');
+      queryClient.invalidateQueries({ queryKey: ['customer-segments'] });
+    },
+    onError: () => toast.error('Failed to delete segment')
+  });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((f) => ({ ...f, [name]: value }));
+  };
+
+  const toggleSegment = (key) => {
+    setForm((f) => ({
+      ...f,
+      segment: f.segment.includes(key) ? f.segment.filter(s => s !== key) : [...f.segment, key]
+    }));
+  };
+
+  const loadSegment = (segment) => {
+    setForm(toSegmentForm(segment.filter));
+    setEditingSegment(segment);
+    setSegmentName(segment.segment_name);
+  };
+
+  const segmentLabel = (key) => summary?.segments.find(s => s.key === key)?.label || key;
+
+  return (
+    <div className="space-y-6">
+      {/* RFM segments */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {(summary?.segments || []).map(segment => (
+          <button
+            key={segment.key}
+            onClick={() => setForm({ ...EMPTY_SEGMENT_FILTER, segment: [segment.key] })}
+            title={segment.description}
+            className={`text-left bg-white rounded-xl p-4 border hover:shadow ${form.segment.includes(segment.key) ? 'border-primary-500 ring-1 ring-primary-500' : ''}`}
+          >
+            <p className="text-sm text-gray-500">{segment.label}</p>
+            <p className="text-xl font-bold text-gray-900">{segment.customers}</p>
+            <p className="text-xs text-gray-400">${segment.spend.toLocaleString()} spent</p>
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Builder */}
+        <div className="bg-white rounded-xl p-4 border space-y-4">
+          <div className="flex items-center justify-between">
+            <h3 className="font-semibold flex items-center gap-2">
+              <FunnelIcon className="w-5 h-5" />
+              {editingSegment ? `Editing "${editingSegment.segment_name}"` : 'Build a segment'}
+            </h3>
+            <button
+              onClick={() => { setForm(EMPTY_SEGMENT_FILTER); setEditingSegment(null); setSegmentName(''); }}
+              className="text-sm text-gray-500 hover:underline"
+            >
+              Clear
+            </button>
+          </div>
+
+          <div>
+            <label className="label">RFM segment</label>
+            <div className="flex flex-wrap gap-1">
+              {(summary?.segments || []).map(segment => (
+                <button
+                  key={segment.key}
+                  type="button"
+                  onClick={() => toggleSegment(segment.key)}
+                  className={`px-2 py-1 text-xs rounded-full border ${form.segment.includes(segment.key) ? 'bg-primary-600 text-white border-primary-600' : 'text-gray-600'}`}
+                >
+                  {segment.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="label">Lapsed</label>
+              <select name="lapsed" value={form.lapsed} onChange={handleChange} className="input">
+                <option value="">Any</option>
+                <option value="true">Lapsed ({summary?.settings.lapsedDays}+ days)</option>
+                <option value="false">Not lapsed</option>
+              </select>
+            </div>
+            <div>
+              <label className="label">VIP</label>
+              <select name="vip" value={form.vip} onChange={handleChange} className="input">
+                <option value="">Any</option>
+                <option value="true">VIP</option>
+                <option value="false">Not VIP</option>
+              </select>
+            </div>
+            <div>
+              <label className="label">Spent at least</label>
+              <input name="minSpend" type="number" min="0" value={form.minSpend} onChange={handleChange} className="input" />
+            </div>
+            <div>
+              <label className="label">Spent at most</label>
+              <input name="maxSpend" type="number" min="0" value={form.maxSpend} onChange={handleChange} className="input" />
+            </div>
+            <div>
+              <label className="label">Visits at least</label>
+              <input name="minVisits" type="number" min="0" value={form.minVisits} onChange={handleChange} className="input" />
+            </div>
+            <div>
+              <label className="label">Visits at most</label>
+              <input name="maxVisits" type="number" min="0" value={form.maxVisits} onChange={handleChange} className="input" />
+            </div>
+            <div>
+              <label className="label">Visited within (days)</label>
+              <input name="lastVisitWithinDays" type="number" min="0" value={form.lastVisitWithinDays} onChange={handleChange} className="input" />
+            </div>
+            <div>
+              <label className="label">Not visited for (days)</label>
+              <input name="noVisitForDays" type="number" min="0" value={form.noVisitForDays} onChange={handleChange} className="input" />
+            </div>
+            {[
+              { name: 'minRecency', label: 'Recency score' },
+              { name: 'minFrequency', label: 'Frequency score' },
+              { name: 'minMonetary', label: 'Monetary score' },
+            ].map(score => (
+              <div key={score.name}>
+                <label className="label">{score.label}</label>
+                <select name={score.name} value={form[score.name]} onChange={handleChange} className="input">
+                  <option value="">Any</option>
+                  {[2, 3, 4, 5].map(n => <option key={n} value={n}>{n}+</option>)}
+                </select>
+              </div>
+            ))}
+            <div>
+              <label className="label">City</label>
+              <input name="city" list="segment-cities" value={form.city} onChange={handleChange} className="input" />
+              <datalist id="segment-cities">
+                {(summary?.cities || []).filter(c => c.city !== 'Unknown').map(c => <option key={c.city} value={c.city} />)}
+              </datalist>
+            </div>
+            <div className="col-span-2">
+              <label className="label">Prefers category</label>
+              <select name="preferredCategoryId" value={form.preferredCategoryId} onChange={handleChange} className="input">
+                <option value="">Any</option>
+                {(summary?.categories || []).map(category => (
+                  <option key={category.categoryId} value={category.categoryId}>
+                    {category.categoryName} ({category.customers})
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {canSave && (
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                saveMutation.mutate({ segmentName, filter, description: editingSegment?.description || null });
+              }}
+              className="flex gap-2 border-t pt-4"
+            >
+              <input
+                value={segmentName}
+                onChange={(e) => setSegmentName(e.target.value)}
+                placeholder="Segment name"
+                required
+                className="input"
+              />
+              <button type="submit" disabled={saveMutation.isPending} className="btn-primary whitespace-nowrap">
+                {editingSegment ? 'Update' : 'Save'}
+              </button>
+            </form>
+          )}
+          <p className="text-xs text-gray-500">Saved segments can be picked as the audience when sending SMS coupons from Promotions</p>
+        </div>
+
+        {/* Preview */}
+        <div className="lg:col-span-2 bg-white rounded-xl border overflow-hidden">
+          <div className="flex items-center justify-between p-4 border-b">
+            <h3 className="font-semibold">
+              {previewLoading ? 'Loading...' : `${preview?.total || 0} customers`}
+            </h3>
+            <span className="text-sm text-gray-500">${(preview?.totalSpend || 0).toLocaleString()} spent</span>
+          </div>
+          <div className="max-h-[32rem] overflow-y-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Customer</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Segment</th>
+                  <th className="px-3 py-2 text-center text-xs font-medium text-gray-500 uppercase">R F M</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Spent</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Visits</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Last Visit</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {(preview?.customers || []).map(customer => (
+                  <tr key={customer.customerId} onClick={() => onViewCustomer(customer.customerId)} className="hover:bg-gray-50 cursor-pointer">
+                    <td className="px-3 py-2">
+                      <p className="font-medium text-gray-900">
+                        {customer.firstName} {customer.lastName}
+                        {customer.isVip && <span className="ml-1 text-xs px-1.5 py-0.5 rounded-full bg-yellow-100 text-yellow-700">VIP</span>}
+                      </p>
+                      <p className="text-xs text-gray-500">{customer.phone}{customer.city ? ` · ${customer.city}` : ''}</p>
+                    </td>
+                    <td className="px-3 py-2">
+                      {segmentLabel(customer.segment)}
+                      {customer.isLapsed && <span className="block text-xs text-red-600">Lapsed</span>}
+                    </td>
+                    <td className="px-3 py-2 text-center font-mono">
+                      {customer.recencyScore ? `${customer.recencyScore} ${customer.frequencyScore} ${customer.monetaryScore}` : '-'}
+                    </td>
+                    <td className="px-3 py-2 text-right">${customer.totalPurchases.toLocaleString()}</td>
+                    <td className="px-3 py-2 text-right">{customer.visitCount}</td>
+                    <td className="px-3 py-2 text-right text-gray-500">
+                      {customer.daysSinceVisit === null ? 'Never' : `${customer.daysSinceVisit}d ago`}
+                    </td>
+                  </tr>
+                ))}
+                {preview?.total > (preview?.customers.length || 0) && (
+                  <tr>
+                    <td colSpan={6} className="px-3 py-2 text-center text-xs text-gray-500">
+                      Showing the top {preview.customers.length} by spend
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Saved segments */}
+        <div className="bg-white rounded-xl p-4 border">
+          <h3 className="font-semibold mb-3">Saved Segments</h3>
+          {savedSegments.length === 0 ? (
+            <p className="text-sm text-gray-500">No saved segments yet</p>
+          ) : (
+            <div className="divide-y">
+              {savedSegments.map(segment => (
+                <div key={segment.segment_id} className="flex items-center justify-between py-2">
+                  <button onClick={() => loadSegment(segment)} className="text-left">
+                    <p className="font-medium text-gray-900">{segment.segment_name}</p>
+                    <p className="text-xs text-gray-500">{segment.customer_count} customers</p>
+                  </button>
+                  {canSave && (
+                    <button
+                      onClick={() => {
+                        if (confirm(`Delete segment "${segment.segment_name}"?`)) deleteMutation.mutate(segment.segment_id);
+                      }}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                      title="Delete segment"
+                    >
+                      <TrashIcon className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* By city */}
+        <div className="bg-white rounded-xl p-4 border">
+          <h3 className="font-semibold mb-3">By City</h3>
+          <div className="divide-y max-h-64 overflow-y-auto">
+            {(summary?.cities || []).map(city => (
+              <button
+                key={city.city}
+                onClick={() => city.city !== 'Unknown' && setForm({ ...EMPTY_SEGMENT_FILTER, city: city.city })}
+                className="w-full flex items-center justify-between py-2 text-sm hover:bg-gray-50"
+              >
+                <span>{city.city}</span>
+                <span className="text-gray-500">{city.customers}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* By preferred category */}
+        <div className="bg-white rounded-xl p-4 border">
+          <h3 className="font-semibold mb-3">By Preferred Category</h3>
+          <div className="divide-y max-h-64 overflow-y-auto">
+            {(summary?.categories || []).map(category => (
+              <button
+                key={category.categoryId}
+                onClick={() => setForm({ ...EMPTY_SEGMENT_FILTER, preferredCategoryId: String(category.categoryId) })}
+                className="w-full flex items-center justify-between py-2 text-sm hover:bg-gray-50"
+              >
+                <span>{category.categoryName}</span>
+                <span className="text-gray-500">{category.customers}</span>
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-2">
+            {summary?.lapsed.customers || 0} lapsed · {summary?.vip.customers || 0} VIP of {summary?.totalCustomers || 0} customers
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const customerName = (customer) => [customer.first_name, customer.last_name].filter(Boolean).join(' ');
+
+// Likely duplicate customers (same number as +92 / 03xx, a digit out, a
+// misspelt name) side by side; a pair is merged into the record chosen to keep
+function DuplicateFinder({ onViewCustomer }) {
+  const queryClient = useQueryClient();
+  const { hasPermission } = useAuthStore();
+  const canMerge = hasPermission('discounts');
+  const [merging, setMerging] = useState(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['customer-duplicates'],
+    queryFn: () => customerService.getDuplicates().then(res => res.data)
+  });
+  const pairs = data?.pairs || [];
+
+  const dismissMutation = useMutation({
+    mutationFn: ({ customerA, customerB }) => customerService.dismissDuplicate(customerA.customer_id, customerB.customer_id),
+    onSuccess: () => {
+      toast.success('Marked as different customers');
+      queryClient.invalidateQueries({ queryKey: ['customer-duplicates'] });
+    },
+    onError: (error) => toast.error(error.response?.data?.error || 'Failed to dismiss')
+  });
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm overflow-hidden">
+      <div className="p-4 border-b flex items-center justify-between">
+        <div>
+          <h3 className="font-semibold">Possible Duplicates</h3>
+          <p className="text-sm text-gray-500">Phone numbers are compared in any format (+92 300... / 0300...)</p>
+        </div>
+        <span className="text-sm text-gray-500">{data?.total || 0} pairs</span>
+      </div>
+
+      {isLoading ? (
+        <div className="p-8 text-center text-gray-500">Loading...</div>
+      ) : pairs.length === 0 ? (
+        <div className="p-8 text-center text-gray-500">No likely duplicates found</div>
+      ) : (
+        <div className="divide-y">
+          {pairs.map(pair => (
+            <div key={`${pair.customerA.customer_id}-${pair.customerB.customer_id}`} className="p-4">
+              <div className="flex items-center justify-between mb-3">
+                <div className="flex flex-wrap gap-2">
+                  {pair.reasons.map(reason => (
+                    <span key={reason} className="px-2 py-0.5 text-xs rounded-full bg-amber-100 text-amber-800">{reason}</span>
+                  ))}
+                </div>
+                <span className="text-sm font-medium text-gray-700">{Math.round(pair.score * 100)}% match</span>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {[[pair.customerA, pair.customerB], [pair.customerB, pair.customerA]].map(([customer, other]) => (
+                  <div key={customer.customer_id} className="border rounded-lg p-3">
+                    <button onClick={() => onViewCustomer(customer.customer_id)} className="text-left">
+                      <p className="font-medium text-gray-900 hover:text-primary-600">{customerName(customer)}</p>
+                    </button>
+                    <p className="text-sm text-gray-600">{customer.phone}</p>
+                    {customer.email && <p className="text-sm text-gray-600">{customer.email}</p>}
+                    {customer.city && <p className="text-sm text-gray-600">{customer.city}</p>}
+                    <p className="text-xs text-gray-500 mt-1">
+                      {customer.visit_count || 0} visits · ${(parseFloat(customer.total_purchases) || 0).toLocaleString()} spent ·
+                      {' '}${(parseFloat(customer.wallet_balance) || 0).toFixed(2)} wallet · {customer.loyalty_points || 0} pts
+                    </p>
+                    <p className="text-xs text-gray-400">
+                      Since {new Date(customer.created_at).toLocaleDateString()}
+                      {customer.last_visit_at && ` · last visit ${new Date(customer.last_visit_at).toLocaleDateString()}`}
+                    </p>
+                    {canMerge && (
+                      <button
+                        onClick={() => setMerging({ survivor: customer, duplicate: other })}
+                        className="mt-2 text-sm text-primary-600 hover:underline flex items-center gap-1"
+                      >
+                        <ArrowsRightLeftIcon className="w-4 h-4" />
+                        Keep this one
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              {canMerge && (
+                <button
+                  onClick={() => dismissMutation.mutate(pair)}
+                  disabled={dismissMutation.isPending}
+                  className="mt-3 text-sm text-gray-500 hover:text-gray-700"
+                >
+                  Not a duplicate
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {merging && (
+        <MergeCustomersModal
+          survivor={merging.survivor}
+          duplicate={merging.duplicate}
+          onClose={() => setMerging(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+function MergeCustomersModal({ survivor, duplicate, onClose }) {
+  const queryClient = useQueryClient();
+  const [reason, setReason] = useState('');
+
+  const mergeMutation = useMutation({
+    mutationFn: () => customerService.merge(survivor.customer_id, { duplicateId: duplicate.customer_id, reason: reason || null }),
+    onSuccess: () => {
+      toast.success(`${customerName(duplicate)} merged into ${customerName(survivor)}`);
+      queryClient.invalidateQueries({ queryKey: ['customer-duplicates'] });
+      queryClient.invalidateQueries({ queryKey: ['customers'] });
+      onClose();
+    },
+    onError: (error) => toast.error(error.response?.data?.error || 'Failed to merge customers')
+  });
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl w-full max-w-md">
+        <div className="flex items-center justify-between p-4 border-b">
+          <h2 className="text-lg font-semibold">Merge Customers</h2>
+          <button onClick={onClose} className="p-1 hover:bg-gray-100 rounded">
+            <XMarkIcon className="w-5 h-5" />
+          </button>
+        </div>
+        <div className="p-4 space-y-4">
+          <p className="text-sm text-gray-700">
+            <span className="font-medium">{customerName(duplicate)}</span> ({duplicate.phone}) will be merged into
+            {' '}<span className="font-medium">{customerName(survivor)}</span> ({survivor.phone}).
+          </p>
+          <ul className="text-sm text-gray-600 list-disc pl-5 space-y-1">
+            <li>Sales, parked sales, returns, coupons and account payments move to {customerName(survivor)}</li>
+            <li>${(parseFloat(duplicate.wallet_balance) || 0).toFixed(2)} store credit and {duplicate.loyalty_points || 0} points are added to theirs</li>
+            <li>{duplicate.phone} is deactivated; looking it up finds {customerName(survivor)}</li>
+          </ul>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="input w-full"
+              placeholder="e.g. Same customer, new number"
+            />
+          </div>
+        </div>
+        <div className="flex justify-end gap-2 p-4 border-t">
+          <button onClick={onClose} className="btn-secondary">Cancel</button>
+          <button
+            onClick={() => mergeMutation.mutate()}
+            disabled={mergeMutation.isPending}
+            className="btn-primary"
+          >
+            {mergeMutation.isPending ? 'Merging...' : 'Merge'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
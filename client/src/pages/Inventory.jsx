@@ -10,9 +10,10 @@ import {
   ExclamationTriangleIcon,
   ArrowPathIcon,
   FunnelIcon,
-  ChevronDownIcon
+  ChevronDownIcon,
+  TruckIcon
 } from '@heroicons/react/24/outline';
-import api from '../services/api';
+import api, { inventoryService } from '../services/api';
 import toast from 'react-hot-toast';
 
 export default function Inventory() {
@@ -22,6 +23,7 @@ export default function Inventory() {
   const [stockFilter, setStockFilter] = useState('all'); // all, low, out
   const [showAdjustModal, setShowAdjustModal] = useState(false);
   const [showTransferModal, setShowTransferModal] = useState(false);
+  const [showTransfersList, setShowTransfersList] = useState(false);
   const [selectedProduct, setSelectedProduct] = useState(null);
 
   // Fetch locations
@@ -95,13 +97,22 @@ export default function Inventory() {
           <h1 className="text-2xl font-bold text-gray-900">Inventory</h1>
           <p className="text-gray-500">Manage stock levels across locations</p>
         </div>
-        <button
-          onClick={() => refetch()}
-          className="btn btn-secondary flex items-center gap-2"
-        >
-          <ArrowPathIcon className="w-5 h-5" />
-          Refresh
-        </button>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setShowTransfersList(true)}
+            className="btn btn-secondary flex items-center gap-2"
+          >
+            <TruckIcon className="w-5 h-5" />
+            Transfers
+          </button>
+          <button
+            onClick={() => refetch()}
+            className="btn btn-secondary flex items-center gap-2"
+          >
+            <ArrowPathIcon className="w-5 h-5" />
+            Refresh
+          </button>
+        </div>
       </div>
 
       {/* Summary Cards */}
@@ -242,7 +253,12 @@ export default function Inventory() {
                       {item.locationName || item.location?.name}
                     </span>
                   </td>
-                  <td className="px-6 py-4 text-center font-medium">{item.quantity || 0}</td>
+                  <td className="px-6 py-4 text-center font-medium">
+                    {item.quantity || 0}
+                    {item.inTransit > 0 && (
+                      <p className="text-xs font-normal text-blue-600">+{item.inTransit} in transit</p>
+                    )}
+                  </td>
                   <td className="px-6 py-4 text-center text-gray-500">{item.reserved || 0}</td>
                   <td className="px-6 py-4 text-center font-medium">
                     {(item.quantity || 0) - (item.reserved || 0)}
@@ -320,6 +336,15 @@ export default function Inventory() {
           }}
         />
       )}
+
+      {/* Transfers List */}
+      {showTransfersList && (
+        <TransfersModal
+          locationId={selectedLocation}
+          onClose={() => setShowTransfersList(false)}
+          onChange={() => refetch()}
+        />
+      )}
     </div>
   );
 }
@@ -490,6 +515,7 @@ function StockTransferModal({ product, locations, onClose, onSave }) {
   const [toLocation, setToLocation] = useState('');
   const [quantity, setQuantity] = useState('');
   const [notes, setNotes] = useState('');
+  const [dispatchNow, setDispatchNow] = useState(true);
   const [loading, setLoading] = useState(false);
 
   const currentLocationId = product.locationId || product.location?.id;
@@ -501,23 +527,26 @@ function StockTransferModal({ product, locations, onClose, onSave }) {
       toast.error('Please enter a valid quantity');
       return;
     }
-    if (parseInt(quantity) > (product.quantity || 0)) {
+    if (dispatchNow && parseInt(quantity) > (product.quantity || 0)) {
       toast.error('Cannot transfer more than available stock');
       return;
     }
 
     setLoading(true);
     try {
-      await api.post('/inventory/transfers', {
+      const res = await inventoryService.createTransfer({
         fromLocationId: product.locationId || product.location?.id || 1,
         toLocationId: parseInt(toLocation),
         items: [{
           variantId: product.variantId || product.variant?.id,
           quantity: parseInt(quantity)
         }],
-        notes
+        notes,
+        dispatch: dispatchNow
       });
-      toast.success('Stock transferred successfully');
+      toast.success(dispatchNow
+        ? `${res.data.transfer.transfer_number} dispatched - stock is in transit`
+        : `${res.data.transfer.transfer_number} requested`);
       onSave();
     } catch (error) {
       toast.error(error.response?.data?.message || 'Failed to transfer stock');
@@ -598,6 +627,22 @@ function StockTransferModal({ product, locations, onClose, onSave }) {
             />
           </div>
 
+          {/* Dispatch now */}
+          <label className="flex items-start gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={dispatchNow}
+              onChange={(e) => setDispatchNow(e.target.checked)}
+              className="mt-0.5"
+            />
+            <span>
+              Dispatch now
+              <span className="block text-gray-500">
+                Stock leaves this location immediately and is added at the destination once they receive it
+              </span>
+            </span>
+          </label>
+
           {/* Actions */}
           <div className="flex gap-2">
             <button type="button" onClick={onClose} className="flex-1 btn btn-secondary">
@@ -605,11 +650,11 @@ function StockTransferModal({ product, locations, onClose, onSave }) {
             </button>
             <button
               type="submit"
-              disabled={loading || parseInt(quantity) > product.quantity}
+              disabled={loading || (dispatchNow && parseInt(quantity) > product.quantity)}
               className="flex-1 btn-primary flex items-center justify-center gap-2"
             >
               <ArrowsRightLeftIcon className="w-5 h-5" />
-              {loading ? 'Transferring...' : 'Transfer'}
+              {loading ? 'Saving...' : dispatchNow ? 'Dispatch' : 'Request'}
             </button>
           </div>
         </form>
@@ -617,3 +662,284 @@ function StockTransferModal({ product, locations, onClose, onSave }) {
     </div>
   );
 }
+
+const TRANSFER_STATUS_STYLES = {
+  REQUESTED: 'bg-gray-100 text-gray-700',
+  DISPATCHED: 'bg-blue-100 text-blue-700',
+  RECEIVED: 'bg-green-100 text-green-700',
+  CANCELLED: 'bg-red-100 text-red-700',
+};
+
+// Transfers List Modal
+function TransfersModal({ locationId, onClose, onChange }) {
+  const [statusFilter, setStatusFilter] = useState('open'); // open, all
+  const [selectedId, setSelectedId] = useState(null);
+
+  const { data: transfers, isLoading } = useQuery({
+    queryKey: ['transfers', locationId],
+    queryFn: () => inventoryService.getTransfers({ locationId: locationId || undefined })
+      .then(res => res.data.transfers)
+  });
+
+  const visible = (transfers || []).filter(t =>
+    statusFilter === 'all' || ['REQUESTED', 'DISPATCHED'].includes(t.status)
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-xl font-semibold">
+            {selectedId ? (
+              <button onClick={() => setSelectedId(null)} className="text-primary-600">← Transfers</button>
+            ) : 'Stock Transfers'}
+          </h3>
+          <button onClick={onClose}>
+            <XMarkIcon className="w-6 h-6 text-gray-400" />
+          </button>
+        </div>
+
+        {selectedId ? (
+          <TransferDetail transferId={selectedId} onChange={onChange} />
+        ) : (
+          <>
+            <div className="flex gap-2 mb-4">
+              {[
+                { value: 'open', label: 'Open' },
+                { value: 'all', label: 'All' }
+              ].map((filter) => (
+                <button
+                  key={filter.value}
+                  onClick={() => setStatusFilter(filter.value)}
+                  className={`px-4 py-2 rounded-lg font-medium text-sm ${
+                    statusFilter === filter.value ? 'bg-primary-600 text-white' : 'bg-gray-100 text-gray-700'
+                  }`}
+                >
+                  {filter.label}
+                </button>
+              ))}
+            </div>
+
+            <div className="divide-y border rounded-lg">
+              {isLoading ? (
+                <p className="p-6 text-center text-gray-500">Loading...</p>
+              ) : visible.length > 0 ? (
+                visible.map(t => (
+                  <button
+                    key={t.transfer_id}
+                    onClick={() => setSelectedId(t.transfer_id)}
+                    className="w-full p-4 flex items-center justify-between text-left hover:bg-gray-50"
+                  >
+                    <div>
+                      <p className="font-medium">
+                        {t.transfer_number}
+                        {t.has_discrepancy && (
+                          <ExclamationTriangleIcon className="w-4 h-4 text-yellow-500 inline ml-2" title="Short or over delivery" />
+                        )}
+                      </p>
+                      <p className="text-sm text-gray-500">
+                        {t.from_location_name} → {t.to_location_name} • {new Date(t.requested_at).toLocaleDateString()}
+                      </p>
+                    </div>
+                    <div className="text-right">
+                      <span className={`text-xs px-2 py-0.5 rounded-full ${TRANSFER_STATUS_STYLES[t.status]}`}>
+                        {t.status}
+                      </span>
+                      <p className="text-sm text-gray-500 mt-1">
+                        {t.status === 'RECEIVED'
+                          ? `${t.quantity_received} of ${t.quantity_dispatched} received`
+                          : t.status === 'DISPATCHED'
+                          ? `${t.quantity_dispatched} in transit`
+                          : `${t.quantity_requested} requested`}
+                      </p>
+                    </div>
+                  </button>
+                ))
+              ) : (
+                <p className="p-6 text-center text-gray-500">No transfers</p>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Transfer lines with dispatch / receive / cancel for its current status
+function TransferDetail({ transferId, onChange }) {
+  const queryClient = useQueryClient();
+  const [quantities, setQuantities] = useState({});
+  const [lineNotes, setLineNotes] = useState({});
+  const [receivingNotes, setReceivingNotes] = useState('');
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['transfer', transferId],
+    queryFn: () => inventoryService.getTransfer(transferId).then(res => res.data)
+  });
+
+  const actionMutation = useMutation({
+    mutationFn: ({ action, payload }) => {
+      if (action === 'dispatch') return inventoryService.dispatchTransfer(transferId, payload);
+      if (action === 'receive') return inventoryService.receiveTransfer(transferId, payload);
+      return inventoryService.cancelTransfer(transferId);
+    },
+    onSuccess: (res) => {
+      const { transfer } = res.data;
+      toast.success(transfer.has_discrepancy
+        ? `${transfer.transfer_number} received with discrepancies`
+        : `${transfer.transfer_number} ${transfer.status.toLowerCase()}`);
+      setQuantities({});
+      queryClient.invalidateQueries(['transfers']);
+      queryClient.invalidateQueries(['transfer', transferId]);
+      onChange();
+    },
+    onError: (error) => toast.error(error.response?.data?.message || 'Failed to update transfer')
+  });
+
+  if (isLoading || !data) {
+    return <p className="p-6 text-center text-gray-500">Loading...</p>;
+  }
+
+  const { transfer, items } = data;
+  const editable = ['REQUESTED', 'DISPATCHED'].includes(transfer.status);
+  const expectedQuantity = (item) => (transfer.status === 'REQUESTED' ? item.quantity_requested : item.quantity_dispatched);
+  const quantityFor = (item) => quantities[item.transfer_item_id] ?? expectedQuantity(item);
+
+  const submit = (action) => {
+    if (action === 'cancel') {
+      if (window.confirm('Cancel this transfer?')) {
+        actionMutation.mutate({ action });
+      }
+      return;
+    }
+
+    actionMutation.mutate({
+      action,
+      payload: {
+        items: items.map(item => ({
+          transferItemId: item.transfer_item_id,
+          quantity: parseInt(quantityFor(item)) || 0,
+          notes: lineNotes[item.transfer_item_id] || null
+        })),
+        notes: receivingNotes || null
+      }
+    });
+  };
+
+  return (
+    <div>
+      <div className="mb-4 p-4 bg-gray-50 rounded-lg flex items-center justify-between">
+        <div>
+          <p className="font-medium">{transfer.transfer_number}</p>
+          <p className="text-sm text-gray-500">{transfer.from_location_name} → {transfer.to_location_name}</p>
+          {transfer.notes && <p className="text-sm text-gray-500 mt-1">{transfer.notes}</p>}
+        </div>
+        <div className="text-right text-sm text-gray-500">
+          <span className={`text-xs px-2 py-0.5 rounded-full ${TRANSFER_STATUS_STYLES[transfer.status]}`}>
+            {transfer.status}
+          </span>
+          {transfer.dispatched_at && (
+            <p className="mt-1">Dispatched {new Date(transfer.dispatched_at).toLocaleString()} by {transfer.dispatched_by_first_name}</p>
+          )}
+          {transfer.received_at && (
+            <p>Received {new Date(transfer.received_at).toLocaleString()} by {transfer.received_by_first_name}</p>
+          )}
+        </div>
+      </div>
+
+      <table className="w-full text-sm mb-4">
+        <thead className="text-left text-gray-500 border-b">
+          <tr>
+            <th className="py-2 font-medium">Item</th>
+            <th className="py-2 font-medium text-center">Requested</th>
+            <th className="py-2 font-medium text-center">Dispatched</th>
+            <th className="py-2 font-medium text-center">Received</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y">
+          {items.map(item => {
+            const editingColumn = transfer.status === 'REQUESTED' ? 'dispatched' : transfer.status === 'DISPATCHED' ? 'received' : null;
+            const variance = transfer.status === 'RECEIVED'
+              ? item.quantity_received - item.quantity_dispatched
+              : transfer.status === 'DISPATCHED'
+              ? (parseInt(quantityFor(item)) || 0) - item.quantity_dispatched
+              : 0;
+
+            const quantityInput = (
+              <input
+                type="number"
+                min="0"
+                max={editingColumn === 'received' ? item.quantity_dispatched : undefined}
+                value={quantityFor(item)}
+                onChange={(e) => setQuantities({ ...quantities, [item.transfer_item_id]: e.target.value })}
+                className="input w-20 mx-auto text-center"
+              />
+            );
+
+            return (
+              <tr key={item.transfer_item_id}>
+                <td className="py-2">
+                  <p className="font-medium">{item.product_name} {item.variant_name !== 'Default' && item.variant_name}</p>
+                  <p className="text-xs text-gray-500">{item.sku}</p>
+                  {variance !== 0 && (
+                    <p className={`text-xs ${variance < 0 ? 'text-red-600' : 'text-yellow-600'}`}>
+                      {variance < 0 ? `Short ${-variance}` : `Over ${variance}`}
+                      {item.discrepancy_notes && ` - ${item.discrepancy_notes}`}
+                    </p>
+                  )}
+                  {transfer.status === 'DISPATCHED' && variance !== 0 && (
+                    <input
+                      value={lineNotes[item.transfer_item_id] || ''}
+                      onChange={(e) => setLineNotes({ ...lineNotes, [item.transfer_item_id]: e.target.value })}
+                      placeholder="Reason (damaged, missing...)"
+                      className="input mt-1 text-xs"
+                    />
+                  )}
+                </td>
+                <td className="py-2 text-center">{item.quantity_requested}</td>
+                <td className="py-2 text-center">
+                  {editingColumn === 'dispatched' ? quantityInput : item.quantity_dispatched}
+                </td>
+                <td className="py-2 text-center">
+                  {editingColumn === 'received' ? quantityInput : transfer.status === 'RECEIVED' ? item.quantity_received : '—'}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {transfer.status === 'DISPATCHED' && (
+        <div className="mb-4">
+          <label className="label">Receiving Notes</label>
+          <input value={receivingNotes} onChange={(e) => setReceivingNotes(e.target.value)} className="input" />
+        </div>
+      )}
+      {transfer.receiving_notes && (
+        <p className="text-sm text-gray-500 mb-4">Receiving notes: {transfer.receiving_notes}</p>
+      )}
+
+      {editable && (
+        <div className="flex gap-2">
+          {transfer.status === 'REQUESTED' && (
+            <>
+              <button onClick={() => submit('cancel')} disabled={actionMutation.isPending} className="flex-1 btn btn-secondary">
+                Cancel Transfer
+              </button>
+              <button onClick={() => submit('dispatch')} disabled={actionMutation.isPending} className="flex-1 btn-primary flex items-center justify-center gap-2">
+                <TruckIcon className="w-5 h-5" />
+                Dispatch
+              </button>
+            </>
+          )}
+          {transfer.status === 'DISPATCHED' && (
+            <button onClick={() => submit('receive')} disabled={actionMutation.isPending} className="flex-1 btn-primary">
+              {actionMutation.isPending ? 'Receiving...' : 'Confirm Receipt'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -13,18 +13,41 @@ import {
   BanknotesIcon,
   XMarkIcon,
   QrCodeIcon,
-  PrinterIcon
+  PrinterIcon,
+  ArrowUturnLeftIcon,
+  SignalSlashIcon,
+  CloudArrowUpIcon,
+  ExclamationTriangleIcon,
+  LockOpenIcon,
+  TicketIcon,
+  DocumentTextIcon
 } from '@heroicons/react/24/outline';
+import { useAuthStore } from '../stores/authStore';
 import { useCartStore } from '../stores/cartStore';
-import api from '../services/api';
+import { useOfflineStore, withOfflineFallback } from '../stores/offlineStore';
+import { getMeta, searchCatalogue, findByBarcode } from '../services/offlineDb';
+import api, { accountService, approvalService, couponService, customerService, hardwareService, promotionService, resolveImageUrl } from '../services/api';
+import ManagerApprovalModal from '../components/ManagerApprovalModal';
 import toast from 'react-hot-toast';
 
+// Coupon checks fail with a validation error whose details is the reason
+const couponErrorMessage = (error) => {
+  const data = error.response?.data;
+  return (typeof data?.details === 'string' ? data.details : data?.message) || 'Could not apply coupon';
+};
+
 export default function POS() {
   const [searchQuery, setSearchQuery] = useState('');
   const [showPayment, setShowPayment] = useState(false);
   const [showCustomerModal, setShowCustomerModal] = useState(false);
   const [showDiscountModal, setShowDiscountModal] = useState(false);
+  const [showCouponModal, setShowCouponModal] = useState(false);
   const [showSuspendedModal, setShowSuspendedModal] = useState(false);
+  const [showExchangeModal, setShowExchangeModal] = useState(false);
+  const [showSyncIssues, setShowSyncIssues] = useState(false);
+  const [showNoSaleApproval, setShowNoSaleApproval] = useState(false);
+  const [loyaltyAmount, setLoyaltyAmount] = useState(0);
+  const [walletAmount, setWalletAmount] = useState(0);
   const [selectedCategory, setSelectedCategory] = useState(null);
   const searchInputRef = useRef(null);
   const lastScanRef = useRef('');
@@ -34,6 +57,11 @@ export default function POS() {
     items,
     customer,
     discountAmount: discount,
+    discountOverrideId,
+    promotions,
+    coupon,
+    exchange,
+    returnItems,
     addItem,
     updateQuantity,
     removeItem,
@@ -43,15 +71,116 @@ export default function POS() {
     getSubtotal,
     getTax,
     getTotal,
+    getReturnCredit,
+    getCheckoutKey,
+    getPromotionKey,
+    setPromotions,
+    arePromotionsCurrent,
+    getItemPromotions,
+    getPromotionDiscount,
+    setCoupon,
+    getCouponBase,
+    getCouponKey,
+    isCouponCurrent,
+    getCouponDiscount,
+    startExchange,
+    removeReturnItem,
     suspendCart,
     resumeCart,
     getSuspendedCarts
   } = useCartStore();
 
+  const {
+    isOnline,
+    queuedCount,
+    syncing,
+    syncIssues,
+    refreshCatalogue,
+    queueSale,
+    syncQueue,
+    dismissIssue
+  } = useOfflineStore();
+
+  const { currentLocation } = useAuthStore();
+  const locationId = currentLocation?.id;
+
+  // Refresh the offline catalogue whenever the POS opens with a connection
+  useEffect(() => {
+    if (isOnline && locationId) {
+      refreshCatalogue(locationId).catch(() => { });
+    }
+  }, [isOnline, locationId]);
+
+  // Preview promotions whenever the cart changes. The server re-evaluates them
+  // when the sale is recorded; offline sales are priced without promotions
+  const promotionKey = getPromotionKey();
+  useEffect(() => {
+    if (items.length === 0 || !isOnline) {
+      setPromotions(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      promotionService.evaluate({
+        locationId,
+        items: items.map(item => ({
+          variantId: item.variantId,
+          quantity: item.quantity,
+          unitPrice: item.price,
+          discountAmount: item.discountAmount || 0
+        }))
+      })
+        .then(response => {
+          if (!cancelled) setPromotions({ ...response.data, key: promotionKey });
+        })
+        .catch(() => {
+          if (!cancelled) setPromotions(null);
+        });
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [promotionKey, isOnline, locationId]);
+
+  // Check the coupon again whenever what it applies to (or the customer) changes
+  const couponKey = getCouponKey();
+  useEffect(() => {
+    if (!coupon || coupon.key === couponKey || !isOnline || !arePromotionsCurrent()) {
+      return;
+    }
+
+    let cancelled = false;
+    couponService.redeem({
+      code: coupon.code,
+      customerId: customer?.id || customer?.customer_id || null,
+      subtotal: getCouponBase()
+    })
+      .then(response => {
+        if (!cancelled) {
+          setCoupon({ ...response.data.coupon, discountAmount: response.data.discountAmount, key: couponKey });
+        }
+      })
+      .catch(error => {
+        if (cancelled) return;
+        setCoupon(null);
+        toast.error(`Coupon ${coupon.code} removed: ${couponErrorMessage(error)}`);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [couponKey, coupon?.code, promotions?.key, isOnline]);
+
   // Fetch categories
   const { data: categoriesData } = useQuery({
     queryKey: ['pos-categories'],
-    queryFn: () => api.get('/products/categories/list').then(res => res.data)
+    queryFn: () => withOfflineFallback(
+      () => api.get('/products/categories/list').then(res => res.data),
+      async () => (await getMeta('categories')) || { categories: [] }
+    )
   });
 
   // Transform categories to consistent format
@@ -63,7 +192,10 @@ export default function POS() {
   // Fetch payment methods
   const { data: paymentMethodsData, isLoading: paymentMethodsLoading } = useQuery({
     queryKey: ['payment-methods'],
-    queryFn: () => api.get('/sales/payment-methods/list').then(res => res.data)
+    queryFn: () => withOfflineFallback(
+      () => api.get('/sales/payment-methods/list').then(res => res.data),
+      async () => (await getMeta('paymentMethods')) || []
+    )
   });
 
   // Transform payment methods - handle both array and object with paymentMethods property
@@ -88,6 +220,33 @@ export default function POS() {
     return null;
   };
 
+  // Store credit and points balances of the attached customer, for those tenders
+  const tenderCustomerId = customer?.id || customer?.customer_id || null;
+  const { data: wallet } = useQuery({
+    queryKey: ['customer-wallet', tenderCustomerId],
+    queryFn: () => customerService.getWallet(tenderCustomerId).then(res => res.data),
+    enabled: !!tenderCustomerId && isOnline
+  });
+  const { data: loyalty } = useQuery({
+    queryKey: ['customer-loyalty', tenderCustomerId],
+    queryFn: () => customerService.getLoyalty(tenderCustomerId).then(res => res.data),
+    enabled: !!tenderCustomerId && isOnline
+  });
+  const walletMethod = paymentMethods.find(m => m.method_type === 'credit');
+  const walletValue = walletMethod && isOnline ? wallet?.balance || 0 : 0;
+  const loyaltyMethod = paymentMethods.find(m => m.method_type === 'loyalty');
+  const loyaltyValue = loyalty?.enabled && loyaltyMethod && isOnline ? loyalty.value : 0;
+
+  // Credit account of the attached customer; the remainder can be charged to it
+  // while it fits the available credit (the server checks the limit again)
+  const { data: account } = useQuery({
+    queryKey: ['customer-account', tenderCustomerId],
+    queryFn: () => accountService.getAccount(tenderCustomerId).then(res => res.data.account),
+    enabled: !!tenderCustomerId && isOnline
+  });
+  const accountMethod = paymentMethods.find(m => m.method_type === 'account');
+  const accountAvailable = account?.creditLimit > 0 && accountMethod && isOnline ? account.available : null;
+
   // Fetch products - use quick search for POS
   const {
     data: searchResults,
@@ -95,7 +254,7 @@ export default function POS() {
     refetch: refetchProducts
   } = useQuery({
     queryKey: ['pos-products', selectedCategory, searchQuery],
-    queryFn: async () => {
+    queryFn: () => withOfflineFallback(async () => {
       // If there's a search query, use quick search
       if (searchQuery && searchQuery.length >= 2) {
         const response = await api.get(`/products/search/quick?q=${encodeURIComponent(searchQuery)}`);
@@ -106,7 +265,10 @@ export default function POS() {
       if (selectedCategory) params.append('categoryId', selectedCategory);
       const response = await api.get(`/products?${params}`);
       return response.data;
-    },
+    }, async () => ({
+      // Offline - search the cached catalogue
+      products: await searchCatalogue({ query: searchQuery, categoryId: selectedCategory })
+    })),
     enabled: true,
     staleTime: 30 * 1000, // 30 seconds - refresh product list more frequently
     refetchOnWindowFocus: true // Refresh when switching back to POS tab
@@ -117,18 +279,30 @@ export default function POS() {
 
   // Process sale mutation
   const processSaleMutation = useMutation({
-    mutationFn: (saleData) => api.post('/sales', saleData),
+    mutationFn: (saleData) => saleData.originalSaleId
+      ? api.post('/sales/exchanges', saleData)
+      : withOfflineFallback(
+        () => api.post('/sales', saleData, { headers: { 'Idempotency-Key': saleData.clientSaleId } }),
+        // No connection - keep the sale on this device and sync it later
+        async () => ({ data: { offline: true, provisionalNumber: await queueSale(saleData) } })
+      ),
     onSuccess: (response) => {
-      toast.success('Sale completed successfully!');
+      if (response.data.offline) {
+        toast.success(`Saved offline as ${response.data.provisionalNumber}. It will sync when back online.`);
+        clearCart();
+        setShowPayment(false);
+        refetchProducts();
+        return;
+      }
+
+      toast.success(response.data.returnId ? 'Exchange completed successfully!' : 'Sale completed successfully!');
       clearCart();
       setShowPayment(false);
       refetchProducts(); // <-- Refetch products to update stock
       // Trigger receipt print - server returns saleId
       const saleId = response.data.saleId || response.data.transaction_id;
       if (saleId) {
-        api.post('/hardware/print-receipt', {
-          saleId: saleId
-        }).catch(() => { }); // Ignore print errors
+        hardwareService.printReceipt(saleId).catch(() => { }); // Ignore print errors
       }
     },
     onError: (error) => {
@@ -177,9 +351,15 @@ export default function POS() {
 
   const handleBarcodeScanned = async (barcode) => {
     try {
-      const response = await api.get(`/products/barcode/${barcode}`);
-      if (response.data) {
-        const product = response.data;
+      const product = await withOfflineFallback(
+        () => api.get(`/products/barcode/${barcode}`).then(res => res.data),
+        async () => {
+          const cached = await findByBarcode(barcode);
+          if (!cached) throw new Error('Product not found');
+          return cached;
+        }
+      );
+      if (product) {
         const stock = parseInt(product.stock) || 0;
 
         // Check if product is in stock
@@ -262,45 +442,140 @@ export default function POS() {
     toast.success(`Added: ${displayName}`);
   };
 
+  // Which actions need a manager (Settings > Security)
+  const { data: approvalRequirements } = useQuery({
+    queryKey: ['approval-requirements'],
+    queryFn: () => approvalService.getRequirements().then(res => res.data.requirements),
+    enabled: isOnline,
+    staleTime: 5 * 60 * 1000
+  });
+
+  const openDrawer = async (approvalToken) => {
+    try {
+      await hardwareService.openCashDrawer(approvalToken);
+      toast.success('Cash drawer opened');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to open cash drawer');
+    }
+  };
+
+  const handleNoSale = () => {
+    if (approvalRequirements?.NO_SALE === false) {
+      openDrawer();
+      return;
+    }
+    setShowNoSaleApproval(true);
+  };
+
   const handleCheckout = () => {
     if (items.length === 0) {
       toast.error('Cart is empty');
       return;
     }
+    if (exchange && !isOnline) {
+      toast.error('Exchanges need a connection to look up the original sale');
+      return;
+    }
+    // The amount charged must match the server's price, promotions included
+    if (isOnline && !arePromotionsCurrent()) {
+      toast.error('Updating promotions, please try again');
+      return;
+    }
+    if (coupon && !isOnline) {
+      toast.error('Coupons need a connection - remove the coupon to sell offline');
+      return;
+    }
+    if (coupon && !isCouponCurrent()) {
+      toast.error('Checking the coupon, please try again');
+      return;
+    }
+    if (exchange) {
+      const amountDue = Math.round(getTotal() * 100) / 100;
+      if (amountDue < 0) {
+        toast.error('Returned items exceed the replacement items. Add items of equal or greater value.');
+        return;
+      }
+      // Even exchange - nothing to settle
+      if (amountDue === 0) {
+        handlePayment(null, 'EXCHANGE');
+        return;
+      }
+    }
     if (paymentMethodsLoading || paymentMethods.length === 0) {
       toast.error('Payment methods loading, please wait...');
       return;
     }
+    setLoyaltyAmount(0);
+    setWalletAmount(0);
     setShowPayment(true);
   };
 
-  const handlePayment = (paymentMethodId, paymentMethodType) => {
-    if (!paymentMethodId) {
+  // Store credit and points pay as much of the total as they cover; the rest
+  // goes on the tender chosen next
+  const applyStoreCredit = () => {
+    const due = Math.round((getTotal() - loyaltyAmount) * 100) / 100;
+    const amount = Math.min(walletValue, due);
+
+    if (amount >= due) {
+      handlePayment(null, 'STORE_CREDIT', { wallet: amount });
+    } else {
+      setWalletAmount(amount);
+    }
+  };
+
+  const applyLoyalty = () => {
+    const due = Math.round((getTotal() - walletAmount) * 100) / 100;
+    const amount = Math.min(loyaltyValue, due);
+
+    if (amount >= due) {
+      handlePayment(null, 'LOYALTY', { loyalty: amount });
+    } else {
+      setLoyaltyAmount(amount);
+    }
+  };
+
+  const handlePayment = (paymentMethodId, paymentMethodType, applied = {}) => {
+    const totalAmount = Math.round(getTotal() * 100) / 100;
+    const walletPart = Math.min(applied.wallet ?? walletAmount, totalAmount);
+    const loyaltyPart = Math.min(applied.loyalty ?? loyaltyAmount, Math.round((totalAmount - walletPart) * 100) / 100);
+    const remainder = Math.round((totalAmount - walletPart - loyaltyPart) * 100) / 100;
+
+    if (!paymentMethodId && remainder > 0) {
       toast.error('Invalid payment method. Please try again.');
       return;
     }
 
-    const totalAmount = getTotal();
-
     const saleData = {
-      locationId: 1, // TODO: Get from user's current location/settings
+      locationId,
       customerId: customer?.id || customer?.customer_id || null,
       items: items.map(item => ({
         variantId: item.variantId,
         quantity: item.quantity,
         unitPrice: item.price,
-        originalPrice: item.originalPrice || item.price,
         discountAmount: item.discountAmount || 0,
-        taxAmount: 0
+        priceOverrideId: item.priceOverrideId || null
       })),
-      payments: [{
-        paymentMethodId: paymentMethodId,
-        amount: totalAmount
-      }],
+      // In an exchange only the difference is paid
+      payments: [
+        ...(walletPart > 0 ? [{ paymentMethodId: walletMethod.payment_method_id, amount: walletPart }] : []),
+        ...(loyaltyPart > 0 ? [{ paymentMethodId: loyaltyMethod.payment_method_id, amount: loyaltyPart }] : []),
+        ...(remainder > 0 ? [{ paymentMethodId: paymentMethodId, amount: remainder }] : [])
+      ],
       discountAmount: discount || 0,
+      discountOverrideId: discountOverrideId || null,
+      couponCode: coupon?.code || null,
+      clientSaleId: getCheckoutKey(),
       notes: null
     };
 
+    if (exchange) {
+      saleData.originalSaleId = exchange.saleId;
+      saleData.returnItems = returnItems.map(item => ({
+        saleItemId: item.saleItemId,
+        quantity: item.quantity
+      }));
+    }
+
     processSaleMutation.mutate(saleData);
   };
 
@@ -392,7 +667,9 @@ export default function POS() {
                   : name;
                 const sku = product.sku || product.code;
                 const price = product.price || product.basePrice || 0;
-                const imageUrl = product.imageUrl || product.imageURL;
+                const imageUrl = resolveImageUrl(
+                  product.thumbnailUrl || product.thumbnail_url || product.imageUrl || product.image_url || product.imageURL
+                );
                 const stock = product.stock ?? product.totalStock ?? 0;
 
                 return (
@@ -418,6 +695,7 @@ export default function POS() {
                         <img
                           src={imageUrl}
                           alt={displayName}
+                          loading="lazy"
                           className="w-full h-full object-cover group-hover:scale-105 transition-transform"
                         />
                       ) : (
@@ -458,8 +736,29 @@ export default function POS() {
         {/* Cart Header */}
         <div className="p-4 border-b">
           <div className="flex items-center justify-between mb-3">
-            <h2 className="text-lg font-semibold">Current Sale</h2>
+            <h2 className="text-lg font-semibold">
+              {exchange ? `Exchange ${exchange.saleNumber}` : 'Current Sale'}
+            </h2>
             <div className="flex gap-2">
+              {/* No Sale - open the drawer */}
+              <button
+                onClick={handleNoSale}
+                disabled={!isOnline}
+                className="p-2 text-gray-500 hover:text-primary-600 hover:bg-gray-100 rounded-lg disabled:opacity-50"
+                title="No Sale (open drawer)"
+              >
+                <LockOpenIcon className="w-5 h-5" />
+              </button>
+              {/* Exchange */}
+              {!exchange && (
+                <button
+                  onClick={() => setShowExchangeModal(true)}
+                  className="p-2 text-gray-500 hover:text-primary-600 hover:bg-gray-100 rounded-lg"
+                  title="Exchange"
+                >
+                  <ArrowUturnLeftIcon className="w-5 h-5" />
+                </button>
+              )}
               {/* Suspended Carts */}
               {suspendedCarts.length > 0 && (
                 <button
@@ -487,7 +786,7 @@ export default function POS() {
                 </button>
               )}
               {/* Clear Cart */}
-              {items.length > 0 && (
+              {(items.length > 0 || returnItems.length > 0) && (
                 <button
                   onClick={() => {
                     if (confirm('Clear all items from cart?')) {
@@ -504,6 +803,43 @@ export default function POS() {
             </div>
           </div>
 
+          {/* Offline / Sync Status */}
+          {(!isOnline || queuedCount > 0 || syncIssues.length > 0) && (
+            <div className={`mb-3 p-3 rounded-lg text-sm flex items-center gap-2 ${!isOnline ? 'bg-yellow-50 text-yellow-800' : 'bg-blue-50 text-blue-800'}`}>
+              {!isOnline ? (
+                <SignalSlashIcon className="w-5 h-5 flex-shrink-0" />
+              ) : (
+                <CloudArrowUpIcon className="w-5 h-5 flex-shrink-0" />
+              )}
+              <span className="flex-1">
+                {!isOnline ? 'Offline mode' : 'Online'}
+                {queuedCount > 0 && ` - ${queuedCount} sale${queuedCount === 1 ? '' : 's'} waiting to sync`}
+              </span>
+              {isOnline && queuedCount > 0 && (
+                <button
+                  onClick={async () => {
+                    const { synced } = await syncQueue();
+                    if (synced > 0) toast.success(`Synced ${synced} offline sale${synced === 1 ? '' : 's'}`);
+                  }}
+                  disabled={syncing}
+                  className="font-medium underline"
+                >
+                  {syncing ? 'Syncing...' : 'Sync now'}
+                </button>
+              )}
+              {syncIssues.length > 0 && (
+                <button
+                  onClick={() => setShowSyncIssues(true)}
+                  className="flex items-center gap-1 font-medium text-red-600"
+                  title="Sync conflicts"
+                >
+                  <ExclamationTriangleIcon className="w-4 h-4" />
+                  {syncIssues.length}
+                </button>
+              )}
+            </div>
+          )}
+
           {/* Customer Selection */}
           <button
             onClick={() => setShowCustomerModal(true)}
@@ -516,6 +852,9 @@ export default function POS() {
               <div className="text-left">
                 <p className="font-medium text-gray-900">{customer.name}</p>
                 <p className="text-sm text-gray-500">{customer.phone}</p>
+                {loyalty?.points > 0 && (
+                  <p className="text-xs text-primary-600">{loyalty.points} loyalty points</p>
+                )}
               </div>
             ) : (
               <span className="text-gray-500">Add Customer (Optional)</span>
@@ -525,7 +864,36 @@ export default function POS() {
 
         {/* Cart Items */}
         <div className="flex-1 overflow-y-auto p-4 space-y-3">
-          {items.length === 0 ? (
+          {/* Return lines (exchange) */}
+          {returnItems.map((item) => (
+            <div
+              key={`return-${item.saleItemId}`}
+              className="bg-red-50 border border-red-100 rounded-lg p-3"
+            >
+              <div className="flex items-start gap-3">
+                <div className="w-12 h-12 bg-red-100 rounded-lg flex-shrink-0 flex items-center justify-center">
+                  <ArrowUturnLeftIcon className="w-5 h-5 text-red-500" />
+                </div>
+                <div className="flex-1 min-w-0">
+                  <h4 className="font-medium text-gray-900 truncate">{item.name}</h4>
+                  <p className="text-xs text-red-600">Returned x {item.quantity}</p>
+                </div>
+                <button
+                  onClick={() => removeReturnItem(item.saleItemId)}
+                  className="p-1 text-gray-400 hover:text-red-500"
+                >
+                  <XMarkIcon className="w-4 h-4" />
+                </button>
+              </div>
+              <div className="flex justify-end mt-2">
+                <span className="font-semibold text-red-600">
+                  -${(item.quantity * item.unitRefund).toFixed(2)}
+                </span>
+              </div>
+            </div>
+          ))}
+
+          {items.length === 0 && returnItems.length === 0 ? (
             <div className="flex flex-col items-center justify-center h-full text-gray-400">
               <ReceiptPercentIcon className="w-16 h-16 mb-4" />
               <p className="text-lg">Cart is empty</p>
@@ -593,6 +961,15 @@ export default function POS() {
                       ${(item.quantity * parseFloat(item.price)).toFixed(2)}
                     </span>
                   </div>
+                  {getItemPromotions(item.variantId).map(promotion => (
+                    <div
+                      key={promotion.promotionId}
+                      className="flex justify-between mt-1 text-xs text-green-600"
+                    >
+                      <span className="truncate">{promotion.name}</span>
+                      <span>-${promotion.amount.toFixed(2)}</span>
+                    </div>
+                  ))}
                 </div>
               );
             })
@@ -615,12 +992,54 @@ export default function POS() {
             </span>
           </button>
 
+          {/* Coupon */}
+          {coupon ? (
+            <div className="w-full flex items-center justify-between p-3 bg-green-50 rounded-lg">
+              <div className="flex items-center gap-2">
+                <TicketIcon className="w-5 h-5 text-green-600" />
+                <span className="text-green-700 font-medium">{coupon.code}</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <span className="font-medium text-green-700">
+                  {isCouponCurrent() ? `-$${getCouponDiscount().toFixed(2)}` : 'Checking...'}
+                </span>
+                <button onClick={() => setCoupon(null)} className="p-1 text-gray-400 hover:text-red-500">
+                  <XMarkIcon className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button
+              onClick={() => {
+                if (!isOnline) {
+                  toast.error('Coupons need a connection');
+                  return;
+                }
+                setShowCouponModal(true);
+              }}
+              disabled={items.length === 0}
+              className="w-full flex items-center justify-between p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors"
+            >
+              <div className="flex items-center gap-2">
+                <TicketIcon className="w-5 h-5 text-gray-500" />
+                <span className="text-gray-600">Coupon</span>
+              </div>
+              <span className="font-medium text-gray-900">Add</span>
+            </button>
+          )}
+
           {/* Totals */}
           <div className="space-y-2 text-sm">
             <div className="flex justify-between text-gray-600">
               <span>Subtotal</span>
               <span>${getSubtotal().toFixed(2)}</span>
             </div>
+            {getPromotionDiscount() > 0 && (
+              <div className="flex justify-between text-green-600">
+                <span>Promotions</span>
+                <span>-${getPromotionDiscount().toFixed(2)}</span>
+              </div>
+            )}
             <div className="flex justify-between text-gray-600">
               <span>Tax (8.25%)</span>
               <span>${getTax().toFixed(2)}</span>
@@ -631,8 +1050,20 @@ export default function POS() {
                 <span>-${discount.toFixed(2)}</span>
               </div>
             )}
+            {getCouponDiscount() > 0 && (
+              <div className="flex justify-between text-green-600">
+                <span>Coupon</span>
+                <span>-${getCouponDiscount().toFixed(2)}</span>
+              </div>
+            )}
+            {exchange && (
+              <div className="flex justify-between text-red-600">
+                <span>Exchange Credit</span>
+                <span>-${getReturnCredit().toFixed(2)}</span>
+              </div>
+            )}
             <div className="flex justify-between text-lg font-bold pt-2 border-t">
-              <span>Total</span>
+              <span>{exchange ? 'Amount Due' : 'Total'}</span>
               <span>${getTotal().toFixed(2)}</span>
             </div>
           </div>
@@ -660,10 +1091,62 @@ export default function POS() {
             </div>
 
             <div className="text-center mb-6">
-              <p className="text-gray-500">Total Amount</p>
+              <p className="text-gray-500">{exchange ? 'Amount Due' : 'Total Amount'}</p>
               <p className="text-4xl font-bold text-gray-900">${getTotal().toFixed(2)}</p>
             </div>
 
+            {walletValue > 0 && (
+              <div className="mb-4 p-3 bg-yellow-50 rounded-lg">
+                <p className="text-sm text-yellow-800">
+                  Customer has <strong>${walletValue.toFixed(2)}</strong> store credit available
+                </p>
+                {walletAmount > 0 ? (
+                  <div className="mt-2 flex items-center justify-between text-sm">
+                    <span className="text-yellow-800">
+                      Store credit pays ${walletAmount.toFixed(2)} - choose how to pay the remaining ${(getTotal() - walletAmount - loyaltyAmount).toFixed(2)}
+                    </span>
+                    <button onClick={() => setWalletAmount(0)} className="text-yellow-700 hover:underline">
+                      Remove
+                    </button>
+                  </div>
+                ) : (
+                  <button
+                    onClick={applyStoreCredit}
+                    disabled={processSaleMutation.isPending}
+                    className="mt-2 w-full btn btn-sm bg-yellow-500 text-white hover:bg-yellow-600"
+                  >
+                    Use Store Credit
+                  </button>
+                )}
+              </div>
+            )}
+
+            {loyaltyValue > 0 && (
+              <div className="mb-4 p-3 bg-primary-50 rounded-lg">
+                <p className="text-sm text-primary-800">
+                  Customer has <strong>{loyalty.points}</strong> points worth <strong>${loyaltyValue.toFixed(2)}</strong>
+                </p>
+                {loyaltyAmount > 0 ? (
+                  <div className="mt-2 flex items-center justify-between text-sm">
+                    <span className="text-primary-800">
+                      Points pay ${loyaltyAmount.toFixed(2)} - choose how to pay the remaining ${(getTotal() - walletAmount - loyaltyAmount).toFixed(2)}
+                    </span>
+                    <button onClick={() => setLoyaltyAmount(0)} className="text-primary-600 hover:underline">
+                      Remove
+                    </button>
+                  </div>
+                ) : (
+                  <button
+                    onClick={applyLoyalty}
+                    disabled={processSaleMutation.isPending}
+                    className="mt-2 w-full btn btn-sm bg-primary-600 text-white hover:bg-primary-700"
+                  >
+                    Pay with Points
+                  </button>
+                )}
+              </div>
+            )}
+
             <div className="space-y-3">
               <button
                 onClick={() => handlePayment(getPaymentMethodId('CASH'), 'CASH')}
@@ -689,21 +1172,23 @@ export default function POS() {
                 <ArrowPathIcon className="w-6 h-6" />
                 <span className="text-lg font-medium">Split Payment</span>
               </button>
-            </div>
-
-            {customer?.wallet_balance > 0 && (
-              <div className="mt-4 p-3 bg-yellow-50 rounded-lg">
-                <p className="text-sm text-yellow-800">
-                  Customer has <strong>${customer.wallet_balance.toFixed(2)}</strong> store credit available
-                </p>
+              {accountAvailable !== null && (
                 <button
-                  onClick={() => handlePayment(getPaymentMethodId('STORE_CREDIT'), 'STORE_CREDIT')}
-                  className="mt-2 w-full btn btn-sm bg-yellow-500 text-white hover:bg-yellow-600"
+                  onClick={() => handlePayment(accountMethod.payment_method_id, 'ACCOUNT')}
+                  disabled={processSaleMutation.isPending || getTotal() - walletAmount - loyaltyAmount > accountAvailable + 0.005}
+                  className="w-full flex flex-col items-center justify-center p-4 bg-gray-700 text-white rounded-xl hover:bg-gray-800 transition-colors disabled:opacity-50"
                 >
-                  Use Store Credit
+                  <span className="flex items-center gap-3">
+                    <DocumentTextIcon className="w-6 h-6" />
+                    <span className="text-lg font-medium">Charge to Account</span>
+                  </span>
+                  <span className="text-xs text-gray-300">
+                    ${accountAvailable.toFixed(2)} available of ${account.creditLimit.toFixed(2)} limit
+                  </span>
                 </button>
-              </div>
-            )}
+              )}
+            </div>
+
           </div>
         </div>
       )}
@@ -723,15 +1208,62 @@ export default function POS() {
       {showDiscountModal && (
         <DiscountModal
           currentDiscount={discount}
-          subtotal={getSubtotal()}
+          subtotal={getSubtotal() - getPromotionDiscount()}
           onClose={() => setShowDiscountModal(false)}
-          onApply={(amount) => {
-            setDiscount(amount);
+          onApply={(amount, overrideId) => {
+            setDiscount(amount, 'FIXED', '', overrideId);
             setShowDiscountModal(false);
           }}
         />
       )}
 
+      {/* Coupon Modal */}
+      {showCouponModal && (
+        <CouponModal
+          subtotal={getCouponBase()}
+          customerId={customer?.id || customer?.customer_id || null}
+          onClose={() => setShowCouponModal(false)}
+          onApply={(checked) => {
+            setCoupon({ ...checked, key: getCouponKey() });
+            setShowCouponModal(false);
+          }}
+        />
+      )}
+
+      {/* Exchange Modal */}
+      {showExchangeModal && (
+        <ExchangeModal
+          onClose={() => setShowExchangeModal(false)}
+          onStart={(sale, lines) => {
+            startExchange(sale, lines);
+            setShowExchangeModal(false);
+            toast.success(`Exchanging against ${sale.sale_number}`);
+          }}
+        />
+      )}
+
+      {/* Sync Issues Modal */}
+      {showNoSaleApproval && (
+        <ManagerApprovalModal
+          action="NO_SALE"
+          title="No Sale"
+          description="Opening the drawer without a sale needs manager approval."
+          onClose={() => setShowNoSaleApproval(false)}
+          onApproved={(approvalToken) => {
+            setShowNoSaleApproval(false);
+            openDrawer(approvalToken);
+          }}
+        />
+      )}
+
+      {showSyncIssues && (
+        <SyncIssuesModal
+          issues={syncIssues}
+          onClose={() => setShowSyncIssues(false)}
+          onDismiss={dismissIssue}
+        />
+      )}
+
       {/* Suspended Carts Modal */}
       {showSuspendedModal && (
         <SuspendedCartsModal
@@ -813,9 +1345,9 @@ function CustomerModal({ onClose, onSelect }) {
                   <p className="font-medium">{customer.first_name} {customer.last_name}</p>
                   <p className="text-sm text-gray-500">{customer.phone}</p>
                 </div>
-                {customer.wallet_balance > 0 && (
+                {parseFloat(customer.wallet_balance) > 0 && (
                   <span className="ml-auto text-sm text-green-600 font-medium">
-                    ${customer.wallet_balance.toFixed(2)} credit
+                    ${parseFloat(customer.wallet_balance).toFixed(2)} credit
                   </span>
                 )}
               </button>
@@ -839,6 +1371,9 @@ function CustomerModal({ onClose, onSelect }) {
 function DiscountModal({ currentDiscount, subtotal, onClose, onApply }) {
   const [discountType, setDiscountType] = useState('percent');
   const [discountValue, setDiscountValue] = useState(currentDiscount > 0 ? currentDiscount.toString() : '');
+  const [approval, setApproval] = useState(null); // { maxWithoutApproval } when a manager must approve
+  const [managerPIN, setManagerPIN] = useState('');
+  const [submitting, setSubmitting] = useState(false);
 
   const calculateDiscount = () => {
     const value = parseFloat(discountValue) || 0;
@@ -848,6 +1383,36 @@ function DiscountModal({ currentDiscount, subtotal, onClose, onApply }) {
     return Math.min(value, subtotal);
   };
 
+  // Discounts above max_discount_without_approval need a manager override record
+  const handleApply = async () => {
+    const amount = calculateDiscount();
+    setSubmitting(true);
+    try {
+      if (approval) {
+        const response = await api.post('/sales/price-overrides', {
+          overrideType: 'DISCOUNT',
+          originalAmount: subtotal,
+          overrideAmount: amount,
+          managerPIN
+        });
+        toast.success(`Discount approved by ${response.data.approvedBy}`);
+        onApply(amount, response.data.overrideId);
+        return;
+      }
+
+      const response = await api.post('/sales/apply-discount', { discountAmount: amount, subtotal });
+      if (response.data.requiresApproval) {
+        setApproval({ maxWithoutApproval: response.data.maxWithoutApproval });
+        return;
+      }
+      onApply(amount, null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to apply discount');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
       <div className="bg-white rounded-2xl p-6 w-full max-w-md">
@@ -901,17 +1466,287 @@ function DiscountModal({ currentDiscount, subtotal, onClose, onApply }) {
           </p>
         </div>
 
+        {approval && (
+          <div className="mb-4 p-3 bg-yellow-50 rounded-lg">
+            <p className="text-sm text-yellow-800 mb-2">
+              Discounts above {approval.maxWithoutApproval}% need manager approval
+            </p>
+            <input
+              type="password"
+              value={managerPIN}
+              onChange={(e) => setManagerPIN(e.target.value)}
+              placeholder="Manager PIN"
+              className="w-full px-4 py-2 border rounded-lg"
+              autoFocus
+            />
+          </div>
+        )}
+
         <div className="flex gap-2">
           <button onClick={onClose} className="flex-1 btn btn-secondary">
             Cancel
           </button>
           <button
-            onClick={() => onApply(calculateDiscount())}
+            onClick={handleApply}
+            disabled={submitting || (approval && !managerPIN)}
             className="flex-1 btn-primary"
           >
-            Apply Discount
+            {approval ? 'Approve Discount' : 'Apply Discount'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Coupon Modal - check a code before checkout (it is used when the sale completes)
+function CouponModal({ subtotal, customerId, onClose, onApply }) {
+  const [code, setCode] = useState('');
+  const [checking, setChecking] = useState(false);
+
+  const handleApply = async (e) => {
+    e.preventDefault();
+    setChecking(true);
+    try {
+      const response = await couponService.redeem({ code: code.trim(), customerId, subtotal });
+      toast.success(`Coupon applied: -$${response.data.discountAmount.toFixed(2)}`);
+      onApply({ ...response.data.coupon, discountAmount: response.data.discountAmount });
+    } catch (error) {
+      toast.error(couponErrorMessage(error));
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-md">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-semibold">Apply Coupon</h3>
+          <button onClick={onClose}>
+            <XMarkIcon className="w-6 h-6 text-gray-400" />
+          </button>
+        </div>
+
+        <form onSubmit={handleApply}>
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value.toUpperCase())}
+            placeholder="Enter or scan coupon code"
+            className="w-full px-4 py-3 border rounded-lg text-xl font-medium tracking-wider mb-2"
+            autoFocus
+          />
+          <p className="text-xs text-gray-500 mb-4">
+            Coupons issued to a customer need that customer selected first
+          </p>
+
+          <div className="flex gap-2">
+            <button type="button" onClick={onClose} className="flex-1 btn btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={checking || !code.trim()} className="flex-1 btn-primary">
+              {checking ? 'Checking...' : 'Apply Coupon'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Exchange Modal - scan the receipt barcode and pick the lines coming back
+function ExchangeModal({ onClose, onStart }) {
+  const [receiptCode, setReceiptCode] = useState('');
+  const [receipt, setReceipt] = useState(null);
+  const [quantities, setQuantities] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const lookupReceipt = async (e) => {
+    e.preventDefault();
+    if (!receiptCode.trim()) return;
+
+    setLoading(true);
+    try {
+      const response = await api.get(`/sales/receipt/${encodeURIComponent(receiptCode.trim())}`);
+      setReceipt(response.data);
+      setQuantities({});
+    } catch (error) {
+      setReceipt(null);
+      toast.error(error.response?.data?.message || 'Receipt not found');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const setLineQuantity = (item, quantity) => {
+    const clamped = Math.max(0, Math.min(quantity, item.returnable_quantity));
+    setQuantities({ ...quantities, [item.sale_item_id]: clamped });
+  };
+
+  const selectedLines = receipt
+    ? receipt.items
+      .filter(item => quantities[item.sale_item_id] > 0)
+      .map(item => ({
+        saleItemId: item.sale_item_id,
+        variantId: item.variant_id,
+        name: item.variant_name && item.variant_name !== 'Default'
+          ? `${item.product_name} - ${item.variant_name}`
+          : item.product_name,
+        quantity: quantities[item.sale_item_id],
+        unitRefund: item.unit_refund
+      }))
+    : [];
+
+  const credit = selectedLines.reduce((sum, line) => sum + line.unitRefund * line.quantity, 0);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-lg max-h-[80vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-semibold">Exchange</h3>
+          <button onClick={onClose}>
+            <XMarkIcon className="w-6 h-6 text-gray-400" />
+          </button>
+        </div>
+
+        <form onSubmit={lookupReceipt} className="relative mb-4">
+          <QrCodeIcon className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+          <input
+            type="text"
+            value={receiptCode}
+            onChange={(e) => setReceiptCode(e.target.value)}
+            placeholder="Scan receipt barcode or enter sale number..."
+            className="w-full pl-10 pr-4 py-3 border rounded-lg"
+            autoFocus
+          />
+        </form>
+
+        <div className="flex-1 overflow-y-auto space-y-2">
+          {loading ? (
+            <div className="text-center py-8 text-gray-500">Looking up receipt...</div>
+          ) : receipt ? (
+            <>
+              <div className="flex justify-between text-sm text-gray-500 mb-2">
+                <span>{receipt.sale.sale_number}</span>
+                <span>{new Date(receipt.sale.created_at).toLocaleString()}</span>
+              </div>
+              {!receipt.returnable && (
+                <div className="p-3 bg-red-50 text-red-700 rounded-lg text-sm">{receipt.message}</div>
+              )}
+              {receipt.items.map((item) => (
+                <div key={item.sale_item_id} className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg">
+                  <div className="flex-1 min-w-0">
+                    <p className="font-medium truncate">
+                      {item.product_name}{item.variant_name && item.variant_name !== 'Default' ? ` - ${item.variant_name}` : ''}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      ${item.unit_refund.toFixed(2)} each &middot; {item.returnable_quantity} of {item.quantity} returnable
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <button
+                      onClick={() => setLineQuantity(item, (quantities[item.sale_item_id] || 0) - 1)}
+                      disabled={!receipt.returnable}
+                      className="w-8 h-8 flex items-center justify-center bg-white border rounded-lg hover:bg-gray-100"
+                    >
+                      <MinusIcon className="w-4 h-4" />
+                    </button>
+                    <span className="w-6 text-center font-medium">{quantities[item.sale_item_id] || 0}</span>
+                    <button
+                      onClick={() => setLineQuantity(item, (quantities[item.sale_item_id] || 0) + 1)}
+                      disabled={!receipt.returnable || (quantities[item.sale_item_id] || 0) >= item.returnable_quantity}
+                      className="w-8 h-8 flex items-center justify-center bg-white border rounded-lg hover:bg-gray-100 disabled:opacity-50"
+                    >
+                      <PlusIcon className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </>
+          ) : (
+            <div className="text-center py-8 text-gray-500">Scan the barcode printed on the customer's receipt</div>
+          )}
+        </div>
+
+        <div className="mt-4 flex items-center justify-between">
+          <span className="text-gray-600">
+            Credit: <strong className="text-red-600">${credit.toFixed(2)}</strong>
+          </span>
+          <div className="flex gap-2">
+            <button onClick={onClose} className="btn btn-secondary">
+              Cancel
+            </button>
+            <button
+              onClick={() => onStart(receipt.sale, selectedLines)}
+              disabled={selectedLines.length === 0}
+              className="btn-primary"
+            >
+              Start Exchange
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Sync Issues Modal - offline sales that synced with conflicts or were rejected
+function SyncIssuesModal({ issues, onClose, onDismiss }) {
+  const conflictLabels = {
+    VARIANT_INACTIVE: 'Product deactivated',
+    PRICE_CHANGED: 'Price changed',
+    DISCOUNT_UNAPPROVED: 'Discount needs approval',
+    PAYMENT_MISMATCH: 'Payment mismatch',
+    STOCK_NEGATIVE: 'Stock went negative',
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-lg max-h-[80vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-semibold">Offline Sync Issues</h3>
+          <button onClick={onClose}>
+            <XMarkIcon className="w-6 h-6 text-gray-400" />
           </button>
         </div>
+
+        <div className="flex-1 overflow-y-auto space-y-3">
+          {issues.length === 0 ? (
+            <div className="text-center py-8 text-gray-500">No issues</div>
+          ) : issues.map((issue) => (
+            <div key={issue.clientSaleId} className="p-4 bg-gray-50 rounded-lg">
+              <div className="flex justify-between mb-2">
+                <span className="font-medium">{issue.provisionalNumber}</span>
+                <span className={`text-sm ${issue.saleNumber ? 'text-gray-500' : 'text-red-600 font-medium'}`}>
+                  {issue.saleNumber ? `Synced as ${issue.saleNumber}` : 'Not synced'}
+                </span>
+              </div>
+              {issue.error && (
+                <p className="text-sm text-red-600 mb-2">{issue.error}</p>
+              )}
+              <ul className="text-sm text-gray-700 space-y-1">
+                {issue.conflicts.map((conflict, index) => (
+                  <li key={index}>
+                    <span className="font-medium">{conflictLabels[conflict.type] || conflict.message || conflict.msg}</span>
+                    {conflict.variantId && ` - variant #${conflict.variantId}`}
+                    {conflict.expected !== undefined && ` (expected ${conflict.expected}, got ${conflict.received})`}
+                  </li>
+                ))}
+              </ul>
+              <button
+                onClick={() => {
+                  if (issue.saleNumber || confirm('Discard this offline sale? It will not be recorded on the server.')) {
+                    onDismiss(issue.clientSaleId);
+                  }
+                }}
+                className="mt-3 btn btn-sm btn-secondary"
+              >
+                {issue.saleNumber ? 'Acknowledge' : 'Discard'}
+              </button>
+            </div>
+          ))}
+        </div>
       </div>
     </div>
   );
@@ -14,9 +14,11 @@ import {
   DocumentDuplicateIcon,
   TagIcon,
   PrinterIcon,
-  EyeIcon
+  EyeIcon,
+  ArrowUpTrayIcon,
+  ArrowDownTrayIcon
 } from '@heroicons/react/24/outline';
-import api from '../services/api';
+import api, { productService, resolveImageUrl } from '../services/api';
 import toast from 'react-hot-toast';
 import { useAuthStore } from '../stores/authStore';
 
@@ -28,6 +30,7 @@ export default function Products() {
   const [showProductModal, setShowProductModal] = useState(false);
   const [editingProduct, setEditingProduct] = useState(null);
   const [expandedProducts, setExpandedProducts] = useState(new Set());
+  const [showImportModal, setShowImportModal] = useState(false);
 
   // Check if user is salesman (view-only mode)
   const isSalesman = user?.role?.toLowerCase() === 'salesman' || user?.isSalesman;
@@ -227,13 +230,29 @@ export default function Products() {
           <p className="text-gray-500">{isSalesman ? 'View product catalog and details' : 'Manage your product catalog and variants'}</p>
         </div>
         {!isSalesman && (
-          <button
-            onClick={() => setShowProductModal(true)}
-            className="btn-primary flex items-center gap-2"
-          >
-            <PlusIcon className="w-5 h-5" />
-            Add Product
-          </button>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => downloadProducts('xlsx', selectedCategory)}
+              className="btn-secondary flex items-center gap-2"
+            >
+              <ArrowDownTrayIcon className="w-5 h-5" />
+              Export
+            </button>
+            <button
+              onClick={() => setShowImportModal(true)}
+              className="btn-secondary flex items-center gap-2"
+            >
+              <ArrowUpTrayIcon className="w-5 h-5" />
+              Import
+            </button>
+            <button
+              onClick={() => setShowProductModal(true)}
+              className="btn-primary flex items-center gap-2"
+            >
+              <PlusIcon className="w-5 h-5" />
+              Add Product
+            </button>
+          </div>
         )}
       </div>
 
@@ -323,7 +342,7 @@ export default function Products() {
                   <tr key={product.id} className="hover:bg-gray-50">
                     <td className="px-6 py-4">
                       <div className="flex items-center gap-3">
-                        {product.variants?.length > 0 && (
+                        {product.hasVariants && product.variants?.length > 0 && (
                           <button
                             onClick={() => toggleExpand(product.id)}
                             className="p-1 hover:bg-gray-100 rounded"
@@ -336,15 +355,15 @@ export default function Products() {
                           </button>
                         )}
                         <div className="w-12 h-12 bg-gray-100 rounded-lg flex items-center justify-center overflow-hidden">
-                          {product.imageUrl ? (
-                            <img src={product.imageUrl} alt="" className="w-full h-full object-cover" />
+                          {product.thumbnailUrl || product.imageUrl ? (
+                            <img src={resolveImageUrl(product.thumbnailUrl || product.imageUrl)} alt="" loading="lazy" className="w-full h-full object-cover" />
                           ) : (
                             <QrCodeIcon className="w-6 h-6 text-gray-300" />
                           )}
                         </div>
                         <div>
                           <p className="font-medium text-gray-900">{product.name}</p>
-                          {product.variants?.length > 0 && (
+                          {product.hasVariants && product.variants?.length > 0 && (
                             <p className="text-sm text-gray-500">
                               {product.variants.length} variants
                             </p>
@@ -406,12 +425,16 @@ export default function Products() {
                   </tr>
 
                   {/* Variant Rows */}
-                  {expandedProducts.has(product.id) && product.variants?.map((variant) => (
+                  {expandedProducts.has(product.id) && product.hasVariants && product.variants?.map((variant) => (
                     <tr key={variant.id} className="bg-gray-50/50">
                       <td className="px-6 py-3 pl-16">
                         <div className="flex items-center gap-3">
-                          <div className="w-10 h-10 bg-gray-100 rounded-lg flex items-center justify-center">
-                            <TagIcon className="w-5 h-5 text-gray-400" />
+                          <div className="w-10 h-10 bg-gray-100 rounded-lg flex items-center justify-center overflow-hidden">
+                            {variant.thumbnailUrl ? (
+                              <img src={resolveImageUrl(variant.thumbnailUrl)} alt="" loading="lazy" className="w-full h-full object-cover" />
+                            ) : (
+                              <TagIcon className="w-5 h-5 text-gray-400" />
+                            )}
                           </div>
                           <div>
                             <p className="text-sm font-medium text-gray-700">
@@ -483,6 +506,685 @@ export default function Products() {
           }}
         />
       )}
+
+      {/* Import Modal */}
+      {showImportModal && (
+        <ImportProductsModal
+          onClose={() => setShowImportModal(false)}
+          onImported={() => {
+            queryClient.invalidateQueries({ queryKey: ['products'] });
+            queryClient.invalidateQueries({ queryKey: ['categories'] });
+            setShowImportModal(false);
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+// Download the catalogue in the import layout
+const downloadProducts = async (format, categoryId) => {
+  try {
+    const response = await productService.exportProducts({ format, categoryId: categoryId || undefined });
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  } catch (error) {
+    toast.error('Failed to export products');
+  }
+};
+
+// Validation errors carry either a message or the row errors in `details`
+const apiErrorMessage = (error, fallback) => {
+  const data = error.response?.data;
+  return typeof data?.details === 'string' ? data.details : data?.message || fallback;
+};
+
+// Import Products Modal - validate (dry run) first, then import
+function ImportProductsModal({ onClose, onImported }) {
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+
+  const previewMutation = useMutation({
+    mutationFn: (selected) => productService.importProducts(selected, { dryRun: true }),
+    onSuccess: (response) => setPreview(response.data),
+    onError: (error) => toast.error(apiErrorMessage(error, 'Failed to read the spreadsheet'))
+  });
+
+  const importMutation = useMutation({
+    mutationFn: () => productService.importProducts(file),
+    onSuccess: (response) => {
+      const result = response.data;
+      toast.success(`Imported ${result.variantsCreated} new and ${result.variantsUpdated} updated variants across ${result.productsCreated + result.productsExtended} products`);
+      onImported();
+    },
+    onError: (error) => {
+      const details = error.response?.data?.details;
+      if (Array.isArray(details)) {
+        setPreview(current => ({ ...current, valid: false, errors: details }));
+      }
+      toast.error(apiErrorMessage(error, 'Import failed'));
+    }
+  });
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files[0] || null;
+    setFile(selected);
+    setPreview(null);
+    if (selected) {
+      previewMutation.mutate(selected);
+    }
+  };
+
+  const newAttributeValues = Object.entries(preview?.newAttributeValues || {})
+    .filter(([, values]) => values.length > 0);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-3xl max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-900">Import Products</h2>
+          <button onClick={onClose} className="p-2 hover:bg-gray-100 rounded-lg">
+            <XMarkIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-3">
+          One row per variant: Product Code, Product Name, Category, Description, Price, Cost, Tax Rate,
+          Size, Color, SKU, Barcode and a "Stock: LOCATION" column per location for opening stock.
+          Blank SKUs and barcodes are generated. Rows with an existing SKU update that variant's price,
+          cost and barcode; its stock is left alone. Start from an export:{' '}
+          <button type="button" onClick={() => downloadProducts('xlsx')} className="text-primary-600 hover:underline">XLSX</button>
+          {' · '}
+          <button type="button" onClick={() => downloadProducts('csv')} className="text-primary-600 hover:underline">CSV</button>
+        </p>
+
+        <input
+          type="file"
+          accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+          onChange={handleFileChange}
+          className="input mb-4"
+        />
+
+        {previewMutation.isPending && (
+          <p className="text-sm text-gray-500 mb-4">Validating...</p>
+        )}
+
+        {preview && (
+          <div className="flex-1 overflow-y-auto space-y-4">
+            <div className="grid grid-cols-5 gap-3">
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-xs text-gray-500">New products</p>
+                <p className="text-lg font-semibold">{preview.summary?.newProducts ?? 0}</p>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-xs text-gray-500">Existing products</p>
+                <p className="text-lg font-semibold">{preview.summary?.existingProducts ?? 0}</p>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-xs text-gray-500">New variants</p>
+                <p className="text-lg font-semibold">{preview.summary?.variants ?? 0}</p>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-xs text-gray-500">Updated variants</p>
+                <p className="text-lg font-semibold">{preview.summary?.updatedVariants ?? 0}</p>
+                {preview.summary?.unchangedVariants > 0 && (
+                  <p className="text-xs text-gray-400">{preview.summary.unchangedVariants} unchanged</p>
+                )}
+              </div>
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-xs text-gray-500">Opening stock</p>
+                <p className="text-lg font-semibold">{preview.summary?.openingStockUnits ?? 0} units</p>
+              </div>
+            </div>
+
+            {(preview.newCategories?.length > 0 || newAttributeValues.length > 0) && (
+              <div className="text-sm text-gray-600 space-y-1">
+                {preview.newCategories?.length > 0 && (
+                  <p>New categories: <span className="font-medium">{preview.newCategories.join(', ')}</span></p>
+                )}
+                {newAttributeValues.map(([attribute, values]) => (
+                  <p key={attribute}>New {attribute.toLowerCase()} values: <span className="font-medium">{values.join(', ')}</span></p>
+                ))}
+              </div>
+            )}
+
+            {preview.errors?.length > 0 ? (
+              <div>
+                <p className="text-sm font-medium text-red-700 mb-2">
+                  {preview.errors.length} error{preview.errors.length === 1 ? '' : 's'} - fix the file and choose it again
+                </p>
+                <div className="border border-red-200 rounded-lg overflow-hidden">
+                  <table className="w-full text-sm">
+                    <thead className="bg-red-50 text-red-800">
+                      <tr>
+                        <th className="px-3 py-2 text-left w-16">Row</th>
+                        <th className="px-3 py-2 text-left w-40">Column</th>
+                        <th className="px-3 py-2 text-left">Problem</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-red-100">
+                      {preview.errors.map((error, index) => (
+                        <tr key={index}>
+                          <td className="px-3 py-2">{error.row ?? '-'}</td>
+                          <td className="px-3 py-2">{error.field || '-'}</td>
+                          <td className="px-3 py-2">{error.message || error.msg}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            ) : (
+              <p className="text-sm font-medium text-green-700">All {preview.summary?.rows} rows are valid.</p>
+            )}
+
+            {preview.warnings?.length > 0 && (
+              <ul className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg p-3 space-y-1">
+                {preview.warnings.map((warning, index) => (
+                  <li key={index}>Row {warning.row}: {warning.message}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-3 pt-4 mt-4 border-t">
+          <button onClick={onClose} className="btn-secondary">Cancel</button>
+          <button
+            onClick={() => importMutation.mutate()}
+            disabled={!preview?.valid || importMutation.isPending}
+            className="btn-primary disabled:opacity-50"
+          >
+            {importMutation.isPending ? 'Importing...' : 'Import'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// { attributeId: [valueIds] } -> [{ attributeId, valueIds }] for the generate endpoint
+const IMAGE_TYPES = 'image/jpeg,image/png';
+const MAX_IMAGE_MB = 5;
+
+// Checked before uploading; the server validates the file contents again
+const checkImageFile = (file) => {
+  if (!IMAGE_TYPES.split(',').includes(file.type)) {
+    toast.error('Choose a JPEG or PNG image');
+    return false;
+  }
+  if (file.size > MAX_IMAGE_MB * 1024 * 1024) {
+    toast.error(`Images must be ${MAX_IMAGE_MB} MB or smaller`);
+    return false;
+  }
+  return true;
+};
+
+// Image preview with choose/remove; `src` is a server URL or a local preview
+function ImageField({ src, onSelect, onRemove, busy }) {
+  return (
+    <div className="flex items-center gap-4">
+      <div className="w-24 h-24 bg-gray-100 rounded-lg flex items-center justify-center overflow-hidden border">
+        {src ? (
+          <img src={src} alt="" className="w-full h-full object-cover" />
+        ) : (
+          <PhotoIcon className="w-8 h-8 text-gray-300" />
+        )}
+      </div>
+      <div className="space-y-2">
+        <label className={`btn-secondary text-sm inline-flex items-center gap-2 cursor-pointer ${busy ? 'opacity-50 pointer-events-none' : ''}`}>
+          <ArrowUpTrayIcon className="w-4 h-4" />
+          {busy ? 'Uploading...' : src ? 'Replace Image' : 'Upload Image'}
+          <input
+            type="file"
+            accept={IMAGE_TYPES}
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              e.target.value = '';
+              if (file && checkImageFile(file)) onSelect(file);
+            }}
+          />
+        </label>
+        {src && onRemove && (
+          <button type="button" onClick={onRemove} disabled={busy} className="block text-sm text-red-600 hover:underline">
+            Remove image
+          </button>
+        )}
+        <p className="text-xs text-gray-500">JPEG or PNG, up to {MAX_IMAGE_MB} MB</p>
+      </div>
+    </div>
+  );
+}
+
+// Product image: uploaded straight away for saved products, held until save for new ones
+function ProductImageField({ productId, imageUrl, pendingFile, onPendingChange }) {
+  const queryClient = useQueryClient();
+  const [currentUrl, setCurrentUrl] = useState(imageUrl || null);
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    if (!pendingFile) {
+      setPreview(null);
+      return undefined;
+    }
+    const url = URL.createObjectURL(pendingFile);
+    setPreview(url);
+    return () => URL.revokeObjectURL(url);
+  }, [pendingFile]);
+
+  const uploadMutation = useMutation({
+    mutationFn: (file) => productService.uploadImage(productId, file),
+    onSuccess: (response) => {
+      setCurrentUrl(response.data.imageUrl);
+      queryClient.invalidateQueries({ queryKey: ['products'] });
+      toast.success('Image uploaded');
+    },
+    onError: (error) => toast.error(apiErrorMessage(error, 'Failed to upload image'))
+  });
+
+  const removeMutation = useMutation({
+    mutationFn: () => productService.deleteImage(productId),
+    onSuccess: () => {
+      setCurrentUrl(null);
+      queryClient.invalidateQueries({ queryKey: ['products'] });
+      toast.success('Image removed');
+    },
+    onError: (error) => toast.error(apiErrorMessage(error, 'Failed to remove image'))
+  });
+
+  if (!productId) {
+    return (
+      <ImageField
+        src={preview}
+        onSelect={onPendingChange}
+        onRemove={() => onPendingChange(null)}
+      />
+    );
+  }
+
+  return (
+    <ImageField
+      src={resolveImageUrl(currentUrl)}
+      onSelect={(file) => uploadMutation.mutate(file)}
+      onRemove={() => removeMutation.mutate()}
+      busy={uploadMutation.isPending || removeMutation.isPending}
+    />
+  );
+}
+
+const toSelectionList = (selections) => Object.entries(selections)
+  .filter(([, valueIds]) => valueIds.length > 0)
+  .map(([attributeId, valueIds]) => ({ attributeId: parseInt(attributeId), valueIds }));
+
+// Attribute value picker for the variant matrix (Size x Color ...)
+function VariantMatrixPicker({ selections, onChange }) {
+  const queryClient = useQueryClient();
+  const [newValues, setNewValues] = useState({});
+
+  const { data: attributes = [] } = useQuery({
+    queryKey: ['attributes'],
+    queryFn: () => productService.getAttributes().then(res => res.data)
+  });
+
+  const setValues = (attributeId, valueIds) => onChange({ ...selections, [attributeId]: valueIds });
+
+  const toggleValue = (attributeId, valueId) => {
+    const current = selections[attributeId] || [];
+    setValues(attributeId, current.includes(valueId)
+      ? current.filter(id => id !== valueId)
+      : [...current, valueId]);
+  };
+
+  const addValueMutation = useMutation({
+    mutationFn: ({ attributeId, value }) => productService.addAttributeValue(attributeId, { value }),
+    onSuccess: (response, { attributeId }) => {
+      queryClient.invalidateQueries({ queryKey: ['attributes'] });
+      setNewValues(current => ({ ...current, [attributeId]: '' }));
+      setValues(attributeId, [...(selections[attributeId] || []), response.data.attribute_value_id]);
+    },
+    onError: (error) => toast.error(apiErrorMessage(error, 'Failed to add value'))
+  });
+
+  const addValue = (attributeId) => {
+    const value = (newValues[attributeId] || '').trim();
+    if (value) {
+      addValueMutation.mutate({ attributeId, value });
+    }
+  };
+
+  const combinations = toSelectionList(selections).reduce((count, selection) => count * selection.valueIds.length, 1);
+  const hasSelection = toSelectionList(selections).length > 0;
+
+  return (
+    <div className="space-y-4">
+      {attributes.map((attribute) => {
+        const picked = selections[attribute.attribute_id] || [];
+        return (
+          <div key={attribute.attribute_id}>
+            <div className="flex items-center justify-between mb-2">
+              <label className="label mb-0">{attribute.attribute_name}</label>
+              <div className="flex gap-3 text-xs">
+                <button
+                  type="button"
+                  onClick={() => setValues(attribute.attribute_id, attribute.values.map(v => v.attribute_value_id))}
+                  className="text-primary-600 hover:underline"
+                >
+                  All
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setValues(attribute.attribute_id, [])}
+                  className="text-gray-500 hover:underline"
+                >
+                  None
+                </button>
+              </div>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {attribute.values.map((value) => (
+                <button
+                  key={value.attribute_value_id}
+                  type="button"
+                  onClick={() => toggleValue(attribute.attribute_id, value.attribute_value_id)}
+                  className={`px-3 py-1.5 rounded-lg border text-sm flex items-center gap-2 ${picked.includes(value.attribute_value_id)
+                      ? 'bg-primary-50 border-primary-500 text-primary-700'
+                      : 'border-gray-300 text-gray-600 hover:border-gray-400'
+                    }`}
+                >
+                  {value.color_hex && (
+                    <span className="w-3 h-3 rounded-full border" style={{ backgroundColor: value.color_hex }} />
+                  )}
+                  {value.value}
+                </button>
+              ))}
+              <input
+                type="text"
+                value={newValues[attribute.attribute_id] || ''}
+                onChange={(e) => setNewValues({ ...newValues, [attribute.attribute_id]: e.target.value })}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    addValue(attribute.attribute_id);
+                  }
+                }}
+                onBlur={() => addValue(attribute.attribute_id)}
+                placeholder={`+ New ${attribute.attribute_name.toLowerCase()}`}
+                className="input input-sm w-36"
+              />
+            </div>
+          </div>
+        );
+      })}
+
+      <p className="text-sm text-gray-500">
+        {hasSelection ? `${combinations} combination${combinations === 1 ? '' : 's'}` : 'No values picked'}
+      </p>
+    </div>
+  );
+}
+
+// Variants tab for an existing product: generate the matrix, override prices, activate/deactivate
+function VariantManager({ productId, basePrice }) {
+  const queryClient = useQueryClient();
+  const [selections, setSelections] = useState({});
+  const [matrixPrice, setMatrixPrice] = useState('');
+  const [priceEdits, setPriceEdits] = useState({});
+  const [selected, setSelected] = useState(new Set());
+  const [applyToColour, setApplyToColour] = useState(true);
+
+  const { data: variants = [], isLoading } = useQuery({
+    queryKey: ['product-variants', productId],
+    queryFn: () => productService.getVariants(productId).then(res => res.data.variants)
+  });
+
+  const applyVariants = (updated) => {
+    queryClient.setQueryData(['product-variants', productId], updated);
+    queryClient.invalidateQueries({ queryKey: ['products'] });
+  };
+
+  const generateMutation = useMutation({
+    mutationFn: () => productService.generateVariants(productId, {
+      selections: toSelectionList(selections),
+      price: matrixPrice === '' ? null : parseFloat(matrixPrice)
+    }),
+    onSuccess: (response) => {
+      const { created, skipped, keptPlaceholderIds } = response.data;
+      applyVariants(response.data.variants);
+      setSelections({});
+      toast.success(`${created} variant${created === 1 ? '' : 's'} created${skipped ? `, ${skipped} already existed` : ''}`);
+      if (keptPlaceholderIds?.length > 0) {
+        toast('The default variant still has stock, so it was left active');
+      }
+    },
+    onError: (error) => toast.error(apiErrorMessage(error, 'Failed to generate variants'))
+  });
+
+  const updateMutation = useMutation({
+    mutationFn: (changes) => productService.updateVariants(productId, { variants: changes }),
+    onSuccess: (response) => {
+      applyVariants(response.data.variants);
+      setPriceEdits({});
+      setSelected(new Set());
+      toast.success('Variants updated');
+    },
+    onError: (error) => toast.error(apiErrorMessage(error, 'Failed to update variants'))
+  });
+
+  const imageMutation = useMutation({
+    mutationFn: ({ variantId, file }) => (file
+      ? productService.uploadVariantImage(productId, variantId, file, { applyToColour })
+      : productService.deleteVariantImage(productId, variantId, { applyToColour })),
+    onSuccess: (response, { file }) => {
+      applyVariants(response.data.variants);
+      toast.success(file ? 'Image uploaded' : 'Image removed');
+    },
+    onError: (error) => toast.error(apiErrorMessage(error, 'Failed to update the variant image'))
+  });
+
+  const hasColours = variants.some(variant => variant.attributes.some(attr => attr.name === 'Color'));
+
+  const toggleSelected = (variantId) => {
+    const next = new Set(selected);
+    if (next.has(variantId)) {
+      next.delete(variantId);
+    } else {
+      next.add(variantId);
+    }
+    setSelected(next);
+  };
+
+  const setActive = (isActive) => {
+    updateMutation.mutate([...selected].map(variantId => ({ variantId, isActive })));
+  };
+
+  const savePrices = () => {
+    updateMutation.mutate(Object.entries(priceEdits).map(([variantId, price]) => ({
+      variantId: parseInt(variantId),
+      price: price === '' ? null : parseFloat(price)
+    })));
+  };
+
+  const hasPriceEdits = Object.keys(priceEdits).length > 0;
+
+  return (
+    <div className="space-y-6">
+      {/* Matrix generator */}
+      <div className="p-4 border rounded-lg space-y-4">
+        <h3 className="font-medium text-gray-900">Generate variants</h3>
+        <VariantMatrixPicker selections={selections} onChange={setSelections} />
+        <div className="flex items-end gap-3">
+          <div className="w-40">
+            <label className="label text-sm">Price</label>
+            <input
+              type="number"
+              value={matrixPrice}
+              onChange={(e) => setMatrixPrice(e.target.value)}
+              placeholder={basePrice.toFixed(2)}
+              step="0.01"
+              min="0"
+              className="input input-sm"
+            />
+          </div>
+          <button
+            type="button"
+            onClick={() => generateMutation.mutate()}
+            disabled={toSelectionList(selections).length === 0 || generateMutation.isPending}
+            className="btn-primary disabled:opacity-50"
+          >
+            {generateMutation.isPending ? 'Generating...' : 'Generate'}
+          </button>
+        </div>
+        <p className="text-xs text-gray-500">Combinations the product already has are skipped.</p>
+      </div>
+
+      {/* Variant list */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="font-medium text-gray-900">Variants ({variants.length})</h3>
+          <div className="flex items-center gap-2">
+            {hasColours && (
+              <label className="flex items-center gap-1 text-sm text-gray-600 mr-2">
+                <input type="checkbox" checked={applyToColour} onChange={(e) => setApplyToColour(e.target.checked)} />
+                Images apply to the whole colourway
+              </label>
+            )}
+            {selected.size > 0 && (
+              <>
+                <span className="text-sm text-gray-500">{selected.size} selected</span>
+                <button type="button" onClick={() => setActive(true)} disabled={updateMutation.isPending} className="btn-secondary text-sm">
+                  Activate
+                </button>
+                <button type="button" onClick={() => setActive(false)} disabled={updateMutation.isPending} className="btn-secondary text-sm">
+                  Deactivate
+                </button>
+              </>
+            )}
+            <button
+              type="button"
+              onClick={savePrices}
+              disabled={!hasPriceEdits || updateMutation.isPending}
+              className="btn-primary text-sm disabled:opacity-50"
+            >
+              Save Prices
+            </button>
+          </div>
+        </div>
+
+        {isLoading ? (
+          <p className="text-sm text-gray-500 py-4">Loading variants...</p>
+        ) : (
+          <div className="border rounded-lg overflow-hidden">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 text-gray-600">
+                <tr>
+                  <th className="px-3 py-2 w-8">
+                    <input
+                      type="checkbox"
+                      checked={variants.length > 0 && selected.size === variants.length}
+                      onChange={(e) => setSelected(e.target.checked ? new Set(variants.map(v => v.id)) : new Set())}
+                    />
+                  </th>
+                  <th className="px-3 py-2 text-left w-16">Image</th>
+                  <th className="px-3 py-2 text-left">Variant</th>
+                  <th className="px-3 py-2 text-left">SKU / Barcode</th>
+                  <th className="px-3 py-2 text-left w-36">Price</th>
+                  <th className="px-3 py-2 text-right">Stock</th>
+                  <th className="px-3 py-2 text-left">Status</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {variants.map((variant) => {
+                  const price = priceEdits[variant.id] ?? variant.price;
+                  const isOverride = priceEdits[variant.id] !== ''
+                    && parseFloat(price) !== basePrice;
+                  return (
+                    <tr key={variant.id} className={variant.isActive ? '' : 'bg-gray-50 text-gray-400'}>
+                      <td className="px-3 py-2">
+                        <input type="checkbox" checked={selected.has(variant.id)} onChange={() => toggleSelected(variant.id)} />
+                      </td>
+                      <td className="px-3 py-2">
+                        <div className="relative w-10 h-10 group">
+                          <label
+                            className={`w-10 h-10 bg-gray-100 rounded flex items-center justify-center overflow-hidden cursor-pointer border ${imageMutation.isPending ? 'opacity-50 pointer-events-none' : ''}`}
+                            title={variant.imageUrl ? 'Replace image' : 'Upload image'}
+                          >
+                            {variant.thumbnailUrl ? (
+                              <img src={resolveImageUrl(variant.thumbnailUrl)} alt="" className="w-full h-full object-cover" />
+                            ) : (
+                              <PhotoIcon className="w-5 h-5 text-gray-300" />
+                            )}
+                            <input
+                              type="file"
+                              accept={IMAGE_TYPES}
+                              className="hidden"
+                              onChange={(e) => {
+                                const file = e.target.files?.[0];
+                                e.target.value = '';
+                                if (file && checkImageFile(file)) imageMutation.mutate({ variantId: variant.id, file });
+                              }}
+                            />
+                          </label>
+                          {variant.imageUrl && (
+                            <button
+                              type="button"
+                              onClick={() => imageMutation.mutate({ variantId: variant.id })}
+                              className="absolute -top-1 -right-1 hidden group-hover:block bg-white rounded-full shadow text-gray-500 hover:text-red-600"
+                              title="Remove image"
+                            >
+                              <XMarkIcon className="w-4 h-4" />
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                      <td className="px-3 py-2">
+                        <p className="font-medium">{variant.attributes.map(attr => attr.value).join(' / ') || 'Default'}</p>
+                      </td>
+                      <td className="px-3 py-2">
+                        <p>{variant.sku}</p>
+                        <p className="text-xs text-gray-400">{variant.barcode || '-'}</p>
+                      </td>
+                      <td className="px-3 py-2">
+                        <input
+                          type="number"
+                          value={price}
+                          onChange={(e) => setPriceEdits({ ...priceEdits, [variant.id]: e.target.value })}
+                          step="0.01"
+                          min="0"
+                          className="input input-sm"
+                        />
+                        {isOverride && (
+                          <button
+                            type="button"
+                            onClick={() => setPriceEdits({ ...priceEdits, [variant.id]: '' })}
+                            className="text-xs text-primary-600 hover:underline"
+                            title="Reset to the product's base price"
+                          >
+                            Override - reset
+                          </button>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-right">{variant.stock}</td>
+                      <td className="px-3 py-2">
+                        <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${variant.isActive
+                            ? 'bg-green-100 text-green-700'
+                            : 'bg-gray-100 text-gray-600'
+                          }`}>
+                          {variant.isActive ? 'Active' : 'Inactive'}
+                        </span>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
     </div>
   );
 }
@@ -502,7 +1204,8 @@ function ProductModal({ product, categories, onClose, onSave }) {
     is_active: product?.isActive ?? true,
     has_variants: product?.hasVariants ?? false
   });
-  const [variants, setVariants] = useState(product?.variants || []);
+  const [matrixSelections, setMatrixSelections] = useState({});
+  const [imageFile, setImageFile] = useState(null);
   const [loading, setLoading] = useState(false);
   const [activeTab, setActiveTab] = useState('basic');
   const [showLabelModal, setShowLabelModal] = useState(false);
@@ -648,13 +1351,7 @@ function ProductModal({ product, categories, onClose, onSave }) {
         stock: parseInt(formData.initial_stock) || 0,
         hasVariants: formData.has_variants,
         isActive: formData.is_active,
-        barcode: formData.barcode,
-        variants: formData.has_variants ? variants.map(v => ({
-          sku: v.sku,
-          variantName: v.variant_name,
-          price: parseFloat(v.price) || 0,
-          attributes: v.attributes
-        })) : []
+        barcode: formData.barcode
       };
 
       // Only include categoryId if it has a valid value (not null/empty)
@@ -672,8 +1369,27 @@ function ProductModal({ product, categories, onClose, onSave }) {
         payload.initialStock = payload.stock;
         delete payload.stock;
         const response = await api.post('/products', payload);
-        toast.success('Product created successfully');
-        savedProduct = { ...payload, id: response.data?.productId };
+        savedProduct = { ...payload, id: response.data?.product_id };
+
+        if (imageFile) {
+          try {
+            await productService.uploadImage(savedProduct.id, imageFile);
+          } catch (error) {
+            toast.error(apiErrorMessage(error, 'Product created, but uploading its image failed - retry by editing it'));
+          }
+        }
+
+        const selections = toSelectionList(matrixSelections);
+        if (formData.has_variants && selections.length > 0) {
+          try {
+            const generated = await productService.generateVariants(savedProduct.id, { selections });
+            toast.success(`Product created with ${generated.data.created} variants`);
+          } catch (error) {
+            toast.error(apiErrorMessage(error, 'Product created, but generating its variants failed - retry from the Variants tab'));
+          }
+        } else {
+          toast.success('Product created successfully');
+        }
 
         // Show label printing modal for new products
         setCreatedProduct({
@@ -729,40 +1445,6 @@ function ProductModal({ product, categories, onClose, onSave }) {
     }
   };
 
-  const addVariant = () => {
-    setVariants([
-      ...variants,
-      {
-        id: Date.now(),
-        variant_name: '',
-        sku: '',
-        price: formData.price,
-        attributes: [{ name: 'Size', value: '' }, { name: 'Color', value: '' }]
-      }
-    ]);
-  };
-
-  const updateVariant = (id, field, value) => {
-    setVariants(variants.map(v =>
-      v.id === id ? { ...v, [field]: value } : v
-    ));
-  };
-
-  const updateVariantAttribute = (variantId, attrIndex, field, value) => {
-    setVariants(variants.map(v => {
-      if (v.id === variantId) {
-        const newAttributes = [...v.attributes];
-        newAttributes[attrIndex] = { ...newAttributes[attrIndex], [field]: value };
-        return { ...v, attributes: newAttributes };
-      }
-      return v;
-    }));
-  };
-
-  const removeVariant = (id) => {
-    setVariants(variants.filter(v => v.id !== id));
-  };
-
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
       <div className="bg-white rounded-2xl w-full max-w-3xl max-h-[90vh] flex flex-col">
@@ -802,6 +1484,17 @@ function ProductModal({ product, categories, onClose, onSave }) {
         <form onSubmit={handleSubmit} className="flex-1 overflow-y-auto p-6">
           {activeTab === 'basic' ? (
             <div className="space-y-4">
+              {/* Image */}
+              <div>
+                <label className="label">Image</label>
+                <ProductImageField
+                  productId={product?.id}
+                  imageUrl={product?.imageUrl}
+                  pendingFile={imageFile}
+                  onPendingChange={setImageFile}
+                />
+              </div>
+
               {/* Product Name */}
               <div>
                 <label className="label">Product Name *</label>
@@ -986,84 +1679,14 @@ function ProductModal({ product, categories, onClose, onSave }) {
                   <TagIcon className="w-12 h-12 mx-auto mb-4 text-gray-300" />
                   <p>Enable variants in the Basic Info tab first</p>
                 </div>
+              ) : product ? (
+                <VariantManager productId={product.id} basePrice={parseFloat(formData.price) || 0} />
               ) : (
                 <>
-                  {variants.length > 0 && (
-                    <div className="space-y-4">
-                      {variants.map((variant, index) => (
-                        <div key={variant.id} className="p-4 border rounded-lg">
-                          <div className="flex items-center justify-between mb-3">
-                            <span className="font-medium text-gray-700">Variant {index + 1}</span>
-                            <button
-                              type="button"
-                              onClick={() => removeVariant(variant.id)}
-                              className="text-red-500 hover:text-red-700"
-                            >
-                              <TrashIcon className="w-4 h-4" />
-                            </button>
-                          </div>
-
-                          <div className="grid grid-cols-2 gap-3 mb-3">
-                            <div>
-                              <label className="label text-sm">Variant Name</label>
-                              <input
-                                type="text"
-                                value={variant.variant_name}
-                                onChange={(e) => updateVariant(variant.id, 'variant_name', e.target.value)}
-                                placeholder="e.g., Large / Red"
-                                className="input input-sm"
-                              />
-                            </div>
-                            <div>
-                              <label className="label text-sm">SKU</label>
-                              <input
-                                type="text"
-                                value={variant.sku}
-                                onChange={(e) => updateVariant(variant.id, 'sku', e.target.value.toUpperCase())}
-                                placeholder="Variant SKU"
-                                className="input input-sm"
-                              />
-                            </div>
-                          </div>
-
-                          <div className="grid grid-cols-3 gap-3 mb-3">
-                            <div>
-                              <label className="label text-sm">Price</label>
-                              <input
-                                type="number"
-                                value={variant.price}
-                                onChange={(e) => updateVariant(variant.id, 'price', e.target.value)}
-                                placeholder="0.00"
-                                step="0.01"
-                                className="input input-sm"
-                              />
-                            </div>
-                            {variant.attributes.map((attr, attrIndex) => (
-                              <div key={attrIndex}>
-                                <label className="label text-sm">{attr.name}</label>
-                                <input
-                                  type="text"
-                                  value={attr.value}
-                                  onChange={(e) => updateVariantAttribute(variant.id, attrIndex, 'value', e.target.value)}
-                                  placeholder={`Enter ${attr.name}`}
-                                  className="input input-sm"
-                                />
-                              </div>
-                            ))}
-                          </div>
-                        </div>
-                      ))}
-                    </div>
-                  )}
-
-                  <button
-                    type="button"
-                    onClick={addVariant}
-                    className="w-full py-3 border-2 border-dashed border-gray-300 rounded-lg text-gray-500 hover:border-primary-500 hover:text-primary-600 flex items-center justify-center gap-2"
-                  >
-                    <PlusIcon className="w-5 h-5" />
-                    Add Variant
-                  </button>
+                  <p className="text-sm text-gray-500">
+                    Pick sizes and colours - every combination becomes a variant with its own SKU and barcode when the product is created.
+                  </p>
+                  <VariantMatrixPicker selections={matrixSelections} onChange={setMatrixSelections} />
                 </>
               )}
             </div>
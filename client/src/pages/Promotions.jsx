@@ -0,0 +1,1115 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  PlusIcon,
+  XMarkIcon,
+  MagnifyingGlassIcon,
+  ReceiptPercentIcon,
+  TicketIcon,
+  ChatBubbleLeftRightIcon,
+} from '@heroicons/react/24/outline';
+import { useAuthStore } from '../stores/authStore';
+import { productService, inventoryService, promotionService, couponService, customerService } from '../services/api';
+import toast from 'react-hot-toast';
+
+const PROMOTION_TYPES = [
+  { value: 'ITEM_DISCOUNT', label: 'Item discount' },
+  { value: 'BUY_X_GET_Y', label: 'Buy X get Y' },
+  { value: 'SPEND_THRESHOLD', label: 'Spend threshold' },
+];
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatMoney = (value) => parseFloat(value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// Validation errors carry the reason in details (a string, or a list of fields)
+const errorMessage = (error, fallback) => {
+  const data = error.response?.data;
+  return (typeof data?.details === 'string' ? data.details : data?.details?.[0]?.message) || data?.message || fallback;
+};
+
+// TIMESTAMP from the API -> value for a datetime-local input (local time)
+const toLocalInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const describeDiscount = (promotion) => {
+  const value = parseFloat(promotion.discount_value);
+  const off = promotion.discount_type === 'PERCENTAGE' ? `${value}% off` : `$${formatMoney(value)} off`;
+
+  if (promotion.promotion_type === 'BUY_X_GET_Y') {
+    const free = promotion.discount_type === 'PERCENTAGE' && value === 100;
+    return `Buy ${promotion.buy_quantity} get ${promotion.get_quantity} ${free ? 'free' : off}`;
+  }
+  if (promotion.promotion_type === 'SPEND_THRESHOLD') {
+    return `${off} when spending $${formatMoney(promotion.min_spend)}`;
+  }
+  return off;
+};
+
+const describeSchedule = (promotion) => {
+  const parts = [];
+  if (promotion.start_date || promotion.end_date) {
+    const from = promotion.start_date ? new Date(promotion.start_date).toLocaleDateString() : '...';
+    const to = promotion.end_date ? new Date(promotion.end_date).toLocaleDateString() : '...';
+    parts.push(`${from} - ${to}`);
+  }
+  if (promotion.days_of_week?.length > 0) {
+    parts.push(promotion.days_of_week.map(day => DAYS[day]).join(', '));
+  }
+  if (promotion.start_time && promotion.end_time) {
+    parts.push(`${promotion.start_time.slice(0, 5)}-${promotion.end_time.slice(0, 5)}`);
+  }
+  return parts.join(' · ') || 'Always';
+};
+
+function StatusBadge({ promotion }) {
+  if (!promotion.is_active) {
+    return <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-700">Inactive</span>;
+  }
+  if (promotion.is_running) {
+    return <span className="text-xs px-2 py-0.5 rounded-full bg-green-100 text-green-700">Running</span>;
+  }
+  return <span className="text-xs px-2 py-0.5 rounded-full bg-blue-100 text-blue-700">Scheduled</span>;
+}
+
+export default function Promotions() {
+  const [activeTab, setActiveTab] = useState('promotions');
+
+  return (
+    <div className="p-6">
+      {/* Header */}
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">Promotions</h1>
+        <p className="text-gray-500">Automatic discounts and coupon codes applied at the till</p>
+      </div>
+
+      {/* Tabs */}
+      <div className="flex gap-2 mb-6">
+        {[
+          { id: 'promotions', label: 'Promotions', icon: ReceiptPercentIcon },
+          { id: 'coupons', label: 'Coupons', icon: TicketIcon },
+        ].map(tab => (
+          <button
+            key={tab.id}
+            onClick={() => setActiveTab(tab.id)}
+            className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 ${
+              activeTab === tab.id ? 'bg-primary-600 text-white' : 'bg-white text-gray-700 border'
+            }`}
+          >
+            <tab.icon className="w-5 h-5" />
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {activeTab === 'promotions' ? <PromotionList /> : <Coupons />}
+    </div>
+  );
+}
+
+// Promotions with their schedule, status and usage
+function PromotionList() {
+  const queryClient = useQueryClient();
+  const { hasPermission } = useAuthStore();
+  const canManage = hasPermission('discounts');
+  const [showInactive, setShowInactive] = useState(false);
+  const [editing, setEditing] = useState(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['promotions', showInactive],
+    queryFn: () => promotionService.getAll({ includeInactive: showInactive }).then(res => res.data)
+  });
+
+  const deactivateMutation = useMutation({
+    mutationFn: (id) => promotionService.deactivate(id),
+    onSuccess: () => {
+      toast.success('Promotion deactivated');
+      queryClient.invalidateQueries(['promotions']);
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to deactivate promotion'))
+  });
+
+  const promotions = data?.promotions || [];
+
+  return (
+    <div>
+      <div className="flex items-center justify-end mb-4">
+        <div className="flex items-center gap-4">
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={showInactive}
+              onChange={(e) => setShowInactive(e.target.checked)}
+            />
+            Show inactive
+          </label>
+          {canManage && (
+            <button onClick={() => setEditing({})} className="btn-primary flex items-center gap-2">
+              <PlusIcon className="w-5 h-5" />
+              New Promotion
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="card overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50 border-b">
+            <tr>
+              <th className="text-left px-4 py-3 text-sm font-medium text-gray-500">Promotion</th>
+              <th className="text-left px-4 py-3 text-sm font-medium text-gray-500">Deal</th>
+              <th className="text-left px-4 py-3 text-sm font-medium text-gray-500">Schedule</th>
+              <th className="text-left px-4 py-3 text-sm font-medium text-gray-500">Status</th>
+              <th className="text-right px-4 py-3 text-sm font-medium text-gray-500">Sales</th>
+              <th className="text-right px-4 py-3 text-sm font-medium text-gray-500">Discount Given</th>
+              <th className="px-4 py-3"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {isLoading ? (
+              <tr><td colSpan={7} className="px-4 py-8 text-center text-gray-500">Loading...</td></tr>
+            ) : promotions.length === 0 ? (
+              <tr>
+                <td colSpan={7} className="px-4 py-12 text-center text-gray-500">
+                  <ReceiptPercentIcon className="w-12 h-12 mx-auto mb-2 text-gray-300" />
+                  No promotions yet
+                </td>
+              </tr>
+            ) : promotions.map(promotion => (
+              <tr key={promotion.promotion_id} className="hover:bg-gray-50">
+                <td className="px-4 py-3">
+                  <p className="font-medium text-gray-900">{promotion.promotion_name}</p>
+                  <p className="text-xs text-gray-500">
+                    {PROMOTION_TYPES.find(t => t.value === promotion.promotion_type)?.label}
+                    {promotion.is_stackable ? ' · stacks' : ''}
+                    {promotion.priority ? ` · priority ${promotion.priority}` : ''}
+                  </p>
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-700">
+                  {describeDiscount(promotion)}
+                  {promotion.max_discount_amount && (
+                    <span className="text-gray-500"> (max ${formatMoney(promotion.max_discount_amount)})</span>
+                  )}
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-600">{describeSchedule(promotion)}</td>
+                <td className="px-4 py-3"><StatusBadge promotion={promotion} /></td>
+                <td className="px-4 py-3 text-right text-sm">{promotion.sale_count}</td>
+                <td className="px-4 py-3 text-right text-sm">${formatMoney(promotion.discount_total)}</td>
+                <td className="px-4 py-3 text-right whitespace-nowrap">
+                  {canManage && (
+                    <>
+                      <button
+                        onClick={() => setEditing(promotion)}
+                        className="text-sm text-primary-600 hover:text-primary-700 mr-3"
+                      >
+                        Edit
+                      </button>
+                      {promotion.is_active && (
+                        <button
+                          onClick={() => {
+                            if (window.confirm(`Deactivate "${promotion.promotion_name}"?`)) {
+                              deactivateMutation.mutate(promotion.promotion_id);
+                            }
+                          }}
+                          className="text-sm text-red-600 hover:text-red-700"
+                        >
+                          Deactivate
+                        </button>
+                      )}
+                    </>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {editing && (
+        <PromotionFormModal promotionId={editing.promotion_id} onClose={() => setEditing(null)} />
+      )}
+    </div>
+  );
+}
+
+function PromotionFormModal({ promotionId, onClose }) {
+  const isNew = !promotionId;
+
+  // Load the full promotion (with its product names) before showing the form
+  const { data: promotion, isLoading } = useQuery({
+    queryKey: ['promotion', promotionId],
+    queryFn: () => promotionService.getById(promotionId).then(res => res.data.promotion),
+    enabled: !isNew,
+    gcTime: 0
+  });
+
+  if (!isNew && (isLoading || !promotion)) {
+    return (
+      <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+        <div className="bg-white rounded-2xl p-6 text-gray-500">Loading...</div>
+      </div>
+    );
+  }
+
+  return <PromotionForm promotion={promotion || {}} onClose={onClose} />;
+}
+
+function PromotionForm({ promotion, onClose }) {
+  const queryClient = useQueryClient();
+  const isNew = !promotion.promotion_id;
+  const [form, setForm] = useState({
+    promotionName: promotion.promotion_name || '',
+    description: promotion.description || '',
+    promotionType: promotion.promotion_type || 'ITEM_DISCOUNT',
+    discountType: promotion.discount_type || 'PERCENTAGE',
+    discountValue: promotion.discount_value ?? '',
+    maxDiscountAmount: promotion.max_discount_amount ?? '',
+    buyQuantity: promotion.buy_quantity ?? 2,
+    getQuantity: promotion.get_quantity ?? 1,
+    minSpend: promotion.min_spend ?? '',
+    categoryIds: promotion.category_ids || [],
+    products: promotion.products || [],
+    tags: (promotion.tags || []).join(', '),
+    locationIds: promotion.location_ids || [],
+    startDate: toLocalInput(promotion.start_date),
+    endDate: toLocalInput(promotion.end_date),
+    daysOfWeek: promotion.days_of_week || [],
+    startTime: promotion.start_time?.slice(0, 5) || '',
+    endTime: promotion.end_time?.slice(0, 5) || '',
+    priority: promotion.priority ?? 0,
+    isStackable: promotion.is_stackable ?? false,
+    isActive: promotion.is_active ?? true,
+  });
+  const [productSearch, setProductSearch] = useState('');
+
+  const { data: categories = [] } = useQuery({
+    queryKey: ['categories-list'],
+    queryFn: () => productService.getCategories().then(res => res.data)
+  });
+
+  const { data: locationsData } = useQuery({
+    queryKey: ['locations'],
+    queryFn: () => inventoryService.getLocations().then(res => res.data)
+  });
+  const locations = locationsData?.locations || [];
+
+  const { data: productResults } = useQuery({
+    queryKey: ['promotion-product-search', productSearch],
+    queryFn: () => productService.getAll({ search: productSearch, limit: 10 }).then(res => res.data.products),
+    enabled: productSearch.trim().length >= 2
+  });
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm((f) => ({ ...f, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const toggle = (name, value) => {
+    setForm((f) => ({
+      ...f,
+      [name]: f[name].includes(value) ? f[name].filter(v => v !== value) : [...f[name], value]
+    }));
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: () => {
+      const { products, ...data } = form;
+      const payload = {
+        ...data,
+        productIds: products.map(p => p.product_id),
+        startDate: form.startDate || null,
+        endDate: form.endDate || null,
+      };
+      return isNew ? promotionService.create(payload) : promotionService.update(promotion.promotion_id, payload);
+    },
+    onSuccess: () => {
+      toast.success(isNew ? 'Promotion created' : 'Promotion updated');
+      queryClient.invalidateQueries(['promotions']);
+      onClose();
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to save promotion'))
+  });
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-xl font-semibold">{isNew ? 'New Promotion' : 'Edit Promotion'}</h3>
+          <button onClick={onClose}>
+            <XMarkIcon className="w-6 h-6 text-gray-400" />
+          </button>
+        </div>
+
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            saveMutation.mutate();
+          }}
+          className="grid grid-cols-2 gap-4"
+        >
+          <div className="col-span-2">
+            <label className="label">Name *</label>
+            <input name="promotionName" value={form.promotionName} onChange={handleChange} required className="input" />
+            <p className="text-xs text-gray-500 mt-1">Shown on the till and the receipt</p>
+          </div>
+
+          <div>
+            <label className="label">Type</label>
+            <select name="promotionType" value={form.promotionType} onChange={handleChange} className="input">
+              {PROMOTION_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+            </select>
+          </div>
+
+          <div>
+            <label className="label">Discount *</label>
+            <div className="flex gap-2">
+              <input
+                name="discountValue"
+                type="number"
+                min="0"
+                step="0.01"
+                value={form.discountValue}
+                onChange={handleChange}
+                required
+                className="input flex-1"
+              />
+              <select name="discountType" value={form.discountType} onChange={handleChange} className="input w-28">
+                <option value="PERCENTAGE">%</option>
+                <option value="FIXED">$</option>
+              </select>
+            </div>
+            <p className="text-xs text-gray-500 mt-1">
+              {form.promotionType === 'BUY_X_GET_Y'
+                ? 'Off each free item (100% = free)'
+                : form.promotionType === 'SPEND_THRESHOLD'
+                  ? 'Off the qualifying items'
+                  : form.discountType === 'FIXED' ? 'Off each unit' : 'Off each line'}
+            </p>
+          </div>
+
+          {form.promotionType === 'BUY_X_GET_Y' && (
+            <>
+              <div>
+                <label className="label">Buy</label>
+                <input name="buyQuantity" type="number" min="1" value={form.buyQuantity} onChange={handleChange} className="input" />
+              </div>
+              <div>
+                <label className="label">Get</label>
+                <input name="getQuantity" type="number" min="1" value={form.getQuantity} onChange={handleChange} className="input" />
+              </div>
+            </>
+          )}
+
+          {form.promotionType === 'SPEND_THRESHOLD' && (
+            <div>
+              <label className="label">Minimum Spend *</label>
+              <input name="minSpend" type="number" min="0" step="0.01" value={form.minSpend} onChange={handleChange} required className="input" />
+            </div>
+          )}
+
+          <div>
+            <label className="label">Maximum Discount</label>
+            <input
+              name="maxDiscountAmount"
+              type="number"
+              min="0"
+              step="0.01"
+              value={form.maxDiscountAmount}
+              onChange={handleChange}
+              placeholder="No cap"
+              className="input"
+            />
+          </div>
+
+          {/* Targeting */}
+          <div className="col-span-2 border-t pt-4">
+            <h4 className="font-medium text-gray-900">Applies to</h4>
+            <p className="text-xs text-gray-500">Leave categories, products and tags empty for every product</p>
+          </div>
+
+          <div className="col-span-2">
+            <label className="label">Categories</label>
+            <div className="flex flex-wrap gap-2">
+              {categories.map(category => (
+                <button
+                  key={category.category_id}
+                  type="button"
+                  onClick={() => toggle('categoryIds', category.category_id)}
+                  className={`px-3 py-1 rounded-full text-sm border ${form.categoryIds.includes(category.category_id)
+                    ? 'bg-primary-600 text-white border-primary-600'
+                    : 'bg-white text-gray-700 hover:bg-gray-50'
+                    }`}
+                >
+                  {category.category_name}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="col-span-2">
+            <label className="label">Products</label>
+            {form.products.length > 0 && (
+              <div className="flex flex-wrap gap-2 mb-2">
+                {form.products.map(product => (
+                  <span key={product.product_id} className="flex items-center gap-1 px-3 py-1 rounded-full text-sm bg-gray-100">
+                    {product.product_name}
+                    <button
+                      type="button"
+                      onClick={() => setForm(f => ({ ...f, products: f.products.filter(p => p.product_id !== product.product_id) }))}
+                    >
+                      <XMarkIcon className="w-4 h-4 text-gray-400 hover:text-red-500" />
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+            <div className="relative">
+              <MagnifyingGlassIcon className="w-5 h-5 absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+              <input
+                value={productSearch}
+                onChange={(e) => setProductSearch(e.target.value)}
+                placeholder="Search products to add..."
+                className="input pl-10"
+              />
+            </div>
+            {productSearch.trim().length >= 2 && productResults?.length > 0 && (
+              <div className="border rounded-lg mt-1 divide-y max-h-40 overflow-y-auto">
+                {productResults
+                  .filter(product => !form.products.some(p => p.product_id === product.id))
+                  .map(product => (
+                    <button
+                      key={product.id}
+                      type="button"
+                      onClick={() => {
+                        setForm(f => ({ ...f, products: [...f.products, { product_id: product.id, product_name: product.name }] }));
+                        setProductSearch('');
+                      }}
+                      className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50"
+                    >
+                      {product.name} <span className="text-gray-400">{product.code}</span>
+                    </button>
+                  ))}
+              </div>
+            )}
+          </div>
+
+          <div className="col-span-2">
+            <label className="label">Tags</label>
+            <input name="tags" value={form.tags} onChange={handleChange} placeholder="e.g. summer, clearance" className="input" />
+          </div>
+
+          <div className="col-span-2">
+            <label className="label">Locations</label>
+            <div className="flex flex-wrap gap-2">
+              {locations.map(location => (
+                <button
+                  key={location.location_id}
+                  type="button"
+                  onClick={() => toggle('locationIds', location.location_id)}
+                  className={`px-3 py-1 rounded-full text-sm border ${form.locationIds.includes(location.location_id)
+                    ? 'bg-primary-600 text-white border-primary-600'
+                    : 'bg-white text-gray-700 hover:bg-gray-50'
+                    }`}
+                >
+                  {location.location_name}
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-1">None selected means every location</p>
+          </div>
+
+          {/* Schedule */}
+          <div className="col-span-2 border-t pt-4">
+            <h4 className="font-medium text-gray-900">When</h4>
+          </div>
+
+          <div>
+            <label className="label">Starts</label>
+            <input name="startDate" type="datetime-local" value={form.startDate} onChange={handleChange} className="input" />
+          </div>
+          <div>
+            <label className="label">Ends</label>
+            <input name="endDate" type="datetime-local" value={form.endDate} onChange={handleChange} className="input" />
+          </div>
+
+          <div className="col-span-2">
+            <label className="label">Days</label>
+            <div className="flex gap-2">
+              {DAYS.map((day, index) => (
+                <button
+                  key={day}
+                  type="button"
+                  onClick={() => toggle('daysOfWeek', index)}
+                  className={`w-12 py-1 rounded-lg text-sm border ${form.daysOfWeek.includes(index)
+                    ? 'bg-primary-600 text-white border-primary-600'
+                    : 'bg-white text-gray-700 hover:bg-gray-50'
+                    }`}
+                >
+                  {day}
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-1">None selected means every day</p>
+          </div>
+
+          <div>
+            <label className="label">From (time of day)</label>
+            <input name="startTime" type="time" value={form.startTime} onChange={handleChange} className="input" />
+          </div>
+          <div>
+            <label className="label">Until</label>
+            <input name="endTime" type="time" value={form.endTime} onChange={handleChange} className="input" />
+          </div>
+
+          {/* Rules */}
+          <div className="col-span-2 border-t pt-4 grid grid-cols-2 gap-4">
+            <div>
+              <label className="label">Priority</label>
+              <input name="priority" type="number" value={form.priority} onChange={handleChange} className="input" />
+              <p className="text-xs text-gray-500 mt-1">Higher priorities are applied first</p>
+            </div>
+            <div className="space-y-2 pt-6">
+              <label className="flex items-center gap-2 text-sm">
+                <input name="isStackable" type="checkbox" checked={form.isStackable} onChange={handleChange} />
+                Can combine with other promotions
+              </label>
+              <label className="flex items-center gap-2 text-sm">
+                <input name="isActive" type="checkbox" checked={form.isActive} onChange={handleChange} />
+                Active
+              </label>
+            </div>
+          </div>
+
+          <div className="col-span-2">
+            <label className="label">Notes</label>
+            <input name="description" value={form.description} onChange={handleChange} className="input" />
+          </div>
+
+          <div className="col-span-2 flex justify-end gap-2">
+            <button type="button" onClick={onClose} className="btn btn-secondary">Cancel</button>
+            <button type="submit" disabled={saveMutation.isPending} className="btn-primary">
+              {saveMutation.isPending ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+const COUPON_STATUS_STYLES = {
+  active: 'bg-green-100 text-green-700',
+  expired: 'bg-gray-100 text-gray-700',
+  used_up: 'bg-blue-100 text-blue-700',
+  inactive: 'bg-red-100 text-red-700',
+};
+
+const describeCoupon = (coupon) => {
+  const value = parseFloat(coupon.discount_value);
+  let text = coupon.discount_type === 'PERCENTAGE' ? `${value}% off` : `$${formatMoney(value)} off`;
+  if (coupon.max_discount_amount) text += ` (max $${formatMoney(coupon.max_discount_amount)})`;
+  if (parseFloat(coupon.min_spend) > 0) text += ` over $${formatMoney(coupon.min_spend)}`;
+  return text;
+};
+
+// Coupon codes with their uses
+function Coupons() {
+  const queryClient = useQueryClient();
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [showSms, setShowSms] = useState(false);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['coupons', search, status],
+    queryFn: () => couponService.getAll({ search: search || undefined, status: status || undefined }).then(res => res.data)
+  });
+
+  const deactivateMutation = useMutation({
+    mutationFn: (id) => couponService.deactivate(id),
+    onSuccess: () => {
+      toast.success('Coupon deactivated');
+      queryClient.invalidateQueries(['coupons']);
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to deactivate coupon'))
+  });
+
+  const coupons = data?.coupons || [];
+
+  return (
+    <div>
+      <div className="flex items-center gap-4 mb-4">
+        <div className="relative flex-1 max-w-md">
+          <MagnifyingGlassIcon className="w-5 h-5 absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search code, description or campaign..."
+            className="input pl-10"
+          />
+        </div>
+        <select value={status} onChange={(e) => setStatus(e.target.value)} className="input w-40">
+          <option value="">All</option>
+          <option value="active">Active</option>
+          <option value="used_up">Used up</option>
+          <option value="expired">Expired</option>
+          <option value="inactive">Inactive</option>
+        </select>
+        <div className="flex-1" />
+        <button onClick={() => setShowSms(true)} className="btn btn-secondary flex items-center gap-2">
+          <ChatBubbleLeftRightIcon className="w-5 h-5" />
+          Send SMS Coupons
+        </button>
+        <button onClick={() => setEditing({})} className="btn-primary flex items-center gap-2">
+          <PlusIcon className="w-5 h-5" />
+          New Coupon
+        </button>
+      </div>
+
+      <div className="card overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50 border-b">
+            <tr>
+              <th className="text-left px-4 py-3 text-sm font-medium text-gray-500">Code</th>
+              <th className="text-left px-4 py-3 text-sm font-medium text-gray-500">Discount</th>
+              <th className="text-left px-4 py-3 text-sm font-medium text-gray-500">Customer</th>
+              <th className="text-right px-4 py-3 text-sm font-medium text-gray-500">Uses</th>
+              <th className="text-left px-4 py-3 text-sm font-medium text-gray-500">Expires</th>
+              <th className="text-left px-4 py-3 text-sm font-medium text-gray-500">Status</th>
+              <th className="px-4 py-3"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {isLoading ? (
+              <tr><td colSpan={7} className="px-4 py-8 text-center text-gray-500">Loading...</td></tr>
+            ) : coupons.length === 0 ? (
+              <tr>
+                <td colSpan={7} className="px-4 py-12 text-center text-gray-500">
+                  <TicketIcon className="w-12 h-12 mx-auto mb-2 text-gray-300" />
+                  No coupons found
+                </td>
+              </tr>
+            ) : coupons.map(coupon => (
+              <tr key={coupon.coupon_id} className="hover:bg-gray-50">
+                <td className="px-4 py-3">
+                  <p className="font-mono font-medium text-gray-900">{coupon.code}</p>
+                  <p className="text-xs text-gray-500">{coupon.campaign || coupon.description}</p>
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-700">{describeCoupon(coupon)}</td>
+                <td className="px-4 py-3 text-sm text-gray-600">
+                  {coupon.customer_id
+                    ? `${coupon.customer_first_name} ${coupon.customer_last_name || ''} (${coupon.customer_phone})`
+                    : 'Anyone'}
+                </td>
+                <td className="px-4 py-3 text-right text-sm">
+                  {coupon.times_used}{coupon.usage_limit ? ` / ${coupon.usage_limit}` : ''}
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-600">
+                  {coupon.expires_at ? new Date(coupon.expires_at).toLocaleDateString() : 'Never'}
+                </td>
+                <td className="px-4 py-3">
+                  <span className={`text-xs px-2 py-0.5 rounded-full ${COUPON_STATUS_STYLES[coupon.status]}`}>
+                    {coupon.status.replace('_', ' ')}
+                  </span>
+                </td>
+                <td className="px-4 py-3 text-right whitespace-nowrap">
+                  <button
+                    onClick={() => setEditing(coupon)}
+                    className="text-sm text-primary-600 hover:text-primary-700 mr-3"
+                  >
+                    Edit
+                  </button>
+                  {coupon.is_active && (
+                    <button
+                      onClick={() => {
+                        if (window.confirm(`Deactivate ${coupon.code}?`)) {
+                          deactivateMutation.mutate(coupon.coupon_id);
+                        }
+                      }}
+                      className="text-sm text-red-600 hover:text-red-700"
+                    >
+                      Deactivate
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {editing && <CouponFormModal coupon={editing} onClose={() => setEditing(null)} />}
+      {showSms && <SmsCouponModal onClose={() => setShowSms(false)} />}
+    </div>
+  );
+}
+
+// Discount fields shared by single coupons and SMS campaigns
+function CouponDiscountFields({ form, onChange }) {
+  return (
+    <>
+      <div>
+        <label className="label">Discount *</label>
+        <div className="flex gap-2">
+          <input
+            name="discountValue"
+            type="number"
+            min="0"
+            step="0.01"
+            value={form.discountValue}
+            onChange={onChange}
+            required
+            className="input flex-1"
+          />
+          <select name="discountType" value={form.discountType} onChange={onChange} className="input w-28">
+            <option value="PERCENTAGE">%</option>
+            <option value="FIXED">$</option>
+          </select>
+        </div>
+      </div>
+      <div>
+        <label className="label">Maximum Discount</label>
+        <input
+          name="maxDiscountAmount"
+          type="number"
+          min="0"
+          step="0.01"
+          value={form.maxDiscountAmount}
+          onChange={onChange}
+          placeholder="No cap"
+          className="input"
+        />
+      </div>
+      <div>
+        <label className="label">Minimum Spend</label>
+        <input name="minSpend" type="number" min="0" step="0.01" value={form.minSpend} onChange={onChange} className="input" />
+      </div>
+      <div>
+        <label className="label">Expires</label>
+        <input name="expiresAt" type="datetime-local" value={form.expiresAt} onChange={onChange} className="input" />
+      </div>
+    </>
+  );
+}
+
+function CouponFormModal({ coupon, onClose }) {
+  const queryClient = useQueryClient();
+  const isNew = !coupon.coupon_id;
+  const [form, setForm] = useState({
+    code: coupon.code || '',
+    prefix: '',
+    description: coupon.description || '',
+    discountType: coupon.discount_type || 'PERCENTAGE',
+    discountValue: coupon.discount_value ?? '',
+    maxDiscountAmount: coupon.max_discount_amount ?? '',
+    minSpend: coupon.min_spend ?? '',
+    usageLimit: isNew ? 1 : (coupon.usage_limit ?? ''),
+    perCustomerLimit: coupon.per_customer_limit ?? '',
+    startsAt: toLocalInput(coupon.starts_at),
+    expiresAt: toLocalInput(coupon.expires_at),
+    campaign: coupon.campaign || '',
+    isActive: coupon.is_active ?? true,
+  });
+  const [customer, setCustomer] = useState(coupon.customer_id ? {
+    customer_id: coupon.customer_id,
+    first_name: coupon.customer_first_name,
+    last_name: coupon.customer_last_name,
+    phone: coupon.customer_phone,
+  } : null);
+  const [customerSearch, setCustomerSearch] = useState('');
+
+  const { data: customerResults } = useQuery({
+    queryKey: ['coupon-customer-search', customerSearch],
+    queryFn: () => customerService.getAll({ search: customerSearch, limit: 10 }).then(res => res.data.customers),
+    enabled: customerSearch.trim().length >= 3
+  });
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm((f) => ({ ...f, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: () => {
+      const payload = {
+        ...form,
+        customerId: customer?.customer_id || null,
+        startsAt: form.startsAt || null,
+        expiresAt: form.expiresAt || null,
+      };
+      return isNew ? couponService.create(payload) : couponService.update(coupon.coupon_id, payload);
+    },
+    onSuccess: (response) => {
+      toast.success(isNew ? `Coupon ${response.data.coupon.code} created` : 'Coupon updated');
+      queryClient.invalidateQueries(['coupons']);
+      onClose();
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to save coupon'))
+  });
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-xl font-semibold">{isNew ? 'New Coupon' : `Edit ${coupon.code}`}</h3>
+          <button onClick={onClose}>
+            <XMarkIcon className="w-6 h-6 text-gray-400" />
+          </button>
+        </div>
+
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            saveMutation.mutate();
+          }}
+          className="grid grid-cols-2 gap-4"
+        >
+          {isNew && (
+            <>
+              <div>
+                <label className="label">Code</label>
+                <input name="code" value={form.code} onChange={handleChange} placeholder="Generated if left blank" className="input font-mono uppercase" />
+              </div>
+              <div>
+                <label className="label">Prefix for a generated code</label>
+                <input name="prefix" value={form.prefix} onChange={handleChange} placeholder="e.g. EID" disabled={!!form.code} className="input uppercase" />
+              </div>
+            </>
+          )}
+
+          <div className="col-span-2">
+            <label className="label">Description</label>
+            <input name="description" value={form.description} onChange={handleChange} className="input" />
+          </div>
+
+          <CouponDiscountFields form={form} onChange={handleChange} />
+
+          <div>
+            <label className="label">Starts</label>
+            <input name="startsAt" type="datetime-local" value={form.startsAt} onChange={handleChange} className="input" />
+          </div>
+          <div>
+            <label className="label">Campaign</label>
+            <input name="campaign" value={form.campaign} onChange={handleChange} className="input" />
+          </div>
+
+          <div>
+            <label className="label">Total Uses</label>
+            <input name="usageLimit" type="number" min="1" value={form.usageLimit} onChange={handleChange} placeholder="Unlimited" className="input" />
+            <p className="text-xs text-gray-500 mt-1">1 makes it single-use</p>
+          </div>
+          <div>
+            <label className="label">Uses per Customer</label>
+            <input name="perCustomerLimit" type="number" min="1" value={form.perCustomerLimit} onChange={handleChange} placeholder="No limit" className="input" />
+            <p className="text-xs text-gray-500 mt-1">Needs the customer selected at the till</p>
+          </div>
+
+          <div className="col-span-2">
+            <label className="label">Customer</label>
+            {customer ? (
+              <div className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                <span>{customer.first_name} {customer.last_name} ({customer.phone})</span>
+                <button type="button" onClick={() => setCustomer(null)}>
+                  <XMarkIcon className="w-5 h-5 text-gray-400 hover:text-red-500" />
+                </button>
+              </div>
+            ) : (
+              <>
+                <input
+                  value={customerSearch}
+                  onChange={(e) => setCustomerSearch(e.target.value)}
+                  placeholder="Anyone can use it - search by name or phone to issue it to one customer"
+                  className="input"
+                />
+                {customerResults?.length > 0 && (
+                  <div className="border rounded-lg mt-1 divide-y max-h-40 overflow-y-auto">
+                    {customerResults.map(result => (
+                      <button
+                        key={result.customer_id}
+                        type="button"
+                        onClick={() => {
+                          setCustomer(result);
+                          setCustomerSearch('');
+                        }}
+                        className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50"
+                      >
+                        {result.first_name} {result.last_name} <span className="text-gray-400">{result.phone}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+
+          <label className="col-span-2 flex items-center gap-2 text-sm">
+            <input name="isActive" type="checkbox" checked={form.isActive} onChange={handleChange} />
+            Active
+          </label>
+
+          <div className="col-span-2 flex justify-end gap-2">
+            <button type="button" onClick={onClose} className="btn btn-secondary">Cancel</button>
+            <button type="submit" disabled={saveMutation.isPending} className="btn-primary">
+              {saveMutation.isPending ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Text a customer segment, each with their own single-use code
+function SmsCouponModal({ onClose }) {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState({
+    campaign: '',
+    message: 'Hi {name}, enjoy 10% off your next visit with code {code}',
+    segmentId: '',
+    minSpend: '',
+    minVisits: '',
+    city: '',
+    includeCoupon: true,
+    prefix: '',
+    discountType: 'PERCENTAGE',
+    discountValue: 10,
+    maxDiscountAmount: '',
+    couponMinSpend: '',
+    expiresAt: '',
+  });
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm((f) => ({ ...f, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const { data: segmentsData } = useQuery({
+    queryKey: ['customer-segments'],
+    queryFn: () => customerService.getSegments().then(res => res.data)
+  });
+
+  const sendMutation = useMutation({
+    mutationFn: () => couponService.sendSMS({
+      campaign: form.campaign || null,
+      message: form.message,
+      filter: {
+        segmentId: form.segmentId || undefined,
+        minSpend: form.minSpend || undefined,
+        minVisits: form.minVisits || undefined,
+        city: form.city || undefined,
+      },
+      coupon: form.includeCoupon ? {
+        prefix: form.prefix,
+        description: form.campaign || null,
+        discountType: form.discountType,
+        discountValue: form.discountValue,
+        maxDiscountAmount: form.maxDiscountAmount,
+        minSpend: form.couponMinSpend,
+        expiresAt: form.expiresAt || null,
+      } : null,
+    }),
+    onSuccess: (response) => {
+      const { customers, queued, coupons } = response.data;
+      toast.success(`Sent to ${queued} of ${customers} customers${coupons ? ` with ${coupons} codes` : ''}`);
+      queryClient.invalidateQueries(['coupons']);
+      onClose();
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to send messages'))
+  });
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-xl font-semibold">Send SMS Coupons</h3>
+          <button onClick={onClose}>
+            <XMarkIcon className="w-6 h-6 text-gray-400" />
+          </button>
+        </div>
+
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            sendMutation.mutate();
+          }}
+          className="grid grid-cols-2 gap-4"
+        >
+          <div className="col-span-2">
+            <label className="label">Campaign</label>
+            <input name="campaign" value={form.campaign} onChange={handleChange} placeholder="e.g. Eid 2026" className="input" />
+          </div>
+
+          <div className="col-span-2">
+            <label className="label">Message *</label>
+            <textarea name="message" value={form.message} onChange={handleChange} rows={3} required className="input" />
+            <p className="text-xs text-gray-500 mt-1">{'{name}'} is the customer&apos;s first name, {'{code}'} their coupon code</p>
+          </div>
+
+          {/* Segment */}
+          <div className="col-span-2 border-t pt-4">
+            <h4 className="font-medium text-gray-900">Customers</h4>
+            <p className="text-xs text-gray-500">Active customers who have not opted out of SMS</p>
+          </div>
+          <div className="col-span-2">
+            <label className="label">Saved segment</label>
+            <select name="segmentId" value={form.segmentId} onChange={handleChange} className="input">
+              <option value="">All customers</option>
+              {(segmentsData?.segments || []).map(segment => (
+                <option key={segment.segment_id} value={segment.segment_id}>
+                  {segment.segment_name} ({segment.customer_count})
+                </option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">Segments are built on the Customers page; the fields below narrow them further</p>
+          </div>
+          <div>
+            <label className="label">Spent at least</label>
+            <input name="minSpend" type="number" min="0" value={form.minSpend} onChange={handleChange} className="input" />
+          </div>
+          <div>
+            <label className="label">Visits at least</label>
+            <input name="minVisits" type="number" min="0" value={form.minVisits} onChange={handleChange} className="input" />
+          </div>
+          <div>
+            <label className="label">City</label>
+            <input name="city" value={form.city} onChange={handleChange} className="input" />
+          </div>
+
+          {/* Coupon */}
+          <div className="col-span-2 border-t pt-4">
+            <label className="flex items-center gap-2 font-medium text-gray-900">
+              <input name="includeCoupon" type="checkbox" checked={form.includeCoupon} onChange={handleChange} />
+              Give each customer a single-use coupon
+            </label>
+          </div>
+          {form.includeCoupon && (
+            <>
+              <div>
+                <label className="label">Code Prefix</label>
+                <input name="prefix" value={form.prefix} onChange={handleChange} placeholder="e.g. EID" className="input uppercase" />
+              </div>
+              <div />
+              <CouponDiscountFields
+                form={{ ...form, minSpend: form.couponMinSpend }}
+                onChange={(e) => handleChange(e.target.name === 'minSpend'
+                  ? { target: { name: 'couponMinSpend', value: e.target.value } }
+                  : e)}
+              />
+            </>
+          )}
+
+          <div className="col-span-2 flex justify-end gap-2">
+            <button type="button" onClick={onClose} className="btn btn-secondary">Cancel</button>
+            <button type="submit" disabled={sendMutation.isPending} className="btn-primary">
+              {sendMutation.isPending ? 'Sending...' : 'Send'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
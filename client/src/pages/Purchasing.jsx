@@ -0,0 +1,846 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  MagnifyingGlassIcon,
+  PlusIcon,
+  XMarkIcon,
+  TrashIcon,
+  TruckIcon,
+  DocumentTextIcon,
+  PrinterIcon,
+  ArrowDownTrayIcon,
+  BuildingStorefrontIcon,
+} from '@heroicons/react/24/outline';
+import { useAuthStore } from '../stores/authStore';
+import { productService, supplierService, purchaseOrderService } from '../services/api';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  DRAFT: 'bg-gray-100 text-gray-700',
+  SENT: 'bg-blue-100 text-blue-700',
+  PARTIALLY_RECEIVED: 'bg-yellow-100 text-yellow-700',
+  CLOSED: 'bg-green-100 text-green-700',
+  CANCELLED: 'bg-red-100 text-red-700',
+};
+
+const formatMoney = (value) => parseFloat(value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const errorMessage = (error, fallback) => error.response?.data?.message || fallback;
+
+// Open a downloaded document: PDFs in a new tab (to print), anything else saved
+const openDocument = (response, filename, { inline = false } = {}) => {
+  const url = URL.createObjectURL(response.data);
+  if (inline) {
+    window.open(url, '_blank');
+  } else {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+  }
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+};
+
+function StatusBadge({ status }) {
+  return (
+    <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[status] || 'bg-gray-100 text-gray-700'}`}>
+      {status?.replace('_', ' ')}
+    </span>
+  );
+}
+
+export default function Purchasing() {
+  const [activeTab, setActiveTab] = useState('orders');
+
+  return (
+    <div className="p-6">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Purchasing</h1>
+          <p className="text-gray-500">Suppliers, purchase orders and goods received</p>
+        </div>
+      </div>
+
+      {/* Tabs */}
+      <div className="flex gap-2 mb-6">
+        {[
+          { id: 'orders', label: 'Purchase Orders', icon: DocumentTextIcon },
+          { id: 'suppliers', label: 'Suppliers', icon: BuildingStorefrontIcon },
+        ].map(tab => (
+          <button
+            key={tab.id}
+            onClick={() => setActiveTab(tab.id)}
+            className={`px-4 py-2 rounded-lg font-medium flex items-center gap-2 ${
+              activeTab === tab.id ? 'bg-primary-600 text-white' : 'bg-white text-gray-700 border'
+            }`}
+          >
+            <tab.icon className="w-5 h-5" />
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {activeTab === 'orders' ? <PurchaseOrders /> : <Suppliers />}
+    </div>
+  );
+}
+
+// Purchase order list with status filter
+function PurchaseOrders() {
+  const [status, setStatus] = useState('');
+  const [search, setSearch] = useState('');
+  const [showCreate, setShowCreate] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const { data: purchaseOrders, isLoading } = useQuery({
+    queryKey: ['purchase-orders', status, search],
+    queryFn: () => purchaseOrderService.getAll({ status: status || undefined, search: search || undefined })
+      .then(res => res.data.purchaseOrders)
+  });
+
+  return (
+    <>
+      <div className="bg-white rounded-xl p-4 mb-6 flex flex-wrap gap-4 items-center">
+        <div className="relative flex-1 min-w-[200px]">
+          <MagnifyingGlassIcon className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search PO number or supplier..."
+            className="input pl-10"
+          />
+        </div>
+        <select value={status} onChange={(e) => setStatus(e.target.value)} className="input max-w-[220px]">
+          <option value="">All statuses</option>
+          {Object.keys(STATUS_STYLES).map(s => (
+            <option key={s} value={s}>{s.replace('_', ' ')}</option>
+          ))}
+        </select>
+        <button onClick={() => setShowCreate(true)} className="btn-primary flex items-center gap-2">
+          <PlusIcon className="w-5 h-5" />
+          New Purchase Order
+        </button>
+      </div>
+
+      <div className="bg-white rounded-xl border overflow-hidden">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-left text-gray-500">
+            <tr>
+              <th className="px-4 py-3 font-medium">PO Number</th>
+              <th className="px-4 py-3 font-medium">Supplier</th>
+              <th className="px-4 py-3 font-medium">Location</th>
+              <th className="px-4 py-3 font-medium">Status</th>
+              <th className="px-4 py-3 font-medium text-right">Received</th>
+              <th className="px-4 py-3 font-medium text-right">Total</th>
+              <th className="px-4 py-3 font-medium">Created</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {isLoading ? (
+              <tr><td colSpan={7} className="p-8 text-center text-gray-500">Loading...</td></tr>
+            ) : purchaseOrders?.length > 0 ? (
+              purchaseOrders.map(po => (
+                <tr key={po.po_id} onClick={() => setSelectedId(po.po_id)} className="hover:bg-gray-50 cursor-pointer">
+                  <td className="px-4 py-3 font-medium">{po.po_number}</td>
+                  <td className="px-4 py-3">{po.supplier_name}</td>
+                  <td className="px-4 py-3">{po.location_name}</td>
+                  <td className="px-4 py-3"><StatusBadge status={po.status} /></td>
+                  <td className="px-4 py-3 text-right">{po.quantity_received} / {po.quantity_ordered}</td>
+                  <td className="px-4 py-3 text-right">{formatMoney(po.total_amount)}</td>
+                  <td className="px-4 py-3">{new Date(po.created_at).toLocaleDateString()}</td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan={7} className="p-8 text-center text-gray-500">
+                  <DocumentTextIcon className="w-12 h-12 mx-auto mb-4 text-gray-300" />
+                  <p>No purchase orders</p>
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {showCreate && (
+        <PurchaseOrderFormModal
+          onClose={() => setShowCreate(false)}
+          onSaved={(po) => {
+            setShowCreate(false);
+            setSelectedId(po.po_id);
+          }}
+        />
+      )}
+
+      {selectedId && (
+        <PurchaseOrderDetailModal poId={selectedId} onClose={() => setSelectedId(null)} />
+      )}
+    </>
+  );
+}
+
+// Create a draft PO, or edit an existing draft
+function PurchaseOrderFormModal({ existing, onClose, onSaved }) {
+  const queryClient = useQueryClient();
+  const { currentLocation } = useAuthStore();
+  const [supplierId, setSupplierId] = useState(existing?.purchaseOrder.supplier_id || '');
+  const [expectedDate, setExpectedDate] = useState(existing?.purchaseOrder.expected_date?.slice(0, 10) || '');
+  const [notes, setNotes] = useState(existing?.purchaseOrder.notes || '');
+  const [lines, setLines] = useState(
+    (existing?.items || []).map(item => ({
+      variantId: item.variant_id,
+      label: `${item.product_name}${item.variant_name && item.variant_name !== 'Default' ? ` - ${item.variant_name}` : ''}`,
+      sku: item.sku,
+      quantity: item.quantity_ordered,
+      unitCost: item.unit_cost,
+      taxRate: item.tax_rate,
+    }))
+  );
+  const [search, setSearch] = useState('');
+
+  const { data: suppliers } = useQuery({
+    queryKey: ['suppliers'],
+    queryFn: () => supplierService.getAll().then(res => res.data.suppliers)
+  });
+
+  const { data: searchResults } = useQuery({
+    queryKey: ['po-product-search', search],
+    queryFn: () => productService.quickSearch(search, currentLocation?.id).then(res => res.data.products),
+    enabled: search.length >= 2
+  });
+
+  const addLine = (variant) => {
+    setSearch('');
+    if (lines.some(line => line.variantId === variant.variant_id)) {
+      toast.error('Item is already on this order');
+      return;
+    }
+    setLines([...lines, {
+      variantId: variant.variant_id,
+      label: `${variant.product_name}${variant.variant_name && variant.variant_name !== 'Default' ? ` - ${variant.variant_name}` : ''}`,
+      sku: variant.sku,
+      quantity: 1,
+      unitCost: variant.cost_price || 0,
+      taxRate: 0,
+    }]);
+  };
+
+  const updateLine = (index, field, value) => {
+    setLines(lines.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  const total = lines.reduce((sum, line) => sum + (parseFloat(line.quantity) || 0) * (parseFloat(line.unitCost) || 0), 0);
+
+  const saveMutation = useMutation({
+    mutationFn: () => {
+      const items = lines.map(line => ({
+        variantId: line.variantId,
+        quantity: parseInt(line.quantity),
+        unitCost: parseFloat(line.unitCost) || 0,
+        taxRate: parseFloat(line.taxRate) || 0,
+      }));
+      return existing
+        ? purchaseOrderService.update(existing.purchaseOrder.po_id, { expectedDate: expectedDate || null, notes, items })
+        : purchaseOrderService.create({ supplierId, locationId: currentLocation?.id, expectedDate: expectedDate || null, notes, items });
+    },
+    onSuccess: (res) => {
+      toast.success(existing ? 'Purchase order updated' : `Purchase order ${res.data.purchaseOrder.po_number} created`);
+      queryClient.invalidateQueries(['purchase-orders']);
+      queryClient.invalidateQueries(['purchase-order']);
+      onSaved(res.data.purchaseOrder);
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to save purchase order'))
+  });
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-xl font-semibold">
+            {existing ? `Edit ${existing.purchaseOrder.po_number}` : 'New Purchase Order'}
+          </h3>
+          <button onClick={onClose}>
+            <XMarkIcon className="w-6 h-6 text-gray-400" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+          <div>
+            <label className="label">Supplier *</label>
+            <select
+              value={supplierId}
+              onChange={(e) => setSupplierId(e.target.value)}
+              className="input"
+              disabled={!!existing}
+            >
+              <option value="">Select supplier</option>
+              {(suppliers || []).map(s => (
+                <option key={s.supplier_id} value={s.supplier_id}>{s.supplier_name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="label">Expected Delivery</label>
+            <input type="date" value={expectedDate} onChange={(e) => setExpectedDate(e.target.value)} className="input" />
+          </div>
+          <div>
+            <label className="label">Notes</label>
+            <input value={notes} onChange={(e) => setNotes(e.target.value)} className="input" />
+          </div>
+        </div>
+
+        {/* Item search */}
+        <div className="relative mb-4">
+          <MagnifyingGlassIcon className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Add item by name, SKU or barcode..."
+            className="input pl-10"
+          />
+          {search.length >= 2 && searchResults?.length > 0 && (
+            <div className="absolute z-10 left-0 right-0 mt-1 bg-white border rounded-lg shadow-lg max-h-60 overflow-y-auto">
+              {searchResults.map(variant => (
+                <button
+                  key={variant.variant_id}
+                  type="button"
+                  onClick={() => addLine(variant)}
+                  className="w-full px-4 py-2 text-left hover:bg-gray-50 flex justify-between text-sm"
+                >
+                  <span>{variant.product_name} {variant.variant_name !== 'Default' && variant.variant_name}</span>
+                  <span className="text-gray-500">{variant.sku} • Stock {variant.stock}</span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Lines */}
+        <table className="w-full text-sm mb-4">
+          <thead className="text-left text-gray-500 border-b">
+            <tr>
+              <th className="py-2 font-medium">Item</th>
+              <th className="py-2 font-medium w-24">Qty</th>
+              <th className="py-2 font-medium w-32">Unit Cost</th>
+              <th className="py-2 font-medium w-24">Tax %</th>
+              <th className="py-2 font-medium w-28 text-right">Total</th>
+              <th className="w-10"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {lines.map((line, index) => (
+              <tr key={line.variantId}>
+                <td className="py-2">
+                  <p className="font-medium">{line.label}</p>
+                  <p className="text-xs text-gray-500">{line.sku}</p>
+                </td>
+                <td className="py-2 pr-2">
+                  <input type="number" min="1" value={line.quantity} onChange={(e) => updateLine(index, 'quantity', e.target.value)} className="input" />
+                </td>
+                <td className="py-2 pr-2">
+                  <input type="number" min="0" step="0.01" value={line.unitCost} onChange={(e) => updateLine(index, 'unitCost', e.target.value)} className="input" />
+                </td>
+                <td className="py-2 pr-2">
+                  <input type="number" min="0" max="100" step="0.01" value={line.taxRate} onChange={(e) => updateLine(index, 'taxRate', e.target.value)} className="input" />
+                </td>
+                <td className="py-2 text-right">
+                  {formatMoney((parseFloat(line.quantity) || 0) * (parseFloat(line.unitCost) || 0))}
+                </td>
+                <td className="py-2 text-right">
+                  <button type="button" onClick={() => setLines(lines.filter((_, i) => i !== index))}>
+                    <TrashIcon className="w-5 h-5 text-red-500" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+            {lines.length === 0 && (
+              <tr><td colSpan={6} className="py-6 text-center text-gray-500">Search above to add items</td></tr>
+            )}
+          </tbody>
+        </table>
+
+        <div className="flex items-center justify-between">
+          <p className="text-lg font-semibold">Subtotal: {formatMoney(total)}</p>
+          <div className="flex gap-2">
+            <button type="button" onClick={onClose} className="btn btn-secondary">Cancel</button>
+            <button
+              onClick={() => saveMutation.mutate()}
+              disabled={!supplierId || lines.length === 0 || saveMutation.isPending}
+              className="btn-primary"
+            >
+              {saveMutation.isPending ? 'Saving...' : existing ? 'Save Changes' : 'Create Draft'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// PO lines, receipts and the actions its status allows
+function PurchaseOrderDetailModal({ poId, onClose }) {
+  const queryClient = useQueryClient();
+  const [showEdit, setShowEdit] = useState(false);
+  const [showReceive, setShowReceive] = useState(false);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['purchase-order', poId],
+    queryFn: () => purchaseOrderService.getById(poId).then(res => res.data)
+  });
+
+  const transitionMutation = useMutation({
+    mutationFn: (action) => purchaseOrderService[action](poId),
+    onSuccess: (res) => {
+      toast.success(`Purchase order ${res.data.purchaseOrder.status.replace('_', ' ').toLowerCase()}`);
+      queryClient.invalidateQueries(['purchase-orders']);
+      queryClient.invalidateQueries(['purchase-order', poId]);
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to update purchase order'))
+  });
+
+  const handleDocument = async (type) => {
+    try {
+      const response = type === 'pdf'
+        ? await purchaseOrderService.downloadPdf(poId)
+        : await purchaseOrderService.downloadCsv(poId);
+      openDocument(response, `${data.purchaseOrder.po_number}.${type}`, { inline: type === 'pdf' });
+    } catch (error) {
+      toast.error('Failed to download purchase order');
+    }
+  };
+
+  const confirmTransition = (action, message) => {
+    if (window.confirm(message)) {
+      transitionMutation.mutate(action);
+    }
+  };
+
+  if (isLoading || !data) {
+    return (
+      <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+        <div className="bg-white rounded-2xl p-6">Loading...</div>
+      </div>
+    );
+  }
+
+  const { purchaseOrder: po, items, receipts } = data;
+  const canReceive = ['SENT', 'PARTIALLY_RECEIVED'].includes(po.status);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-4xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="text-xl font-semibold flex items-center gap-3">
+              {po.po_number}
+              <StatusBadge status={po.status} />
+            </h3>
+            <p className="text-sm text-gray-500">
+              {po.supplier_name} → {po.location_name}
+              {po.expected_date && ` • Expected ${new Date(po.expected_date).toLocaleDateString()}`}
+            </p>
+          </div>
+          <button onClick={onClose}>
+            <XMarkIcon className="w-6 h-6 text-gray-400" />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-4">
+          {po.status === 'DRAFT' && (
+            <>
+              <button onClick={() => setShowEdit(true)} className="btn btn-secondary">Edit</button>
+              <button
+                onClick={() => confirmTransition('send', 'Mark this order as sent to the supplier? It can no longer be edited.')}
+                className="btn-primary"
+              >
+                Mark as Sent
+              </button>
+            </>
+          )}
+          {canReceive && (
+            <button onClick={() => setShowReceive(true)} className="btn-primary flex items-center gap-2">
+              <TruckIcon className="w-5 h-5" />
+              Receive Goods
+            </button>
+          )}
+          {canReceive && po.status === 'PARTIALLY_RECEIVED' && (
+            <button
+              onClick={() => confirmTransition('close', 'Close this order? Outstanding quantities will not be received.')}
+              className="btn btn-secondary"
+            >
+              Close Short
+            </button>
+          )}
+          {['DRAFT', 'SENT'].includes(po.status) && (
+            <button
+              onClick={() => confirmTransition('cancel', 'Cancel this purchase order?')}
+              className="btn btn-secondary text-red-600"
+            >
+              Cancel Order
+            </button>
+          )}
+          <button onClick={() => handleDocument('pdf')} className="btn btn-secondary flex items-center gap-2">
+            <PrinterIcon className="w-5 h-5" />
+            Print / PDF
+          </button>
+          <button onClick={() => handleDocument('csv')} className="btn btn-secondary flex items-center gap-2">
+            <ArrowDownTrayIcon className="w-5 h-5" />
+            CSV
+          </button>
+        </div>
+
+        <table className="w-full text-sm mb-4">
+          <thead className="text-left text-gray-500 border-b">
+            <tr>
+              <th className="py-2 font-medium">Item</th>
+              <th className="py-2 font-medium text-right">Ordered</th>
+              <th className="py-2 font-medium text-right">Received</th>
+              <th className="py-2 font-medium text-right">Unit Cost</th>
+              <th className="py-2 font-medium text-right">Total</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {items.map(item => (
+              <tr key={item.po_item_id}>
+                <td className="py-2">
+                  <p className="font-medium">{item.product_name} {item.variant_name !== 'Default' && item.variant_name}</p>
+                  <p className="text-xs text-gray-500">{item.sku}</p>
+                </td>
+                <td className="py-2 text-right">{item.quantity_ordered}</td>
+                <td className={`py-2 text-right ${item.quantity_received >= item.quantity_ordered ? 'text-green-600' : ''}`}>
+                  {item.quantity_received}
+                </td>
+                <td className="py-2 text-right">{formatMoney(item.unit_cost)}</td>
+                <td className="py-2 text-right">{formatMoney(item.line_total)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="text-right space-y-1 mb-6">
+          <p className="text-sm text-gray-500">Subtotal: {formatMoney(po.subtotal)}</p>
+          <p className="text-sm text-gray-500">Tax: {formatMoney(po.tax_amount)}</p>
+          <p className="text-lg font-semibold">Total: {formatMoney(po.total_amount)}</p>
+        </div>
+
+        {receipts.length > 0 && (
+          <div>
+            <h4 className="font-semibold mb-2">Goods Received</h4>
+            <div className="divide-y border rounded-lg">
+              {receipts.map(grn => (
+                <div key={grn.grn_id} className="p-3 flex justify-between text-sm">
+                  <div>
+                    <p className="font-medium">{grn.grn_number}</p>
+                    <p className="text-gray-500">
+                      {new Date(grn.received_at).toLocaleString()} by {grn.received_by_first_name} {grn.received_by_last_name}
+                      {grn.supplier_invoice_number && ` • Invoice ${grn.supplier_invoice_number}`}
+                    </p>
+                  </div>
+                  <p className="font-medium">{formatMoney(grn.total_cost)}</p>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {showEdit && (
+        <PurchaseOrderFormModal existing={data} onClose={() => setShowEdit(false)} onSaved={() => setShowEdit(false)} />
+      )}
+
+      {showReceive && (
+        <ReceiveGoodsModal purchaseOrder={data} onClose={() => setShowReceive(false)} />
+      )}
+    </div>
+  );
+}
+
+// Goods-received note: quantities and costs per outstanding PO line
+function ReceiveGoodsModal({ purchaseOrder, onClose }) {
+  const queryClient = useQueryClient();
+  const openLines = purchaseOrder.items.filter(item => item.quantity_received < item.quantity_ordered);
+  const [lines, setLines] = useState(openLines.map(item => ({
+    poItemId: item.po_item_id,
+    quantity: item.quantity_ordered - item.quantity_received,
+    unitCost: item.unit_cost,
+  })));
+  const [supplierInvoiceNumber, setSupplierInvoiceNumber] = useState('');
+  const [notes, setNotes] = useState('');
+
+  const updateLine = (index, field, value) => {
+    setLines(lines.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  const receiveMutation = useMutation({
+    mutationFn: () => purchaseOrderService.receive(purchaseOrder.purchaseOrder.po_id, {
+      items: lines.map(line => ({
+        poItemId: line.poItemId,
+        quantity: parseInt(line.quantity) || 0,
+        unitCost: parseFloat(line.unitCost) || 0,
+      })),
+      supplierInvoiceNumber: supplierInvoiceNumber || null,
+      notes: notes || null,
+    }),
+    onSuccess: (res) => {
+      toast.success(`${res.data.grn.grn_number} received`);
+      queryClient.invalidateQueries(['purchase-orders']);
+      queryClient.invalidateQueries(['purchase-order', purchaseOrder.purchaseOrder.po_id]);
+      queryClient.invalidateQueries(['inventory']);
+      onClose();
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to receive goods'))
+  });
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-xl font-semibold">Receive Goods - {purchaseOrder.purchaseOrder.po_number}</h3>
+          <button onClick={onClose}>
+            <XMarkIcon className="w-6 h-6 text-gray-400" />
+          </button>
+        </div>
+
+        <table className="w-full text-sm mb-4">
+          <thead className="text-left text-gray-500 border-b">
+            <tr>
+              <th className="py-2 font-medium">Item</th>
+              <th className="py-2 font-medium text-right">Outstanding</th>
+              <th className="py-2 font-medium w-28">Receiving</th>
+              <th className="py-2 font-medium w-32">Unit Cost</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {openLines.map((item, index) => (
+              <tr key={item.po_item_id}>
+                <td className="py-2">
+                  <p className="font-medium">{item.product_name} {item.variant_name !== 'Default' && item.variant_name}</p>
+                  <p className="text-xs text-gray-500">{item.sku}</p>
+                </td>
+                <td className="py-2 text-right pr-4">{item.quantity_ordered - item.quantity_received}</td>
+                <td className="py-2 pr-2">
+                  <input
+                    type="number"
+                    min="0"
+                    max={item.quantity_ordered - item.quantity_received}
+                    value={lines[index].quantity}
+                    onChange={(e) => updateLine(index, 'quantity', e.target.value)}
+                    className="input"
+                  />
+                </td>
+                <td className="py-2">
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={lines[index].unitCost}
+                    onChange={(e) => updateLine(index, 'unitCost', e.target.value)}
+                    className="input"
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="grid grid-cols-2 gap-4 mb-6">
+          <div>
+            <label className="label">Supplier Invoice #</label>
+            <input value={supplierInvoiceNumber} onChange={(e) => setSupplierInvoiceNumber(e.target.value)} className="input" />
+          </div>
+          <div>
+            <label className="label">Notes</label>
+            <input value={notes} onChange={(e) => setNotes(e.target.value)} className="input" />
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button onClick={onClose} className="btn btn-secondary">Cancel</button>
+          <button
+            onClick={() => receiveMutation.mutate()}
+            disabled={!lines.some(line => parseInt(line.quantity) > 0) || receiveMutation.isPending}
+            className="btn-primary"
+          >
+            {receiveMutation.isPending ? 'Receiving...' : 'Receive'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Supplier master
+function Suppliers() {
+  const queryClient = useQueryClient();
+  const [search, setSearch] = useState('');
+  const [editing, setEditing] = useState(null); // supplier, or {} for a new one
+
+  const { data: suppliers, isLoading } = useQuery({
+    queryKey: ['suppliers', search],
+    queryFn: () => supplierService.getAll({ search: search || undefined }).then(res => res.data.suppliers)
+  });
+
+  const deactivateMutation = useMutation({
+    mutationFn: (id) => supplierService.deactivate(id),
+    onSuccess: () => {
+      toast.success('Supplier deactivated');
+      queryClient.invalidateQueries(['suppliers']);
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to deactivate supplier'))
+  });
+
+  return (
+    <>
+      <div className="bg-white rounded-xl p-4 mb-6 flex gap-4 items-center">
+        <div className="relative flex-1">
+          <MagnifyingGlassIcon className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search suppliers..."
+            className="input pl-10"
+          />
+        </div>
+        <button onClick={() => setEditing({})} className="btn-primary flex items-center gap-2">
+          <PlusIcon className="w-5 h-5" />
+          Add Supplier
+        </button>
+      </div>
+
+      <div className="bg-white rounded-xl border overflow-hidden">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-left text-gray-500">
+            <tr>
+              <th className="px-4 py-3 font-medium">Code</th>
+              <th className="px-4 py-3 font-medium">Name</th>
+              <th className="px-4 py-3 font-medium">Contact</th>
+              <th className="px-4 py-3 font-medium">Terms</th>
+              <th className="px-4 py-3 font-medium text-right">Open Orders</th>
+              <th className="px-4 py-3"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {isLoading ? (
+              <tr><td colSpan={6} className="p-8 text-center text-gray-500">Loading...</td></tr>
+            ) : suppliers?.length > 0 ? (
+              suppliers.map(supplier => (
+                <tr key={supplier.supplier_id}>
+                  <td className="px-4 py-3 font-medium">{supplier.supplier_code}</td>
+                  <td className="px-4 py-3">{supplier.supplier_name}</td>
+                  <td className="px-4 py-3">
+                    {supplier.contact_name}
+                    <p className="text-xs text-gray-500">{supplier.phone} {supplier.email}</p>
+                  </td>
+                  <td className="px-4 py-3">{supplier.payment_terms || '—'}</td>
+                  <td className="px-4 py-3 text-right">{supplier.open_orders}</td>
+                  <td className="px-4 py-3 text-right whitespace-nowrap">
+                    <button onClick={() => setEditing(supplier)} className="text-primary-600 mr-3">Edit</button>
+                    <button
+                      onClick={() => window.confirm(`Deactivate ${supplier.supplier_name}?`) && deactivateMutation.mutate(supplier.supplier_id)}
+                      className="text-red-600"
+                    >
+                      Deactivate
+                    </button>
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr><td colSpan={6} className="p-8 text-center text-gray-500">No suppliers yet</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {editing && <SupplierFormModal supplier={editing} onClose={() => setEditing(null)} />}
+    </>
+  );
+}
+
+function SupplierFormModal({ supplier, onClose }) {
+  const queryClient = useQueryClient();
+  const isNew = !supplier.supplier_id;
+  const [form, setForm] = useState({
+    supplierCode: supplier.supplier_code || '',
+    supplierName: supplier.supplier_name || '',
+    contactName: supplier.contact_name || '',
+    phone: supplier.phone || '',
+    email: supplier.email || '',
+    address: supplier.address || '',
+    city: supplier.city || '',
+    taxNumber: supplier.tax_number || '',
+    paymentTerms: supplier.payment_terms || '',
+    notes: supplier.notes || '',
+  });
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((f) => ({ ...f, [name]: value }));
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: () => (isNew ? supplierService.create(form) : supplierService.update(supplier.supplier_id, form)),
+    onSuccess: () => {
+      toast.success(isNew ? 'Supplier added' : 'Supplier updated');
+      queryClient.invalidateQueries(['suppliers']);
+      onClose();
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to save supplier'))
+  });
+
+  const fields = [
+    { name: 'supplierCode', label: 'Code *', required: true, disabled: !isNew },
+    { name: 'supplierName', label: 'Name *', required: true },
+    { name: 'contactName', label: 'Contact Person' },
+    { name: 'phone', label: 'Phone' },
+    { name: 'email', label: 'Email', type: 'email' },
+    { name: 'city', label: 'City' },
+    { name: 'address', label: 'Address' },
+    { name: 'taxNumber', label: 'Tax Number' },
+    { name: 'paymentTerms', label: 'Payment Terms', placeholder: 'e.g. Net 30' },
+    { name: 'notes', label: 'Notes' },
+  ];
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-xl font-semibold">{isNew ? 'Add Supplier' : 'Edit Supplier'}</h3>
+          <button onClick={onClose}>
+            <XMarkIcon className="w-6 h-6 text-gray-400" />
+          </button>
+        </div>
+
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            saveMutation.mutate();
+          }}
+          className="grid grid-cols-2 gap-4"
+        >
+          {fields.map(field => (
+            <div key={field.name}>
+              <label className="label">{field.label}</label>
+              <input
+                name={field.name}
+                type={field.type || 'text'}
+                value={form[field.name]}
+                onChange={handleChange}
+                placeholder={field.placeholder}
+                required={field.required}
+                disabled={field.disabled}
+                className="input"
+              />
+            </div>
+          ))}
+          <div className="col-span-2 flex justify-end gap-2">
+            <button type="button" onClick={onClose} className="btn btn-secondary">Cancel</button>
+            <button type="submit" disabled={saveMutation.isPending} className="btn-primary">
+              {saveMutation.isPending ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
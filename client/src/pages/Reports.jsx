@@ -93,6 +93,12 @@ export default function Reports() {
     avgTransaction: e.transactions > 0 ? (parseFloat(e.revenue) || parseFloat(e.sales) || 0) / e.transactions : 0
   }));
 
+  // Fetch inventory valuation (point in time - not affected by the date range)
+  const { data: valuationData } = useQuery({
+    queryKey: ['inventory-valuation'],
+    queryFn: () => api.get('/reports/inventory-valuation').then(res => res.data)
+  });
+
   // Normalize payment breakdown from dashboard data
   const paymentMethods = (dashboardData?.paymentBreakdown || []).map(p => ({
     type: p.method_name || p.MethodName || p.method_type || 'Unknown',
@@ -368,6 +374,46 @@ export default function Reports() {
           )}
         </div>
       </div>
+
+      {/* Inventory Valuation */}
+      <div className="bg-white rounded-xl p-6 border mt-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Inventory Valuation</h3>
+          {valuationData?.totals && (
+            <p className="text-sm text-gray-500">
+              {valuationData.totals.units.toLocaleString()} units •
+              Cost ${valuationData.totals.cost_value.toLocaleString()} •
+              Retail ${valuationData.totals.retail_value.toLocaleString()}
+            </p>
+          )}
+        </div>
+        {valuationData?.data?.length > 0 ? (
+          <table className="w-full text-sm">
+            <thead className="text-left text-gray-500 border-b">
+              <tr>
+                <th className="py-2 font-medium">Location</th>
+                <th className="py-2 font-medium">Category</th>
+                <th className="py-2 font-medium text-right">Units</th>
+                <th className="py-2 font-medium text-right">Value at Cost</th>
+                <th className="py-2 font-medium text-right">Value at Retail</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {valuationData.data.map((row, i) => (
+                <tr key={i}>
+                  <td className="py-2">{row.location_name}</td>
+                  <td className="py-2">{row.category_name || 'Uncategorized'}</td>
+                  <td className="py-2 text-right">{row.units.toLocaleString()}</td>
+                  <td className="py-2 text-right">${row.cost_value.toLocaleString()}</td>
+                  <td className="py-2 text-right">${row.retail_value.toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div className="text-center py-8 text-gray-500">No stock on hand</div>
+        )}
+      </div>
     </div>
   );
 }
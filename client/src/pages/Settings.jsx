@@ -16,10 +16,12 @@ import {
   TagIcon,
   PencilIcon,
   TrashIcon,
-  PlusIcon
+  PlusIcon,
+  GiftIcon
 } from '@heroicons/react/24/outline';
-import api from '../services/api';
+import api, { approvalService, hardwareService } from '../services/api';
 import toast from 'react-hot-toast';
+import ManagerApprovalModal from '../components/ManagerApprovalModal';
 
 export default function Settings() {
   const [activeTab, setActiveTab] = useState('store');
@@ -30,6 +32,7 @@ export default function Settings() {
     { id: 'hardware', label: 'Hardware', icon: PrinterIcon },
     { id: 'tax', label: 'Tax & Payment', icon: CurrencyDollarIcon },
     { id: 'notifications', label: 'Notifications', icon: BellIcon },
+    { id: 'loyalty', label: 'Loyalty', icon: GiftIcon },
     { id: 'users', label: 'Users', icon: UserGroupIcon },
     { id: 'security', label: 'Security', icon: ShieldCheckIcon }
   ];
@@ -70,6 +73,7 @@ export default function Settings() {
           {activeTab === 'hardware' && <HardwareSettings />}
           {activeTab === 'tax' && <TaxSettings />}
           {activeTab === 'notifications' && <NotificationSettings />}
+          {activeTab === 'loyalty' && <LoyaltySettings />}
           {activeTab === 'users' && <UserSettings />}
           {activeTab === 'security' && <SecuritySettings />}
         </div>
@@ -407,6 +411,13 @@ function HardwareSettings() {
   const [testing, setTesting] = useState(null);
   const [printerPort, setPrinterPort] = useState('');
   const [savingPort, setSavingPort] = useState(false);
+  const [showDrawerApproval, setShowDrawerApproval] = useState(false);
+
+  const { data: approvalRequirements } = useQuery({
+    queryKey: ['approval-requirements'],
+    queryFn: () => approvalService.getRequirements().then(res => res.data.requirements),
+    staleTime: 5 * 60 * 1000
+  });
 
   const { data: devices } = useQuery({
     queryKey: ['hardware-status'],
@@ -441,13 +452,22 @@ function HardwareSettings() {
     }
   };
 
-  const openDrawer = async () => {
+  // Same no-sale approval as the POS drawer button
+  const openDrawer = async (approvalToken) => {
     try {
-      await api.post('/hardware/cash-drawer/open');
+      await hardwareService.openCashDrawer(approvalToken);
       toast.success('Cash drawer opened');
     } catch (error) {
-      toast.error('Failed to open cash drawer');
+      toast.error(error.response?.data?.message || 'Failed to open cash drawer');
+    }
+  };
+
+  const handleOpenDrawer = () => {
+    if (approvalRequirements?.NO_SALE === false) {
+      openDrawer();
+      return;
     }
+    setShowDrawerApproval(true);
   };
 
   const hardwareList = [
@@ -541,12 +561,25 @@ function HardwareSettings() {
             <p className="text-gray-600">Open the cash drawer manually</p>
             <p className="text-sm text-gray-500">Usually connected via printer</p>
           </div>
-          <button onClick={openDrawer} className="btn-primary">
+          <button onClick={handleOpenDrawer} className="btn-primary">
             Open Drawer
           </button>
         </div>
       </div>
 
+      {showDrawerApproval && (
+        <ManagerApprovalModal
+          action="NO_SALE"
+          title="Open Drawer"
+          description="Opening the drawer without a sale needs manager approval."
+          onClose={() => setShowDrawerApproval(false)}
+          onApproved={(approvalToken) => {
+            setShowDrawerApproval(false);
+            openDrawer(approvalToken);
+          }}
+        />
+      )}
+
       {/* Printer Settings */}
       <div className="bg-white rounded-xl p-6 border">
         <h2 className="text-lg font-semibold mb-4">Printer Settings</h2>
@@ -697,7 +730,8 @@ function NotificationSettings() {
     lowStockAlerts: true,
     dailySalesSummary: true,
     newCustomerSignup: false,
-    smsReceipts: true
+    smsReceipts: true,
+    smsEnabled: false
   });
   const [initialized, setInitialized] = useState(false);
 
@@ -725,6 +759,9 @@ function NotificationSettings() {
       if (data?.sms_receipts?.value) {
         setSettings(prev => ({ ...prev, smsReceipts: data.sms_receipts.value === 'true' }));
       }
+      if (data?.sms_enabled?.value) {
+        setSettings(prev => ({ ...prev, smsEnabled: data.sms_enabled.value === 'true' }));
+      }
       setInitialized(true);
     }
   }, [data, initialized]);
@@ -791,6 +828,14 @@ function NotificationSettings() {
           <Toggle checked={settings.smsReceipts} onChange={() => handleToggle('smsReceipts', 'sms_receipts')} />
         </div>
 
+        <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
+          <div>
+            <p className="font-medium">Send SMS</p>
+            <p className="text-sm text-gray-500">Deliver text messages such as SMS coupons (needs Twilio credentials on the server)</p>
+          </div>
+          <Toggle checked={settings.smsEnabled} onChange={() => handleToggle('smsEnabled', 'sms_enabled')} />
+        </div>
+
         <div className="mt-4">
           <label className="label">Low Stock Threshold</label>
           <div className="flex gap-2">
@@ -910,6 +955,7 @@ function AddUserForm({ onSuccess }) {
     email: '',
     phone: '',
     password: '',
+    pin: '',
     role_id: 3, // default to cashier
     location_id: 1
   });
@@ -998,6 +1044,19 @@ function AddUserForm({ onSuccess }) {
           required
         />
       </div>
+      <div>
+        <label className="label">Approval PIN</label>
+        <input
+          name="pin"
+          type="password"
+          inputMode="numeric"
+          value={form.pin}
+          onChange={handleChange}
+          placeholder="4-6 digits, managers only"
+          pattern="\d{4,6}"
+          className="input"
+        />
+      </div>
       <div>
         <label className="label">Role</label>
         <select
@@ -1035,27 +1094,123 @@ function AddUserForm({ onSuccess }) {
 }
 
 // Security Settings Component
+// Actions that need a manager PIN - each maps to an approval_required_* setting
+const APPROVAL_SETTINGS = [
+  { key: 'approval_required_void', label: 'Require PIN for Voids', description: 'Manager PIN needed to void transactions' },
+  { key: 'approval_required_discount', label: 'Require PIN for Discounts', description: 'Manager PIN for discounts over threshold' },
+  { key: 'approval_required_price_override', label: 'Require PIN for Price Overrides', description: 'Manager PIN to change an item price at the till' },
+  { key: 'approval_required_refund', label: 'Require PIN for Refunds', description: 'Manager PIN needed to process returns' },
+  { key: 'approval_required_no_sale', label: 'Require PIN for No Sale', description: 'Manager PIN to open the drawer without a sale' },
+];
+
 function SecuritySettings() {
+  const queryClient = useQueryClient();
+  const [varianceThreshold, setVarianceThreshold] = useState(null);
+  const [tokenTtl, setTokenTtl] = useState(null);
+
+  const { data: settings } = useQuery({
+    queryKey: ['settings'],
+    queryFn: () => api.get('/settings').then(res => res.data)
+  });
+
+  const saveSetting = useMutation({
+    mutationFn: ({ key, value }) => api.put(`/settings/${key}`, { value }),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['settings']);
+      setVarianceThreshold(null);
+      setTokenTtl(null);
+      toast.success('Setting saved');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to save setting');
+    }
+  });
+
+  const currentThreshold = varianceThreshold ?? settings?.cash_variance_threshold?.value ?? '';
+  const currentTokenTtl = tokenTtl ?? settings?.approval_token_ttl_seconds?.value ?? '';
+
   return (
     <div className="space-y-6">
       <div className="bg-white rounded-xl p-6 border">
-        <h2 className="text-lg font-semibold mb-6">Security Settings</h2>
-        
+        <h2 className="text-lg font-semibold mb-6">Cash Drawer</h2>
+
         <div className="space-y-4 max-w-xl">
           <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
             <div>
-              <p className="font-medium">Require PIN for Voids</p>
-              <p className="text-sm text-gray-500">Manager PIN needed to void transactions</p>
+              <p className="font-medium">Blind Close</p>
+              <p className="text-sm text-gray-500">Cashiers count by denomination without seeing the expected amount</p>
             </div>
-            <Toggle defaultChecked />
+            <Toggle
+              checked={settings?.blind_close_enabled?.value === 'true'}
+              onChange={(checked) => saveSetting.mutate({ key: 'blind_close_enabled', value: String(checked) })}
+            />
           </div>
 
-          <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
-            <div>
-              <p className="font-medium">Require PIN for Discounts</p>
-              <p className="text-sm text-gray-500">Manager PIN for discounts over threshold</p>
+          <div>
+            <label className="label">Cash Variance Threshold</label>
+            <div className="flex gap-2">
+              <input
+                type="number"
+                value={currentThreshold}
+                onChange={(e) => setVarianceThreshold(e.target.value)}
+                placeholder="500"
+                min="0"
+                className="input max-w-[200px]"
+              />
+              <button
+                onClick={() => saveSetting.mutate({ key: 'cash_variance_threshold', value: String(currentThreshold) })}
+                disabled={varianceThreshold === null || saveSetting.isPending}
+                className="btn btn-secondary"
+              >
+                Save
+              </button>
             </div>
-            <Toggle defaultChecked />
+            <p className="text-sm text-gray-500 mt-1">
+              Shift variances above this amount need manager sign-off before reconciling
+            </p>
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl p-6 border">
+        <h2 className="text-lg font-semibold mb-6">Security Settings</h2>
+        
+        <div className="space-y-4 max-w-xl">
+          {APPROVAL_SETTINGS.map(({ key, label, description }) => (
+            <div key={key} className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
+              <div>
+                <p className="font-medium">{label}</p>
+                <p className="text-sm text-gray-500">{description}</p>
+              </div>
+              <Toggle
+                checked={settings?.[key]?.value !== 'false'}
+                onChange={(checked) => saveSetting.mutate({ key, value: String(checked) })}
+              />
+            </div>
+          ))}
+
+          <div>
+            <label className="label">Approval Valid For (seconds)</label>
+            <div className="flex gap-2">
+              <input
+                type="number"
+                value={currentTokenTtl}
+                onChange={(e) => setTokenTtl(e.target.value)}
+                placeholder="300"
+                min="30"
+                className="input max-w-[200px]"
+              />
+              <button
+                onClick={() => saveSetting.mutate({ key: 'approval_token_ttl_seconds', value: String(currentTokenTtl) })}
+                disabled={tokenTtl === null || saveSetting.isPending}
+                className="btn btn-secondary"
+              >
+                Save
+              </button>
+            </div>
+            <p className="text-sm text-gray-500 mt-1">
+              How long a manager's approval can be used before it expires
+            </p>
           </div>
 
           <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
@@ -1099,6 +1254,84 @@ function SecuritySettings() {
   );
 }
 
+const LOYALTY_SETTINGS = [
+  { key: 'loyalty_points_per_100', label: 'Points Earned per 100', placeholder: '1', step: '0.1', description: 'Points a customer earns for every 100 they spend (whole points, rounded down)' },
+  { key: 'loyalty_point_value', label: 'Value of One Point', placeholder: '1', step: '0.01', description: 'What one point is worth when paying with points at the till' },
+  { key: 'loyalty_points_expiry_days', label: 'Points Expire After (days)', placeholder: '365', step: '1', description: 'Days after they are earned that unspent points expire; 0 means never' },
+];
+
+// Loyalty Settings Component
+function LoyaltySettings() {
+  const queryClient = useQueryClient();
+  const [edits, setEdits] = useState({});
+
+  const { data: settings } = useQuery({
+    queryKey: ['settings'],
+    queryFn: () => api.get('/settings').then(res => res.data)
+  });
+
+  const saveSetting = useMutation({
+    mutationFn: ({ key, value }) => api.put(`/settings/${key}`, { value }),
+    onSuccess: (_, { key }) => {
+      queryClient.invalidateQueries(['settings']);
+      setEdits(prev => {
+        const { [key]: _saved, ...rest } = prev;
+        return rest;
+      });
+      toast.success('Setting saved');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to save setting');
+    }
+  });
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl p-6 border">
+        <h2 className="text-lg font-semibold mb-6">Loyalty Points</h2>
+
+        <div className="space-y-4 max-w-xl">
+          <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
+            <div>
+              <p className="font-medium">Loyalty Points</p>
+              <p className="text-sm text-gray-500">Customers earn points on sales and can pay with them</p>
+            </div>
+            <Toggle
+              checked={settings?.loyalty_enabled?.value !== 'false'}
+              onChange={(checked) => saveSetting.mutate({ key: 'loyalty_enabled', value: String(checked) })}
+            />
+          </div>
+
+          {LOYALTY_SETTINGS.map(({ key, label, placeholder, step, description }) => (
+            <div key={key}>
+              <label className="label">{label}</label>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  value={edits[key] ?? settings?.[key]?.value ?? ''}
+                  onChange={(e) => setEdits(prev => ({ ...prev, [key]: e.target.value }))}
+                  placeholder={placeholder}
+                  min="0"
+                  step={step}
+                  className="input max-w-[200px]"
+                />
+                <button
+                  onClick={() => saveSetting.mutate({ key, value: String(edits[key]) })}
+                  disabled={edits[key] === undefined || saveSetting.isPending}
+                  className="btn btn-secondary"
+                >
+                  Save
+                </button>
+              </div>
+              <p className="text-sm text-gray-500 mt-1">{description}</p>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
 // Toggle Component
 function Toggle({ defaultChecked = false, checked: controlledChecked, onChange }) {
   const [internalChecked, setInternalChecked] = useState(defaultChecked);
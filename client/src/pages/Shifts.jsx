@@ -11,35 +11,78 @@ import {
   CheckCircleIcon,
   ExclamationTriangleIcon,
   XMarkIcon,
-  CalendarIcon
+  CalendarIcon,
+  ArrowsRightLeftIcon
 } from '@heroicons/react/24/outline';
 import { useAuthStore } from '../stores/authStore';
-import api from '../services/api';
+import api, { reportService, shiftService } from '../services/api';
 import toast from 'react-hot-toast';
 
+// Report the outcome of a server-side print; the report itself is kept either way
+const notifyPrint = ({ printed, printError }, label) => {
+  if (printed) {
+    toast.success(`${label} sent to printer`);
+  } else {
+    toast.error(`${label} could not be printed: ${printError || 'printer unavailable'}`);
+  }
+};
+
+// Print a live, non-closing X-report for an open shift
+const printShiftXReport = async (shiftId) => {
+  try {
+    const { data } = await reportService.printXReport({ shiftId });
+    notifyPrint(data, 'X-Report');
+  } catch (error) {
+    toast.error(error.response?.data?.message || 'Failed to print X-Report');
+  }
+};
+
+// Reprint the shift's Z-report, generating it first if the shift has none yet
+const printShiftZReport = async (shift) => {
+  try {
+    const { data: existing } = await reportService.getZReports({ shiftId: shift.shift_id });
+    const report = existing.reports[0];
+
+    const { data } = report
+      ? await reportService.printZReport(report.z_report_id)
+      : await reportService.generateZReport({
+        shiftId: shift.shift_id,
+        actualCash: shift.closing_cash,
+        print: true,
+      });
+    notifyPrint(data, `Z-Report ${data.report.report_number}`);
+  } catch (error) {
+    toast.error(error.response?.data?.message || 'Failed to print Z-Report');
+  }
+};
+
 export default function Shifts() {
   const queryClient = useQueryClient();
-  const { user } = useAuthStore();
+  const { user, currentLocation } = useAuthStore();
   const [showStartModal, setShowStartModal] = useState(false);
   const [showEndModal, setShowEndModal] = useState(false);
   const [showHistoryModal, setShowHistoryModal] = useState(false);
+  const [showCashMovementModal, setShowCashMovementModal] = useState(false);
   const [selectedShift, setSelectedShift] = useState(null);
 
   // Fetch current shift
   const { data: currentShift, isLoading: shiftLoading } = useQuery({
     queryKey: ['current-shift'],
-    queryFn: () => api.get('/shifts/current').then(res => res.data)
+    queryFn: () => api.get('/shifts/current').then(res => res.data.shift || null)
   });
 
   // Fetch shift history
   const { data: shiftHistory } = useQuery({
     queryKey: ['shift-history'],
-    queryFn: () => api.get('/shifts/history?limit=10').then(res => res.data)
+    queryFn: () => api.get('/shifts/history?limit=10').then(res => res.data.shifts)
   });
 
   // Start shift mutation
   const startShiftMutation = useMutation({
-    mutationFn: (data) => api.post('/shifts/start', data),
+    mutationFn: (data) => shiftService.clockIn({
+      locationId: currentLocation?.id,
+      openingCash: data.opening_cash
+    }),
     onSuccess: () => {
       queryClient.invalidateQueries(['current-shift']);
       toast.success('Shift started successfully');
@@ -52,11 +95,17 @@ export default function Shifts() {
 
   // End shift mutation
   const endShiftMutation = useMutation({
-    mutationFn: (data) => api.post('/shifts/end', data),
-    onSuccess: () => {
+    mutationFn: (data) => shiftService.clockOut(data),
+    onSuccess: ({ data }) => {
       queryClient.invalidateQueries(['current-shift']);
       queryClient.invalidateQueries(['shift-history']);
-      toast.success('Shift ended successfully');
+      const { expectedCash, actualCash, difference, requiresApproval } = data.summary;
+      const result = `Counted $${actualCash.toFixed(2)}, expected $${expectedCash.toFixed(2)} (variance ${difference > 0 ? '+' : ''}$${difference.toFixed(2)})`;
+      if (requiresApproval) {
+        toast.error(`Shift ended. ${result} - manager sign-off required`, { duration: 8000 });
+      } else {
+        toast.success(`Shift ended. ${result}`, { duration: 6000 });
+      }
       setShowEndModal(false);
     },
     onError: (error) => {
@@ -119,13 +168,22 @@ export default function Shifts() {
           </div>
 
           {currentShift ? (
-            <button
-              onClick={() => setShowEndModal(true)}
-              className="btn bg-red-500 text-white hover:bg-red-600 flex items-center gap-2"
-            >
-              <StopIcon className="w-5 h-5" />
-              End Shift
-            </button>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setShowCashMovementModal(true)}
+                className="btn btn-secondary flex items-center gap-2"
+              >
+                <ArrowsRightLeftIcon className="w-5 h-5" />
+                Cash In / Out
+              </button>
+              <button
+                onClick={() => setShowEndModal(true)}
+                className="btn bg-red-500 text-white hover:bg-red-600 flex items-center gap-2"
+              >
+                <StopIcon className="w-5 h-5" />
+                End Shift
+              </button>
+            </div>
           ) : (
             <button
               onClick={() => setShowStartModal(true)}
@@ -250,6 +308,18 @@ export default function Shifts() {
         />
       )}
 
+      {/* Paid In / Paid Out / Safe Drop Modal */}
+      {showCashMovementModal && currentShift && (
+        <CashMovementModal
+          shift={currentShift}
+          onClose={() => setShowCashMovementModal(false)}
+          onRecorded={() => {
+            queryClient.invalidateQueries(['current-shift']);
+            setShowCashMovementModal(false);
+          }}
+        />
+      )}
+
       {/* Shift History Detail Modal */}
       {showHistoryModal && selectedShift && (
         <ShiftDetailModal
@@ -331,21 +401,164 @@ function StartShiftModal({ onClose, onStart, loading }) {
   );
 }
 
+// Cash Movement Modal - paid-ins, paid-outs and safe drops need a manager PIN
+const MOVEMENT_TYPES = [
+  { value: 'PAID_IN', label: 'Paid In', hint: 'Cash added to the drawer (e.g. extra float)' },
+  { value: 'PAID_OUT', label: 'Paid Out', hint: 'Petty cash expense paid from the drawer' },
+  { value: 'SAFE_DROP', label: 'Safe Drop', hint: 'Cash moved from the drawer to the safe' },
+];
+
+function CashMovementModal({ shift, onClose, onRecorded }) {
+  const [movementType, setMovementType] = useState('PAID_OUT');
+  const [amount, setAmount] = useState('');
+  const [reason, setReason] = useState('');
+  const [managerPIN, setManagerPIN] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const { data } = await shiftService.createCashMovement(shift.shift_id, {
+        movementType,
+        amount: parseFloat(amount),
+        reason,
+        managerPIN,
+      });
+      toast.success(`Recorded - approved by ${data.approvedBy}`);
+      if (!data.drawerOpened) {
+        toast('Cash drawer did not open - open it manually', { icon: '⚠️' });
+      }
+      onRecorded();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to record cash movement');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-md">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-xl font-semibold">Cash In / Out</h3>
+          <button onClick={onClose}>
+            <XMarkIcon className="w-6 h-6 text-gray-400" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-3 gap-2">
+            {MOVEMENT_TYPES.map(type => (
+              <button
+                key={type.value}
+                type="button"
+                onClick={() => setMovementType(type.value)}
+                className={`p-3 rounded-lg border text-sm font-medium ${
+                  movementType === type.value
+                    ? 'border-primary-500 bg-primary-50 text-primary-700'
+                    : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                {type.label}
+              </button>
+            ))}
+          </div>
+          <p className="text-sm text-gray-500">
+            {MOVEMENT_TYPES.find(type => type.value === movementType).hint}
+          </p>
+
+          <div>
+            <label className="label">Amount *</label>
+            <div className="relative">
+              <BanknotesIcon className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+              <input
+                type="number"
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                placeholder="0.00"
+                step="0.01"
+                min="0.01"
+                className="input pl-10 text-xl"
+                required
+                autoFocus
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="label">Reason *</label>
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="e.g. Cleaning supplies, bank deposit..."
+              className="input"
+              required
+            />
+          </div>
+
+          <div>
+            <label className="label">Manager PIN *</label>
+            <input
+              type="password"
+              value={managerPIN}
+              onChange={(e) => setManagerPIN(e.target.value)}
+              className="input"
+              required
+            />
+          </div>
+
+          <div className="flex gap-2">
+            <button type="button" onClick={onClose} className="flex-1 btn btn-secondary">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading || !amount || !reason || !managerPIN}
+              className="flex-1 btn-primary"
+            >
+              {loading ? 'Recording...' : 'Record & Open Drawer'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
 // End Shift Modal (EOD Reconciliation)
 function EndShiftModal({ shift, onClose, onEnd, loading }) {
   const [countedCash, setCountedCash] = useState('');
+  const [denominationCounts, setDenominationCounts] = useState({});
   const [notes, setNotes] = useState('');
 
-  const expectedCash = (parseFloat(shift.opening_cash || 0) + parseFloat(shift.cash_sales || 0)).toFixed(2);
+  const { data: closeSettings } = useQuery({
+    queryKey: ['shift-close-settings'],
+    queryFn: () => shiftService.getCloseSettings().then(res => res.data)
+  });
+
+  // Blind close: count by denomination, the expected amount is only revealed after submitting
+  const blindClose = closeSettings?.blindClose ?? shift.blind_close;
+  const varianceThreshold = closeSettings?.varianceThreshold ?? 500;
+  const denominationTotal = Object.entries(denominationCounts)
+    .reduce((sum, [denomination, count]) => sum + Number(denomination) * (parseInt(count) || 0), 0);
+
+  const expectedCash = parseFloat(shift.expected_cash ?? (parseFloat(shift.opening_cash || 0) + parseFloat(shift.cash_sales || 0))).toFixed(2);
   const variance = countedCash ? (parseFloat(countedCash) - parseFloat(expectedCash)).toFixed(2) : '0.00';
-  const hasVariance = Math.abs(parseFloat(variance)) > 0.01;
+  const hasVariance = !blindClose && Math.abs(parseFloat(variance)) > 0.01;
+  const isLargeVariance = Math.abs(parseFloat(variance)) > varianceThreshold;
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    onEnd({
-      counted_cash: parseFloat(countedCash) || 0,
-      notes
-    });
+    if (blindClose) {
+      const denominations = Object.fromEntries(
+        Object.entries(denominationCounts).map(([denomination, count]) => [denomination, parseInt(count) || 0])
+      );
+      onEnd({ shiftId: shift.shift_id, denominations, notes });
+    } else {
+      onEnd({ shiftId: shift.shift_id, closingCash: parseFloat(countedCash) || 0, notes });
+    }
   };
 
   return (
@@ -376,59 +589,104 @@ function EndShiftModal({ shift, onClose, onEnd, loading }) {
           </div>
 
           {/* Payment Breakdown */}
-          <div className="p-4 bg-gray-50 rounded-lg space-y-3">
-            <h4 className="font-medium text-gray-700">Payment Breakdown</h4>
-            <div className="flex items-center justify-between">
-              <div className="flex items-center gap-2">
-                <BanknotesIcon className="w-5 h-5 text-green-600" />
-                <span>Cash Sales</span>
+          {!blindClose && (
+            <div className="p-4 bg-gray-50 rounded-lg space-y-3">
+              <h4 className="font-medium text-gray-700">Payment Breakdown</h4>
+              <div className="flex items-center justify-between">
+                <div className="flex items-center gap-2">
+                  <BanknotesIcon className="w-5 h-5 text-green-600" />
+                  <span>Cash Sales</span>
+                </div>
+                <span className="font-medium">${parseFloat(shift.cash_sales || 0).toFixed(2)}</span>
               </div>
-              <span className="font-medium">${parseFloat(shift.cash_sales || 0).toFixed(2)}</span>
-            </div>
-            <div className="flex items-center justify-between">
-              <div className="flex items-center gap-2">
-                <CreditCardIcon className="w-5 h-5 text-blue-600" />
-                <span>Card Sales</span>
+              <div className="flex items-center justify-between">
+                <div className="flex items-center gap-2">
+                  <CreditCardIcon className="w-5 h-5 text-blue-600" />
+                  <span>Card Sales</span>
+                </div>
+                <span className="font-medium">${parseFloat(shift.card_sales || 0).toFixed(2)}</span>
+              </div>
+              {[
+                { label: 'Paid In', amount: shift.paid_in, sign: '+' },
+                { label: 'Paid Out', amount: shift.paid_out, sign: '-' },
+                { label: 'Safe Drops', amount: shift.safe_drops, sign: '-' },
+              ].filter(movement => parseFloat(movement.amount) > 0).map(movement => (
+                <div key={movement.label} className="flex items-center justify-between">
+                  <div className="flex items-center gap-2">
+                    <ArrowsRightLeftIcon className="w-5 h-5 text-gray-500" />
+                    <span>{movement.label}</span>
+                  </div>
+                  <span className="font-medium">{movement.sign}${parseFloat(movement.amount).toFixed(2)}</span>
+                </div>
+              ))}
+              <div className="pt-3 border-t flex items-center justify-between font-bold">
+                <span>Expected Cash in Drawer</span>
+                <span className="text-lg">${expectedCash}</span>
               </div>
-              <span className="font-medium">${parseFloat(shift.card_sales || 0).toFixed(2)}</span>
-            </div>
-            <div className="pt-3 border-t flex items-center justify-between font-bold">
-              <span>Expected Cash in Drawer</span>
-              <span className="text-lg">${expectedCash}</span>
             </div>
-          </div>
+          )}
 
           {/* Cash Count */}
-          <div>
-            <label className="label">Counted Cash in Drawer *</label>
-            <div className="relative">
-              <CalculatorIcon className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
-              <input
-                type="number"
-                value={countedCash}
-                onChange={(e) => setCountedCash(e.target.value)}
-                placeholder="0.00"
-                step="0.01"
-                min="0"
-                className="input pl-10 text-xl"
-                required
-                autoFocus
-              />
+          {blindClose ? (
+            <div>
+              <label className="label">Count the Drawer by Denomination *</label>
+              <div className="grid grid-cols-2 gap-2">
+                {(closeSettings?.denominations || []).map(denomination => (
+                  <div key={denomination} className="flex items-center gap-2 p-2 bg-gray-50 rounded-lg">
+                    <span className="w-16 text-right font-medium">{denomination.toLocaleString()}</span>
+                    <span className="text-gray-400">×</span>
+                    <input
+                      type="number"
+                      value={denominationCounts[denomination] ?? ''}
+                      onChange={(e) => setDenominationCounts({ ...denominationCounts, [denomination]: e.target.value })}
+                      placeholder="0"
+                      min="0"
+                      step="1"
+                      className="input py-1"
+                    />
+                  </div>
+                ))}
+              </div>
+              <div className="mt-3 p-3 bg-gray-50 rounded-lg flex items-center justify-between font-bold">
+                <span>Counted Total</span>
+                <span className="text-lg">${denominationTotal.toFixed(2)}</span>
+              </div>
+              <p className="text-sm text-gray-500 mt-1">
+                Blind close - the expected amount is shown after you submit your count
+              </p>
             </div>
-          </div>
+          ) : (
+            <div>
+              <label className="label">Counted Cash in Drawer *</label>
+              <div className="relative">
+                <CalculatorIcon className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-gray-400" />
+                <input
+                  type="number"
+                  value={countedCash}
+                  onChange={(e) => setCountedCash(e.target.value)}
+                  placeholder="0.00"
+                  step="0.01"
+                  min="0"
+                  className="input pl-10 text-xl"
+                  required
+                  autoFocus
+                />
+              </div>
+            </div>
+          )}
 
           {/* Variance Display */}
-          {countedCash && (
+          {!blindClose && countedCash && (
             <div className={`p-4 rounded-lg flex items-center gap-3 ${
               hasVariance 
-                ? Math.abs(parseFloat(variance)) <= 5 
+                ? !isLargeVariance
                   ? 'bg-yellow-50' 
                   : 'bg-red-50'
                 : 'bg-green-50'
             }`}>
               {hasVariance ? (
                 <ExclamationTriangleIcon className={`w-6 h-6 ${
-                  Math.abs(parseFloat(variance)) <= 5 ? 'text-yellow-600' : 'text-red-600'
+                  !isLargeVariance ? 'text-yellow-600' : 'text-red-600'
                 }`} />
               ) : (
                 <CheckCircleIcon className="w-6 h-6 text-green-600" />
@@ -436,7 +694,7 @@ function EndShiftModal({ shift, onClose, onEnd, loading }) {
               <div>
                 <p className={`font-medium ${
                   hasVariance 
-                    ? Math.abs(parseFloat(variance)) <= 5 
+                    ? !isLargeVariance
                       ? 'text-yellow-800' 
                       : 'text-red-800'
                     : 'text-green-800'
@@ -449,9 +707,9 @@ function EndShiftModal({ shift, onClose, onEnd, loading }) {
                 </p>
                 {hasVariance && (
                   <p className="text-sm opacity-80">
-                    {Math.abs(parseFloat(variance)) <= 5 
+                    {!isLargeVariance
                       ? 'Small variance - please add a note' 
-                      : 'Large variance detected - manager approval may be required'}
+                      : 'Variance above the threshold - manager sign-off will be required'}
                   </p>
                 )}
               </div>
@@ -473,21 +731,24 @@ function EndShiftModal({ shift, onClose, onEnd, loading }) {
         </form>
 
         <div className="flex items-center justify-between gap-3 p-6 border-t bg-gray-50">
-          <button
-            type="button"
-            onClick={() => window.open(`/api/shifts/${shift.shift_id}/z-report`, '_blank')}
-            className="btn btn-secondary flex items-center gap-2"
-          >
-            <PrinterIcon className="w-5 h-5" />
-            Print Z-Report
-          </button>
+          {/* An X-report shows the expected cash, so it is not offered during a blind close */}
+          {blindClose ? <span /> : (
+            <button
+              type="button"
+              onClick={() => printShiftXReport(shift.shift_id)}
+              className="btn btn-secondary flex items-center gap-2"
+            >
+              <PrinterIcon className="w-5 h-5" />
+              Print X-Report
+            </button>
+          )}
           <div className="flex gap-2">
             <button type="button" onClick={onClose} className="btn btn-secondary">
               Cancel
             </button>
             <button
               onClick={handleSubmit}
-              disabled={loading || !countedCash}
+              disabled={loading || (blindClose ? denominationTotal <= 0 : !countedCash)}
               className="btn-primary flex items-center gap-2"
             >
               <StopIcon className="w-5 h-5" />
@@ -501,7 +762,53 @@ function EndShiftModal({ shift, onClose, onEnd, loading }) {
 }
 
 // Shift Detail Modal
-function ShiftDetailModal({ shift, onClose }) {
+function ShiftDetailModal({ shift: listedShift, onClose }) {
+  const queryClient = useQueryClient();
+  const [managerPIN, setManagerPIN] = useState('');
+  const [approvalNotes, setApprovalNotes] = useState('');
+
+  const { data: details } = useQuery({
+    queryKey: ['shift', listedShift.shift_id],
+    queryFn: () => shiftService.getById(listedShift.shift_id).then(res => res.data)
+  });
+
+  const shift = { ...listedShift, ...details?.shift };
+  const denominationCounts = Object.entries(shift.denomination_counts || {})
+    .sort(([a], [b]) => Number(b) - Number(a));
+  const awaitingSignOff = shift.variance_requires_approval && !shift.variance_approved_by;
+
+  const onShiftUpdated = () => {
+    queryClient.invalidateQueries(['shift', shift.shift_id]);
+    queryClient.invalidateQueries(['shift-history']);
+  };
+
+  const approveMutation = useMutation({
+    mutationFn: () => shiftService.approveVariance(shift.shift_id, { managerPIN, notes: approvalNotes }),
+    onSuccess: ({ data }) => {
+      toast.success(`Variance approved by ${data.approvedBy}`);
+      setManagerPIN('');
+      onShiftUpdated();
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to approve variance');
+    }
+  });
+
+  const reconcileMutation = useMutation({
+    mutationFn: () => shiftService.reconcile(shift.shift_id),
+    onSuccess: () => {
+      toast.success('Shift reconciled');
+      onShiftUpdated();
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Failed to reconcile shift');
+    }
+  });
+
+  const cashMovements = details?.cashMovements || [];
+  const expectedCash = details?.summary?.expectedCash ??
+    (parseFloat(shift.opening_cash || 0) + parseFloat(shift.cash_sales || 0));
+
   return (
     <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
       <div className="bg-white rounded-2xl w-full max-w-lg max-h-[90vh] flex flex-col">
@@ -570,9 +877,7 @@ function ShiftDetailModal({ shift, onClose }) {
             </div>
             <div className="flex justify-between">
               <span>Expected Cash</span>
-              <span className="font-medium">
-                ${(parseFloat(shift.opening_cash || 0) + parseFloat(shift.cash_sales || 0)).toFixed(2)}
-              </span>
+              <span className="font-medium">${parseFloat(expectedCash).toFixed(2)}</span>
             </div>
             <div className="flex justify-between">
               <span>Counted Cash</span>
@@ -590,6 +895,91 @@ function ShiftDetailModal({ shift, onClose }) {
             )}
           </div>
 
+          {/* Denomination Count */}
+          {denominationCounts.length > 0 && (
+            <div className="p-4 bg-gray-50 rounded-lg space-y-2">
+              <h4 className="font-medium text-gray-700">
+                Drawer Count{shift.blind_close && ' (Blind Close)'}
+              </h4>
+              {denominationCounts.map(([denomination, count]) => (
+                <div key={denomination} className="flex justify-between text-sm">
+                  <span>{Number(denomination).toLocaleString()} × {count}</span>
+                  <span className="font-medium">${(Number(denomination) * count).toFixed(2)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Variance Sign-off */}
+          {shift.variance_requires_approval && (
+            <div className={`p-4 rounded-lg space-y-3 ${awaitingSignOff ? 'bg-red-50' : 'bg-green-50'}`}>
+              <div className="flex items-center gap-2">
+                {awaitingSignOff ? (
+                  <ExclamationTriangleIcon className="w-5 h-5 text-red-600" />
+                ) : (
+                  <CheckCircleIcon className="w-5 h-5 text-green-600" />
+                )}
+                <h4 className={`font-medium ${awaitingSignOff ? 'text-red-800' : 'text-green-800'}`}>
+                  {awaitingSignOff
+                    ? `Variance of $${parseFloat(shift.cash_difference).toFixed(2)} needs manager sign-off`
+                    : `Variance signed off ${new Date(shift.variance_approved_at).toLocaleString()}`}
+                </h4>
+              </div>
+              {awaitingSignOff && (
+                <div className="space-y-2">
+                  <input
+                    type="text"
+                    value={approvalNotes}
+                    onChange={(e) => setApprovalNotes(e.target.value)}
+                    placeholder="Explanation for the variance"
+                    className="input"
+                  />
+                  <div className="flex gap-2">
+                    <input
+                      type="password"
+                      value={managerPIN}
+                      onChange={(e) => setManagerPIN(e.target.value)}
+                      placeholder="Manager PIN"
+                      className="input"
+                    />
+                    <button
+                      onClick={() => approveMutation.mutate()}
+                      disabled={!managerPIN || approveMutation.isPending}
+                      className="btn-primary whitespace-nowrap"
+                    >
+                      {approveMutation.isPending ? 'Approving...' : 'Sign Off'}
+                    </button>
+                  </div>
+                </div>
+              )}
+              {shift.variance_approval_notes && (
+                <p className="text-sm text-gray-700">{shift.variance_approval_notes}</p>
+              )}
+            </div>
+          )}
+
+          {/* Cash Movements */}
+          {cashMovements.length > 0 && (
+            <div className="p-4 bg-gray-50 rounded-lg space-y-3">
+              <h4 className="font-medium text-gray-700">Cash Movements</h4>
+              {cashMovements.map(movement => (
+                <div key={movement.movement_id} className="flex justify-between text-sm">
+                  <div>
+                    <p className="font-medium">
+                      {MOVEMENT_TYPES.find(type => type.value === movement.movement_type)?.label} - {movement.reason}
+                    </p>
+                    <p className="text-gray-500">
+                      {new Date(movement.created_at).toLocaleTimeString()} • Approved by {movement.approved_by_first_name} {movement.approved_by_last_name}
+                    </p>
+                  </div>
+                  <span className={`font-medium ${movement.movement_type === 'PAID_IN' ? 'text-green-600' : 'text-red-600'}`}>
+                    {movement.movement_type === 'PAID_IN' ? '+' : '-'}${parseFloat(movement.amount).toFixed(2)}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Notes */}
           {shift.notes && (
             <div>
@@ -601,12 +991,22 @@ function ShiftDetailModal({ shift, onClose }) {
 
         <div className="flex items-center justify-end gap-3 p-6 border-t bg-gray-50">
           <button
-            onClick={() => window.open(`/api/shifts/${shift.shift_id}/z-report`, '_blank')}
+            onClick={() => (shift.end_time ? printShiftZReport(shift) : printShiftXReport(shift.shift_id))}
             className="btn btn-secondary flex items-center gap-2"
           >
             <PrinterIcon className="w-5 h-5" />
-            Print Z-Report
+            {shift.end_time ? 'Print Z-Report' : 'Print X-Report'}
           </button>
+          {shift.status === 'closed' && (
+            <button
+              onClick={() => reconcileMutation.mutate()}
+              disabled={awaitingSignOff || reconcileMutation.isPending}
+              className="btn btn-secondary flex items-center gap-2"
+            >
+              <CheckCircleIcon className="w-5 h-5" />
+              Reconcile
+            </button>
+          )}
           <button onClick={onClose} className="btn-primary">
             Close
           </button>
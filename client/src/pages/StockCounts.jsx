@@ -0,0 +1,543 @@
+import { useState, useEffect, useRef } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import {
+  PlusIcon,
+  XMarkIcon,
+  QrCodeIcon,
+  ClipboardDocumentCheckIcon,
+  ArrowDownTrayIcon,
+  ArrowLeftIcon,
+} from '@heroicons/react/24/outline';
+import api, { productService, stockCountService } from '../services/api';
+import { useAuthStore } from '../stores/authStore';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  OPEN: 'bg-blue-100 text-blue-700',
+  SUBMITTED: 'bg-yellow-100 text-yellow-700',
+  APPROVED: 'bg-green-100 text-green-700',
+  CANCELLED: 'bg-red-100 text-red-700',
+};
+
+const errorMessage = (error, fallback) => error.response?.data?.message || fallback;
+
+function StatusBadge({ status }) {
+  return (
+    <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_STYLES[status] || 'bg-gray-100 text-gray-700'}`}>
+      {status}
+    </span>
+  );
+}
+
+export default function StockCounts() {
+  const [selectedId, setSelectedId] = useState(null);
+  const [showCreate, setShowCreate] = useState(false);
+
+  const { data: stockCounts, isLoading } = useQuery({
+    queryKey: ['stock-counts'],
+    queryFn: () => stockCountService.getAll().then(res => res.data.stockCounts)
+  });
+
+  if (selectedId) {
+    return <CountSession countId={selectedId} onBack={() => setSelectedId(null)} />;
+  }
+
+  return (
+    <div className="p-6">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Stock Counts</h1>
+          <p className="text-gray-500">Cycle counts with scanning and variance approval</p>
+        </div>
+        <button onClick={() => setShowCreate(true)} className="btn-primary flex items-center gap-2">
+          <PlusIcon className="w-5 h-5" />
+          New Count
+        </button>
+      </div>
+
+      <div className="bg-white rounded-xl border overflow-hidden">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-left text-gray-500">
+            <tr>
+              <th className="px-4 py-3 font-medium">Count</th>
+              <th className="px-4 py-3 font-medium">Location</th>
+              <th className="px-4 py-3 font-medium">Scope</th>
+              <th className="px-4 py-3 font-medium">Status</th>
+              <th className="px-4 py-3 font-medium text-right">Progress</th>
+              <th className="px-4 py-3 font-medium">Started</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {isLoading ? (
+              <tr><td colSpan={6} className="p-8 text-center text-gray-500">Loading...</td></tr>
+            ) : stockCounts?.length > 0 ? (
+              stockCounts.map(count => (
+                <tr key={count.count_id} onClick={() => setSelectedId(count.count_id)} className="hover:bg-gray-50 cursor-pointer">
+                  <td className="px-4 py-3 font-medium">{count.count_number}</td>
+                  <td className="px-4 py-3">{count.location_name}</td>
+                  <td className="px-4 py-3">
+                    {[count.category_name, count.bin_location && `Bin ${count.bin_location}`].filter(Boolean).join(' • ') || 'Full location'}
+                  </td>
+                  <td className="px-4 py-3"><StatusBadge status={count.status} /></td>
+                  <td className="px-4 py-3 text-right">{count.items_counted} / {count.total_items}</td>
+                  <td className="px-4 py-3">
+                    {new Date(count.created_at).toLocaleString()}
+                    <p className="text-xs text-gray-500">{count.created_by_first_name} {count.created_by_last_name}</p>
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan={6} className="p-8 text-center text-gray-500">
+                  <ClipboardDocumentCheckIcon className="w-12 h-12 mx-auto mb-4 text-gray-300" />
+                  <p>No stock counts yet</p>
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {showCreate && (
+        <CreateCountModal
+          onClose={() => setShowCreate(false)}
+          onCreated={(count) => {
+            setShowCreate(false);
+            setSelectedId(count.count_id);
+          }}
+        />
+      )}
+    </div>
+  );
+}
+
+// Start a count session for a location, optionally narrowed to a category or bin
+function CreateCountModal({ onClose, onCreated }) {
+  const queryClient = useQueryClient();
+  const { currentLocation } = useAuthStore();
+  const [locationId, setLocationId] = useState(currentLocation?.id || '');
+  const [categoryId, setCategoryId] = useState('');
+  const [binLocation, setBinLocation] = useState('');
+  const [notes, setNotes] = useState('');
+
+  const { data: locations } = useQuery({
+    queryKey: ['locations'],
+    queryFn: () => api.get('/inventory/locations').then(res => res.data),
+    select: (data) => data.locations || []
+  });
+
+  const { data: categories } = useQuery({
+    queryKey: ['categories'],
+    queryFn: () => productService.getCategories().then(res => res.data)
+  });
+
+  const createMutation = useMutation({
+    mutationFn: () => stockCountService.create({
+      locationId: locationId ? parseInt(locationId) : null,
+      categoryId: categoryId ? parseInt(categoryId) : null,
+      binLocation: binLocation || null,
+      notes: notes || null,
+    }),
+    onSuccess: (res) => {
+      toast.success(`${res.data.stockCount.count_number} started - ${res.data.summary.totalItems} items to count`);
+      queryClient.invalidateQueries(['stock-counts']);
+      onCreated(res.data.stockCount);
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to start count'))
+  });
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-md">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-xl font-semibold">New Stock Count</h3>
+          <button onClick={onClose}>
+            <XMarkIcon className="w-6 h-6 text-gray-400" />
+          </button>
+        </div>
+
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            createMutation.mutate();
+          }}
+          className="space-y-4"
+        >
+          <div>
+            <label className="label">Location</label>
+            <select value={locationId} onChange={(e) => setLocationId(e.target.value)} className="input" required>
+              <option value="">Select location</option>
+              {(locations || []).map(loc => (
+                <option key={loc.location_id} value={loc.location_id}>{loc.location_name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="label">Category (Optional)</label>
+            <select value={categoryId} onChange={(e) => setCategoryId(e.target.value)} className="input">
+              <option value="">All categories</option>
+              {(categories || []).map(cat => (
+                <option key={cat.category_id} value={cat.category_id}>{cat.category_name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="label">Bin Location (Optional)</label>
+            <input value={binLocation} onChange={(e) => setBinLocation(e.target.value)} placeholder="e.g. A-01" className="input" />
+          </div>
+          <div>
+            <label className="label">Notes</label>
+            <input value={notes} onChange={(e) => setNotes(e.target.value)} className="input" />
+          </div>
+          <p className="text-sm text-gray-500">
+            Expected quantities are frozen when the count starts. Sales made while counting are not counted as variance.
+          </p>
+          <div className="flex gap-2">
+            <button type="button" onClick={onClose} className="flex-1 btn btn-secondary">Cancel</button>
+            <button type="submit" disabled={createMutation.isPending} className="flex-1 btn-primary">
+              {createMutation.isPending ? 'Starting...' : 'Start Count'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Counting screen: scan to count while OPEN, variance report once submitted
+function CountSession({ countId, onBack }) {
+  const queryClient = useQueryClient();
+  const [scanCode, setScanCode] = useState('');
+  const [scanQuantity, setScanQuantity] = useState(1);
+  const [filter, setFilter] = useState('all'); // all, uncounted, variance
+  const [zeroUncounted, setZeroUncounted] = useState(false);
+  const [lastScannedId, setLastScannedId] = useState(null);
+  const scanInputRef = useRef(null);
+  const lastScanRef = useRef('');
+  const scanTimeoutRef = useRef(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['stock-count', countId],
+    queryFn: () => stockCountService.getById(countId).then(res => res.data)
+  });
+
+  const isOpen = data?.stockCount.status === 'OPEN';
+
+  const refresh = (res) => {
+    queryClient.setQueryData(['stock-count', countId], res.data);
+    queryClient.invalidateQueries(['stock-counts']);
+  };
+
+  const scanMutation = useMutation({
+    mutationFn: (code) => stockCountService.scan(countId, { code, quantity: parseInt(scanQuantity) || 1 }),
+    onSuccess: (res) => {
+      refresh(res);
+      setLastScannedId(res.data.countItemId);
+      setScanQuantity(1);
+      const item = res.data.items.find(i => i.count_item_id === res.data.countItemId);
+      if (item && !item.in_scope) {
+        toast(`${item.product_name} is outside this count's scope - added`, { icon: '⚠️' });
+      }
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Scan failed'))
+  });
+
+  const setCountedMutation = useMutation({
+    mutationFn: ({ itemId, countedQuantity }) => stockCountService.setCounted(countId, itemId, countedQuantity),
+    onSuccess: refresh,
+    onError: (error) => toast.error(errorMessage(error, 'Failed to update count'))
+  });
+
+  const actionMutation = useMutation({
+    mutationFn: (action) => {
+      if (action === 'submit') return stockCountService.submit(countId);
+      if (action === 'approve') return stockCountService.approve(countId, { zeroUncounted });
+      return stockCountService.cancel(countId);
+    },
+    onSuccess: (res) => {
+      refresh(res);
+      toast.success(`${res.data.stockCount.count_number} ${res.data.stockCount.status.toLowerCase()}`);
+      if (res.data.stockCount.status === 'APPROVED') {
+        queryClient.invalidateQueries(['inventory']);
+      }
+    },
+    onError: (error) => toast.error(errorMessage(error, 'Failed to update count'))
+  });
+
+  // Keyboard-wedge scanner: same buffering as the POS, active while counting
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleKeyPress = (e) => {
+      if (document.activeElement.tagName === 'INPUT' &&
+        document.activeElement !== scanInputRef.current) {
+        return;
+      }
+
+      if (scanTimeoutRef.current) {
+        clearTimeout(scanTimeoutRef.current);
+      }
+
+      if (e.key.length === 1) {
+        lastScanRef.current += e.key;
+      }
+
+      scanTimeoutRef.current = setTimeout(() => {
+        const barcode = lastScanRef.current.trim();
+        if (barcode.length >= 6 && document.activeElement !== scanInputRef.current) {
+          scanMutation.mutate(barcode);
+        }
+        lastScanRef.current = '';
+      }, 100);
+    };
+
+    window.addEventListener('keypress', handleKeyPress);
+    return () => {
+      window.removeEventListener('keypress', handleKeyPress);
+      if (scanTimeoutRef.current) {
+        clearTimeout(scanTimeoutRef.current);
+      }
+    };
+  }, [isOpen]);
+
+  const handleDownload = async () => {
+    try {
+      const response = await stockCountService.downloadCsv(countId);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${data.stockCount.count_number}.csv`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      toast.error('Failed to download variance report');
+    }
+  };
+
+  if (isLoading || !data) {
+    return <div className="p-6 text-gray-500">Loading...</div>;
+  }
+
+  const { stockCount, items, summary } = data;
+  const visibleItems = items.filter(item => {
+    if (filter === 'uncounted') return item.counted_quantity === null;
+    if (filter === 'variance') return item.variance !== null && item.variance !== 0;
+    return true;
+  });
+
+  return (
+    <div className="p-6">
+      {/* Header */}
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-4">
+          <button onClick={onBack} className="p-2 rounded-lg hover:bg-gray-100">
+            <ArrowLeftIcon className="w-5 h-5" />
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-3">
+              {stockCount.count_number}
+              <StatusBadge status={stockCount.status} />
+            </h1>
+            <p className="text-gray-500">
+              {stockCount.location_name}
+              {stockCount.category_name && ` • ${stockCount.category_name}`}
+              {stockCount.bin_location && ` • Bin ${stockCount.bin_location}`}
+            </p>
+          </div>
+        </div>
+        <div className="flex gap-2">
+          <button onClick={handleDownload} className="btn btn-secondary flex items-center gap-2">
+            <ArrowDownTrayIcon className="w-5 h-5" />
+            CSV
+          </button>
+          {['OPEN', 'SUBMITTED'].includes(stockCount.status) && (
+            <button
+              onClick={() => window.confirm('Cancel this count? Nothing will be posted.') && actionMutation.mutate('cancel')}
+              className="btn btn-secondary text-red-600"
+            >
+              Cancel Count
+            </button>
+          )}
+          {isOpen && (
+            <button
+              onClick={() => window.confirm(`Submit with ${summary.itemsUncounted} items uncounted? Counting will be closed.`) && actionMutation.mutate('submit')}
+              disabled={actionMutation.isPending}
+              className="btn-primary"
+            >
+              Submit Count
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+        <div className="bg-white rounded-xl p-4 border">
+          <p className="text-sm text-gray-500 mb-1">Counted</p>
+          <p className="text-2xl font-bold">{summary.itemsCounted} / {summary.totalItems}</p>
+        </div>
+        {!isOpen && (
+          <>
+            <div className="bg-white rounded-xl p-4 border">
+              <p className="text-sm text-gray-500 mb-1">Lines with Variance</p>
+              <p className="text-2xl font-bold">{summary.itemsWithVariance}</p>
+            </div>
+            <div className="bg-white rounded-xl p-4 border border-red-200 bg-red-50">
+              <p className="text-sm text-red-700 mb-1">Units Short</p>
+              <p className="text-2xl font-bold text-red-700">{summary.unitsShort}</p>
+            </div>
+            <div className="bg-white rounded-xl p-4 border border-yellow-200 bg-yellow-50">
+              <p className="text-sm text-yellow-700 mb-1">Units Over</p>
+              <p className="text-2xl font-bold text-yellow-700">{summary.unitsOver}</p>
+            </div>
+            <div className="bg-white rounded-xl p-4 border">
+              <p className="text-sm text-gray-500 mb-1">Variance Value (cost)</p>
+              <p className={`text-2xl font-bold ${summary.varianceValue < 0 ? 'text-red-600' : ''}`}>
+                {summary.varianceValue.toLocaleString(undefined, { minimumFractionDigits: 2 })}
+              </p>
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* Scan bar */}
+      {isOpen && (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (scanCode.trim()) {
+              scanMutation.mutate(scanCode.trim());
+              setScanCode('');
+            }
+          }}
+          className="bg-white rounded-xl p-4 mb-6 flex gap-4 items-center"
+        >
+          <div className="relative flex-1">
+            <QrCodeIcon className="w-5 h-5 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+            <input
+              ref={scanInputRef}
+              value={scanCode}
+              onChange={(e) => setScanCode(e.target.value)}
+              placeholder="Scan or type barcode / SKU and press Enter"
+              className="input pl-10"
+              autoFocus
+            />
+          </div>
+          <div className="flex items-center gap-2">
+            <label className="text-sm text-gray-500">Qty</label>
+            <input
+              type="number"
+              min="1"
+              value={scanQuantity}
+              onChange={(e) => setScanQuantity(e.target.value)}
+              className="input w-20"
+            />
+          </div>
+          <button type="submit" disabled={scanMutation.isPending} className="btn-primary">Count</button>
+        </form>
+      )}
+
+      {/* Approval */}
+      {stockCount.status === 'SUBMITTED' && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-xl p-4 mb-6 flex items-center justify-between">
+          <div>
+            <p className="font-medium text-yellow-800">Review the variances below, then approve to post the adjustments.</p>
+            {summary.itemsUncounted > 0 && (
+              <label className="flex items-center gap-2 text-sm text-yellow-800 mt-1">
+                <input type="checkbox" checked={zeroUncounted} onChange={(e) => setZeroUncounted(e.target.checked)} />
+                Treat the {summary.itemsUncounted} uncounted items as 0 on hand
+              </label>
+            )}
+          </div>
+          <button
+            onClick={() => window.confirm('Post these adjustments to stock?') && actionMutation.mutate('approve')}
+            disabled={actionMutation.isPending}
+            className="btn-primary"
+          >
+            {actionMutation.isPending ? 'Posting...' : 'Approve & Post'}
+          </button>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="flex gap-2 mb-4">
+        {[
+          { value: 'all', label: 'All' },
+          { value: 'uncounted', label: 'Uncounted' },
+          ...(!isOpen ? [{ value: 'variance', label: 'Variances' }] : []),
+        ].map(f => (
+          <button
+            key={f.value}
+            onClick={() => setFilter(f.value)}
+            className={`px-4 py-2 rounded-lg font-medium text-sm ${
+              filter === f.value ? 'bg-primary-600 text-white' : 'bg-gray-100 text-gray-700'
+            }`}
+          >
+            {f.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Lines - expected quantities stay hidden while counting (blind count) */}
+      <div className="bg-white rounded-xl border overflow-hidden">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-left text-gray-500">
+            <tr>
+              <th className="px-4 py-3 font-medium">Product</th>
+              <th className="px-4 py-3 font-medium">SKU</th>
+              {!isOpen && <th className="px-4 py-3 font-medium text-center">Expected</th>}
+              <th className="px-4 py-3 font-medium text-center">Counted</th>
+              {!isOpen && <th className="px-4 py-3 font-medium text-center">Variance</th>}
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {visibleItems.map(item => (
+              <tr key={item.count_item_id} className={item.count_item_id === lastScannedId ? 'bg-green-50' : ''}>
+                <td className="px-4 py-3">
+                  <p className="font-medium">{item.product_name}</p>
+                  <p className="text-xs text-gray-500">
+                    {item.variant_name !== 'Default' && item.variant_name}
+                    {!item.in_scope && <span className="ml-1 text-yellow-600">(out of scope)</span>}
+                  </p>
+                </td>
+                <td className="px-4 py-3 text-gray-500">{item.sku}</td>
+                {!isOpen && <td className="px-4 py-3 text-center">{item.expected_quantity}</td>}
+                <td className="px-4 py-3 text-center">
+                  {isOpen ? (
+                    <input
+                      key={`${item.count_item_id}-${item.counted_quantity}`}
+                      type="number"
+                      min="0"
+                      defaultValue={item.counted_quantity ?? ''}
+                      placeholder="—"
+                      onBlur={(e) => {
+                        const value = e.target.value === '' ? null : parseInt(e.target.value);
+                        if (value !== item.counted_quantity) {
+                          setCountedMutation.mutate({ itemId: item.count_item_id, countedQuantity: value });
+                        }
+                      }}
+                      className="input w-20 mx-auto text-center"
+                    />
+                  ) : (
+                    item.counted_quantity ?? '—'
+                  )}
+                </td>
+                {!isOpen && (
+                  <td className={`px-4 py-3 text-center font-medium ${
+                    item.variance < 0 ? 'text-red-600' : item.variance > 0 ? 'text-yellow-600' : 'text-gray-400'
+                  }`}>
+                    {item.variance === null ? '—' : item.variance > 0 ? `+${item.variance}` : item.variance}
+                  </td>
+                )}
+              </tr>
+            ))}
+            {visibleItems.length === 0 && (
+              <tr><td colSpan={5} className="p-8 text-center text-gray-500">No items</td></tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
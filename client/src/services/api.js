@@ -9,6 +9,22 @@ const API_BASE_URL = import.meta.env.VITE_API_URL
     ? '/api/v1' 
     : `${BACKEND_URL}/api/v1`;
 
+// Image URLs from the API are paths on the API server; make them loadable when it is on another origin
+export const resolveImageUrl = (url) => {
+  if (!url || /^(https?:|data:|blob:)/.test(url) || !/^https?:/.test(API_BASE_URL)) return url;
+  return new URL(url, API_BASE_URL).href;
+};
+
+// Short code identifying this terminal (audit log, provisional receipt numbers)
+export const getTerminalId = () => {
+  let code = localStorage.getItem('pos-device-code');
+  if (!code) {
+    code = Math.random().toString(36).slice(2, 6).toUpperCase();
+    localStorage.setItem('pos-device-code', code);
+  }
+  return code;
+};
+
 const api = axios.create({
   baseURL: API_BASE_URL,
   timeout: 30000,
@@ -24,6 +40,7 @@ api.interceptors.request.use(
     if (accessToken) {
       config.headers.Authorization = `Bearer ${accessToken}`;
     }
+    config.headers['X-Terminal-Id'] = getTerminalId();
     return config;
   },
   (error) => {
@@ -59,6 +76,10 @@ api.interceptors.response.use(
 
 export default api;
 
+// Manager approval tokens (from POST /approvals) travel in a header
+const approvalHeaders = (approvalToken) =>
+  approvalToken ? { headers: { 'X-Approval-Token': approvalToken } } : undefined;
+
 // API service functions
 export const authService = {
   login: (employeeCode, password) => api.post('/auth/login', { employeeCode, password }),
@@ -77,6 +98,31 @@ export const productService = {
   quickSearch: (q, locationId) => api.get('/products/search/quick', { params: { q, locationId } }),
   getCategories: () => api.get('/products/categories/list'),
   getAttributes: () => api.get('/products/attributes/list'),
+  addAttributeValue: (attributeId, data) => api.post(`/products/attributes/${attributeId}/values`, data),
+  getVariants: (id) => api.get(`/products/${id}/variants`),
+  generateVariants: (id, data) => api.post(`/products/${id}/variants/generate`, data),
+  updateVariants: (id, data) => api.put(`/products/${id}/variants`, data),
+  importProducts: (file, { dryRun = false } = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('dryRun', String(dryRun));
+    return api.post('/products/import', formData, { headers: { 'Content-Type': 'multipart/form-data' } });
+  },
+  exportProducts: (params) => api.get('/products/export', { params, responseType: 'blob' }),
+  uploadImage: (id, file) => {
+    const formData = new FormData();
+    formData.append('image', file);
+    return api.post(`/products/${id}/image`, formData, { headers: { 'Content-Type': 'multipart/form-data' } });
+  },
+  deleteImage: (id) => api.delete(`/products/${id}/image`),
+  uploadVariantImage: (id, variantId, file, { applyToColour = false } = {}) => {
+    const formData = new FormData();
+    formData.append('image', file);
+    formData.append('applyToColour', String(applyToColour));
+    return api.post(`/products/${id}/variants/${variantId}/image`, formData, { headers: { 'Content-Type': 'multipart/form-data' } });
+  },
+  deleteVariantImage: (id, variantId, { applyToColour = false } = {}) =>
+    api.delete(`/products/${id}/variants/${variantId}/image`, { params: { applyToColour } }),
 };
 
 export const inventoryService = {
@@ -88,6 +134,45 @@ export const inventoryService = {
   getTransactions: (params) => api.get('/inventory/transactions', { params }),
   getLocations: () => api.get('/inventory/locations'),
   createTransfer: (data) => api.post('/inventory/transfers', data),
+  getTransfers: (params) => api.get('/inventory/transfers', { params }),
+  getTransfer: (id) => api.get(`/inventory/transfers/${id}`),
+  dispatchTransfer: (id, data) => api.post(`/inventory/transfers/${id}/dispatch`, data),
+  receiveTransfer: (id, data) => api.post(`/inventory/transfers/${id}/receive`, data),
+  cancelTransfer: (id) => api.post(`/inventory/transfers/${id}/cancel`),
+};
+
+export const supplierService = {
+  getAll: (params) => api.get('/suppliers', { params }),
+  getById: (id) => api.get(`/suppliers/${id}`),
+  create: (data) => api.post('/suppliers', data),
+  update: (id, data) => api.put(`/suppliers/${id}`, data),
+  deactivate: (id) => api.delete(`/suppliers/${id}`),
+};
+
+export const purchaseOrderService = {
+  getAll: (params) => api.get('/purchase-orders', { params }),
+  getById: (id) => api.get(`/purchase-orders/${id}`),
+  create: (data) => api.post('/purchase-orders', data),
+  update: (id, data) => api.put(`/purchase-orders/${id}`, data),
+  send: (id) => api.post(`/purchase-orders/${id}/send`),
+  cancel: (id) => api.post(`/purchase-orders/${id}/cancel`),
+  close: (id) => api.post(`/purchase-orders/${id}/close`),
+  receive: (id, data) => api.post(`/purchase-orders/${id}/receive`, data),
+  getReceipt: (grnId) => api.get(`/purchase-orders/receipts/${grnId}`),
+  downloadPdf: (id) => api.get(`/purchase-orders/${id}/pdf`, { responseType: 'blob' }),
+  downloadCsv: (id) => api.get(`/purchase-orders/${id}/csv`, { responseType: 'blob' }),
+};
+
+export const stockCountService = {
+  getAll: (params) => api.get('/stock-counts', { params }),
+  getById: (id) => api.get(`/stock-counts/${id}`),
+  create: (data) => api.post('/stock-counts', data),
+  scan: (id, data) => api.post(`/stock-counts/${id}/scan`, data),
+  setCounted: (id, itemId, countedQuantity) => api.put(`/stock-counts/${id}/items/${itemId}`, { countedQuantity }),
+  submit: (id) => api.post(`/stock-counts/${id}/submit`),
+  approve: (id, data) => api.post(`/stock-counts/${id}/approve`, data),
+  cancel: (id) => api.post(`/stock-counts/${id}/cancel`),
+  downloadCsv: (id) => api.get(`/stock-counts/${id}/csv`, { responseType: 'blob' }),
 };
 
 export const salesService = {
@@ -98,9 +183,33 @@ export const salesService = {
   getParked: (locationId) => api.get('/sales/parked/list', { params: { locationId } }),
   getParkedById: (id) => api.get(`/sales/parked/${id}`),
   deleteParked: (id) => api.delete(`/sales/parked/${id}`),
-  void: (id, managerPIN, reason) => api.post(`/sales/${id}/void`, { managerPIN, reason }),
+  void: (id, reason, approvalToken) => api.post(`/sales/${id}/void`, { reason }, approvalHeaders(approvalToken)),
+  getReturns: (id) => api.get(`/sales/${id}/returns`),
+  createReturn: (id, data, approvalToken) => api.post(`/sales/${id}/returns`, data, approvalHeaders(approvalToken)),
+  getByReceipt: (code) => api.get(`/sales/receipt/${encodeURIComponent(code)}`),
+  createExchange: (data) => api.post('/sales/exchanges', data),
   getPaymentMethods: () => api.get('/sales/payment-methods/list'),
   applyDiscount: (data) => api.post('/sales/apply-discount', data),
+  createPriceOverride: (data) => api.post('/sales/price-overrides', data),
+};
+
+export const promotionService = {
+  getAll: (params) => api.get('/promotions', { params }),
+  getById: (id) => api.get(`/promotions/${id}`),
+  create: (data) => api.post('/promotions', data),
+  update: (id, data) => api.put(`/promotions/${id}`, data),
+  deactivate: (id) => api.delete(`/promotions/${id}`),
+  evaluate: (data) => api.post('/promotions/evaluate', data),
+};
+
+export const couponService = {
+  getAll: (params) => api.get('/coupons', { params }),
+  getById: (id) => api.get(`/coupons/${id}`),
+  create: (data) => api.post('/coupons', data),
+  update: (id, data) => api.put(`/coupons/${id}`, data),
+  deactivate: (id) => api.delete(`/coupons/${id}`),
+  redeem: (data) => api.post('/coupons/redeem', data),
+  sendSMS: (data) => api.post('/coupons/send-sms', data),
 };
 
 export const customerService = {
@@ -109,9 +218,33 @@ export const customerService = {
   getById: (id) => api.get(`/customers/${id}`),
   create: (data) => api.post('/customers', data),
   update: (id, data) => api.put(`/customers/${id}`, data),
+  getWallet: (id) => api.get(`/customers/${id}/wallet`),
+  getWalletTransactions: (id, params) => api.get(`/customers/${id}/wallet/transactions`, { params }),
   addCredit: (id, data) => api.post(`/customers/${id}/wallet/credit`, data),
   useWallet: (id, data) => api.post(`/customers/${id}/wallet/debit`, data),
   getPurchaseItems: (customerId, saleId) => api.get(`/customers/${customerId}/purchases/${saleId}/items`),
+  getLoyalty: (id) => api.get(`/customers/${id}/loyalty`),
+  getLoyaltyTransactions: (id, params) => api.get(`/customers/${id}/loyalty/transactions`, { params }),
+  adjustLoyalty: (id, data) => api.post(`/customers/${id}/loyalty/adjust`, data),
+  getSegmentSummary: () => api.get('/customers/segments/summary'),
+  previewSegment: (filter, params) => api.post('/customers/segments/preview', { filter, ...params }),
+  getSegments: () => api.get('/customers/segments'),
+  createSegment: (data) => api.post('/customers/segments', data),
+  updateSegment: (id, data) => api.put(`/customers/segments/${id}`, data),
+  deleteSegment: (id) => api.delete(`/customers/segments/${id}`),
+  getDuplicates: (params) => api.get('/customers/duplicates', { params }),
+  dismissDuplicate: (customerIdA, customerIdB) => api.post('/customers/duplicates/dismiss', { customerIdA, customerIdB }),
+  merge: (survivorId, data) => api.post(`/customers/${survivorId}/merge`, data),
+  getMerges: (id) => api.get(`/customers/${id}/merges`),
+};
+
+export const accountService = {
+  getAll: (params) => api.get('/accounts', { params }),
+  getAging: (params) => api.get('/accounts/aging', { params }),
+  getAccount: (customerId) => api.get(`/accounts/${customerId}`),
+  getStatement: (customerId, params) => api.get(`/accounts/${customerId}/statement`, { params }),
+  receivePayment: (customerId, data) => api.post(`/accounts/${customerId}/payments`, data),
+  setCreditLimit: (customerId, creditLimit) => api.put(`/accounts/${customerId}/credit-limit`, { creditLimit }),
 };
 
 export const shiftService = {
@@ -121,6 +254,10 @@ export const shiftService = {
   getHistory: (params) => api.get('/shifts/history', { params }),
   getById: (id) => api.get(`/shifts/${id}`),
   reconcile: (id, notes) => api.post(`/shifts/${id}/reconcile`, { notes }),
+  getCloseSettings: () => api.get('/shifts/close-settings'),
+  approveVariance: (id, data) => api.post(`/shifts/${id}/approve-variance`, data),
+  getCashMovements: (id) => api.get(`/shifts/${id}/cash-movements`),
+  createCashMovement: (id, data) => api.post(`/shifts/${id}/cash-movements`, data),
 };
 
 export const reportService = {
@@ -128,8 +265,13 @@ export const reportService = {
   getSales: (params) => api.get('/reports/sales', { params }),
   getSalesByCategory: (params) => api.get('/reports/sales-by-category', { params }),
   getSalesByEmployee: (params) => api.get('/reports/sales-by-employee', { params }),
+  getInventoryValuation: (params) => api.get('/reports/inventory-valuation', { params }),
   generateZReport: (data) => api.post('/reports/z-report', data),
   getZReports: (params) => api.get('/reports/z-reports', { params }),
+  getZReport: (id) => api.get(`/reports/z-reports/${id}`),
+  printZReport: (id) => api.post(`/reports/z-reports/${id}/print`),
+  getXReport: (params) => api.get('/reports/x-report', { params }),
+  printXReport: (data) => api.post('/reports/x-report/print', data),
 };
 
 export const settingsService = {
@@ -140,15 +282,28 @@ export const settingsService = {
   createLocation: (data) => api.post('/settings/locations', data),
   getUsers: () => api.get('/settings/users/all'),
   createUser: (data) => api.post('/settings/users', data),
+  setUserPin: (id, pin) => api.put(`/settings/users/${id}/pin`, { pin }),
   getRoles: () => api.get('/settings/roles/all'),
 };
 
 export const hardwareService = {
   testPrinter: () => api.get('/hardware/printer/test'),
   printReceipt: (saleId) => api.post('/hardware/printer/receipt', { saleId }),
-  openCashDrawer: () => api.post('/hardware/cash-drawer/open'),
+  openCashDrawer: (approvalToken) => api.post('/hardware/cash-drawer/open', {}, approvalHeaders(approvalToken)),
   printLabel: (variantId, quantity) => api.post('/hardware/label/print', { variantId, quantity }),
   printLabelBatch: (items) => api.post('/hardware/label/batch', { items }),
   getLabelPreview: (variantId) => api.post('/hardware/label/preview', { variantId }),
   updateCFD: (terminalId, state, cart) => api.post(`/hardware/cfd/update/${terminalId}`, { state, cart }),
 };
+
+export const approvalService = {
+  getRequirements: () => api.get('/approvals/requirements'),
+  request: (data) => api.post('/approvals', data),
+  getHistory: (params) => api.get('/approvals', { params }),
+};
+
+export const auditService = {
+  getEntries: (params) => api.get('/audit', { params }),
+  getEntry: (id) => api.get(`/audit/${id}`),
+  getFacets: () => api.get('/audit/facets'),
+};
@@ -0,0 +1,132 @@
+// IndexedDB storage for offline POS: catalogue cache, lookup data and queued sales
+
+const DB_NAME = 'pos-offline';
+const DB_VERSION = 1;
+
+const STORES = {
+  catalogue: 'catalogue', // Sellable variants keyed by variantId
+  meta: 'meta', // Payment methods, categories, sync timestamps
+  saleQueue: 'saleQueue', // Sales completed offline, keyed by clientSaleId
+};
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORES.catalogue)) {
+        const catalogue = db.createObjectStore(STORES.catalogue, { keyPath: 'variantId' });
+        catalogue.createIndex('barcode', 'barcode');
+        catalogue.createIndex('sku', 'sku');
+      }
+      if (!db.objectStoreNames.contains(STORES.meta)) {
+        db.createObjectStore(STORES.meta);
+      }
+      if (!db.objectStoreNames.contains(STORES.saleQueue)) {
+        db.createObjectStore(STORES.saleQueue, { keyPath: 'clientSaleId' });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+// Run a callback against one object store and resolve with the request result
+const withStore = async (storeName, mode, callback) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = callback(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// Catalogue
+export const replaceCatalogue = async (variants) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORES.catalogue, 'readwrite');
+    const store = tx.objectStore(STORES.catalogue);
+    store.clear();
+    variants.forEach(variant => store.put(variant));
+    tx.oncomplete = () => resolve(variants.length);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+export const getCatalogue = () =>
+  withStore(STORES.catalogue, 'readonly', (store) => store.getAll());
+
+export const findByBarcode = async (code) => {
+  const byBarcode = await withStore(STORES.catalogue, 'readonly', (store) => store.index('barcode').get(code));
+  if (byBarcode) return byBarcode;
+  return withStore(STORES.catalogue, 'readonly', (store) => store.index('sku').get(code));
+};
+
+export const searchCatalogue = async ({ query, categoryId } = {}) => {
+  const variants = await getCatalogue();
+  const term = query?.toLowerCase();
+
+  return variants.filter(variant => {
+    if (categoryId && variant.categoryId !== categoryId) return false;
+    if (!term || term.length < 2) return true;
+    return variant.productName?.toLowerCase().includes(term) ||
+      variant.variantName?.toLowerCase().includes(term) ||
+      variant.sku?.toLowerCase().includes(term) ||
+      variant.barcode === query;
+  });
+};
+
+// Keep the cached stock figure in step with sales made offline
+export const deductCachedStock = async (lines) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORES.catalogue, 'readwrite');
+    const store = tx.objectStore(STORES.catalogue);
+    lines.forEach(({ variantId, quantity }) => {
+      const request = store.get(variantId);
+      request.onsuccess = () => {
+        if (request.result) {
+          store.put({ ...request.result, stock: request.result.stock - quantity });
+        }
+      };
+    });
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+// Meta
+export const getMeta = (key) =>
+  withStore(STORES.meta, 'readonly', (store) => store.get(key));
+
+export const setMeta = (key, value) =>
+  withStore(STORES.meta, 'readwrite', (store) => store.put(value, key));
+
+// Sale queue
+export const enqueueSale = (sale) =>
+  withStore(STORES.saleQueue, 'readwrite', (store) => store.put(sale));
+
+export const getQueuedSales = async () => {
+  const sales = await withStore(STORES.saleQueue, 'readonly', (store) => store.getAll());
+  return sales.sort((a, b) => a.offlineCreatedAt.localeCompare(b.offlineCreatedAt));
+};
+
+export const removeQueuedSale = (clientSaleId) =>
+  withStore(STORES.saleQueue, 'readwrite', (store) => store.delete(clientSaleId));
+
+export const countQueuedSales = () =>
+  withStore(STORES.saleQueue, 'readonly', (store) => store.count());
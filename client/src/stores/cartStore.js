@@ -9,9 +9,15 @@ export const useCartStore = create(
       discountAmount: 0,
       discountType: null,
       discountReason: null,
+      discountOverrideId: null, // Manager-approved override for discounts above the limit
       notes: null,
       parkedSaleId: null,
       suspendedCarts: [],
+      exchange: null, // { saleId, saleNumber } of the receipt being exchanged
+      returnItems: [], // Lines coming back from the original sale, shown as negative items
+      clientSaleId: null, // Idempotency key for the checkout in progress
+      promotions: null, // Server preview: { key, lines: { [variantId]: { promotionDiscount, promotions } }, applied, totalDiscount }
+      coupon: null, // Checked coupon: { code, description, discountAmount, key }
       taxRate: 0, // Default tax rate, can be configured
 
       // Add item to cart
@@ -85,11 +91,11 @@ export const useCartStore = create(
         return true;
       },
 
-      // Update item price (with manager override)
-      updatePrice: (variantId, price, overrideBy = null) => {
+      // Update item price (with manager override record from /sales/price-overrides)
+      updatePrice: (variantId, price, priceOverrideId = null) => {
         const items = get().items.map(item =>
           item.variantId === variantId
-            ? { ...item, price, priceOverrideBy: overrideBy }
+            ? { ...item, price, priceOverrideId }
             : item
         );
         set({ items });
@@ -123,6 +129,7 @@ export const useCartStore = create(
           discountAmount: 0,
           discountType: null,
           discountReason: null,
+          discountOverrideId: null,
         });
       },
 
@@ -132,6 +139,106 @@ export const useCartStore = create(
       // Set parked sale ID (for resuming)
       setParkedSaleId: (id) => set({ parkedSaleId: id }),
 
+      // Start an exchange against an original sale
+      startExchange: (sale, returnItems) => {
+        set({
+          exchange: { saleId: sale.sale_id, saleNumber: sale.sale_number },
+          returnItems,
+        });
+      },
+
+      // Drop the exchange and its return lines
+      clearExchange: () => set({ exchange: null, returnItems: [] }),
+
+      // Remove a single return line
+      removeReturnItem: (saleItemId) => {
+        const returnItems = get().returnItems.filter(item => item.saleItemId !== saleItemId);
+        set(returnItems.length > 0 ? { returnItems } : { exchange: null, returnItems });
+      },
+
+      // Value of the goods coming back (applied against the replacement items)
+      getReturnCredit: () => {
+        return get().returnItems.reduce((sum, item) => sum + item.unitRefund * item.quantity, 0);
+      },
+
+      // Key sent with the sale so a retried checkout returns the original sale
+      getCheckoutKey: () => {
+        let { clientSaleId } = get();
+        if (!clientSaleId) {
+          clientSaleId = typeof crypto !== 'undefined' && crypto.randomUUID
+            ? crypto.randomUUID()
+            : `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`;
+          set({ clientSaleId });
+        }
+        return clientSaleId;
+      },
+
+      // Identifies the cart contents a promotions preview was made for
+      getPromotionKey: () => {
+        return get().items
+          .map(item => `${item.variantId}:${item.quantity}:${item.price}:${item.discountAmount || 0}`)
+          .join('|');
+      },
+
+      // Store the server's promotions preview for the current cart (null clears it)
+      setPromotions: (preview) => {
+        if (!preview) {
+          set({ promotions: null });
+          return;
+        }
+
+        const { items } = get();
+        set({
+          promotions: {
+            key: preview.key,
+            lines: Object.fromEntries(preview.lines.map((line, i) => [items[i]?.variantId ?? line.variantId, line])),
+            applied: preview.promotions,
+            totalDiscount: preview.totalDiscount,
+          },
+        });
+      },
+
+      // Whether the promotions shown match the cart as it is now
+      arePromotionsCurrent: () => {
+        const { promotions, items } = get();
+        return items.length === 0 || promotions?.key === get().getPromotionKey();
+      },
+
+      // Promotions on one cart line
+      getItemPromotions: (variantId) => {
+        return get().promotions?.lines[variantId]?.promotions || [];
+      },
+
+      // Total taken off by promotions
+      getPromotionDiscount: () => {
+        return get().promotions?.totalDiscount || 0;
+      },
+
+      // What a coupon applies to: after promotions and the cart discount
+      getCouponBase: () => {
+        const base = get().getSubtotal() - get().getPromotionDiscount() - get().discountAmount;
+        return Math.round(base * 100) / 100;
+      },
+
+      // Identifies the cart (and customer) a coupon check was made for
+      getCouponKey: () => {
+        const { customer } = get();
+        return `${get().getCouponBase().toFixed(2)}:${customer?.id || customer?.customer_id || ''}`;
+      },
+
+      // Store a coupon checked by the server (null removes it)
+      setCoupon: (coupon) => set({ coupon }),
+
+      // Whether the coupon discount shown matches the cart as it is now
+      isCouponCurrent: () => {
+        const { coupon } = get();
+        return !coupon || coupon.key === get().getCouponKey();
+      },
+
+      getCouponDiscount: () => {
+        return get().coupon?.discountAmount || 0;
+      },
+
       // Calculate subtotal
       getSubtotal: () => {
         return get().items.reduce((sum, item) => {
@@ -139,17 +246,17 @@ export const useCartStore = create(
         }, 0);
       },
 
-      // Calculate tax
+      // Calculate tax (on what is left after promotions)
       getTax: () => {
-        const subtotal = get().getSubtotal();
+        const subtotal = get().getSubtotal() - get().getPromotionDiscount();
         return subtotal * (get().taxRate / 100);
       },
 
       // Calculate total
       getTotal: () => {
-        const subtotal = get().getSubtotal();
+        const subtotal = get().getSubtotal() - get().getPromotionDiscount();
         const tax = get().getTax();
-        return subtotal + tax - get().discountAmount;
+        return subtotal + tax - get().discountAmount - get().getCouponDiscount() - get().getReturnCredit();
       },
 
       // Alias for discount (for compatibility)
@@ -158,11 +265,12 @@ export const useCartStore = create(
       },
 
       // Set discount (alias for applyDiscount)
-      setDiscount: (amount, type = 'FIXED', reason = '') => {
+      setDiscount: (amount, type = 'FIXED', reason = '', overrideId = null) => {
         set({
           discountAmount: amount,
           discountType: type,
           discountReason: reason,
+          discountOverrideId: overrideId,
         });
       },
 
@@ -173,8 +281,8 @@ export const useCartStore = create(
 
       // Suspend current cart
       suspendCart: (note = '') => {
-        const { items, customer, discountAmount, discountType, discountReason, notes, suspendedCarts } = get();
-        if (items.length === 0) return;
+        const { items, customer, discountAmount, discountType, discountReason, discountOverrideId, coupon, notes, exchange, returnItems, suspendedCarts } = get();
+        if (items.length === 0 && returnItems.length === 0) return;
 
         const cartId = Date.now().toString();
         const suspendedCart = {
@@ -184,7 +292,11 @@ export const useCartStore = create(
           discountAmount,
           discountType,
           discountReason,
+          discountOverrideId,
+          couponCode: coupon?.code || null,
           notes: note || notes,
+          exchange,
+          returnItems: [...returnItems],
           suspendedAt: new Date().toISOString(),
         };
 
@@ -195,8 +307,14 @@ export const useCartStore = create(
           discountAmount: 0,
           discountType: null,
           discountReason: null,
+          discountOverrideId: null,
           notes: null,
           parkedSaleId: null,
+          exchange: null,
+          returnItems: [],
+          clientSaleId: null,
+          promotions: null,
+          coupon: null,
         });
 
         return cartId;
@@ -214,7 +332,14 @@ export const useCartStore = create(
           discountAmount: cart.discountAmount,
           discountType: cart.discountType,
           discountReason: cart.discountReason,
+          discountOverrideId: cart.discountOverrideId || null,
           notes: cart.notes,
+          clientSaleId: null,
+          promotions: null,
+          // Checked again for the resumed cart
+          coupon: cart.couponCode ? { code: cart.couponCode, discountAmount: 0, key: null } : null,
+          exchange: cart.exchange || null,
+          returnItems: cart.returnItems || [],
           suspendedCarts: suspendedCarts.filter(c => c.id !== cartId),
         });
 
@@ -242,8 +367,14 @@ export const useCartStore = create(
           discountAmount: 0,
           discountType: null,
           discountReason: null,
+          discountOverrideId: null,
           notes: null,
           parkedSaleId: null,
+          exchange: null,
+          returnItems: [],
+          clientSaleId: null,
+          promotions: null,
+          coupon: null,
         });
       },
 
@@ -0,0 +1,154 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import api, { getTerminalId } from '../services/api';
+import {
+  replaceCatalogue,
+  deductCachedStock,
+  getMeta,
+  setMeta,
+  enqueueSale,
+  getQueuedSales,
+  removeQueuedSale,
+  countQueuedSales,
+} from '../services/offlineDb';
+
+// No response at all means the server could not be reached
+export const isNetworkError = (error) => !error.response && error.code !== 'ERR_CANCELED';
+
+// Try the server first, fall back to the offline cache when it cannot be reached
+export const withOfflineFallback = async (request, fallback) => {
+  if (!navigator.onLine) return fallback();
+  try {
+    return await request();
+  } catch (error) {
+    if (isNetworkError(error)) return fallback();
+    throw error;
+  }
+};
+
+// OFF-<device>-YYYYMMDD-XXXX, replaced by the real sale number once synced
+const nextProvisionalNumber = async () => {
+  const now = new Date();
+  const date = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
+  const sequence = await getMeta('provisionalSequence');
+  const next = sequence?.date === date ? sequence.last + 1 : 1;
+  await setMeta('provisionalSequence', { date, last: next });
+  return `OFF-${getTerminalId()}-${date}-${String(next).padStart(4, '0')}`;
+};
+
+export const useOfflineStore = create(
+  persist(
+    (set, get) => ({
+      isOnline: navigator.onLine,
+      queuedCount: 0,
+      syncing: false,
+      catalogueUpdatedAt: null,
+      syncIssues: [], // Synced sales with conflicts, and queued sales the server rejected
+
+      setOnline: (isOnline) => set({ isOnline }),
+
+      refreshQueuedCount: async () => {
+        set({ queuedCount: await countQueuedSales() });
+      },
+
+      // Download the catalogue, price list and lookup data for offline use
+      refreshCatalogue: async (locationId) => {
+        const [catalogue, paymentMethods, categories] = await Promise.all([
+          api.get('/products/catalogue/offline', { params: { locationId } }),
+          api.get('/sales/payment-methods/list'),
+          api.get('/products/categories/list'),
+        ]);
+
+        await replaceCatalogue(catalogue.data.variants);
+        await setMeta('paymentMethods', paymentMethods.data);
+        await setMeta('categories', categories.data);
+        set({ catalogueUpdatedAt: catalogue.data.generatedAt });
+      },
+
+      // Keep a completed sale on this device until the server is reachable
+      queueSale: async (saleData) => {
+        const provisionalNumber = await nextProvisionalNumber();
+
+        await enqueueSale({
+          ...saleData,
+          provisionalNumber,
+          offlineCreatedAt: new Date().toISOString(),
+        });
+        await deductCachedStock(saleData.items);
+        await get().refreshQueuedCount();
+
+        return provisionalNumber;
+      },
+
+      // Replay queued sales oldest first; stops at the first network failure
+      syncQueue: async () => {
+        if (get().syncing) return { synced: 0 };
+
+        set({ syncing: true });
+        let synced = 0;
+        try {
+          const queued = await getQueuedSales();
+
+          for (const sale of queued) {
+            try {
+              const response = await api.post('/sales/sync', sale);
+              await removeQueuedSale(sale.clientSaleId);
+              synced += 1;
+
+              const issues = get().syncIssues.filter(issue => issue.clientSaleId !== sale.clientSaleId);
+              if (response.data.conflicts?.length > 0) {
+                issues.push({
+                  clientSaleId: sale.clientSaleId,
+                  provisionalNumber: sale.provisionalNumber,
+                  saleNumber: response.data.saleNumber,
+                  conflicts: response.data.conflicts,
+                  syncedAt: new Date().toISOString(),
+                });
+              }
+              set({ syncIssues: issues });
+            } catch (error) {
+              if (isNetworkError(error)) break;
+
+              // Rejected outright - keep it queued so it is not lost, and report it
+              set({
+                syncIssues: [
+                  ...get().syncIssues.filter(issue => issue.clientSaleId !== sale.clientSaleId),
+                  {
+                    clientSaleId: sale.clientSaleId,
+                    provisionalNumber: sale.provisionalNumber,
+                    saleNumber: null,
+                    error: error.response?.data?.message || 'Sync failed',
+                    conflicts: error.response?.data?.details || [],
+                    syncedAt: null,
+                  },
+                ],
+              });
+            }
+          }
+        } finally {
+          set({ syncing: false });
+          await get().refreshQueuedCount();
+        }
+
+        return { synced };
+      },
+
+      // Acknowledge a reported issue; a rejected sale is removed from the queue too
+      dismissIssue: async (clientSaleId) => {
+        const issue = get().syncIssues.find(i => i.clientSaleId === clientSaleId);
+        if (issue && !issue.saleNumber) {
+          await removeQueuedSale(clientSaleId);
+          await get().refreshQueuedCount();
+        }
+        set({ syncIssues: get().syncIssues.filter(i => i.clientSaleId !== clientSaleId) });
+      },
+    }),
+    {
+      name: 'offline-storage',
+      partialize: (state) => ({
+        catalogueUpdatedAt: state.catalogueUpdatedAt,
+        syncIssues: state.syncIssues,
+      }),
+    }
+  )
+);
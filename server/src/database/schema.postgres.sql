@@ -268,6 +268,414 @@ CREATE TABLE IF NOT EXISTS inventory_transactions (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Suppliers
+CREATE TABLE IF NOT EXISTS suppliers (
+    supplier_id SERIAL PRIMARY KEY,
+    supplier_code VARCHAR(20) NOT NULL UNIQUE,
+    supplier_name VARCHAR(200) NOT NULL,
+    contact_name VARCHAR(100),
+    phone VARCHAR(20),
+    email VARCHAR(255),
+    address VARCHAR(500),
+    city VARCHAR(100),
+    tax_number VARCHAR(50),
+    payment_terms VARCHAR(100),
+    notes VARCHAR(1000),
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Purchase Orders: DRAFT -> SENT -> PARTIALLY_RECEIVED -> CLOSED (or CANCELLED before receiving)
+CREATE TABLE IF NOT EXISTS purchase_orders (
+    po_id SERIAL PRIMARY KEY,
+    po_number VARCHAR(50) NOT NULL UNIQUE,
+    supplier_id INT NOT NULL REFERENCES suppliers(supplier_id),
+    location_id INT NOT NULL REFERENCES locations(location_id),
+    status VARCHAR(20) DEFAULT 'DRAFT', -- DRAFT, SENT, PARTIALLY_RECEIVED, CLOSED, CANCELLED
+    expected_date DATE,
+    subtotal DECIMAL(18,2) DEFAULT 0,
+    tax_amount DECIMAL(18,2) DEFAULT 0,
+    total_amount DECIMAL(18,2) DEFAULT 0,
+    notes VARCHAR(1000),
+    created_by INT REFERENCES users(user_id),
+    sent_at TIMESTAMP,
+    closed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Purchase Order Lines
+CREATE TABLE IF NOT EXISTS purchase_order_items (
+    po_item_id SERIAL PRIMARY KEY,
+    po_id INT NOT NULL REFERENCES purchase_orders(po_id) ON DELETE CASCADE,
+    variant_id INT NOT NULL REFERENCES product_variants(variant_id),
+    quantity_ordered INT NOT NULL CHECK (quantity_ordered > 0),
+    quantity_received INT DEFAULT 0,
+    unit_cost DECIMAL(18,2) NOT NULL,
+    tax_rate DECIMAL(5,2) DEFAULT 0,
+    line_total DECIMAL(18,2) NOT NULL
+);
+
+-- Goods Received Notes: one delivery received against a purchase order
+CREATE TABLE IF NOT EXISTS goods_received_notes (
+    grn_id SERIAL PRIMARY KEY,
+    grn_number VARCHAR(50) NOT NULL UNIQUE,
+    po_id INT NOT NULL REFERENCES purchase_orders(po_id),
+    location_id INT NOT NULL REFERENCES locations(location_id),
+    supplier_invoice_number VARCHAR(100),
+    total_cost DECIMAL(18,2) DEFAULT 0,
+    notes VARCHAR(1000),
+    received_by INT REFERENCES users(user_id),
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- GRN Lines
+CREATE TABLE IF NOT EXISTS grn_items (
+    grn_item_id SERIAL PRIMARY KEY,
+    grn_id INT NOT NULL REFERENCES goods_received_notes(grn_id) ON DELETE CASCADE,
+    po_item_id INT NOT NULL REFERENCES purchase_order_items(po_item_id),
+    variant_id INT NOT NULL REFERENCES product_variants(variant_id),
+    quantity_received INT NOT NULL CHECK (quantity_received > 0),
+    unit_cost DECIMAL(18,2) NOT NULL
+);
+
+-- Stock transfers between locations (REQUESTED -> DISPATCHED -> RECEIVED)
+-- Dispatched stock leaves the source and is in transit until the destination receives it
+CREATE TABLE IF NOT EXISTS stock_transfers (
+    transfer_id SERIAL PRIMARY KEY,
+    transfer_number VARCHAR(30) NOT NULL UNIQUE,
+    from_location_id INT NOT NULL REFERENCES locations(location_id),
+    to_location_id INT NOT NULL REFERENCES locations(location_id),
+    status VARCHAR(20) NOT NULL DEFAULT 'REQUESTED'
+        CHECK (status IN ('REQUESTED', 'DISPATCHED', 'RECEIVED', 'CANCELLED')),
+    has_discrepancy BOOLEAN DEFAULT false,
+    notes VARCHAR(500),
+    receiving_notes VARCHAR(500),
+    requested_by INT REFERENCES users(user_id),
+    dispatched_by INT REFERENCES users(user_id),
+    received_by INT REFERENCES users(user_id),
+    requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    dispatched_at TIMESTAMP,
+    received_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    CHECK (from_location_id <> to_location_id)
+);
+
+CREATE TABLE IF NOT EXISTS stock_transfer_items (
+    transfer_item_id SERIAL PRIMARY KEY,
+    transfer_id INT NOT NULL REFERENCES stock_transfers(transfer_id) ON DELETE CASCADE,
+    variant_id INT NOT NULL REFERENCES product_variants(variant_id),
+    quantity_requested INT NOT NULL CHECK (quantity_requested > 0),
+    quantity_dispatched INT DEFAULT 0 CHECK (quantity_dispatched >= 0),
+    quantity_received INT DEFAULT 0 CHECK (quantity_received >= 0),
+    discrepancy_notes VARCHAR(500),
+    UNIQUE (transfer_id, variant_id)
+);
+
+-- Stock count (cycle count) sessions: OPEN -> SUBMITTED -> APPROVED
+-- Expected quantities are frozen when the session starts; approval posts counted - expected
+CREATE TABLE IF NOT EXISTS stock_counts (
+    count_id SERIAL PRIMARY KEY,
+    count_number VARCHAR(30) NOT NULL UNIQUE,
+    location_id INT NOT NULL REFERENCES locations(location_id),
+    category_id INT REFERENCES categories(category_id),
+    bin_location VARCHAR(50),
+    status VARCHAR(20) NOT NULL DEFAULT 'OPEN'
+        CHECK (status IN ('OPEN', 'SUBMITTED', 'APPROVED', 'CANCELLED')),
+    notes VARCHAR(500),
+    created_by INT REFERENCES users(user_id),
+    submitted_by INT REFERENCES users(user_id),
+    approved_by INT REFERENCES users(user_id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    submitted_at TIMESTAMP,
+    approved_at TIMESTAMP,
+    cancelled_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS stock_count_items (
+    count_item_id SERIAL PRIMARY KEY,
+    count_id INT NOT NULL REFERENCES stock_counts(count_id) ON DELETE CASCADE,
+    variant_id INT NOT NULL REFERENCES product_variants(variant_id),
+    expected_quantity INT NOT NULL,
+    counted_quantity INT CHECK (counted_quantity >= 0),
+    unit_cost DECIMAL(18,2) DEFAULT 0,
+    in_scope BOOLEAN DEFAULT true,
+    counted_by INT REFERENCES users(user_id),
+    counted_at TIMESTAMP,
+    UNIQUE (count_id, variant_id)
+);
+
+-- Uploaded product/variant images: the stored renditions behind products.image_url
+-- and product_variants.image_url (several variants of one colourway can share an image)
+CREATE TABLE IF NOT EXISTS product_images (
+    image_id SERIAL PRIMARY KEY,
+    product_id INT NOT NULL REFERENCES products(product_id) ON DELETE CASCADE,
+    storage_key VARCHAR(255) NOT NULL UNIQUE,
+    thumbnail_key VARCHAR(255) NOT NULL,
+    image_url VARCHAR(500) NOT NULL,
+    thumbnail_url VARCHAR(500) NOT NULL,
+    width INT,
+    height INT,
+    file_size INT,
+    original_name VARCHAR(255),
+    uploaded_by INT REFERENCES users(user_id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Promotions: automatic discounts the server applies to the cart at checkout
+-- (as the legacy DiscountRules). Targets are category/product ids and product
+-- tags; all empty means every product. Empty location_ids / days_of_week mean any
+CREATE TABLE IF NOT EXISTS promotions (
+    promotion_id SERIAL PRIMARY KEY,
+    promotion_name VARCHAR(100) NOT NULL,
+    description VARCHAR(500),
+    promotion_type VARCHAR(20) NOT NULL CHECK (promotion_type IN ('ITEM_DISCOUNT', 'BUY_X_GET_Y', 'SPEND_THRESHOLD')),
+    discount_type VARCHAR(20) NOT NULL DEFAULT 'PERCENTAGE' CHECK (discount_type IN ('PERCENTAGE', 'FIXED')),
+    discount_value DECIMAL(18,2) NOT NULL CHECK (discount_value >= 0),
+    max_discount_amount DECIMAL(18,2),
+    buy_quantity INT CHECK (buy_quantity > 0),
+    get_quantity INT CHECK (get_quantity > 0),
+    min_spend DECIMAL(18,2),
+    category_ids JSONB NOT NULL DEFAULT '[]',
+    product_ids JSONB NOT NULL DEFAULT '[]',
+    tags JSONB NOT NULL DEFAULT '[]',
+    location_ids JSONB NOT NULL DEFAULT '[]',
+    start_date TIMESTAMP,
+    end_date TIMESTAMP,
+    days_of_week JSONB NOT NULL DEFAULT '[]',
+    start_time TIME,
+    end_time TIME,
+    priority INT DEFAULT 0,
+    is_stackable BOOLEAN DEFAULT false,
+    is_active BOOLEAN DEFAULT true,
+    created_by INT REFERENCES users(user_id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Promotions applied to each sale line (name snapshot for receipts and reports)
+CREATE TABLE IF NOT EXISTS sale_item_promotions (
+    sale_item_promotion_id SERIAL PRIMARY KEY,
+    sale_item_id INT NOT NULL REFERENCES sale_items(sale_item_id) ON DELETE CASCADE,
+    promotion_id INT NOT NULL REFERENCES promotions(promotion_id),
+    promotion_name VARCHAR(100) NOT NULL,
+    discount_amount DECIMAL(18,2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Coupon codes redeemed at the till. usage_limit NULL is unlimited (1 = single
+-- use); a coupon with customer_id can only be used by that customer.
+-- campaign groups the codes generated for one SMS send
+CREATE TABLE IF NOT EXISTS coupons (
+    coupon_id SERIAL PRIMARY KEY,
+    code VARCHAR(40) NOT NULL UNIQUE,
+    description VARCHAR(500),
+    discount_type VARCHAR(20) NOT NULL DEFAULT 'PERCENTAGE' CHECK (discount_type IN ('PERCENTAGE', 'FIXED')),
+    discount_value DECIMAL(18,2) NOT NULL CHECK (discount_value >= 0),
+    max_discount_amount DECIMAL(18,2),
+    min_spend DECIMAL(18,2),
+    usage_limit INT CHECK (usage_limit > 0),
+    per_customer_limit INT CHECK (per_customer_limit > 0),
+    customer_id INT REFERENCES customers(customer_id),
+    starts_at TIMESTAMP,
+    expires_at TIMESTAMP,
+    campaign VARCHAR(100),
+    is_active BOOLEAN DEFAULT true,
+    created_by INT REFERENCES users(user_id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Coupon uses; a voided sale's redemption no longer counts towards the limits
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+    redemption_id SERIAL PRIMARY KEY,
+    coupon_id INT NOT NULL REFERENCES coupons(coupon_id),
+    sale_id INT NOT NULL REFERENCES sales(sale_id),
+    customer_id INT REFERENCES customers(customer_id),
+    discount_amount DECIMAL(18,2) NOT NULL,
+    redeemed_by INT REFERENCES users(user_id),
+    redeemed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Saved customer segments: a named customerFilter (see segmentService) that
+-- can be listed, previewed and used as the audience for an SMS campaign
+CREATE TABLE IF NOT EXISTS customer_segments (
+    segment_id SERIAL PRIMARY KEY,
+    segment_name VARCHAR(100) NOT NULL UNIQUE,
+    description VARCHAR(500),
+    filter JSONB NOT NULL DEFAULT '{}',
+    created_by INT REFERENCES users(user_id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Customer merges: the duplicate record folded into the survivor, as it was
+-- before the merge, and what was moved across (row counts and balances)
+CREATE TABLE IF NOT EXISTS customer_merges (
+    merge_id SERIAL PRIMARY KEY,
+    survivor_customer_id INT NOT NULL REFERENCES customers(customer_id),
+    merged_customer_id INT NOT NULL REFERENCES customers(customer_id),
+    merged_snapshot JSONB NOT NULL,
+    moved JSONB NOT NULL DEFAULT '{}',
+    reason VARCHAR(500),
+    merged_by INT REFERENCES users(user_id),
+    merged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Pairs the duplicate finder flagged that were checked and are different people
+CREATE TABLE IF NOT EXISTS customer_duplicate_dismissals (
+    customer_id_a INT NOT NULL REFERENCES customers(customer_id),
+    customer_id_b INT NOT NULL REFERENCES customers(customer_id),
+    dismissed_by INT REFERENCES users(user_id),
+    dismissed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (customer_id_a, customer_id_b),
+    CHECK (customer_id_a < customer_id_b)
+);
+
+-- Outgoing SMS (as the legacy NotificationQueue)
+CREATE TABLE IF NOT EXISTS notification_queue (
+    notification_id SERIAL PRIMARY KEY,
+    notification_type VARCHAR(20) NOT NULL DEFAULT 'SMS',
+    recipient_phone VARCHAR(20) NOT NULL,
+    message TEXT NOT NULL,
+    reference_type VARCHAR(30),
+    reference_id INT,
+    status VARCHAR(20) DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'SENT', 'FAILED')),
+    attempts INT DEFAULT 0,
+    max_attempts INT DEFAULT 3,
+    error_message VARCHAR(500),
+    last_attempt_at TIMESTAMP,
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Returns (against an original sale)
+CREATE TABLE IF NOT EXISTS returns (
+    return_id SERIAL PRIMARY KEY,
+    return_number VARCHAR(30) NOT NULL UNIQUE,
+    original_sale_id INT NOT NULL REFERENCES sales(sale_id),
+    location_id INT NOT NULL REFERENCES locations(location_id),
+    shift_id INT REFERENCES shifts(shift_id),
+    customer_id INT REFERENCES customers(customer_id),
+    user_id INT NOT NULL REFERENCES users(user_id),
+    return_type VARCHAR(20) NOT NULL,
+    refund_method VARCHAR(20),
+    total_refund_amount DECIMAL(18,2) NOT NULL,
+    reason VARCHAR(500),
+    manager_approved_by INT REFERENCES users(user_id),
+    status VARCHAR(20) DEFAULT 'completed',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Return Items
+CREATE TABLE IF NOT EXISTS return_items (
+    return_item_id SERIAL PRIMARY KEY,
+    return_id INT NOT NULL REFERENCES returns(return_id) ON DELETE CASCADE,
+    sale_item_id INT NOT NULL REFERENCES sale_items(sale_item_id),
+    variant_id INT NOT NULL REFERENCES product_variants(variant_id),
+    quantity INT NOT NULL,
+    refund_amount DECIMAL(18,2) NOT NULL,
+    condition VARCHAR(50) DEFAULT 'RESALABLE',
+    restocked BOOLEAN DEFAULT TRUE,
+    notes VARCHAR(200)
+);
+
+-- Return Refunds (split across the original tenders)
+CREATE TABLE IF NOT EXISTS return_payments (
+    return_payment_id SERIAL PRIMARY KEY,
+    return_id INT NOT NULL REFERENCES returns(return_id) ON DELETE CASCADE,
+    payment_method_id INT NOT NULL REFERENCES payment_methods(payment_method_id),
+    amount DECIMAL(18,2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Loyalty points ledger: every change to customers.loyalty_points, with the
+-- balance after it. Positive rows are lots that expire at expires_at (NULL =
+-- never); remaining_points is what is left of a lot after spending and expiry
+CREATE TABLE IF NOT EXISTS loyalty_transactions (
+    transaction_id SERIAL PRIMARY KEY,
+    customer_id INT NOT NULL REFERENCES customers(customer_id),
+    transaction_type VARCHAR(20) NOT NULL CHECK (transaction_type IN ('EARN', 'REDEEM', 'EARN_REVERSAL', 'REDEEM_REVERSAL', 'EXPIRE', 'ADJUST')),
+    points INT NOT NULL,
+    balance_after INT NOT NULL,
+    remaining_points INT,
+    expires_at TIMESTAMP,
+    sale_id INT REFERENCES sales(sale_id),
+    return_id INT REFERENCES returns(return_id),
+    notes VARCHAR(500),
+    created_by INT REFERENCES users(user_id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Store credit ledger (as the legacy WalletTransactions): every change to
+-- customers.wallet_balance. amount is signed (credits positive)
+CREATE TABLE IF NOT EXISTS wallet_transactions (
+    transaction_id SERIAL PRIMARY KEY,
+    customer_id INT NOT NULL REFERENCES customers(customer_id),
+    transaction_type VARCHAR(20) NOT NULL CHECK (transaction_type IN ('CREDIT', 'DEBIT', 'SALE', 'REFUND', 'VOID')),
+    amount DECIMAL(18,2) NOT NULL,
+    balance_before DECIMAL(18,2) NOT NULL,
+    balance_after DECIMAL(18,2) NOT NULL,
+    reference_type VARCHAR(20),
+    reference_id INT,
+    notes VARCHAR(500),
+    created_by INT REFERENCES users(user_id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Customer credit accounts (khata): the part of a sale charged to the
+-- 'account' tender is an invoice, settled by payments received and by goods
+-- returned to the account; customers.credit_limit caps what can be owed
+CREATE TABLE IF NOT EXISTS account_payments (
+    account_payment_id SERIAL PRIMARY KEY,
+    payment_number VARCHAR(50) NOT NULL UNIQUE,
+    customer_id INT NOT NULL REFERENCES customers(customer_id),
+    location_id INT NOT NULL REFERENCES locations(location_id),
+    shift_id INT REFERENCES shifts(shift_id),
+    payment_method_id INT NOT NULL REFERENCES payment_methods(payment_method_id),
+    amount DECIMAL(18,2) NOT NULL CHECK (amount > 0),
+    reference_number VARCHAR(100),
+    notes VARCHAR(500),
+    received_by INT REFERENCES users(user_id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- What settled each account invoice: a payment received or a return
+CREATE TABLE IF NOT EXISTS account_allocations (
+    allocation_id SERIAL PRIMARY KEY,
+    sale_id INT NOT NULL REFERENCES sales(sale_id),
+    account_payment_id INT REFERENCES account_payments(account_payment_id),
+    return_id INT REFERENCES returns(return_id),
+    amount DECIMAL(18,2) NOT NULL CHECK (amount > 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((account_payment_id IS NULL) <> (return_id IS NULL))
+);
+
+-- Manager-approved price and discount overrides, consumed by a single sale
+CREATE TABLE IF NOT EXISTS price_overrides (
+    override_id SERIAL PRIMARY KEY,
+    override_type VARCHAR(20) NOT NULL, -- PRICE, DISCOUNT
+    variant_id INT REFERENCES product_variants(variant_id),
+    location_id INT REFERENCES locations(location_id),
+    original_amount DECIMAL(18,2) NOT NULL,
+    override_amount DECIMAL(18,2) NOT NULL,
+    reason VARCHAR(500),
+    requested_by INT NOT NULL REFERENCES users(user_id),
+    approved_by INT NOT NULL REFERENCES users(user_id),
+    sale_id INT REFERENCES sales(sale_id),
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-location daily counter behind LOC-YYYYMMDD-XXXX sale numbers
+CREATE TABLE IF NOT EXISTS sale_number_sequences (
+    location_id INT NOT NULL REFERENCES locations(location_id),
+    sale_date DATE NOT NULL,
+    last_number INT NOT NULL DEFAULT 0,
+    PRIMARY KEY (location_id, sale_date)
+);
+
 -- Parked Sales
 CREATE TABLE IF NOT EXISTS parked_sales (
     parked_id SERIAL PRIMARY KEY,
@@ -279,6 +687,101 @@ CREATE TABLE IF NOT EXISTS parked_sales (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Cash Movements: money put into or taken out of a drawer outside a sale
+CREATE TABLE IF NOT EXISTS cash_movements (
+    movement_id SERIAL PRIMARY KEY,
+    shift_id INT NOT NULL REFERENCES shifts(shift_id),
+    location_id INT NOT NULL REFERENCES locations(location_id),
+    movement_type VARCHAR(20) NOT NULL, -- PAID_IN, PAID_OUT, SAFE_DROP
+    amount DECIMAL(18,2) NOT NULL CHECK (amount > 0),
+    reason VARCHAR(500) NOT NULL,
+    user_id INT NOT NULL REFERENCES users(user_id),
+    approved_by INT NOT NULL REFERENCES users(user_id),
+    drawer_opened BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Manager Approvals: who approved which action, and the short-lived token that carries it
+CREATE TABLE IF NOT EXISTS approvals (
+    approval_id SERIAL PRIMARY KEY,
+    action_type VARCHAR(30) NOT NULL, -- VOID, DISCOUNT, PRICE_OVERRIDE, REFUND, NO_SALE, CASH_MOVEMENT, CASH_VARIANCE
+    token_hash VARCHAR(64) UNIQUE,
+    location_id INT REFERENCES locations(location_id),
+    requested_by INT NOT NULL REFERENCES users(user_id),
+    approved_by INT NOT NULL REFERENCES users(user_id),
+    reference_type VARCHAR(30),
+    reference_id INT,
+    context JSONB,
+    reason VARCHAR(500),
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Z-Reports: numbered end-of-period snapshots, never updated once written
+CREATE TABLE IF NOT EXISTS z_reports (
+    z_report_id SERIAL PRIMARY KEY,
+    report_number VARCHAR(30) NOT NULL UNIQUE,
+    location_id INT NOT NULL REFERENCES locations(location_id),
+    shift_id INT REFERENCES shifts(shift_id),
+    report_date DATE NOT NULL,
+    period_start TIMESTAMP NOT NULL,
+    period_end TIMESTAMP NOT NULL,
+
+    -- Sales summary
+    gross_sales DECIMAL(18,2) DEFAULT 0,
+    discounts DECIMAL(18,2) DEFAULT 0,
+    returns DECIMAL(18,2) DEFAULT 0,
+    net_sales DECIMAL(18,2) DEFAULT 0,
+    tax_collected DECIMAL(18,2) DEFAULT 0,
+
+    -- Transaction counts
+    sale_count INT DEFAULT 0,
+    void_count INT DEFAULT 0,
+    void_amount DECIMAL(18,2) DEFAULT 0,
+    return_count INT DEFAULT 0,
+
+    -- Payment breakdown
+    cash_total DECIMAL(18,2) DEFAULT 0,
+    card_total DECIMAL(18,2) DEFAULT 0,
+    wallet_total DECIMAL(18,2) DEFAULT 0,
+    payment_breakdown JSONB DEFAULT '[]',
+
+    -- Cash reconciliation
+    opening_cash DECIMAL(18,2) DEFAULT 0,
+    cash_in DECIMAL(18,2) DEFAULT 0,
+    cash_out DECIMAL(18,2) DEFAULT 0,
+    paid_in DECIMAL(18,2) DEFAULT 0,
+    paid_out DECIMAL(18,2) DEFAULT 0,
+    safe_drops DECIMAL(18,2) DEFAULT 0,
+    expected_cash DECIMAL(18,2) DEFAULT 0,
+    actual_cash DECIMAL(18,2),
+    variance DECIMAL(18,2),
+    variance_notes VARCHAR(500),
+
+    generated_by INT REFERENCES users(user_id),
+    generated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Audit Log: who changed what, from which value, from where (append-only)
+CREATE TABLE IF NOT EXISTS audit_log (
+    audit_id BIGSERIAL PRIMARY KEY,
+    table_name VARCHAR(100) NOT NULL,
+    record_id VARCHAR(100),
+    action VARCHAR(30) NOT NULL, -- INSERT, UPDATE, DELETE, VOID, ...
+    old_values JSONB,
+    new_values JSONB,
+    changed_fields JSONB, -- array of field names
+    reason VARCHAR(500),
+    user_id INT REFERENCES users(user_id),
+    location_id INT REFERENCES locations(location_id),
+    ip_address VARCHAR(50),
+    user_agent VARCHAR(500),
+    terminal_id VARCHAR(50),
+    request_path VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Settings Table
 CREATE TABLE IF NOT EXISTS settings (
     setting_id SERIAL PRIMARY KEY,
@@ -291,6 +794,80 @@ CREATE TABLE IF NOT EXISTS settings (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- =============================================
+-- COLUMN ADDITIONS (existing databases)
+-- =============================================
+
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS exchange_credit DECIMAL(18,2) DEFAULT 0;
+ALTER TABLE returns ADD COLUMN IF NOT EXISTS exchange_sale_id INT REFERENCES sales(sale_id);
+ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS original_price DECIMAL(18,2);
+ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS price_override_id INT REFERENCES price_overrides(override_id);
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS discount_override_id INT REFERENCES price_overrides(override_id);
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS client_sale_id VARCHAR(100);
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS provisional_number VARCHAR(50);
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS offline_created_at TIMESTAMP;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS sync_conflicts JSONB;
+ALTER TABLE z_reports ADD COLUMN IF NOT EXISTS paid_in DECIMAL(18,2) DEFAULT 0;
+ALTER TABLE z_reports ADD COLUMN IF NOT EXISTS paid_out DECIMAL(18,2) DEFAULT 0;
+ALTER TABLE z_reports ADD COLUMN IF NOT EXISTS safe_drops DECIMAL(18,2) DEFAULT 0;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS blind_close BOOLEAN DEFAULT false;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS denomination_counts JSONB;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS variance_requires_approval BOOLEAN DEFAULT false;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS variance_approved_by INT REFERENCES users(user_id);
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS variance_approved_at TIMESTAMP;
+ALTER TABLE shifts ADD COLUMN IF NOT EXISTS variance_approval_notes VARCHAR(500);
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS void_approved_by INT REFERENCES users(user_id);
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS average_cost DECIMAL(18,4);
+ALTER TABLE inventory_transactions ADD COLUMN IF NOT EXISTS unit_cost DECIMAL(18,4);
+ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS unit_cost DECIMAL(18,4);
+ALTER TABLE stock_transfer_items ADD COLUMN IF NOT EXISTS unit_cost DECIMAL(18,4);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS thumbnail_url VARCHAR(500);
+ALTER TABLE product_variants ADD COLUMN IF NOT EXISTS image_url VARCHAR(500);
+ALTER TABLE product_variants ADD COLUMN IF NOT EXISTS thumbnail_url VARCHAR(500);
+ALTER TABLE sale_items ADD COLUMN IF NOT EXISTS promotion_discount DECIMAL(18,2) DEFAULT 0;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS coupon_discount DECIMAL(18,2) DEFAULT 0;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS sms_opt_in BOOLEAN DEFAULT true;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS credit_limit DECIMAL(18,2) DEFAULT 0;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS last_visit_at TIMESTAMP;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS merged_into_customer_id INT REFERENCES customers(customer_id);
+
+-- Sale lines from before cost snapshots: best estimate is the catalogue cost
+UPDATE sale_items si SET unit_cost = pv.cost_price
+FROM product_variants pv
+WHERE si.variant_id = pv.variant_id AND si.unit_cost IS NULL;
+
+-- Balances from before the points ledger become an opening lot that never expires
+INSERT INTO loyalty_transactions (customer_id, transaction_type, points, balance_after, remaining_points, notes)
+SELECT c.customer_id, 'ADJUST', c.loyalty_points, c.loyalty_points, c.loyalty_points, 'Opening balance'
+FROM customers c
+WHERE c.loyalty_points > 0
+  AND NOT EXISTS (SELECT 1 FROM loyalty_transactions lt WHERE lt.customer_id = c.customer_id);
+
+-- Likewise wallet balances from before the store credit ledger
+INSERT INTO wallet_transactions (customer_id, transaction_type, amount, balance_before, balance_after, reference_type, notes)
+SELECT c.customer_id, 'CREDIT', c.wallet_balance, 0, c.wallet_balance, 'MANUAL', 'Opening balance'
+FROM customers c
+WHERE c.wallet_balance > 0
+  AND NOT EXISTS (SELECT 1 FROM wallet_transactions wt WHERE wt.customer_id = c.customer_id);
+
+-- Purchase rollups were never maintained by the API (as the legacy
+-- sp_UpdateCustomerTotals): rebuild them once from completed sales less returns
+UPDATE customers c SET
+    total_purchases = GREATEST(totals.spent - COALESCE(refunds.refunded, 0), 0),
+    visit_count = totals.visits,
+    last_visit_at = totals.last_visit_at
+FROM (
+    SELECT customer_id, SUM(total_amount) as spent, COUNT(*) as visits, MAX(created_at) as last_visit_at
+    FROM sales WHERE status = 'completed' AND customer_id IS NOT NULL
+    GROUP BY customer_id
+) totals
+LEFT JOIN (
+    SELECT customer_id, SUM(total_refund_amount) as refunded
+    FROM returns WHERE status = 'completed' AND customer_id IS NOT NULL
+    GROUP BY customer_id
+) refunds ON refunds.customer_id = totals.customer_id
+WHERE c.customer_id = totals.customer_id AND c.last_visit_at IS NULL;
+
 -- =============================================
 -- INDEXES
 -- =============================================
@@ -307,6 +884,77 @@ CREATE INDEX IF NOT EXISTS idx_sales_location ON sales(location_id);
 CREATE INDEX IF NOT EXISTS idx_sales_date ON sales(created_at);
 CREATE INDEX IF NOT EXISTS idx_sales_customer ON sales(customer_id);
 CREATE INDEX IF NOT EXISTS idx_customers_phone ON customers(phone);
+CREATE INDEX IF NOT EXISTS idx_customers_last_visit ON customers(last_visit_at);
+CREATE INDEX IF NOT EXISTS idx_customer_merges_survivor ON customer_merges(survivor_customer_id);
+CREATE INDEX IF NOT EXISTS idx_customer_merges_merged ON customer_merges(merged_customer_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_client_sale_id ON sales(client_sale_id);
+CREATE INDEX IF NOT EXISTS idx_returns_sale ON returns(original_sale_id);
+CREATE INDEX IF NOT EXISTS idx_z_reports_location ON z_reports(location_id, report_date);
+CREATE INDEX IF NOT EXISTS idx_approvals_action ON approvals(action_type, created_at);
+CREATE INDEX IF NOT EXISTS idx_cash_movements_shift ON cash_movements(shift_id);
+CREATE INDEX IF NOT EXISTS idx_cash_movements_location ON cash_movements(location_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_supplier ON purchase_orders(supplier_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_status ON purchase_orders(status, location_id);
+CREATE INDEX IF NOT EXISTS idx_po_items_po ON purchase_order_items(po_id);
+CREATE INDEX IF NOT EXISTS idx_grn_po ON goods_received_notes(po_id);
+CREATE INDEX IF NOT EXISTS idx_stock_transfers_from ON stock_transfers(from_location_id, status);
+CREATE INDEX IF NOT EXISTS idx_stock_transfers_to ON stock_transfers(to_location_id, status);
+CREATE INDEX IF NOT EXISTS idx_stock_transfer_items_transfer ON stock_transfer_items(transfer_id);
+CREATE INDEX IF NOT EXISTS idx_stock_counts_location ON stock_counts(location_id, status);
+CREATE INDEX IF NOT EXISTS idx_stock_count_items_count ON stock_count_items(count_id);
+CREATE INDEX IF NOT EXISTS idx_product_images_product ON product_images(product_id);
+CREATE INDEX IF NOT EXISTS idx_promotions_active ON promotions(is_active, priority);
+CREATE INDEX IF NOT EXISTS idx_sale_item_promotions_item ON sale_item_promotions(sale_item_id);
+CREATE INDEX IF NOT EXISTS idx_sale_item_promotions_promotion ON sale_item_promotions(promotion_id);
+CREATE INDEX IF NOT EXISTS idx_coupons_customer ON coupons(customer_id);
+CREATE INDEX IF NOT EXISTS idx_coupons_campaign ON coupons(campaign);
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon ON coupon_redemptions(coupon_id);
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_sale ON coupon_redemptions(sale_id);
+CREATE INDEX IF NOT EXISTS idx_notification_queue_status ON notification_queue(status);
+CREATE INDEX IF NOT EXISTS idx_loyalty_transactions_customer ON loyalty_transactions(customer_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_loyalty_transactions_sale ON loyalty_transactions(sale_id);
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_customer ON wallet_transactions(customer_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_wallet_transactions_reference ON wallet_transactions(reference_type, reference_id);
+CREATE INDEX IF NOT EXISTS idx_loyalty_transactions_lots ON loyalty_transactions(customer_id, expires_at) WHERE remaining_points > 0;
+CREATE INDEX IF NOT EXISTS idx_account_payments_customer ON account_payments(customer_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_account_payments_shift ON account_payments(shift_id);
+CREATE INDEX IF NOT EXISTS idx_account_allocations_sale ON account_allocations(sale_id);
+CREATE INDEX IF NOT EXISTS idx_account_allocations_payment ON account_allocations(account_payment_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_transactions_reference ON inventory_transactions(reference_type, reference_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_record ON audit_log(table_name, record_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_user ON audit_log(user_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_date ON audit_log(created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_z_reports_shift ON z_reports(shift_id) WHERE shift_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_returns_customer ON returns(customer_id);
+CREATE INDEX IF NOT EXISTS idx_return_items_sale_item ON return_items(sale_item_id);
+
+-- =============================================
+-- TRIGGERS
+-- =============================================
+
+-- Z-reports are immutable once generated
+CREATE OR REPLACE FUNCTION prevent_z_report_changes() RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Z-reports cannot be modified or deleted';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_z_reports_immutable ON z_reports;
+CREATE TRIGGER trg_z_reports_immutable
+    BEFORE UPDATE OR DELETE ON z_reports
+    FOR EACH ROW EXECUTE FUNCTION prevent_z_report_changes();
+
+-- Audit entries are append-only
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes() RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Audit log entries cannot be modified or deleted';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_audit_log_immutable ON audit_log;
+CREATE TRIGGER trg_audit_log_immutable
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
 
 -- =============================================
 -- DEFAULT DATA
@@ -326,7 +974,9 @@ INSERT INTO payment_methods (method_name, method_type, is_active, sort_order) VA
 ('Debit Card', 'card', TRUE, 3),
 ('JazzCash', 'mobile', TRUE, 4),
 ('EasyPaisa', 'mobile', TRUE, 5),
-('Store Credit', 'credit', TRUE, 6)
+('Store Credit', 'credit', TRUE, 6),
+('Loyalty Points', 'loyalty', TRUE, 7),
+('Customer Account', 'account', TRUE, 8)
 ON CONFLICT (method_name) DO NOTHING;
 
 -- Insert default location
@@ -369,5 +1019,21 @@ INSERT INTO settings (setting_key, setting_value, setting_type, description, is_
 ('tax_rate', '0', 'number', 'Default tax rate percentage', TRUE),
 ('receipt_footer', 'Thank you for shopping with us!', 'string', 'Receipt footer message', TRUE),
 ('allow_negative_inventory', 'false', 'boolean', 'Allow sales when stock is zero', FALSE),
-('max_discount_without_approval', '10', 'number', 'Maximum discount percentage without manager approval', FALSE)
+('max_discount_without_approval', '10', 'number', 'Maximum discount percentage without manager approval', FALSE),
+('return_window_days', '7', 'number', 'Days after a sale within which items can be returned', TRUE),
+('blind_close_enabled', 'false', 'boolean', 'Cashiers count the drawer by denomination without seeing the expected amount', FALSE),
+('cash_variance_threshold', '500', 'number', 'Maximum acceptable cash variance before manager sign-off', FALSE),
+('approval_required_void', 'true', 'boolean', 'Manager approval needed to void a sale', FALSE),
+('approval_required_discount', 'true', 'boolean', 'Manager approval needed for discounts over the threshold', FALSE),
+('approval_required_price_override', 'true', 'boolean', 'Manager approval needed to change an item price', FALSE),
+('approval_required_refund', 'false', 'boolean', 'Manager approval needed to process a return', FALSE),
+('approval_required_no_sale', 'true', 'boolean', 'Manager approval needed to open the drawer without a sale', FALSE),
+('approval_token_ttl_seconds', '300', 'number', 'How long a manager approval stays valid', FALSE),
+('sms_enabled', 'false', 'boolean', 'Send SMS notifications (needs Twilio credentials)', FALSE),
+('loyalty_enabled', 'true', 'boolean', 'Customers earn and redeem loyalty points', TRUE),
+('loyalty_points_per_100', '1', 'number', 'Loyalty points earned per 100 PKR', TRUE),
+('loyalty_point_value', '1', 'number', 'Value in PKR of one point redeemed at the till', TRUE),
+('loyalty_points_expiry_days', '365', 'number', 'Days before earned points expire (0 = never)', TRUE),
+('segment_lapsed_days', '90', 'number', 'Days without a purchase before a customer counts as lapsed', FALSE),
+('segment_vip_min_spend', '50000', 'number', 'Net spend in PKR that makes a customer VIP', FALSE)
 ON CONFLICT (setting_key) DO NOTHING;
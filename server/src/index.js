@@ -21,6 +21,16 @@ const shiftRoutes = require('./routes/shifts');
 const reportRoutes = require('./routes/reports');
 const settingsRoutes = require('./routes/settings');
 const hardwareRoutes = require('./routes/hardware');
+const approvalRoutes = require('./routes/approvals');
+const auditRoutes = require('./routes/audit');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const stockCountRoutes = require('./routes/stockCounts');
+const imageRoutes = require('./routes/images');
+const promotionRoutes = require('./routes/promotions');
+const couponRoutes = require('./routes/coupons');
+const accountRoutes = require('./routes/accounts');
+const loyaltyService = require('./services/loyaltyService');
 
 const app = express();
 const httpServer = createServer(app);
@@ -101,6 +111,15 @@ app.use(`${API_PREFIX}/shifts`, shiftRoutes);
 app.use(`${API_PREFIX}/reports`, reportRoutes);
 app.use(`${API_PREFIX}/settings`, settingsRoutes);
 app.use(`${API_PREFIX}/hardware`, hardwareRoutes);
+app.use(`${API_PREFIX}/approvals`, approvalRoutes);
+app.use(`${API_PREFIX}/audit`, auditRoutes);
+app.use(`${API_PREFIX}/suppliers`, supplierRoutes);
+app.use(`${API_PREFIX}/purchase-orders`, purchaseOrderRoutes);
+app.use(`${API_PREFIX}/stock-counts`, stockCountRoutes);
+app.use(`${API_PREFIX}/images`, imageRoutes);
+app.use(`${API_PREFIX}/promotions`, promotionRoutes);
+app.use(`${API_PREFIX}/coupons`, couponRoutes);
+app.use(`${API_PREFIX}/accounts`, accountRoutes);
 
 // Health Check - always returns 200 for Railway healthcheck
 app.get('/health', async (req, res) => {
@@ -144,6 +163,18 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Endpoint not found' });
 });
 
+// Expire overdue loyalty points (balances are also expired when a customer is used)
+const expireLoyaltyPoints = async () => {
+  try {
+    const result = await db.transaction((client) => loyaltyService.expirePoints(client));
+    if (result.points > 0) {
+      logger.info(`Expired ${result.points} loyalty points for ${result.customers} customers`);
+    }
+  } catch (error) {
+    logger.error('Loyalty points expiry failed:', error.message);
+  }
+};
+
 // Start Server
 const PORT = process.env.PORT || 5000;
 
@@ -166,6 +197,9 @@ const startServer = async () => {
       // Connect to database
       await db.connect();
       logger.info('Database connected successfully');
+
+      await expireLoyaltyPoints();
+      setInterval(expireLoyaltyPoints, 24 * 60 * 60 * 1000).unref();
     } catch (error) {
       logger.error('Database connection failed:', error.message);
       logger.info('Server running but database not available');
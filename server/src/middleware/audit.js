@@ -0,0 +1,77 @@
+const db = require('../config/database');
+const logger = require('../utils/logger');
+const auditService = require('../services/auditService');
+
+const ACTION_BY_METHOD = {
+  POST: 'INSERT',
+  PUT: 'UPDATE',
+  PATCH: 'UPDATE',
+  DELETE: 'DELETE',
+};
+
+// Record a mutation in audit_log: snapshot the row before the handler runs and
+// again once a successful response has gone out, and log both with the actor
+// options.table / options.key: table to snapshot and its key column
+// options.idParam: route param holding the record's key, a function of the request,
+//   or null for creates
+// options.recordId(req, body): key of a created record, read from the response body
+// options.action: defaults from the HTTP method (POST INSERT, PUT UPDATE, DELETE DELETE)
+// options.load(client, id): custom snapshot instead of SELECT * by key
+const auditTrail = (options) => {
+  const { table, key, idParam = 'id', recordId, action, load } = options;
+
+  const loadSnapshot = load || (async (client, id) => {
+    const result = await client.query(`SELECT * FROM ${table} WHERE ${key} = $1`, [id]);
+    return result.rows[0] || null;
+  });
+
+  return async (req, res, next) => {
+    const pool = db.getPool();
+    const paramId = typeof idParam === 'function'
+      ? idParam(req) ?? null
+      : (idParam ? req.params[idParam] ?? null : null);
+    let before = null;
+
+    try {
+      if (paramId !== null) {
+        before = await loadSnapshot(pool, paramId);
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    // Keep the response body so created records can be identified
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) return;
+
+      try {
+        const id = paramId ?? (recordId ? recordId(req, responseBody) : null);
+        const after = id !== null && id !== undefined ? await loadSnapshot(pool, id) : null;
+
+        await auditService.record(pool, {
+          tableName: table,
+          recordId: id,
+          action: action || ACTION_BY_METHOD[req.method] || req.method,
+          oldValues: before,
+          newValues: after,
+          reason: req.body?.reason,
+          req,
+        });
+      } catch (error) {
+        // The change has already been made - a failed audit write must not hide it
+        logger.error(`Audit log write failed for ${req.method} ${req.originalUrl}:`, error.message);
+      }
+    });
+
+    next();
+  };
+};
+
+module.exports = { auditTrail };
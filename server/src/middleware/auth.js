@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
+const { validationResult } = require('express-validator');
 const db = require('../config/database');
-const { UnauthorizedError, ForbiddenError } = require('./errorHandler');
+const { UnauthorizedError, ForbiddenError, ValidationError } = require('./errorHandler');
+const approvalService = require('../services/approvalService');
 
 // Verify JWT token
 const authenticate = async (req, res, next) => {
@@ -49,6 +51,25 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Whether a user holds any of the given permissions
+const hasPermission = (user, ...requiredPermissions) => {
+  const userPermissions = user.permissions || {};
+  
+  // Admin has all permissions
+  if (userPermissions.all === true || userPermissions['*']) {
+    return true;
+  }
+  
+  return requiredPermissions.some(permission => {
+    // Check exact match
+    if (userPermissions[permission]) return true;
+    
+    // Check wildcard
+    const category = permission.split('.')[0];
+    return userPermissions[category] === true;
+  });
+};
+
 // Check specific permission
 const authorize = (...requiredPermissions) => {
   return (req, res, next) => {
@@ -56,24 +77,7 @@ const authorize = (...requiredPermissions) => {
       return next(new UnauthorizedError('Authentication required'));
     }
     
-    const userPermissions = req.user.permissions;
-    
-    // Admin has all permissions
-    if (userPermissions.all === true || userPermissions['*']) {
-      return next();
-    }
-    
-    // Check if user has any of the required permissions
-    const hasPermission = requiredPermissions.some(permission => {
-      // Check exact match
-      if (userPermissions[permission]) return true;
-      
-      // Check wildcard
-      const category = permission.split('.')[0];
-      return userPermissions[category] === true;
-    });
-    
-    if (!hasPermission) {
+    if (!hasPermission(req.user, ...requiredPermissions)) {
       return next(new ForbiddenError('Insufficient permissions'));
     }
     
@@ -81,42 +85,98 @@ const authorize = (...requiredPermissions) => {
   };
 };
 
-// Verify Manager PIN for sensitive operations
+// Verify Manager PIN for sensitive operations (bcrypt against the location's managers)
 const verifyManagerPIN = async (req, res, next) => {
   try {
-    const { managerPIN } = req.body;
-    
-    if (!managerPIN) {
-      throw new ForbiddenError('Manager PIN required for this operation');
-    }
-    
-    // Find manager with this PIN at the same location
-    const result = await db.query(
-      `SELECT u.user_id, u.first_name, u.last_name, r.role_name
-       FROM users u
-       INNER JOIN roles r ON u.role_id = r.role_id
-       WHERE u.pin_hash = @pin 
-         AND u.is_active = true
-         AND (u.default_location_id = @locationId OR r.role_name = 'admin')`,
-      { 
-        pin: managerPIN,
-        locationId: req.user.default_location_id
-      }
-    );
-    
-    if (result.recordset.length === 0) {
-      throw new ForbiddenError('Invalid Manager PIN');
-    }
-    
-    req.approvedBy = result.recordset[0];
+    req.approvedBy = await approvalService.verifyPin(db.getPool(), {
+      pin: req.body.managerPIN,
+      locationId: req.user.default_location_id
+    });
     next();
   } catch (error) {
     next(error);
   }
 };
 
+// Require manager approval for an action, unless the Security settings switch it off
+// Accepts an approval token (X-Approval-Token header or approvalToken in the body)
+// issued by POST /approvals, or a managerPIN sent with the request itself
+// The approval is only checked here; the handler spends it with
+// req.consumeApproval(client) inside its own transaction, so a request that
+// fails validation or rolls back leaves the manager's approval unused
+// options.permission: when approval is switched off, the user must hold this permission instead
+// options.referenceParam: route param identifying the record a token must match
+const requireApproval = (action, options = {}) => {
+  const { permission, referenceParam = 'id', referenceType = null } = options;
+
+  return async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        throw new ValidationError('Validation failed', errors.array());
+      }
+
+      const resolvedAction = typeof action === 'function' ? action(req) : action;
+      const pool = db.getPool();
+
+      req.approvedBy = null;
+      req.approval = null;
+      req.consumeApproval = async () => null;
+
+      if (!await approvalService.isApprovalRequired(pool, resolvedAction)) {
+        if (permission && !hasPermission(req.user, permission)) {
+          throw new ForbiddenError('Insufficient permissions');
+        }
+        return next();
+      }
+
+      const token = req.headers['x-approval-token'] || req.body.approvalToken;
+      const referenceId = req.params[referenceParam] || null;
+
+      if (token) {
+        const tokenDetails = { token, action: resolvedAction, referenceId, userId: req.user.user_id };
+        const approval = await approvalService.checkToken(pool, tokenDetails);
+        req.approvedBy = {
+          user_id: approval.approved_by,
+          first_name: approval.first_name,
+          last_name: approval.last_name,
+          role_name: approval.role_name
+        };
+        req.consumeApproval = async (client) => {
+          req.approval = await approvalService.consumeToken(client, tokenDetails);
+          return req.approval;
+        };
+      } else {
+        const manager = await approvalService.verifyPin(pool, {
+          pin: req.body.managerPIN,
+          locationId: req.user.default_location_id
+        });
+        req.approvedBy = manager;
+        req.consumeApproval = async (client) => {
+          req.approval = await approvalService.recordApproval(client, {
+            action: resolvedAction,
+            manager,
+            locationId: req.user.default_location_id,
+            requestedBy: req.user.user_id,
+            referenceType,
+            referenceId,
+            reason: req.body.reason
+          });
+          return req.approval;
+        };
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
 module.exports = {
   authenticate,
   authorize,
+  hasPermission,
   verifyManagerPIN,
+  requireApproval,
 };
@@ -0,0 +1,128 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticate, authorize } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { ValidationError } = require('../middleware/errorHandler');
+const accountService = require('../services/accountService');
+
+const router = express.Router();
+router.use(authenticate);
+
+// Parse a YYYY-MM-DD query date, or fall back
+const parseDate = (value, fallback) => {
+  if (!value) return fallback;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError('Invalid date', [{ value }]);
+  }
+  return date;
+};
+
+// Get customer accounts (customers with a credit limit or a balance)
+router.get('/', authorize('customers'), async (req, res, next) => {
+  try {
+    const accounts = await accountService.listAccounts(db.getPool(), { search: req.query.search || null });
+    res.json({ accounts });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Aging report - 0-30/31-60/61-90/90+ days per customer - MUST be before /:customerId route
+router.get('/aging', authorize('reports'), async (req, res, next) => {
+  try {
+    const asOf = parseDate(req.query.asOf, null);
+    if (asOf) asOf.setHours(23, 59, 59, 999);
+
+    const report = await accountService.getAgingReport(db.getPool(), { asOf: asOf || new Date() });
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a customer's account with open invoices and aging
+router.get('/:customerId', authorize('customers'), async (req, res, next) => {
+  try {
+    const account = await accountService.getAccount(db.getPool(), parseInt(req.params.customerId));
+    res.json({ account });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Statement of account (from/to are dates, both inclusive; defaults to this month)
+router.get('/:customerId/statement', authorize('customers'), async (req, res, next) => {
+  try {
+    const now = new Date();
+    const from = parseDate(req.query.from, new Date(now.getFullYear(), now.getMonth(), 1));
+    from.setHours(0, 0, 0, 0);
+    const to = parseDate(req.query.to, now);
+    to.setHours(0, 0, 0, 0);
+    to.setDate(to.getDate() + 1);
+
+    const statement = await accountService.getStatement(db.getPool(), parseInt(req.params.customerId), { from, to });
+    res.json({ statement });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Receive a payment against a customer's account
+// Without allocations it settles the oldest invoices first
+router.post('/:customerId/payments', authorize('sales'), [
+  body('amount').isFloat({ gt: 0 }),
+  body('paymentMethodId').isInt(),
+  body('locationId').isInt(),
+  body('allocations').optional({ nullable: true }).isArray(),
+], auditTrail({
+  table: 'account_payments',
+  key: 'account_payment_id',
+  idParam: null,
+  recordId: (req, body) => body?.payment?.account_payment_id,
+}), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { amount, paymentMethodId, referenceNumber, notes, allocations, locationId, shiftId } = req.body;
+    const result = await db.transaction((client) =>
+      accountService.receivePayment(client, parseInt(req.params.customerId), {
+        amount,
+        paymentMethodId,
+        referenceNumber: referenceNumber || null,
+        notes: notes || null,
+        allocations: allocations || null,
+        locationId: parseInt(locationId),
+        shiftId: shiftId ? parseInt(shiftId) : null,
+        userId: req.user.user_id
+      })
+    );
+
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set a customer's credit limit (0 stops new charges; the balance is still owed)
+router.put('/:customerId/credit-limit', authorize('discounts'), [
+  body('creditLimit').isFloat({ min: 0 }),
+], auditTrail({ table: 'customers', key: 'customer_id', idParam: 'customerId', action: 'CREDIT_LIMIT' }), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const customer = await accountService.setCreditLimit(db.getPool(), parseInt(req.params.customerId), req.body.creditLimit);
+    res.json({ success: true, creditLimit: parseFloat(customer.credit_limit) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
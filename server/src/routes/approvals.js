@@ -0,0 +1,111 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticate, authorize } = require('../middleware/auth');
+const { ValidationError } = require('../middleware/errorHandler');
+const approvalService = require('../services/approvalService');
+
+const router = express.Router();
+router.use(authenticate);
+
+// Which actions currently need manager approval
+router.get('/requirements', async (req, res, next) => {
+  try {
+    const requirements = await approvalService.getRequirements(db.getPool());
+    res.json({ requirements });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Request approval - a manager enters their PIN and the requester gets a short-lived token
+router.post('/', [
+  body('action').isIn(approvalService.ACTIONS),
+  body('managerPIN').notEmpty(),
+  body('referenceId').optional({ nullable: true }).isInt(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { action, managerPIN, referenceType, referenceId, context, reason } = req.body;
+
+    const approval = await approvalService.issueToken(db.getPool(), {
+      action,
+      pin: managerPIN,
+      locationId: req.user.default_location_id,
+      requestedBy: req.user.user_id,
+      referenceType,
+      referenceId,
+      context,
+      reason,
+    });
+
+    res.status(201).json({
+      success: true,
+      approvalId: approval.approvalId,
+      approvalToken: approval.token,
+      expiresAt: approval.expiresAt,
+      approvedBy: `${approval.approvedBy.first_name} ${approval.approvedBy.last_name}`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Approval history
+router.get('/', authorize('reports'), async (req, res, next) => {
+  try {
+    const { action, locationId, startDate, endDate, page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    let paramIndex = 1;
+
+    if (action) {
+      whereClause += ` AND a.action_type = $${paramIndex++}`;
+      params.push(action);
+    }
+
+    if (locationId) {
+      whereClause += ` AND a.location_id = $${paramIndex++}`;
+      params.push(parseInt(locationId));
+    }
+
+    if (startDate) {
+      whereClause += ` AND a.created_at >= $${paramIndex++}`;
+      params.push(startDate);
+    }
+
+    if (endDate) {
+      whereClause += ` AND a.created_at <= $${paramIndex++}`;
+      params.push(endDate);
+    }
+
+    params.push(parseInt(limit));
+    params.push(offset);
+
+    const result = await db.getPool().query(
+      `SELECT a.approval_id, a.action_type, a.location_id, a.reference_type, a.reference_id,
+              a.context, a.reason, a.expires_at, a.used_at, a.created_at,
+              req.first_name as requested_by_first_name, req.last_name as requested_by_last_name,
+              app.first_name as approved_by_first_name, app.last_name as approved_by_last_name
+       FROM approvals a
+       INNER JOIN users req ON a.requested_by = req.user_id
+       INNER JOIN users app ON a.approved_by = app.user_id
+       ${whereClause}
+       ORDER BY a.created_at DESC
+       LIMIT $${paramIndex++} OFFSET $${paramIndex}`,
+      params
+    );
+
+    res.json({ approvals: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require('express');
+const db = require('../config/database');
+const { authenticate, authorize } = require('../middleware/auth');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+router.use(authenticate);
+router.use(authorize('audit'));
+
+// Search the audit log
+router.get('/', async (req, res, next) => {
+  try {
+    const { tableName, recordId, action, userId, startDate, endDate, page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    let paramIndex = 1;
+
+    if (tableName) {
+      whereClause += ` AND a.table_name = $${paramIndex++}`;
+      params.push(tableName);
+    }
+
+    if (recordId) {
+      whereClause += ` AND a.record_id = $${paramIndex++}`;
+      params.push(String(recordId));
+    }
+
+    if (action) {
+      whereClause += ` AND a.action = $${paramIndex++}`;
+      params.push(action);
+    }
+
+    if (userId) {
+      whereClause += ` AND a.user_id = $${paramIndex++}`;
+      params.push(parseInt(userId));
+    }
+
+    if (startDate) {
+      whereClause += ` AND a.created_at >= $${paramIndex++}`;
+      params.push(startDate);
+    }
+
+    if (endDate) {
+      // Whole end day
+      whereClause += ` AND a.created_at < ($${paramIndex++}::date + 1)`;
+      params.push(endDate);
+    }
+
+    const pool = db.getPool();
+    const countResult = await pool.query(
+      `SELECT COUNT(*) as total FROM audit_log a ${whereClause}`,
+      params
+    );
+
+    const result = await pool.query(
+      `SELECT a.*, u.first_name as user_first_name, u.last_name as user_last_name, u.employee_code
+       FROM audit_log a
+       LEFT JOIN users u ON a.user_id = u.user_id
+       ${whereClause}
+       ORDER BY a.created_at DESC, a.audit_id DESC
+       LIMIT $${paramIndex++} OFFSET $${paramIndex}`,
+      [...params, parseInt(limit), offset]
+    );
+
+    res.json({
+      entries: result.rows,
+      total: parseInt(countResult.rows[0].total),
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Tables and actions present in the log, for the viewer's filters
+router.get('/facets', async (req, res, next) => {
+  try {
+    const pool = db.getPool();
+    const [tables, actions] = await Promise.all([
+      pool.query(`SELECT DISTINCT table_name FROM audit_log ORDER BY table_name`),
+      pool.query(`SELECT DISTINCT action FROM audit_log ORDER BY action`),
+    ]);
+
+    res.json({
+      tables: tables.rows.map(row => row.table_name),
+      actions: actions.rows.map(row => row.action)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single audit entry
+router.get('/:id', async (req, res, next) => {
+  try {
+    const result = await db.getPool().query(
+      `SELECT a.*, u.first_name as user_first_name, u.last_name as user_last_name, u.employee_code
+       FROM audit_log a
+       LEFT JOIN users u ON a.user_id = u.user_id
+       WHERE a.audit_id = $1`,
+      [parseInt(req.params.id)]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Audit entry');
+    }
+
+    res.json({ entry: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -4,7 +4,9 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { authenticate } = require('../middleware/auth');
-const { ValidationError, UnauthorizedError } = require('../middleware/errorHandler');
+const { auditTrail } = require('../middleware/audit');
+const { ValidationError, UnauthorizedError, ForbiddenError } = require('../middleware/errorHandler');
+const approvalService = require('../services/approvalService');
 
 const router = express.Router();
 
@@ -270,7 +272,12 @@ router.get('/me', authenticate, async (req, res) => {
 });
 
 // Change Password
-router.post('/change-password', authenticate, [
+router.post('/change-password', authenticate, auditTrail({
+  table: 'users',
+  key: 'user_id',
+  idParam: (req) => req.user.user_id,
+  action: 'PASSWORD_CHANGE',
+}), [
   body('currentPassword').notEmpty(),
   body('newPassword').isLength({ min: 6 }),
 ], async (req, res, next) => {
@@ -312,26 +319,25 @@ router.post('/verify-pin', authenticate, [
   try {
     const { pin } = req.body;
 
-    const result = await db.query(
-      `SELECT u.user_id, u.first_name, u.last_name, r.role_name
-       FROM users u
-       INNER JOIN roles r ON u.role_id = r.role_id
-       WHERE u.pin_hash = @pin 
-         AND u.is_active = true
-         AND r.role_name IN ('admin', 'manager')`,
-      { pin }
-    );
-
-    if (result.recordset.length === 0) {
-      return res.json({ valid: false });
+    let manager;
+    try {
+      manager = await approvalService.verifyPin(db.getPool(), {
+        pin,
+        locationId: req.user.default_location_id
+      });
+    } catch (error) {
+      if (error instanceof ForbiddenError) {
+        return res.json({ valid: false });
+      }
+      throw error;
     }
 
     res.json({
       valid: true,
       manager: {
-        id: result.recordset[0].user_id,
-        name: `${result.recordset[0].first_name} ${result.recordset[0].last_name}`,
-        role: result.recordset[0].role_name,
+        id: manager.user_id,
+        name: `${manager.first_name} ${manager.last_name}`,
+        role: manager.role_name,
       }
     });
   } catch (error) {
@@ -0,0 +1,136 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticate, authorize } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const couponService = require('../services/couponService');
+const notificationService = require('../services/notificationService');
+
+const router = express.Router();
+router.use(authenticate);
+
+const auditCoupon = (options = {}) => auditTrail({ table: 'coupons', key: 'coupon_id', ...options });
+
+// Get coupons (search by code, description or campaign; filter by customer, campaign or status)
+router.get('/', authorize('discounts'), async (req, res, next) => {
+  try {
+    const { search, customerId, campaign, status, page = 1, limit = 50 } = req.query;
+    const result = await couponService.listCoupons(db.getPool(), { search, customerId, campaign, status, page, limit });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Check a code at the till before checkout and get its discount
+// Nothing is reserved - the redemption is recorded against the sale when it
+// completes, and the coupon is checked again then - MUST be before /:id route
+router.post('/redeem', [
+  body('code').trim().notEmpty(),
+  body('subtotal').isFloat({ min: 0 }),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { code, customerId, subtotal } = req.body;
+    const { coupon, discountAmount } = await couponService.checkCoupon(db.getPool(), code, {
+      customerId: customerId ? parseInt(customerId) : null,
+      subtotal: Math.round(parseFloat(subtotal) * 100) / 100
+    });
+
+    res.json({
+      coupon: {
+        couponId: coupon.coupon_id,
+        code: coupon.code,
+        description: coupon.description,
+        discountType: coupon.discount_type,
+        discountValue: parseFloat(coupon.discount_value),
+        expiresAt: coupon.expires_at
+      },
+      discountAmount
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Text customers a message, optionally with their own single-use coupon code
+router.post('/send-sms', authorize('discounts'), [
+  body('message').trim().notEmpty(),
+  body('filter').optional().isObject(),
+  body('coupon').optional({ nullable: true }).isObject(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { message, filter, coupon, campaign } = req.body;
+    const result = await notificationService.sendPromotionalSMS(filter || {}, message, {
+      coupon: coupon || null,
+      campaign: campaign || null,
+      userId: req.user.user_id
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single coupon with its redemptions
+router.get('/:id', authorize('discounts'), async (req, res, next) => {
+  try {
+    const coupon = await couponService.getCouponDetail(db.getPool(), parseInt(req.params.id));
+    res.json({ coupon });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create coupon (the code is generated when none is given)
+router.post('/', authorize('discounts'), auditCoupon({ idParam: null, recordId: (req, body) => body?.coupon?.coupon_id }), async (req, res, next) => {
+  try {
+    const coupon = await couponService.createCoupon(db.getPool(), req.body, req.user.user_id);
+    res.status(201).json({ success: true, coupon });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update coupon
+router.put('/:id', authorize('discounts'), auditCoupon(), async (req, res, next) => {
+  try {
+    const coupon = await couponService.updateCoupon(db.getPool(), parseInt(req.params.id), req.body);
+    res.json({ success: true, coupon });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Deactivate coupon (soft delete - redemptions keep referencing it)
+router.delete('/:id', authorize('discounts'), auditCoupon(), async (req, res, next) => {
+  try {
+    const result = await db.getPool().query(
+      `UPDATE coupons SET is_active = false, updated_at = CURRENT_TIMESTAMP
+       WHERE coupon_id = $1
+       RETURNING coupon_id`,
+      [parseInt(req.params.id)]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Coupon');
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,18 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authorize } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
 const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const customerService = require('../services/customerService');
+const loyaltyService = require('../services/loyaltyService');
+const segmentService = require('../services/segmentService');
+const walletService = require('../services/walletService');
 
 const router = express.Router();
+
+const auditCustomer = (options = {}) => auditTrail({ table: 'customers', key: 'customer_id', ...options });
+const auditSegment = (options = {}) => auditTrail({ table: 'customer_segments', key: 'segment_id', idParam: 'segmentId', ...options });
 router.use(authenticate);
 
 // Get all customers
@@ -32,21 +40,130 @@ router.get('/', async (req, res, next) => {
   }
 });
 
-// Lookup customer by phone
+// Lookup customer by phone (+92 300..., 0300... and 300... all match; merged records resolve to the survivor)
 router.get('/lookup/:phone', async (req, res, next) => {
   try {
-    const { phone } = req.params;
-    
-    const result = await db.query(
-      `SELECT * FROM customers WHERE phone = @phone AND is_active = true`,
-      { phone }
-    );
+    const customer = await customerService.findByPhone(db.getPool(), req.params.phone);
     
-    if (result.recordset.length === 0) {
+    if (!customer) {
       return res.json({ found: false });
     }
     
-    res.json({ found: true, customer: result.recordset[0] });
+    res.json({ found: true, customer });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Likely duplicate customers, best matches first - MUST be before /:id route
+router.get('/duplicates', async (req, res, next) => {
+  try {
+    const { customerId, minScore, limit = 100 } = req.query;
+    const result = await customerService.findDuplicates(db.getPool(), {
+      customerId: customerId ? parseInt(customerId) : null,
+      minScore: minScore ? parseFloat(minScore) : undefined,
+      limit: parseInt(limit)
+    });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark a suggested pair as different people
+router.post('/duplicates/dismiss', authorize('discounts'), [
+  body('customerIdA').isInt(),
+  body('customerIdB').isInt(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    await customerService.dismissDuplicate(db.getPool(), { ...req.body, userId: req.user.user_id });
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Expire overdue loyalty points for every customer (also run daily by the server)
+router.post('/loyalty/expire', authorize('settings'), async (req, res, next) => {
+  try {
+    const result = await db.transaction((client) => loyaltyService.expirePoints(client));
+    res.json({ success: true, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rebuild every customer's purchase totals from their sales and returns
+router.post('/recalculate-totals', authorize('settings'), async (req, res, next) => {
+  try {
+    const updated = await db.transaction((client) => customerService.recalculateTotals(client));
+    res.json({ success: true, updated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Customer counts by RFM segment, lapsed/VIP, city and preferred category - MUST be before /:id route
+router.get('/segments/summary', async (req, res, next) => {
+  try {
+    const summary = await segmentService.getSummary(db.getPool());
+    res.json(summary);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Customers matching a segment filter (the same filter SMS campaigns take)
+router.post('/segments/preview', async (req, res, next) => {
+  try {
+    const { filter, page = 1, limit = 50 } = req.body;
+    const result = await segmentService.findCustomers(db.getPool(), filter || {}, { page, limit });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Saved segments with their current size
+router.get('/segments', async (req, res, next) => {
+  try {
+    const segments = await segmentService.listSegments(db.getPool());
+    res.json({ segments, definitions: segmentService.SEGMENTS });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Save a segment
+router.post('/segments', authorize('discounts'), auditSegment({ idParam: null, recordId: (req, body) => body?.segment?.segment_id }), async (req, res, next) => {
+  try {
+    const segment = await segmentService.createSegment(db.getPool(), req.body, req.user.user_id);
+    res.status(201).json({ success: true, segment });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a saved segment
+router.put('/segments/:segmentId', authorize('discounts'), auditSegment(), async (req, res, next) => {
+  try {
+    const segment = await segmentService.updateSegment(db.getPool(), parseInt(req.params.segmentId), req.body);
+    res.json({ success: true, segment });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a saved segment
+router.delete('/segments/:segmentId', authorize('discounts'), auditSegment(), async (req, res, next) => {
+  try {
+    await segmentService.deleteSegment(db.getPool(), parseInt(req.params.segmentId));
+    res.json({ success: true });
   } catch (error) {
     next(error);
   }
@@ -107,7 +224,7 @@ router.get('/:customerId/purchases/:saleId/items', async (req, res, next) => {
 });
 
 // Create customer
-router.post('/', [
+router.post('/', auditCustomer({ idParam: null, recordId: (req, body) => body?.customer_id }), [
   body('phone').notEmpty(),
   body('firstName').notEmpty(),
 ], async (req, res, next) => {
@@ -119,14 +236,19 @@ router.post('/', [
     
     const { phone, firstName, lastName, email, address, city, notes } = req.body;
     
-    // Check if phone already exists
-    const existing = await db.query(
-      `SELECT customer_id FROM customers WHERE phone = @phone`,
-      { phone }
-    );
+    // Check if phone already exists, in any format (+92 / 03xx), or on an inactive customer
+    let existing = await customerService.findByPhone(db.getPool(), phone);
+    if (!existing) {
+      const result = await db.query(`SELECT * FROM customers WHERE phone = @phone`, { phone });
+      existing = result.recordset[0];
+    }
     
-    if (existing.recordset.length > 0) {
-      throw new ValidationError('Phone number already registered');
+    if (existing) {
+      throw new ValidationError('Phone number already registered', [{
+        customerId: existing.customer_id,
+        name: [existing.first_name, existing.last_name].filter(Boolean).join(' '),
+        phone: existing.phone
+      }]);
     }
     
     const result = await db.query(
@@ -143,7 +265,7 @@ router.post('/', [
 });
 
 // Update customer
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', auditCustomer(), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { firstName, lastName, email, address, city, notes } = req.body;
@@ -172,57 +294,159 @@ router.put('/:id', async (req, res, next) => {
   }
 });
 
-// Add wallet credit
-router.post('/:id/wallet/credit', async (req, res, next) => {
+// Merge a duplicate customer into this one - sales, parked sales, returns,
+// coupons, wallet, loyalty and account payments move here; the duplicate is deactivated
+router.post('/:id/merge', authorize('discounts'), [
+  body('duplicateId').isInt(),
+  body('reason').optional({ nullable: true }).trim().isLength({ max: 500 }),
+], auditCustomer({ action: 'MERGE' }), async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { amount, reason } = req.body;
-    
-    const result = await db.query(
-      `UPDATE customers SET wallet_balance = wallet_balance + @amount, updated_at = CURRENT_TIMESTAMP
-       WHERE customer_id = @id
-       RETURNING wallet_balance`,
-      { id: parseInt(id), amount }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const result = await db.transaction((client) =>
+      customerService.mergeCustomers(client, {
+        survivorId: parseInt(req.params.id),
+        duplicateId: parseInt(req.body.duplicateId),
+        reason: req.body.reason || null,
+        userId: req.user.user_id
+      })
     );
-    
-    if (result.recordset.length === 0) {
-      throw new NotFoundError('Customer not found');
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Merges into and out of a customer
+router.get('/:id/merges', async (req, res, next) => {
+  try {
+    const merges = await customerService.getMergeHistory(db.getPool(), parseInt(req.params.id));
+    res.json({ merges });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Store credit balance
+router.get('/:id/wallet', async (req, res, next) => {
+  try {
+    const balance = await walletService.getBalance(db.getPool(), parseInt(req.params.id));
+    res.json(balance);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Store credit statement
+router.get('/:id/wallet/transactions', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const result = await walletService.getStatement(db.getPool(), parseInt(req.params.id), { page, limit });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+const walletValidation = [
+  body('amount').isFloat({ gt: 0 }),
+  body('reason').trim().notEmpty(),
+];
+
+// Add wallet credit
+router.post('/:id/wallet/credit', authorize('discounts'), walletValidation, auditCustomer({ action: 'WALLET_CREDIT' }), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
     }
-    
-    res.json({ success: true, newBalance: result.recordset[0].wallet_balance });
+
+    const entry = await db.transaction((client) =>
+      walletService.credit(client, parseInt(req.params.id), {
+        amount: parseFloat(req.body.amount),
+        referenceType: 'MANUAL',
+        notes: req.body.reason,
+        userId: req.user.user_id
+      })
+    );
+
+    res.json({ success: true, newBalance: parseFloat(entry.balance_after), transaction: entry });
   } catch (error) {
     next(error);
   }
 });
 
 // Use wallet balance
-router.post('/:id/wallet/debit', async (req, res, next) => {
+router.post('/:id/wallet/debit', authorize('discounts'), walletValidation, auditCustomer({ action: 'WALLET_DEBIT' }), async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { amount } = req.body;
-    
-    // Check balance first
-    const customer = await db.query(
-      `SELECT wallet_balance FROM customers WHERE customer_id = @id`,
-      { id: parseInt(id) }
-    );
-    
-    if (customer.recordset.length === 0) {
-      throw new NotFoundError('Customer not found');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
     }
-    
-    if (customer.recordset[0].wallet_balance < amount) {
-      throw new ValidationError('Insufficient wallet balance');
+
+    const entry = await db.transaction((client) =>
+      walletService.debit(client, parseInt(req.params.id), {
+        amount: parseFloat(req.body.amount),
+        referenceType: 'MANUAL',
+        notes: req.body.reason,
+        userId: req.user.user_id
+      })
+    );
+
+    res.json({ success: true, newBalance: parseFloat(entry.balance_after), transaction: entry });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Loyalty points balance and what it is worth at the till
+router.get('/:id/loyalty', async (req, res, next) => {
+  try {
+    const balance = await db.transaction((client) =>
+      loyaltyService.getBalance(client, parseInt(req.params.id))
+    );
+    res.json(balance);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Loyalty points ledger
+router.get('/:id/loyalty/transactions', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const result = await loyaltyService.getLedger(db.getPool(), parseInt(req.params.id), { page, limit });
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add or deduct loyalty points by hand
+router.post('/:id/loyalty/adjust', authorize('discounts'), [
+  body('points').isInt().custom(value => parseInt(value) !== 0),
+  body('reason').trim().notEmpty(),
+], auditCustomer({ action: 'LOYALTY_ADJUST' }), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
     }
-    
-    const result = await db.query(
-      `UPDATE customers SET wallet_balance = wallet_balance - @amount, updated_at = CURRENT_TIMESTAMP
-       WHERE customer_id = @id
-       RETURNING wallet_balance`,
-      { id: parseInt(id), amount }
+
+    const { points, reason } = req.body;
+    const newBalance = await db.transaction((client) =>
+      loyaltyService.adjustPoints(client, parseInt(req.params.id), {
+        points: parseInt(points),
+        notes: reason,
+        userId: req.user.user_id
+      })
     );
-    
-    res.json({ success: true, newBalance: result.recordset[0].wallet_balance });
+
+    res.json({ success: true, newBalance });
   } catch (error) {
     next(error);
   }
@@ -1,10 +1,12 @@
 const express = require('express');
-const { authenticate, authorize } = require('../middleware/auth');
+const { authenticate, authorize, requireApproval } = require('../middleware/auth');
 
 const router = express.Router();
 router.use(authenticate);
 
+const db = require('../config/database');
 const printerService = require('../services/printerService');
+const saleService = require('../services/saleService');
 
 // Get printer status (mock for cloud deployment)
 router.get('/printer/status', async (req, res) => {
@@ -16,12 +18,13 @@ router.get('/printer/status', async (req, res) => {
   }
 });
 
-// Print receipt
+// Print receipt - for a saleId the receipt is built from the recorded sale (with its promotions)
 router.post('/printer/receipt', authorize('pos'), async (req, res) => {
-  const { sale } = req.body;
+  const { sale, saleId } = req.body;
 
   try {
-    const result = await printerService.printReceipt(sale);
+    const receipt = saleId ? await saleService.getReceipt(db.getPool(), parseInt(saleId)) : sale;
+    const result = await printerService.printReceipt(receipt);
     res.json({
       success: true,
       printed: result.printed || false,
@@ -71,6 +74,23 @@ router.post('/label/print', authorize('inventory'), async (req, res) => {
   }
 });
 
+// No-sale drawer open - needs manager approval unless switched off in Security settings
+router.post('/cash-drawer/open', authorize('sales'), requireApproval('NO_SALE', { referenceParam: null }), async (req, res) => {
+  try {
+    // The approval is only spent once the drawer has opened
+    await db.transaction(async (client) => {
+      await req.consumeApproval(client);
+      await printerService.openCashDrawer();
+    });
+    res.json({
+      success: true,
+      approvedBy: req.approvedBy ? `${req.approvedBy.first_name} ${req.approvedBy.last_name}` : null
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message, message: 'Cash drawer could not be opened' });
+  }
+});
+
 // Test a hardware device (client calls POST /hardware/test/:device)
 router.post('/test/:device', authorize('pos'), async (req, res) => {
   const { device } = req.params;
@@ -0,0 +1,35 @@
+const express = require('express');
+const { getStorage, assertKey } = require('../services/imageStorage');
+
+const router = express.Router();
+
+// Serve a stored image
+// Public so <img> tags can load it; keys are unique per upload, so browsers may cache it for good
+router.get('/*', async (req, res, next) => {
+  try {
+    const key = req.params[0];
+
+    try {
+      assertKey(key);
+    } catch (error) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    const image = await getStorage().read(key);
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    res.set({
+      'Content-Type': image.contentType,
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      // The client is served from another origin
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+    res.send(image.buffer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
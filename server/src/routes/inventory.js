@@ -2,11 +2,36 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { authenticate, authorize } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
 const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const inventoryService = require('../services/inventoryService');
+const transferService = require('../services/transferService');
 
 const router = express.Router();
 router.use(authenticate);
 
+const auditTransfer = (options = {}) => auditTrail({ table: 'stock_transfers', key: 'transfer_id', ...options });
+
+// A stock level is audited as the inventory row for the body's variant and location, keyed "variantId:locationId"
+const auditStock = (action) => auditTrail({
+  table: 'inventory',
+  key: 'inventory_id',
+  idParam: (req) => {
+    const variantId = parseInt(req.body.variantId);
+    const locationId = parseInt(req.body.locationId);
+    return Number.isInteger(variantId) && Number.isInteger(locationId) ? `${variantId}:${locationId}` : null;
+  },
+  action,
+  load: async (client, id) => {
+    const [variantId, locationId] = id.split(':').map(Number);
+    const result = await client.query(
+      `SELECT * FROM inventory WHERE variant_id = $1 AND location_id = $2`,
+      [variantId, locationId]
+    );
+    return result.rows[0] || null;
+  },
+});
+
 // Get inventory for a location with summary
 router.get('/', async (req, res, next) => {
   try {
@@ -56,11 +81,19 @@ router.get('/', async (req, res, next) => {
               COALESCE(i.reorder_quantity, 10) as reorder_quantity, 
               i.bin_location, i.updated_at,
               pv.sku, pv.barcode, pv.variant_name, pv.price, pv.cost_price,
-              p.product_id, p.product_name, p.product_code, l.location_name
+              p.product_id, p.product_name, p.product_code, l.location_name,
+              COALESCE(transit.quantity_in_transit, 0) as quantity_in_transit
        FROM product_variants pv
        INNER JOIN products p ON pv.product_id = p.product_id
        ${locationJoin}
        ${inventoryJoin}
+       LEFT JOIN (
+         SELECT sti.variant_id, st.to_location_id, SUM(sti.quantity_dispatched) as quantity_in_transit
+         FROM stock_transfer_items sti
+         INNER JOIN stock_transfers st ON sti.transfer_id = st.transfer_id
+         WHERE st.status = 'DISPATCHED'
+         GROUP BY sti.variant_id, st.to_location_id
+       ) transit ON transit.variant_id = pv.variant_id AND transit.to_location_id = l.location_id
        ${whereClause}
        ORDER BY p.product_name, pv.variant_name
        LIMIT $${paramIndex++} OFFSET $${paramIndex}`,
@@ -74,6 +107,7 @@ router.get('/', async (req, res, next) => {
       locationId: item.location_id,
       quantity: item.quantity_on_hand,
       reserved: item.quantity_reserved,
+      inTransit: parseInt(item.quantity_in_transit) || 0,
       reorderLevel: item.reorder_level,
       reorderQuantity: item.reorder_quantity,
       binLocation: item.bin_location,
@@ -190,7 +224,7 @@ router.get('/transactions', async (req, res, next) => {
 });
 
 // Adjust inventory
-router.post('/adjust', async (req, res, next) => {
+router.post('/adjust', auditStock('ADJUSTMENT'), async (req, res, next) => {
   try {
     const { variantId, locationId, adjustment, reason } = req.body;
     
@@ -261,95 +295,220 @@ router.post('/adjust', async (req, res, next) => {
   }
 });
 
-// Receive inventory
+// Receive inventory outside a purchase order
+// With a unitCost the stock is blended into the location's weighted-average
+// cost; without one it comes in at the current average
 router.post('/receive', authorize('inventory'), [
   body('variantId').isInt(),
   body('locationId').isInt(),
   body('quantity').isInt({ min: 1 }),
-], async (req, res, next) => {
+  body('unitCost').optional({ nullable: true }).isFloat({ min: 0 }),
+], auditStock('RECEIVE'), async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       throw new ValidationError('Validation failed', errors.array());
     }
     
-    const { variantId, locationId, quantity, notes } = req.body;
-    
-    // Upsert inventory
-    let currentResult = await db.query(
-      `SELECT quantity_on_hand FROM inventory WHERE variant_id = $1 AND location_id = $2`,
-      [variantId, locationId]
+    const { variantId, locationId, quantity, unitCost, notes } = req.body;
+    
+    const result = await db.transaction((client) =>
+      inventoryService.adjustStock(client, {
+        variantId: parseInt(variantId),
+        locationId: parseInt(locationId),
+        quantityChange: parseInt(quantity),
+        transactionType: 'RECEIVE',
+        notes: notes || 'Stock received',
+        userId: req.user.user_id,
+        unitCost: unitCost !== undefined && unitCost !== null ? parseFloat(unitCost) : null,
+      })
     );
     
-    let currentStock = 0;
-    
-    const receiveRows = currentResult.rows || currentResult.recordset || [];
-    if (receiveRows.length === 0) {
-      await db.query(
-        `INSERT INTO inventory (variant_id, location_id, quantity_on_hand) VALUES ($1, $2, $3)`,
-        [variantId, locationId, quantity]
-      );
-    } else {
-      currentStock = receiveRows[0].quantity_on_hand;
-      await db.query(
-        `UPDATE inventory SET quantity_on_hand = quantity_on_hand + $1, updated_at = CURRENT_TIMESTAMP
-         WHERE variant_id = $2 AND location_id = $3`,
-        [quantity, variantId, locationId]
-      );
+    res.json({
+      success: true,
+      previousStock: result.quantityBefore,
+      newStock: result.quantityAfter,
+      averageCost: result.averageCost
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get stock transfers (locationId matches either end unless direction narrows it)
+router.get('/transfers', async (req, res, next) => {
+  try {
+    const { status, locationId, direction, page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    let paramIndex = 1;
+
+    if (status) {
+      whereClause += ` AND st.status = $${paramIndex++}`;
+      params.push(status);
     }
-    
-    const newStock = currentStock + quantity;
-    
-    // Log transaction
-    await db.query(
-      `INSERT INTO inventory_transactions (variant_id, location_id, transaction_type, quantity_change, quantity_before, quantity_after, notes, user_id)
-       VALUES ($1, $2, 'RECEIVE', $3, $4, $5, $6, $7)`,
-      [variantId, locationId, quantity, currentStock, newStock, notes || 'Stock received', req.user.user_id]
+
+    if (locationId) {
+      if (direction === 'incoming') {
+        whereClause += ` AND st.to_location_id = $${paramIndex++}`;
+      } else if (direction === 'outgoing') {
+        whereClause += ` AND st.from_location_id = $${paramIndex++}`;
+      } else {
+        whereClause += ` AND (st.from_location_id = $${paramIndex} OR st.to_location_id = $${paramIndex})`;
+        paramIndex++;
+      }
+      params.push(parseInt(locationId));
+    }
+
+    const result = await db.getPool().query(
+      `SELECT st.*, fl.location_name as from_location_name, tl.location_name as to_location_name,
+              (SELECT COALESCE(SUM(quantity_requested), 0) FROM stock_transfer_items WHERE transfer_id = st.transfer_id) as quantity_requested,
+              (SELECT COALESCE(SUM(quantity_dispatched), 0) FROM stock_transfer_items WHERE transfer_id = st.transfer_id) as quantity_dispatched,
+              (SELECT COALESCE(SUM(quantity_received), 0) FROM stock_transfer_items WHERE transfer_id = st.transfer_id) as quantity_received
+       FROM stock_transfers st
+       INNER JOIN locations fl ON st.from_location_id = fl.location_id
+       INNER JOIN locations tl ON st.to_location_id = tl.location_id
+       ${whereClause}
+       ORDER BY st.requested_at DESC
+       LIMIT $${paramIndex++} OFFSET $${paramIndex}`,
+      [...params, parseInt(limit), offset]
     );
-    
-    res.json({ success: true, previousStock: currentStock, newStock });
+
+    res.json({ transfers: result.rows });
   } catch (error) {
     next(error);
   }
 });
 
-// Create transfer between locations
-router.post('/transfers', authorize('inventory'), async (req, res, next) => {
+// Get a single transfer with its lines
+router.get('/transfers/:id', async (req, res, next) => {
   try {
-    const { fromLocationId, toLocationId, items, notes } = req.body;
-    
-    for (const item of items) {
-      const { variantId, quantity } = item;
-      
-      // Decrease from source
-      await db.query(
-        `UPDATE inventory SET quantity_on_hand = quantity_on_hand - $1
-         WHERE variant_id = $2 AND location_id = $3`,
-        [quantity, variantId, fromLocationId]
-      );
-      
-      // Increase at destination (upsert)
-      const existing = await db.query(
-        `SELECT inventory_id FROM inventory WHERE variant_id = $1 AND location_id = $2`,
-        [variantId, toLocationId]
-      );
-      
-      const existingRows = existing.rows || existing.recordset || [];
-      if (existingRows.length === 0) {
-        await db.query(
-          `INSERT INTO inventory (variant_id, location_id, quantity_on_hand) VALUES ($1, $2, $3)`,
-          [variantId, toLocationId, quantity]
-        );
-      } else {
-        await db.query(
-          `UPDATE inventory SET quantity_on_hand = quantity_on_hand + $1
-           WHERE variant_id = $2 AND location_id = $3`,
-          [quantity, variantId, toLocationId]
-        );
+    const transfer = await transferService.getTransfer(db.getPool(), parseInt(req.params.id));
+    res.json(transfer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Let both ends of a transfer refresh their stock
+const emitTransferUpdate = (req, transfer) => {
+  const io = req.app.get('io');
+  if (io) {
+    [transfer.from_location_id, transfer.to_location_id].forEach((locationId) => {
+      io.to(`location-${locationId}`).emit('inventory-updated', {
+        reason: 'TRANSFER',
+        transferId: transfer.transfer_id,
+        status: transfer.status
+      });
+    });
+  }
+};
+
+// Request a transfer (dispatch: true ships it straight away from the source)
+router.post('/transfers', authorize('inventory'), auditTransfer({ idParam: null, recordId: (req, body) => body?.transfer?.transfer_id }), [
+  body('fromLocationId').isInt(),
+  body('toLocationId').isInt(),
+  body('items').isArray({ min: 1 }),
+  body('items.*.variantId').isInt(),
+  body('items.*.quantity').isInt({ min: 1 }),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { fromLocationId, toLocationId, items, notes, dispatch } = req.body;
+
+    const transfer = await db.transaction(async (client) => {
+      const created = await transferService.createTransfer(client, {
+        fromLocationId: parseInt(fromLocationId),
+        toLocationId: parseInt(toLocationId),
+        items,
+        notes,
+        userId: req.user.user_id
+      });
+
+      if (!dispatch) {
+        return created;
       }
+
+      return transferService.dispatchTransfer(client, created.transfer.transfer_id, { userId: req.user.user_id });
+    });
+
+    if (transfer.transfer.status === 'DISPATCHED') {
+      emitTransferUpdate(req, transfer.transfer);
     }
-    
-    res.json({ success: true, message: 'Transfer completed' });
+
+    res.status(201).json({ success: true, ...transfer });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Ship a requested transfer
+router.post('/transfers/:id/dispatch', authorize('inventory'), auditTransfer({ action: 'DISPATCH' }), [
+  body('items').optional().isArray(),
+  body('items.*.transferItemId').isInt(),
+  body('items.*.quantity').isInt({ min: 0 }),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const transfer = await db.transaction(client =>
+      transferService.dispatchTransfer(client, parseInt(req.params.id), {
+        items: req.body.items,
+        userId: req.user.user_id
+      })
+    );
+
+    emitTransferUpdate(req, transfer.transfer);
+    res.json({ success: true, ...transfer });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Book a transfer in at the destination, reporting short deliveries per line
+router.post('/transfers/:id/receive', authorize('inventory'), auditTransfer({ action: 'RECEIVE' }), [
+  body('items').optional().isArray(),
+  body('items.*.transferItemId').isInt(),
+  body('items.*.quantity').isInt({ min: 0 }),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const transfer = await db.transaction(client =>
+      transferService.receiveTransfer(client, parseInt(req.params.id), {
+        items: req.body.items,
+        notes: req.body.notes,
+        userId: req.user.user_id
+      })
+    );
+
+    emitTransferUpdate(req, transfer.transfer);
+    res.json({ success: true, ...transfer });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cancel a transfer that has not shipped
+router.post('/transfers/:id/cancel', authorize('inventory'), auditTransfer({ action: 'CANCEL' }), async (req, res, next) => {
+  try {
+    const transfer = await db.transaction(client =>
+      transferService.cancelTransfer(client, parseInt(req.params.id))
+    );
+
+    res.json({ success: true, ...transfer });
   } catch (error) {
     next(error);
   }
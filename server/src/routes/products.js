@@ -1,18 +1,104 @@
 const express = require('express');
+const multer = require('multer');
 const { body, query, validationResult } = require('express-validator');
 const db = require('../config/database');
 const { authenticate, authorize } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
 const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const auditService = require('../services/auditService');
+const productImageService = require('../services/productImageService');
+const productImportService = require('../services/productImportService');
+const variantService = require('../services/variantService');
+const { toCsv } = require('../utils/csv');
+const { writeXlsx } = require('../utils/xlsx');
 
 const router = express.Router();
 
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+// Single file upload in the given field; upload limits surface as validation errors
+const uploadFile = (field, maxSize) => {
+  const handler = maxSize
+    ? multer({ storage: multer.memoryStorage(), limits: { fileSize: maxSize } }).single(field)
+    : upload.single(field);
+
+  return (req, res, next) => handler(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(new ValidationError(`Upload failed: ${error.message}`));
+    }
+    next(error);
+  });
+};
+
+const uploadSpreadsheet = uploadFile('file');
+const uploadImage = uploadFile('image', productImageService.MAX_FILE_SIZE);
+
+const auditProduct = (options = {}) => auditTrail({ table: 'products', key: 'product_id', ...options });
+const auditCategory = (options = {}) => auditTrail({ table: 'categories', key: 'category_id', ...options });
+
+// A product's variants (prices, status, attributes) are audited as one record keyed by product
+const auditVariants = (options = {}) => auditTrail({
+  table: 'product_variants',
+  key: 'product_id',
+  load: async (client, id) => ({
+    variants: (await variantService.getVariants(client, [parseInt(id)])).map(variant => ({
+      variant_id: variant.variant_id,
+      sku: variant.sku,
+      price: variant.price,
+      is_active: variant.is_active,
+      image_url: variant.image_url,
+    }))
+  }),
+  ...options
+});
+
+// Variant in the camelCase shape the product screens use
+const formatVariant = (variant) => ({
+  id: variant.variant_id,
+  productId: variant.product_id,
+  name: variant.variant_name,
+  sku: variant.sku,
+  barcode: variant.barcode,
+  price: parseFloat(variant.price) || 0,
+  costPrice: parseFloat(variant.cost_price) || 0,
+  isDefault: variant.is_default,
+  isActive: variant.is_active,
+  stock: parseInt(variant.total_stock) || 0,
+  imageUrl: variant.image_url,
+  thumbnailUrl: variant.thumbnail_url,
+  attributes: variant.attributes.map(attr => ({
+    attributeId: attr.attributeId,
+    name: attr.name,
+    valueId: attr.valueId,
+    value: attr.value,
+    colorHex: attr.colorHex
+  }))
+});
+
+// Stores the upload, links it in a transaction and then deletes the files it
+// replaced; if linking fails the new files are deleted instead
+const linkImage = async (req, productId, options) => {
+  const stored = await productImageService.storeUpload(req.file, productId);
+
+  try {
+    const result = await db.transaction(client =>
+      productImageService.attachImage(client, productId, { ...options, stored, userId: req.user.user_id })
+    );
+    await productImageService.removeFiles(result.releasedKeys);
+    return result;
+  } catch (error) {
+    await productImageService.removeFiles([stored.storageKey, stored.thumbnailKey]);
+    throw error;
+  }
+};
+
 // Apply authentication to all routes
 router.use(authenticate);
 
 // Get all products with variants
 router.get('/', async (req, res, next) => {
   try {
-    const { categoryId, search, page = 1, limit = 50, includeInactive } = req.query;
+    const { categoryId, search, page = 1, limit = 50, includeInactive, include_variants } = req.query;
     const offset = (page - 1) * limit;
 
     let whereClause = 'WHERE 1=1';
@@ -73,6 +159,8 @@ router.get('/', async (req, res, next) => {
       taxRate: parseFloat(p.tax_rate) || 0,
       hasVariants: p.has_variants,
       isActive: p.is_active,
+      imageUrl: p.image_url,
+      thumbnailUrl: p.thumbnail_url,
       variantCount: parseInt(p.variant_count) || 0,
       totalStock: parseInt(p.total_stock) || 0,
       variantId: p.default_variant_id,  // Include default variant ID for POS
@@ -82,6 +170,13 @@ router.get('/', async (req, res, next) => {
       updatedAt: p.updated_at
     }));
 
+    if (include_variants === 'true' && products.length > 0) {
+      const variants = await variantService.getVariants(pool, products.map(p => p.id), { includeInactive: !!includeInactive });
+      for (const product of products) {
+        product.variants = variants.filter(v => v.product_id === product.id).map(formatVariant);
+      }
+    }
+
     res.json({
       products,
       pagination: {
@@ -107,8 +202,10 @@ router.get('/search/quick', async (req, res, next) => {
 
     const pool = db.getPool();
     const result = await pool.query(
-      `SELECT pv.variant_id, pv.sku, pv.barcode, pv.variant_name, pv.price,
+      `SELECT pv.variant_id, pv.sku, pv.barcode, pv.variant_name, pv.price, pv.cost_price,
               p.product_name, p.product_code, p.product_id,
+              COALESCE(pv.image_url, p.image_url) as image_url,
+              COALESCE(pv.thumbnail_url, p.thumbnail_url) as thumbnail_url,
               COALESCE(i.quantity_on_hand, 0) as stock
        FROM product_variants pv
        INNER JOIN products p ON pv.product_id = p.product_id
@@ -136,7 +233,8 @@ router.get('/barcode/:barcode', async (req, res, next) => {
     const result = await pool.query(
       `SELECT pv.variant_id as "variantId", pv.sku, pv.barcode, pv.variant_name as "variantName", pv.price,
               p.product_id as "productId", p.product_name as "productName", p.product_code as "productCode",
-              p.image_url as "imageUrl",
+              COALESCE(pv.image_url, p.image_url) as "imageUrl",
+              COALESCE(pv.thumbnail_url, p.thumbnail_url) as "thumbnailUrl",
               COALESCE(i.quantity_on_hand, 0) as stock
        FROM product_variants pv
        INNER JOIN products p ON pv.product_id = p.product_id
@@ -161,6 +259,7 @@ router.get('/barcode/:barcode', async (req, res, next) => {
       barcode: product.barcode,
       price: parseFloat(product.price),
       imageUrl: product.imageUrl,
+      thumbnailUrl: product.thumbnailUrl,
       stock: parseInt(product.stock)
     });
   } catch (error) {
@@ -168,6 +267,228 @@ router.get('/barcode/:barcode', async (req, res, next) => {
   }
 });
 
+// Full sellable catalogue for the POS offline cache - MUST be before /:id route
+router.get('/catalogue/offline', async (req, res, next) => {
+  try {
+    const locationId = parseInt(req.query.locationId) || 1;
+
+    const pool = db.getPool();
+    const result = await pool.query(
+      `SELECT pv.variant_id as "variantId", pv.sku, pv.barcode, pv.variant_name as "variantName", pv.price,
+              p.product_id as "productId", p.product_name as "productName", p.product_code as "productCode",
+              COALESCE(pv.image_url, p.image_url) as "imageUrl",
+              COALESCE(pv.thumbnail_url, p.thumbnail_url) as "thumbnailUrl", p.tax_rate as "taxRate",
+              p.category_id as "categoryId", c.category_name as "categoryName",
+              COALESCE(i.quantity_on_hand, 0) as stock
+       FROM product_variants pv
+       INNER JOIN products p ON pv.product_id = p.product_id
+       LEFT JOIN categories c ON p.category_id = c.category_id
+       LEFT JOIN inventory i ON pv.variant_id = i.variant_id AND i.location_id = $1
+       WHERE pv.is_active = true AND p.is_active = true
+       ORDER BY p.product_name, pv.variant_name`,
+      [locationId]
+    );
+
+    res.json({
+      generatedAt: new Date().toISOString(),
+      locationId,
+      variants: result.rows.map(row => ({
+        ...row,
+        price: parseFloat(row.price),
+        taxRate: parseFloat(row.taxRate) || 0,
+        stock: parseInt(row.stock)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Export products in the import spreadsheet layout (CSV or XLSX) - MUST be before /:id route
+router.get('/export', authorize('products'), async (req, res, next) => {
+  try {
+    const { format = 'xlsx', categoryId, includeInactive } = req.query;
+
+    const { headers, rows } = await productImportService.exportProducts(db.getPool(), {
+      categoryId: categoryId ? parseInt(categoryId) : null,
+      includeInactive: includeInactive === 'true'
+    });
+
+    const fileName = `products-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+      return res.send(toCsv(headers, rows));
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+    res.send(writeXlsx(headers, rows, { sheetName: 'Products' }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Import products from a CSV/XLSX spreadsheet
+// dryRun=true validates every row and returns the plan without writing anything
+router.post('/import', authorize('products'), uploadSpreadsheet, async (req, res, next) => {
+  try {
+    const dryRun = req.body.dryRun === 'true' || req.query.dryRun === 'true';
+
+    if (dryRun) {
+      const preview = await productImportService.previewImport(db.getPool(), req.file);
+      return res.json({ dryRun: true, ...preview });
+    }
+
+    const result = await db.transaction(async (client) => {
+      const summary = await productImportService.importProducts(client, req.file, { userId: req.user.user_id });
+
+      await auditService.record(client, {
+        tableName: 'products',
+        recordId: null,
+        action: 'IMPORT',
+        newValues: { fileName: req.file.originalname, ...summary, warnings: summary.warnings.length },
+        req
+      });
+
+      return summary;
+    });
+
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a product's variants with attributes and stock
+router.get('/:id/variants', async (req, res, next) => {
+  try {
+    const variants = await variantService.getVariants(db.getPool(), [parseInt(req.params.id)]);
+    res.json({ variants: variants.map(formatVariant) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Generate the variant matrix from picked attribute values
+router.post('/:id/variants/generate', authorize('products'), auditVariants({ action: 'GENERATE' }), [
+  body('selections').isArray({ min: 1 }),
+  body('selections.*.attributeId').isInt(),
+  body('selections.*.valueIds').isArray(),
+  body('price').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }),
+  body('costPrice').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { selections, price, costPrice } = req.body;
+
+    const result = await db.transaction(client =>
+      variantService.generateVariantMatrix(client, parseInt(req.params.id), {
+        selections,
+        price: price === undefined || price === null || price === '' ? null : parseFloat(price),
+        costPrice: costPrice === undefined || costPrice === null || costPrice === '' ? null : parseFloat(costPrice)
+      })
+    );
+
+    res.status(201).json({ success: true, ...result, variants: result.variants.map(formatVariant) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Bulk price overrides and activation/deactivation
+router.put('/:id/variants', authorize('products'), auditVariants(), [
+  body('variants').isArray({ min: 1 }),
+  body('variants.*.variantId').isInt(),
+  body('variants.*.isActive').optional().isBoolean(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const variants = await db.transaction(client =>
+      variantService.updateVariants(client, parseInt(req.params.id), req.body.variants)
+    );
+
+    res.json({ success: true, variants: variants.map(formatVariant) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Upload the product's main image (multipart field `image`, JPEG or PNG)
+router.post('/:id/image', authorize('products'), auditProduct({ action: 'IMAGE' }), uploadImage, async (req, res, next) => {
+  try {
+    const { image } = await linkImage(req, parseInt(req.params.id), {});
+
+    res.status(201).json({
+      success: true,
+      imageUrl: image.image_url,
+      thumbnailUrl: image.thumbnail_url,
+      width: image.width,
+      height: image.height
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove the product's main image
+router.delete('/:id/image', authorize('products'), auditProduct({ action: 'IMAGE' }), async (req, res, next) => {
+  try {
+    const { releasedKeys } = await db.transaction(client =>
+      productImageService.detachImage(client, parseInt(req.params.id), {})
+    );
+    await productImageService.removeFiles(releasedKeys);
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Upload a variant image; applyToColour=true uses it for every variant of the same colour
+router.post('/:id/variants/:variantId/image', authorize('products'), auditVariants({ action: 'IMAGE' }), uploadImage, async (req, res, next) => {
+  try {
+    const productId = parseInt(req.params.id);
+    await linkImage(req, productId, {
+      variantId: parseInt(req.params.variantId),
+      applyToColour: req.body.applyToColour === 'true'
+    });
+
+    const variants = await variantService.getVariants(db.getPool(), [productId]);
+    res.status(201).json({ success: true, variants: variants.map(formatVariant) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove a variant image (?applyToColour=true clears the whole colourway)
+router.delete('/:id/variants/:variantId/image', authorize('products'), auditVariants({ action: 'IMAGE' }), async (req, res, next) => {
+  try {
+    const productId = parseInt(req.params.id);
+    const { releasedKeys } = await db.transaction(client =>
+      productImageService.detachImage(client, productId, {
+        variantId: parseInt(req.params.variantId),
+        applyToColour: req.query.applyToColour === 'true'
+      })
+    );
+    await productImageService.removeFiles(releasedKeys);
+
+    const variants = await variantService.getVariants(db.getPool(), [productId]);
+    res.json({ success: true, variants: variants.map(formatVariant) });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get product by ID with variants
 router.get('/:id', async (req, res, next) => {
   try {
@@ -224,7 +545,7 @@ router.get('/categories', async (req, res, next) => {
 });
 
 // Create category
-router.post('/categories', authorize('admin', 'manager'), async (req, res, next) => {
+router.post('/categories', authorize('admin', 'manager'), auditCategory({ idParam: null, recordId: (req, body) => body?.category_id }), async (req, res, next) => {
   try {
     const { category_name, description, sort_order = 0 } = req.body;
 
@@ -246,7 +567,7 @@ router.post('/categories', authorize('admin', 'manager'), async (req, res, next)
 });
 
 // Update category
-router.put('/categories/:id', authorize('admin', 'manager'), async (req, res, next) => {
+router.put('/categories/:id', authorize('admin', 'manager'), auditCategory(), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { category_name, description, sort_order, is_active } = req.body;
@@ -274,7 +595,7 @@ router.put('/categories/:id', authorize('admin', 'manager'), async (req, res, ne
 });
 
 // Delete category (soft delete)
-router.delete('/categories/:id', authorize('admin', 'manager'), async (req, res, next) => {
+router.delete('/categories/:id', authorize('admin', 'manager'), auditCategory(), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -325,8 +646,51 @@ router.get('/attributes/list', async (req, res, next) => {
   }
 });
 
+// Add a value to an attribute (e.g. a new colour)
+router.post('/attributes/:id/values', authorize('products'), auditTrail({
+  table: 'attribute_values',
+  key: 'attribute_value_id',
+  idParam: null,
+  recordId: (req, body) => body?.attribute_value_id
+}), [
+  body('value').trim().notEmpty().isLength({ max: 100 }),
+  body('colorHex').optional({ nullable: true, checkFalsy: true }).matches(/^#[0-9a-fA-F]{6}$/),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const pool = db.getPool();
+    const attributeId = parseInt(req.params.id);
+    const { value, colorHex } = req.body;
+
+    const attributeResult = await pool.query(`SELECT attribute_id FROM attributes WHERE attribute_id = $1`, [attributeId]);
+    if (attributeResult.rows.length === 0) {
+      throw new NotFoundError('Attribute');
+    }
+
+    const result = await pool.query(
+      `INSERT INTO attribute_values (attribute_id, value, color_hex, sort_order)
+       SELECT $1, $2, $3, COALESCE(MAX(sort_order), 0) + 1 FROM attribute_values WHERE attribute_id = $1
+       ON CONFLICT (attribute_id, value) DO NOTHING
+       RETURNING *`,
+      [attributeId, value, colorHex || null]
+    );
+
+    if (result.rows.length === 0) {
+      throw new ValidationError(`"${value}" already exists`);
+    }
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Create product
-router.post('/', authorize('products'), [
+router.post('/', authorize('products'), auditProduct({ idParam: null, recordId: (req, body) => body?.product_id }), [
   body('name').optional().notEmpty(),
   body('productName').optional().notEmpty(),
   body('basePrice').isNumeric(),
@@ -386,7 +750,7 @@ router.post('/', authorize('products'), [
 });
 
 // Update product
-router.put('/:id', authorize('products'), async (req, res, next) => {
+router.put('/:id', authorize('products'), auditProduct(), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { productName, name, code, productCode, categoryId, category_id, description, basePrice, costPrice, taxRate, isActive, barcode, initialStock, initial_stock, stock } = req.body;
@@ -399,6 +763,12 @@ router.put('/:id', authorize('products'), async (req, res, next) => {
     console.log('PUT /products/:id - Request body:', JSON.stringify(req.body));
     console.log('PUT /products/:id - Parsed values:', { id, finalName, finalCode, basePrice, costPrice, isActive, finalStock, stockFromBody: stock });
 
+    const previousResult = await db.getPool().query(
+      `SELECT base_price, propagate_price FROM products WHERE product_id = $1`,
+      [parseInt(id)]
+    );
+    const previous = previousResult.rows[0];
+
     const result = await db.query(
       `UPDATE products 
        SET product_name = COALESCE(@finalName, product_name),
@@ -421,6 +791,15 @@ router.put('/:id', authorize('products'), async (req, res, next) => {
 
     const p = result.recordset[0];
 
+    // Variants still on the old base price follow it; price overrides are kept
+    if (previous?.propagate_price && parseFloat(previous.base_price) !== parseFloat(p.base_price)) {
+      await db.getPool().query(
+        `UPDATE product_variants SET price = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE product_id = $2 AND price = $3`,
+        [p.base_price, p.product_id, previous.base_price]
+      );
+    }
+
     // Update stock if provided
     if (finalStock !== null && finalStock !== undefined) {
       const stockQty = parseInt(finalStock);
@@ -513,7 +892,7 @@ router.put('/:id', authorize('products'), async (req, res, next) => {
 });
 
 // Delete product (soft delete)
-router.delete('/:id', authorize('products'), async (req, res, next) => {
+router.delete('/:id', authorize('products'), auditProduct(), async (req, res, next) => {
   try {
     const { id } = req.params;
 
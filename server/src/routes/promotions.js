@@ -0,0 +1,117 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticate, authorize } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const promotionService = require('../services/promotionService');
+
+const router = express.Router();
+router.use(authenticate);
+
+const auditPromotion = (options = {}) => auditTrail({ table: 'promotions', key: 'promotion_id', ...options });
+
+// Get promotions (with usage and whether each is running now)
+router.get('/', async (req, res, next) => {
+  try {
+    const promotions = await promotionService.listPromotions(db.getPool(), {
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({ promotions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Preview the promotions a cart would get - the POS shows these before checkout;
+// the sale is re-evaluated when it is recorded - MUST be before /:id route
+router.post('/evaluate', [
+  body('items').isArray(),
+  body('items.*.variantId').isInt(),
+  body('items.*.quantity').isInt({ min: 1 }),
+  body('items.*.unitPrice').isFloat({ min: 0 }),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { items, locationId } = req.body;
+    const result = await promotionService.applyPromotions(
+      db.getPool(),
+      items.map(item => ({
+        variantId: parseInt(item.variantId),
+        quantity: parseInt(item.quantity),
+        unitPrice: parseFloat(item.unitPrice),
+        discountAmount: parseFloat(item.discountAmount) || 0
+      })),
+      { locationId: parseInt(locationId) || req.user.default_location_id || null }
+    );
+
+    res.json({
+      lines: result.lines.map(line => ({
+        variantId: line.variantId,
+        promotionDiscount: line.promotionDiscount,
+        promotions: line.promotions
+      })),
+      promotions: result.promotions,
+      totalDiscount: result.totalDiscount
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single promotion
+router.get('/:id', async (req, res, next) => {
+  try {
+    const promotion = await promotionService.getPromotion(db.getPool(), parseInt(req.params.id));
+    res.json({ promotion });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create promotion
+router.post('/', authorize('discounts'), auditPromotion({ idParam: null, recordId: (req, body) => body?.promotion?.promotion_id }), async (req, res, next) => {
+  try {
+    const promotion = await promotionService.createPromotion(db.getPool(), req.body, req.user.user_id);
+    res.status(201).json({ success: true, promotion });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update promotion
+router.put('/:id', authorize('discounts'), auditPromotion(), async (req, res, next) => {
+  try {
+    const promotion = await promotionService.updatePromotion(db.getPool(), parseInt(req.params.id), req.body);
+    res.json({ success: true, promotion });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Deactivate promotion (soft delete - past sales keep referencing it)
+router.delete('/:id', authorize('discounts'), auditPromotion(), async (req, res, next) => {
+  try {
+    const result = await db.getPool().query(
+      `UPDATE promotions SET is_active = false, updated_at = CURRENT_TIMESTAMP
+       WHERE promotion_id = $1
+       RETURNING promotion_id`,
+      [parseInt(req.params.id)]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Promotion');
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,268 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticate, authorize } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const purchaseOrderService = require('../services/purchaseOrderService');
+
+const router = express.Router();
+router.use(authenticate);
+router.use(authorize('inventory'));
+
+const auditPurchaseOrder = (options = {}) => auditTrail({ table: 'purchase_orders', key: 'po_id', ...options });
+
+const lineValidators = [
+  body('items').isArray({ min: 1 }),
+  body('items.*.variantId').isInt(),
+  body('items.*.quantity').isInt({ min: 1 }),
+  body('items.*.unitCost').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('items.*.taxRate').optional({ nullable: true }).isFloat({ min: 0, max: 100 }),
+];
+
+const checkValidation = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+};
+
+// Get purchase orders
+router.get('/', async (req, res, next) => {
+  try {
+    const { status, supplierId, locationId, search, page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    let paramIndex = 1;
+
+    if (status) {
+      whereClause += ` AND po.status = $${paramIndex++}`;
+      params.push(status);
+    }
+
+    if (supplierId) {
+      whereClause += ` AND po.supplier_id = $${paramIndex++}`;
+      params.push(parseInt(supplierId));
+    }
+
+    if (locationId) {
+      whereClause += ` AND po.location_id = $${paramIndex++}`;
+      params.push(parseInt(locationId));
+    }
+
+    if (search) {
+      whereClause += ` AND (po.po_number ILIKE $${paramIndex} OR s.supplier_name ILIKE $${paramIndex})`;
+      params.push(`%${search}%`);
+      paramIndex++;
+    }
+
+    params.push(parseInt(limit));
+    params.push(offset);
+
+    const result = await db.getPool().query(
+      `SELECT po.*, s.supplier_name, s.supplier_code, l.location_name,
+              (SELECT COALESCE(SUM(quantity_ordered), 0) FROM purchase_order_items WHERE po_id = po.po_id) as quantity_ordered,
+              (SELECT COALESCE(SUM(quantity_received), 0) FROM purchase_order_items WHERE po_id = po.po_id) as quantity_received
+       FROM purchase_orders po
+       INNER JOIN suppliers s ON po.supplier_id = s.supplier_id
+       INNER JOIN locations l ON po.location_id = l.location_id
+       ${whereClause}
+       ORDER BY po.created_at DESC
+       LIMIT $${paramIndex++} OFFSET $${paramIndex}`,
+      params
+    );
+
+    res.json({ purchaseOrders: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a goods-received note with its lines
+router.get('/receipts/:grnId', async (req, res, next) => {
+  try {
+    const pool = db.getPool();
+    const grnResult = await pool.query(
+      `SELECT g.*, po.po_number, s.supplier_name, l.location_name,
+              u.first_name as received_by_first_name, u.last_name as received_by_last_name
+       FROM goods_received_notes g
+       INNER JOIN purchase_orders po ON g.po_id = po.po_id
+       INNER JOIN suppliers s ON po.supplier_id = s.supplier_id
+       INNER JOIN locations l ON g.location_id = l.location_id
+       LEFT JOIN users u ON g.received_by = u.user_id
+       WHERE g.grn_id = $1`,
+      [parseInt(req.params.grnId)]
+    );
+
+    if (grnResult.rows.length === 0) {
+      throw new NotFoundError('Goods received note');
+    }
+
+    const itemsResult = await pool.query(
+      `SELECT gi.*, pv.sku, pv.variant_name, p.product_name
+       FROM grn_items gi
+       INNER JOIN product_variants pv ON gi.variant_id = pv.variant_id
+       INNER JOIN products p ON pv.product_id = p.product_id
+       WHERE gi.grn_id = $1
+       ORDER BY gi.grn_item_id`,
+      [parseInt(req.params.grnId)]
+    );
+
+    res.json({ receipt: grnResult.rows[0], items: itemsResult.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single purchase order with lines and receipts
+router.get('/:id', async (req, res, next) => {
+  try {
+    const purchaseOrder = await purchaseOrderService.getPurchaseOrder(db.getPool(), parseInt(req.params.id));
+    res.json(purchaseOrder);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download a purchase order as PDF (inline so the browser can print it)
+router.get('/:id/pdf', async (req, res, next) => {
+  try {
+    const pool = db.getPool();
+    const purchaseOrder = await purchaseOrderService.getPurchaseOrder(pool, parseInt(req.params.id));
+    const storeResult = await pool.query(
+      `SELECT setting_value FROM settings WHERE setting_key = 'company_name'`
+    );
+
+    const pdf = purchaseOrderService.buildPdf(purchaseOrder, {
+      storeName: storeResult.rows[0]?.setting_value || undefined,
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${purchaseOrder.purchaseOrder.po_number}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download a purchase order's lines as CSV
+router.get('/:id/csv', async (req, res, next) => {
+  try {
+    const purchaseOrder = await purchaseOrderService.getPurchaseOrder(db.getPool(), parseInt(req.params.id));
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${purchaseOrder.purchaseOrder.po_number}.csv"`);
+    res.send(purchaseOrderService.buildCsv(purchaseOrder));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a draft purchase order
+router.post('/', auditPurchaseOrder({ idParam: null, recordId: (req, body) => body?.purchaseOrder?.po_id }), [
+  body('supplierId').isInt(),
+  body('locationId').optional({ nullable: true }).isInt(),
+  body('expectedDate').optional({ checkFalsy: true }).isISO8601(),
+  ...lineValidators,
+], async (req, res, next) => {
+  try {
+    checkValidation(req);
+
+    const { supplierId, locationId, expectedDate, notes, items } = req.body;
+
+    const purchaseOrder = await db.transaction(client =>
+      purchaseOrderService.createPurchaseOrder(client, {
+        supplierId: parseInt(supplierId),
+        locationId: parseInt(locationId || req.user.default_location_id),
+        expectedDate,
+        notes,
+        items,
+        userId: req.user.user_id
+      })
+    );
+
+    res.status(201).json({ success: true, ...purchaseOrder });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Edit a draft purchase order
+router.put('/:id', auditPurchaseOrder(), [
+  body('expectedDate').optional({ checkFalsy: true }).isISO8601(),
+  body('items').optional().isArray({ min: 1 }),
+  ...lineValidators.slice(1),
+], async (req, res, next) => {
+  try {
+    checkValidation(req);
+
+    const { expectedDate, notes, items } = req.body;
+
+    const purchaseOrder = await db.transaction(client =>
+      purchaseOrderService.updatePurchaseOrder(client, parseInt(req.params.id), { expectedDate, notes, items })
+    );
+
+    res.json({ success: true, ...purchaseOrder });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Status changes
+const transitions = {
+  send: purchaseOrderService.sendPurchaseOrder,
+  cancel: purchaseOrderService.cancelPurchaseOrder,
+  close: purchaseOrderService.closePurchaseOrder,
+};
+
+Object.entries(transitions).forEach(([action, transition]) => {
+  router.post(`/:id/${action}`, auditPurchaseOrder({ action: action.toUpperCase() }), async (req, res, next) => {
+    try {
+      const purchaseOrder = await db.transaction(client => transition(client, parseInt(req.params.id)));
+      res.json({ success: true, ...purchaseOrder });
+    } catch (error) {
+      next(error);
+    }
+  });
+});
+
+// Receive goods against a purchase order (creates a goods-received note)
+router.post('/:id/receive', auditPurchaseOrder({ action: 'RECEIVE' }), [
+  body('items').isArray({ min: 1 }),
+  body('items.*.poItemId').isInt(),
+  body('items.*.quantity').isInt({ min: 0 }),
+  body('items.*.unitCost').optional({ nullable: true }).isFloat({ min: 0 }),
+], async (req, res, next) => {
+  try {
+    checkValidation(req);
+
+    const { items, supplierInvoiceNumber, notes } = req.body;
+
+    const result = await db.transaction(client =>
+      purchaseOrderService.receiveGoods(client, {
+        poId: parseInt(req.params.id),
+        items,
+        supplierInvoiceNumber,
+        notes,
+        userId: req.user.user_id
+      })
+    );
+
+    // Stock changed - let other terminals refresh
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`location-${result.purchaseOrder.location_id}`).emit('inventory-updated', {
+        reason: 'RECEIVE',
+        poId: result.purchaseOrder.po_id
+      });
+    }
+
+    res.status(201).json({ success: true, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
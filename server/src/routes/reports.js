@@ -1,6 +1,9 @@
 const express = require('express');
 const db = require('../config/database');
 const { authenticate, authorize } = require('../middleware/auth');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const zReportService = require('../services/zReportService');
+const printerService = require('../services/printerService');
 
 const router = express.Router();
 router.use(authenticate);
@@ -241,6 +244,39 @@ router.get('/employee-performance', async (req, res, next) => {
   }
 });
 
+// Add gross profit and margin % to a report row from its sales and COGS figures
+const withMargin = (salesField) => (row) => {
+  const sales = parseFloat(row[salesField]) || 0;
+  const cogs = parseFloat(row.cogs) || 0;
+  const grossProfit = Math.round((sales - cogs) * 100) / 100;
+
+  return {
+    ...row,
+    cogs: Math.round(cogs * 100) / 100,
+    gross_profit: grossProfit,
+    gross_margin: sales > 0 ? Math.round((grossProfit / sales) * 10000) / 100 : 0,
+  };
+};
+
+// Completed returns per sale line: units, refund value (with and without its
+// tax share) and the cost of the units put back on the shelf. Damaged units
+// are not restocked, so their cost stays in COGS
+const RETURNED_LINES_SQL = `
+  SELECT ri.sale_item_id,
+         SUM(ri.quantity) as quantity,
+         SUM(ri.refund_amount) as refunds,
+         ROUND(SUM(ri.refund_amount * COALESCE(
+           (si.line_total - COALESCE(si.discount_amount, 0))
+             / NULLIF(si.line_total - COALESCE(si.discount_amount, 0) + COALESCE(si.tax_amount, 0), 0),
+           0)), 2) as net_refunds,
+         SUM(CASE WHEN ri.restocked THEN ri.quantity ELSE 0 END) as restocked_quantity,
+         SUM(CASE WHEN ri.restocked THEN ri.quantity * COALESCE(si.unit_cost, 0) ELSE 0 END) as restocked_cost
+  FROM return_items ri
+  INNER JOIN returns r ON ri.return_id = r.return_id
+  INNER JOIN sale_items si ON ri.sale_item_id = si.sale_item_id
+  WHERE r.status = 'completed'
+  GROUP BY ri.sale_item_id`;
+
 // Get sales report
 router.get('/sales', authorize('reports'), async (req, res, next) => {
   try {
@@ -248,21 +284,21 @@ router.get('/sales', authorize('reports'), async (req, res, next) => {
     const pool = db.getPool();
 
     const params = [];
-    let whereClause = "WHERE status = 'completed'";
+    let whereClause = "WHERE s.status = 'completed'";
     let paramIndex = 1;
 
     if (locationId) {
-      whereClause += ` AND location_id = $${paramIndex++}`;
+      whereClause += ` AND s.location_id = $${paramIndex++}`;
       params.push(parseInt(locationId));
     }
 
     if (startDate) {
-      whereClause += ` AND created_at >= $${paramIndex++}`;
+      whereClause += ` AND s.created_at >= $${paramIndex++}`;
       params.push(startDate);
     }
 
     if (endDate) {
-      whereClause += ` AND created_at <= $${paramIndex++}`;
+      whereClause += ` AND s.created_at <= $${paramIndex++}`;
       params.push(endDate);
     }
 
@@ -277,20 +313,34 @@ router.get('/sales', authorize('reports'), async (req, res, next) => {
       selectDate = "DATE_TRUNC('week', s.created_at) as date";
     }
 
+    // Gross profit is on net sales (after discounts and returns, before tax) less
+    // the cost snapshotted on each line, net of the returned units restocked
     const result = await pool.query(
       `SELECT ${selectDate},
         COUNT(*) as transactions,
-        COALESCE(SUM(total_amount), 0) as revenue,
-        COALESCE(SUM(discount_amount), 0) as discounts,
-        COALESCE(AVG(total_amount), 0) as avg_transaction
-       FROM sales
+        COALESCE(SUM(s.total_amount - COALESCE(lc.refunds, 0)), 0) as revenue,
+        COALESCE(SUM(s.discount_amount), 0) as discounts,
+        COALESCE(SUM(lc.refunds), 0) as returns,
+        COALESCE(AVG(s.total_amount), 0) as avg_transaction,
+        COALESCE(SUM(s.total_amount - s.tax_amount - COALESCE(lc.net_refunds, 0)), 0) as net_sales,
+        COALESCE(SUM(lc.cogs), 0) as cogs
+       FROM sales s
+       LEFT JOIN (
+         SELECT si.sale_id,
+                SUM(si.quantity * COALESCE(si.unit_cost, 0) - COALESCE(rl.restocked_cost, 0)) as cogs,
+                SUM(rl.refunds) as refunds,
+                SUM(rl.net_refunds) as net_refunds
+         FROM sale_items si
+         LEFT JOIN (${RETURNED_LINES_SQL}) rl ON rl.sale_item_id = si.sale_item_id
+         GROUP BY si.sale_id
+       ) lc ON lc.sale_id = s.sale_id
        ${whereClause}
        GROUP BY ${groupByClause}
        ORDER BY date DESC`,
       params
     );
 
-    res.json({ data: result.rows });
+    res.json({ data: result.rows.map(withMargin('net_sales')) });
   } catch (error) {
     next(error);
   }
@@ -321,13 +371,18 @@ router.get('/sales-by-category', authorize('reports'), async (req, res, next) =>
       params.push(endDate);
     }
 
+    // Returned units come off units, revenue and net sales at the line's own
+    // price; restocked ones come off COGS at the cost they left the shelf at
     const result = await pool.query(
       `SELECT c.category_name, 
         COUNT(DISTINCT s.sale_id) as transactions,
-        SUM(si.quantity) as units_sold,
-        COALESCE(SUM(si.line_total), 0) as revenue
+        SUM(si.quantity - COALESCE(rl.quantity, 0)) as units_sold,
+        COALESCE(SUM(si.line_total - si.unit_price * COALESCE(rl.quantity, 0)), 0) as revenue,
+        COALESCE(ROUND(SUM((si.line_total - COALESCE(si.discount_amount, 0)) * (si.quantity - COALESCE(rl.quantity, 0)) / si.quantity), 2), 0) as net_sales,
+        COALESCE(SUM(si.quantity * COALESCE(si.unit_cost, 0) - COALESCE(rl.restocked_cost, 0)), 0) as cogs
        FROM sale_items si
        INNER JOIN sales s ON si.sale_id = s.sale_id
+       LEFT JOIN (${RETURNED_LINES_SQL}) rl ON rl.sale_item_id = si.sale_item_id
        INNER JOIN product_variants pv ON si.variant_id = pv.variant_id
        INNER JOIN products p ON pv.product_id = p.product_id
        LEFT JOIN categories c ON p.category_id = c.category_id
@@ -337,7 +392,63 @@ router.get('/sales-by-category', authorize('reports'), async (req, res, next) =>
       params
     );
 
-    res.json({ data: result.rows });
+    res.json({ data: result.rows.map(withMargin('net_sales')) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Inventory valuation at weighted-average cost, per location and category
+router.get('/inventory-valuation', authorize('reports'), async (req, res, next) => {
+  try {
+    const { locationId, categoryId } = req.query;
+
+    const params = [];
+    let whereClause = 'WHERE i.quantity_on_hand > 0';
+    let paramIndex = 1;
+
+    if (locationId) {
+      whereClause += ` AND i.location_id = $${paramIndex++}`;
+      params.push(parseInt(locationId));
+    }
+
+    if (categoryId) {
+      whereClause += ` AND p.category_id = $${paramIndex++}`;
+      params.push(parseInt(categoryId));
+    }
+
+    const result = await db.getPool().query(
+      `SELECT l.location_id, l.location_name, c.category_id, c.category_name,
+        COUNT(DISTINCT i.variant_id) as variants,
+        SUM(i.quantity_on_hand) as units,
+        COALESCE(SUM(i.quantity_on_hand * COALESCE(i.average_cost, pv.cost_price, 0)), 0) as cost_value,
+        COALESCE(SUM(i.quantity_on_hand * pv.price), 0) as retail_value
+       FROM inventory i
+       INNER JOIN locations l ON i.location_id = l.location_id
+       INNER JOIN product_variants pv ON i.variant_id = pv.variant_id
+       INNER JOIN products p ON pv.product_id = p.product_id
+       LEFT JOIN categories c ON p.category_id = c.category_id
+       ${whereClause}
+       GROUP BY l.location_id, l.location_name, c.category_id, c.category_name
+       ORDER BY l.location_name, cost_value DESC`,
+      params
+    );
+
+    const round2 = (amount) => Math.round(amount * 100) / 100;
+    const data = result.rows.map(row => ({
+      ...row,
+      units: parseInt(row.units) || 0,
+      cost_value: round2(parseFloat(row.cost_value) || 0),
+      retail_value: round2(parseFloat(row.retail_value) || 0),
+    }));
+
+    const totals = data.reduce((sum, row) => ({
+      units: sum.units + row.units,
+      cost_value: round2(sum.cost_value + row.cost_value),
+      retail_value: round2(sum.retail_value + row.retail_value),
+    }), { units: 0, cost_value: 0, retail_value: 0 });
+
+    res.json({ data, totals });
   } catch (error) {
     next(error);
   }
@@ -387,59 +498,184 @@ router.get('/sales-by-employee', authorize('reports'), async (req, res, next) =>
   }
 });
 
-// Generate Z-Report
-router.post('/z-report', authorize('reports'), async (req, res, next) => {
+// Print a Z- or X-report; a printer failure never undoes the report itself
+const printReport = async (buildPrintData, locationId) => {
+  try {
+    const locationResult = await db.getPool().query(
+      `SELECT location_name FROM locations WHERE location_id = $1`,
+      [locationId]
+    );
+    await printerService.printZReport(buildPrintData(locationResult.rows[0]?.location_name || ''));
+    return { printed: true, printError: null };
+  } catch (error) {
+    return { printed: false, printError: error.message };
+  }
+};
+
+const requireReportScope = ({ locationId, shiftId }) => {
+  if (!locationId && !shiftId) {
+    throw new ValidationError('locationId or shiftId is required');
+  }
+};
+
+// X-Report - live close-of-period figures, nothing is persisted
+router.get('/x-report', authorize('reports'), async (req, res, next) => {
+  try {
+    const { locationId, shiftId } = req.query;
+    requireReportScope({ locationId, shiftId });
+
+    const summary = await db.transaction(client =>
+      zReportService.buildSummary(client, { locationId, shiftId })
+    );
+
+    res.json({ report: summary });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Print an X-Report
+router.post('/x-report/print', authorize('reports'), async (req, res, next) => {
   try {
     const { locationId, shiftId } = req.body;
-    const pool = db.getPool();
+    requireReportScope({ locationId, shiftId });
+
+    const summary = await db.transaction(client =>
+      zReportService.buildSummary(client, { locationId, shiftId })
+    );
 
-    const params = [parseInt(locationId)];
-    let shiftFilter = '';
-    let paramIndex = 2;
+    const printResult = await printReport(
+      locationName => zReportService.toXReportPrintData(summary, locationName),
+      summary.locationId
+    );
+
+    res.json({ report: summary, ...printResult });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Generate Z-Report - closes the period and stores an immutable snapshot
+router.post('/z-report', authorize('reports'), async (req, res, next) => {
+  try {
+    const { locationId, shiftId, actualCash, varianceNotes, print = false } = req.body;
+    requireReportScope({ locationId, shiftId });
+
+    const report = await db.transaction(client =>
+      zReportService.createZReport(client, {
+        locationId: locationId ? parseInt(locationId) : null,
+        shiftId: shiftId ? parseInt(shiftId) : null,
+        actualCash,
+        varianceNotes,
+        userId: req.user.user_id,
+      })
+    );
+
+    let printResult = { printed: false, printError: null };
+    if (print) {
+      printResult = await printReport(
+        locationName => zReportService.toPrintData(report, locationName),
+        report.location_id
+      );
+    }
+
+    res.status(201).json({ report, ...printResult });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get Z-Reports history
+router.get('/z-reports', authorize('reports'), async (req, res, next) => {
+  try {
+    const { locationId, shiftId, startDate, endDate, page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    let paramIndex = 1;
+
+    if (locationId) {
+      whereClause += ` AND z.location_id = $${paramIndex++}`;
+      params.push(parseInt(locationId));
+    }
 
     if (shiftId) {
-      shiftFilter = ` AND shift_id = $${paramIndex++}`;
+      whereClause += ` AND z.shift_id = $${paramIndex++}`;
       params.push(parseInt(shiftId));
     }
 
-    // Get sales summary
-    const salesResult = await pool.query(
-      `SELECT 
-        COUNT(*) as transaction_count,
-        COALESCE(SUM(total_amount), 0) as gross_sales,
-        COALESCE(SUM(discount_amount), 0) as total_discounts,
-        COALESCE(SUM(tax_amount), 0) as total_tax
-       FROM sales
-       WHERE location_id = $1 AND DATE(created_at) = CURRENT_DATE AND status = 'completed' ${shiftFilter}`,
+    if (startDate) {
+      whereClause += ` AND z.report_date >= $${paramIndex++}`;
+      params.push(startDate);
+    }
+
+    if (endDate) {
+      whereClause += ` AND z.report_date <= $${paramIndex++}`;
+      params.push(endDate);
+    }
+
+    params.push(parseInt(limit));
+    params.push(offset);
+
+    const result = await db.getPool().query(
+      `SELECT z.*, l.location_name, u.first_name as generated_by_first_name, u.last_name as generated_by_last_name
+       FROM z_reports z
+       INNER JOIN locations l ON z.location_id = l.location_id
+       LEFT JOIN users u ON z.generated_by = u.user_id
+       ${whereClause}
+       ORDER BY z.generated_at DESC
+       LIMIT $${paramIndex++} OFFSET $${paramIndex}`,
       params
     );
 
-    // Get payment breakdown
-    const paymentsResult = await pool.query(
-      `SELECT pm.method_name, COALESCE(SUM(sp.amount), 0) as total
-       FROM sale_payments sp
-       INNER JOIN sales s ON sp.sale_id = s.sale_id
-       INNER JOIN payment_methods pm ON sp.payment_method_id = pm.payment_method_id
-       WHERE s.location_id = $1 AND DATE(s.created_at) = CURRENT_DATE AND s.status = 'completed' ${shiftFilter}
-       GROUP BY pm.method_name`,
-      params
+    res.json({ reports: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single Z-Report
+router.get('/z-reports/:id', authorize('reports'), async (req, res, next) => {
+  try {
+    const result = await db.getPool().query(
+      `SELECT z.*, l.location_name, u.first_name as generated_by_first_name, u.last_name as generated_by_last_name
+       FROM z_reports z
+       INNER JOIN locations l ON z.location_id = l.location_id
+       LEFT JOIN users u ON z.generated_by = u.user_id
+       WHERE z.z_report_id = $1`,
+      [parseInt(req.params.id)]
     );
 
-    res.json({
-      date: new Date().toISOString(),
-      summary: salesResult.rows[0],
-      payments: paymentsResult.rows
-    });
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Z-Report');
+    }
+
+    res.json({ report: result.rows[0] });
   } catch (error) {
     next(error);
   }
 });
 
-// Get Z-Reports history
-router.get('/z-reports', authorize('reports'), async (req, res, next) => {
+// Reprint a stored Z-Report
+router.post('/z-reports/:id/print', authorize('reports'), async (req, res, next) => {
   try {
-    // For now, return generated data since we don't have a z_reports table
-    res.json({ reports: [] });
+    const result = await db.getPool().query(
+      `SELECT * FROM z_reports WHERE z_report_id = $1`,
+      [parseInt(req.params.id)]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Z-Report');
+    }
+
+    const report = result.rows[0];
+    const printResult = await printReport(
+      locationName => zReportService.toPrintData(report, locationName),
+      report.location_id
+    );
+
+    res.json({ report, ...printResult });
   } catch (error) {
     next(error);
   }
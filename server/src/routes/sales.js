@@ -1,8 +1,17 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { authenticate, authorize, verifyManagerPIN } = require('../middleware/auth');
+const { authenticate, authorize, requireApproval } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
 const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const returnService = require('../services/returnService');
+const saleService = require('../services/saleService');
+const pricingService = require('../services/pricingService');
+const inventoryService = require('../services/inventoryService');
+const approvalService = require('../services/approvalService');
+const loyaltyService = require('../services/loyaltyService');
+const customerService = require('../services/customerService');
+const walletService = require('../services/walletService');
 
 const router = express.Router();
 router.use(authenticate);
@@ -96,6 +105,48 @@ router.get('/parked/list', async (req, res, next) => {
   }
 });
 
+// Look up a sale from its receipt barcode - MUST be before /:id route
+// Receipts print the sale number without dashes (see printerService.printReceipt)
+router.get('/receipt/:code', async (req, res, next) => {
+  try {
+    const { code } = req.params;
+    const pool = db.getPool();
+
+    const result = await pool.query(
+      `SELECT sale_id FROM sales WHERE REPLACE(sale_number, '-', '') = REPLACE($1, '-', '')`,
+      [code.trim()]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Receipt');
+    }
+
+    const { sale, items } = await returnService.loadSaleForReturn(pool, result.rows[0].sale_id);
+
+    let returnable = true;
+    let message = null;
+    try {
+      await returnService.assertReturnable(pool, sale);
+    } catch (error) {
+      returnable = false;
+      message = error.message;
+    }
+
+    res.json({
+      sale,
+      returnable,
+      message,
+      items: items.map(item => ({
+        ...item,
+        returnable_quantity: item.quantity - item.returned_quantity,
+        unit_refund: Math.round(item.unit_refund * 100) / 100
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get sale by ID
 router.get('/:id', async (req, res, next) => {
   try {
@@ -105,7 +156,10 @@ router.get('/:id', async (req, res, next) => {
     const saleResult = await pool.query(
       `SELECT s.*, u.first_name as cashier_first_name, u.last_name as cashier_last_name,
               c.first_name as customer_first_name, c.last_name as customer_last_name, c.phone as customer_phone,
-              l.location_name, l.address as location_address, l.phone as location_phone
+              l.location_name, l.address as location_address, l.phone as location_phone,
+              (SELECT cp.code FROM coupon_redemptions cr
+               INNER JOIN coupons cp ON cr.coupon_id = cp.coupon_id
+               WHERE cr.sale_id = s.sale_id LIMIT 1) as coupon_code
        FROM sales s
        INNER JOIN users u ON s.user_id = u.user_id
        LEFT JOIN customers c ON s.customer_id = c.customer_id
@@ -119,7 +173,18 @@ router.get('/:id', async (req, res, next) => {
     }
     
     const itemsResult = await pool.query(
-      `SELECT si.*, pv.sku, pv.variant_name, p.product_name
+      `SELECT si.*, pv.sku, pv.variant_name, p.product_name,
+              (SELECT COALESCE(SUM(ri.quantity), 0)
+               FROM return_items ri
+               INNER JOIN returns r ON ri.return_id = r.return_id
+               WHERE ri.sale_item_id = si.sale_item_id AND r.status = 'completed') as returned_quantity,
+              (SELECT COALESCE(json_agg(json_build_object(
+                        'promotionId', sip.promotion_id,
+                        'name', sip.promotion_name,
+                        'amount', sip.discount_amount
+                      ) ORDER BY sip.sale_item_promotion_id), '[]')
+               FROM sale_item_promotions sip
+               WHERE sip.sale_item_id = si.sale_item_id) as promotions
        FROM sale_items si
        INNER JOIN product_variants pv ON si.variant_id = pv.variant_id
        INNER JOIN products p ON pv.product_id = p.product_id
@@ -148,6 +213,8 @@ router.get('/:id', async (req, res, next) => {
 // Create sale
 router.post('/', [
   body('items').isArray({ min: 1 }),
+  body('items.*.variantId').isInt(),
+  body('items.*.quantity').isInt({ min: 1 }),
   body('payments').isArray({ min: 1 }),
   body('locationId').isInt(),
 ], async (req, res, next) => {
@@ -157,93 +224,72 @@ router.post('/', [
       throw new ValidationError('Validation failed', errors.array());
     }
     
-    const { items, payments, locationId, customerId, discountAmount, discountType, discountReason, notes, shiftId } = req.body;
-    
-    // Calculate totals
-    let subtotal = 0;
-    let taxAmount = 0;
-    
-    for (const item of items) {
-      const lineTotal = item.unitPrice * item.quantity;
-      subtotal += lineTotal;
-      taxAmount += item.taxAmount || 0;
+    const { items, payments, locationId, customerId, discountAmount, discountType, discountReason, discountOverrideId, couponCode, notes, shiftId } = req.body;
+
+    // Retries of the same checkout carry the same key and get the original sale back
+    const clientSaleId = req.get('Idempotency-Key') || req.body.clientSaleId || null;
+
+    const replay = async () => {
+      const existing = await saleService.findByClientSaleId(db.getPool(), clientSaleId);
+      if (!existing) return false;
+
+      res.json({
+        success: true,
+        duplicate: true,
+        saleId: existing.sale_id,
+        saleNumber: existing.sale_number,
+        totalAmount: parseFloat(existing.total_amount)
+      });
+      return true;
+    };
+
+    if (clientSaleId && await replay()) {
+      return;
     }
-    
-    const totalAmount = subtotal + taxAmount - (discountAmount || 0);
-    
-    // Generate sale number
-    const saleNumber = `S-${Date.now()}`;
-    
-    // Use pool directly for PostgreSQL
-    const pool = db.getPool();
-    
-    // Insert sale
-    const saleResult = await pool.query(
-      `INSERT INTO sales (sale_number, location_id, shift_id, user_id, customer_id, subtotal, tax_amount, discount_amount, discount_type, discount_reason, total_amount, notes)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-       RETURNING sale_id`,
-      [saleNumber, locationId, shiftId || null, req.user.user_id, customerId || null, subtotal, taxAmount, discountAmount || 0, discountType || null, discountReason || null, totalAmount, notes || null]
-    );
-    
-    const saleId = saleResult.rows[0].sale_id;
-    
-    // Insert sale items and update inventory
-    for (const item of items) {
-      console.log(`Processing sale item: variantId=${item.variantId}, quantity=${item.quantity}, locationId=${locationId}`);
-      
-      await pool.query(
-        `INSERT INTO sale_items (sale_id, variant_id, quantity, unit_price, discount_amount, tax_amount, line_total)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-        [saleId, item.variantId, item.quantity, item.unitPrice, item.discountAmount || 0, item.taxAmount || 0, item.unitPrice * item.quantity]
-      );
-      
-      // Check if inventory record exists
-      const invCheck = await pool.query(
-        `SELECT inventory_id, quantity_on_hand FROM inventory WHERE variant_id = $1 AND location_id = $2`,
-        [item.variantId, locationId]
-      );
-      
-      if (invCheck.rows.length === 0) {
-        // Create inventory record with negative stock (will need adjustment)
-        console.log(`No inventory record found for variant ${item.variantId} at location ${locationId}, creating one`);
-        await pool.query(
-          `INSERT INTO inventory (variant_id, location_id, quantity_on_hand, quantity_reserved, reorder_level, reorder_quantity)
-           VALUES ($1, $2, -$3, 0, 10, 10)`,
-          [item.variantId, locationId, item.quantity]
-        );
-      } else {
-        const currentStock = invCheck.rows[0].quantity_on_hand;
-        console.log(`Current stock for variant ${item.variantId}: ${currentStock}, deducting ${item.quantity}`);
-        
-        // Update inventory
-        const updateResult = await pool.query(
-          `UPDATE inventory SET quantity_on_hand = quantity_on_hand - $1, updated_at = CURRENT_TIMESTAMP
-           WHERE variant_id = $2 AND location_id = $3
-           RETURNING quantity_on_hand`,
-          [item.quantity, item.variantId, locationId]
-        );
-        
-        console.log(`New stock for variant ${item.variantId}: ${updateResult.rows[0]?.quantity_on_hand}`);
+
+    let sale;
+    try {
+      // Sale, lines, stock movements and payments commit together or not at all
+      sale = await db.transaction(async (client) => {
+        // Prices, tax and discounts come from the catalogue, not the client
+        const pricing = await pricingService.priceSale(client, {
+          items, locationId, customerId: customerId || null, discountAmount, discountOverrideId, couponCode
+        });
+        pricingService.assertPaymentsSettle(payments, pricing.totalAmount);
+
+        return saleService.recordSale(client, {
+          saleNumber: await saleService.generateSaleNumber(client, locationId),
+          locationId,
+          shiftId: shiftId || null,
+          userId: req.user.user_id,
+          customerId: customerId || null,
+          items: pricing.lines,
+          payments,
+          subtotal: pricing.subtotal,
+          taxAmount: pricing.taxAmount,
+          discountAmount: pricing.discountAmount,
+          discountType: discountType || null,
+          discountReason: discountReason || null,
+          discountOverrideId: pricing.discountOverrideId,
+          coupon: pricing.coupon,
+          couponDiscount: pricing.couponDiscount,
+          totalAmount: pricing.totalAmount,
+          clientSaleId,
+          notes: notes || null,
+        });
+      });
+    } catch (error) {
+      // A concurrent retry committed first - hand back its sale
+      if (error.code === '23505' && clientSaleId && await replay()) {
+        return;
       }
-      
-      // Log inventory transaction
-      await pool.query(
-        `INSERT INTO inventory_transactions (variant_id, location_id, transaction_type, quantity_change, quantity_before, quantity_after, reference_type, reference_id, user_id)
-         SELECT $1, $2, 'SALE', $3, COALESCE(quantity_on_hand, 0) + $4, COALESCE(quantity_on_hand, 0), 'SALE', $5, $6
-         FROM inventory WHERE variant_id = $1 AND location_id = $2`,
-        [item.variantId, locationId, -item.quantity, item.quantity, saleId, req.user.user_id]
-      );
-    }
-    
-    // Insert payments
-    for (const payment of payments) {
-      await pool.query(
-        `INSERT INTO sale_payments (sale_id, payment_method_id, amount, reference_number)
-         VALUES ($1, $2, $3, $4)`,
-        [saleId, payment.paymentMethodId, payment.amount, payment.referenceNumber || null]
-      );
+      throw error;
     }
-    
+
+    const saleId = sale.sale_id;
+    const saleNumber = sale.sale_number;
+    const totalAmount = parseFloat(sale.total_amount);
+
     // Emit socket event
     const io = req.app.get('io');
     if (io) {
@@ -262,6 +308,230 @@ router.post('/', [
   }
 });
 
+// Replay a sale rung up while the POS was offline
+// The customer has already paid, so the sale is always recorded; anything that
+// no longer checks out (inactive variant, changed price, negative stock) comes back as conflicts
+router.post('/sync', [
+  body('clientSaleId').isString().notEmpty(),
+  body('items').isArray({ min: 1 }),
+  body('items.*.variantId').isInt(),
+  body('items.*.quantity').isInt({ min: 1 }),
+  body('payments').isArray({ min: 1 }),
+  body('locationId').isInt(),
+  body('offlineCreatedAt').optional().isISO8601(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { clientSaleId, provisionalNumber, offlineCreatedAt, items, payments, locationId, customerId, discountAmount, discountType, discountReason, notes, shiftId } = req.body;
+
+    const replay = async () => {
+      const existing = await saleService.findByClientSaleId(db.getPool(), clientSaleId);
+      if (!existing) return false;
+
+      res.json({
+        success: true,
+        duplicate: true,
+        saleId: existing.sale_id,
+        saleNumber: existing.sale_number,
+        provisionalNumber: existing.provisional_number,
+        conflicts: existing.sync_conflicts || []
+      });
+      return true;
+    };
+
+    if (await replay()) {
+      return;
+    }
+
+    let result;
+    try {
+      result = await db.transaction(async (client) => {
+        const pricing = await pricingService.priceSale(client, { items, discountAmount, offline: true });
+        const conflicts = [...pricing.conflicts];
+
+        const paymentConflict = pricingService.paymentMismatch(payments, pricing.totalAmount);
+        if (paymentConflict) {
+          conflicts.push(paymentConflict);
+        }
+
+        const shortages = await saleService.reserveStock(client, locationId, pricing.lines, { enforce: false });
+        for (const shortage of shortages) {
+          conflicts.push({
+            type: 'STOCK_NEGATIVE',
+            field: 'quantity',
+            variantId: shortage.variantId,
+            expected: shortage.available,
+            received: shortage.requested,
+            message: 'Stock went below zero'
+          });
+        }
+
+        const sale = await saleService.recordSale(client, {
+          saleNumber: await saleService.generateSaleNumber(client, locationId),
+          locationId,
+          shiftId: shiftId || null,
+          userId: req.user.user_id,
+          customerId: customerId || null,
+          items: pricing.lines,
+          payments,
+          subtotal: pricing.subtotal,
+          taxAmount: pricing.taxAmount,
+          discountAmount: pricing.discountAmount,
+          discountType: discountType || null,
+          discountReason: discountReason || null,
+          totalAmount: pricing.totalAmount,
+          clientSaleId,
+          enforceStock: false,
+          provisionalNumber: provisionalNumber || null,
+          offlineCreatedAt: offlineCreatedAt || null,
+          syncConflicts: conflicts.length > 0 ? conflicts : null,
+          notes: notes || null,
+        });
+
+        return { sale, conflicts };
+      });
+    } catch (error) {
+      // Another tab or retry synced this sale first
+      if (error.code === '23505' && await replay()) {
+        return;
+      }
+      throw error;
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`location-${locationId}`).emit('sale-completed', {
+        saleId: result.sale.sale_id,
+        saleNumber: result.sale.sale_number,
+        totalAmount: parseFloat(result.sale.total_amount)
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      saleId: result.sale.sale_id,
+      saleNumber: result.sale.sale_number,
+      provisionalNumber: result.sale.provisional_number,
+      conflicts: result.conflicts
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Exchange - take back lines from an original sale against replacement items
+// Return and replacement sale are written in one transaction; payments settle the difference only
+router.post('/exchanges', authorize('sales', 'returns'), [
+  body('originalSaleId').isInt(),
+  body('returnItems').isArray({ min: 1 }),
+  body('returnItems.*.saleItemId').isInt(),
+  body('returnItems.*.quantity').isInt({ min: 1 }),
+  body('items').isArray({ min: 1 }),
+  body('items.*.variantId').isInt(),
+  body('items.*.quantity').isInt({ min: 1 }),
+  body('payments').isArray(),
+  body('locationId').isInt(),
+], auditTrail({ table: 'returns', key: 'return_id', idParam: null, recordId: (req, body) => body?.returnId, action: 'EXCHANGE' }), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { originalSaleId, returnItems, items, payments, locationId, customerId, discountAmount, discountType, discountReason, discountOverrideId, couponCode, notes, shiftId, reason } = req.body;
+
+    const result = await db.transaction(async (client) => {
+      const { returnRecord, refunds, sale: originalSale } = await returnService.createReturn(client, {
+        saleId: parseInt(originalSaleId),
+        items: returnItems,
+        returnType: 'EXCHANGE',
+        reason: reason || null,
+        shiftId: shiftId || null,
+        userId: req.user.user_id,
+      });
+
+      const pricing = await pricingService.priceSale(client, {
+        items, locationId, customerId: customerId || originalSale.customer_id, discountAmount, discountOverrideId, couponCode
+      });
+      const totalAmount = pricing.totalAmount;
+      const returnedValue = parseFloat(returnRecord.total_refund_amount);
+      const amountDue = Math.round((totalAmount - returnedValue) * 100) / 100;
+
+      if (amountDue < 0) {
+        throw new ValidationError('Returned value exceeds the replacement items', [{ exchangeCredit: returnedValue, totalAmount }]);
+      }
+
+      pricingService.assertPaymentsSettle(payments, amountDue);
+
+      // What the original sale charged to the account moves onto the replacement
+      // sale's invoice; only the rest is exchange credit
+      const accountCharge = Math.round(refunds.reduce((sum, refund) => sum + refund.amount, 0) * 100) / 100;
+      const exchangeCredit = Math.round((returnedValue - accountCharge) * 100) / 100;
+
+      if (accountCharge > 0 && customerId && parseInt(customerId) !== originalSale.customer_id) {
+        throw new ValidationError('An exchange against an account sale must stay with the same customer');
+      }
+
+      const sale = await saleService.recordSale(client, {
+        saleNumber: await saleService.generateSaleNumber(client, locationId),
+        locationId,
+        shiftId: shiftId || null,
+        userId: req.user.user_id,
+        customerId: customerId || originalSale.customer_id,
+        items: pricing.lines,
+        payments: [
+          ...payments.filter(payment => parseFloat(payment.amount) > 0),
+          ...refunds.map(refund => ({ paymentMethodId: refund.paymentMethodId, amount: refund.amount })),
+        ],
+        subtotal: pricing.subtotal,
+        taxAmount: pricing.taxAmount,
+        discountAmount: pricing.discountAmount,
+        discountType: discountType || null,
+        discountReason: discountReason || null,
+        discountOverrideId: pricing.discountOverrideId,
+        coupon: pricing.coupon,
+        couponDiscount: pricing.couponDiscount,
+        totalAmount,
+        exchangeCredit,
+        notes: notes || `Exchange against ${originalSale.sale_number}`,
+      });
+
+      await client.query(
+        `UPDATE returns SET exchange_sale_id = $1 WHERE return_id = $2`,
+        [sale.sale_id, returnRecord.return_id]
+      );
+
+      return { sale, returnRecord, exchangeCredit, amountDue, totalAmount };
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`location-${locationId}`).emit('sale-completed', {
+        saleId: result.sale.sale_id,
+        saleNumber: result.sale.sale_number,
+        totalAmount: result.totalAmount
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      saleId: result.sale.sale_id,
+      saleNumber: result.sale.sale_number,
+      totalAmount: result.totalAmount,
+      exchangeCredit: result.exchangeCredit,
+      amountDue: result.amountDue,
+      returnId: result.returnRecord.return_id,
+      returnNumber: result.returnRecord.return_number
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Park sale
 router.post('/park', async (req, res, next) => {
   try {
@@ -316,38 +586,171 @@ router.delete('/parked/:id', async (req, res, next) => {
   }
 });
 
-// Void sale
-router.post('/:id/void', authorize('void'), async (req, res, next) => {
+// Void sale - restores stock, store credit, loyalty points and the customer's purchase totals; needs manager approval unless switched off in Security settings
+router.post('/:id/void', authorize('sales', 'void'), requireApproval('VOID', { permission: 'void', referenceType: 'SALE' }), auditTrail({ table: 'sales', key: 'sale_id', action: 'VOID' }), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const sale = await db.transaction(async (client) => {
+      await req.consumeApproval(client);
+
+      const saleResult = await client.query(
+        `SELECT * FROM sales WHERE sale_id = $1 FOR UPDATE`,
+        [parseInt(id)]
+      );
+
+      if (saleResult.rows.length === 0) {
+        throw new NotFoundError('Sale');
+      }
+
+      const sale = saleResult.rows[0];
+      if (sale.status !== 'completed') {
+        throw new ValidationError(`Sale is ${sale.status} and cannot be voided`);
+      }
+
+      const returnsResult = await client.query(
+        `SELECT COUNT(*) as return_count FROM returns WHERE original_sale_id = $1`,
+        [sale.sale_id]
+      );
+      if (parseInt(returnsResult.rows[0].return_count) > 0) {
+        throw new ValidationError('Sales with returns against them cannot be voided');
+      }
+
+      // An account sale drops off the customer's balance when voided, which
+      // only works while nothing has been paid against it
+      const allocationsResult = await client.query(
+        `SELECT COUNT(*) as allocation_count FROM account_allocations WHERE sale_id = $1`,
+        [sale.sale_id]
+      );
+      if (parseInt(allocationsResult.rows[0].allocation_count) > 0) {
+        throw new ValidationError('Sales with account payments against them cannot be voided');
+      }
+
+      // Restore inventory
+      const itemsResult = await client.query(
+        `SELECT variant_id, quantity, unit_cost FROM sale_items WHERE sale_id = $1 ORDER BY variant_id`,
+        [sale.sale_id]
+      );
+      for (const item of itemsResult.rows) {
+        await inventoryService.adjustStock(client, {
+          variantId: item.variant_id,
+          locationId: sale.location_id,
+          quantityChange: item.quantity,
+          transactionType: 'VOID',
+          referenceType: 'SALE',
+          referenceId: sale.sale_id,
+          notes: reason || null,
+          userId: req.user.user_id,
+          unitCost: item.unit_cost,
+        });
+      }
+
+      await walletService.reverseSalePayment(client, { sale, userId: req.user.user_id });
+      await loyaltyService.reverseSalePoints(client, { sale, userId: req.user.user_id });
+      await customerService.reversePurchase(client, { sale });
+
+      const updated = await client.query(
+        `UPDATE sales SET status = 'voided', voided_by = $1, voided_at = CURRENT_TIMESTAMP, void_reason = $2, void_approved_by = $3
+         WHERE sale_id = $4
+         RETURNING *`,
+        [req.user.user_id, reason || null, req.approvedBy?.user_id || null, sale.sale_id]
+      );
+      return updated.rows[0];
+    });
+
+    res.json({
+      success: true,
+      sale,
+      approvedBy: req.approvedBy ? `${req.approvedBy.first_name} ${req.approvedBy.last_name}` : null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get returns recorded against a sale
+router.get('/:id/returns', async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { managerPIN, reason } = req.body;
     const pool = db.getPool();
-    
-    // Get sale items to restore inventory
+
+    const returnsResult = await pool.query(
+      `SELECT r.*, u.first_name, u.last_name
+       FROM returns r
+       INNER JOIN users u ON r.user_id = u.user_id
+       WHERE r.original_sale_id = $1
+       ORDER BY r.created_at DESC`,
+      [parseInt(id)]
+    );
+
     const itemsResult = await pool.query(
-      `SELECT si.*, s.location_id FROM sale_items si
-       INNER JOIN sales s ON si.sale_id = s.sale_id
-       WHERE si.sale_id = $1`,
+      `SELECT ri.*, pv.sku, pv.variant_name, p.product_name
+       FROM return_items ri
+       INNER JOIN returns r ON ri.return_id = r.return_id
+       INNER JOIN product_variants pv ON ri.variant_id = pv.variant_id
+       INNER JOIN products p ON pv.product_id = p.product_id
+       WHERE r.original_sale_id = $1`,
       [parseInt(id)]
     );
-    
-    // Restore inventory
-    for (const item of itemsResult.rows) {
-      await pool.query(
-        `UPDATE inventory SET quantity_on_hand = quantity_on_hand + $1
-         WHERE variant_id = $2 AND location_id = $3`,
-        [item.quantity, item.variant_id, item.location_id]
-      );
+
+    const returns = returnsResult.rows.map(r => ({
+      ...r,
+      items: itemsResult.rows.filter(item => item.return_id === r.return_id)
+    }));
+
+    res.json({ returns });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Return items from a sale (refund to original tender or store credit)
+router.post('/:id/returns', authorize('sales', 'returns'), [
+  body('items').isArray({ min: 1 }),
+  body('items.*.saleItemId').isInt(),
+  body('items.*.quantity').isInt({ min: 1 }),
+  body('returnType').optional().isIn(['REFUND', 'STORE_CREDIT']),
+], requireApproval('REFUND', { referenceType: 'SALE' }), auditTrail({ table: 'returns', key: 'return_id', idParam: null, recordId: (req, body) => body?.returnId, action: 'RETURN' }), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
     }
-    
-    // Update sale status
-    await pool.query(
-      `UPDATE sales SET status = 'voided', voided_by = $1, voided_at = CURRENT_TIMESTAMP, void_reason = $2
-       WHERE sale_id = $3`,
-      [req.user.user_id, reason, parseInt(id)]
-    );
-    
-    res.json({ success: true });
+
+    const { id } = req.params;
+    const { items, returnType = 'REFUND', reason, shiftId } = req.body;
+
+    const { returnRecord, refunds, sale } = await db.transaction(async (client) => {
+      await req.consumeApproval(client);
+      return returnService.createReturn(client, {
+        saleId: parseInt(id),
+        items,
+        returnType,
+        reason: reason || null,
+        shiftId: shiftId || null,
+        userId: req.user.user_id,
+        approvedBy: req.approvedBy?.user_id || null,
+      });
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`location-${sale.location_id}`).emit('return-completed', {
+        returnId: returnRecord.return_id,
+        returnNumber: returnRecord.return_number,
+        saleId: sale.sale_id
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      returnId: returnRecord.return_id,
+      returnNumber: returnRecord.return_number,
+      totalRefund: parseFloat(returnRecord.total_refund_amount),
+      refundMethod: returnRecord.refund_method,
+      refunds
+    });
   } catch (error) {
     next(error);
   }
@@ -369,9 +772,10 @@ router.post('/apply-discount', async (req, res, next) => {
       : 10;
     
     const actualPercent = discountPercent || (discountAmount / subtotal * 100);
+    const approvalEnabled = await approvalService.isApprovalRequired(pool, 'DISCOUNT');
     
     res.json({
-      requiresApproval: actualPercent > maxDiscount,
+      requiresApproval: approvalEnabled && actualPercent > maxDiscount,
       maxWithoutApproval: maxDiscount
     });
   } catch (error) {
@@ -379,4 +783,54 @@ router.post('/apply-discount', async (req, res, next) => {
   }
 });
 
+// Record a manager-approved price or discount override
+// The returned overrideId is sent with the sale (priceOverrideId per line or discountOverrideId)
+router.post('/price-overrides', [
+  body('overrideType').isIn(['PRICE', 'DISCOUNT']),
+  body('overrideAmount').isFloat({ min: 0 }),
+  body('variantId').if(body('overrideType').equals('PRICE')).isInt(),
+], requireApproval(req => (req.body.overrideType === 'PRICE' ? 'PRICE_OVERRIDE' : 'DISCOUNT'), { referenceParam: null }), auditTrail({ table: 'price_overrides', key: 'override_id', idParam: null, recordId: (req, body) => body?.overrideId }), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { overrideType, variantId, locationId, originalAmount, overrideAmount, reason } = req.body;
+
+    const overrideId = await db.transaction(async (client) => {
+      let listAmount = parseFloat(originalAmount) || 0;
+      if (overrideType === 'PRICE') {
+        const variantResult = await client.query(
+          `SELECT price FROM product_variants WHERE variant_id = $1`,
+          [parseInt(variantId)]
+        );
+
+        if (variantResult.rows.length === 0) {
+          throw new NotFoundError('Product variant');
+        }
+        listAmount = parseFloat(variantResult.rows[0].price);
+      }
+
+      await req.consumeApproval(client);
+
+      const result = await client.query(
+        `INSERT INTO price_overrides (override_type, variant_id, location_id, original_amount, override_amount, reason, requested_by, approved_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING override_id`,
+        [overrideType, variantId || null, locationId || req.user.default_location_id || null, listAmount, overrideAmount, reason || null, req.user.user_id, (req.approvedBy || req.user).user_id]
+      );
+      return result.rows[0].override_id;
+    });
+
+    res.status(201).json({
+      success: true,
+      overrideId,
+      approvedBy: req.approvedBy ? `${req.approvedBy.first_name} ${req.approvedBy.last_name}` : null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
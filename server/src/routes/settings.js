@@ -3,6 +3,7 @@ const { body, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
 const db = require('../config/database');
 const { authenticate, authorize } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
 const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
 
 const router = express.Router();
@@ -56,7 +57,7 @@ router.get('/:key', async (req, res, next) => {
 });
 
 // Update setting
-router.put('/:key', authorize('settings'), async (req, res, next) => {
+router.put('/:key', authorize('settings'), auditTrail({ table: 'settings', key: 'setting_key', idParam: 'key' }), async (req, res, next) => {
   try {
     const { key } = req.params;
     const { value } = req.body;
@@ -100,7 +101,7 @@ router.get('/locations/all', async (req, res, next) => {
 });
 
 // Create location
-router.post('/locations', authorize('settings'), [
+router.post('/locations', authorize('settings'), auditTrail({ table: 'locations', key: 'location_id', idParam: null, recordId: (req, body) => body?.location_id }), [
   body('locationCode').notEmpty(),
   body('locationName').notEmpty(),
 ], async (req, res, next) => {
@@ -145,10 +146,11 @@ router.get('/users/all', authorize('settings'), async (req, res, next) => {
 });
 
 // Create user
-router.post('/users', authorize('settings'), [
+router.post('/users', authorize('settings'), auditTrail({ table: 'users', key: 'user_id', idParam: null, recordId: (req, body) => body?.user_id }), [
   body('employeeCode').notEmpty(),
   body('firstName').notEmpty(),
   body('password').isLength({ min: 6 }),
+  body('pin').optional({ checkFalsy: true }).matches(/^\d{4,6}$/),
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -156,7 +158,7 @@ router.post('/users', authorize('settings'), [
       throw new ValidationError('Validation failed', errors.array());
     }
     
-    const { employeeCode, email, password, firstName, lastName, phone, roleId, locationId } = req.body;
+    const { employeeCode, email, password, pin, firstName, lastName, phone, roleId, locationId } = req.body;
     
     // Check if employee code already exists
     const existing = await db.query(
@@ -170,12 +172,13 @@ router.post('/users', authorize('settings'), [
     }
     
     const hashedPassword = await bcrypt.hash(password, 12);
+    const hashedPin = pin ? await bcrypt.hash(String(pin), 12) : null;
     
     const result = await db.query(
-      `INSERT INTO users (employee_code, email, password_hash, first_name, last_name, phone, role_id, default_location_id)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `INSERT INTO users (employee_code, email, password_hash, pin_hash, first_name, last_name, phone, role_id, default_location_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
        RETURNING user_id, employee_code, email, first_name, last_name`,
-      [employeeCode, email || null, hashedPassword, firstName, lastName || null, phone || null, roleId || 3, locationId || 1]
+      [employeeCode, email || null, hashedPassword, hashedPin, firstName, lastName || null, phone || null, roleId || 3, locationId || 1]
     );
     
     const rows = result.rows || result.recordset || [];
@@ -185,6 +188,35 @@ router.post('/users', authorize('settings'), [
   }
 });
 
+// Set a user's approval PIN (stored as a bcrypt hash)
+router.put('/users/:id/pin', authorize('settings'), auditTrail({ table: 'users', key: 'user_id', action: 'PIN_CHANGE' }), [
+  body('pin').matches(/^\d{4,6}$/),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('PIN must be 4 to 6 digits', errors.array());
+    }
+    
+    const hashedPin = await bcrypt.hash(String(req.body.pin), 12);
+    
+    const result = await db.getPool().query(
+      `UPDATE users SET pin_hash = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $2
+       RETURNING user_id`,
+      [hashedPin, parseInt(req.params.id)]
+    );
+    
+    if (result.rows.length === 0) {
+      throw new NotFoundError('User');
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get all roles
 router.get('/roles/all', async (req, res, next) => {
   try {
@@ -1,10 +1,18 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireApproval } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
 const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const cashMovementService = require('../services/cashMovementService');
+const shiftService = require('../services/shiftService');
+const { getNumericSetting } = require('../services/pricingService');
+const printerService = require('../services/printerService');
 
 const router = express.Router();
+
+const auditShift = (action) => auditTrail({ table: 'shifts', key: 'shift_id', action });
+
 router.use(authenticate);
 
 // Get current shift for user
@@ -34,12 +42,24 @@ router.get('/current', async (req, res, next) => {
        WHERE shift_id = @shiftId AND status = 'completed'`,
       { shiftId: shift.shift_id }
     );
+
+    const pool = db.getPool();
+    const movements = await cashMovementService.summarizeMovements(pool, { shiftId: shift.shift_id });
+
+    // Blind close: the expected amount stays hidden until the drawer is counted
+    const blindClose = await shiftService.isBlindCloseEnabled(pool);
+    const expectedCash = blindClose ? null : await cashMovementService.getExpectedCash(pool, shift);
     
     res.json({ 
       hasActiveShift: true, 
       shift: {
         ...shift,
-        ...statsResult.recordset[0]
+        ...statsResult.recordset[0],
+        paid_in: movements.paidIn,
+        paid_out: movements.paidOut,
+        safe_drops: movements.safeDrops,
+        expected_cash: expectedCash,
+        blind_close: blindClose
       }
     });
   } catch (error) {
@@ -88,10 +108,26 @@ router.post('/clock-in', [
   }
 });
 
-// Clock out
+// How the drawer is counted at clock-out
+router.get('/close-settings', async (req, res, next) => {
+  try {
+    const pool = db.getPool();
+
+    res.json({
+      blindClose: await shiftService.isBlindCloseEnabled(pool),
+      denominations: shiftService.DENOMINATIONS,
+      varianceThreshold: await getNumericSetting(pool, 'cash_variance_threshold', 500)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Clock out - closingCash, or a denomination count (required in blind-close mode)
 router.post('/clock-out', [
   body('shiftId').isInt(),
-  body('closingCash').isNumeric(),
+  body('closingCash').optional({ nullable: true }).isNumeric(),
+  body('denominations').optional({ nullable: true }).isObject(),
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -99,53 +135,13 @@ router.post('/clock-out', [
       throw new ValidationError('Validation failed', errors.array());
     }
     
-    const { shiftId, closingCash, notes } = req.body;
+    const { shiftId, closingCash, denominations, notes } = req.body;
     
-    // Get shift details and calculate expected cash
-    const shiftResult = await db.query(
-      `SELECT s.*, 
-        COALESCE(SUM(CASE WHEN pm.method_type = 'cash' THEN sp.amount ELSE 0 END), 0) as cash_sales
-       FROM shifts s
-       LEFT JOIN sales sl ON s.shift_id = sl.shift_id AND sl.status = 'completed'
-       LEFT JOIN sale_payments sp ON sl.sale_id = sp.sale_id
-       LEFT JOIN payment_methods pm ON sp.payment_method_id = pm.payment_method_id
-       WHERE s.shift_id = @shiftId
-       GROUP BY s.shift_id, s.user_id, s.location_id, s.terminal_id, s.opening_cash, 
-                s.closing_cash, s.expected_cash, s.cash_difference, s.start_time, 
-                s.end_time, s.status, s.notes, s.created_at`,
-      { shiftId }
+    const { shift, summary } = await db.transaction(client =>
+      shiftService.closeShift(client, { shiftId, closingCash, denominations, notes })
     );
     
-    if (shiftResult.recordset.length === 0) {
-      throw new NotFoundError('Shift not found');
-    }
-    
-    const shift = shiftResult.recordset[0];
-    const expectedCash = shift.opening_cash + shift.cash_sales;
-    const cashDifference = closingCash - expectedCash;
-    
-    const result = await db.query(
-      `UPDATE shifts SET 
-        closing_cash = @closingCash,
-        expected_cash = @expectedCash,
-        cash_difference = @cashDifference,
-        end_time = CURRENT_TIMESTAMP,
-        status = 'closed',
-        notes = @notes
-       WHERE shift_id = @shiftId
-       RETURNING *`,
-      { shiftId, closingCash, expectedCash, cashDifference, notes: notes || null }
-    );
-    
-    res.json({ 
-      success: true, 
-      shift: result.recordset[0],
-      summary: {
-        expectedCash,
-        actualCash: closingCash,
-        difference: cashDifference
-      }
-    });
+    res.json({ success: true, shift, summary });
   } catch (error) {
     next(error);
   }
@@ -238,11 +234,109 @@ router.get('/:id', async (req, res, next) => {
        GROUP BY pm.method_name`,
       { id: parseInt(id) }
     );
+
+    const pool = db.getPool();
+    const cashMovements = await cashMovementService.listMovements(pool, id);
+    const movementTotals = await cashMovementService.summarizeMovements(pool, { shiftId: id });
+
+    // Blind close: an open shift's expected amount stays hidden until the drawer is counted
+    const shift = shiftResult.recordset[0];
+    const hideExpected = shift.status === 'active' && await shiftService.isBlindCloseEnabled(pool);
+    const expectedCash = hideExpected ? null : await cashMovementService.getExpectedCash(pool, shift);
     
     res.json({
-      shift: shiftResult.recordset[0],
-      summary: salesResult.recordset[0],
-      paymentBreakdown: paymentsResult.recordset
+      shift,
+      summary: {
+        ...salesResult.recordset[0],
+        paidIn: movementTotals.paidIn,
+        paidOut: movementTotals.paidOut,
+        safeDrops: movementTotals.safeDrops,
+        expectedCash
+      },
+      paymentBreakdown: paymentsResult.recordset,
+      cashMovements
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get cash movements for a shift
+router.get('/:id/cash-movements', async (req, res, next) => {
+  try {
+    const pool = db.getPool();
+    const movements = await cashMovementService.listMovements(pool, req.params.id);
+    const totals = await cashMovementService.summarizeMovements(pool, { shiftId: req.params.id });
+
+    res.json({ movements, totals });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Record a paid-in, paid-out or safe drop (manager approval required)
+router.post('/:id/cash-movements', [
+  body('movementType').isIn(cashMovementService.MOVEMENT_TYPES),
+  body('amount').isFloat({ gt: 0 }),
+  body('reason').trim().notEmpty(),
+], requireApproval('CASH_MOVEMENT', { referenceType: 'SHIFT' }), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { movementType, amount, reason } = req.body;
+
+    const movement = await db.transaction(async (client) => {
+      await req.consumeApproval(client);
+      return cashMovementService.recordMovement(client, {
+        shiftId: req.params.id,
+        movementType,
+        amount,
+        reason,
+        userId: req.user.user_id,
+        approvedBy: req.approvedBy.user_id,
+      });
+    });
+
+    // The movement stands even if the drawer does not open (e.g. no printer attached)
+    const drawerOpened = await printerService.openCashDrawer().catch(() => false);
+
+    if (drawerOpened) {
+      await db.getPool().query(
+        `UPDATE cash_movements SET drawer_opened = true WHERE movement_id = $1`,
+        [movement.movement_id]
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      movement: { ...movement, drawer_opened: drawerOpened },
+      drawerOpened,
+      approvedBy: `${req.approvedBy.first_name} ${req.approvedBy.last_name}`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Manager sign-off for a cash variance above cash_variance_threshold
+router.post('/:id/approve-variance', requireApproval('CASH_VARIANCE', { referenceType: 'SHIFT' }), auditShift('VARIANCE_APPROVAL'), async (req, res, next) => {
+  try {
+    const shift = await db.transaction(async (client) => {
+      await req.consumeApproval(client);
+      return shiftService.approveVariance(client, {
+        shiftId: req.params.id,
+        approvedBy: req.approvedBy.user_id,
+        notes: req.body.notes
+      });
+    });
+
+    res.json({
+      success: true,
+      shift,
+      approvedBy: `${req.approvedBy.first_name} ${req.approvedBy.last_name}`
     });
   } catch (error) {
     next(error);
@@ -250,18 +344,13 @@ router.get('/:id', async (req, res, next) => {
 });
 
 // Reconcile shift
-router.post('/:id/reconcile', async (req, res, next) => {
+router.post('/:id/reconcile', auditShift('RECONCILE'), async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { notes } = req.body;
-    
-    await db.query(
-      `UPDATE shifts SET status = 'reconciled', notes = COALESCE(@notes, notes)
-       WHERE shift_id = @id`,
-      { id: parseInt(id), notes }
+    const shift = await db.transaction(client =>
+      shiftService.reconcileShift(client, { shiftId: req.params.id, notes: req.body.notes })
     );
     
-    res.json({ success: true });
+    res.json({ success: true, shift });
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,225 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticate, authorize } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { ValidationError } = require('../middleware/errorHandler');
+const stockCountService = require('../services/stockCountService');
+const { toCsv } = require('../utils/csv');
+
+const router = express.Router();
+router.use(authenticate);
+router.use(authorize('inventory'));
+
+const auditStockCount = (options = {}) => auditTrail({ table: 'stock_counts', key: 'count_id', ...options });
+
+const checkValidation = (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new ValidationError('Validation failed', errors.array());
+  }
+};
+
+// Get count sessions
+router.get('/', async (req, res, next) => {
+  try {
+    const { status, locationId, page = 1, limit = 50 } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE 1=1';
+    const params = [];
+    let paramIndex = 1;
+
+    if (status) {
+      whereClause += ` AND sc.status = $${paramIndex++}`;
+      params.push(status);
+    }
+
+    if (locationId) {
+      whereClause += ` AND sc.location_id = $${paramIndex++}`;
+      params.push(parseInt(locationId));
+    }
+
+    const result = await db.getPool().query(
+      `SELECT sc.*, l.location_name, c.category_name,
+              u.first_name as created_by_first_name, u.last_name as created_by_last_name,
+              (SELECT COUNT(*) FROM stock_count_items WHERE count_id = sc.count_id) as total_items,
+              (SELECT COUNT(*) FROM stock_count_items WHERE count_id = sc.count_id AND counted_quantity IS NOT NULL) as items_counted
+       FROM stock_counts sc
+       INNER JOIN locations l ON sc.location_id = l.location_id
+       LEFT JOIN categories c ON sc.category_id = c.category_id
+       LEFT JOIN users u ON sc.created_by = u.user_id
+       ${whereClause}
+       ORDER BY sc.created_at DESC
+       LIMIT $${paramIndex++} OFFSET $${paramIndex}`,
+      [...params, parseInt(limit), offset]
+    );
+
+    res.json({ stockCounts: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a count with its lines and variance summary
+router.get('/:id', async (req, res, next) => {
+  try {
+    const stockCount = await stockCountService.getStockCount(db.getPool(), parseInt(req.params.id));
+    res.json(stockCount);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download the variance report as CSV
+router.get('/:id/csv', async (req, res, next) => {
+  try {
+    const { stockCount, items } = await stockCountService.getStockCount(db.getPool(), parseInt(req.params.id));
+
+    const csv = toCsv(
+      ['Count', 'Location', 'SKU', 'Barcode', 'Product', 'Variant', 'Expected', 'Counted', 'Variance', 'Unit Cost', 'Variance Value'],
+      items.map(item => [
+        stockCount.count_number,
+        stockCount.location_name,
+        item.sku,
+        item.barcode,
+        item.product_name,
+        item.variant_name,
+        item.expected_quantity,
+        item.counted_quantity,
+        item.variance,
+        parseFloat(item.unit_cost || 0).toFixed(2),
+        item.variance === null ? '' : (item.variance * parseFloat(item.unit_cost || 0)).toFixed(2),
+      ])
+    );
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${stockCount.count_number}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Open a count session (freezes expected quantities)
+router.post('/', auditStockCount({ idParam: null, recordId: (req, body) => body?.stockCount?.count_id }), [
+  body('locationId').optional({ nullable: true }).isInt(),
+  body('categoryId').optional({ nullable: true, checkFalsy: true }).isInt(),
+  body('binLocation').optional({ nullable: true }).trim(),
+], async (req, res, next) => {
+  try {
+    checkValidation(req);
+
+    const { locationId, categoryId, binLocation, notes } = req.body;
+
+    const stockCount = await db.transaction(client =>
+      stockCountService.createStockCount(client, {
+        locationId: parseInt(locationId || req.user.default_location_id),
+        categoryId: categoryId ? parseInt(categoryId) : null,
+        binLocation: binLocation || null,
+        notes,
+        userId: req.user.user_id
+      })
+    );
+
+    res.status(201).json({ success: true, ...stockCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Record a barcode/SKU scan
+router.post('/:id/scan', [
+  body('code').trim().notEmpty(),
+  body('quantity').optional().isInt({ min: 1 }),
+], async (req, res, next) => {
+  try {
+    checkValidation(req);
+
+    const result = await db.transaction(client =>
+      stockCountService.scanItem(client, parseInt(req.params.id), {
+        code: req.body.code,
+        quantity: parseInt(req.body.quantity) || 1,
+        userId: req.user.user_id
+      })
+    );
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set a line's counted quantity
+router.put('/:id/items/:itemId', [
+  body('countedQuantity').optional({ nullable: true }).isInt({ min: 0 }),
+], async (req, res, next) => {
+  try {
+    checkValidation(req);
+
+    const { countedQuantity } = req.body;
+
+    const stockCount = await db.transaction(client =>
+      stockCountService.setCountedQuantity(client, parseInt(req.params.id), parseInt(req.params.itemId), {
+        countedQuantity: countedQuantity === null || countedQuantity === undefined ? null : parseInt(countedQuantity),
+        userId: req.user.user_id
+      })
+    );
+
+    res.json({ success: true, ...stockCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Finish counting
+router.post('/:id/submit', auditStockCount({ action: 'SUBMIT' }), async (req, res, next) => {
+  try {
+    const stockCount = await db.transaction(client =>
+      stockCountService.submitStockCount(client, parseInt(req.params.id), { userId: req.user.user_id })
+    );
+
+    res.json({ success: true, ...stockCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Approve the variance report and post adjustments
+router.post('/:id/approve', auditStockCount({ action: 'APPROVE' }), async (req, res, next) => {
+  try {
+    const stockCount = await db.transaction(client =>
+      stockCountService.approveStockCount(client, parseInt(req.params.id), {
+        zeroUncounted: req.body.zeroUncounted === true,
+        userId: req.user.user_id
+      })
+    );
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`location-${stockCount.stockCount.location_id}`).emit('inventory-updated', {
+        reason: 'STOCK_COUNT',
+        countId: stockCount.stockCount.count_id
+      });
+    }
+
+    res.json({ success: true, ...stockCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Abandon a count
+router.post('/:id/cancel', auditStockCount({ action: 'CANCEL' }), async (req, res, next) => {
+  try {
+    const stockCount = await db.transaction(client =>
+      stockCountService.cancelStockCount(client, parseInt(req.params.id))
+    );
+
+    res.json({ success: true, ...stockCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticate, authorize } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+router.use(authenticate);
+
+const auditSupplier = (options = {}) => auditTrail({ table: 'suppliers', key: 'supplier_id', ...options });
+
+// Get suppliers
+router.get('/', async (req, res, next) => {
+  try {
+    const { search, includeInactive } = req.query;
+
+    let whereClause = includeInactive === 'true' ? 'WHERE 1=1' : 'WHERE s.is_active = true';
+    const params = [];
+
+    if (search) {
+      whereClause += ` AND (s.supplier_name ILIKE $1 OR s.supplier_code ILIKE $1 OR s.phone ILIKE $1)`;
+      params.push(`%${search}%`);
+    }
+
+    const result = await db.getPool().query(
+      `SELECT s.*,
+              (SELECT COUNT(*) FROM purchase_orders po
+               WHERE po.supplier_id = s.supplier_id AND po.status IN ('SENT', 'PARTIALLY_RECEIVED')) as open_orders
+       FROM suppliers s
+       ${whereClause}
+       ORDER BY s.supplier_name`,
+      params
+    );
+
+    res.json({ suppliers: result.rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single supplier
+router.get('/:id', async (req, res, next) => {
+  try {
+    const result = await db.getPool().query(
+      `SELECT * FROM suppliers WHERE supplier_id = $1`,
+      [parseInt(req.params.id)]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Supplier');
+    }
+
+    res.json({ supplier: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create supplier
+router.post('/', authorize('inventory'), auditSupplier({ idParam: null, recordId: (req, body) => body?.supplier?.supplier_id }), [
+  body('supplierCode').trim().notEmpty(),
+  body('supplierName').trim().notEmpty(),
+  body('email').optional({ checkFalsy: true }).isEmail(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { supplierCode, supplierName, contactName, phone, email, address, city, taxNumber, paymentTerms, notes } = req.body;
+    const pool = db.getPool();
+
+    const existing = await pool.query(
+      `SELECT supplier_id FROM suppliers WHERE supplier_code = $1`,
+      [supplierCode]
+    );
+
+    if (existing.rows.length > 0) {
+      throw new ValidationError('Supplier code already exists');
+    }
+
+    const result = await pool.query(
+      `INSERT INTO suppliers (supplier_code, supplier_name, contact_name, phone, email, address, city, tax_number, payment_terms, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [supplierCode, supplierName, contactName || null, phone || null, email || null, address || null,
+        city || null, taxNumber || null, paymentTerms || null, notes || null]
+    );
+
+    res.status(201).json({ success: true, supplier: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update supplier
+router.put('/:id', authorize('inventory'), auditSupplier(), [
+  body('email').optional({ checkFalsy: true }).isEmail(),
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      throw new ValidationError('Validation failed', errors.array());
+    }
+
+    const { supplierName, contactName, phone, email, address, city, taxNumber, paymentTerms, notes, isActive } = req.body;
+
+    const result = await db.getPool().query(
+      `UPDATE suppliers SET
+         supplier_name = COALESCE($1, supplier_name),
+         contact_name = COALESCE($2, contact_name),
+         phone = COALESCE($3, phone),
+         email = COALESCE($4, email),
+         address = COALESCE($5, address),
+         city = COALESCE($6, city),
+         tax_number = COALESCE($7, tax_number),
+         payment_terms = COALESCE($8, payment_terms),
+         notes = COALESCE($9, notes),
+         is_active = COALESCE($10, is_active),
+         updated_at = CURRENT_TIMESTAMP
+       WHERE supplier_id = $11
+       RETURNING *`,
+      [supplierName, contactName, phone, email, address, city, taxNumber, paymentTerms, notes,
+        isActive, parseInt(req.params.id)]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Supplier');
+    }
+
+    res.json({ success: true, supplier: result.rows[0] });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Deactivate supplier (soft delete - purchase orders keep referencing it)
+router.delete('/:id', authorize('inventory'), auditSupplier(), async (req, res, next) => {
+  try {
+    const result = await db.getPool().query(
+      `UPDATE suppliers SET is_active = false, updated_at = CURRENT_TIMESTAMP
+       WHERE supplier_id = $1
+       RETURNING supplier_id`,
+      [parseInt(req.params.id)]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Supplier');
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,498 @@
+/**
+ * Account Service
+ * Customer credit accounts (khata): sales charged to the 'account' tender are
+ * invoices, payments received are allocated to them, and the balance and
+ * aging are worked out from invoices less allocations
+ * Every function takes a client from db.transaction (or the pool)
+ */
+
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const documentNumberService = require('./documentNumberService');
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+// Aging buckets by days since the invoice
+const AGING_BUCKETS = [
+  { key: 'current', label: '0-30 days', maxDays: 30 },
+  { key: 'days31to60', label: '31-60 days', maxDays: 60 },
+  { key: 'days61to90', label: '61-90 days', maxDays: 90 },
+  { key: 'over90', label: 'Over 90 days', maxDays: null },
+];
+
+/**
+ * Account invoices with what is still owed on each, as at $1
+ * (extra conditions on s use parameters from $2)
+ */
+const invoicesSql = (where = '') => `
+  SELECT s.sale_id, s.sale_number, s.customer_id, s.location_id, s.created_at,
+         inv.amount as invoiced,
+         COALESCE(al.amount, 0) as settled,
+         inv.amount - COALESCE(al.amount, 0) as outstanding,
+         ($1::timestamp::date - s.created_at::date) as age_days
+  FROM sales s
+  INNER JOIN (
+    SELECT sp.sale_id, SUM(sp.amount) as amount
+    FROM sale_payments sp
+    INNER JOIN payment_methods pm ON sp.payment_method_id = pm.payment_method_id
+    WHERE pm.method_type = 'account'
+    GROUP BY sp.sale_id
+  ) inv ON inv.sale_id = s.sale_id
+  LEFT JOIN (
+    SELECT sale_id, SUM(amount) as amount
+    FROM account_allocations
+    WHERE created_at <= $1
+    GROUP BY sale_id
+  ) al ON al.sale_id = s.sale_id
+  WHERE s.status = 'completed' AND s.created_at <= $1 ${where}`;
+
+const toInvoice = (row) => ({
+  saleId: row.sale_id,
+  saleNumber: row.sale_number,
+  createdAt: row.created_at,
+  invoiced: round2(parseFloat(row.invoiced)),
+  settled: round2(parseFloat(row.settled)),
+  outstanding: round2(parseFloat(row.outstanding)),
+  ageDays: parseInt(row.age_days),
+});
+
+/**
+ * Sum outstanding invoices into the aging buckets
+ */
+const ageInvoices = (invoices) => {
+  const aging = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+  for (const invoice of invoices) {
+    const bucket = AGING_BUCKETS.find(b => b.maxDays === null || invoice.ageDays <= b.maxDays);
+    aging[bucket.key] = round2(aging[bucket.key] + invoice.outstanding);
+  }
+  return aging;
+};
+
+/**
+ * Lock a customer row; every charge, payment and return on an account goes through this first
+ */
+const lockCustomer = async (client, customerId) => {
+  const result = await client.query(
+    `SELECT customer_id, first_name, last_name, credit_limit FROM customers WHERE customer_id = $1 FOR UPDATE`,
+    [customerId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Customer');
+  }
+  return result.rows[0];
+};
+
+/**
+ * A customer's unpaid invoices, oldest first
+ */
+const getOpenInvoices = async (client, customerId, { asOf = new Date() } = {}) => {
+  const result = await client.query(
+    `${invoicesSql('AND s.customer_id = $2')}
+       AND inv.amount - COALESCE(al.amount, 0) > 0
+     ORDER BY s.created_at, s.sale_id`,
+    [asOf, customerId]
+  );
+  return result.rows.map(toInvoice);
+};
+
+/**
+ * A customer's account: limit, balance, available credit, open invoices and aging
+ */
+const getAccount = async (client, customerId) => {
+  const customerResult = await client.query(
+    `SELECT customer_id, first_name, last_name, phone, credit_limit FROM customers WHERE customer_id = $1`,
+    [customerId]
+  );
+
+  if (customerResult.rows.length === 0) {
+    throw new NotFoundError('Customer');
+  }
+
+  const customer = customerResult.rows[0];
+  const invoices = await getOpenInvoices(client, customerId);
+  const balance = round2(invoices.reduce((sum, invoice) => sum + invoice.outstanding, 0));
+  const creditLimit = parseFloat(customer.credit_limit) || 0;
+
+  return {
+    customerId: customer.customer_id,
+    name: `${customer.first_name} ${customer.last_name || ''}`.trim(),
+    phone: customer.phone,
+    creditLimit,
+    balance,
+    available: round2(Math.max(creditLimit - balance, 0)),
+    invoices,
+    aging: ageInvoices(invoices),
+  };
+};
+
+/**
+ * Customers with a credit account or a balance, with their balances
+ */
+const listAccounts = async (client, { search = null } = {}) => {
+  const params = [new Date()];
+  let searchFilter = '';
+  if (search) {
+    params.push(`%${search}%`);
+    searchFilter = `AND (c.phone ILIKE $2 OR c.first_name ILIKE $2 OR c.last_name ILIKE $2)`;
+  }
+
+  const result = await client.query(
+    `SELECT c.customer_id, c.first_name, c.last_name, c.phone, c.credit_limit,
+            COALESCE(SUM(open.outstanding), 0) as balance,
+            MIN(open.created_at) FILTER (WHERE open.outstanding > 0) as oldest_invoice_at
+     FROM customers c
+     LEFT JOIN (${invoicesSql()}) open ON open.customer_id = c.customer_id
+     WHERE (c.credit_limit > 0 OR open.outstanding > 0) ${searchFilter}
+     GROUP BY c.customer_id
+     ORDER BY balance DESC, c.first_name`,
+    params
+  );
+
+  return result.rows.map(row => ({
+    customerId: row.customer_id,
+    name: `${row.first_name} ${row.last_name || ''}`.trim(),
+    phone: row.phone,
+    creditLimit: parseFloat(row.credit_limit) || 0,
+    balance: round2(parseFloat(row.balance)),
+    available: round2(Math.max((parseFloat(row.credit_limit) || 0) - parseFloat(row.balance), 0)),
+    oldestInvoiceAt: row.oldest_invoice_at,
+  }));
+};
+
+/**
+ * Set how much a customer may owe; 0 closes the account to new charges
+ */
+const setCreditLimit = async (client, customerId, creditLimit) => {
+  const limit = round2(parseFloat(creditLimit));
+  if (Number.isNaN(limit) || limit < 0) {
+    throw new ValidationError('Credit limit must be zero or more', [{ field: 'creditLimit' }]);
+  }
+
+  const result = await client.query(
+    `UPDATE customers SET credit_limit = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE customer_id = $2
+     RETURNING customer_id, credit_limit`,
+    [limit, customerId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Customer');
+  }
+  return result.rows[0];
+};
+
+/**
+ * Total of the payments charged to the account tender
+ */
+const accountTenderAmount = async (client, payments) => {
+  const methodIds = [...new Set(payments.map(payment => parseInt(payment.paymentMethodId)))];
+  if (methodIds.length === 0) return 0;
+
+  const result = await client.query(
+    `SELECT payment_method_id FROM payment_methods WHERE payment_method_id = ANY($1) AND method_type = 'account'`,
+    [methodIds]
+  );
+  const accountIds = new Set(result.rows.map(row => row.payment_method_id));
+
+  return round2(payments
+    .filter(payment => accountIds.has(parseInt(payment.paymentMethodId)))
+    .reduce((sum, payment) => sum + parseFloat(payment.amount || 0), 0));
+};
+
+/**
+ * Check a sale charged to a customer's account against their credit limit
+ * Called once the sale's payments are written, so the balance includes it
+ * Offline replays pass enforce false: the goods were already handed over
+ */
+const recordSaleCharge = async (client, { sale, payments, enforce = true }) => {
+  const amount = await accountTenderAmount(client, payments);
+  if (amount === 0 || !enforce) return;
+
+  if (!sale.customer_id) {
+    throw new ValidationError('Charging to an account needs a customer on the sale');
+  }
+
+  const customer = await lockCustomer(client, sale.customer_id);
+  const creditLimit = parseFloat(customer.credit_limit) || 0;
+  if (creditLimit <= 0) {
+    throw new ValidationError('Customer does not have a credit account');
+  }
+
+  const invoices = await getOpenInvoices(client, sale.customer_id);
+  const balance = round2(invoices.reduce((sum, invoice) => sum + invoice.outstanding, 0));
+  if (balance > creditLimit + 0.005) {
+    throw new ValidationError('Credit limit exceeded', [{
+      field: 'payments',
+      creditLimit,
+      balance: round2(balance - amount),
+      requested: amount,
+    }]);
+  }
+};
+
+/**
+ * Settle a returned sale's invoice with the amount refunded to the account
+ * Returns what could not be applied because the invoice was already paid
+ */
+const applyReturn = async (client, { sale, returnRecord, amount }) => {
+  if (!sale.customer_id) return amount;
+  await lockCustomer(client, sale.customer_id);
+
+  const invoiceResult = await client.query(
+    `${invoicesSql('AND s.sale_id = $2')}`,
+    [new Date(), sale.sale_id]
+  );
+  const outstanding = invoiceResult.rows.length > 0 ? parseFloat(invoiceResult.rows[0].outstanding) : 0;
+  const applied = round2(Math.min(amount, Math.max(outstanding, 0)));
+
+  if (applied > 0) {
+    await client.query(
+      `INSERT INTO account_allocations (sale_id, return_id, amount) VALUES ($1, $2, $3)`,
+      [sale.sale_id, returnRecord.return_id, applied]
+    );
+  }
+  return round2(amount - applied);
+};
+
+/**
+ * Receive a payment against a customer's account
+ * allocations ([{ saleId, amount }]) say which invoices it settles; without
+ * them it settles the oldest invoices first. A payment cannot be more than
+ * the customer owes
+ */
+const receivePayment = async (client, customerId, { amount, paymentMethodId, referenceNumber = null, notes = null, allocations = null, locationId, shiftId = null, userId }) => {
+  await lockCustomer(client, customerId);
+
+  const value = round2(parseFloat(amount));
+  if (!(value > 0)) {
+    throw new ValidationError('Payment amount must be more than zero', [{ field: 'amount' }]);
+  }
+
+  const methodResult = await client.query(
+    `SELECT payment_method_id, method_type FROM payment_methods WHERE payment_method_id = $1 AND is_active = true`,
+    [parseInt(paymentMethodId)]
+  );
+  if (methodResult.rows.length === 0) {
+    throw new ValidationError('Unknown payment method', [{ field: 'paymentMethodId' }]);
+  }
+  if (['account', 'credit', 'loyalty'].includes(methodResult.rows[0].method_type)) {
+    throw new ValidationError('Account payments must be made in cash, card or mobile', [{ field: 'paymentMethodId' }]);
+  }
+
+  const invoices = await getOpenInvoices(client, customerId);
+  const balance = round2(invoices.reduce((sum, invoice) => sum + invoice.outstanding, 0));
+  if (value > balance + 0.005) {
+    throw new ValidationError('Payment is more than the outstanding balance', [{
+      field: 'amount',
+      balance,
+      received: value,
+    }]);
+  }
+
+  let plan;
+  if (allocations && allocations.length > 0) {
+    // An invoice allocated more than once counts all of its allocations
+    plan = [];
+    for (const allocation of allocations) {
+      const invoice = invoices.find(inv => inv.saleId === parseInt(allocation.saleId));
+      const allocated = round2(parseFloat(allocation.amount));
+      if (!invoice) {
+        throw new ValidationError(`Sale ${allocation.saleId} is not an open invoice on this account`);
+      }
+
+      const planned = plan.find(entry => entry.saleId === invoice.saleId);
+      const invoiceTotal = round2(allocated + (planned ? planned.amount : 0));
+      if (!(allocated > 0) || invoiceTotal > invoice.outstanding + 0.005) {
+        throw new ValidationError('Allocation is more than the invoice owes', [{
+          saleId: invoice.saleId,
+          outstanding: invoice.outstanding,
+          received: invoiceTotal,
+        }]);
+      }
+
+      if (planned) {
+        planned.amount = invoiceTotal;
+      } else {
+        plan.push({ saleId: invoice.saleId, amount: allocated });
+      }
+    }
+
+    const allocatedTotal = round2(plan.reduce((sum, allocation) => sum + allocation.amount, 0));
+    if (Math.abs(allocatedTotal - value) > 0.005) {
+      throw new ValidationError('Allocations must add up to the payment', [{
+        field: 'allocations',
+        expected: value,
+        received: allocatedTotal,
+      }]);
+    }
+  } else {
+    plan = [];
+    let remaining = value;
+    for (const invoice of invoices) {
+      if (remaining <= 0) break;
+      const allocated = round2(Math.min(invoice.outstanding, remaining));
+      plan.push({ saleId: invoice.saleId, amount: allocated });
+      remaining = round2(remaining - allocated);
+    }
+  }
+
+  const paymentNumber = await documentNumberService.nextDocumentNumber(client, {
+    prefix: 'ACP',
+    table: 'account_payments',
+    locationId,
+  });
+
+  const paymentResult = await client.query(
+    `INSERT INTO account_payments (payment_number, customer_id, location_id, shift_id, payment_method_id, amount, reference_number, notes, received_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [paymentNumber, customerId, locationId, shiftId, parseInt(paymentMethodId), value, referenceNumber, notes, userId]
+  );
+  const payment = paymentResult.rows[0];
+
+  for (const allocation of plan) {
+    await client.query(
+      `INSERT INTO account_allocations (sale_id, account_payment_id, amount) VALUES ($1, $2, $3)`,
+      [allocation.saleId, payment.account_payment_id, allocation.amount]
+    );
+  }
+
+  return { payment, allocations: plan, balance: round2(balance - value) };
+};
+
+/**
+ * Statement of account for a period: opening balance, each invoice, payment
+ * and return with the running balance, closing balance and aging at the end
+ */
+const getStatement = async (client, customerId, { from, to }) => {
+  const account = await getAccount(client, customerId);
+
+  const movementsSql = `
+    SELECT 'INVOICE' as entry_type, s.created_at, s.sale_number as reference, inv.amount as amount, NULL as notes
+    FROM sales s
+    INNER JOIN (
+      SELECT sp.sale_id, SUM(sp.amount) as amount
+      FROM sale_payments sp
+      INNER JOIN payment_methods pm ON sp.payment_method_id = pm.payment_method_id
+      WHERE pm.method_type = 'account'
+      GROUP BY sp.sale_id
+    ) inv ON inv.sale_id = s.sale_id
+    WHERE s.customer_id = $1 AND s.status = 'completed'
+    UNION ALL
+    SELECT 'PAYMENT', ap.created_at, ap.payment_number, -ap.amount,
+           pm.method_name || COALESCE(' ' || ap.reference_number, '')
+    FROM account_payments ap
+    INNER JOIN payment_methods pm ON ap.payment_method_id = pm.payment_method_id
+    WHERE ap.customer_id = $1
+    UNION ALL
+    SELECT 'RETURN', aa.created_at, r.return_number, -aa.amount, 'Against ' || s.sale_number
+    FROM account_allocations aa
+    INNER JOIN returns r ON aa.return_id = r.return_id
+    INNER JOIN sales s ON aa.sale_id = s.sale_id
+    WHERE s.customer_id = $1`;
+
+  const openingResult = await client.query(
+    `SELECT COALESCE(SUM(amount), 0) as balance FROM (${movementsSql}) m WHERE m.created_at < $2`,
+    [customerId, from]
+  );
+
+  const entriesResult = await client.query(
+    `SELECT * FROM (${movementsSql}) m
+     WHERE m.created_at >= $2 AND m.created_at < $3
+     ORDER BY m.created_at, m.entry_type`,
+    [customerId, from, to]
+  );
+
+  const openingBalance = round2(parseFloat(openingResult.rows[0].balance));
+  let balance = openingBalance;
+  const entries = entriesResult.rows.map(row => {
+    const amount = round2(parseFloat(row.amount));
+    balance = round2(balance + amount);
+    return {
+      type: row.entry_type,
+      date: row.created_at,
+      reference: row.reference,
+      notes: row.notes,
+      debit: amount > 0 ? amount : 0,
+      credit: amount < 0 ? -amount : 0,
+      balance,
+    };
+  });
+
+  const invoicesResult = await client.query(
+    `${invoicesSql('AND s.customer_id = $2')}
+       AND inv.amount - COALESCE(al.amount, 0) > 0
+     ORDER BY s.created_at, s.sale_id`,
+    [to, customerId]
+  );
+  const openInvoices = invoicesResult.rows.map(toInvoice);
+
+  return {
+    customer: { customerId: account.customerId, name: account.name, phone: account.phone, creditLimit: account.creditLimit },
+    from,
+    to,
+    openingBalance,
+    entries,
+    closingBalance: balance,
+    openInvoices,
+    aging: ageInvoices(openInvoices),
+  };
+};
+
+/**
+ * Aging report: what each customer owes, split by invoice age, as at a date
+ */
+const getAgingReport = async (client, { asOf = new Date() } = {}) => {
+  const result = await client.query(
+    `SELECT open.*, c.first_name, c.last_name, c.phone, c.credit_limit
+     FROM (${invoicesSql()}) open
+     INNER JOIN customers c ON open.customer_id = c.customer_id
+     WHERE open.outstanding > 0
+     ORDER BY c.first_name, c.last_name, open.created_at`,
+    [asOf]
+  );
+
+  const customers = new Map();
+  for (const row of result.rows) {
+    if (!customers.has(row.customer_id)) {
+      customers.set(row.customer_id, {
+        customerId: row.customer_id,
+        name: `${row.first_name} ${row.last_name || ''}`.trim(),
+        phone: row.phone,
+        creditLimit: parseFloat(row.credit_limit) || 0,
+        invoices: [],
+      });
+    }
+    customers.get(row.customer_id).invoices.push(toInvoice(row));
+  }
+
+  const rows = [...customers.values()].map(({ invoices, ...customer }) => ({
+    ...customer,
+    ...ageInvoices(invoices),
+    total: round2(invoices.reduce((sum, invoice) => sum + invoice.outstanding, 0)),
+    invoiceCount: invoices.length,
+  }));
+
+  const totals = Object.fromEntries(
+    [...AGING_BUCKETS.map(bucket => bucket.key), 'total'].map(key => [
+      key,
+      round2(rows.reduce((sum, row) => sum + row[key], 0)),
+    ])
+  );
+
+  return { asOf, buckets: AGING_BUCKETS, customers: rows, totals };
+};
+
+module.exports = {
+  AGING_BUCKETS,
+  getOpenInvoices,
+  getAccount,
+  listAccounts,
+  setCreditLimit,
+  accountTenderAmount,
+  recordSaleCharge,
+  applyReturn,
+  receivePayment,
+  getStatement,
+  getAgingReport,
+};
@@ -0,0 +1,191 @@
+/**
+ * Approval Service
+ * Manager PIN verification (bcrypt), short-lived single-use approval tokens
+ * for a specific action, and the approvals log of who approved what
+ * Every function takes a client from db.transaction (or the pool)
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { ValidationError, ForbiddenError } = require('../middleware/errorHandler');
+const { getNumericSetting } = require('./pricingService');
+
+// Actions the Security settings can switch on or off, and the setting behind each
+const CONFIGURABLE_ACTIONS = {
+  VOID: 'approval_required_void',
+  DISCOUNT: 'approval_required_discount',
+  PRICE_OVERRIDE: 'approval_required_price_override',
+  REFUND: 'approval_required_refund',
+  NO_SALE: 'approval_required_no_sale',
+};
+
+// Actions that always need a manager
+const ALWAYS_REQUIRED = ['CASH_MOVEMENT', 'CASH_VARIANCE'];
+
+const ACTIONS = [...Object.keys(CONFIGURABLE_ACTIONS), ...ALWAYS_REQUIRED];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Which configurable actions currently need approval
+ */
+const getRequirements = async (client) => {
+  const result = await client.query(
+    `SELECT setting_key, setting_value FROM settings WHERE setting_key = ANY($1)`,
+    [Object.values(CONFIGURABLE_ACTIONS)]
+  );
+  const values = new Map(result.rows.map(row => [row.setting_key, row.setting_value]));
+
+  const requirements = {};
+  for (const [action, key] of Object.entries(CONFIGURABLE_ACTIONS)) {
+    // Unset means required - approval is opt-out, never silently off
+    requirements[action] = values.get(key) !== 'false';
+  }
+  return requirements;
+};
+
+const isApprovalRequired = async (client, action) => {
+  if (!CONFIGURABLE_ACTIONS[action]) return true;
+  const requirements = await getRequirements(client);
+  return requirements[action];
+};
+
+/**
+ * Find the active manager or admin whose PIN matches
+ * Managers must belong to the location; admins can approve anywhere
+ */
+const verifyPin = async (client, { pin, locationId }) => {
+  if (!pin) {
+    throw new ForbiddenError('Manager PIN required for this operation');
+  }
+
+  const result = await client.query(
+    `SELECT u.user_id, u.first_name, u.last_name, u.pin_hash, r.role_name
+     FROM users u
+     INNER JOIN roles r ON u.role_id = r.role_id
+     WHERE u.is_active = true
+       AND u.pin_hash IS NOT NULL
+       AND (r.role_name = 'admin' OR (r.role_name = 'manager' AND u.default_location_id = $1))`,
+    [locationId || null]
+  );
+
+  for (const candidate of result.rows) {
+    if (await bcrypt.compare(String(pin), candidate.pin_hash)) {
+      const { pin_hash, ...manager } = candidate;
+      return manager;
+    }
+  }
+
+  throw new ForbiddenError('Invalid Manager PIN');
+};
+
+/**
+ * Verify a manager PIN and issue a single-use token for one action
+ * Only the token's hash is stored
+ */
+const issueToken = async (client, { action, pin, locationId, requestedBy, referenceType, referenceId, context, reason }) => {
+  if (!ACTIONS.includes(action)) {
+    throw new ValidationError('Unknown approval action', [{ field: 'action', allowed: ACTIONS }]);
+  }
+
+  const manager = await verifyPin(client, { pin, locationId });
+  const ttlSeconds = await getNumericSetting(client, 'approval_token_ttl_seconds', 300);
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const result = await client.query(
+    `INSERT INTO approvals (action_type, token_hash, location_id, requested_by, approved_by,
+                            reference_type, reference_id, context, reason, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP + ($10 * INTERVAL '1 second'))
+     RETURNING approval_id, expires_at`,
+    [
+      action, hashToken(token), locationId || null, requestedBy, manager.user_id,
+      referenceType || null, referenceId ? parseInt(referenceId) : null,
+      context ? JSON.stringify(context) : null, reason || null, ttlSeconds,
+    ]
+  );
+
+  return {
+    approvalId: result.rows[0].approval_id,
+    token,
+    expiresAt: result.rows[0].expires_at,
+    approvedBy: manager,
+  };
+};
+
+/**
+ * Check a token is valid for this action, user and record without spending it
+ * A token issued for a specific record (e.g. one sale) only works for that record
+ */
+const checkToken = async (client, { token, action, referenceId, userId }, { lock = false } = {}) => {
+  const result = await client.query(
+    `SELECT a.*, u.first_name, u.last_name, r.role_name
+     FROM approvals a
+     INNER JOIN users u ON a.approved_by = u.user_id
+     INNER JOIN roles r ON u.role_id = r.role_id
+     WHERE a.token_hash = $1
+     ${lock ? 'FOR UPDATE OF a' : ''}`,
+    [hashToken(String(token))]
+  );
+
+  const approval = result.rows[0];
+  if (!approval || approval.used_at || approval.action_type !== action) {
+    throw new ForbiddenError('Invalid approval token');
+  }
+  if (new Date(approval.expires_at) < new Date()) {
+    throw new ForbiddenError('Approval has expired');
+  }
+  if (approval.requested_by !== userId) {
+    throw new ForbiddenError('Approval was issued to a different user');
+  }
+  if (approval.reference_id && referenceId && approval.reference_id !== parseInt(referenceId)) {
+    throw new ForbiddenError('Approval was issued for a different record');
+  }
+
+  return approval;
+};
+
+/**
+ * Spend a token on the action it was issued for
+ * Called in the action's own transaction, so the token stays unused if it rolls back
+ */
+const consumeToken = async (client, { token, action, referenceId, userId }) => {
+  const approval = await checkToken(client, { token, action, referenceId, userId }, { lock: true });
+
+  await client.query(
+    `UPDATE approvals SET used_at = CURRENT_TIMESTAMP, reference_id = COALESCE(reference_id, $1)
+     WHERE approval_id = $2`,
+    [referenceId ? parseInt(referenceId) : null, approval.approval_id]
+  );
+
+  return approval;
+};
+
+/**
+ * Log an approval given with a PIN directly on the request (no token round trip)
+ */
+const recordApproval = async (client, { action, manager, locationId, requestedBy, referenceType, referenceId, context, reason }) => {
+  const result = await client.query(
+    `INSERT INTO approvals (action_type, location_id, requested_by, approved_by,
+                            reference_type, reference_id, context, reason, expires_at, used_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+     RETURNING *`,
+    [
+      action, locationId || null, requestedBy, manager.user_id,
+      referenceType || null, referenceId ? parseInt(referenceId) : null,
+      context ? JSON.stringify(context) : null, reason || null,
+    ]
+  );
+  return result.rows[0];
+};
+
+module.exports = {
+  CONFIGURABLE_ACTIONS,
+  ACTIONS,
+  getRequirements,
+  isApprovalRequired,
+  verifyPin,
+  issueToken,
+  checkToken,
+  consumeToken,
+  recordApproval,
+};
@@ -0,0 +1,85 @@
+/**
+ * Audit Service
+ * Append-only record of sensitive changes: who changed which record,
+ * from which values to which, from which IP and terminal
+ * Every function takes a client from db.transaction (or the pool)
+ */
+
+// Never copied into the audit log
+const REDACTED_FIELDS = ['password_hash', 'pin_hash', 'refresh_token', 'token_hash'];
+
+const redact = (values) => {
+  if (!values || typeof values !== 'object') return values ?? null;
+  const copy = { ...values };
+  for (const field of REDACTED_FIELDS) {
+    if (field in copy) copy[field] = '[redacted]';
+  }
+  return copy;
+};
+
+// Compare as JSON so dates and numerics from pg compare by value
+const normalize = (value) => JSON.stringify(value ?? null);
+
+/**
+ * Fields whose value differs between the two snapshots
+ */
+const diffFields = (oldValues, newValues) => {
+  if (!oldValues || !newValues) return null;
+  const fields = new Set([...Object.keys(oldValues), ...Object.keys(newValues)]);
+  return [...fields].filter(field =>
+    field !== 'updated_at' && normalize(oldValues[field]) !== normalize(newValues[field])
+  );
+};
+
+/**
+ * Who and where a request came from
+ */
+const getRequestContext = (req) => ({
+  userId: req.user?.user_id || null,
+  locationId: req.user?.default_location_id || null,
+  ipAddress: req.ip || null,
+  userAgent: req.get('user-agent')?.slice(0, 500) || null,
+  terminalId: req.get('x-terminal-id')?.slice(0, 50) || null,
+  requestPath: `${req.method} ${req.originalUrl}`.slice(0, 255),
+});
+
+/**
+ * Write one audit entry
+ * Pass the request to take actor, IP and terminal from it
+ */
+const record = async (client, { tableName, recordId, action, oldValues = null, newValues = null, reason = null, req = null }) => {
+  // Diff before redacting so a changed password or PIN still shows as changed
+  const changedFields = diffFields(oldValues, newValues);
+  const before = redact(oldValues);
+  const after = redact(newValues);
+  const context = req ? getRequestContext(req) : {};
+
+  const result = await client.query(
+    `INSERT INTO audit_log (table_name, record_id, action, old_values, new_values, changed_fields, reason,
+                            user_id, location_id, ip_address, user_agent, terminal_id, request_path)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     RETURNING audit_id`,
+    [
+      tableName,
+      recordId !== undefined && recordId !== null ? String(recordId) : null,
+      action,
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      changedFields ? JSON.stringify(changedFields) : null,
+      reason ? String(reason).slice(0, 500) : null,
+      context.userId || null,
+      context.locationId || null,
+      context.ipAddress || null,
+      context.userAgent || null,
+      context.terminalId || null,
+      context.requestPath || null,
+    ]
+  );
+
+  return result.rows[0].audit_id;
+};
+
+module.exports = {
+  diffFields,
+  record,
+};
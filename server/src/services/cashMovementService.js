@@ -0,0 +1,156 @@
+/**
+ * Cash Movement Service
+ * Paid-ins, paid-outs and safe drops recorded against a shift, and the
+ * totals the expected-cash calculations need
+ * Every function takes a client from db.transaction (or the pool)
+ */
+
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const MOVEMENT_TYPES = ['PAID_IN', 'PAID_OUT', 'SAFE_DROP'];
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Total movements by type for one shift, or for a location over a period
+ */
+const summarizeMovements = async (client, { shiftId = null, locationId = null, periodStart = null, periodEnd = null }) => {
+  let sql;
+  let params;
+
+  if (shiftId) {
+    sql = `WHERE shift_id = $1`;
+    params = [parseInt(shiftId)];
+  } else {
+    sql = `WHERE location_id = $1 AND created_at >= $2 AND created_at < $3`;
+    params = [parseInt(locationId), periodStart, periodEnd];
+  }
+
+  const result = await client.query(
+    `SELECT
+       COALESCE(SUM(CASE WHEN movement_type = 'PAID_IN' THEN amount ELSE 0 END), 0) as paid_in,
+       COALESCE(SUM(CASE WHEN movement_type = 'PAID_OUT' THEN amount ELSE 0 END), 0) as paid_out,
+       COALESCE(SUM(CASE WHEN movement_type = 'SAFE_DROP' THEN amount ELSE 0 END), 0) as safe_drops
+     FROM cash_movements
+     ${sql}`,
+    params
+  );
+
+  const paidIn = round2(parseFloat(result.rows[0].paid_in));
+  const paidOut = round2(parseFloat(result.rows[0].paid_out));
+  const safeDrops = round2(parseFloat(result.rows[0].safe_drops));
+
+  return {
+    paidIn,
+    paidOut,
+    safeDrops,
+    net: round2(paidIn - paidOut - safeDrops),
+  };
+};
+
+/**
+ * List a shift's movements, oldest first
+ */
+const listMovements = async (client, shiftId) => {
+  const result = await client.query(
+    `SELECT cm.*, u.first_name as user_first_name, u.last_name as user_last_name,
+            a.first_name as approved_by_first_name, a.last_name as approved_by_last_name
+     FROM cash_movements cm
+     INNER JOIN users u ON cm.user_id = u.user_id
+     INNER JOIN users a ON cm.approved_by = a.user_id
+     WHERE cm.shift_id = $1
+     ORDER BY cm.created_at`,
+    [parseInt(shiftId)]
+  );
+  return result.rows;
+};
+
+/**
+ * Record a movement against an active shift
+ * Paid-outs and safe drops cannot take out more cash than the drawer should hold
+ */
+const recordMovement = async (client, { shiftId, movementType, amount, reason, userId, approvedBy }) => {
+  if (!MOVEMENT_TYPES.includes(movementType)) {
+    throw new ValidationError('Invalid cash movement type', [{ field: 'movementType', allowed: MOVEMENT_TYPES }]);
+  }
+
+  const shiftResult = await client.query(
+    `SELECT * FROM shifts WHERE shift_id = $1 FOR UPDATE`,
+    [parseInt(shiftId)]
+  );
+
+  if (shiftResult.rows.length === 0) {
+    throw new NotFoundError('Shift');
+  }
+
+  const shift = shiftResult.rows[0];
+  if (shift.status !== 'active') {
+    throw new ValidationError('Cash movements can only be recorded on an active shift');
+  }
+
+  const value = round2(parseFloat(amount));
+
+  if (movementType !== 'PAID_IN') {
+    const expectedCash = await getExpectedCash(client, shift);
+    if (value > expectedCash + 0.005) {
+      // The expected amount is left out so a blind close stays blind
+      throw new ValidationError('Amount is more than the cash expected in the drawer', [{
+        field: 'amount',
+        received: value,
+      }]);
+    }
+  }
+
+  const result = await client.query(
+    `INSERT INTO cash_movements (shift_id, location_id, movement_type, amount, reason, user_id, approved_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [shift.shift_id, shift.location_id, movementType, value, reason, userId, approvedBy]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Cash the drawer should hold: opening float, cash taken less cash refunded,
+ * plus cash received on customer accounts and paid-ins, less paid-outs and
+ * safe drops
+ */
+const getExpectedCash = async (client, shift) => {
+  const cashResult = await client.query(
+    `SELECT
+       (SELECT COALESCE(SUM(sp.amount), 0)
+        FROM sale_payments sp
+        INNER JOIN sales s ON sp.sale_id = s.sale_id
+        INNER JOIN payment_methods pm ON sp.payment_method_id = pm.payment_method_id
+        WHERE s.shift_id = $1 AND s.status = 'completed' AND pm.method_type = 'cash') as cash_sales,
+       (SELECT COALESCE(SUM(rp.amount), 0)
+        FROM return_payments rp
+        INNER JOIN returns r ON rp.return_id = r.return_id
+        INNER JOIN payment_methods pm ON rp.payment_method_id = pm.payment_method_id
+        WHERE r.shift_id = $1 AND r.status = 'completed' AND pm.method_type = 'cash') as cash_refunds,
+       (SELECT COALESCE(SUM(ap.amount), 0)
+        FROM account_payments ap
+        INNER JOIN payment_methods pm ON ap.payment_method_id = pm.payment_method_id
+        WHERE ap.shift_id = $1 AND pm.method_type = 'cash') as cash_account_payments`,
+    [shift.shift_id]
+  );
+
+  const movements = await summarizeMovements(client, { shiftId: shift.shift_id });
+
+  return round2(
+    parseFloat(shift.opening_cash || 0) +
+    parseFloat(cashResult.rows[0].cash_sales) -
+    parseFloat(cashResult.rows[0].cash_refunds) +
+    parseFloat(cashResult.rows[0].cash_account_payments) +
+    movements.net
+  );
+};
+
+module.exports = {
+  MOVEMENT_TYPES,
+  summarizeMovements,
+  listMovements,
+  recordMovement,
+  getExpectedCash,
+};
@@ -0,0 +1,394 @@
+/**
+ * Coupon Service
+ * Codes customers bring to the till (SMS vouchers, printed coupons). A coupon
+ * takes a percentage or fixed amount off the cart once promotions and the
+ * manual discount are applied, optionally capped, above a minimum spend and
+ * between starts_at and expires_at
+ *
+ * usage_limit caps uses across everyone (1 = single use) and per_customer_limit
+ * uses by one customer; a coupon linked to a customer only works for them.
+ * Uses are the coupon_redemptions of sales that were not voided
+ * Every function takes a client from db.transaction (or the pool)
+ */
+
+const crypto = require('crypto');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const DISCOUNT_TYPES = ['PERCENTAGE', 'FIXED'];
+
+// No 0/O or 1/I - codes are read out and typed in by hand
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+const optionalNumber = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+
+const optionalInt = (value) => (value === undefined || value === null || value === '' ? null : parseInt(value));
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * A random code, e.g. EID-7KQ2M9XH
+ */
+const generateCode = (prefix = '') => {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  const cleanPrefix = normalizeCode(prefix).replace(/[^A-Z0-9]/g, '');
+  return cleanPrefix ? `${cleanPrefix}-${code}` : code;
+};
+
+/**
+ * Validate a coupon from the API (camelCase) into column values
+ * The code is left null when none is given, to be generated
+ */
+const normalizeCoupon = (data) => {
+  const errors = [];
+
+  const coupon = {
+    code: data.code ? normalizeCode(data.code) : null,
+    description: data.description ? String(data.description).trim() : null,
+    discount_type: data.discountType || 'PERCENTAGE',
+    discount_value: optionalNumber(data.discountValue),
+    max_discount_amount: optionalNumber(data.maxDiscountAmount),
+    min_spend: optionalNumber(data.minSpend),
+    usage_limit: optionalInt(data.usageLimit),
+    per_customer_limit: optionalInt(data.perCustomerLimit),
+    customer_id: optionalInt(data.customerId),
+    starts_at: data.startsAt || null,
+    expires_at: data.expiresAt || null,
+    campaign: data.campaign ? String(data.campaign).trim() : null,
+    is_active: data.isActive === undefined ? true : data.isActive === true || data.isActive === 'true',
+  };
+
+  if (coupon.code && !/^[A-Z0-9-]{4,40}$/.test(coupon.code)) {
+    errors.push({ field: 'code', message: 'Codes are 4-40 letters, digits or dashes' });
+  }
+  if (!DISCOUNT_TYPES.includes(coupon.discount_type)) {
+    errors.push({ field: 'discountType', message: 'Discount type must be PERCENTAGE or FIXED' });
+  }
+  if (coupon.discount_value === null || Number.isNaN(coupon.discount_value) || coupon.discount_value <= 0) {
+    errors.push({ field: 'discountValue', message: 'Discount must be more than 0' });
+  } else if (coupon.discount_type === 'PERCENTAGE' && coupon.discount_value > 100) {
+    errors.push({ field: 'discountValue', message: 'A percentage discount cannot exceed 100' });
+  }
+  if (coupon.max_discount_amount !== null && !(coupon.max_discount_amount > 0)) {
+    errors.push({ field: 'maxDiscountAmount', message: 'The cap must be more than 0' });
+  }
+  if (coupon.min_spend !== null && !(coupon.min_spend >= 0)) {
+    errors.push({ field: 'minSpend', message: 'Minimum spend cannot be negative' });
+  }
+  if (coupon.usage_limit !== null && !(coupon.usage_limit > 0)) {
+    errors.push({ field: 'usageLimit', message: 'Usage limit must be 1 or more' });
+  }
+  if (coupon.per_customer_limit !== null && !(coupon.per_customer_limit > 0)) {
+    errors.push({ field: 'perCustomerLimit', message: 'Per-customer limit must be 1 or more' });
+  }
+  if (coupon.starts_at && coupon.expires_at && new Date(coupon.expires_at) < new Date(coupon.starts_at)) {
+    errors.push({ field: 'expiresAt', message: 'Expiry is before the start date' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid coupon', errors);
+  }
+
+  return coupon;
+};
+
+const COLUMNS = [
+  'code', 'description', 'discount_type', 'discount_value', 'max_discount_amount', 'min_spend',
+  'usage_limit', 'per_customer_limit', 'customer_id', 'starts_at', 'expires_at', 'campaign', 'is_active',
+];
+
+/**
+ * Insert a normalized coupon; a generated code is retried if it is taken
+ */
+const insertCoupon = async (client, coupon, { userId, prefix } = {}) => {
+  const generated = !coupon.code;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const values = { ...coupon, code: coupon.code || generateCode(prefix) };
+    const result = await client.query(
+      `INSERT INTO coupons (${COLUMNS.join(', ')}, created_by)
+       VALUES (${COLUMNS.map((column, i) => `$${i + 1}`).join(', ')}, $${COLUMNS.length + 1})
+       ON CONFLICT (code) DO NOTHING
+       RETURNING *`,
+      [...COLUMNS.map(column => values[column]), userId || null]
+    );
+
+    if (result.rows.length > 0) {
+      return result.rows[0];
+    }
+    if (!generated) {
+      throw new ValidationError('Coupon code already exists', [{ field: 'code', message: `${values.code} is already in use` }]);
+    }
+  }
+
+  throw new Error('Could not generate a unique coupon code');
+};
+
+const createCoupon = async (client, data, userId) => {
+  const coupon = normalizeCoupon(data);
+
+  if (coupon.customer_id) {
+    await assertCustomer(client, coupon.customer_id);
+  }
+
+  return insertCoupon(client, coupon, { userId, prefix: data.prefix });
+};
+
+/**
+ * One single-use code per customer, linked to them (for SMS campaigns)
+ * Returns [{ customerId, couponId, code }]
+ */
+const createCustomerCoupons = async (client, template, customerIds, { campaign = null, userId = null } = {}) => {
+  const coupon = normalizeCoupon({ ...template, code: null, customerId: null, campaign: campaign || template.campaign });
+  const created = [];
+
+  for (const customerId of customerIds) {
+    const row = await insertCoupon(client, {
+      ...coupon,
+      customer_id: customerId,
+      usage_limit: 1,
+      per_customer_limit: 1,
+    }, { userId, prefix: template.prefix });
+
+    created.push({ customerId, couponId: row.coupon_id, code: row.code });
+  }
+
+  return created;
+};
+
+/**
+ * Replace a coupon's settings; the code itself cannot change
+ */
+const updateCoupon = async (client, couponId, data) => {
+  const existing = await getCoupon(client, couponId);
+  const coupon = normalizeCoupon({ ...data, code: existing.code });
+
+  if (coupon.customer_id) {
+    await assertCustomer(client, coupon.customer_id);
+  }
+
+  const columns = COLUMNS.filter(column => column !== 'code');
+  const result = await client.query(
+    `UPDATE coupons
+     SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE coupon_id = $${columns.length + 1}
+     RETURNING *`,
+    [...columns.map(column => coupon[column]), couponId]
+  );
+
+  return result.rows[0];
+};
+
+const assertCustomer = async (client, customerId) => {
+  const result = await client.query(`SELECT customer_id FROM customers WHERE customer_id = $1`, [customerId]);
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Customer');
+  }
+};
+
+// Uses that count: redemptions on sales that were not voided
+const USAGE_SQL = `
+  SELECT cr.coupon_id, COUNT(*) as times_used, SUM(cr.discount_amount) as discount_total
+  FROM coupon_redemptions cr
+  INNER JOIN sales s ON cr.sale_id = s.sale_id AND s.status <> 'voided'
+  GROUP BY cr.coupon_id`;
+
+/**
+ * Coupons with their use counts
+ * status: active (usable now), expired, used_up or inactive
+ */
+const listCoupons = async (client, { search, customerId, campaign, status, page = 1, limit = 50 } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (search) {
+    params.push(`%${search}%`);
+    conditions.push(`(c.code ILIKE $${params.length} OR c.description ILIKE $${params.length} OR c.campaign ILIKE $${params.length})`);
+  }
+  if (customerId) {
+    params.push(parseInt(customerId));
+    conditions.push(`c.customer_id = $${params.length}`);
+  }
+  if (campaign) {
+    params.push(campaign);
+    conditions.push(`c.campaign = $${params.length}`);
+  }
+
+  const usedUp = `(c.usage_limit IS NOT NULL AND COALESCE(usage.times_used, 0) >= c.usage_limit)`;
+  const expired = `(c.expires_at IS NOT NULL AND c.expires_at < CURRENT_TIMESTAMP)`;
+  if (status === 'active') {
+    conditions.push(`c.is_active = true AND NOT ${expired} AND NOT ${usedUp}`);
+  } else if (status === 'expired') {
+    conditions.push(expired);
+  } else if (status === 'used_up') {
+    conditions.push(usedUp);
+  } else if (status === 'inactive') {
+    conditions.push(`c.is_active = false`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const from = `
+    FROM coupons c
+    LEFT JOIN (${USAGE_SQL}) usage ON usage.coupon_id = c.coupon_id
+    LEFT JOIN customers cu ON c.customer_id = cu.customer_id
+    ${where}`;
+
+  const countResult = await client.query(`SELECT COUNT(*) as total ${from}`, params);
+
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+  const result = await client.query(
+    `SELECT c.*, COALESCE(usage.times_used, 0) as times_used, COALESCE(usage.discount_total, 0) as discount_total,
+            cu.first_name as customer_first_name, cu.last_name as customer_last_name, cu.phone as customer_phone,
+            CASE
+              WHEN c.is_active = false THEN 'inactive'
+              WHEN ${expired} THEN 'expired'
+              WHEN ${usedUp} THEN 'used_up'
+              ELSE 'active'
+            END as status
+     ${from}
+     ORDER BY c.created_at DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, parseInt(limit), offset]
+  );
+
+  return {
+    coupons: result.rows,
+    pagination: {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      total: parseInt(countResult.rows[0].total),
+      pages: Math.ceil(countResult.rows[0].total / limit),
+    },
+  };
+};
+
+const getCoupon = async (client, couponId) => {
+  const result = await client.query(`SELECT * FROM coupons WHERE coupon_id = $1`, [couponId]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Coupon');
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * A coupon with the sales it was used on
+ */
+const getCouponDetail = async (client, couponId) => {
+  const coupon = await getCoupon(client, couponId);
+
+  const redemptionsResult = await client.query(
+    `SELECT cr.*, s.sale_number, s.status as sale_status,
+            cu.first_name as customer_first_name, cu.last_name as customer_last_name
+     FROM coupon_redemptions cr
+     INNER JOIN sales s ON cr.sale_id = s.sale_id
+     LEFT JOIN customers cu ON cr.customer_id = cu.customer_id
+     WHERE cr.coupon_id = $1
+     ORDER BY cr.redeemed_at DESC`,
+    [couponId]
+  );
+
+  return { ...coupon, redemptions: redemptionsResult.rows };
+};
+
+/**
+ * Check a code against a cart and work out its discount
+ * subtotal is what the coupon applies to (after promotions and the manual
+ * discount). The coupon row is locked so concurrent sales cannot both take
+ * the last use. Returns { coupon, discountAmount }
+ */
+const checkCoupon = async (client, code, { customerId = null, subtotal, at = new Date() }) => {
+  const result = await client.query(
+    `SELECT * FROM coupons WHERE code = $1 FOR UPDATE`,
+    [normalizeCode(code)]
+  );
+
+  const coupon = result.rows[0];
+  if (!coupon) {
+    throw new ValidationError('Coupon code not recognised');
+  }
+  if (!coupon.is_active) {
+    throw new ValidationError('This coupon is no longer valid');
+  }
+  if (coupon.starts_at && at < new Date(coupon.starts_at)) {
+    throw new ValidationError(`This coupon can be used from ${new Date(coupon.starts_at).toLocaleDateString()}`);
+  }
+  if (coupon.expires_at && at > new Date(coupon.expires_at)) {
+    throw new ValidationError('This coupon has expired');
+  }
+
+  const minSpend = parseFloat(coupon.min_spend) || 0;
+  if (subtotal < minSpend) {
+    throw new ValidationError(`This coupon needs a spend of at least ${minSpend.toFixed(2)}`);
+  }
+
+  if (coupon.customer_id && coupon.customer_id !== parseInt(customerId)) {
+    throw new ValidationError(customerId
+      ? 'This coupon belongs to another customer'
+      : 'Select the customer this coupon was issued to');
+  }
+  if (coupon.per_customer_limit && !customerId) {
+    throw new ValidationError('Select a customer to use this coupon');
+  }
+
+  const usageResult = await client.query(
+    `SELECT COUNT(*) as times_used,
+            COUNT(*) FILTER (WHERE cr.customer_id = $2) as customer_uses
+     FROM coupon_redemptions cr
+     INNER JOIN sales s ON cr.sale_id = s.sale_id AND s.status <> 'voided'
+     WHERE cr.coupon_id = $1`,
+    [coupon.coupon_id, customerId ? parseInt(customerId) : null]
+  );
+  const timesUsed = parseInt(usageResult.rows[0].times_used);
+  const customerUses = parseInt(usageResult.rows[0].customer_uses);
+
+  if (coupon.usage_limit && timesUsed >= coupon.usage_limit) {
+    throw new ValidationError(coupon.usage_limit === 1 ? 'This coupon has already been used' : 'This coupon has been used up');
+  }
+  if (coupon.per_customer_limit && customerUses >= coupon.per_customer_limit) {
+    throw new ValidationError('This customer has already used this coupon');
+  }
+
+  const value = parseFloat(coupon.discount_value);
+  let discountAmount = coupon.discount_type === 'PERCENTAGE' ? subtotal * value / 100 : value;
+  if (coupon.max_discount_amount !== null) {
+    discountAmount = Math.min(discountAmount, parseFloat(coupon.max_discount_amount));
+  }
+
+  return {
+    coupon,
+    discountAmount: round2(Math.max(0, Math.min(discountAmount, subtotal))),
+  };
+};
+
+/**
+ * Record a coupon's use against a completed sale
+ */
+const recordRedemption = async (client, { couponId, saleId, customerId = null, discountAmount, userId }) => {
+  const result = await client.query(
+    `INSERT INTO coupon_redemptions (coupon_id, sale_id, customer_id, discount_amount, redeemed_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING *`,
+    [couponId, saleId, customerId, discountAmount, userId]
+  );
+
+  return result.rows[0];
+};
+
+module.exports = {
+  generateCode,
+  createCoupon,
+  createCustomerCoupons,
+  updateCoupon,
+  listCoupons,
+  getCoupon,
+  getCouponDetail,
+  checkCoupon,
+  recordRedemption,
+};
@@ -0,0 +1,531 @@
+/**
+ * Customer Service
+ * Purchase rollups on customers (total_purchases, visit_count, last_visit_at),
+ * kept up to date by sales, voids and returns (the legacy
+ * sp_UpdateCustomerTotals). total_purchases is net of refunds
+ * Also finds likely duplicate customers (same number written as +92 / 03xx,
+ * a mistyped digit, a misspelt name) and merges one record into another
+ * Every function takes a client from db.transaction
+ */
+
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+// Tables whose customer_id moves to the survivor when two customers are merged
+const MERGED_TABLES = [
+  'sales',
+  'parked_sales',
+  'returns',
+  'coupons',
+  'coupon_redemptions',
+  'loyalty_transactions',
+  'wallet_transactions',
+  'account_payments',
+];
+
+const NAME_TITLES = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'sir', 'madam']);
+
+/**
+ * Count a completed sale towards its customer's rollups
+ * Incremental, so concurrent sales for one customer never overwrite each other
+ */
+const recordPurchase = async (client, { sale }) => {
+  if (!sale.customer_id) return;
+
+  await client.query(
+    `UPDATE customers SET
+       total_purchases = COALESCE(total_purchases, 0) + $1,
+       visit_count = COALESCE(visit_count, 0) + 1,
+       last_visit_at = GREATEST(COALESCE(last_visit_at, $2), $2),
+       updated_at = CURRENT_TIMESTAMP
+     WHERE customer_id = $3`,
+    [round2(parseFloat(sale.total_amount)), sale.created_at, sale.customer_id]
+  );
+};
+
+/**
+ * Take a voided sale back out of its customer's rollups
+ */
+const reversePurchase = async (client, { sale }) => {
+  if (!sale.customer_id) return;
+
+  await client.query(
+    `UPDATE customers SET
+       total_purchases = GREATEST(COALESCE(total_purchases, 0) - $1, 0),
+       visit_count = GREATEST(COALESCE(visit_count, 0) - 1, 0),
+       last_visit_at = (SELECT MAX(created_at) FROM sales
+                        WHERE customer_id = $2 AND status = 'completed' AND sale_id <> $3),
+       updated_at = CURRENT_TIMESTAMP
+     WHERE customer_id = $2`,
+    [round2(parseFloat(sale.total_amount)), sale.customer_id, sale.sale_id]
+  );
+};
+
+/**
+ * Take a return's refund off its customer's spend (the visit still counts)
+ */
+const recordReturn = async (client, { returnRecord }) => {
+  if (!returnRecord.customer_id) return;
+
+  await client.query(
+    `UPDATE customers SET
+       total_purchases = GREATEST(COALESCE(total_purchases, 0) - $1, 0),
+       updated_at = CURRENT_TIMESTAMP
+     WHERE customer_id = $2`,
+    [round2(parseFloat(returnRecord.total_refund_amount)), returnRecord.customer_id]
+  );
+};
+
+/**
+ * Rebuild the rollups from completed sales less returns
+ * For repairs and merges; customerIds limits it to those customers (default all)
+ */
+const recalculateTotals = async (client, customerIds = null) => {
+  const params = customerIds ? [customerIds.map(id => parseInt(id))] : [];
+
+  const result = await client.query(
+    `UPDATE customers c SET
+       total_purchases = GREATEST(
+         COALESCE((SELECT SUM(s.total_amount) FROM sales s WHERE s.customer_id = c.customer_id AND s.status = 'completed'), 0) -
+         COALESCE((SELECT SUM(r.total_refund_amount) FROM returns r WHERE r.customer_id = c.customer_id AND r.status = 'completed'), 0),
+         0),
+       visit_count = (SELECT COUNT(*) FROM sales s WHERE s.customer_id = c.customer_id AND s.status = 'completed'),
+       last_visit_at = (SELECT MAX(s.created_at) FROM sales s WHERE s.customer_id = c.customer_id AND s.status = 'completed'),
+       updated_at = CURRENT_TIMESTAMP
+     ${customerIds ? 'WHERE c.customer_id = ANY($1)' : ''}
+     RETURNING c.customer_id`,
+    params
+  );
+  return result.rows.length;
+};
+
+/**
+ * Canonical form of a Pakistani mobile number: 3XXXXXXXXX
+ * +92 300 1234567, 0092-300-1234567 and 0300 1234567 all become 3001234567;
+ * anything else is returned as its digits
+ */
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+
+  if (digits.startsWith('0092')) return digits.slice(4);
+  if (digits.startsWith('92') && digits.length === 12) return digits.slice(2);
+  if (digits.startsWith('0') && digits.length === 11) return digits.slice(1);
+  return digits;
+};
+
+/**
+ * Lower-case name tokens without accents, punctuation or titles (Mr, Dr, ...)
+ */
+const nameTokens = (...parts) => parts
+  .filter(Boolean)
+  .join(' ')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z\s]/g, ' ')
+  .split(/\s+/)
+  .filter(token => token && !NAME_TITLES.has(token));
+
+/**
+ * Edit distance counting a swap of two neighbouring characters as one edit
+ * Stops early and returns max + 1 once the distance is known to exceed max
+ */
+const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Jaro-Winkler similarity of two strings, 0 (nothing alike) to 1 (equal)
+ */
+const jaroWinkler = (a, b) => {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  const window = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const from = Math.max(0, i - window);
+    const to = Math.min(i + window + 1, b.length);
+    for (let j = from; j < to; j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+/**
+ * How alike two customers' names are (0-1); word order does not matter
+ */
+const nameSimilarity = (a, b) => {
+  if (!a.tokens.length || !b.tokens.length) return 0;
+  return Math.max(
+    jaroWinkler(a.tokens.join(' '), b.tokens.join(' ')),
+    jaroWinkler(a.sortedName, b.sortedName)
+  );
+};
+
+/**
+ * Score a pair of customers as duplicates; null when they are not alike
+ * The same number once normalised or the same email score highest, then a
+ * number one digit out with a similar name. A very close full name scores on
+ * its own (the same customer on another number), lower than any of those and
+ * higher with the same city; a first name alone needs the city too
+ */
+const scorePair = (a, b) => {
+  const reasons = [];
+  let score = 0;
+
+  const similarity = nameSimilarity(a, b);
+  const similarName = similarity >= 0.85;
+  const sameCity = Boolean(a.city && a.city === b.city);
+
+  if (a.phoneKey && a.phoneKey === b.phoneKey) {
+    reasons.push('Same phone number');
+    score = Math.max(score, 0.95);
+  } else if (a.phoneKey.length >= 10 && a.phoneKey.length === b.phoneKey.length &&
+             editDistance(a.phoneKey, b.phoneKey, 1) <= 1) {
+    reasons.push('Phone number differs by one digit');
+    if (similarName) score = Math.max(score, 0.75 + similarity * 0.15);
+  }
+
+  if (a.email && a.email === b.email) {
+    reasons.push('Same email');
+    score = Math.max(score, 0.9);
+  }
+
+  if (similarName) {
+    reasons.push(similarity === 1 ? 'Same name' : 'Similar name');
+    const fullNames = a.tokens.length > 1 && b.tokens.length > 1;
+    if (similarity >= 0.93 && sameCity) score = Math.max(score, similarity * 0.7);
+    else if (similarity >= 0.93 && fullNames) score = Math.max(score, similarity * 0.6);
+  }
+  if (sameCity) reasons.push('Same city');
+
+  if (score === 0) return null;
+  return { score: Math.round(Math.min(score + (similarName ? 0.04 : 0), 1) * 100) / 100, nameSimilarity: round2(similarity), reasons };
+};
+
+/**
+ * Likely duplicate customers, best matches first
+ * Active customers are grouped into blocks (normalised phone, the first or
+ * last digits of it, email, name prefixes) and only customers sharing a block
+ * are compared. Pairs dismissed as different people are left out; customerId
+ * limits the result to pairs involving that customer
+ */
+const findDuplicates = async (client, { customerId = null, minScore = 0.5, limit = 100 } = {}) => {
+  const customersResult = await client.query(
+    `SELECT customer_id, phone, first_name, last_name, email, city, address,
+            loyalty_points, wallet_balance, total_purchases, visit_count, last_visit_at, created_at
+     FROM customers
+     WHERE is_active = true AND merged_into_customer_id IS NULL`
+  );
+  const dismissedResult = await client.query(
+    `SELECT customer_id_a, customer_id_b FROM customer_duplicate_dismissals`
+  );
+  const dismissed = new Set(dismissedResult.rows.map(row => `${row.customer_id_a}:${row.customer_id_b}`));
+
+  const profiles = customersResult.rows.map(customer => {
+    const tokens = nameTokens(customer.first_name, customer.last_name);
+    return {
+      customer,
+      id: customer.customer_id,
+      phoneKey: normalizePhone(customer.phone),
+      email: (customer.email || '').trim().toLowerCase(),
+      city: (customer.city || '').trim().toLowerCase(),
+      tokens,
+      sortedName: [...tokens].sort().join(' '),
+    };
+  });
+
+  const blocks = new Map();
+  const addToBlock = (key, profile) => {
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(profile);
+  };
+  for (const profile of profiles) {
+    if (profile.phoneKey.length >= 10) {
+      addToBlock(`p:${profile.phoneKey}`, profile);
+      addToBlock(`ph:${profile.phoneKey.slice(0, 5)}`, profile);
+      addToBlock(`pt:${profile.phoneKey.slice(-5)}`, profile);
+    } else if (profile.phoneKey) {
+      addToBlock(`p:${profile.phoneKey}`, profile);
+    }
+    if (profile.email) addToBlock(`e:${profile.email}`, profile);
+    for (const token of new Set(profile.tokens)) {
+      addToBlock(`n:${token.slice(0, 3)}`, profile);
+    }
+  }
+
+  const compared = new Set();
+  const pairs = [];
+  for (const members of blocks.values()) {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const [a, b] = members[i].id < members[j].id ? [members[i], members[j]] : [members[j], members[i]];
+        if (customerId && a.id !== customerId && b.id !== customerId) continue;
+
+        const key = `${a.id}:${b.id}`;
+        if (compared.has(key) || dismissed.has(key)) continue;
+        compared.add(key);
+
+        const match = scorePair(a, b);
+        if (match && match.score >= minScore) {
+          pairs.push({ customerA: a.customer, customerB: b.customer, ...match });
+        }
+      }
+    }
+  }
+
+  pairs.sort((x, y) => y.score - x.score || x.customerA.customer_id - y.customerA.customer_id);
+  return { pairs: pairs.slice(0, limit), total: pairs.length };
+};
+
+/**
+ * Mark a flagged pair as different people so the finder stops suggesting it
+ */
+const dismissDuplicate = async (client, { customerIdA, customerIdB, userId = null }) => {
+  const [low, high] = [parseInt(customerIdA), parseInt(customerIdB)].sort((x, y) => x - y);
+  if (low === high) {
+    throw new ValidationError('Choose two different customers');
+  }
+
+  await client.query(
+    `INSERT INTO customer_duplicate_dismissals (customer_id_a, customer_id_b, dismissed_by)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (customer_id_a, customer_id_b) DO NOTHING`,
+    [low, high, userId]
+  );
+};
+
+/**
+ * The active customer a phone number belongs to, matching it in any format
+ * A merged record resolves to the customer it was merged into
+ */
+const findByPhone = async (client, phone) => {
+  const phoneKey = normalizePhone(phone);
+  if (!phoneKey) return null;
+
+  const result = await client.query(
+    `SELECT * FROM customers
+     WHERE regexp_replace(phone, '\\D', '', 'g') LIKE '%' || $1
+     ORDER BY is_active DESC, customer_id`,
+    [phoneKey.slice(-7)]
+  );
+  const customer = result.rows.find(row => normalizePhone(row.phone) === phoneKey);
+  if (!customer) return null;
+
+  if (customer.merged_into_customer_id) {
+    const survivorResult = await client.query(
+      `SELECT * FROM customers WHERE customer_id = $1 AND is_active = true`,
+      [customer.merged_into_customer_id]
+    );
+    return survivorResult.rows[0] || null;
+  }
+  return customer.is_active ? customer : null;
+};
+
+/**
+ * Recompute the running balances on a customer's wallet and loyalty ledgers
+ * after rows from another customer were moved in
+ */
+const rebuildLedgerBalances = async (client, customerId) => {
+  await client.query(
+    `UPDATE wallet_transactions wt SET
+       balance_after = running.balance_after,
+       balance_before = running.balance_after - wt.amount
+     FROM (
+       SELECT transaction_id, SUM(amount) OVER (ORDER BY created_at, transaction_id) as balance_after
+       FROM wallet_transactions WHERE customer_id = $1
+     ) running
+     WHERE wt.transaction_id = running.transaction_id`,
+    [customerId]
+  );
+
+  await client.query(
+    `UPDATE loyalty_transactions lt SET balance_after = running.balance_after
+     FROM (
+       SELECT transaction_id, SUM(points) OVER (ORDER BY created_at, transaction_id) as balance_after
+       FROM loyalty_transactions WHERE customer_id = $1
+     ) running
+     WHERE lt.transaction_id = running.transaction_id`,
+    [customerId]
+  );
+};
+
+/**
+ * Merge a duplicate customer into the survivor
+ * Sales, parked sales, returns, coupons, the wallet and loyalty ledgers and
+ * account payments move to the survivor, whose balances take on the
+ * duplicate's; gaps in the survivor's details are filled from the duplicate.
+ * The duplicate is deactivated and points at the survivor, and the merge is
+ * recorded in customer_merges with a snapshot of the duplicate as it was
+ */
+const mergeCustomers = async (client, { survivorId, duplicateId, reason = null, userId = null }) => {
+  if (survivorId === duplicateId) {
+    throw new ValidationError('A customer cannot be merged into itself');
+  }
+
+  // Lock in id order so two merges of the same pair cannot deadlock
+  const lockResult = await client.query(
+    `SELECT * FROM customers WHERE customer_id = ANY($1) ORDER BY customer_id FOR UPDATE`,
+    [[survivorId, duplicateId]]
+  );
+  const survivor = lockResult.rows.find(row => row.customer_id === survivorId);
+  const duplicate = lockResult.rows.find(row => row.customer_id === duplicateId);
+
+  if (!survivor || !duplicate) {
+    throw new NotFoundError('Customer');
+  }
+  for (const customer of [survivor, duplicate]) {
+    if (customer.merged_into_customer_id || !customer.is_active) {
+      throw new ValidationError(`${customer.first_name} (${customer.phone}) is inactive or already merged`, [{
+        customerId: customer.customer_id,
+        mergedInto: customer.merged_into_customer_id
+      }]);
+    }
+  }
+
+  const moved = {};
+  for (const table of MERGED_TABLES) {
+    const result = await client.query(
+      `UPDATE ${table} SET customer_id = $1 WHERE customer_id = $2`,
+      [survivorId, duplicateId]
+    );
+    moved[table] = result.rowCount;
+  }
+  moved.wallet_balance = round2(parseFloat(duplicate.wallet_balance) || 0);
+  moved.loyalty_points = parseInt(duplicate.loyalty_points) || 0;
+
+  await client.query(
+    `UPDATE customers SET
+       wallet_balance = COALESCE(wallet_balance, 0) + $2,
+       loyalty_points = COALESCE(loyalty_points, 0) + $3,
+       credit_limit = GREATEST(COALESCE(credit_limit, 0), $4),
+       last_name = COALESCE(NULLIF(last_name, ''), $5),
+       email = COALESCE(NULLIF(email, ''), $6),
+       address = COALESCE(NULLIF(address, ''), $7),
+       city = COALESCE(NULLIF(city, ''), $8),
+       sms_opt_in = COALESCE(sms_opt_in, true) AND COALESCE($9, true),
+       updated_at = CURRENT_TIMESTAMP
+     WHERE customer_id = $1`,
+    [
+      survivorId,
+      moved.wallet_balance,
+      moved.loyalty_points,
+      parseFloat(duplicate.credit_limit) || 0,
+      duplicate.last_name || null,
+      duplicate.email || null,
+      duplicate.address || null,
+      duplicate.city || null,
+      duplicate.sms_opt_in
+    ]
+  );
+
+  await client.query(
+    `UPDATE customers SET
+       wallet_balance = 0,
+       loyalty_points = 0,
+       credit_limit = 0,
+       is_active = false,
+       merged_into_customer_id = $1,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE customer_id = $2`,
+    [survivorId, duplicateId]
+  );
+
+  // Customers merged into the duplicate earlier now belong to the survivor
+  await client.query(
+    `UPDATE customers SET merged_into_customer_id = $1 WHERE merged_into_customer_id = $2`,
+    [survivorId, duplicateId]
+  );
+  await client.query(
+    `DELETE FROM customer_duplicate_dismissals WHERE customer_id_a = $1 OR customer_id_b = $1`,
+    [duplicateId]
+  );
+
+  await rebuildLedgerBalances(client, survivorId);
+  await recalculateTotals(client, [survivorId, duplicateId]);
+
+  const mergeResult = await client.query(
+    `INSERT INTO customer_merges (survivor_customer_id, merged_customer_id, merged_snapshot, moved, reason, merged_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [survivorId, duplicateId, JSON.stringify(duplicate), JSON.stringify(moved), reason, userId]
+  );
+
+  const customerResult = await client.query(
+    `SELECT * FROM customers WHERE customer_id = $1`,
+    [survivorId]
+  );
+  return { customer: customerResult.rows[0], merge: mergeResult.rows[0] };
+};
+
+/**
+ * Merges into and out of a customer, newest first
+ */
+const getMergeHistory = async (client, customerId) => {
+  const result = await client.query(
+    `SELECT m.*, u.first_name as merged_by_first_name, u.last_name as merged_by_last_name
+     FROM customer_merges m
+     LEFT JOIN users u ON m.merged_by = u.user_id
+     WHERE m.survivor_customer_id = $1 OR m.merged_customer_id = $1
+     ORDER BY m.merged_at DESC`,
+    [customerId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  recordPurchase,
+  reversePurchase,
+  recordReturn,
+  recalculateTotals,
+  normalizePhone,
+  findDuplicates,
+  dismissDuplicate,
+  findByPhone,
+  mergeCustomers,
+  getMergeHistory,
+};
@@ -0,0 +1,34 @@
+/**
+ * Document Number Service
+ * Per-location running numbers for documents (POs, GRNs, transfers, counts,
+ * returns, account payments)
+ */
+
+const { NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Next document number for a location, e.g. PO-MAIN-00001
+ * Locks the location row so concurrent documents never share a number
+ */
+const nextDocumentNumber = async (client, { prefix, table, locationId, locationColumn = 'location_id' }) => {
+  const locationResult = await client.query(
+    `SELECT location_code FROM locations WHERE location_id = $1 FOR UPDATE`,
+    [locationId]
+  );
+
+  if (locationResult.rows.length === 0) {
+    throw new NotFoundError('Location');
+  }
+
+  const countResult = await client.query(
+    `SELECT COUNT(*) as document_count FROM ${table} WHERE ${locationColumn} = $1`,
+    [locationId]
+  );
+  const sequence = parseInt(countResult.rows[0].document_count) + 1;
+
+  return `${prefix}-${locationResult.rows[0].location_code}-${String(sequence).padStart(5, '0')}`;
+};
+
+module.exports = {
+  nextDocumentNumber,
+};
@@ -0,0 +1,88 @@
+/**
+ * Image Storage
+ * Pluggable storage for uploaded images. An adapter implements
+ *   save(key, buffer, contentType), read(key) -> { buffer, contentType } | null, remove(key)
+ * Keys are relative paths such as products/12/<uuid>.jpg. Local disk is the
+ * default; other backends register with registerStorageAdapter and are picked
+ * with IMAGE_STORAGE
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+};
+
+// Reject anything that could escape the storage root
+const assertKey = (key) => {
+  if (typeof key !== 'string' || !/^[a-z0-9_-]+(\/[a-z0-9_.-]+)+$/i.test(key) || key.split('/').includes('..')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+};
+
+/**
+ * Files under a directory on the server's disk (IMAGE_STORAGE_PATH, default server/uploads)
+ */
+const localDiskStorage = ({ root = process.env.IMAGE_STORAGE_PATH || path.join(__dirname, '../../uploads') } = {}) => ({
+  async save(key, buffer) {
+    assertKey(key);
+    const file = path.join(root, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+  },
+
+  async read(key) {
+    assertKey(key);
+    try {
+      const buffer = await fs.readFile(path.join(root, key));
+      return { buffer, contentType: CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream' };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+
+  async remove(key) {
+    assertKey(key);
+    await fs.rm(path.join(root, key), { force: true });
+  },
+});
+
+const adapters = {
+  local: localDiskStorage,
+};
+
+let storage = null;
+
+/**
+ * Make another backend available as IMAGE_STORAGE=<name>
+ * factory() returns an object with save, read and remove
+ */
+const registerStorageAdapter = (name, factory) => {
+  adapters[name] = factory;
+  storage = null;
+};
+
+/**
+ * The configured adapter (created on first use)
+ */
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.IMAGE_STORAGE || 'local';
+    if (!adapters[name]) {
+      throw new Error(`Unknown image storage "${name}"`);
+    }
+    storage = adapters[name]();
+  }
+  return storage;
+};
+
+module.exports = {
+  assertKey,
+  localDiskStorage,
+  registerStorageAdapter,
+  getStorage,
+};
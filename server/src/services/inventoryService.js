@@ -0,0 +1,98 @@
+/**
+ * Inventory Service
+ * Stock movements with transaction logging (PostgreSQL port of sp_UpdateInventory)
+ * and weighted-average costing per location (inventory.average_cost)
+ * Every function takes a client from db.transaction so movements commit atomically
+ */
+
+const roundCost = (amount) => Math.round(amount * 10000) / 10000;
+
+/**
+ * Lock the inventory row for a variant at a location, creating it if missing
+ */
+const lockStock = async (client, variantId, locationId) => {
+  await client.query(
+    `INSERT INTO inventory (variant_id, location_id, quantity_on_hand)
+     VALUES ($1, $2, 0)
+     ON CONFLICT (variant_id, location_id) DO NOTHING`,
+    [variantId, locationId]
+  );
+
+  const result = await client.query(
+    `SELECT quantity_on_hand FROM inventory
+     WHERE variant_id = $1 AND location_id = $2
+     FOR UPDATE`,
+    [variantId, locationId]
+  );
+
+  return parseInt(result.rows[0].quantity_on_hand) || 0;
+};
+
+/**
+ * Current unit cost of a variant at a location: the weighted average, falling
+ * back to the catalogue cost price where nothing has been costed in yet
+ */
+const getUnitCost = async (client, variantId, locationId) => {
+  const result = await client.query(
+    `SELECT COALESCE(i.average_cost, pv.cost_price, 0) as unit_cost
+     FROM product_variants pv
+     LEFT JOIN inventory i ON i.variant_id = pv.variant_id AND i.location_id = $2
+     WHERE pv.variant_id = $1`,
+    [variantId, locationId]
+  );
+
+  return parseFloat(result.rows[0]?.unit_cost) || 0;
+};
+
+/**
+ * Apply a quantity change and write the matching inventory_transactions row
+ * Incoming stock with a unitCost (receipts, transfers in, returns) is blended
+ * into the location's weighted-average cost; negative on-hand counts as zero
+ * so a short location takes the incoming cost. Everything else moves at the
+ * current average and leaves it unchanged
+ */
+const adjustStock = async (client, {
+  variantId,
+  locationId,
+  quantityChange,
+  transactionType,
+  referenceType = null,
+  referenceId = null,
+  notes = null,
+  userId = null,
+  unitCost = null,
+}) => {
+  const quantityBefore = await lockStock(client, variantId, locationId);
+  const quantityAfter = quantityBefore + quantityChange;
+  const currentCost = await getUnitCost(client, variantId, locationId);
+
+  let averageCost = currentCost;
+  if (quantityChange > 0 && unitCost !== null && unitCost !== undefined) {
+    const costedBefore = Math.max(quantityBefore, 0);
+    averageCost = roundCost((costedBefore * currentCost + quantityChange * parseFloat(unitCost)) / (costedBefore + quantityChange));
+  }
+
+  await client.query(
+    `UPDATE inventory SET quantity_on_hand = $1, average_cost = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE variant_id = $3 AND location_id = $4`,
+    [quantityAfter, averageCost, variantId, locationId]
+  );
+
+  const transactionCost = quantityChange > 0 && unitCost !== null && unitCost !== undefined
+    ? parseFloat(unitCost)
+    : currentCost;
+
+  await client.query(
+    `INSERT INTO inventory_transactions (variant_id, location_id, transaction_type, quantity_change, quantity_before, quantity_after, unit_cost, reference_type, reference_id, notes, user_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+    [variantId, locationId, transactionType, quantityChange, quantityBefore, quantityAfter, transactionCost, referenceType, referenceId, notes, userId]
+  );
+
+  return { quantityBefore, quantityAfter, unitCost: transactionCost, averageCost };
+};
+
+module.exports = {
+  lockStock,
+  getUnitCost,
+  adjustStock,
+};
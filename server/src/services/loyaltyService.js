@@ -0,0 +1,493 @@
+/**
+ * Loyalty Service
+ * Points earned on sales and spent as a tender at the till, kept as a
+ * per-customer ledger (loyalty_transactions) that explains every change to
+ * customers.loyalty_points
+ *
+ * Points are credited in lots that expire loyalty_points_expiry_days after they
+ * are credited (0 = never); spending, reversals and expiry draw the lots down,
+ * oldest expiry first, so the open lots always add up to the balance
+ * Every function takes a client from db.transaction
+ */
+
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * The loyalty settings, with defaults for any that are missing
+ */
+const getLoyaltySettings = async (client) => {
+  const result = await client.query(
+    `SELECT setting_key, setting_value FROM settings WHERE setting_key LIKE 'loyalty_%'`
+  );
+  const values = Object.fromEntries(result.rows.map(row => [row.setting_key, row.setting_value]));
+  const number = (key, fallback) => {
+    const value = parseFloat(values[key]);
+    return Number.isNaN(value) || value < 0 ? fallback : value;
+  };
+
+  return {
+    enabled: values.loyalty_enabled !== 'false',
+    pointsPer100: number('loyalty_points_per_100', 1),
+    pointValue: number('loyalty_point_value', 1),
+    expiryDays: Math.floor(number('loyalty_points_expiry_days', 0)),
+  };
+};
+
+/**
+ * Points earned on an amount spent (whole points, rounded down)
+ */
+const pointsForAmount = (settings, amount) =>
+  Math.max(0, Math.floor(round2(amount * settings.pointsPer100 / 100)));
+
+/**
+ * Points needed to cover an amount paid with points (rounded up)
+ */
+const pointsToCover = (settings, amount) =>
+  settings.pointValue > 0 ? Math.ceil(round2(amount / settings.pointValue)) : 0;
+
+/**
+ * Lock a customer row; every balance change goes through this first
+ */
+const lockCustomer = async (client, customerId) => {
+  const result = await client.query(
+    `SELECT customer_id, loyalty_points FROM customers WHERE customer_id = $1 FOR UPDATE`,
+    [customerId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Customer');
+  }
+  return result.rows[0];
+};
+
+/**
+ * Write a ledger row and move the customer's balance by the same points
+ * Positive rows open a lot, expiring expiryDays from now when given
+ */
+const post = async (client, { customerId, transactionType, points, expiryDays = 0, saleId = null, returnId = null, notes = null, userId = null }) => {
+  const balanceResult = await client.query(
+    `UPDATE customers SET loyalty_points = loyalty_points + $1, updated_at = CURRENT_TIMESTAMP
+     WHERE customer_id = $2
+     RETURNING loyalty_points`,
+    [points, customerId]
+  );
+
+  const result = await client.query(
+    `INSERT INTO loyalty_transactions (customer_id, transaction_type, points, balance_after, remaining_points, expires_at, sale_id, return_id, notes, created_by)
+     VALUES ($1, $2, $3, $4, $5,
+             CASE WHEN $6::int > 0 THEN CURRENT_TIMESTAMP + make_interval(days => $6::int) END,
+             $7, $8, $9, $10)
+     RETURNING *`,
+    [customerId, transactionType, points, balanceResult.rows[0].loyalty_points, points > 0 ? points : null,
+      points > 0 ? expiryDays : 0, saleId, returnId, notes, userId]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Draw points from a customer's open lots, oldest expiry first
+ * (lots credited by preferSaleId first, so a reversal takes back that sale's points)
+ */
+const consumeLots = async (client, customerId, points, { preferSaleId = null } = {}) => {
+  const lotsResult = await client.query(
+    `SELECT transaction_id, remaining_points FROM loyalty_transactions
+     WHERE customer_id = $1 AND remaining_points > 0
+     ORDER BY COALESCE(sale_id = $2, false) DESC, expires_at NULLS LAST, transaction_id
+     FOR UPDATE`,
+    [customerId, preferSaleId]
+  );
+
+  let left = points;
+  for (const lot of lotsResult.rows) {
+    if (left <= 0) break;
+    const taken = Math.min(lot.remaining_points, left);
+    await client.query(
+      `UPDATE loyalty_transactions SET remaining_points = remaining_points - $1 WHERE transaction_id = $2`,
+      [taken, lot.transaction_id]
+    );
+    left -= taken;
+  }
+};
+
+/**
+ * Take points off a locked customer, never below zero; returns the points taken
+ */
+const debit = async (client, customer, { points, ...entry }) => {
+  const taken = Math.min(points, customer.loyalty_points);
+  if (taken <= 0) return 0;
+
+  await consumeLots(client, customer.customer_id, taken, { preferSaleId: entry.saleId });
+  const row = await post(client, { customerId: customer.customer_id, points: -taken, ...entry });
+  customer.loyalty_points = row.balance_after;
+  return taken;
+};
+
+/**
+ * Credit points to a locked customer as a new lot
+ */
+const credit = async (client, customer, { points, ...entry }) => {
+  if (points <= 0) return 0;
+
+  const settings = await getLoyaltySettings(client);
+  const row = await post(client, { customerId: customer.customer_id, points, expiryDays: settings.expiryDays, ...entry });
+  customer.loyalty_points = row.balance_after;
+  return points;
+};
+
+/**
+ * Expire a locked customer's lots that are past their date
+ */
+const expireLockedCustomer = async (client, customer) => {
+  const lotsResult = await client.query(
+    `SELECT transaction_id, remaining_points FROM loyalty_transactions
+     WHERE customer_id = $1 AND remaining_points > 0 AND expires_at <= CURRENT_TIMESTAMP
+     FOR UPDATE`,
+    [customer.customer_id]
+  );
+  if (lotsResult.rows.length === 0) return 0;
+
+  await client.query(
+    `UPDATE loyalty_transactions SET remaining_points = 0 WHERE transaction_id = ANY($1)`,
+    [lotsResult.rows.map(lot => lot.transaction_id)]
+  );
+
+  const expired = Math.min(
+    lotsResult.rows.reduce((sum, lot) => sum + lot.remaining_points, 0),
+    customer.loyalty_points
+  );
+  if (expired <= 0) return 0;
+
+  const row = await post(client, {
+    customerId: customer.customer_id,
+    transactionType: 'EXPIRE',
+    points: -expired,
+    notes: 'Points expired',
+  });
+  customer.loyalty_points = row.balance_after;
+  return expired;
+};
+
+/**
+ * Lock a customer and expire their overdue points before the balance is used
+ */
+const loadCustomer = async (client, customerId) => {
+  const customer = await lockCustomer(client, customerId);
+  await expireLockedCustomer(client, customer);
+  return customer;
+};
+
+/**
+ * Expire overdue points for every customer holding them
+ * Returns how many customers and points were affected
+ */
+const expirePoints = async (client) => {
+  const dueResult = await client.query(
+    `SELECT DISTINCT customer_id FROM loyalty_transactions
+     WHERE remaining_points > 0 AND expires_at <= CURRENT_TIMESTAMP
+     ORDER BY customer_id`
+  );
+
+  let points = 0;
+  for (const { customer_id: customerId } of dueResult.rows) {
+    const customer = await lockCustomer(client, customerId);
+    points += await expireLockedCustomer(client, customer);
+  }
+
+  return { customers: dueResult.rows.length, points };
+};
+
+/**
+ * A customer's balance, what it is worth at the till and the points due to expire next
+ */
+const getBalance = async (client, customerId) => {
+  const customer = await loadCustomer(client, customerId);
+  const settings = await getLoyaltySettings(client);
+
+  const nextExpiryResult = await client.query(
+    `SELECT expires_at, SUM(remaining_points) as points
+     FROM loyalty_transactions
+     WHERE customer_id = $1 AND remaining_points > 0 AND expires_at IS NOT NULL
+     GROUP BY expires_at
+     ORDER BY expires_at
+     LIMIT 1`,
+    [customerId]
+  );
+  const nextExpiry = nextExpiryResult.rows[0];
+
+  return {
+    customerId: customer.customer_id,
+    points: customer.loyalty_points,
+    pointValue: settings.pointValue,
+    value: round2(customer.loyalty_points * settings.pointValue),
+    enabled: settings.enabled,
+    nextExpiry: nextExpiry ? { expiresAt: nextExpiry.expires_at, points: parseInt(nextExpiry.points) } : null,
+  };
+};
+
+/**
+ * Total of the payments made with a loyalty-type payment method
+ */
+const loyaltyTenderAmount = async (client, payments) => {
+  const methodIds = [...new Set(payments.map(payment => parseInt(payment.paymentMethodId)))];
+  if (methodIds.length === 0) return 0;
+
+  const result = await client.query(
+    `SELECT payment_method_id FROM payment_methods WHERE payment_method_id = ANY($1) AND method_type = 'loyalty'`,
+    [methodIds]
+  );
+  const loyaltyIds = new Set(result.rows.map(row => row.payment_method_id));
+
+  return round2(payments
+    .filter(payment => loyaltyIds.has(parseInt(payment.paymentMethodId)))
+    .reduce((sum, payment) => sum + parseFloat(payment.amount || 0), 0));
+};
+
+/**
+ * Spend points for the loyalty tender on a sale and earn points on the rest
+ * of what the customer paid
+ * Offline replays pass enforce false: the points were already handed over,
+ * so a short balance is spent down to zero rather than refused
+ */
+const recordSalePoints = async (client, { sale, payments, userId, enforce = true }) => {
+  const settings = await getLoyaltySettings(client);
+  const tendered = await loyaltyTenderAmount(client, payments);
+
+  if (tendered > 0 && enforce) {
+    if (!settings.enabled) {
+      throw new ValidationError('Loyalty points are switched off');
+    }
+    if (!sale.customer_id) {
+      throw new ValidationError('Paying with loyalty points needs a customer on the sale');
+    }
+  }
+
+  if (!sale.customer_id || (!settings.enabled && tendered === 0)) {
+    return { earned: 0, redeemed: 0 };
+  }
+
+  const customer = await loadCustomer(client, sale.customer_id);
+  let redeemed = 0;
+
+  if (tendered > 0) {
+    const needed = pointsToCover(settings, tendered);
+    if (enforce && needed > customer.loyalty_points) {
+      throw new ValidationError('Not enough loyalty points', [{
+        field: 'payments',
+        required: needed,
+        available: customer.loyalty_points,
+      }]);
+    }
+
+    redeemed = await debit(client, customer, {
+      transactionType: 'REDEEM',
+      points: needed,
+      saleId: sale.sale_id,
+      notes: `Paid ${tendered.toFixed(2)} on ${sale.sale_number}`,
+      userId,
+    });
+  }
+
+  let earned = 0;
+  if (settings.enabled) {
+    const spent = parseFloat(sale.total_amount) - parseFloat(sale.exchange_credit || 0) - tendered;
+    earned = await credit(client, customer, {
+      transactionType: 'EARN',
+      points: pointsForAmount(settings, spent),
+      saleId: sale.sale_id,
+      notes: `Earned on ${sale.sale_number}`,
+      userId,
+    });
+  }
+
+  return { earned, redeemed };
+};
+
+/**
+ * Points a sale earned and spent so far, net of reversals
+ */
+const salePoints = async (client, saleId) => {
+  const result = await client.query(
+    `SELECT
+       COALESCE(SUM(points) FILTER (WHERE transaction_type = 'EARN'), 0) as earned,
+       COALESCE(SUM(points) FILTER (WHERE transaction_type = 'EARN_REVERSAL'), 0) as earn_reversed,
+       COALESCE(-SUM(points) FILTER (WHERE transaction_type = 'REDEEM'), 0) as redeemed,
+       COALESCE(SUM(points) FILTER (WHERE transaction_type = 'REDEEM_REVERSAL'), 0) as redeem_reversed
+     FROM loyalty_transactions
+     WHERE sale_id = $1`,
+    [saleId]
+  );
+
+  const row = result.rows[0];
+  return {
+    earned: parseInt(row.earned),
+    earnReversed: -parseInt(row.earn_reversed),
+    redeemed: parseInt(row.redeemed),
+    redeemReversed: parseInt(row.redeem_reversed),
+  };
+};
+
+/**
+ * Undo a voided sale's points: take back what it earned (as far as the
+ * balance allows) and give back what it spent as a new lot
+ */
+const reverseSalePoints = async (client, { sale, userId }) => {
+  if (!sale.customer_id) return { earnReversed: 0, redeemReversed: 0 };
+
+  const points = await salePoints(client, sale.sale_id);
+  if (points.earned === 0 && points.redeemed === 0) return { earnReversed: 0, redeemReversed: 0 };
+
+  const customer = await loadCustomer(client, sale.customer_id);
+  const notes = `Void of ${sale.sale_number}`;
+
+  const redeemReversed = await credit(client, customer, {
+    transactionType: 'REDEEM_REVERSAL',
+    points: points.redeemed - points.redeemReversed,
+    saleId: sale.sale_id,
+    notes,
+    userId,
+  });
+  const earnReversed = await debit(client, customer, {
+    transactionType: 'EARN_REVERSAL',
+    points: points.earned - points.earnReversed,
+    saleId: sale.sale_id,
+    notes,
+    userId,
+  });
+
+  return { earnReversed, redeemReversed };
+};
+
+/**
+ * Reverse points for a return against a sale
+ * Earned points come back in proportion to the value returned so far, so a
+ * sale returned in full gives back exactly what it earned; points refunded
+ * through the loyalty tender are credited back in proportion to it
+ */
+const reverseReturnPoints = async (client, { sale, returnRecord, refunds, userId }) => {
+  if (!sale.customer_id) return { earnReversed: 0, redeemReversed: 0 };
+
+  const points = await salePoints(client, sale.sale_id);
+  if (points.earned === 0 && points.redeemed === 0) return { earnReversed: 0, redeemReversed: 0 };
+
+  const returnedResult = await client.query(
+    `SELECT COALESCE(SUM(total_refund_amount), 0) as returned
+     FROM returns WHERE original_sale_id = $1 AND status = 'completed'`,
+    [sale.sale_id]
+  );
+  const returned = parseFloat(returnedResult.rows[0].returned);
+  const saleValue = parseFloat(sale.total_amount);
+
+  const customer = await loadCustomer(client, sale.customer_id);
+  const notes = `Return ${returnRecord.return_number} against ${sale.sale_number}`;
+
+  let redeemReversed = 0;
+  if (points.redeemed > 0) {
+    const paymentsResult = await client.query(
+      `SELECT
+         (SELECT COALESCE(SUM(sp.amount), 0) FROM sale_payments sp
+          INNER JOIN payment_methods pm ON sp.payment_method_id = pm.payment_method_id
+          WHERE sp.sale_id = $1 AND pm.method_type = 'loyalty') as paid,
+         (SELECT COALESCE(SUM(rp.amount), 0) FROM return_payments rp
+          INNER JOIN returns r ON rp.return_id = r.return_id
+          INNER JOIN payment_methods pm ON rp.payment_method_id = pm.payment_method_id
+          WHERE r.original_sale_id = $1 AND r.status = 'completed' AND pm.method_type = 'loyalty'
+            AND r.return_id <> $2) as refunded_before`,
+      [sale.sale_id, returnRecord.return_id]
+    );
+    const paid = parseFloat(paymentsResult.rows[0].paid);
+    const refundedNow = await loyaltyTenderAmount(client, refunds);
+    const refunded = parseFloat(paymentsResult.rows[0].refunded_before) + refundedNow;
+
+    if (paid > 0 && refundedNow > 0) {
+      const target = Math.round(points.redeemed * Math.min(refunded / paid, 1));
+      redeemReversed = await credit(client, customer, {
+        transactionType: 'REDEEM_REVERSAL',
+        points: target - points.redeemReversed,
+        saleId: sale.sale_id,
+        returnId: returnRecord.return_id,
+        notes,
+        userId,
+      });
+    }
+  }
+
+  let earnReversed = 0;
+  if (points.earned > 0 && saleValue > 0) {
+    const target = Math.round(points.earned * Math.min(returned / saleValue, 1));
+    earnReversed = await debit(client, customer, {
+      transactionType: 'EARN_REVERSAL',
+      points: target - points.earnReversed,
+      saleId: sale.sale_id,
+      returnId: returnRecord.return_id,
+      notes,
+      userId,
+    });
+  }
+
+  return { earnReversed, redeemReversed };
+};
+
+/**
+ * Manual correction by a manager; a deduction cannot exceed the balance
+ */
+const adjustPoints = async (client, customerId, { points, notes, userId }) => {
+  const customer = await loadCustomer(client, customerId);
+
+  if (points < 0 && -points > customer.loyalty_points) {
+    throw new ValidationError('Cannot deduct more points than the customer has', [{
+      field: 'points',
+      available: customer.loyalty_points,
+    }]);
+  }
+
+  const entry = { transactionType: 'ADJUST', notes, userId };
+  if (points > 0) {
+    await credit(client, customer, { ...entry, points });
+  } else {
+    await debit(client, customer, { ...entry, points: -points });
+  }
+
+  return customer.loyalty_points;
+};
+
+/**
+ * A customer's points ledger, newest first
+ */
+const getLedger = async (client, customerId, { page = 1, limit = 50 } = {}) => {
+  const pageSize = Math.min(parseInt(limit) || 50, 200);
+  const offset = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+  const result = await client.query(
+    `SELECT lt.*, s.sale_number, r.return_number, u.first_name as user_first_name, u.last_name as user_last_name,
+            COUNT(*) OVER() as total_count
+     FROM loyalty_transactions lt
+     LEFT JOIN sales s ON lt.sale_id = s.sale_id
+     LEFT JOIN returns r ON lt.return_id = r.return_id
+     LEFT JOIN users u ON lt.created_by = u.user_id
+     WHERE lt.customer_id = $1
+     ORDER BY lt.created_at DESC, lt.transaction_id DESC
+     LIMIT $2 OFFSET $3`,
+    [customerId, pageSize, offset]
+  );
+
+  return {
+    transactions: result.rows.map(({ total_count, ...row }) => row),
+    total: parseInt(result.rows[0]?.total_count) || 0,
+  };
+};
+
+module.exports = {
+  getLoyaltySettings,
+  pointsForAmount,
+  pointsToCover,
+  expirePoints,
+  getBalance,
+  loyaltyTenderAmount,
+  recordSalePoints,
+  reverseSalePoints,
+  reverseReturnPoints,
+  adjustPoints,
+  getLedger,
+};
@@ -1,11 +1,16 @@
 /**
  * Notification Service
  * Handles SMS and Email notifications using job queue
- * Note: Queue and SMS features require Redis and Twilio credentials
+ * Note: Queue and SMS features require Redis and Twilio credentials; without
+ * the queue, messages are sent straight away
+ * Every message is recorded in notification_queue with its delivery status
  */
 
 const db = require('../config/database');
 const logger = require('../utils/logger');
+const { ValidationError } = require('../middleware/errorHandler');
+const couponService = require('./couponService');
+const segmentService = require('./segmentService');
 
 // Try to load optional dependencies
 let Queue, twilio;
@@ -53,34 +58,7 @@ const initializeQueue = () => {
     });
 
     // Process SMS jobs
-    smsQueue.process(async (job) => {
-      const { notificationId, phone, message } = job.data;
-      
-      try {
-        await sendSMS(phone, message);
-        
-        // Update notification status
-        await db.query(
-          `UPDATE NotificationQueue 
-           SET Status = 'SENT', SentAt = GETDATE(), Attempts = Attempts + 1
-           WHERE NotificationID = @id`,
-          { id: notificationId }
-        );
-      
-        logger.info(`SMS sent successfully to ${phone}`);
-        return { success: true, phone };
-      } catch (error) {
-        // Update notification with error
-        await db.query(
-          `UPDATE NotificationQueue 
-           SET Status = 'FAILED', ErrorMessage = @error, Attempts = Attempts + 1, LastAttemptAt = GETDATE()
-           WHERE NotificationID = @id`,
-          { id: notificationId, error: error.message }
-        );
-        
-        throw error;
-      }
-    });
+    smsQueue.process(async (job) => deliverNotification(job.data));
 
     // Queue event handlers
     smsQueue.on('completed', (job, result) => {
@@ -144,47 +122,95 @@ const sendSMS = async (phone, message) => {
   };
 };
 
+/**
+ * Send a recorded notification and store the outcome
+ * Throws on failure so the queue retries it
+ */
+const deliverNotification = async ({ notificationId, phone, message }) => {
+  const pool = db.getPool();
+
+  try {
+    const result = await sendSMS(phone, message);
+    if (!result.success) {
+      throw new Error(result.reason);
+    }
+
+    await pool.query(
+      `UPDATE notification_queue
+       SET status = 'SENT', sent_at = CURRENT_TIMESTAMP, attempts = attempts + 1, last_attempt_at = CURRENT_TIMESTAMP
+       WHERE notification_id = $1`,
+      [notificationId]
+    );
+
+    logger.info(`SMS sent successfully to ${phone}`);
+    return { success: true, phone };
+  } catch (error) {
+    await pool.query(
+      `UPDATE notification_queue
+       SET status = 'FAILED', error_message = $2, attempts = attempts + 1, last_attempt_at = CURRENT_TIMESTAMP
+       WHERE notification_id = $1`,
+      [notificationId, String(error.message).slice(0, 500)]
+    );
+
+    throw error;
+  }
+};
+
+/**
+ * Hand recorded notifications to the queue, or send them now when there is none
+ * Returns how many were sent or queued
+ */
+const dispatchNotifications = async (notifications) => {
+  const queue = initializeQueue();
+  let dispatched = 0;
+
+  for (const notification of notifications) {
+    if (queue) {
+      await queue.add(notification);
+      dispatched++;
+      continue;
+    }
+
+    try {
+      await deliverNotification(notification);
+      dispatched++;
+    } catch (error) {
+      logger.error(`SMS to ${notification.phone} failed:`, error.message);
+    }
+  }
+
+  return dispatched;
+};
+
+const isSMSEnabled = async () => {
+  const result = await db.getPool().query(
+    `SELECT setting_value FROM settings WHERE setting_key = 'sms_enabled'`
+  );
+  return result.rows[0]?.setting_value === 'true';
+};
+
 /**
  * Add SMS to queue for async processing
  */
 const addToSMSQueue = async ({ phone, message, referenceType, referenceId }) => {
   try {
     // Check if SMS is enabled
-    const settingResult = await db.query(
-      `SELECT SettingValue FROM SystemSettings WHERE SettingKey = 'sms_enabled'`
-    );
-    
-    const smsEnabled = settingResult.recordset[0]?.SettingValue === 'true';
-    
-    if (!smsEnabled) {
+    if (!await isSMSEnabled()) {
       logger.info('SMS notifications disabled, skipping');
       return { queued: false, reason: 'SMS disabled' };
     }
 
     // Insert into notification queue
-    const result = await db.query(
-      `INSERT INTO NotificationQueue (
-        NotificationType, RecipientPhone, Message, ReferenceType, ReferenceID, Status
-       )
-       OUTPUT INSERTED.NotificationID
-       VALUES ('SMS', @phone, @message, @referenceType, @referenceId, 'PENDING')`,
-      {
-        phone,
-        message,
-        referenceType: referenceType || null,
-        referenceId: referenceId || null,
-      }
+    const result = await db.getPool().query(
+      `INSERT INTO notification_queue (notification_type, recipient_phone, message, reference_type, reference_id, status)
+       VALUES ('SMS', $1, $2, $3, $4, 'PENDING')
+       RETURNING notification_id`,
+      [phone, message, referenceType || null, referenceId || null]
     );
 
-    const notificationId = result.recordset[0].NotificationID;
+    const notificationId = result.rows[0].notification_id;
 
-    // Add to Bull queue
-    const queue = initializeQueue();
-    await queue.add({
-      notificationId,
-      phone,
-      message,
-    });
+    await dispatchNotifications([{ notificationId, phone, message }]);
 
     logger.info(`SMS queued for ${phone}, notification ID: ${notificationId}`);
     return { queued: true, notificationId };
@@ -236,29 +262,17 @@ const getQueueStatus = async () => {
  */
 const retryFailedNotifications = async () => {
   try {
-    const result = await db.query(
-      `SELECT * FROM NotificationQueue 
-       WHERE Status = 'FAILED' AND Attempts < MaxAttempts
-       ORDER BY CreatedAt`
+    const result = await db.getPool().query(
+      `UPDATE notification_queue SET status = 'PENDING'
+       WHERE status = 'FAILED' AND attempts < max_attempts
+       RETURNING notification_id, recipient_phone, message`
     );
 
-    const queue = initializeQueue();
-    let retryCount = 0;
-
-    for (const notification of result.recordset) {
-      await queue.add({
-        notificationId: notification.NotificationID,
-        phone: notification.RecipientPhone,
-        message: notification.Message,
-      });
-      
-      await db.query(
-        `UPDATE NotificationQueue SET Status = 'PENDING' WHERE NotificationID = @id`,
-        { id: notification.NotificationID }
-      );
-      
-      retryCount++;
-    }
+    const retryCount = await dispatchNotifications(result.rows.map(notification => ({
+      notificationId: notification.notification_id,
+      phone: notification.recipient_phone,
+      message: notification.message,
+    })));
 
     logger.info(`Retried ${retryCount} failed notifications`);
     return { retried: retryCount };
@@ -269,55 +283,63 @@ const retryFailedNotifications = async () => {
 };
 
 /**
- * Send promotional SMS to customers
+ * Send promotional SMS to customers who have not opted out
+ * customerFilter: a segment filter (see segmentService.normalizeFilter), e.g.
+ * { customerIds, minSpend, minVisits, city, segment, lapsed, vip, segmentId }
+ * {name} in the message becomes the customer's first name. With options.coupon
+ * (discount settings as for couponService.createCoupon) every customer gets
+ * their own single-use code, linked to them, in place of {code}
  */
-const sendPromotionalSMS = async (customerFilter, message) => {
+const sendPromotionalSMS = async (customerFilter = {}, message, { coupon = null, campaign = null, userId = null } = {}) => {
   try {
-    let query = `
-      SELECT CustomerID, Phone, FirstName 
-      FROM Customers 
-      WHERE OptInSMS = 1 AND Phone IS NOT NULL
-    `;
-
-    if (customerFilter.type) {
-      query += ` AND CustomerType = '${customerFilter.type}'`;
+    if (!message || !String(message).trim()) {
+      throw new ValidationError('Message is required');
     }
-
-    if (customerFilter.minSpend) {
-      query += ` AND TotalSpend >= ${customerFilter.minSpend}`;
+    if (message.includes('{code}') && !coupon) {
+      throw new ValidationError('The message has a {code} but no coupon is set up');
+    }
+    if (!await isSMSEnabled()) {
+      throw new ValidationError('SMS notifications are switched off in Settings');
     }
 
-    const customers = await db.query(query);
-    const queue = initializeQueue();
-    let queuedCount = 0;
-
-    for (const customer of customers.recordset) {
-      // Personalize message
-      const personalizedMessage = message.replace('{name}', customer.FirstName || 'Valued Customer');
-
-      const notificationResult = await db.query(
-        `INSERT INTO NotificationQueue (
-          NotificationType, RecipientPhone, Message, ReferenceType, Status
-         )
-         OUTPUT INSERTED.NotificationID
-         VALUES ('SMS', @phone, @message, 'PROMOTION', 'PENDING')`,
-        {
-          phone: customer.Phone,
+    const { customers } = await segmentService.findCustomers(db.getPool(), customerFilter, { limit: null, smsOnly: true });
+
+    // Codes and message records are created together; sending happens after commit
+    const { notifications, coupons } = await db.transaction(async (client) => {
+      const coupons = coupon
+        ? await couponService.createCustomerCoupons(client, coupon, customers.map(c => c.customerId), { campaign, userId })
+        : [];
+      const codes = new Map(coupons.map(c => [c.customerId, c]));
+      const notifications = [];
+
+      for (const customer of customers) {
+        // Personalize message
+        const issued = codes.get(customer.customerId);
+        const personalizedMessage = message
+          .replace(/\{name\}/g, customer.firstName || 'Valued Customer')
+          .replace(/\{code\}/g, issued?.code || '');
+
+        const notificationResult = await client.query(
+          `INSERT INTO notification_queue (notification_type, recipient_phone, message, reference_type, reference_id, status)
+           VALUES ('SMS', $1, $2, $3, $4, 'PENDING')
+           RETURNING notification_id`,
+          [customer.phone, personalizedMessage, issued ? 'COUPON' : 'PROMOTION', issued?.couponId || null]
+        );
+
+        notifications.push({
+          notificationId: notificationResult.rows[0].notification_id,
+          phone: customer.phone,
           message: personalizedMessage,
-        }
-      );
+        });
+      }
 
-      await queue.add({
-        notificationId: notificationResult.recordset[0].NotificationID,
-        phone: customer.Phone,
-        message: personalizedMessage,
-      });
+      return { notifications, coupons };
+    });
 
-      queuedCount++;
-    }
+    const queuedCount = await dispatchNotifications(notifications);
 
-    logger.info(`Promotional SMS queued for ${queuedCount} customers`);
-    return { queued: queuedCount };
+    logger.info(`Promotional SMS queued for ${queuedCount} customers`, { campaign, coupons: coupons.length });
+    return { customers: customers.length, queued: queuedCount, coupons: coupons.length, campaign };
   } catch (error) {
     logger.error('Failed to send promotional SMS:', error);
     throw error;
@@ -0,0 +1,290 @@
+/**
+ * Pricing Service
+ * Recomputes sale prices, tax and discounts from the catalogue so the totals
+ * a client submits are never trusted as-is
+ * Every function takes a client from db.transaction
+ */
+
+const { ValidationError } = require('../middleware/errorHandler');
+const promotionService = require('./promotionService');
+const couponService = require('./couponService');
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+// Amounts closer than half a cent are treated as equal
+const sameAmount = (a, b) => Math.abs(a - b) < 0.005;
+
+/**
+ * Read a numeric setting, falling back when missing
+ */
+const getNumericSetting = async (client, key, fallback) => {
+  const result = await client.query(
+    `SELECT setting_value FROM settings WHERE setting_key = $1`,
+    [key]
+  );
+  const value = parseFloat(result.rows[0]?.setting_value);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * Whether the Security settings require manager approval for an action
+ * (read directly rather than via approvalService, which depends on this module)
+ */
+const approvalRequired = async (client, settingKey) => {
+  const result = await client.query(
+    `SELECT setting_value FROM settings WHERE setting_key = $1`,
+    [settingKey]
+  );
+  return result.rows[0]?.setting_value !== 'false';
+};
+
+/**
+ * Lock an unused override record so it can only be spent by one sale
+ */
+const loadOverride = async (client, overrideId, overrideType) => {
+  const result = await client.query(
+    `SELECT * FROM price_overrides
+     WHERE override_id = $1 AND override_type = $2 AND sale_id IS NULL
+     FOR UPDATE`,
+    [parseInt(overrideId), overrideType]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Price every line from product_variants.price and products.tax_rate
+ * (falling back to the tax_rate setting), validate discounts and return totals
+ *
+ * A unitPrice that differs from the list price needs a PRICE override record;
+ * discounts above max_discount_without_approval need a DISCOUNT override record
+ * (either check is skipped when its approval is switched off in Security settings)
+ *
+ * Running promotions for locationId are applied on top of the manual line
+ * discounts; they do not count towards the approval threshold
+ *
+ * couponCode takes its discount off what is left after the cart discount
+ * (checked for customerId); like promotions it needs no approval
+ *
+ * offline: replaying a sale rung up while the POS was offline - the customer
+ * already paid, so inactive variants, changed prices and unapproved discounts
+ * are returned as conflicts (and the submitted prices kept) instead of rejected.
+ * The offline POS cannot evaluate promotions, so none are applied
+ */
+const priceSale = async (client, { items, locationId = null, customerId = null, discountAmount = 0, discountOverrideId = null, couponCode = null, offline = false }) => {
+  const variantIds = [...new Set(items.map(item => parseInt(item.variantId)))];
+
+  const variantsResult = await client.query(
+    `SELECT pv.variant_id, pv.price, pv.is_active, p.tax_rate, p.is_active as product_active
+     FROM product_variants pv
+     INNER JOIN products p ON pv.product_id = p.product_id
+     WHERE pv.variant_id = ANY($1)`,
+    [variantIds]
+  );
+  const variants = new Map(variantsResult.rows.map(row => [row.variant_id, row]));
+
+  const defaultTaxRate = await getNumericSetting(client, 'tax_rate', 0);
+  const maxDiscountPercent = await getNumericSetting(client, 'max_discount_without_approval', 10);
+  const priceApprovalRequired = await approvalRequired(client, 'approval_required_price_override');
+  const discountApprovalRequired = await approvalRequired(client, 'approval_required_discount');
+
+  const mismatches = [];
+  const conflicts = [];
+  const lines = [];
+
+  for (const item of items) {
+    const variantId = parseInt(item.variantId);
+    const quantity = Number(item.quantity);
+    const variant = variants.get(variantId);
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      mismatches.push({ field: 'quantity', variantId, quantity: item.quantity, message: 'Quantity must be a whole number of at least 1' });
+      continue;
+    }
+
+    if (!variant) {
+      mismatches.push({ field: 'variantId', variantId, message: 'Product does not exist' });
+      continue;
+    }
+
+    if (!variant.is_active || !variant.product_active) {
+      const detail = { type: 'VARIANT_INACTIVE', field: 'variantId', variantId, message: 'Product is not available for sale' };
+      if (!offline) {
+        mismatches.push(detail);
+        continue;
+      }
+      conflicts.push(detail);
+    }
+
+    const listPrice = parseFloat(variant.price);
+    const requestedPrice = item.unitPrice !== undefined && item.unitPrice !== null
+      ? round2(parseFloat(item.unitPrice))
+      : listPrice;
+
+    let priceOverrideId = null;
+    if (!sameAmount(requestedPrice, listPrice) && (priceApprovalRequired || item.priceOverrideId)) {
+      const override = item.priceOverrideId
+        ? await loadOverride(client, item.priceOverrideId, 'PRICE')
+        : null;
+
+      if (!override || override.variant_id !== variantId || !sameAmount(parseFloat(override.override_amount), requestedPrice)) {
+        const detail = {
+          type: 'PRICE_CHANGED',
+          field: 'unitPrice',
+          variantId,
+          expected: listPrice,
+          received: requestedPrice,
+          message: 'Price differs from the list price without an approved override'
+        };
+        if (!offline) {
+          mismatches.push(detail);
+          continue;
+        }
+        conflicts.push(detail);
+      } else {
+        priceOverrideId = override.override_id;
+      }
+    }
+
+    const grossAmount = round2(requestedPrice * quantity);
+    const lineDiscount = round2(parseFloat(item.discountAmount || 0));
+
+    if (lineDiscount < 0 || lineDiscount > grossAmount) {
+      mismatches.push({
+        field: 'discountAmount',
+        variantId,
+        expected: `0 - ${grossAmount}`,
+        received: lineDiscount,
+        message: 'Line discount is out of range'
+      });
+      continue;
+    }
+
+    lines.push({
+      variantId,
+      quantity,
+      unitPrice: requestedPrice,
+      originalPrice: listPrice,
+      discountAmount: lineDiscount,
+      priceOverrideId,
+      grossAmount,
+      taxRate: parseFloat(variant.tax_rate) > 0 ? parseFloat(variant.tax_rate) : defaultTaxRate,
+    });
+  }
+
+  if (mismatches.length > 0) {
+    throw new ValidationError('Sale pricing mismatch', mismatches);
+  }
+
+  const promotions = offline
+    ? { lines: lines.map(line => ({ ...line, promotionDiscount: 0, promotions: [] })), promotions: [], totalDiscount: 0 }
+    : await promotionService.applyPromotions(client, lines, { locationId });
+
+  // Tax is charged on what is left after manual and promotion discounts
+  const pricedLines = promotions.lines.map((line) => {
+    const lineDiscount = round2(line.discountAmount + line.promotionDiscount);
+    return {
+      ...line,
+      discountAmount: lineDiscount,
+      taxAmount: round2((line.grossAmount - lineDiscount) * line.taxRate / 100),
+    };
+  });
+
+  const grossSubtotal = round2(pricedLines.reduce((sum, line) => sum + line.grossAmount, 0));
+  const subtotal = round2(pricedLines.reduce((sum, line) => sum + line.grossAmount - line.discountAmount, 0));
+  const taxAmount = round2(pricedLines.reduce((sum, line) => sum + line.taxAmount, 0));
+  const cartDiscount = round2(parseFloat(discountAmount || 0));
+
+  if (cartDiscount < 0 || cartDiscount > subtotal) {
+    throw new ValidationError('Sale pricing mismatch', [{
+      field: 'discountAmount',
+      expected: `0 - ${subtotal}`,
+      received: cartDiscount,
+      message: 'Discount is out of range'
+    }]);
+  }
+
+  // Line and cart discounts together count towards the approval threshold; promotions do not
+  const totalDiscount = round2(grossSubtotal - subtotal + cartDiscount - promotions.totalDiscount);
+  const discountPercent = grossSubtotal > 0 ? (totalDiscount / grossSubtotal) * 100 : 0;
+
+  let approvedDiscountOverrideId = null;
+  if (discountPercent > maxDiscountPercent + 0.0001 && (discountApprovalRequired || discountOverrideId)) {
+    const override = discountOverrideId
+      ? await loadOverride(client, discountOverrideId, 'DISCOUNT')
+      : null;
+
+    if (!override || parseFloat(override.override_amount) + 0.005 < totalDiscount) {
+      const detail = {
+        type: 'DISCOUNT_UNAPPROVED',
+        field: 'discountAmount',
+        expected: round2(grossSubtotal * maxDiscountPercent / 100),
+        received: totalDiscount,
+        message: `Discounts above ${maxDiscountPercent}% need manager approval`
+      };
+      if (!offline) {
+        throw new ValidationError('Sale pricing mismatch', [detail]);
+      }
+      conflicts.push(detail);
+    } else {
+      approvedDiscountOverrideId = override.override_id;
+    }
+  }
+
+  const coupon = couponCode
+    ? await couponService.checkCoupon(client, couponCode, { customerId, subtotal: round2(subtotal - cartDiscount) })
+    : null;
+  const couponDiscount = coupon ? coupon.discountAmount : 0;
+
+  return {
+    lines: pricedLines.map(({ grossAmount, taxRate, ...line }) => line),
+    subtotal,
+    taxAmount,
+    discountAmount: cartDiscount,
+    promotions: promotions.promotions,
+    promotionDiscount: promotions.totalDiscount,
+    discountOverrideId: approvedDiscountOverrideId,
+    coupon: coupon ? { couponId: coupon.coupon.coupon_id, code: coupon.coupon.code } : null,
+    couponDiscount,
+    totalAmount: round2(subtotal + taxAmount - cartDiscount - couponDiscount),
+    conflicts,
+  };
+};
+
+/**
+ * Compare tendered payments with the amount due; returns null when they settle
+ */
+const paymentMismatch = (payments, amountDue) => {
+  const paid = round2(payments.reduce((sum, payment) => sum + parseFloat(payment.amount || 0), 0));
+
+  if (Math.abs(paid - amountDue) > 0.01) {
+    return {
+      type: 'PAYMENT_MISMATCH',
+      field: 'payments',
+      expected: amountDue,
+      received: paid,
+      message: 'Payments do not match the amount due'
+    };
+  }
+  return null;
+};
+
+/**
+ * Payments must add up to the amount due, to the cent
+ */
+const assertPaymentsSettle = (payments, amountDue) => {
+  if (payments.some(payment => !(parseFloat(payment.amount) >= 0))) {
+    throw new ValidationError('Payment amounts must be zero or more', [{ field: 'payments' }]);
+  }
+
+  const mismatch = paymentMismatch(payments, amountDue);
+  if (mismatch) {
+    throw new ValidationError(mismatch.message, [mismatch]);
+  }
+};
+
+module.exports = {
+  getNumericSetting,
+  priceSale,
+  paymentMismatch,
+  assertPaymentsSettle,
+};
@@ -196,6 +196,11 @@ class PrinterService {
         if (item.DiscountAmount > 0) {
           this.printer.println(`  Discount: -${this.formatAmount(item.DiscountAmount)}`);
         }
+
+        // Promotions applied to the line
+        for (const promotion of item.Promotions || []) {
+          this.printer.println(`  ${promotion.Name}: -${this.formatAmount(promotion.Amount)}`);
+        }
       }
 
       this.printer.println('--------------------------------');
@@ -214,6 +219,13 @@ class PrinterService {
         ]);
       }
 
+      if (sale.CouponDiscount > 0) {
+        this.printer.tableCustom([
+          { text: `Coupon ${sale.CouponCode || ''}:`, align: 'LEFT', width: 0.5 },
+          { text: `-${this.formatAmount(sale.CouponDiscount)}`, align: 'RIGHT', width: 0.5 },
+        ]);
+      }
+
       if (sale.TaxAmount > 0) {
         this.printer.tableCustom([
           { text: 'Tax:', align: 'LEFT', width: 0.5 },
@@ -230,6 +242,11 @@ class PrinterService {
       ]);
       this.printer.bold(false);
       this.printer.setTextSize(1, 1);
+
+      if (sale.PromotionDiscount > 0) {
+        this.printer.alignCenter();
+        this.printer.println(`You saved ${this.formatAmount(sale.PromotionDiscount)} with promotions`);
+      }
       this.printer.println('--------------------------------');
 
       // Payments
@@ -247,6 +264,18 @@ class PrinterService {
         }
       }
 
+      // Loyalty points
+      if (sale.LoyaltyPointsEarned > 0 || sale.LoyaltyPointsRedeemed > 0) {
+        this.printer.println('');
+        if (sale.LoyaltyPointsRedeemed > 0) {
+          this.printer.println(`Points redeemed: ${sale.LoyaltyPointsRedeemed}`);
+        }
+        if (sale.LoyaltyPointsEarned > 0) {
+          this.printer.println(`Points earned: ${sale.LoyaltyPointsEarned}`);
+        }
+        this.printer.println(`Points balance: ${sale.LoyaltyBalance}`);
+      }
+
       this.printer.println('');
       this.printer.println('================================');
 
@@ -388,18 +417,23 @@ class PrinterService {
   }
 
   /**
-   * Print Z-Report
+   * Print Z-Report (or an X-report when data.reportType is 'X')
    */
   async printZReport(data) {
+    const title = data.reportType === 'X' ? 'X-REPORT' : 'Z-REPORT';
+
     try {
       if (!this.printer) {
         await this.initialize();
       }
+      if (!this.printer) {
+        throw new Error('Printer not available');
+      }
 
       this.printer.alignCenter();
       this.printer.bold(true);
       this.printer.setTextSize(2, 2);
-      this.printer.println('Z-REPORT');
+      this.printer.println(title);
       this.printer.setTextSize(1, 1);
       this.printer.println(this.companyName);
       this.printer.bold(false);
@@ -436,6 +470,10 @@ class PrinterService {
         { text: this.formatAmount(data.netSales), align: 'RIGHT', width: 0.5 },
       ]);
       this.printer.bold(false);
+      this.printer.tableCustom([
+        { text: 'Tax Collected:', align: 'LEFT', width: 0.5 },
+        { text: this.formatAmount(data.taxCollected), align: 'RIGHT', width: 0.5 },
+      ]);
       this.printer.println('--------------------------------');
 
       // Transaction Counts
@@ -449,18 +487,21 @@ class PrinterService {
       this.printer.println('PAYMENT BREAKDOWN');
       this.printer.bold(false);
 
-      this.printer.tableCustom([
-        { text: 'Cash:', align: 'LEFT', width: 0.5 },
-        { text: this.formatAmount(data.cashTotal), align: 'RIGHT', width: 0.5 },
-      ]);
-      this.printer.tableCustom([
-        { text: 'Card:', align: 'LEFT', width: 0.5 },
-        { text: this.formatAmount(data.cardTotal), align: 'RIGHT', width: 0.5 },
-      ]);
-      this.printer.tableCustom([
-        { text: 'Store Credit:', align: 'LEFT', width: 0.5 },
-        { text: this.formatAmount(data.walletTotal), align: 'RIGHT', width: 0.5 },
-      ]);
+      // One line per tender when a breakdown is supplied, net of refunds
+      const tenders = data.payments?.length > 0
+        ? data.payments.map(tender => ({ label: tender.methodName, amount: tender.net }))
+        : [
+          { label: 'Cash', amount: data.cashTotal },
+          { label: 'Card', amount: data.cardTotal },
+          { label: 'Store Credit', amount: data.walletTotal },
+        ];
+
+      tenders.forEach(tender => {
+        this.printer.tableCustom([
+          { text: `${tender.label}:`, align: 'LEFT', width: 0.5 },
+          { text: this.formatAmount(tender.amount), align: 'RIGHT', width: 0.5 },
+        ]);
+      });
       this.printer.println('--------------------------------');
 
       // Cash Reconciliation
@@ -472,36 +513,51 @@ class PrinterService {
         { text: 'Opening:', align: 'LEFT', width: 0.5 },
         { text: this.formatAmount(data.openingCash), align: 'RIGHT', width: 0.5 },
       ]);
+      [
+        { label: 'Account Pmts:', amount: data.accountCashIn, sign: '' },
+        { label: 'Paid In:', amount: data.paidIn, sign: '' },
+        { label: 'Paid Out:', amount: data.paidOut, sign: '-' },
+        { label: 'Safe Drops:', amount: data.safeDrops, sign: '-' },
+      ].filter(movement => movement.amount > 0).forEach(movement => {
+        this.printer.tableCustom([
+          { text: movement.label, align: 'LEFT', width: 0.5 },
+          { text: `${movement.sign}${this.formatAmount(movement.amount)}`, align: 'RIGHT', width: 0.5 },
+        ]);
+      });
       this.printer.tableCustom([
         { text: 'Expected:', align: 'LEFT', width: 0.5 },
         { text: this.formatAmount(data.expectedCash), align: 'RIGHT', width: 0.5 },
       ]);
-      this.printer.tableCustom([
-        { text: 'Actual:', align: 'LEFT', width: 0.5 },
-        { text: this.formatAmount(data.actualCash), align: 'RIGHT', width: 0.5 },
-      ]);
-      this.printer.println('--------------------------------');
 
-      const varianceStatus = Math.abs(data.variance) <= 500 ? 'OK' : 'FLAGGED';
-      this.printer.bold(true);
-      this.printer.tableCustom([
-        { text: 'Variance:', align: 'LEFT', width: 0.5 },
-        { text: `${this.formatAmount(data.variance)} [${varianceStatus}]`, align: 'RIGHT', width: 0.5 },
-      ]);
-      this.printer.bold(false);
+      // X-reports and uncounted closes have no actual cash to reconcile
+      if (data.actualCash !== null && data.actualCash !== undefined) {
+        this.printer.tableCustom([
+          { text: 'Actual:', align: 'LEFT', width: 0.5 },
+          { text: this.formatAmount(data.actualCash), align: 'RIGHT', width: 0.5 },
+        ]);
+        this.printer.println('--------------------------------');
+
+        const varianceStatus = Math.abs(data.variance) <= 500 ? 'OK' : 'FLAGGED';
+        this.printer.bold(true);
+        this.printer.tableCustom([
+          { text: 'Variance:', align: 'LEFT', width: 0.5 },
+          { text: `${this.formatAmount(data.variance)} [${varianceStatus}]`, align: 'RIGHT', width: 0.5 },
+        ]);
+        this.printer.bold(false);
+      }
 
       this.printer.println('================================');
       this.printer.alignCenter();
-      this.printer.println('*** END OF Z-REPORT ***');
+      this.printer.println(`*** END OF ${title} ***`);
 
       this.printer.cut();
       await this.printer.execute();
       this.printer.clear();
 
-      logger.info(`Z-Report printed: ${data.reportNumber}`);
+      logger.info(`${title} printed: ${data.reportNumber}`);
       return true;
     } catch (error) {
-      logger.error('Z-Report printing failed:', error);
+      logger.error(`${title} printing failed:`, error);
       this.printer?.clear();
       throw error;
     }
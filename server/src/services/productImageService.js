@@ -0,0 +1,234 @@
+/**
+ * Product Image Service
+ * Uploaded images for products and variants. Each upload is validated and
+ * stored as a display image and a thumbnail through the storage adapter;
+ * products.image_url / product_variants.image_url point at the served copies.
+ * A variant image can cover its whole colourway (every variant of the same
+ * Color). Images nothing points at any more are deleted
+ * Database functions take a client from db.transaction; file work happens
+ * outside the transaction so the route can clean up either way
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { processImage } = require('../utils/imageProcessor');
+const { getStorage } = require('./imageStorage');
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+const RENDITIONS = {
+  image: { maxSize: 1200, quality: 85 },
+  thumbnail: { maxSize: 320, quality: 75 },
+};
+
+const API_PREFIX = process.env.API_PREFIX || '/api/v1';
+
+// Images are served by routes/images.js
+const imageUrl = key => `${API_PREFIX}/images/${key}`;
+
+/**
+ * Validate and process an uploaded file (multer memory upload) and write its
+ * renditions to storage. Returns the stored image, not yet linked to anything
+ */
+const storeUpload = async (file, productId) => {
+  if (!file || !file.buffer || file.buffer.length === 0) {
+    throw new ValidationError('Choose an image to upload');
+  }
+  if (file.buffer.length > MAX_FILE_SIZE) {
+    throw new ValidationError(`Images must be ${MAX_FILE_SIZE / 1024 / 1024} MB or smaller`);
+  }
+
+  let processed;
+  try {
+    processed = processImage(file.buffer, RENDITIONS);
+  } catch (error) {
+    throw new ValidationError(`Could not use this image: ${error.message}`);
+  }
+
+  const name = uuidv4();
+  const storageKey = `products/${productId}/${name}.jpg`;
+  const thumbnailKey = `products/${productId}/${name}-thumb.jpg`;
+  const storage = getStorage();
+
+  await storage.save(storageKey, processed.renditions.image.buffer, 'image/jpeg');
+  try {
+    await storage.save(thumbnailKey, processed.renditions.thumbnail.buffer, 'image/jpeg');
+  } catch (error) {
+    await removeFiles([storageKey]);
+    throw error;
+  }
+
+  return {
+    storageKey,
+    thumbnailKey,
+    imageUrl: imageUrl(storageKey),
+    thumbnailUrl: imageUrl(thumbnailKey),
+    width: processed.renditions.image.width,
+    height: processed.renditions.image.height,
+    fileSize: processed.renditions.image.buffer.length,
+    originalName: file.originalname ? String(file.originalname).slice(0, 255) : null,
+  };
+};
+
+/**
+ * Best-effort delete of stored files (a failure only leaves an orphan file)
+ */
+const removeFiles = async (keys) => {
+  const storage = getStorage();
+  for (const key of keys) {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      logger.error('Failed to remove stored image', { key, error: error.message });
+    }
+  }
+};
+
+/**
+ * The variants an image applies to: the variant itself, or with applyToColour
+ * every variant of the product sharing its Color value
+ */
+const resolveVariantIds = async (client, productId, variantId, applyToColour) => {
+  const variantResult = await client.query(
+    `SELECT variant_id FROM product_variants WHERE variant_id = $1 AND product_id = $2`,
+    [variantId, productId]
+  );
+  if (variantResult.rows.length === 0) {
+    throw new NotFoundError('Variant');
+  }
+
+  if (!applyToColour) {
+    return [variantId];
+  }
+
+  const siblingResult = await client.query(
+    `SELECT DISTINCT pv.variant_id
+     FROM product_variants pv
+     INNER JOIN variant_attributes va ON va.variant_id = pv.variant_id
+     INNER JOIN attributes a ON va.attribute_id = a.attribute_id AND a.attribute_name = 'Color'
+     WHERE pv.product_id = $1
+       AND va.attribute_value_id = (
+         SELECT va2.attribute_value_id FROM variant_attributes va2
+         INNER JOIN attributes a2 ON va2.attribute_id = a2.attribute_id AND a2.attribute_name = 'Color'
+         WHERE va2.variant_id = $2
+       )`,
+    [productId, variantId]
+  );
+
+  return siblingResult.rows.length > 0 ? siblingResult.rows.map(row => row.variant_id) : [variantId];
+};
+
+/**
+ * Point the product (no variantId) or the variants at an image URL (null clears)
+ * Returns the URLs that were replaced
+ */
+const setImageUrls = async (client, productId, variantIds, image) => {
+  if (!variantIds) {
+    const previous = await client.query(
+      `SELECT image_url FROM products WHERE product_id = $1 AND image_url IS NOT NULL FOR UPDATE`,
+      [productId]
+    );
+    await client.query(
+      `UPDATE products SET image_url = $1, thumbnail_url = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE product_id = $3`,
+      [image?.imageUrl || null, image?.thumbnailUrl || null, productId]
+    );
+    return previous.rows.map(row => row.image_url);
+  }
+
+  const previous = await client.query(
+    `SELECT DISTINCT image_url FROM product_variants WHERE variant_id = ANY($1) AND image_url IS NOT NULL`,
+    [variantIds]
+  );
+  await client.query(
+    `UPDATE product_variants SET image_url = $1, thumbnail_url = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE variant_id = ANY($3)`,
+    [image?.imageUrl || null, image?.thumbnailUrl || null, variantIds]
+  );
+  return previous.rows.map(row => row.image_url);
+};
+
+/**
+ * Drop image records nothing refers to any more; returns their storage keys
+ */
+const releaseUnused = async (client, urls) => {
+  if (urls.length === 0) return [];
+
+  const result = await client.query(
+    `DELETE FROM product_images pi
+     WHERE pi.image_url = ANY($1)
+       AND NOT EXISTS (SELECT 1 FROM products p WHERE p.image_url = pi.image_url)
+       AND NOT EXISTS (SELECT 1 FROM product_variants pv WHERE pv.image_url = pi.image_url)
+     RETURNING storage_key, thumbnail_key`,
+    [urls]
+  );
+
+  return result.rows.flatMap(row => [row.storage_key, row.thumbnail_key]);
+};
+
+/**
+ * Link a stored upload to a product, or to a variant (and optionally its colourway)
+ * Returns the image, the variants it now covers and the storage keys to delete
+ */
+const attachImage = async (client, productId, { variantId = null, applyToColour = false, stored, userId }) => {
+  const productResult = await client.query(`SELECT product_id FROM products WHERE product_id = $1`, [productId]);
+  if (productResult.rows.length === 0) {
+    throw new NotFoundError('Product');
+  }
+
+  const variantIds = variantId ? await resolveVariantIds(client, productId, variantId, applyToColour) : null;
+
+  const imageResult = await client.query(
+    `INSERT INTO product_images (product_id, storage_key, thumbnail_key, image_url, thumbnail_url,
+                                 width, height, file_size, original_name, uploaded_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      productId,
+      stored.storageKey,
+      stored.thumbnailKey,
+      stored.imageUrl,
+      stored.thumbnailUrl,
+      stored.width,
+      stored.height,
+      stored.fileSize,
+      stored.originalName,
+      userId,
+    ]
+  );
+
+  const replaced = await setImageUrls(client, productId, variantIds, stored);
+
+  return {
+    image: imageResult.rows[0],
+    variantIds: variantIds || [],
+    releasedKeys: await releaseUnused(client, replaced),
+  };
+};
+
+/**
+ * Remove the image from a product, or from a variant (and optionally its colourway)
+ */
+const detachImage = async (client, productId, { variantId = null, applyToColour = false }) => {
+  const productResult = await client.query(`SELECT product_id FROM products WHERE product_id = $1`, [productId]);
+  if (productResult.rows.length === 0) {
+    throw new NotFoundError('Product');
+  }
+
+  const variantIds = variantId ? await resolveVariantIds(client, productId, variantId, applyToColour) : null;
+  const replaced = await setImageUrls(client, productId, variantIds, null);
+
+  return {
+    variantIds: variantIds || [],
+    releasedKeys: await releaseUnused(client, replaced),
+  };
+};
+
+module.exports = {
+  MAX_FILE_SIZE,
+  storeUpload,
+  removeFiles,
+  attachImage,
+  detachImage,
+};
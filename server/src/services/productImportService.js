@@ -0,0 +1,695 @@
+/**
+ * Product Import Service
+ * Bulk product import and export in one spreadsheet layout (CSV or XLSX): one
+ * row per variant, grouped into products by Product Code, with a "Stock: <code>"
+ * column per location for opening stock. Every row is validated before anything
+ * is written - a dry run returns the plan and all row errors - and the import
+ * itself creates products, variants, attributes, barcodes and stock in one transaction.
+ * Rows whose SKU already exists update that variant's price, cost and barcode,
+ * so an unchanged export imports cleanly
+ */
+
+const inventoryService = require('./inventoryService');
+const variantService = require('./variantService');
+const { ValidationError } = require('../middleware/errorHandler');
+const { generateVariantName } = require('../utils/productUtils');
+const { parseCsv } = require('../utils/csv');
+const { readXlsx } = require('../utils/xlsx');
+
+const MAX_ROWS = 5000;
+const STOCK_PREFIX = 'Stock: ';
+
+// Spreadsheet columns in export order; aliases are accepted on import
+const COLUMNS = [
+  { key: 'productCode', header: 'Product Code', aliases: ['code'] },
+  { key: 'productName', header: 'Product Name', aliases: ['name'] },
+  { key: 'category', header: 'Category', aliases: [] },
+  { key: 'description', header: 'Description', aliases: [] },
+  { key: 'price', header: 'Price', aliases: ['selling price'] },
+  { key: 'cost', header: 'Cost', aliases: ['cost price'] },
+  { key: 'taxRate', header: 'Tax Rate', aliases: ['tax'] },
+  { key: 'size', header: 'Size', aliases: [] },
+  { key: 'color', header: 'Color', aliases: ['colour'] },
+  { key: 'sku', header: 'SKU', aliases: [] },
+  { key: 'barcode', header: 'Barcode', aliases: [] },
+];
+
+// Attribute columns and the attributes they populate
+const ATTRIBUTE_COLUMNS = [
+  { key: 'size', attributeName: 'Size' },
+  { key: 'color', attributeName: 'Color' },
+];
+
+const normalizeHeader = (header) => String(header || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const parseNumber = (value) => {
+  const cleaned = String(value).replace(/[,\s]/g, '');
+  return cleaned === '' || isNaN(Number(cleaned)) ? NaN : Number(cleaned);
+};
+
+/**
+ * Read an uploaded CSV or XLSX file (multer memory upload) into rows of strings
+ */
+const readSpreadsheet = (file) => {
+  if (!file || !file.buffer || file.buffer.length === 0) {
+    throw new ValidationError('Upload a CSV or XLSX file');
+  }
+
+  const isXlsx = /\.xlsx$/i.test(file.originalname || '')
+    || file.buffer.subarray(0, 2).toString('latin1') === 'PK';
+
+  try {
+    return isXlsx ? readXlsx(file.buffer) : parseCsv(file.buffer.toString('utf8'));
+  } catch (error) {
+    throw new ValidationError(`Could not read the spreadsheet: ${error.message}`);
+  }
+};
+
+/**
+ * Map sheet rows to records keyed by column, resolving stock columns to locations
+ * Row numbers are the spreadsheet's own (the header is row 1)
+ */
+const mapRows = async (client, rows) => {
+  const [headerRow = [], ...dataRows] = rows;
+  const errors = [];
+
+  const locationResult = await client.query(
+    `SELECT location_id, location_code FROM locations WHERE is_active = true`
+  );
+  const locationsByCode = new Map(locationResult.rows.map(row => [row.location_code.toLowerCase(), row]));
+
+  const columnIndexes = {};
+  const stockColumns = [];
+  headerRow.forEach((header, index) => {
+    const normalized = normalizeHeader(header);
+    if (!normalized) return;
+
+    const stockMatch = /^stock\s*[:-]?\s*(.+)$/i.exec(String(header).trim());
+    if (stockMatch) {
+      const locationCode = stockMatch[1].trim();
+      const location = locationsByCode.get(locationCode.toLowerCase());
+      if (location) {
+        stockColumns.push({ index, locationId: location.location_id, locationCode: location.location_code });
+      } else {
+        errors.push({ row: 1, field: header, message: `Unknown location "${locationCode}"` });
+      }
+      return;
+    }
+
+    const column = COLUMNS.find(col => normalizeHeader(col.header) === normalized || col.aliases.includes(normalized));
+    if (column && columnIndexes[column.key] === undefined) {
+      columnIndexes[column.key] = index;
+    }
+  });
+
+  for (const required of ['productCode', 'productName', 'price']) {
+    if (columnIndexes[required] === undefined) {
+      const column = COLUMNS.find(col => col.key === required);
+      errors.push({ row: 1, field: column.header, message: `Missing column "${column.header}"` });
+    }
+  }
+
+  const records = [];
+  dataRows.forEach((cells, index) => {
+    if (!cells.some(cell => String(cell ?? '').trim() !== '')) return;
+
+    const values = {};
+    for (const column of COLUMNS) {
+      const cellIndex = columnIndexes[column.key];
+      values[column.key] = cellIndex === undefined ? '' : String(cells[cellIndex] ?? '').trim();
+    }
+
+    records.push({
+      row: index + 2,
+      values,
+      stock: stockColumns.map(col => ({ ...col, value: String(cells[col.index] ?? '').trim() })),
+    });
+  });
+
+  if (records.length === 0) {
+    errors.push({ row: null, field: null, message: 'The spreadsheet has no product rows' });
+  }
+  if (records.length > MAX_ROWS) {
+    errors.push({ row: null, field: null, message: `Import at most ${MAX_ROWS} rows at a time` });
+  }
+
+  return { records, errors };
+};
+
+/**
+ * Validate every record against the file and the database and work out what
+ * the import would create. Nothing is written
+ */
+const buildPlan = async (client, records) => {
+  const errors = [];
+  const warnings = [];
+  const addError = (row, field, message) => errors.push({ row, field, message });
+
+  // Reference data: categories, attribute values, existing products and codes
+  const categoryResult = await client.query(`SELECT category_id, category_name FROM categories WHERE is_active = true`);
+  const categoriesByName = new Map(categoryResult.rows.map(row => [row.category_name.toLowerCase(), row]));
+
+  const attributeResult = await client.query(
+    `SELECT a.attribute_id, a.attribute_name, av.attribute_value_id, av.value
+     FROM attributes a
+     LEFT JOIN attribute_values av ON av.attribute_id = a.attribute_id
+     WHERE a.attribute_name = ANY($1)`,
+    [ATTRIBUTE_COLUMNS.map(col => col.attributeName)]
+  );
+  const attributeValues = new Map(ATTRIBUTE_COLUMNS.map(col => [col.key, new Map()]));
+  for (const row of attributeResult.rows) {
+    const column = ATTRIBUTE_COLUMNS.find(col => col.attributeName === row.attribute_name);
+    if (row.value !== null) {
+      attributeValues.get(column.key).set(row.value.toLowerCase(), row.value);
+    }
+  }
+
+  const codes = [...new Set(records.map(record => record.values.productCode).filter(Boolean))];
+  const skus = records.map(record => record.values.sku).filter(Boolean);
+  const barcodes = records.map(record => record.values.barcode).filter(Boolean);
+
+  const existingProductResult = await client.query(
+    `SELECT p.product_id, p.product_code, p.product_name, p.description, p.tax_rate, c.category_name
+     FROM products p
+     LEFT JOIN categories c ON p.category_id = c.category_id
+     WHERE p.product_code = ANY($1)`,
+    [codes]
+  );
+  const existingProducts = new Map(existingProductResult.rows.map(row => [row.product_code, row]));
+
+  // Attribute combinations already on the products being extended
+  const existingCombinations = new Set();
+  if (existingProducts.size > 0) {
+    const combinationResult = await client.query(
+      `SELECT p.product_code,
+              MAX(CASE WHEN a.attribute_name = 'Size' THEN av.value END) as size,
+              MAX(CASE WHEN a.attribute_name = 'Color' THEN av.value END) as color
+       FROM product_variants pv
+       INNER JOIN products p ON pv.product_id = p.product_id
+       LEFT JOIN variant_attributes va ON va.variant_id = pv.variant_id
+       LEFT JOIN attributes a ON va.attribute_id = a.attribute_id
+       LEFT JOIN attribute_values av ON va.attribute_value_id = av.attribute_value_id
+       WHERE p.product_id = ANY($1)
+       GROUP BY p.product_code, pv.variant_id`,
+      [[...existingProducts.values()].map(row => row.product_id)]
+    );
+    for (const row of combinationResult.rows) {
+      existingCombinations.add(`${row.product_code}|${(row.size || '').toLowerCase()}|${(row.color || '').toLowerCase()}`);
+    }
+  }
+
+  // Variants the file's SKUs already belong to, with their attributes and stock
+  const existingVariantResult = await client.query(
+    `SELECT pv.variant_id, pv.sku, pv.barcode, pv.price, pv.cost_price, p.product_code,
+            (SELECT av.value FROM variant_attributes va
+             INNER JOIN attributes a ON va.attribute_id = a.attribute_id
+             INNER JOIN attribute_values av ON va.attribute_value_id = av.attribute_value_id
+             WHERE va.variant_id = pv.variant_id AND a.attribute_name = 'Size') as size,
+            (SELECT av.value FROM variant_attributes va
+             INNER JOIN attributes a ON va.attribute_id = a.attribute_id
+             INNER JOIN attribute_values av ON va.attribute_value_id = av.attribute_value_id
+             WHERE va.variant_id = pv.variant_id AND a.attribute_name = 'Color') as color
+     FROM product_variants pv
+     INNER JOIN products p ON pv.product_id = p.product_id
+     WHERE pv.sku = ANY($1)`,
+    [skus]
+  );
+  const existingVariants = new Map(existingVariantResult.rows.map(row => [row.sku, row]));
+
+  const currentStockResult = await client.query(
+    `SELECT variant_id, location_id, quantity_on_hand FROM inventory WHERE variant_id = ANY($1)`,
+    [existingVariantResult.rows.map(row => row.variant_id)]
+  );
+  const currentStock = new Map(currentStockResult.rows.map(row => [`${row.variant_id}|${row.location_id}`, row.quantity_on_hand]));
+
+  const takenResult = await client.query(
+    `SELECT variant_id, barcode FROM product_variants WHERE barcode = ANY($1)`,
+    [barcodes]
+  );
+  const takenBarcodes = new Map(takenResult.rows.map(row => [row.barcode, row.variant_id]));
+
+  const products = new Map();
+  const seenSkus = new Map();
+  const seenBarcodes = new Map();
+  const seenCombinations = new Map();
+  const newCategories = new Map();
+  const newAttributeValues = new Map(ATTRIBUTE_COLUMNS.map(col => [col.key, new Map()]));
+
+  for (const { row, values, stock } of records) {
+    const code = values.productCode;
+
+    if (!code) {
+      addError(row, 'Product Code', 'Product code is required');
+      continue;
+    }
+    if (code.length > 50) {
+      addError(row, 'Product Code', 'Product code is longer than 50 characters');
+    }
+
+    const price = parseNumber(values.price);
+    if (isNaN(price) || price < 0) {
+      addError(row, 'Price', 'Price must be a number of 0 or more');
+    }
+
+    const cost = values.cost === '' ? 0 : parseNumber(values.cost);
+    if (isNaN(cost) || cost < 0) {
+      addError(row, 'Cost', 'Cost must be a number of 0 or more');
+    }
+
+    const taxRate = values.taxRate === '' ? 0 : parseNumber(values.taxRate);
+    if (isNaN(taxRate) || taxRate < 0 || taxRate > 100) {
+      addError(row, 'Tax Rate', 'Tax rate must be between 0 and 100');
+    }
+
+    // Product-level fields come from the first row of each product code
+    let product = products.get(code);
+    if (!product) {
+      const existing = existingProducts.get(code);
+
+      if (!existing && !values.productName) {
+        addError(row, 'Product Name', 'Product name is required');
+      }
+      if (values.productName.length > 200) {
+        addError(row, 'Product Name', 'Product name is longer than 200 characters');
+      }
+
+      let categoryName = null;
+      if (values.category) {
+        const category = categoriesByName.get(values.category.toLowerCase());
+        categoryName = category ? category.category_name : values.category;
+        if (!category && !existing) {
+          newCategories.set(values.category.toLowerCase(), values.category);
+        }
+      }
+
+      const detailsDiffer = existing && (
+        (values.productName && values.productName !== existing.product_name)
+        || (values.category && values.category.toLowerCase() !== (existing.category_name || '').toLowerCase())
+        || (values.description && values.description !== (existing.description || ''))
+        || (!isNaN(taxRate) && taxRate !== (parseFloat(existing.tax_rate) || 0))
+      );
+      if (detailsDiffer) {
+        warnings.push({ row, field: 'Product Code', message: `Product ${code} already exists - its name, category, description and tax rate are left unchanged` });
+      }
+
+      product = {
+        row,
+        productCode: code,
+        productId: existing ? existing.product_id : null,
+        productName: existing ? existing.product_name : values.productName,
+        categoryName,
+        description: values.description || null,
+        basePrice: price,
+        costPrice: cost,
+        taxRate,
+        variants: [],
+      };
+      products.set(code, product);
+    } else if (!product.productId) {
+      if (values.productName && values.productName !== product.productName) {
+        addError(row, 'Product Name', `Product name differs from row ${product.row} for ${code}`);
+      }
+      if (values.category && values.category.toLowerCase() !== (product.categoryName || '').toLowerCase()) {
+        addError(row, 'Category', `Category differs from row ${product.row} for ${code}`);
+      }
+    }
+
+    // Attribute values, matched case-insensitively to the existing ones
+    const attributes = {};
+    for (const { key } of ATTRIBUTE_COLUMNS) {
+      if (!values[key]) continue;
+      if (values[key].length > 100) {
+        addError(row, key === 'size' ? 'Size' : 'Color', 'Value is longer than 100 characters');
+        continue;
+      }
+      const lower = values[key].toLowerCase();
+      const known = attributeValues.get(key).get(lower) || newAttributeValues.get(key).get(lower);
+      if (!known) {
+        newAttributeValues.get(key).set(lower, values[key]);
+      }
+      attributes[key] = known || values[key];
+    }
+
+    const combination = `${code}|${(attributes.size || '').toLowerCase()}|${(attributes.color || '').toLowerCase()}`;
+    const variantLabel = [attributes.size, attributes.color].filter(Boolean).join(' / ') || 'Default';
+
+    // A known SKU updates its variant, which must be the same product and attributes
+    const existingVariant = values.sku ? existingVariants.get(values.sku) : null;
+    if (existingVariant) {
+      const existingLabel = [existingVariant.size, existingVariant.color].filter(Boolean).join(' / ') || 'Default';
+      if (existingVariant.product_code !== code) {
+        addError(row, 'SKU', `SKU ${values.sku} belongs to product ${existingVariant.product_code}`);
+      } else if (existingLabel.toLowerCase() !== variantLabel.toLowerCase()) {
+        addError(row, 'SKU', `SKU ${values.sku} is the ${existingLabel} variant of ${code}`);
+      }
+    }
+
+    if (existingCombinations.has(combination) && !existingVariant) {
+      addError(row, 'Size', `${code} already has a ${variantLabel} variant`);
+    } else if (seenCombinations.has(combination)) {
+      addError(row, 'Size', `Duplicate ${variantLabel} variant of ${code} (row ${seenCombinations.get(combination)})`);
+    } else {
+      seenCombinations.set(combination, row);
+    }
+
+    if (values.sku) {
+      if (values.sku.length > 50) {
+        addError(row, 'SKU', 'SKU is longer than 50 characters');
+      } else if (seenSkus.has(values.sku)) {
+        addError(row, 'SKU', `Duplicate SKU ${values.sku} (row ${seenSkus.get(values.sku)})`);
+      }
+      seenSkus.set(values.sku, seenSkus.get(values.sku) || row);
+    }
+
+    if (values.barcode) {
+      if (values.barcode.length > 50) {
+        addError(row, 'Barcode', 'Barcode is longer than 50 characters');
+      } else if (takenBarcodes.has(values.barcode) && takenBarcodes.get(values.barcode) !== existingVariant?.variant_id) {
+        addError(row, 'Barcode', `Barcode ${values.barcode} already exists`);
+      } else if (seenBarcodes.has(values.barcode)) {
+        addError(row, 'Barcode', `Duplicate barcode ${values.barcode} (row ${seenBarcodes.get(values.barcode)})`);
+      }
+      seenBarcodes.set(values.barcode, seenBarcodes.get(values.barcode) || row);
+    }
+
+    // Stock columns are opening stock for new variants; existing stock only
+    // changes through stock counts and adjustments
+    const openingStock = [];
+    let stockChanged = false;
+    for (const { locationId, locationCode, value } of stock) {
+      if (value === '') continue;
+      const quantity = parseNumber(value);
+      if (!Number.isInteger(quantity) || quantity < 0) {
+        addError(row, `${STOCK_PREFIX}${locationCode}`, 'Stock must be a whole number of 0 or more');
+      } else if (existingVariant) {
+        stockChanged = stockChanged || quantity !== (currentStock.get(`${existingVariant.variant_id}|${locationId}`) || 0);
+      } else if (quantity > 0) {
+        openingStock.push({ locationId, locationCode, quantity });
+      }
+    }
+    if (stockChanged) {
+      warnings.push({ row, field: 'Stock', message: `Stock for ${values.sku} is left unchanged - use a stock count or adjustment to change it` });
+    }
+
+    product.variants.push({
+      row,
+      variantId: existingVariant ? existingVariant.variant_id : null,
+      changed: !existingVariant
+        || price !== parseFloat(existingVariant.price)
+        || cost !== (parseFloat(existingVariant.cost_price) || 0)
+        || (Boolean(values.barcode) && values.barcode !== existingVariant.barcode),
+      sku: values.sku || null,
+      barcode: values.barcode || null,
+      variantName: Object.keys(attributes).length > 0
+        ? generateVariantName(product.productName || code, [attributes.size, attributes.color].filter(Boolean))
+        : 'Default',
+      price,
+      costPrice: cost,
+      attributes,
+      openingStock,
+    });
+  }
+
+  const planned = [...products.values()];
+  const variants = planned.flatMap(product => product.variants);
+  const newVariants = variants.filter(variant => !variant.variantId);
+
+  return {
+    valid: errors.length === 0,
+    errors: errors.sort((a, b) => (a.row || 0) - (b.row || 0)),
+    warnings,
+    products: planned,
+    newCategories: [...newCategories.values()],
+    newAttributeValues: Object.fromEntries(ATTRIBUTE_COLUMNS.map(({ key, attributeName }) =>
+      [attributeName, [...newAttributeValues.get(key).values()]])),
+    summary: {
+      rows: records.length,
+      newProducts: planned.filter(product => !product.productId).length,
+      existingProducts: planned.filter(product => product.productId).length,
+      variants: newVariants.length,
+      updatedVariants: variants.filter(variant => variant.variantId && variant.changed).length,
+      unchangedVariants: variants.filter(variant => variant.variantId && !variant.changed).length,
+      openingStockUnits: newVariants.reduce((sum, variant) =>
+        sum + variant.openingStock.reduce((lineSum, line) => lineSum + line.quantity, 0), 0),
+    },
+  };
+};
+
+/**
+ * Validate an uploaded file without writing anything
+ */
+const previewImport = async (client, file) => {
+  const { records, errors } = await mapRows(client, readSpreadsheet(file));
+  const plan = await buildPlan(client, records);
+
+  return { ...plan, valid: errors.length === 0 && plan.valid, errors: [...errors, ...plan.errors] };
+};
+
+// SKU from the code and attribute values; a generated one if that is taken
+const resolveSku = async (client, productCode, attributes) => {
+  const sku = [productCode, attributes.size, attributes.color]
+    .filter(Boolean)
+    .join('-')
+    .toUpperCase()
+    .replace(/[^A-Z0-9-]+/g, '')
+    .slice(0, 50);
+
+  const result = await client.query(`SELECT 1 FROM product_variants WHERE sku = $1`, [sku]);
+  if (result.rows.length === 0) return sku;
+
+  return variantService.generateUniqueSku(client, productCode, attributes);
+};
+
+/**
+ * Validate and import an uploaded file in one go
+ * Any row error aborts the whole import with the full error list
+ */
+const importProducts = async (client, file, { userId }) => {
+  const plan = await previewImport(client, file);
+
+  if (!plan.valid) {
+    throw new ValidationError('The import has errors', plan.errors);
+  }
+
+  // Categories named in the file that do not exist yet
+  const categoryIds = new Map();
+  const categoryResult = await client.query(`SELECT category_id, category_name FROM categories WHERE is_active = true`);
+  for (const row of categoryResult.rows) {
+    categoryIds.set(row.category_name.toLowerCase(), row.category_id);
+  }
+  for (const categoryName of plan.newCategories) {
+    const result = await client.query(
+      `INSERT INTO categories (category_name) VALUES ($1) RETURNING category_id`,
+      [categoryName]
+    );
+    categoryIds.set(categoryName.toLowerCase(), result.rows[0].category_id);
+  }
+
+  // Attributes and any new values
+  const attributeIds = {};
+  for (const { key, attributeName } of ATTRIBUTE_COLUMNS) {
+    const result = await client.query(
+      `INSERT INTO attributes (attribute_name) VALUES ($1)
+       ON CONFLICT (attribute_name) DO UPDATE SET attribute_name = EXCLUDED.attribute_name
+       RETURNING attribute_id`,
+      [attributeName]
+    );
+    attributeIds[key] = result.rows[0].attribute_id;
+  }
+
+  const valueIds = new Map();
+  const attributeValueId = async (key, value) => {
+    const cacheKey = `${key}|${value.toLowerCase()}`;
+    if (!valueIds.has(cacheKey)) {
+      const result = await client.query(
+        `INSERT INTO attribute_values (attribute_id, value) VALUES ($1, $2)
+         ON CONFLICT (attribute_id, value) DO UPDATE SET value = EXCLUDED.value
+         RETURNING attribute_value_id`,
+        [attributeIds[key], value]
+      );
+      valueIds.set(cacheKey, result.rows[0].attribute_value_id);
+    }
+    return valueIds.get(cacheKey);
+  };
+
+  let productsCreated = 0;
+  let variantsCreated = 0;
+  let variantsUpdated = 0;
+  let stockUnits = 0;
+
+  for (const product of plan.products) {
+    const hasVariants = product.variants.some(variant => !variant.variantId && Object.keys(variant.attributes).length > 0);
+    let productId = product.productId;
+
+    if (productId) {
+      if (hasVariants) {
+        await client.query(
+          `UPDATE products SET has_variants = true, updated_at = CURRENT_TIMESTAMP WHERE product_id = $1`,
+          [productId]
+        );
+      }
+    } else {
+      const result = await client.query(
+        `INSERT INTO products (product_code, product_name, category_id, description, base_price, cost_price, tax_rate, has_variants, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING product_id`,
+        [
+          product.productCode,
+          product.productName,
+          product.categoryName ? categoryIds.get(product.categoryName.toLowerCase()) : null,
+          product.description,
+          product.basePrice,
+          product.costPrice,
+          product.taxRate,
+          hasVariants,
+          userId,
+        ]
+      );
+      productId = result.rows[0].product_id;
+      productsCreated++;
+    }
+
+    for (const { key } of ATTRIBUTE_COLUMNS) {
+      if (product.variants.some(variant => variant.attributes[key])) {
+        await client.query(
+          `INSERT INTO product_attributes (product_id, attribute_id) VALUES ($1, $2)
+           ON CONFLICT (product_id, attribute_id) DO NOTHING`,
+          [productId, attributeIds[key]]
+        );
+      }
+    }
+
+    for (const [index, variant] of product.variants.entries()) {
+      if (variant.variantId) {
+        if (variant.changed) {
+          await client.query(
+            `UPDATE product_variants SET price = $1, cost_price = $2, barcode = COALESCE($3, barcode), updated_at = CURRENT_TIMESTAMP
+             WHERE variant_id = $4`,
+            [variant.price, variant.costPrice, variant.barcode, variant.variantId]
+          );
+          variantsUpdated++;
+        }
+        continue;
+      }
+
+      const sku = variant.sku || await resolveSku(client, product.productCode, variant.attributes);
+      const barcode = variant.barcode || await variantService.generateUniqueBarcode(client);
+
+      const variantResult = await client.query(
+        `INSERT INTO product_variants (product_id, sku, barcode, variant_name, price, cost_price, is_default, is_active)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, true)
+         RETURNING variant_id`,
+        [productId, sku, barcode, variant.variantName, variant.price, variant.costPrice, !product.productId && index === 0]
+      );
+      const variantId = variantResult.rows[0].variant_id;
+      variantsCreated++;
+
+      for (const { key } of ATTRIBUTE_COLUMNS) {
+        if (!variant.attributes[key]) continue;
+        await client.query(
+          `INSERT INTO variant_attributes (variant_id, attribute_id, attribute_value_id)
+           VALUES ($1, $2, $3)`,
+          [variantId, attributeIds[key], await attributeValueId(key, variant.attributes[key])]
+        );
+      }
+
+      for (const { locationId, quantity } of variant.openingStock) {
+        await inventoryService.adjustStock(client, {
+          variantId,
+          locationId,
+          quantityChange: quantity,
+          transactionType: 'OPENING',
+          referenceType: 'PRODUCT_IMPORT',
+          notes: `Opening stock from import (row ${variant.row})`,
+          userId,
+          unitCost: variant.costPrice,
+        });
+        stockUnits += quantity;
+      }
+    }
+  }
+
+  return {
+    productsCreated,
+    productsExtended: plan.products.length - productsCreated,
+    variantsCreated,
+    variantsUpdated,
+    categoriesCreated: plan.newCategories.length,
+    openingStockUnits: stockUnits,
+    warnings: plan.warnings,
+  };
+};
+
+/**
+ * Rows for export in the import layout, with current stock per active location
+ */
+const exportProducts = async (client, { categoryId = null, includeInactive = false } = {}) => {
+  const locationResult = await client.query(
+    `SELECT location_id, location_code FROM locations WHERE is_active = true ORDER BY location_id`
+  );
+  const locations = locationResult.rows;
+
+  const params = [];
+  let whereClause = 'WHERE 1=1';
+  if (!includeInactive) {
+    whereClause += ' AND p.is_active = true AND pv.is_active = true';
+  }
+  if (categoryId) {
+    params.push(categoryId);
+    whereClause += ` AND p.category_id = $${params.length}`;
+  }
+
+  const variantResult = await client.query(
+    `SELECT pv.variant_id, pv.sku, pv.barcode, pv.price, pv.cost_price,
+            p.product_code, p.product_name, p.description, p.tax_rate, c.category_name,
+            (SELECT av.value FROM variant_attributes va
+             INNER JOIN attributes a ON va.attribute_id = a.attribute_id
+             INNER JOIN attribute_values av ON va.attribute_value_id = av.attribute_value_id
+             WHERE va.variant_id = pv.variant_id AND a.attribute_name = 'Size') as size,
+            (SELECT av.value FROM variant_attributes va
+             INNER JOIN attributes a ON va.attribute_id = a.attribute_id
+             INNER JOIN attribute_values av ON va.attribute_value_id = av.attribute_value_id
+             WHERE va.variant_id = pv.variant_id AND a.attribute_name = 'Color') as color
+     FROM product_variants pv
+     INNER JOIN products p ON pv.product_id = p.product_id
+     LEFT JOIN categories c ON p.category_id = c.category_id
+     ${whereClause}
+     ORDER BY p.product_code, pv.is_default DESC, pv.variant_id`,
+    params
+  );
+
+  const stockResult = await client.query(
+    `SELECT variant_id, location_id, quantity_on_hand FROM inventory WHERE variant_id = ANY($1)`,
+    [variantResult.rows.map(row => row.variant_id)]
+  );
+  const stock = new Map(stockResult.rows.map(row => [`${row.variant_id}|${row.location_id}`, row.quantity_on_hand]));
+
+  const headers = [
+    ...COLUMNS.map(column => column.header),
+    ...locations.map(location => `${STOCK_PREFIX}${location.location_code}`),
+  ];
+
+  const rows = variantResult.rows.map(row => [
+    row.product_code,
+    row.product_name,
+    row.category_name || '',
+    row.description || '',
+    parseFloat(row.price),
+    parseFloat(row.cost_price || 0),
+    parseFloat(row.tax_rate || 0),
+    row.size || '',
+    row.color || '',
+    row.sku,
+    row.barcode || '',
+    ...locations.map(location => stock.get(`${row.variant_id}|${location.location_id}`) || 0),
+  ]);
+
+  return { headers, rows };
+};
+
+module.exports = {
+  COLUMNS,
+  previewImport,
+  importProducts,
+  exportProducts,
+};
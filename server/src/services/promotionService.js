@@ -0,0 +1,415 @@
+/**
+ * Promotion Service
+ * Rules engine for automatic discounts (the legacy DiscountRules): percentage or
+ * fixed amounts off by category, product or tag, buy-X-get-Y deals and spend
+ * thresholds, limited to date ranges, days of the week, times of day and locations
+ *
+ * Promotions are evaluated on the priced cart lines in priority order (highest
+ * first). A line that already has a non-stackable promotion takes no more, and a
+ * non-stackable promotion only applies to lines with no promotion yet
+ * Every function takes a client from db.transaction (or the pool)
+ */
+
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const PROMOTION_TYPES = ['ITEM_DISCOUNT', 'BUY_X_GET_Y', 'SPEND_THRESHOLD'];
+const DISCOUNT_TYPES = ['PERCENTAGE', 'FIXED'];
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+const toIdList = (value) => [...new Set((value || []).map(id => parseInt(id)).filter(id => !Number.isNaN(id)))];
+
+const toTagList = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
+const optionalNumber = (value) => (value === undefined || value === null || value === '' ? null : parseFloat(value));
+
+const optionalInt = (value) => (value === undefined || value === null || value === '' ? null : parseInt(value));
+
+/**
+ * Validate a promotion from the API (camelCase) into column values
+ */
+const normalizePromotion = (data) => {
+  const errors = [];
+
+  const promotion = {
+    promotion_name: String(data.promotionName || '').trim(),
+    description: data.description ? String(data.description).trim() : null,
+    promotion_type: data.promotionType,
+    discount_type: data.discountType || 'PERCENTAGE',
+    discount_value: optionalNumber(data.discountValue),
+    max_discount_amount: optionalNumber(data.maxDiscountAmount),
+    buy_quantity: optionalInt(data.buyQuantity),
+    get_quantity: optionalInt(data.getQuantity),
+    min_spend: optionalNumber(data.minSpend),
+    category_ids: toIdList(data.categoryIds),
+    product_ids: toIdList(data.productIds),
+    tags: toTagList(data.tags),
+    location_ids: toIdList(data.locationIds),
+    start_date: data.startDate || null,
+    end_date: data.endDate || null,
+    days_of_week: toIdList(data.daysOfWeek).filter(day => day >= 0 && day <= 6),
+    start_time: data.startTime || null,
+    end_time: data.endTime || null,
+    priority: optionalInt(data.priority) ?? 0,
+    is_stackable: data.isStackable === true || data.isStackable === 'true',
+    is_active: data.isActive === undefined ? true : data.isActive === true || data.isActive === 'true',
+  };
+
+  if (!promotion.promotion_name) {
+    errors.push({ field: 'promotionName', message: 'Name is required' });
+  }
+  if (!PROMOTION_TYPES.includes(promotion.promotion_type)) {
+    errors.push({ field: 'promotionType', message: `Type must be one of ${PROMOTION_TYPES.join(', ')}` });
+  }
+  if (!DISCOUNT_TYPES.includes(promotion.discount_type)) {
+    errors.push({ field: 'discountType', message: 'Discount type must be PERCENTAGE or FIXED' });
+  }
+  if (promotion.discount_value === null || Number.isNaN(promotion.discount_value) || promotion.discount_value < 0) {
+    errors.push({ field: 'discountValue', message: 'Discount must be 0 or more' });
+  } else if (promotion.discount_type === 'PERCENTAGE' && promotion.discount_value > 100) {
+    errors.push({ field: 'discountValue', message: 'A percentage discount cannot exceed 100' });
+  }
+  if (promotion.max_discount_amount !== null && !(promotion.max_discount_amount > 0)) {
+    errors.push({ field: 'maxDiscountAmount', message: 'The cap must be more than 0' });
+  }
+
+  if (promotion.promotion_type === 'BUY_X_GET_Y') {
+    if (!(promotion.buy_quantity > 0) || !(promotion.get_quantity > 0)) {
+      errors.push({ field: 'buyQuantity', message: 'Buy and get quantities must be 1 or more' });
+    }
+  } else {
+    promotion.buy_quantity = null;
+    promotion.get_quantity = null;
+  }
+
+  if (promotion.promotion_type === 'SPEND_THRESHOLD') {
+    if (!(promotion.min_spend > 0)) {
+      errors.push({ field: 'minSpend', message: 'Minimum spend must be more than 0' });
+    }
+  } else {
+    promotion.min_spend = null;
+  }
+
+  if (promotion.start_date && promotion.end_date && new Date(promotion.end_date) < new Date(promotion.start_date)) {
+    errors.push({ field: 'endDate', message: 'End date is before the start date' });
+  }
+  if (Boolean(promotion.start_time) !== Boolean(promotion.end_time)) {
+    errors.push({ field: 'startTime', message: 'Give both a start and an end time, or neither' });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid promotion', errors);
+  }
+
+  return promotion;
+};
+
+const COLUMNS = [
+  'promotion_name', 'description', 'promotion_type', 'discount_type', 'discount_value', 'max_discount_amount',
+  'buy_quantity', 'get_quantity', 'min_spend', 'category_ids', 'product_ids', 'tags', 'location_ids',
+  'start_date', 'end_date', 'days_of_week', 'start_time', 'end_time', 'priority', 'is_stackable', 'is_active',
+];
+
+const JSON_COLUMNS = ['category_ids', 'product_ids', 'tags', 'location_ids', 'days_of_week'];
+
+const columnValues = (promotion) => COLUMNS.map(column => (
+  JSON_COLUMNS.includes(column) ? JSON.stringify(promotion[column]) : promotion[column]
+));
+
+// 'HH:MM[:SS]' -> minutes since midnight
+const minutesOf = (time) => {
+  const [hours, minutes] = String(time).split(':').map(part => parseInt(part));
+  return hours * 60 + minutes;
+};
+
+/**
+ * Whether a promotion is in force at a location at a given moment
+ * A time window whose end is before its start runs past midnight
+ */
+const isRunning = (promotion, { locationId = null, at = new Date() } = {}) => {
+  if (!promotion.is_active) return false;
+  if (promotion.start_date && at < new Date(promotion.start_date)) return false;
+  if (promotion.end_date && at > new Date(promotion.end_date)) return false;
+
+  const locations = promotion.location_ids || [];
+  if (locations.length > 0 && !locations.includes(parseInt(locationId))) return false;
+
+  const days = promotion.days_of_week || [];
+  if (days.length > 0 && !days.includes(at.getDay())) return false;
+
+  if (promotion.start_time && promotion.end_time) {
+    const now = at.getHours() * 60 + at.getMinutes();
+    const start = minutesOf(promotion.start_time);
+    const end = minutesOf(promotion.end_time);
+    const inside = start <= end ? now >= start && now < end : now >= start || now < end;
+    if (!inside) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Whether a cart line's product is targeted by the promotion
+ */
+const targets = (promotion, line) => {
+  const categories = promotion.category_ids || [];
+  const products = promotion.product_ids || [];
+  const tags = promotion.tags || [];
+
+  if (categories.length === 0 && products.length === 0 && tags.length === 0) return true;
+
+  return products.includes(line.productId)
+    || (line.categoryId !== null && categories.includes(line.categoryId))
+    || tags.some(tag => line.tags.includes(tag));
+};
+
+const canTake = (promotion, line) => line.promotions.length === 0
+  || (promotion.is_stackable && line.promotions.every(applied => applied.stackable));
+
+/**
+ * Discount per line index for one promotion (before its cap), or null when it does not trigger
+ */
+const calculate = (promotion, lines) => {
+  const value = parseFloat(promotion.discount_value);
+  const percentage = promotion.discount_type === 'PERCENTAGE';
+  const amounts = new Map();
+
+  if (promotion.promotion_type === 'ITEM_DISCOUNT') {
+    for (const line of lines) {
+      const amount = percentage ? line.remaining * value / 100 : value * line.quantity;
+      amounts.set(line.index, Math.min(round2(amount), line.remaining));
+    }
+    return amounts;
+  }
+
+  if (promotion.promotion_type === 'BUY_X_GET_Y') {
+    // Every (buy + get) units, the cheapest get units are discounted
+    const units = lines
+      .flatMap(line => Array.from({ length: line.quantity }, () => ({ index: line.index, price: line.remaining / line.quantity })))
+      .sort((a, b) => b.price - a.price);
+    const groupSize = promotion.buy_quantity + promotion.get_quantity;
+    const discounted = Math.floor(units.length / groupSize) * promotion.get_quantity;
+    if (discounted === 0) return null;
+
+    for (const unit of units.slice(units.length - discounted)) {
+      const amount = percentage ? unit.price * value / 100 : Math.min(value, unit.price);
+      amounts.set(unit.index, (amounts.get(unit.index) || 0) + amount);
+    }
+    for (const [index, amount] of amounts) {
+      amounts.set(index, round2(amount));
+    }
+    return amounts;
+  }
+
+  // SPEND_THRESHOLD - discount on the qualifying spend, shared across its lines
+  const spend = round2(lines.reduce((sum, line) => sum + line.remaining, 0));
+  if (spend <= 0 || spend < parseFloat(promotion.min_spend)) return null;
+
+  const total = Math.min(round2(percentage ? spend * value / 100 : value), spend);
+  return allocate(total, lines);
+};
+
+/**
+ * Split an amount across lines in proportion to weight (by default what is left
+ * on each line); the last line takes the rounding difference
+ */
+const allocate = (total, lines, weight = line => line.remaining) => {
+  const base = lines.reduce((sum, line) => sum + weight(line), 0);
+  const amounts = new Map();
+  let left = total;
+
+  lines.forEach((line, i) => {
+    const share = i === lines.length - 1 ? left : round2(total * weight(line) / base);
+    const amount = Math.min(round2(share), line.remaining);
+    amounts.set(line.index, amount);
+    left = round2(left - amount);
+  });
+
+  return amounts;
+};
+
+/**
+ * Promotions in force for a location, highest priority first
+ */
+const getRunningPromotions = async (client, { locationId = null, at = new Date() } = {}) => {
+  const result = await client.query(
+    `SELECT * FROM promotions WHERE is_active = true ORDER BY priority DESC, promotion_id`
+  );
+
+  return result.rows.filter(promotion => isRunning(promotion, { locationId, at }));
+};
+
+/**
+ * Apply the running promotions to priced cart lines
+ * lines: [{ variantId, quantity, unitPrice, discountAmount }] - discountAmount is
+ * the manual line discount; promotions work on what is left after it
+ * Returns the lines with promotionDiscount and promotions [{ promotionId, name, amount }],
+ * the promotions applied across the cart and their total
+ */
+const applyPromotions = async (client, lines, { locationId = null, at = new Date() } = {}) => {
+  const promotions = await getRunningPromotions(client, { locationId, at });
+
+  const variantIds = [...new Set(lines.map(line => parseInt(line.variantId)))];
+  const productResult = variantIds.length > 0 && promotions.length > 0
+    ? await client.query(
+      `SELECT pv.variant_id, p.product_id, p.category_id, p.tags
+       FROM product_variants pv
+       INNER JOIN products p ON pv.product_id = p.product_id
+       WHERE pv.variant_id = ANY($1)`,
+      [variantIds]
+    )
+    : { rows: [] };
+  const products = new Map(productResult.rows.map(row => [row.variant_id, row]));
+
+  const working = lines.map((line, index) => {
+    const product = products.get(parseInt(line.variantId)) || {};
+    const quantity = parseInt(line.quantity);
+    return {
+      index,
+      quantity,
+      productId: product.product_id ?? null,
+      categoryId: product.category_id ?? null,
+      tags: toTagList(product.tags),
+      remaining: round2(parseFloat(line.unitPrice) * quantity - parseFloat(line.discountAmount || 0)),
+      promotions: [],
+    };
+  });
+
+  const applied = [];
+
+  for (const promotion of promotions) {
+    const eligible = working.filter(line => line.quantity > 0 && line.remaining > 0
+      && targets(promotion, line) && canTake(promotion, line));
+    if (eligible.length === 0) continue;
+
+    let amounts = calculate(promotion, eligible);
+    if (!amounts) continue;
+
+    let total = round2([...amounts.values()].reduce((sum, amount) => sum + amount, 0));
+    const cap = promotion.max_discount_amount !== null ? parseFloat(promotion.max_discount_amount) : null;
+    if (cap !== null && total > cap) {
+      const uncapped = amounts;
+      amounts = allocate(cap, eligible.filter(line => uncapped.get(line.index) > 0), line => uncapped.get(line.index));
+      total = cap;
+    }
+    if (total <= 0) continue;
+
+    for (const [index, amount] of amounts) {
+      if (amount <= 0) continue;
+      const line = working[index];
+      line.remaining = round2(line.remaining - amount);
+      line.promotions.push({
+        promotionId: promotion.promotion_id,
+        name: promotion.promotion_name,
+        amount,
+        stackable: promotion.is_stackable,
+      });
+    }
+
+    applied.push({ promotionId: promotion.promotion_id, name: promotion.promotion_name, amount: total });
+  }
+
+  return {
+    lines: lines.map((line, index) => {
+      const linePromotions = working[index].promotions.map(({ stackable, ...promotion }) => promotion);
+      return {
+        ...line,
+        promotionDiscount: round2(linePromotions.reduce((sum, promotion) => sum + promotion.amount, 0)),
+        promotions: linePromotions,
+      };
+    }),
+    promotions: applied,
+    totalDiscount: round2(applied.reduce((sum, promotion) => sum + promotion.amount, 0)),
+  };
+};
+
+/**
+ * Promotions with how often they have been used on completed sales
+ */
+const listPromotions = async (client, { includeInactive = false } = {}) => {
+  const result = await client.query(
+    `SELECT pr.*,
+            COALESCE(usage.sale_count, 0) as sale_count,
+            COALESCE(usage.discount_total, 0) as discount_total
+     FROM promotions pr
+     LEFT JOIN (
+       SELECT sip.promotion_id, COUNT(DISTINCT si.sale_id) as sale_count, SUM(sip.discount_amount) as discount_total
+       FROM sale_item_promotions sip
+       INNER JOIN sale_items si ON sip.sale_item_id = si.sale_item_id
+       INNER JOIN sales s ON si.sale_id = s.sale_id AND s.status = 'completed'
+       GROUP BY sip.promotion_id
+     ) usage ON usage.promotion_id = pr.promotion_id
+     ${includeInactive ? '' : 'WHERE pr.is_active = true'}
+     ORDER BY pr.is_active DESC, pr.priority DESC, pr.promotion_name`
+  );
+
+  const at = new Date();
+  return result.rows.map(promotion => ({ ...promotion, is_running: isRunning(promotion, { at }) }));
+};
+
+const getPromotion = async (client, promotionId) => {
+  const result = await client.query(
+    `SELECT * FROM promotions WHERE promotion_id = $1`,
+    [promotionId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Promotion');
+  }
+
+  // Names of the targeted products, for showing the promotion
+  const promotion = result.rows[0];
+  const productsResult = await client.query(
+    `SELECT product_id, product_name FROM products WHERE product_id = ANY($1) ORDER BY product_name`,
+    [toIdList(promotion.product_ids)]
+  );
+
+  return { ...promotion, products: productsResult.rows };
+};
+
+const createPromotion = async (client, data, userId) => {
+  const promotion = normalizePromotion(data);
+
+  const result = await client.query(
+    `INSERT INTO promotions (${COLUMNS.join(', ')}, created_by)
+     VALUES (${COLUMNS.map((column, i) => `$${i + 1}`).join(', ')}, $${COLUMNS.length + 1})
+     RETURNING *`,
+    [...columnValues(promotion), userId]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Replace a promotion's settings (the full promotion is sent, as when created)
+ */
+const updatePromotion = async (client, promotionId, data) => {
+  const promotion = normalizePromotion(data);
+
+  const result = await client.query(
+    `UPDATE promotions
+     SET ${COLUMNS.map((column, i) => `${column} = $${i + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE promotion_id = $${COLUMNS.length + 1}
+     RETURNING *`,
+    [...columnValues(promotion), promotionId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Promotion');
+  }
+
+  return result.rows[0];
+};
+
+module.exports = {
+  PROMOTION_TYPES,
+  isRunning,
+  applyPromotions,
+  listPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+};
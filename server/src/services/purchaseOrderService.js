@@ -0,0 +1,449 @@
+/**
+ * Purchase Order Service
+ * Purchase orders through DRAFT -> SENT -> PARTIALLY_RECEIVED -> CLOSED,
+ * goods-received notes against PO lines, and the PO's PDF/CSV documents
+ * Every function takes a client from db.transaction
+ */
+
+const inventoryService = require('./inventoryService');
+const { nextDocumentNumber } = require('./documentNumberService');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { PdfDocument } = require('../utils/pdfDocument');
+const { toCsv } = require('../utils/csv');
+
+const STATUSES = ['DRAFT', 'SENT', 'PARTIALLY_RECEIVED', 'CLOSED', 'CANCELLED'];
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Validate PO lines against the catalogue and price them
+ * Unit cost defaults to the variant's current cost price
+ */
+const priceLines = async (client, items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ValidationError('A purchase order needs at least one line');
+  }
+
+  const variantIds = items.map(item => parseInt(item.variantId));
+  const variantResult = await client.query(
+    `SELECT variant_id, cost_price FROM product_variants WHERE variant_id = ANY($1)`,
+    [variantIds]
+  );
+  const variants = new Map(variantResult.rows.map(row => [row.variant_id, row]));
+
+  return items.map((item, index) => {
+    const variant = variants.get(parseInt(item.variantId));
+    if (!variant) {
+      throw new ValidationError('Product variant not found', [{ line: index + 1, variantId: item.variantId }]);
+    }
+
+    const quantity = parseInt(item.quantity);
+    if (!quantity || quantity <= 0) {
+      throw new ValidationError('Quantity must be at least 1', [{ line: index + 1, variantId: item.variantId }]);
+    }
+
+    const unitCost = item.unitCost !== undefined && item.unitCost !== null && item.unitCost !== ''
+      ? round2(parseFloat(item.unitCost))
+      : round2(parseFloat(variant.cost_price || 0));
+    if (Number.isNaN(unitCost) || unitCost < 0) {
+      throw new ValidationError('Unit cost cannot be negative', [{ line: index + 1, variantId: item.variantId }]);
+    }
+
+    return {
+      variantId: variant.variant_id,
+      quantity,
+      unitCost,
+      taxRate: parseFloat(item.taxRate) || 0,
+      lineTotal: round2(quantity * unitCost),
+    };
+  });
+};
+
+/**
+ * Replace a PO's lines and recalculate its totals
+ */
+const writeLines = async (client, poId, lines) => {
+  await client.query(`DELETE FROM purchase_order_items WHERE po_id = $1`, [poId]);
+
+  for (const line of lines) {
+    await client.query(
+      `INSERT INTO purchase_order_items (po_id, variant_id, quantity_ordered, unit_cost, tax_rate, line_total)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [poId, line.variantId, line.quantity, line.unitCost, line.taxRate, line.lineTotal]
+    );
+  }
+
+  const subtotal = round2(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  const taxAmount = round2(lines.reduce((sum, line) => sum + line.lineTotal * line.taxRate / 100, 0));
+
+  await client.query(
+    `UPDATE purchase_orders
+     SET subtotal = $1, tax_amount = $2, total_amount = $3, updated_at = CURRENT_TIMESTAMP
+     WHERE po_id = $4`,
+    [subtotal, taxAmount, round2(subtotal + taxAmount), poId]
+  );
+};
+
+/**
+ * Load a PO with its supplier, lines and goods-received notes
+ */
+const getPurchaseOrder = async (client, poId, { lock = false } = {}) => {
+  if (lock) {
+    await client.query(`SELECT po_id FROM purchase_orders WHERE po_id = $1 FOR UPDATE`, [poId]);
+  }
+
+  const poResult = await client.query(
+    `SELECT po.*, s.supplier_code, s.supplier_name, s.contact_name as supplier_contact,
+            s.phone as supplier_phone, s.email as supplier_email, s.address as supplier_address,
+            s.payment_terms, l.location_code, l.location_name, l.address as location_address,
+            u.first_name as created_by_first_name, u.last_name as created_by_last_name
+     FROM purchase_orders po
+     INNER JOIN suppliers s ON po.supplier_id = s.supplier_id
+     INNER JOIN locations l ON po.location_id = l.location_id
+     LEFT JOIN users u ON po.created_by = u.user_id
+     WHERE po.po_id = $1`,
+    [poId]
+  );
+
+  if (poResult.rows.length === 0) {
+    throw new NotFoundError('Purchase order');
+  }
+
+  const itemsResult = await client.query(
+    `SELECT poi.*, pv.sku, pv.barcode, pv.variant_name, p.product_name
+     FROM purchase_order_items poi
+     INNER JOIN product_variants pv ON poi.variant_id = pv.variant_id
+     INNER JOIN products p ON pv.product_id = p.product_id
+     WHERE poi.po_id = $1
+     ORDER BY poi.po_item_id`,
+    [poId]
+  );
+
+  const receiptsResult = await client.query(
+    `SELECT g.*, u.first_name as received_by_first_name, u.last_name as received_by_last_name
+     FROM goods_received_notes g
+     LEFT JOIN users u ON g.received_by = u.user_id
+     WHERE g.po_id = $1
+     ORDER BY g.received_at`,
+    [poId]
+  );
+
+  return {
+    purchaseOrder: poResult.rows[0],
+    items: itemsResult.rows,
+    receipts: receiptsResult.rows,
+  };
+};
+
+const assertStatus = (purchaseOrder, allowed, action) => {
+  if (!allowed.includes(purchaseOrder.status)) {
+    throw new ValidationError(`Cannot ${action} a purchase order that is ${purchaseOrder.status}`, [{
+      status: purchaseOrder.status,
+      allowed,
+    }]);
+  }
+};
+
+/**
+ * Create a draft PO
+ */
+const createPurchaseOrder = async (client, { supplierId, locationId, expectedDate = null, notes = null, items, userId }) => {
+  const supplierResult = await client.query(
+    `SELECT supplier_id, is_active FROM suppliers WHERE supplier_id = $1`,
+    [supplierId]
+  );
+  if (supplierResult.rows.length === 0) {
+    throw new NotFoundError('Supplier');
+  }
+  if (!supplierResult.rows[0].is_active) {
+    throw new ValidationError('Supplier is inactive');
+  }
+
+  const lines = await priceLines(client, items);
+  const poNumber = await nextDocumentNumber(client, { prefix: 'PO', table: 'purchase_orders', locationId });
+
+  const result = await client.query(
+    `INSERT INTO purchase_orders (po_number, supplier_id, location_id, status, expected_date, notes, created_by)
+     VALUES ($1, $2, $3, 'DRAFT', $4, $5, $6)
+     RETURNING po_id`,
+    [poNumber, supplierId, locationId, expectedDate || null, notes || null, userId]
+  );
+
+  const poId = result.rows[0].po_id;
+  await writeLines(client, poId, lines);
+
+  return getPurchaseOrder(client, poId);
+};
+
+/**
+ * Edit a draft PO; lines, when given, replace the existing ones
+ */
+const updatePurchaseOrder = async (client, poId, { expectedDate, notes, items }) => {
+  const { purchaseOrder } = await getPurchaseOrder(client, poId, { lock: true });
+  assertStatus(purchaseOrder, ['DRAFT'], 'edit');
+
+  await client.query(
+    `UPDATE purchase_orders
+     SET expected_date = $1, notes = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE po_id = $3`,
+    [
+      expectedDate !== undefined ? expectedDate || null : purchaseOrder.expected_date,
+      notes !== undefined ? notes || null : purchaseOrder.notes,
+      poId,
+    ]
+  );
+
+  if (items) {
+    await writeLines(client, poId, await priceLines(client, items));
+  }
+
+  return getPurchaseOrder(client, poId);
+};
+
+/**
+ * Mark a draft PO as sent to the supplier
+ */
+const sendPurchaseOrder = async (client, poId) => {
+  const { purchaseOrder } = await getPurchaseOrder(client, poId, { lock: true });
+  assertStatus(purchaseOrder, ['DRAFT'], 'send');
+
+  await client.query(
+    `UPDATE purchase_orders SET status = 'SENT', sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE po_id = $1`,
+    [poId]
+  );
+
+  return getPurchaseOrder(client, poId);
+};
+
+/**
+ * Cancel a PO nothing has been received against
+ */
+const cancelPurchaseOrder = async (client, poId) => {
+  const { purchaseOrder } = await getPurchaseOrder(client, poId, { lock: true });
+  assertStatus(purchaseOrder, ['DRAFT', 'SENT'], 'cancel');
+
+  await client.query(
+    `UPDATE purchase_orders SET status = 'CANCELLED', closed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE po_id = $1`,
+    [poId]
+  );
+
+  return getPurchaseOrder(client, poId);
+};
+
+/**
+ * Close a PO short - the rest of the order will not be delivered
+ */
+const closePurchaseOrder = async (client, poId) => {
+  const { purchaseOrder } = await getPurchaseOrder(client, poId, { lock: true });
+  assertStatus(purchaseOrder, ['SENT', 'PARTIALLY_RECEIVED'], 'close');
+
+  await client.query(
+    `UPDATE purchase_orders SET status = 'CLOSED', closed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE po_id = $1`,
+    [poId]
+  );
+
+  return getPurchaseOrder(client, poId);
+};
+
+/**
+ * Receive a delivery against a PO, line by line
+ * Each line adds stock with a RECEIVE transaction referencing the PO, blends
+ * the received unit cost into the location's weighted-average cost and keeps
+ * it as the variant's catalogue cost price (the default for the next PO).
+ * The PO closes itself once every line is fully received
+ */
+const receiveGoods = async (client, { poId, items, supplierInvoiceNumber = null, notes = null, userId }) => {
+  const { purchaseOrder, items: poItems } = await getPurchaseOrder(client, poId, { lock: true });
+  assertStatus(purchaseOrder, ['SENT', 'PARTIALLY_RECEIVED'], 'receive against');
+
+  const lines = (items || []).filter(item => parseInt(item.quantity) > 0);
+  if (lines.length === 0) {
+    throw new ValidationError('Enter a received quantity for at least one line');
+  }
+
+  const poLines = new Map(poItems.map(item => [item.po_item_id, item]));
+  const received = [];
+  for (const line of lines) {
+    const poLine = poLines.get(parseInt(line.poItemId));
+    if (!poLine) {
+      throw new ValidationError('Line is not on this purchase order', [{ poItemId: line.poItemId }]);
+    }
+
+    // A PO line entered more than once counts all of its entries
+    const quantity = parseInt(line.quantity);
+    const requested = quantity + received
+      .filter(entry => entry.poLine.po_item_id === poLine.po_item_id)
+      .reduce((sum, entry) => sum + entry.quantity, 0);
+    const outstanding = poLine.quantity_ordered - poLine.quantity_received;
+    if (requested > outstanding) {
+      throw new ValidationError('Received quantity exceeds the quantity outstanding', [{
+        poItemId: poLine.po_item_id,
+        sku: poLine.sku,
+        outstanding,
+        received: requested,
+      }]);
+    }
+
+    const unitCost = line.unitCost !== undefined && line.unitCost !== null && line.unitCost !== ''
+      ? round2(parseFloat(line.unitCost))
+      : round2(parseFloat(poLine.unit_cost));
+
+    received.push({ poLine, quantity, unitCost });
+  }
+
+  const grnNumber = await nextDocumentNumber(client, {
+    prefix: 'GRN',
+    table: 'goods_received_notes',
+    locationId: purchaseOrder.location_id,
+  });
+  const totalCost = round2(received.reduce((sum, line) => sum + line.quantity * line.unitCost, 0));
+
+  const grnResult = await client.query(
+    `INSERT INTO goods_received_notes (grn_number, po_id, location_id, supplier_invoice_number, total_cost, notes, received_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [grnNumber, poId, purchaseOrder.location_id, supplierInvoiceNumber || null, totalCost, notes || null, userId]
+  );
+  const grn = grnResult.rows[0];
+
+  for (const { poLine, quantity, unitCost } of received) {
+    await client.query(
+      `INSERT INTO grn_items (grn_id, po_item_id, variant_id, quantity_received, unit_cost)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [grn.grn_id, poLine.po_item_id, poLine.variant_id, quantity, unitCost]
+    );
+
+    await client.query(
+      `UPDATE purchase_order_items SET quantity_received = quantity_received + $1 WHERE po_item_id = $2`,
+      [quantity, poLine.po_item_id]
+    );
+
+    await inventoryService.adjustStock(client, {
+      variantId: poLine.variant_id,
+      locationId: purchaseOrder.location_id,
+      quantityChange: quantity,
+      transactionType: 'RECEIVE',
+      referenceType: 'PURCHASE_ORDER',
+      referenceId: poId,
+      notes: `${grnNumber} against ${purchaseOrder.po_number}`,
+      userId,
+      unitCost,
+    });
+
+    await client.query(
+      `UPDATE product_variants SET cost_price = $1 WHERE variant_id = $2`,
+      [unitCost, poLine.variant_id]
+    );
+  }
+
+  const outstandingResult = await client.query(
+    `SELECT COUNT(*) as open_lines FROM purchase_order_items
+     WHERE po_id = $1 AND quantity_received < quantity_ordered`,
+    [poId]
+  );
+  const fullyReceived = parseInt(outstandingResult.rows[0].open_lines) === 0;
+
+  await client.query(
+    `UPDATE purchase_orders
+     SET status = $1::varchar, closed_at = CASE WHEN $1::varchar = 'CLOSED' THEN CURRENT_TIMESTAMP ELSE closed_at END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE po_id = $2`,
+    [fullyReceived ? 'CLOSED' : 'PARTIALLY_RECEIVED', poId]
+  );
+
+  return { grn, ...(await getPurchaseOrder(client, poId)) };
+};
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+const formatMoney = (value) => parseFloat(value || 0).toFixed(2);
+
+/**
+ * PO lines as CSV
+ */
+const buildCsv = ({ purchaseOrder, items }) => toCsv(
+  ['PO Number', 'Supplier', 'Status', 'SKU', 'Barcode', 'Product', 'Variant',
+    'Qty Ordered', 'Qty Received', 'Unit Cost', 'Tax Rate', 'Line Total'],
+  items.map(item => [
+    purchaseOrder.po_number,
+    purchaseOrder.supplier_name,
+    purchaseOrder.status,
+    item.sku,
+    item.barcode,
+    item.product_name,
+    item.variant_name,
+    item.quantity_ordered,
+    item.quantity_received,
+    formatMoney(item.unit_cost),
+    item.tax_rate,
+    formatMoney(item.line_total),
+  ])
+);
+
+/**
+ * Printable PO document
+ */
+const buildPdf = ({ purchaseOrder: po, items }, { storeName = 'HIT BY HUMA' } = {}) => {
+  const doc = new PdfDocument();
+
+  doc.text(storeName, { size: 16, bold: true })
+    .text('PURCHASE ORDER', { size: 12, bold: true })
+    .space(6)
+    .details([
+      ['PO Number', po.po_number],
+      ['Status', po.status.replace('_', ' ')],
+      ['Supplier', `${po.supplier_name} (${po.supplier_code})`],
+      ['Deliver To', po.location_name],
+      ['Contact', po.supplier_contact || po.supplier_phone],
+      ['Order Date', formatDate(po.sent_at || po.created_at)],
+      ['Terms', po.payment_terms],
+      ['Expected', formatDate(po.expected_date)],
+    ])
+    .rule();
+
+  doc.table(
+    [
+      { header: 'SKU', width: 0.16 },
+      { header: 'Item', width: 0.36 },
+      { header: 'Ordered', width: 0.1, align: 'right' },
+      { header: 'Received', width: 0.1, align: 'right' },
+      { header: 'Unit Cost', width: 0.13, align: 'right' },
+      { header: 'Total', width: 0.15, align: 'right' },
+    ],
+    items.map(item => [
+      item.sku,
+      item.variant_name && item.variant_name !== 'Default' ? `${item.product_name} - ${item.variant_name}` : item.product_name,
+      item.quantity_ordered,
+      item.quantity_received,
+      formatMoney(item.unit_cost),
+      formatMoney(item.line_total),
+    ])
+  );
+
+  doc.rule()
+    .text(`Subtotal: ${formatMoney(po.subtotal)}`, { align: 'right' })
+    .text(`Tax: ${formatMoney(po.tax_amount)}`, { align: 'right' })
+    .text(`Total: ${formatMoney(po.total_amount)}`, { align: 'right', bold: true, size: 12 });
+
+  if (po.notes) {
+    doc.space(10).text('Notes', { bold: true });
+    po.notes.split(/\r?\n/).forEach(line => doc.text(line));
+  }
+
+  return doc.toBuffer();
+};
+
+module.exports = {
+  STATUSES,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  cancelPurchaseOrder,
+  closePurchaseOrder,
+  receiveGoods,
+  buildCsv,
+  buildPdf,
+};
@@ -0,0 +1,333 @@
+/**
+ * Return Service
+ * Takes merchandise back against an original sale: quantity checks, refund
+ * apportioning, restocking and tender refunds
+ * Every function takes a client from db.transaction
+ */
+
+const inventoryService = require('./inventoryService');
+const accountService = require('./accountService');
+const customerService = require('./customerService');
+const { nextDocumentNumber } = require('./documentNumberService');
+const loyaltyService = require('./loyaltyService');
+const walletService = require('./walletService');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Load a sale with its lines and the quantity already returned per line
+ */
+const loadSaleForReturn = async (client, saleId, { lock = false } = {}) => {
+  const saleResult = await client.query(
+    `SELECT * FROM sales WHERE sale_id = $1 ${lock ? 'FOR UPDATE' : ''}`,
+    [saleId]
+  );
+
+  if (saleResult.rows.length === 0) {
+    throw new NotFoundError('Sale');
+  }
+
+  const itemsResult = await client.query(
+    `SELECT si.*, pv.sku, pv.variant_name, p.product_name,
+            (SELECT COALESCE(SUM(ri.quantity), 0)
+             FROM return_items ri
+             INNER JOIN returns r ON ri.return_id = r.return_id
+             WHERE ri.sale_item_id = si.sale_item_id AND r.status = 'completed') as returned_quantity
+     FROM sale_items si
+     INNER JOIN product_variants pv ON si.variant_id = pv.variant_id
+     INNER JOIN products p ON pv.product_id = p.product_id
+     WHERE si.sale_id = $1
+     ORDER BY si.sale_item_id`,
+    [saleId]
+  );
+
+  const sale = saleResult.rows[0];
+  const unitRefunds = calculateUnitRefunds(sale, itemsResult.rows);
+
+  const items = itemsResult.rows.map(item => ({
+    ...item,
+    returned_quantity: parseInt(item.returned_quantity) || 0,
+    unit_refund: unitRefunds[item.sale_item_id],
+  }));
+
+  return { sale, items };
+};
+
+/**
+ * Per-unit refund value of each sale line, with the cart-level discount spread
+ * across lines so refunds never exceed what the customer actually paid
+ */
+const calculateUnitRefunds = (sale, saleItems) => {
+  const netLineTotal = (line) =>
+    parseFloat(line.line_total) - parseFloat(line.discount_amount || 0) + parseFloat(line.tax_amount || 0);
+
+  // total_amount is the whole sale; on an exchange sale the exchange credit is
+  // part of it (paid with the goods taken back), not on top of it
+  const saleNetTotal = saleItems.reduce((sum, line) => sum + netLineTotal(line), 0);
+  const paidTotal = parseFloat(sale.total_amount);
+  const paidRatio = saleNetTotal > 0 ? paidTotal / saleNetTotal : 0;
+
+  const unitRefunds = {};
+  for (const line of saleItems) {
+    unitRefunds[line.sale_item_id] = line.quantity > 0
+      ? (netLineTotal(line) / line.quantity) * paidRatio
+      : 0;
+  }
+  return unitRefunds;
+};
+
+/**
+ * Refuse returns on voided sales or outside the configured return window
+ */
+const assertReturnable = async (client, sale) => {
+  if (sale.status !== 'completed') {
+    throw new ValidationError(`Cannot return items from a ${sale.status} sale`);
+  }
+
+  const windowResult = await client.query(
+    `SELECT setting_value FROM settings WHERE setting_key = 'return_window_days'`
+  );
+  const returnWindowDays = parseInt(windowResult.rows[0]?.setting_value) || 7;
+  const saleAgeDays = (Date.now() - new Date(sale.created_at).getTime()) / (24 * 60 * 60 * 1000);
+
+  if (saleAgeDays > returnWindowDays) {
+    throw new ValidationError(`Returns are only accepted within ${returnWindowDays} days of purchase`);
+  }
+};
+
+/**
+ * Split a refund across the sale's tenders in the order they were paid, net
+ * of what earlier returns already refunded to each
+ * remaining is what the tenders cannot cover (the exchange credit part of a
+ * replacement sale)
+ */
+const splitAcrossTenders = async (client, sale, amount) => {
+  const tendersResult = await client.query(
+    `SELECT sp.payment_method_id, pm.method_type, SUM(sp.amount) as paid,
+            (SELECT COALESCE(SUM(rp.amount), 0)
+             FROM return_payments rp
+             INNER JOIN returns r ON rp.return_id = r.return_id
+             WHERE r.original_sale_id = sp.sale_id AND rp.payment_method_id = sp.payment_method_id
+               AND r.status = 'completed') as refunded
+     FROM sale_payments sp
+     INNER JOIN payment_methods pm ON sp.payment_method_id = pm.payment_method_id
+     WHERE sp.sale_id = $1
+     GROUP BY sp.sale_id, sp.payment_method_id, pm.method_type
+     ORDER BY MIN(sp.sale_payment_id)`,
+    [sale.sale_id]
+  );
+
+  let remaining = amount;
+  const shares = [];
+  for (const tender of tendersResult.rows) {
+    if (remaining <= 0) break;
+    const available = parseFloat(tender.paid) - parseFloat(tender.refunded);
+    const share = round2(Math.min(available, remaining));
+    if (share > 0) {
+      shares.push({ paymentMethodId: tender.payment_method_id, methodType: tender.method_type, amount: share });
+      remaining = round2(remaining - share);
+    }
+  }
+
+  return { shares, remaining: Math.max(remaining, 0) };
+};
+
+/**
+ * Record a return, restock resalable lines and settle the refund
+ *
+ * returnType:
+ *   REFUND        - back to the original tenders (store credit goes back to the wallet);
+ *                   on a replacement sale the exchange credit part goes to the
+ *                   wallet, or back in cash without a customer
+ *   STORE_CREDIT  - credited to the customer's wallet
+ *   EXCHANGE      - credit applied to a replacement sale; only the part paid
+ *                   on account is refunded (to settle the sale's invoice), and
+ *                   the replacement sale charges it to the account again
+ * Loyalty points the sale earned are taken back in proportion to the value
+ * returned, and points refunded through the loyalty tender are credited back
+ */
+const createReturn = async (client, { saleId, items, returnType = 'REFUND', reason = null, shiftId = null, userId, approvedBy = null }) => {
+  const { sale, items: saleItems } = await loadSaleForReturn(client, saleId, { lock: true });
+
+  await assertReturnable(client, sale);
+
+  if (returnType === 'STORE_CREDIT' && !sale.customer_id) {
+    throw new ValidationError('Store credit requires a customer on the original sale');
+  }
+
+  const returnLines = [];
+  for (const item of items) {
+    const saleItem = saleItems.find(si => si.sale_item_id === parseInt(item.saleItemId));
+    if (!saleItem) {
+      throw new ValidationError(`Sale item ${item.saleItemId} does not belong to this sale`);
+    }
+
+    const quantity = parseInt(item.quantity);
+    const requested = quantity + returnLines
+      .filter(line => line.saleItem.sale_item_id === saleItem.sale_item_id)
+      .reduce((sum, line) => sum + line.quantity, 0);
+
+    if (saleItem.returned_quantity + requested > saleItem.quantity) {
+      throw new ValidationError('Return quantity exceeds quantity sold', [{
+        saleItemId: saleItem.sale_item_id,
+        sold: saleItem.quantity,
+        alreadyReturned: saleItem.returned_quantity,
+        requested,
+      }]);
+    }
+
+    const condition = item.condition || 'RESALABLE';
+
+    returnLines.push({
+      saleItem,
+      quantity,
+      refundAmount: round2(saleItem.unit_refund * quantity),
+      condition,
+      restock: condition === 'RESALABLE',
+      notes: item.notes || null,
+    });
+  }
+
+  const totalRefund = round2(returnLines.reduce((sum, line) => sum + line.refundAmount, 0));
+  const refundMethod = {
+    REFUND: 'ORIGINAL_PAYMENT',
+    STORE_CREDIT: 'WALLET',
+    EXCHANGE: 'EXCHANGE',
+  }[returnType];
+  const returnNumber = await nextDocumentNumber(client, {
+    prefix: 'RET',
+    table: 'returns',
+    locationId: sale.location_id,
+  });
+
+  const returnResult = await client.query(
+    `INSERT INTO returns (return_number, original_sale_id, location_id, shift_id, customer_id, user_id, return_type, refund_method, total_refund_amount, reason, manager_approved_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [returnNumber, sale.sale_id, sale.location_id, shiftId, sale.customer_id, userId, returnType, refundMethod, totalRefund, reason, approvedBy]
+  );
+
+  const returnRecord = returnResult.rows[0];
+
+  for (const line of returnLines) {
+    await client.query(
+      `INSERT INTO return_items (return_id, sale_item_id, variant_id, quantity, refund_amount, condition, restocked, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [returnRecord.return_id, line.saleItem.sale_item_id, line.saleItem.variant_id, line.quantity, line.refundAmount, line.condition, line.restock, line.notes]
+    );
+
+    if (line.restock) {
+      await inventoryService.adjustStock(client, {
+        variantId: line.saleItem.variant_id,
+        locationId: sale.location_id,
+        quantityChange: line.quantity,
+        transactionType: 'RETURN',
+        referenceType: 'RETURN',
+        referenceId: returnRecord.return_id,
+        notes: `Return ${returnNumber} against ${sale.sale_number}`,
+        userId,
+        unitCost: line.saleItem.unit_cost,
+      });
+    }
+  }
+
+  const refunds = [];
+  if (refundMethod === 'WALLET') {
+    await walletService.credit(client, sale.customer_id, {
+      transactionType: 'REFUND',
+      amount: totalRefund,
+      referenceType: 'RETURN',
+      referenceId: returnRecord.return_id,
+      notes: `Return ${returnNumber} against ${sale.sale_number}`,
+      userId,
+    });
+
+    const storeCreditResult = await client.query(
+      `SELECT payment_method_id FROM payment_methods WHERE method_type = 'credit' ORDER BY sort_order LIMIT 1`
+    );
+    if (storeCreditResult.rows.length > 0) {
+      refunds.push({ paymentMethodId: storeCreditResult.rows[0].payment_method_id, amount: totalRefund });
+    }
+  } else if (refundMethod === 'ORIGINAL_PAYMENT') {
+    const { shares, remaining } = await splitAcrossTenders(client, sale, totalRefund);
+
+    let storeCredit = 0;
+    let accountCredit = 0;
+    for (const share of shares) {
+      refunds.push({ paymentMethodId: share.paymentMethodId, amount: share.amount });
+      if (share.methodType === 'credit') storeCredit = round2(storeCredit + share.amount);
+      if (share.methodType === 'account') accountCredit = round2(accountCredit + share.amount);
+    }
+
+    // What the tenders cannot cover was paid with goods taken back in an
+    // exchange: it goes to the customer's wallet, or back in cash without one
+    if (remaining > 0) {
+      const methodType = sale.customer_id ? 'credit' : 'cash';
+      const methodResult = await client.query(
+        `SELECT payment_method_id FROM payment_methods WHERE method_type = $1 ORDER BY sort_order LIMIT 1`,
+        [methodType]
+      );
+      if (methodResult.rows.length === 0) {
+        throw new ValidationError(`No ${methodType} payment method to refund the exchange credit to`);
+      }
+
+      const paymentMethodId = methodResult.rows[0].payment_method_id;
+      const existing = refunds.find(refund => refund.paymentMethodId === paymentMethodId);
+      if (existing) {
+        existing.amount = round2(existing.amount + remaining);
+      } else {
+        refunds.push({ paymentMethodId, amount: remaining });
+      }
+      if (methodType === 'credit') storeCredit = round2(storeCredit + remaining);
+    }
+
+    // Refunds to the account settle the sale's invoice; anything it no longer
+    // owes (already paid off) goes to the customer's wallet instead
+    if (accountCredit > 0) {
+      const excess = await accountService.applyReturn(client, { sale, returnRecord, amount: accountCredit });
+      storeCredit = round2(storeCredit + excess);
+    }
+
+    if (storeCredit > 0 && sale.customer_id) {
+      await walletService.credit(client, sale.customer_id, {
+        transactionType: 'REFUND',
+        amount: storeCredit,
+        referenceType: 'RETURN',
+        referenceId: returnRecord.return_id,
+        notes: `Return ${returnNumber} against ${sale.sale_number}`,
+        userId,
+      });
+    }
+  } else if (refundMethod === 'EXCHANGE') {
+    // The part the sale charged to the account settles its invoice here and is
+    // returned as an account refund, for the replacement sale to charge again
+    const { shares } = await splitAcrossTenders(client, sale, totalRefund);
+    for (const share of shares.filter(tender => tender.methodType === 'account')) {
+      const excess = await accountService.applyReturn(client, { sale, returnRecord, amount: share.amount });
+      const applied = round2(share.amount - excess);
+      if (applied > 0) {
+        refunds.push({ paymentMethodId: share.paymentMethodId, amount: applied });
+      }
+    }
+  }
+
+  for (const refund of refunds) {
+    await client.query(
+      `INSERT INTO return_payments (return_id, payment_method_id, amount) VALUES ($1, $2, $3)`,
+      [returnRecord.return_id, refund.paymentMethodId, refund.amount]
+    );
+  }
+
+  await loyaltyService.reverseReturnPoints(client, { sale, returnRecord, refunds, userId });
+  await customerService.recordReturn(client, { returnRecord });
+
+  return { returnRecord, refunds, sale };
+};
+
+module.exports = {
+  loadSaleForReturn,
+  calculateUnitRefunds,
+  assertReturnable,
+  createReturn,
+};
@@ -0,0 +1,297 @@
+/**
+ * Sale Service
+ * Writes a sale, its lines, stock movements and payments
+ * Every function takes a client from db.transaction
+ */
+
+const inventoryService = require('./inventoryService');
+const couponService = require('./couponService');
+const customerService = require('./customerService');
+const accountService = require('./accountService');
+const loyaltyService = require('./loyaltyService');
+const walletService = require('./walletService');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Lock the inventory rows a sale will draw from and reject lines that would
+ * take stock below zero unless allow_negative_inventory is on
+ * Rows are locked in variant order so concurrent sales cannot deadlock
+ * With enforce off the shortages are returned for reporting instead
+ */
+const reserveStock = async (client, locationId, items, { enforce = true } = {}) => {
+  const requested = new Map();
+  for (const item of items) {
+    const variantId = parseInt(item.variantId);
+    requested.set(variantId, (requested.get(variantId) || 0) + parseInt(item.quantity));
+  }
+
+  const settingResult = await client.query(
+    `SELECT setting_value FROM settings WHERE setting_key = 'allow_negative_inventory'`
+  );
+  const allowNegative = settingResult.rows[0]?.setting_value === 'true';
+
+  const shortages = [];
+  for (const variantId of [...requested.keys()].sort((a, b) => a - b)) {
+    const available = await inventoryService.lockStock(client, variantId, locationId);
+    if (available < requested.get(variantId)) {
+      shortages.push({ variantId, available, requested: requested.get(variantId) });
+    }
+  }
+
+  if (enforce && !allowNegative && shortages.length > 0) {
+    throw new ValidationError('Insufficient stock', shortages);
+  }
+
+  return shortages;
+};
+
+/**
+ * Next sale number for a location, LOC-YYYYMMDD-XXXX (as sp_GenerateSaleNumber)
+ * The upsert locks the day's counter row so concurrent sales never share a number
+ */
+const generateSaleNumber = async (client, locationId) => {
+  const result = await client.query(
+    `INSERT INTO sale_number_sequences (location_id, sale_date, last_number)
+     VALUES ($1, CURRENT_DATE, 1)
+     ON CONFLICT (location_id, sale_date)
+     DO UPDATE SET last_number = sale_number_sequences.last_number + 1
+     RETURNING last_number,
+       (SELECT location_code FROM locations WHERE location_id = $1) as location_code,
+       TO_CHAR(CURRENT_DATE, 'YYYYMMDD') as sale_date`,
+    [locationId]
+  );
+
+  const { last_number: sequence, location_code: locationCode, sale_date: saleDate } = result.rows[0];
+  return `${locationCode}-${saleDate}-${String(sequence).padStart(4, '0')}`;
+};
+
+/**
+ * Find a sale previously submitted with the same client key (idempotent retries)
+ */
+const findByClientSaleId = async (client, clientSaleId) => {
+  const result = await client.query(
+    `SELECT * FROM sales WHERE client_sale_id = $1`,
+    [clientSaleId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Insert a completed sale and deduct stock for each line
+ * items are the priced lines from pricingService.priceSale; any override
+ * records they reference are marked as used by this sale and the promotions
+ * applied to each line are recorded against it
+ * coupon ({ couponId, code } from priceSale) is recorded as redeemed by the sale
+ * With a customer attached, a store credit tender debits their wallet, an
+ * account tender is charged to their credit account (within its limit), a
+ * loyalty tender spends their points, the rest of the payment earns points and
+ * the sale counts towards their purchase totals
+ * exchangeCredit is the value of goods taken back against this sale;
+ * payments only need to cover totalAmount - exchangeCredit
+ * Offline replays pass enforceStock false (stock was already handed over) and
+ * keep their provisional receipt number, original time and sync conflicts
+ */
+const recordSale = async (client, {
+  saleNumber,
+  locationId,
+  shiftId = null,
+  userId,
+  customerId = null,
+  items,
+  payments,
+  subtotal,
+  taxAmount,
+  discountAmount = 0,
+  discountType = null,
+  discountReason = null,
+  discountOverrideId = null,
+  coupon = null,
+  couponDiscount = 0,
+  totalAmount,
+  exchangeCredit = 0,
+  clientSaleId = null,
+  enforceStock = true,
+  provisionalNumber = null,
+  offlineCreatedAt = null,
+  syncConflicts = null,
+  notes = null,
+}) => {
+  if (enforceStock) {
+    await reserveStock(client, locationId, items);
+  }
+
+  const saleResult = await client.query(
+    `INSERT INTO sales (sale_number, location_id, shift_id, user_id, customer_id, subtotal, tax_amount, discount_amount, discount_type, discount_reason, discount_override_id, coupon_discount, total_amount, exchange_credit, client_sale_id, provisional_number, offline_created_at, sync_conflicts, notes, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, COALESCE($17::timestamp, CURRENT_TIMESTAMP))
+     RETURNING *`,
+    [saleNumber, locationId, shiftId, userId, customerId, subtotal, taxAmount, discountAmount, discountType, discountReason, discountOverrideId, couponDiscount, totalAmount, exchangeCredit, clientSaleId, provisionalNumber, offlineCreatedAt, syncConflicts ? JSON.stringify(syncConflicts) : null, notes]
+  );
+
+  const sale = saleResult.rows[0];
+
+  for (const item of items) {
+    // The line keeps the weighted-average cost it left the shelf at, for COGS
+    const { unitCost } = await inventoryService.adjustStock(client, {
+      variantId: item.variantId,
+      locationId,
+      quantityChange: -item.quantity,
+      transactionType: 'SALE',
+      referenceType: 'SALE',
+      referenceId: sale.sale_id,
+      userId,
+    });
+
+    const itemResult = await client.query(
+      `INSERT INTO sale_items (sale_id, variant_id, quantity, unit_price, original_price, price_override_id, discount_amount, promotion_discount, tax_amount, line_total, unit_cost)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING sale_item_id`,
+      [sale.sale_id, item.variantId, item.quantity, item.unitPrice, item.originalPrice ?? item.unitPrice, item.priceOverrideId || null, item.discountAmount || 0, item.promotionDiscount || 0, item.taxAmount || 0, item.unitPrice * item.quantity, unitCost]
+    );
+
+    for (const promotion of item.promotions || []) {
+      await client.query(
+        `INSERT INTO sale_item_promotions (sale_item_id, promotion_id, promotion_name, discount_amount)
+         VALUES ($1, $2, $3, $4)`,
+        [itemResult.rows[0].sale_item_id, promotion.promotionId, promotion.name, promotion.amount]
+      );
+    }
+  }
+
+  for (const payment of payments) {
+    await client.query(
+      `INSERT INTO sale_payments (sale_id, payment_method_id, amount, reference_number)
+       VALUES ($1, $2, $3, $4)`,
+      [sale.sale_id, payment.paymentMethodId, payment.amount, payment.referenceNumber || null]
+    );
+  }
+
+  if (coupon) {
+    await couponService.recordRedemption(client, {
+      couponId: coupon.couponId,
+      saleId: sale.sale_id,
+      customerId,
+      discountAmount: couponDiscount,
+      userId,
+    });
+  }
+
+  await walletService.recordSalePayment(client, { sale, payments, userId, enforce: enforceStock });
+  await accountService.recordSaleCharge(client, { sale, payments, enforce: enforceStock });
+  await loyaltyService.recordSalePoints(client, { sale, payments, userId, enforce: enforceStock });
+  await customerService.recordPurchase(client, { sale });
+
+  const overrideIds = items.map(item => item.priceOverrideId).filter(Boolean);
+  if (discountOverrideId) overrideIds.push(discountOverrideId);
+
+  if (overrideIds.length > 0) {
+    await client.query(
+      `UPDATE price_overrides SET sale_id = $1, used_at = CURRENT_TIMESTAMP
+       WHERE override_id = ANY($2)`,
+      [sale.sale_id, overrideIds]
+    );
+  }
+
+  return sale;
+};
+
+/**
+ * A sale in the shape printerService.printReceipt expects, with the
+ * promotions applied to each line
+ */
+const getReceipt = async (client, saleId) => {
+  const saleResult = await client.query(
+    `SELECT s.*, u.first_name as cashier_first_name, u.last_name as cashier_last_name,
+            c.first_name as customer_first_name, c.last_name as customer_last_name, c.phone as customer_phone,
+            l.location_name, l.address as location_address, l.phone as location_phone,
+            (SELECT cp.code FROM coupon_redemptions cr
+             INNER JOIN coupons cp ON cr.coupon_id = cp.coupon_id
+             WHERE cr.sale_id = s.sale_id LIMIT 1) as coupon_code,
+            (SELECT COALESCE(SUM(lt.points), 0) FROM loyalty_transactions lt
+             WHERE lt.sale_id = s.sale_id AND lt.transaction_type = 'EARN') as loyalty_points_earned,
+            (SELECT COALESCE(-SUM(lt.points), 0) FROM loyalty_transactions lt
+             WHERE lt.sale_id = s.sale_id AND lt.transaction_type = 'REDEEM') as loyalty_points_redeemed,
+            (SELECT lt.balance_after FROM loyalty_transactions lt
+             WHERE lt.sale_id = s.sale_id AND lt.transaction_type IN ('EARN', 'REDEEM')
+             ORDER BY lt.transaction_id DESC LIMIT 1) as loyalty_balance
+     FROM sales s
+     INNER JOIN users u ON s.user_id = u.user_id
+     LEFT JOIN customers c ON s.customer_id = c.customer_id
+     INNER JOIN locations l ON s.location_id = l.location_id
+     WHERE s.sale_id = $1`,
+    [saleId]
+  );
+
+  if (saleResult.rows.length === 0) {
+    throw new NotFoundError('Sale');
+  }
+  const sale = saleResult.rows[0];
+
+  const itemsResult = await client.query(
+    `SELECT si.*, pv.variant_name, p.product_name,
+            (SELECT COALESCE(json_agg(json_build_object('name', sip.promotion_name, 'amount', sip.discount_amount)
+                                      ORDER BY sip.sale_item_promotion_id), '[]')
+             FROM sale_item_promotions sip
+             WHERE sip.sale_item_id = si.sale_item_id) as promotions
+     FROM sale_items si
+     INNER JOIN product_variants pv ON si.variant_id = pv.variant_id
+     INNER JOIN products p ON pv.product_id = p.product_id
+     WHERE si.sale_id = $1
+     ORDER BY si.sale_item_id`,
+    [saleId]
+  );
+
+  const paymentsResult = await client.query(
+    `SELECT sp.amount, pm.method_name
+     FROM sale_payments sp
+     INNER JOIN payment_methods pm ON sp.payment_method_id = pm.payment_method_id
+     WHERE sp.sale_id = $1`,
+    [saleId]
+  );
+
+  return {
+    sale: {
+      SaleNumber: sale.sale_number,
+      CreatedAt: sale.created_at,
+      LocationName: sale.location_name,
+      LocationAddress: sale.location_address,
+      LocationPhone: sale.location_phone,
+      CashierFirstName: sale.cashier_first_name,
+      CashierLastName: sale.cashier_last_name,
+      CustomerFirstName: sale.customer_first_name,
+      CustomerLastName: sale.customer_last_name,
+      CustomerPhone: sale.customer_phone,
+      SubTotal: parseFloat(sale.subtotal),
+      DiscountAmount: parseFloat(sale.discount_amount) || 0,
+      CouponCode: sale.coupon_code,
+      CouponDiscount: parseFloat(sale.coupon_discount) || 0,
+      LoyaltyPointsEarned: parseInt(sale.loyalty_points_earned) || 0,
+      LoyaltyPointsRedeemed: parseInt(sale.loyalty_points_redeemed) || 0,
+      LoyaltyBalance: parseInt(sale.loyalty_balance) || 0,
+      PromotionDiscount: itemsResult.rows.reduce((sum, item) => sum + (parseFloat(item.promotion_discount) || 0), 0),
+      TaxAmount: parseFloat(sale.tax_amount) || 0,
+      TotalAmount: parseFloat(sale.total_amount),
+    },
+    items: itemsResult.rows.map(item => ({
+      ProductName: item.product_name,
+      VariantName: item.variant_name && item.variant_name !== 'Default' ? item.variant_name : null,
+      Quantity: item.quantity,
+      UnitPrice: parseFloat(item.unit_price),
+      LineTotal: parseFloat(item.line_total),
+      // Manual line discount; promotions are listed separately
+      DiscountAmount: (parseFloat(item.discount_amount) || 0) - (parseFloat(item.promotion_discount) || 0),
+      Promotions: item.promotions.map(promotion => ({ Name: promotion.name, Amount: parseFloat(promotion.amount) })),
+    })),
+    payments: paymentsResult.rows.map(payment => ({
+      MethodName: payment.method_name,
+      Amount: parseFloat(payment.amount),
+    })),
+  };
+};
+
+module.exports = {
+  generateSaleNumber,
+  findByClientSaleId,
+  reserveStock,
+  recordSale,
+  getReceipt,
+};
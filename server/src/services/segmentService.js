@@ -0,0 +1,411 @@
+/**
+ * Segment Service
+ * Customer segmentation on the purchase rollups: RFM scores and segments,
+ * lapsed and VIP flags, city and preferred category. A filter object (the
+ * customerFilter of notificationService.sendPromotionalSMS) picks customers
+ * by any of these; saved segments are named filters
+ * Every function takes a client from db.transaction (or the pool)
+ */
+
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+// RFM segments, from the recency/frequency/monetary scores (1-5, 5 best)
+const SEGMENTS = [
+  { key: 'CHAMPIONS', label: 'Champions', description: 'Bought recently, buy often and spend the most' },
+  { key: 'LOYAL', label: 'Loyal', description: 'Buy often and still coming back' },
+  { key: 'NEW', label: 'New', description: 'First purchase was recent' },
+  { key: 'PROMISING', label: 'Promising', description: 'Recent buyers who have not bought often yet' },
+  { key: 'NEEDS_ATTENTION', label: 'Needs attention', description: 'Middling recency and frequency' },
+  { key: 'AT_RISK', label: 'At risk', description: 'Used to buy often but have not been back for a while' },
+  { key: 'HIBERNATING', label: 'Hibernating', description: 'Last bought long ago and rarely' },
+  { key: 'PROSPECT', label: 'No purchases', description: 'On file but never bought' },
+];
+const SEGMENT_KEYS = SEGMENTS.map(segment => segment.key);
+
+/**
+ * Scores come from where a customer ranks among buying customers (cume_dist),
+ * so ties share a score. $1 is the lapsed days setting, $2 the VIP spend
+ */
+const PROFILES_SQL = `
+  WITH scores AS (
+    SELECT customer_id,
+           CEIL(CUME_DIST() OVER (ORDER BY last_visit_at) * 5)::int as recency_score,
+           CEIL(CUME_DIST() OVER (ORDER BY visit_count) * 5)::int as frequency_score,
+           CEIL(CUME_DIST() OVER (ORDER BY total_purchases) * 5)::int as monetary_score
+    FROM customers
+    WHERE is_active = true AND visit_count > 0 AND last_visit_at IS NOT NULL
+  ),
+  category_spend AS (
+    SELECT s.customer_id, p.category_id,
+           ROW_NUMBER() OVER (PARTITION BY s.customer_id ORDER BY SUM(si.line_total) DESC, p.category_id) as spend_rank
+    FROM sales s
+    INNER JOIN sale_items si ON si.sale_id = s.sale_id
+    INNER JOIN product_variants pv ON si.variant_id = pv.variant_id
+    INNER JOIN products p ON pv.product_id = p.product_id
+    WHERE s.status = 'completed' AND s.customer_id IS NOT NULL AND p.category_id IS NOT NULL
+    GROUP BY s.customer_id, p.category_id
+  ),
+  profiles AS (
+    SELECT c.customer_id, c.first_name, c.last_name, c.phone, c.email, c.city, c.sms_opt_in,
+           COALESCE(c.total_purchases, 0) as total_purchases, COALESCE(c.visit_count, 0) as visit_count,
+           c.last_visit_at, c.created_at,
+           (CURRENT_DATE - c.last_visit_at::date) as days_since_visit,
+           sc.recency_score, sc.frequency_score, sc.monetary_score,
+           cs.category_id as preferred_category_id, cat.category_name as preferred_category,
+           CASE
+             WHEN sc.customer_id IS NULL THEN 'PROSPECT'
+             WHEN sc.recency_score >= 4 AND sc.frequency_score >= 4 AND sc.monetary_score >= 4 THEN 'CHAMPIONS'
+             WHEN sc.recency_score >= 3 AND sc.frequency_score >= 4 THEN 'LOYAL'
+             WHEN sc.recency_score >= 4 AND c.visit_count = 1 THEN 'NEW'
+             WHEN sc.recency_score >= 4 THEN 'PROMISING'
+             WHEN sc.recency_score <= 2 AND sc.frequency_score >= 3 THEN 'AT_RISK'
+             WHEN sc.recency_score <= 2 THEN 'HIBERNATING'
+             ELSE 'NEEDS_ATTENTION'
+           END as segment,
+           (c.last_visit_at IS NOT NULL AND c.last_visit_at < CURRENT_TIMESTAMP - make_interval(days => $1)) as is_lapsed,
+           (COALESCE(c.total_purchases, 0) >= $2) as is_vip
+    FROM customers c
+    LEFT JOIN scores sc ON sc.customer_id = c.customer_id
+    LEFT JOIN category_spend cs ON cs.customer_id = c.customer_id AND cs.spend_rank = 1
+    LEFT JOIN categories cat ON cat.category_id = cs.category_id
+    WHERE c.is_active = true
+  )`;
+
+/**
+ * Lapsed and VIP thresholds from settings
+ */
+const getSegmentSettings = async (client) => {
+  const result = await client.query(
+    `SELECT setting_key, setting_value FROM settings WHERE setting_key LIKE 'segment_%'`
+  );
+  const values = Object.fromEntries(result.rows.map(row => [row.setting_key, row.setting_value]));
+  const number = (key, fallback) => {
+    const value = parseFloat(values[key]);
+    return Number.isNaN(value) || value < 0 ? fallback : value;
+  };
+
+  return {
+    lapsedDays: Math.floor(number('segment_lapsed_days', 90)),
+    vipMinSpend: number('segment_vip_min_spend', 50000),
+  };
+};
+
+const toList = (value) => (Array.isArray(value) ? value : [value]).filter(item => item !== null && item !== undefined && item !== '');
+
+/**
+ * Check a filter and drop empty criteria
+ * { customerIds, segment, lapsed, vip, minSpend, maxSpend, minVisits, maxVisits,
+ *   lastVisitWithinDays, noVisitForDays, minRecency, minFrequency, minMonetary,
+ *   city, preferredCategoryId, segmentId }
+ */
+const normalizeFilter = (filter = {}) => {
+  const normalized = {};
+  const number = (key, { integer = false, min = 0, max = null } = {}) => {
+    if (filter[key] === undefined || filter[key] === null || filter[key] === '') return;
+    const value = integer ? parseInt(filter[key]) : parseFloat(filter[key]);
+    if (Number.isNaN(value) || value < min || (max !== null && value > max)) {
+      throw new ValidationError(`Invalid segment filter: ${key}`, [{ field: key, value: filter[key] }]);
+    }
+    normalized[key] = value;
+  };
+  const ids = (key) => {
+    if (filter[key] === undefined || toList(filter[key]).length === 0) return;
+    const values = toList(filter[key]).map(id => Number(id));
+    if (values.some(value => !Number.isInteger(value) || value < 1)) {
+      throw new ValidationError(`Invalid segment filter: ${key}`, [{ field: key, value: filter[key] }]);
+    }
+    normalized[key] = values;
+  };
+
+  ids('customerIds');
+  if (filter.segment !== undefined && toList(filter.segment).length > 0) {
+    const segments = toList(filter.segment);
+    const unknown = segments.filter(key => !SEGMENT_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new ValidationError('Unknown segment', [{ field: 'segment', unknown, allowed: SEGMENT_KEYS }]);
+    }
+    normalized.segment = segments;
+  }
+  for (const flag of ['lapsed', 'vip']) {
+    if (filter[flag] === true || filter[flag] === 'true') normalized[flag] = true;
+    if (filter[flag] === false || filter[flag] === 'false') normalized[flag] = false;
+  }
+  number('minSpend');
+  number('maxSpend');
+  number('minVisits', { integer: true });
+  number('maxVisits', { integer: true });
+  number('lastVisitWithinDays', { integer: true });
+  number('noVisitForDays', { integer: true });
+  number('minRecency', { integer: true, min: 1, max: 5 });
+  number('minFrequency', { integer: true, min: 1, max: 5 });
+  number('minMonetary', { integer: true, min: 1, max: 5 });
+  if (filter.city !== undefined && toList(filter.city).length > 0) {
+    normalized.city = toList(filter.city).map(city => String(city).trim());
+  }
+  ids('preferredCategoryId');
+  number('segmentId', { integer: true, min: 1 });
+
+  return normalized;
+};
+
+/**
+ * A filter with its saved segment (segmentId) expanded; the other criteria
+ * given alongside narrow or override the saved ones
+ */
+const resolveFilter = async (client, filter = {}) => {
+  const { segmentId, ...criteria } = normalizeFilter(filter);
+  if (!segmentId) return criteria;
+
+  const result = await client.query(
+    `SELECT filter FROM customer_segments WHERE segment_id = $1`,
+    [segmentId]
+  );
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Segment');
+  }
+
+  // A saved segment is never itself a reference to another one
+  const saved = normalizeFilter(result.rows[0].filter);
+  delete saved.segmentId;
+  return { ...saved, ...criteria };
+};
+
+/**
+ * WHERE conditions on the profiles CTE for a resolved filter
+ * params already holds the two CTE parameters
+ */
+const buildConditions = (filter, params) => {
+  const conditions = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (filter.customerIds) add('customer_id = ANY(?)', filter.customerIds);
+  if (filter.segment) add('segment = ANY(?)', filter.segment);
+  if (filter.lapsed !== undefined) conditions.push(filter.lapsed ? 'is_lapsed' : 'NOT is_lapsed');
+  if (filter.vip !== undefined) conditions.push(filter.vip ? 'is_vip' : 'NOT is_vip');
+  if (filter.minSpend !== undefined) add('total_purchases >= ?', filter.minSpend);
+  if (filter.maxSpend !== undefined) add('total_purchases <= ?', filter.maxSpend);
+  if (filter.minVisits !== undefined) add('visit_count >= ?', filter.minVisits);
+  if (filter.maxVisits !== undefined) add('visit_count <= ?', filter.maxVisits);
+  if (filter.lastVisitWithinDays !== undefined) add('days_since_visit <= ?', filter.lastVisitWithinDays);
+  if (filter.noVisitForDays !== undefined) add('days_since_visit >= ?', filter.noVisitForDays);
+  if (filter.minRecency !== undefined) add('recency_score >= ?', filter.minRecency);
+  if (filter.minFrequency !== undefined) add('frequency_score >= ?', filter.minFrequency);
+  if (filter.minMonetary !== undefined) add('monetary_score >= ?', filter.minMonetary);
+  if (filter.city) add('city ILIKE ANY(?)', filter.city);
+  if (filter.preferredCategoryId) add('preferred_category_id = ANY(?)', filter.preferredCategoryId);
+
+  return conditions;
+};
+
+const toProfile = (row) => ({
+  customerId: row.customer_id,
+  firstName: row.first_name,
+  lastName: row.last_name,
+  phone: row.phone,
+  email: row.email,
+  city: row.city,
+  smsOptIn: row.sms_opt_in,
+  totalPurchases: round2(parseFloat(row.total_purchases)),
+  visitCount: parseInt(row.visit_count),
+  lastVisitAt: row.last_visit_at,
+  daysSinceVisit: row.days_since_visit === null ? null : parseInt(row.days_since_visit),
+  recencyScore: row.recency_score,
+  frequencyScore: row.frequency_score,
+  monetaryScore: row.monetary_score,
+  segment: row.segment,
+  isLapsed: row.is_lapsed,
+  isVip: row.is_vip,
+  preferredCategoryId: row.preferred_category_id,
+  preferredCategory: row.preferred_category,
+});
+
+/**
+ * Customers matching a filter, most valuable first
+ * smsOnly keeps those who can be texted; limit null returns every match
+ */
+const findCustomers = async (client, filter = {}, { page = 1, limit = 50, smsOnly = false } = {}) => {
+  const settings = await getSegmentSettings(client);
+  const resolved = await resolveFilter(client, filter);
+  const params = [settings.lapsedDays, settings.vipMinSpend];
+  const conditions = buildConditions(resolved, params);
+  if (smsOnly) conditions.push('sms_opt_in = true', 'phone IS NOT NULL');
+
+  let paging = '';
+  if (limit !== null) {
+    const pageSize = Math.min(parseInt(limit) || 50, 500);
+    params.push(pageSize, (Math.max(parseInt(page) || 1, 1) - 1) * pageSize);
+    paging = `LIMIT $${params.length - 1} OFFSET $${params.length}`;
+  }
+
+  const result = await client.query(
+    `${PROFILES_SQL}
+     SELECT *, COUNT(*) OVER() as total_count, SUM(total_purchases) OVER() as total_spend
+     FROM profiles
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY total_purchases DESC, customer_id
+     ${paging}`,
+    params
+  );
+
+  return {
+    filter: resolved,
+    customers: result.rows.map(toProfile),
+    total: parseInt(result.rows[0]?.total_count) || 0,
+    totalSpend: round2(parseFloat(result.rows[0]?.total_spend) || 0),
+  };
+};
+
+/**
+ * Customer counts and spend by RFM segment, lapsed/VIP, city and preferred category
+ */
+const getSummary = async (client) => {
+  const settings = await getSegmentSettings(client);
+  const params = [settings.lapsedDays, settings.vipMinSpend];
+
+  const result = await client.query(
+    `${PROFILES_SQL}
+     SELECT 'segment' as dimension, segment as value, NULL::int as id, COUNT(*) as customers, SUM(total_purchases) as spend
+     FROM profiles GROUP BY segment
+     UNION ALL
+     SELECT 'city', COALESCE(NULLIF(TRIM(city), ''), 'Unknown'), NULL, COUNT(*), SUM(total_purchases)
+     FROM profiles GROUP BY COALESCE(NULLIF(TRIM(city), ''), 'Unknown')
+     UNION ALL
+     SELECT 'category', preferred_category, preferred_category_id, COUNT(*), SUM(total_purchases)
+     FROM profiles WHERE preferred_category_id IS NOT NULL GROUP BY preferred_category_id, preferred_category
+     UNION ALL
+     SELECT 'flag', 'lapsed', NULL, COUNT(*), SUM(total_purchases) FROM profiles WHERE is_lapsed
+     UNION ALL
+     SELECT 'flag', 'vip', NULL, COUNT(*), SUM(total_purchases) FROM profiles WHERE is_vip
+     UNION ALL
+     SELECT 'flag', 'all', NULL, COUNT(*), SUM(total_purchases) FROM profiles`,
+    params
+  );
+
+  const rows = result.rows.map(row => ({
+    ...row,
+    customers: parseInt(row.customers),
+    spend: round2(parseFloat(row.spend) || 0),
+  }));
+  const flag = (value) => rows.find(row => row.dimension === 'flag' && row.value === value) || { customers: 0, spend: 0 };
+
+  return {
+    settings,
+    totalCustomers: flag('all').customers,
+    segments: SEGMENTS.map(segment => {
+      const row = rows.find(r => r.dimension === 'segment' && r.value === segment.key);
+      return { ...segment, customers: row?.customers || 0, spend: row?.spend || 0 };
+    }),
+    lapsed: { customers: flag('lapsed').customers, spend: flag('lapsed').spend },
+    vip: { customers: flag('vip').customers, spend: flag('vip').spend },
+    cities: rows
+      .filter(row => row.dimension === 'city')
+      .map(row => ({ city: row.value, customers: row.customers, spend: row.spend }))
+      .sort((a, b) => b.customers - a.customers),
+    categories: rows
+      .filter(row => row.dimension === 'category')
+      .map(row => ({ categoryId: row.id, categoryName: row.value, customers: row.customers, spend: row.spend }))
+      .sort((a, b) => b.customers - a.customers),
+  };
+};
+
+/**
+ * Saved segments with how many customers each matches now
+ */
+const listSegments = async (client) => {
+  const result = await client.query(
+    `SELECT cs.*, u.first_name as created_by_first_name, u.last_name as created_by_last_name
+     FROM customer_segments cs
+     LEFT JOIN users u ON cs.created_by = u.user_id
+     ORDER BY cs.segment_name`
+  );
+
+  const segments = [];
+  for (const row of result.rows) {
+    const { total } = await findCustomers(client, row.filter, { limit: 1 });
+    segments.push({ ...row, customer_count: total });
+  }
+  return segments;
+};
+
+const checkSegment = async (client, data, segmentId = null) => {
+  const segmentName = String(data.segmentName || '').trim();
+  if (!segmentName) {
+    throw new ValidationError('Segment name is required', [{ field: 'segmentName' }]);
+  }
+
+  const existing = await client.query(
+    `SELECT segment_id FROM customer_segments WHERE LOWER(segment_name) = LOWER($1) AND segment_id <> $2`,
+    [segmentName, segmentId || 0]
+  );
+  if (existing.rows.length > 0) {
+    throw new ValidationError('A segment with this name already exists', [{ field: 'segmentName' }]);
+  }
+
+  const filter = normalizeFilter(data.filter || {});
+  delete filter.segmentId;
+  return { segmentName, description: data.description || null, filter };
+};
+
+/**
+ * Save a filter as a named segment
+ */
+const createSegment = async (client, data, userId) => {
+  const segment = await checkSegment(client, data);
+  const result = await client.query(
+    `INSERT INTO customer_segments (segment_name, description, filter, created_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [segment.segmentName, segment.description, JSON.stringify(segment.filter), userId]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Rename a saved segment or change its filter
+ */
+const updateSegment = async (client, segmentId, data) => {
+  const segment = await checkSegment(client, data, segmentId);
+  const result = await client.query(
+    `UPDATE customer_segments SET segment_name = $1, description = $2, filter = $3, updated_at = CURRENT_TIMESTAMP
+     WHERE segment_id = $4
+     RETURNING *`,
+    [segment.segmentName, segment.description, JSON.stringify(segment.filter), segmentId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Segment');
+  }
+  return result.rows[0];
+};
+
+/**
+ * Delete a saved segment (nothing refers to it; campaigns keep their own records)
+ */
+const deleteSegment = async (client, segmentId) => {
+  const result = await client.query(
+    `DELETE FROM customer_segments WHERE segment_id = $1 RETURNING segment_id`,
+    [segmentId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Segment');
+  }
+};
+
+module.exports = {
+  SEGMENTS,
+  getSegmentSettings,
+  normalizeFilter,
+  resolveFilter,
+  findCustomers,
+  getSummary,
+  listSegments,
+  createSegment,
+  updateSegment,
+  deleteSegment,
+};
@@ -0,0 +1,205 @@
+/**
+ * Shift Service
+ * Closing a shift (optionally as a blind close counted by denomination)
+ * and manager sign-off for cash variances above cash_variance_threshold
+ * Every function takes a client from db.transaction (or the pool)
+ */
+
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { getNumericSetting } = require('./pricingService');
+const cashMovementService = require('./cashMovementService');
+
+// PKR notes and coins, largest first
+const DENOMINATIONS = [5000, 1000, 500, 100, 50, 20, 10, 5, 2, 1];
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Whether cashiers close without seeing the expected amount
+ */
+const isBlindCloseEnabled = async (client) => {
+  const result = await client.query(
+    `SELECT setting_value FROM settings WHERE setting_key = 'blind_close_enabled'`
+  );
+  return result.rows[0]?.setting_value === 'true';
+};
+
+/**
+ * Validate a { denomination: count } map and return the normalised counts and total
+ */
+const countDenominations = (denominations) => {
+  const counts = {};
+  const errors = [];
+
+  for (const [key, value] of Object.entries(denominations || {})) {
+    const denomination = parseInt(key);
+    const count = Number(value);
+
+    if (!DENOMINATIONS.includes(denomination)) {
+      errors.push({ field: `denominations.${key}`, message: 'Unknown denomination', allowed: DENOMINATIONS });
+    } else if (!Number.isInteger(count) || count < 0) {
+      errors.push({ field: `denominations.${key}`, message: 'Count must be a whole number of zero or more' });
+    } else if (count > 0) {
+      counts[denomination] = count;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid denomination count', errors);
+  }
+
+  const total = Object.entries(counts).reduce((sum, [denomination, count]) => sum + denomination * count, 0);
+  return { counts, total: round2(total) };
+};
+
+/**
+ * Close an active shift
+ * In blind-close mode the drawer must be counted by denomination and the
+ * closing cash is taken from that count; otherwise closingCash is used as
+ * given (a denomination count is still stored when supplied)
+ */
+const closeShift = async (client, { shiftId, closingCash, denominations, notes }) => {
+  const shiftResult = await client.query(
+    `SELECT * FROM shifts WHERE shift_id = $1 FOR UPDATE`,
+    [parseInt(shiftId)]
+  );
+
+  if (shiftResult.rows.length === 0) {
+    throw new NotFoundError('Shift');
+  }
+
+  const shift = shiftResult.rows[0];
+  if (shift.status !== 'active') {
+    throw new ValidationError('Shift is already closed');
+  }
+
+  const blindClose = await isBlindCloseEnabled(client);
+  if (blindClose && !denominations) {
+    throw new ValidationError('Blind close requires a denomination count', [{ field: 'denominations' }]);
+  }
+
+  let counted = null;
+  if (denominations) {
+    counted = countDenominations(denominations);
+  } else if (closingCash === undefined || closingCash === null || closingCash === '') {
+    throw new ValidationError('Closing cash is required', [{ field: 'closingCash' }]);
+  }
+
+  const actualCash = counted ? counted.total : round2(parseFloat(closingCash));
+  const expectedCash = await cashMovementService.getExpectedCash(client, shift);
+  const cashDifference = round2(actualCash - expectedCash);
+
+  const threshold = await getNumericSetting(client, 'cash_variance_threshold', 500);
+  const requiresApproval = Math.abs(cashDifference) > threshold;
+
+  const result = await client.query(
+    `UPDATE shifts SET
+       closing_cash = $1,
+       expected_cash = $2,
+       cash_difference = $3,
+       end_time = CURRENT_TIMESTAMP,
+       status = 'closed',
+       notes = $4,
+       blind_close = $5,
+       denomination_counts = $6,
+       variance_requires_approval = $7
+     WHERE shift_id = $8
+     RETURNING *`,
+    [
+      actualCash, expectedCash, cashDifference, notes || null, blindClose,
+      counted ? JSON.stringify(counted.counts) : null, requiresApproval, shift.shift_id,
+    ]
+  );
+
+  return {
+    shift: result.rows[0],
+    summary: {
+      expectedCash,
+      actualCash,
+      difference: cashDifference,
+      threshold,
+      requiresApproval,
+      blindClose,
+    },
+  };
+};
+
+/**
+ * Record manager sign-off for a closed shift's cash variance
+ */
+const approveVariance = async (client, { shiftId, approvedBy, notes }) => {
+  const shiftResult = await client.query(
+    `SELECT * FROM shifts WHERE shift_id = $1 FOR UPDATE`,
+    [parseInt(shiftId)]
+  );
+
+  if (shiftResult.rows.length === 0) {
+    throw new NotFoundError('Shift');
+  }
+
+  const shift = shiftResult.rows[0];
+  if (shift.status === 'active') {
+    throw new ValidationError('Shift must be closed before its variance can be approved');
+  }
+  if (!shift.variance_requires_approval) {
+    throw new ValidationError('Shift variance is within the threshold and needs no approval');
+  }
+  if (shift.variance_approved_by) {
+    throw new ValidationError('Shift variance has already been approved');
+  }
+
+  const result = await client.query(
+    `UPDATE shifts SET
+       variance_approved_by = $1,
+       variance_approved_at = CURRENT_TIMESTAMP,
+       variance_approval_notes = $2
+     WHERE shift_id = $3
+     RETURNING *`,
+    [approvedBy, notes || null, shift.shift_id]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Mark a closed shift reconciled; large variances need sign-off first
+ */
+const reconcileShift = async (client, { shiftId, notes }) => {
+  const shiftResult = await client.query(
+    `SELECT * FROM shifts WHERE shift_id = $1 FOR UPDATE`,
+    [parseInt(shiftId)]
+  );
+
+  if (shiftResult.rows.length === 0) {
+    throw new NotFoundError('Shift');
+  }
+
+  const shift = shiftResult.rows[0];
+  if (shift.status !== 'closed') {
+    throw new ValidationError('Only closed shifts can be reconciled');
+  }
+  if (shift.variance_requires_approval && !shift.variance_approved_by) {
+    throw new ValidationError('Cash variance exceeds the threshold and needs manager sign-off', [{
+      field: 'variance',
+      received: parseFloat(shift.cash_difference),
+    }]);
+  }
+
+  const result = await client.query(
+    `UPDATE shifts SET status = 'reconciled', notes = COALESCE($1, notes)
+     WHERE shift_id = $2
+     RETURNING *`,
+    [notes || null, shift.shift_id]
+  );
+
+  return result.rows[0];
+};
+
+module.exports = {
+  DENOMINATIONS,
+  isBlindCloseEnabled,
+  countDenominations,
+  closeShift,
+  approveVariance,
+  reconcileShift,
+};
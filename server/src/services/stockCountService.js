@@ -0,0 +1,344 @@
+/**
+ * Stock Count Service
+ * Cycle counts scoped to a location (and optionally a category or bin):
+ * OPEN -> SUBMITTED -> APPROVED. Expected quantities are snapshotted when the
+ * session opens and re-read from stock each time a line is counted, so sales
+ * made while counting do not skew the variance; approval posts
+ * counted - expected as adjustments against current stock
+ * Every function takes a client from db.transaction
+ */
+
+const inventoryService = require('./inventoryService');
+const { nextDocumentNumber } = require('./documentNumberService');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const STATUSES = ['OPEN', 'SUBMITTED', 'APPROVED', 'CANCELLED'];
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Variance totals for the report
+ */
+const summarize = (items) => {
+  const counted = items.filter(item => item.counted_quantity !== null);
+  const withVariance = counted.filter(item => item.counted_quantity !== item.expected_quantity);
+
+  return {
+    totalItems: items.length,
+    itemsCounted: counted.length,
+    itemsUncounted: items.length - counted.length,
+    itemsWithVariance: withVariance.length,
+    unitsShort: withVariance.reduce((sum, item) => sum + Math.max(item.expected_quantity - item.counted_quantity, 0), 0),
+    unitsOver: withVariance.reduce((sum, item) => sum + Math.max(item.counted_quantity - item.expected_quantity, 0), 0),
+    varianceValue: round2(withVariance.reduce((sum, item) =>
+      sum + (item.counted_quantity - item.expected_quantity) * parseFloat(item.unit_cost || 0), 0)),
+  };
+};
+
+/**
+ * Load a count with its lines and variance summary
+ */
+const getStockCount = async (client, countId, { lock = false } = {}) => {
+  if (lock) {
+    await client.query(`SELECT count_id FROM stock_counts WHERE count_id = $1 FOR UPDATE`, [countId]);
+  }
+
+  const countResult = await client.query(
+    `SELECT sc.*, l.location_name, c.category_name,
+            cu.first_name as created_by_first_name, cu.last_name as created_by_last_name,
+            au.first_name as approved_by_first_name, au.last_name as approved_by_last_name
+     FROM stock_counts sc
+     INNER JOIN locations l ON sc.location_id = l.location_id
+     LEFT JOIN categories c ON sc.category_id = c.category_id
+     LEFT JOIN users cu ON sc.created_by = cu.user_id
+     LEFT JOIN users au ON sc.approved_by = au.user_id
+     WHERE sc.count_id = $1`,
+    [countId]
+  );
+
+  if (countResult.rows.length === 0) {
+    throw new NotFoundError('Stock count');
+  }
+
+  const itemsResult = await client.query(
+    `SELECT sci.*, pv.sku, pv.barcode, pv.variant_name, p.product_name,
+            CASE WHEN sci.counted_quantity IS NULL THEN NULL
+                 ELSE sci.counted_quantity - sci.expected_quantity END as variance
+     FROM stock_count_items sci
+     INNER JOIN product_variants pv ON sci.variant_id = pv.variant_id
+     INNER JOIN products p ON pv.product_id = p.product_id
+     WHERE sci.count_id = $1
+     ORDER BY p.product_name, pv.variant_name`,
+    [countId]
+  );
+
+  return {
+    stockCount: countResult.rows[0],
+    items: itemsResult.rows,
+    summary: summarize(itemsResult.rows),
+  };
+};
+
+const assertStatus = (stockCount, allowed, action) => {
+  if (!allowed.includes(stockCount.status)) {
+    throw new ValidationError(`Cannot ${action} a stock count that is ${stockCount.status}`, [{
+      status: stockCount.status,
+      allowed,
+    }]);
+  }
+};
+
+/**
+ * Open a count session and snapshot the expected quantities for everything in scope
+ * A category scope includes its direct subcategories; a bin scope only covers
+ * variants that have an inventory row in that bin
+ */
+const createStockCount = async (client, { locationId, categoryId = null, binLocation = null, notes = null, userId }) => {
+  const countNumber = await nextDocumentNumber(client, {
+    prefix: 'CNT',
+    table: 'stock_counts',
+    locationId,
+  });
+
+  const result = await client.query(
+    `INSERT INTO stock_counts (count_number, location_id, category_id, bin_location, status, notes, created_by)
+     VALUES ($1, $2, $3, $4, 'OPEN', $5, $6)
+     RETURNING count_id`,
+    [countNumber, locationId, categoryId || null, binLocation || null, notes || null, userId]
+  );
+  const countId = result.rows[0].count_id;
+
+  const params = [countId, locationId];
+  let scope = '';
+  if (categoryId) {
+    params.push(categoryId);
+    scope += ` AND (p.category_id = $${params.length}
+               OR p.category_id IN (SELECT category_id FROM categories WHERE parent_category_id = $${params.length}))`;
+  }
+  if (binLocation) {
+    params.push(binLocation);
+    scope += ` AND i.bin_location = $${params.length}`;
+  }
+
+  const snapshot = await client.query(
+    `INSERT INTO stock_count_items (count_id, variant_id, expected_quantity, unit_cost)
+     SELECT $1, pv.variant_id, COALESCE(i.quantity_on_hand, 0), COALESCE(i.average_cost, pv.cost_price, 0)
+     FROM product_variants pv
+     INNER JOIN products p ON pv.product_id = p.product_id
+     LEFT JOIN inventory i ON i.variant_id = pv.variant_id AND i.location_id = $2
+     WHERE pv.is_active = true AND p.is_active = true${scope}`,
+    params
+  );
+
+  if (snapshot.rowCount === 0) {
+    throw new ValidationError('Nothing to count in this scope');
+  }
+
+  return getStockCount(client, countId);
+};
+
+/**
+ * Find the count line for a scanned barcode or SKU
+ * Items found on the shelf but outside the session's scope are added with
+ * their current stock as the expected quantity
+ */
+const findLineForCode = async (client, stockCount, code) => {
+  const variantResult = await client.query(
+    `SELECT pv.variant_id FROM product_variants pv
+     WHERE pv.barcode = $1 OR pv.sku = $1
+     LIMIT 1`,
+    [code]
+  );
+
+  if (variantResult.rows.length === 0) {
+    throw new NotFoundError('Product');
+  }
+
+  const variantId = variantResult.rows[0].variant_id;
+
+  const existing = await client.query(
+    `SELECT count_item_id FROM stock_count_items WHERE count_id = $1 AND variant_id = $2`,
+    [stockCount.count_id, variantId]
+  );
+
+  if (existing.rows.length > 0) {
+    return existing.rows[0].count_item_id;
+  }
+
+  const stockResult = await client.query(
+    `SELECT quantity_on_hand FROM inventory WHERE variant_id = $1 AND location_id = $2`,
+    [variantId, stockCount.location_id]
+  );
+
+  const inserted = await client.query(
+    `INSERT INTO stock_count_items (count_id, variant_id, expected_quantity, unit_cost, in_scope)
+     VALUES ($1, $2, $3, $4, false)
+     RETURNING count_item_id`,
+    [stockCount.count_id, variantId, parseInt(stockResult.rows[0]?.quantity_on_hand) || 0,
+      await inventoryService.getUnitCost(client, variantId, stockCount.location_id)]
+  );
+
+  return inserted.rows[0].count_item_id;
+};
+
+/**
+ * Stamp a line as counted now, with the stock on hand at this moment as its
+ * expected quantity - movements before the count are already on the shelf,
+ * movements after it still apply to the counted figure
+ */
+const markCounted = async (client, stockCount, countItemId, { countedQuantity, userId }) => {
+  const line = await client.query(
+    `SELECT variant_id FROM stock_count_items WHERE count_item_id = $1 AND count_id = $2`,
+    [countItemId, stockCount.count_id]
+  );
+
+  if (line.rows.length === 0) {
+    throw new NotFoundError('Count line');
+  }
+
+  const onHand = await inventoryService.lockStock(client, line.rows[0].variant_id, stockCount.location_id);
+
+  await client.query(
+    `UPDATE stock_count_items
+     SET counted_quantity = $1, expected_quantity = $2, counted_by = $3, counted_at = CURRENT_TIMESTAMP
+     WHERE count_item_id = $4`,
+    [countedQuantity, onHand, userId, countItemId]
+  );
+};
+
+/**
+ * Record a scan: adds `quantity` (default 1) to the line's counted quantity
+ */
+const scanItem = async (client, countId, { code, quantity = 1, userId }) => {
+  const { stockCount } = await getStockCount(client, countId, { lock: true });
+  assertStatus(stockCount, ['OPEN'], 'scan into');
+
+  const countItemId = await findLineForCode(client, stockCount, code);
+
+  const current = await client.query(
+    `SELECT counted_quantity FROM stock_count_items WHERE count_item_id = $1`,
+    [countItemId]
+  );
+  const countedQuantity = (current.rows[0].counted_quantity || 0) + quantity;
+
+  await markCounted(client, stockCount, countItemId, { countedQuantity, userId });
+
+  return { countItemId, ...(await getStockCount(client, countId)) };
+};
+
+/**
+ * Set a line's counted quantity outright (null clears it back to uncounted)
+ */
+const setCountedQuantity = async (client, countId, countItemId, { countedQuantity, userId }) => {
+  const { stockCount } = await getStockCount(client, countId, { lock: true });
+  assertStatus(stockCount, ['OPEN'], 'edit');
+
+  await markCounted(client, stockCount, countItemId, { countedQuantity, userId });
+
+  return getStockCount(client, countId);
+};
+
+/**
+ * Finish counting - the variance report is final from here
+ */
+const submitStockCount = async (client, countId, { userId }) => {
+  const { stockCount, summary } = await getStockCount(client, countId, { lock: true });
+  assertStatus(stockCount, ['OPEN'], 'submit');
+
+  if (summary.itemsCounted === 0) {
+    throw new ValidationError('Count at least one item before submitting');
+  }
+
+  await client.query(
+    `UPDATE stock_counts SET status = 'SUBMITTED', submitted_by = $1, submitted_at = CURRENT_TIMESTAMP
+     WHERE count_id = $2`,
+    [userId, countId]
+  );
+
+  return getStockCount(client, countId);
+};
+
+/**
+ * Approve a submitted count and post its variances
+ * Each counted line moves current stock by counted - expected, expected being
+ * the stock on hand when the line was counted (ADJUSTMENT transactions
+ * referencing the count), and stamps inventory.last_stock_check.
+ * Uncounted lines are left alone unless zeroUncounted treats them as counted
+ * at 0 now, against the stock on hand at approval
+ */
+const approveStockCount = async (client, countId, { zeroUncounted = false, userId }) => {
+  const { stockCount, items } = await getStockCount(client, countId, { lock: true });
+  assertStatus(stockCount, ['SUBMITTED'], 'approve');
+
+  const lines = items
+    .filter(item => item.counted_quantity !== null || zeroUncounted)
+    .map(item => ({ ...item, counted: item.counted_quantity === null ? 0 : item.counted_quantity }))
+    .sort((a, b) => a.variant_id - b.variant_id);
+
+  for (const line of lines) {
+    if (line.counted_quantity === null) {
+      line.expected_quantity = await inventoryService.lockStock(client, line.variant_id, stockCount.location_id);
+      await client.query(
+        `UPDATE stock_count_items SET counted_quantity = 0, expected_quantity = $1, counted_by = $2, counted_at = CURRENT_TIMESTAMP
+         WHERE count_item_id = $3`,
+        [line.expected_quantity, userId, line.count_item_id]
+      );
+    }
+
+    const variance = line.counted - line.expected_quantity;
+    if (variance !== 0) {
+      await inventoryService.adjustStock(client, {
+        variantId: line.variant_id,
+        locationId: stockCount.location_id,
+        quantityChange: variance,
+        transactionType: 'ADJUSTMENT',
+        referenceType: 'STOCK_COUNT',
+        referenceId: countId,
+        notes: `${stockCount.count_number}: counted ${line.counted}, expected ${line.expected_quantity}`,
+        userId,
+      });
+    } else {
+      await inventoryService.lockStock(client, line.variant_id, stockCount.location_id);
+    }
+  }
+
+  await client.query(
+    `UPDATE inventory SET last_stock_check = CURRENT_TIMESTAMP
+     WHERE location_id = $1 AND variant_id = ANY($2)`,
+    [stockCount.location_id, lines.map(line => line.variant_id)]
+  );
+
+  await client.query(
+    `UPDATE stock_counts SET status = 'APPROVED', approved_by = $1, approved_at = CURRENT_TIMESTAMP
+     WHERE count_id = $2`,
+    [userId, countId]
+  );
+
+  return getStockCount(client, countId);
+};
+
+/**
+ * Abandon a count - nothing is posted
+ */
+const cancelStockCount = async (client, countId) => {
+  const { stockCount } = await getStockCount(client, countId, { lock: true });
+  assertStatus(stockCount, ['OPEN', 'SUBMITTED'], 'cancel');
+
+  await client.query(
+    `UPDATE stock_counts SET status = 'CANCELLED', cancelled_at = CURRENT_TIMESTAMP WHERE count_id = $1`,
+    [countId]
+  );
+
+  return getStockCount(client, countId);
+};
+
+module.exports = {
+  STATUSES,
+  getStockCount,
+  createStockCount,
+  scanItem,
+  setCountedQuantity,
+  submitStockCount,
+  approveStockCount,
+  cancelStockCount,
+};
@@ -0,0 +1,331 @@
+/**
+ * Transfer Service
+ * Two-phase stock transfers between locations: REQUESTED -> DISPATCHED -> RECEIVED
+ * Dispatch takes stock out of the source (TRANSFER_OUT) and it stays in transit
+ * until the destination books it in (TRANSFER_IN, less a TRANSFER_LOSS for
+ * anything that did not arrive)
+ * Every function takes a client from db.transaction
+ */
+
+const inventoryService = require('./inventoryService');
+const { nextDocumentNumber } = require('./documentNumberService');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const STATUSES = ['REQUESTED', 'DISPATCHED', 'RECEIVED', 'CANCELLED'];
+
+/**
+ * Load a transfer with its locations and lines
+ */
+const getTransfer = async (client, transferId, { lock = false } = {}) => {
+  if (lock) {
+    await client.query(`SELECT transfer_id FROM stock_transfers WHERE transfer_id = $1 FOR UPDATE`, [transferId]);
+  }
+
+  const transferResult = await client.query(
+    `SELECT st.*, fl.location_name as from_location_name, tl.location_name as to_location_name,
+            ru.first_name as requested_by_first_name, ru.last_name as requested_by_last_name,
+            du.first_name as dispatched_by_first_name, du.last_name as dispatched_by_last_name,
+            rcu.first_name as received_by_first_name, rcu.last_name as received_by_last_name
+     FROM stock_transfers st
+     INNER JOIN locations fl ON st.from_location_id = fl.location_id
+     INNER JOIN locations tl ON st.to_location_id = tl.location_id
+     LEFT JOIN users ru ON st.requested_by = ru.user_id
+     LEFT JOIN users du ON st.dispatched_by = du.user_id
+     LEFT JOIN users rcu ON st.received_by = rcu.user_id
+     WHERE st.transfer_id = $1`,
+    [transferId]
+  );
+
+  if (transferResult.rows.length === 0) {
+    throw new NotFoundError('Transfer');
+  }
+
+  const itemsResult = await client.query(
+    `SELECT sti.*, pv.sku, pv.barcode, pv.variant_name, p.product_name
+     FROM stock_transfer_items sti
+     INNER JOIN product_variants pv ON sti.variant_id = pv.variant_id
+     INNER JOIN products p ON pv.product_id = p.product_id
+     WHERE sti.transfer_id = $1
+     ORDER BY sti.transfer_item_id`,
+    [transferId]
+  );
+
+  return {
+    transfer: transferResult.rows[0],
+    items: itemsResult.rows,
+  };
+};
+
+const assertStatus = (transfer, allowed, action) => {
+  if (!allowed.includes(transfer.status)) {
+    throw new ValidationError(`Cannot ${action} a transfer that is ${transfer.status}`, [{
+      status: transfer.status,
+      allowed,
+    }]);
+  }
+};
+
+/**
+ * Match submitted per-line quantities to the transfer's lines
+ * Lines left out of the submission default to `fallback(line)`
+ */
+const matchLines = (transferItems, submitted, field, fallback) => {
+  const byId = new Map((submitted || []).map(line => [parseInt(line.transferItemId), line]));
+
+  for (const transferItemId of byId.keys()) {
+    if (!transferItems.some(item => item.transfer_item_id === transferItemId)) {
+      throw new ValidationError('Line is not on this transfer', [{ transferItemId }]);
+    }
+  }
+
+  return transferItems.map((item) => {
+    const line = byId.get(item.transfer_item_id);
+    const quantity = line && line[field] !== undefined && line[field] !== null && line[field] !== ''
+      ? parseInt(line[field])
+      : fallback(item);
+
+    if (isNaN(quantity) || quantity < 0) {
+      throw new ValidationError('Quantities cannot be negative', [{ transferItemId: item.transfer_item_id }]);
+    }
+
+    return { item, quantity, notes: line?.notes || null };
+  });
+};
+
+/**
+ * Request stock from one location to another
+ */
+const createTransfer = async (client, { fromLocationId, toLocationId, items, notes = null, userId }) => {
+  if (fromLocationId === toLocationId) {
+    throw new ValidationError('Source and destination must be different locations');
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ValidationError('A transfer needs at least one line');
+  }
+
+  // Merge repeated variants into one line
+  const requested = new Map();
+  for (const item of items) {
+    const variantId = parseInt(item.variantId);
+    const quantity = parseInt(item.quantity);
+    if (!variantId || !(quantity > 0)) {
+      throw new ValidationError('Each line needs a variant and a positive quantity', [{ variantId: item.variantId }]);
+    }
+    requested.set(variantId, (requested.get(variantId) || 0) + quantity);
+  }
+
+  const locationResult = await client.query(
+    `SELECT location_id FROM locations WHERE location_id = ANY($1) AND is_active = true`,
+    [[fromLocationId, toLocationId]]
+  );
+  if (locationResult.rows.length !== 2) {
+    throw new NotFoundError('Location');
+  }
+
+  const variantResult = await client.query(
+    `SELECT variant_id FROM product_variants WHERE variant_id = ANY($1)`,
+    [[...requested.keys()]]
+  );
+  const known = new Set(variantResult.rows.map(row => row.variant_id));
+  const unknown = [...requested.keys()].filter(variantId => !known.has(variantId));
+  if (unknown.length > 0) {
+    throw new ValidationError('Unknown product variant', unknown.map(variantId => ({ variantId })));
+  }
+
+  const transferNumber = await nextDocumentNumber(client, {
+    prefix: 'TRF',
+    table: 'stock_transfers',
+    locationId: fromLocationId,
+    locationColumn: 'from_location_id',
+  });
+
+  const result = await client.query(
+    `INSERT INTO stock_transfers (transfer_number, from_location_id, to_location_id, status, notes, requested_by)
+     VALUES ($1, $2, $3, 'REQUESTED', $4, $5)
+     RETURNING transfer_id`,
+    [transferNumber, fromLocationId, toLocationId, notes || null, userId]
+  );
+  const transferId = result.rows[0].transfer_id;
+
+  for (const [variantId, quantity] of requested) {
+    await client.query(
+      `INSERT INTO stock_transfer_items (transfer_id, variant_id, quantity_requested)
+       VALUES ($1, $2, $3)`,
+      [transferId, variantId, quantity]
+    );
+  }
+
+  return getTransfer(client, transferId);
+};
+
+/**
+ * Ship a requested transfer
+ * Quantities default to what was requested; the source is checked for stock
+ * (unless allow_negative_inventory is on) and each line leaves it with a
+ * TRANSFER_OUT transaction referencing the transfer
+ */
+const dispatchTransfer = async (client, transferId, { items = [], userId }) => {
+  const { transfer, items: transferItems } = await getTransfer(client, transferId, { lock: true });
+  assertStatus(transfer, ['REQUESTED'], 'dispatch');
+
+  const lines = matchLines(transferItems, items, 'quantity', item => item.quantity_requested);
+  if (!lines.some(line => line.quantity > 0)) {
+    throw new ValidationError('Enter a dispatch quantity for at least one line');
+  }
+
+  const settingResult = await client.query(
+    `SELECT setting_value FROM settings WHERE setting_key = 'allow_negative_inventory'`
+  );
+  const allowNegative = settingResult.rows[0]?.setting_value === 'true';
+
+  // Lock in variant order so concurrent movements cannot deadlock
+  const shortages = [];
+  const ordered = [...lines].sort((a, b) => a.item.variant_id - b.item.variant_id);
+  for (const { item, quantity } of ordered) {
+    if (quantity === 0) continue;
+    const available = await inventoryService.lockStock(client, item.variant_id, transfer.from_location_id);
+    if (available < quantity) {
+      shortages.push({ variantId: item.variant_id, sku: item.sku, available, requested: quantity });
+    }
+  }
+
+  if (!allowNegative && shortages.length > 0) {
+    throw new ValidationError('Insufficient stock', shortages);
+  }
+
+  for (const { item, quantity } of lines) {
+    // Goods travel at the source's average cost, which the destination blends in on receipt
+    let unitCost = null;
+    if (quantity > 0) {
+      ({ unitCost } = await inventoryService.adjustStock(client, {
+        variantId: item.variant_id,
+        locationId: transfer.from_location_id,
+        quantityChange: -quantity,
+        transactionType: 'TRANSFER_OUT',
+        referenceType: 'STOCK_TRANSFER',
+        referenceId: transferId,
+        notes: `${transfer.transfer_number} to ${transfer.to_location_name}`,
+        userId,
+      }));
+    }
+
+    await client.query(
+      `UPDATE stock_transfer_items SET quantity_dispatched = $1, unit_cost = $2 WHERE transfer_item_id = $3`,
+      [quantity, unitCost, item.transfer_item_id]
+    );
+  }
+
+  await client.query(
+    `UPDATE stock_transfers
+     SET status = 'DISPATCHED', dispatched_by = $1, dispatched_at = CURRENT_TIMESTAMP
+     WHERE transfer_id = $2`,
+    [userId, transferId]
+  );
+
+  return getTransfer(client, transferId);
+};
+
+/**
+ * Book a dispatched transfer in at the destination
+ * Quantities default to what was dispatched; a short delivery is recorded on
+ * the line, flags the transfer and writes the units that never arrived off at
+ * the destination with a TRANSFER_LOSS transaction. Receiving more than was
+ * dispatched is refused - the extra units never left the source's books
+ */
+const receiveTransfer = async (client, transferId, { items = [], notes = null, userId }) => {
+  const { transfer, items: transferItems } = await getTransfer(client, transferId, { lock: true });
+  assertStatus(transfer, ['DISPATCHED'], 'receive');
+
+  const lines = matchLines(transferItems, items, 'quantity', item => item.quantity_dispatched);
+
+  const overDelivered = lines.filter(({ item, quantity }) => quantity > item.quantity_dispatched);
+  if (overDelivered.length > 0) {
+    throw new ValidationError('Received quantity exceeds the quantity dispatched', overDelivered.map(({ item, quantity }) => ({
+      transferItemId: item.transfer_item_id,
+      sku: item.sku,
+      dispatched: item.quantity_dispatched,
+      received: quantity,
+    })));
+  }
+
+  let hasDiscrepancy = false;
+
+  for (const { item, quantity, notes: lineNotes } of lines) {
+    const variance = quantity - item.quantity_dispatched;
+    if (variance !== 0) {
+      hasDiscrepancy = true;
+    }
+
+    await client.query(
+      `UPDATE stock_transfer_items SET quantity_received = $1, discrepancy_notes = $2
+       WHERE transfer_item_id = $3`,
+      [quantity, variance !== 0 ? lineNotes : null, item.transfer_item_id]
+    );
+
+    // A short delivery books in everything dispatched, then writes the
+    // missing units off as TRANSFER_LOSS so they stay visible in the ledger
+    if (item.quantity_dispatched === 0) continue;
+
+    const transferNote = `${transfer.transfer_number} from ${transfer.from_location_name}`;
+    await inventoryService.adjustStock(client, {
+      variantId: item.variant_id,
+      locationId: transfer.to_location_id,
+      quantityChange: item.quantity_dispatched,
+      transactionType: 'TRANSFER_IN',
+      referenceType: 'STOCK_TRANSFER',
+      referenceId: transferId,
+      notes: transferNote,
+      userId,
+      unitCost: item.unit_cost,
+    });
+
+    if (variance < 0) {
+      await inventoryService.adjustStock(client, {
+        variantId: item.variant_id,
+        locationId: transfer.to_location_id,
+        quantityChange: variance,
+        transactionType: 'TRANSFER_LOSS',
+        referenceType: 'STOCK_TRANSFER',
+        referenceId: transferId,
+        notes: `${transferNote} (short ${-variance})${lineNotes ? `: ${lineNotes}` : ''}`,
+        userId,
+      });
+    }
+  }
+
+  await client.query(
+    `UPDATE stock_transfers
+     SET status = 'RECEIVED', has_discrepancy = $1, receiving_notes = $2,
+         received_by = $3, received_at = CURRENT_TIMESTAMP
+     WHERE transfer_id = $4`,
+    [hasDiscrepancy, notes || null, userId, transferId]
+  );
+
+  return getTransfer(client, transferId);
+};
+
+/**
+ * Cancel a transfer that has not shipped yet
+ */
+const cancelTransfer = async (client, transferId) => {
+  const { transfer } = await getTransfer(client, transferId, { lock: true });
+  assertStatus(transfer, ['REQUESTED'], 'cancel');
+
+  await client.query(
+    `UPDATE stock_transfers SET status = 'CANCELLED', cancelled_at = CURRENT_TIMESTAMP
+     WHERE transfer_id = $1`,
+    [transferId]
+  );
+
+  return getTransfer(client, transferId);
+};
+
+module.exports = {
+  STATUSES,
+  getTransfer,
+  createTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer,
+};
@@ -0,0 +1,281 @@
+/**
+ * Variant Service
+ * Generates a product's variant matrix from attribute values (every Size x
+ * Color combination picked) and maintains per-variant prices and status.
+ * A variant's price is an override when it differs from the product's base price
+ * Every function takes a client from db.transaction (or the pool)
+ */
+
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { generateSKU, generateBarcode, generateVariantName } = require('../utils/productUtils');
+
+// Upper bound on one generation run so a mis-click cannot create thousands of SKUs
+const MAX_COMBINATIONS = 500;
+
+/**
+ * Variants of the given products with their attribute values and total stock
+ */
+const getVariants = async (client, productIds, { includeInactive = true } = {}) => {
+  const result = await client.query(
+    `SELECT pv.*,
+            COALESCE((SELECT SUM(i.quantity_on_hand) FROM inventory i WHERE i.variant_id = pv.variant_id), 0) as total_stock,
+            COALESCE(json_agg(json_build_object(
+              'attributeId', a.attribute_id,
+              'name', a.attribute_name,
+              'valueId', av.attribute_value_id,
+              'value', av.value,
+              'colorHex', av.color_hex
+            ) ORDER BY a.sort_order) FILTER (WHERE va.variant_attribute_id IS NOT NULL), '[]') as attributes
+     FROM product_variants pv
+     LEFT JOIN variant_attributes va ON va.variant_id = pv.variant_id
+     LEFT JOIN attributes a ON va.attribute_id = a.attribute_id
+     LEFT JOIN attribute_values av ON va.attribute_value_id = av.attribute_value_id
+     WHERE pv.product_id = ANY($1)${includeInactive ? '' : ' AND pv.is_active = true'}
+     GROUP BY pv.variant_id
+     ORDER BY pv.product_id, pv.is_default DESC, pv.variant_id`,
+    [productIds]
+  );
+
+  return result.rows;
+};
+
+/**
+ * A barcode (EAN-13, internal prefix) that no variant uses yet
+ */
+const generateUniqueBarcode = async (client) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const barcode = generateBarcode();
+    const result = await client.query(`SELECT 1 FROM product_variants WHERE barcode = $1`, [barcode]);
+    if (result.rows.length === 0) return barcode;
+  }
+
+  throw new ValidationError('Could not generate a unique barcode');
+};
+
+/**
+ * A SKU from the product code and attribute values that no variant uses yet
+ */
+const generateUniqueSku = async (client, productCode, attributes) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const sku = generateSKU(productCode, attributes).slice(0, 50);
+    const result = await client.query(`SELECT 1 FROM product_variants WHERE sku = $1`, [sku]);
+    if (result.rows.length === 0) return sku;
+  }
+
+  throw new ValidationError(`Could not generate a unique SKU for ${productCode}`);
+};
+
+const loadProduct = async (client, productId) => {
+  const result = await client.query(
+    `SELECT * FROM products WHERE product_id = $1 FOR UPDATE`,
+    [productId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Product');
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Create a variant for every combination of the selected attribute values
+ * selections: [{ attributeId, valueIds: [] }], one entry per attribute
+ * Combinations the product already has are skipped. New variants take the
+ * product's base price and cost unless price/costPrice are given. Attribute-less
+ * placeholder variants (the default one POST /products creates) are retired
+ * once the matrix exists, provided they hold no stock
+ */
+const generateVariantMatrix = async (client, productId, { selections, price = null, costPrice = null }) => {
+  const product = await loadProduct(client, productId);
+
+  const picked = (selections || []).filter(selection => selection.valueIds?.length > 0);
+  if (picked.length === 0) {
+    throw new ValidationError('Pick at least one attribute value');
+  }
+
+  const attributeIds = picked.map(selection => parseInt(selection.attributeId));
+  if (new Set(attributeIds).size !== attributeIds.length) {
+    throw new ValidationError('Each attribute can only be picked once');
+  }
+
+  if (price !== null && !(parseFloat(price) >= 0)) {
+    throw new ValidationError('Price must be 0 or more');
+  }
+  if (costPrice !== null && !(parseFloat(costPrice) >= 0)) {
+    throw new ValidationError('Cost price must be 0 or more');
+  }
+
+  const valueIds = picked.flatMap(selection => selection.valueIds.map(id => parseInt(id)));
+  const valueResult = await client.query(
+    `SELECT av.attribute_value_id, av.attribute_id, av.value, av.sort_order,
+            a.attribute_name, a.sort_order as attribute_sort_order
+     FROM attribute_values av
+     INNER JOIN attributes a ON av.attribute_id = a.attribute_id
+     WHERE av.attribute_value_id = ANY($1)`,
+    [valueIds]
+  );
+  const valuesById = new Map(valueResult.rows.map(row => [row.attribute_value_id, row]));
+
+  // One axis per attribute, in attribute then value sort order
+  const axes = picked.map((selection) => {
+    const attributeId = parseInt(selection.attributeId);
+    const values = [...new Set(selection.valueIds.map(id => parseInt(id)))].map((valueId) => {
+      const value = valuesById.get(valueId);
+      if (!value || value.attribute_id !== attributeId) {
+        throw new ValidationError('Attribute value does not belong to the attribute', [{ attributeId, valueId }]);
+      }
+      return value;
+    });
+    return values.sort((a, b) => a.sort_order - b.sort_order || a.value.localeCompare(b.value));
+  }).sort((a, b) => a[0].attribute_sort_order - b[0].attribute_sort_order);
+
+  const combinations = axes.reduce(
+    (partial, axis) => partial.flatMap(combination => axis.map(value => [...combination, value])),
+    [[]]
+  );
+
+  if (combinations.length > MAX_COMBINATIONS) {
+    throw new ValidationError(`That would create ${combinations.length} variants - generate at most ${MAX_COMBINATIONS} at a time`);
+  }
+
+  const existing = await getVariants(client, [productId]);
+  const combinationKey = ids => [...ids].sort((a, b) => a - b).join(',');
+  const existingKeys = new Set(existing
+    .filter(variant => variant.attributes.length > 0)
+    .map(variant => combinationKey(variant.attributes.map(attr => attr.valueId))));
+
+  const created = [];
+  for (const combination of combinations) {
+    if (existingKeys.has(combinationKey(combination.map(value => value.attribute_value_id)))) continue;
+
+    const attributeMap = Object.fromEntries(combination.map(value => [value.attribute_name, value.value]));
+    const sku = await generateUniqueSku(client, product.product_code, attributeMap);
+    const barcode = await generateUniqueBarcode(client);
+
+    const variantResult = await client.query(
+      `INSERT INTO product_variants (product_id, sku, barcode, variant_name, price, cost_price, is_default, is_active)
+       VALUES ($1, $2, $3, $4, $5, $6, false, true)
+       RETURNING *`,
+      [
+        productId,
+        sku,
+        barcode,
+        generateVariantName(product.product_name, combination.map(value => value.value)),
+        price ?? product.base_price,
+        costPrice ?? product.cost_price ?? 0,
+      ]
+    );
+    const variant = variantResult.rows[0];
+
+    for (const value of combination) {
+      await client.query(
+        `INSERT INTO variant_attributes (variant_id, attribute_id, attribute_value_id)
+         VALUES ($1, $2, $3)`,
+        [variant.variant_id, value.attribute_id, value.attribute_value_id]
+      );
+    }
+
+    created.push(variant);
+  }
+
+  for (const axis of axes) {
+    await client.query(
+      `INSERT INTO product_attributes (product_id, attribute_id, sort_order)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (product_id, attribute_id) DO NOTHING`,
+      [productId, axis[0].attribute_id, axis[0].attribute_sort_order]
+    );
+  }
+
+  // Retire empty placeholder variants now that real ones exist
+  const placeholders = existing.filter(variant => variant.attributes.length === 0 && variant.is_active);
+  const retired = placeholders.filter(variant => parseInt(variant.total_stock) === 0);
+  if (retired.length > 0) {
+    await client.query(
+      `UPDATE product_variants SET is_active = false, is_default = false, updated_at = CURRENT_TIMESTAMP
+       WHERE variant_id = ANY($1)`,
+      [retired.map(variant => variant.variant_id)]
+    );
+  }
+
+  // Keep one active default variant
+  await client.query(
+    `UPDATE product_variants SET is_default = true
+     WHERE variant_id = (
+       SELECT variant_id FROM product_variants
+       WHERE product_id = $1 AND is_active = true
+       ORDER BY is_default DESC, variant_id
+       LIMIT 1
+     ) AND NOT EXISTS (
+       SELECT 1 FROM product_variants WHERE product_id = $1 AND is_active = true AND is_default = true
+     )`,
+    [productId]
+  );
+
+  await client.query(
+    `UPDATE products SET has_variants = true, updated_at = CURRENT_TIMESTAMP WHERE product_id = $1`,
+    [productId]
+  );
+
+  return {
+    created: created.length,
+    skipped: combinations.length - created.length,
+    retiredVariantIds: retired.map(variant => variant.variant_id),
+    keptPlaceholderIds: placeholders.filter(variant => !retired.includes(variant)).map(variant => variant.variant_id),
+    variants: await getVariants(client, [productId]),
+  };
+};
+
+/**
+ * Bulk price overrides and activation for a product's variants
+ * updates: [{ variantId, price?, isActive? }]; a null price resets the
+ * variant to the product's base price
+ */
+const updateVariants = async (client, productId, updates) => {
+  const product = await loadProduct(client, productId);
+
+  if (!Array.isArray(updates) || updates.length === 0) {
+    throw new ValidationError('No variant changes given');
+  }
+
+  const variantIds = updates.map(update => parseInt(update.variantId));
+  const ownResult = await client.query(
+    `SELECT variant_id FROM product_variants WHERE product_id = $1 AND variant_id = ANY($2)`,
+    [productId, variantIds]
+  );
+  const own = new Set(ownResult.rows.map(row => row.variant_id));
+  const foreign = variantIds.filter(variantId => !own.has(variantId));
+  if (foreign.length > 0) {
+    throw new ValidationError('Variant is not part of this product', foreign.map(variantId => ({ variantId })));
+  }
+
+  for (const update of updates) {
+    let price;
+    if (update.price === null) {
+      price = product.base_price;
+    } else if (update.price !== undefined && update.price !== '') {
+      price = parseFloat(update.price);
+      if (isNaN(price) || price < 0) {
+        throw new ValidationError('Price must be 0 or more', [{ variantId: update.variantId }]);
+      }
+    }
+
+    await client.query(
+      `UPDATE product_variants
+       SET price = COALESCE($1, price), is_active = COALESCE($2, is_active), updated_at = CURRENT_TIMESTAMP
+       WHERE variant_id = $3`,
+      [price ?? null, typeof update.isActive === 'boolean' ? update.isActive : null, parseInt(update.variantId)]
+    );
+  }
+
+  return getVariants(client, [productId]);
+};
+
+module.exports = {
+  getVariants,
+  generateUniqueBarcode,
+  generateUniqueSku,
+  generateVariantMatrix,
+  updateVariants,
+};
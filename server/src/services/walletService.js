@@ -0,0 +1,196 @@
+/**
+ * Wallet Service
+ * Customer store credit: every change to customers.wallet_balance goes through
+ * here with the customer row locked, and is written to wallet_transactions
+ * Every function takes a client from db.transaction
+ */
+
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Lock a customer row and return its balance
+ */
+const lockCustomer = async (client, customerId) => {
+  const result = await client.query(
+    `SELECT customer_id, wallet_balance FROM customers WHERE customer_id = $1 FOR UPDATE`,
+    [customerId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Customer');
+  }
+  return { ...result.rows[0], wallet_balance: parseFloat(result.rows[0].wallet_balance) || 0 };
+};
+
+/**
+ * Move a customer's balance by a signed amount and record it
+ * Debits beyond the balance are refused unless allowShortfall is set, in which
+ * case only what the balance covers is taken
+ */
+const post = async (client, customerId, { transactionType, amount, referenceType = null, referenceId = null, notes = null, userId = null, allowShortfall = false }) => {
+  const customer = await lockCustomer(client, customerId);
+  let change = round2(amount);
+
+  if (change < 0 && -change > customer.wallet_balance) {
+    if (!allowShortfall) {
+      throw new ValidationError('Insufficient store credit', [{
+        field: 'amount',
+        required: -change,
+        available: customer.wallet_balance,
+      }]);
+    }
+    change = -customer.wallet_balance;
+  }
+  if (change === 0) return null;
+
+  const balanceResult = await client.query(
+    `UPDATE customers SET wallet_balance = wallet_balance + $1, updated_at = CURRENT_TIMESTAMP
+     WHERE customer_id = $2
+     RETURNING wallet_balance`,
+    [change, customerId]
+  );
+
+  const result = await client.query(
+    `INSERT INTO wallet_transactions (customer_id, transaction_type, amount, balance_before, balance_after, reference_type, reference_id, notes, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [customerId, transactionType, change, customer.wallet_balance, balanceResult.rows[0].wallet_balance, referenceType, referenceId, notes, userId]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Add store credit (manual top-up or a refund)
+ */
+const credit = (client, customerId, { amount, transactionType = 'CREDIT', ...entry }) =>
+  post(client, customerId, { transactionType, amount: Math.abs(amount), ...entry });
+
+/**
+ * Take store credit; refused when the balance does not cover it
+ */
+const debit = (client, customerId, { amount, transactionType = 'DEBIT', ...entry }) =>
+  post(client, customerId, { transactionType, amount: -Math.abs(amount), ...entry });
+
+/**
+ * A customer's balance
+ */
+const getBalance = async (client, customerId) => {
+  const result = await client.query(
+    `SELECT customer_id, wallet_balance FROM customers WHERE customer_id = $1`,
+    [customerId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Customer');
+  }
+  return { customerId: result.rows[0].customer_id, balance: parseFloat(result.rows[0].wallet_balance) || 0 };
+};
+
+/**
+ * Total of the payments made with a store credit payment method
+ */
+const storeCreditAmount = async (client, payments) => {
+  const methodIds = [...new Set(payments.map(payment => parseInt(payment.paymentMethodId)))];
+  if (methodIds.length === 0) return 0;
+
+  const result = await client.query(
+    `SELECT payment_method_id FROM payment_methods WHERE payment_method_id = ANY($1) AND method_type = 'credit'`,
+    [methodIds]
+  );
+  const creditIds = new Set(result.rows.map(row => row.payment_method_id));
+
+  return round2(payments
+    .filter(payment => creditIds.has(parseInt(payment.paymentMethodId)))
+    .reduce((sum, payment) => sum + parseFloat(payment.amount || 0), 0));
+};
+
+/**
+ * Debit the wallet for the store credit tendered on a sale
+ * Offline replays pass enforce false: the goods were already handed over,
+ * so a short balance is spent down to zero rather than refused
+ */
+const recordSalePayment = async (client, { sale, payments, userId, enforce = true }) => {
+  const amount = await storeCreditAmount(client, payments);
+  if (amount === 0) return null;
+
+  if (!sale.customer_id) {
+    if (!enforce) return null;
+    throw new ValidationError('Paying with store credit needs a customer on the sale');
+  }
+
+  return debit(client, sale.customer_id, {
+    transactionType: 'SALE',
+    amount,
+    referenceType: 'SALE',
+    referenceId: sale.sale_id,
+    notes: `Paid on ${sale.sale_number}`,
+    userId,
+    allowShortfall: !enforce,
+  });
+};
+
+/**
+ * Give back the store credit a voided sale was paid with
+ */
+const reverseSalePayment = async (client, { sale, userId }) => {
+  const result = await client.query(
+    `SELECT customer_id, -SUM(amount) as paid FROM wallet_transactions
+     WHERE reference_type = 'SALE' AND reference_id = $1 AND transaction_type = 'SALE'
+     GROUP BY customer_id`,
+    [sale.sale_id]
+  );
+
+  const entries = [];
+  for (const row of result.rows) {
+    entries.push(await credit(client, row.customer_id, {
+      transactionType: 'VOID',
+      amount: parseFloat(row.paid),
+      referenceType: 'SALE',
+      referenceId: sale.sale_id,
+      notes: `Void of ${sale.sale_number}`,
+      userId,
+    }));
+  }
+  return entries;
+};
+
+/**
+ * A customer's wallet statement, newest first
+ */
+const getStatement = async (client, customerId, { page = 1, limit = 50 } = {}) => {
+  const pageSize = Math.min(parseInt(limit) || 50, 200);
+  const offset = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+  const result = await client.query(
+    `SELECT wt.*,
+            CASE WHEN wt.reference_type = 'SALE' THEN s.sale_number
+                 WHEN wt.reference_type = 'RETURN' THEN r.return_number END as reference_number,
+            u.first_name as user_first_name, u.last_name as user_last_name,
+            COUNT(*) OVER() as total_count
+     FROM wallet_transactions wt
+     LEFT JOIN sales s ON wt.reference_type = 'SALE' AND wt.reference_id = s.sale_id
+     LEFT JOIN returns r ON wt.reference_type = 'RETURN' AND wt.reference_id = r.return_id
+     LEFT JOIN users u ON wt.created_by = u.user_id
+     WHERE wt.customer_id = $1
+     ORDER BY wt.created_at DESC, wt.transaction_id DESC
+     LIMIT $2 OFFSET $3`,
+    [customerId, pageSize, offset]
+  );
+
+  return {
+    transactions: result.rows.map(({ total_count, ...row }) => row),
+    total: parseInt(result.rows[0]?.total_count) || 0,
+  };
+};
+
+module.exports = {
+  credit,
+  debit,
+  getBalance,
+  storeCreditAmount,
+  recordSalePayment,
+  reverseSalePayment,
+  getStatement,
+};
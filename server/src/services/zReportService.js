@@ -0,0 +1,349 @@
+/**
+ * Z-Report Service
+ * Builds close-of-period summaries (sales, discounts, tax, voids, returns,
+ * payment breakdown, cash reconciliation) and persists numbered Z-report snapshots
+ * An X-report is the same summary without persisting or closing anything
+ */
+
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const cashMovementService = require('./cashMovementService');
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+const toNumber = (value) => parseFloat(value) || 0;
+
+/**
+ * Work out the period a report covers
+ * Shift reports cover the shift; location reports run from the previous
+ * location Z-report (or the first sale) up to now
+ */
+const resolvePeriod = async (client, { locationId, shiftId }) => {
+  if (shiftId) {
+    const shiftResult = await client.query(
+      `SELECT * FROM shifts WHERE shift_id = $1`,
+      [shiftId]
+    );
+
+    if (shiftResult.rows.length === 0) {
+      throw new NotFoundError('Shift');
+    }
+
+    const shift = shiftResult.rows[0];
+    if (locationId && shift.location_id !== parseInt(locationId)) {
+      throw new ValidationError('Shift belongs to a different location');
+    }
+
+    return {
+      locationId: shift.location_id,
+      shift,
+      periodStart: shift.start_time,
+      periodEnd: shift.end_time || new Date(),
+    };
+  }
+
+  const periodResult = await client.query(
+    `SELECT COALESCE(
+              (SELECT MAX(period_end) FROM z_reports WHERE location_id = $1 AND shift_id IS NULL),
+              (SELECT MIN(created_at) FROM sales WHERE location_id = $1),
+              CURRENT_TIMESTAMP
+            ) as period_start,
+            CURRENT_TIMESTAMP as period_end`,
+    [locationId]
+  );
+
+  return {
+    locationId: parseInt(locationId),
+    shift: null,
+    periodStart: periodResult.rows[0].period_start,
+    periodEnd: periodResult.rows[0].period_end,
+  };
+};
+
+/**
+ * Compute the report figures for a location (optionally one shift) and period
+ */
+const buildSummary = async (client, { locationId, shiftId = null }) => {
+  const period = await resolvePeriod(client, { locationId, shiftId });
+  const params = [period.locationId, period.periodStart, period.periodEnd];
+  let shiftFilter = '';
+  if (shiftId) {
+    shiftFilter = ' AND shift_id = $4';
+    params.push(shiftId);
+  }
+
+  const salesResult = await client.query(
+    `SELECT COUNT(*) as sale_count,
+            COALESCE(SUM(discount_amount), 0) as sale_discounts,
+            COALESCE(SUM(coupon_discount), 0) as coupon_discounts,
+            COALESCE(SUM(tax_amount), 0) as tax_collected,
+            COALESCE(SUM((SELECT COALESCE(SUM(si.line_total), 0) FROM sale_items si WHERE si.sale_id = sales.sale_id)), 0) as gross_sales,
+            COALESCE(SUM((SELECT COALESCE(SUM(si.discount_amount), 0) FROM sale_items si WHERE si.sale_id = sales.sale_id)), 0) as line_discounts
+     FROM sales
+     WHERE location_id = $1 AND created_at >= $2 AND created_at < $3
+       AND status = 'completed' ${shiftFilter}`,
+    params
+  );
+
+  const voidsResult = await client.query(
+    `SELECT COUNT(*) as void_count, COALESCE(SUM(total_amount), 0) as void_amount
+     FROM sales
+     WHERE location_id = $1 AND created_at >= $2 AND created_at < $3
+       AND status = 'voided' ${shiftFilter}`,
+    params
+  );
+
+  const returnsResult = await client.query(
+    `SELECT COUNT(*) as return_count, COALESCE(SUM(total_refund_amount), 0) as returns
+     FROM returns
+     WHERE location_id = $1 AND created_at >= $2 AND created_at < $3
+       AND status = 'completed' ${shiftFilter}`,
+    params
+  );
+
+  const paymentsResult = await client.query(
+    `SELECT pm.payment_method_id, pm.method_name, pm.method_type,
+            COALESCE(SUM(sp.amount), 0) as total
+     FROM sale_payments sp
+     INNER JOIN sales s ON sp.sale_id = s.sale_id
+     INNER JOIN payment_methods pm ON sp.payment_method_id = pm.payment_method_id
+     WHERE s.location_id = $1 AND s.created_at >= $2 AND s.created_at < $3
+       AND s.status = 'completed' ${shiftId ? ' AND s.shift_id = $4' : ''}
+     GROUP BY pm.payment_method_id, pm.method_name, pm.method_type`,
+    params
+  );
+
+  const refundsResult = await client.query(
+    `SELECT pm.payment_method_id, pm.method_name, pm.method_type,
+            COALESCE(SUM(rp.amount), 0) as total
+     FROM return_payments rp
+     INNER JOIN returns r ON rp.return_id = r.return_id
+     INNER JOIN payment_methods pm ON rp.payment_method_id = pm.payment_method_id
+     WHERE r.location_id = $1 AND r.created_at >= $2 AND r.created_at < $3
+       AND r.status = 'completed' ${shiftId ? ' AND r.shift_id = $4' : ''}
+     GROUP BY pm.payment_method_id, pm.method_name, pm.method_type`,
+    params
+  );
+
+  // Payments received against customer accounts are not sales, but cash ones
+  // go into the drawer
+  const accountPaymentsResult = await client.query(
+    `SELECT COALESCE(SUM(ap.amount), 0) as total,
+            COALESCE(SUM(ap.amount) FILTER (WHERE pm.method_type = 'cash'), 0) as cash_total
+     FROM account_payments ap
+     INNER JOIN payment_methods pm ON ap.payment_method_id = pm.payment_method_id
+     WHERE ap.location_id = $1 AND ap.created_at >= $2 AND ap.created_at < $3
+       ${shiftId ? ' AND ap.shift_id = $4' : ''}`,
+    params
+  );
+
+  // Merge sales and refunds per tender
+  const breakdown = new Map();
+  const tenderFor = (row) => {
+    if (!breakdown.has(row.payment_method_id)) {
+      breakdown.set(row.payment_method_id, {
+        paymentMethodId: row.payment_method_id,
+        methodName: row.method_name,
+        methodType: row.method_type,
+        sales: 0,
+        refunds: 0,
+        net: 0,
+      });
+    }
+    return breakdown.get(row.payment_method_id);
+  };
+  for (const row of paymentsResult.rows) {
+    tenderFor(row).sales = round2(toNumber(row.total));
+  }
+  for (const row of refundsResult.rows) {
+    tenderFor(row).refunds = round2(toNumber(row.total));
+  }
+  const paymentBreakdown = [...breakdown.values()].map(tender => ({
+    ...tender,
+    net: round2(tender.sales - tender.refunds),
+  }));
+
+  const totalFor = (type, field = 'net') => round2(paymentBreakdown
+    .filter(tender => tender.methodType === type)
+    .reduce((sum, tender) => sum + tender[field], 0));
+
+  let openingCash;
+  if (period.shift) {
+    openingCash = toNumber(period.shift.opening_cash);
+  } else {
+    const openingResult = await client.query(
+      `SELECT COALESCE(SUM(opening_cash), 0) as opening_cash
+       FROM shifts
+       WHERE location_id = $1 AND start_time >= $2 AND start_time < $3`,
+      [period.locationId, period.periodStart, period.periodEnd]
+    );
+    openingCash = toNumber(openingResult.rows[0].opening_cash);
+  }
+
+  const movements = period.shift
+    ? await cashMovementService.summarizeMovements(client, { shiftId: period.shift.shift_id })
+    : await cashMovementService.summarizeMovements(client, {
+      locationId: period.locationId,
+      periodStart: period.periodStart,
+      periodEnd: period.periodEnd,
+    });
+
+  const sales = salesResult.rows[0];
+  const grossSales = round2(toNumber(sales.gross_sales));
+  const discounts = round2(toNumber(sales.line_discounts) + toNumber(sales.sale_discounts) + toNumber(sales.coupon_discounts));
+  const returns = round2(toNumber(returnsResult.rows[0].returns));
+  const cashIn = totalFor('cash', 'sales');
+  const cashOut = totalFor('cash', 'refunds');
+  const accountPayments = round2(toNumber(accountPaymentsResult.rows[0].total));
+  const accountCashIn = round2(toNumber(accountPaymentsResult.rows[0].cash_total));
+
+  return {
+    locationId: period.locationId,
+    shiftId: shiftId ? parseInt(shiftId) : null,
+    periodStart: period.periodStart,
+    periodEnd: period.periodEnd,
+    grossSales,
+    discounts,
+    returns,
+    netSales: round2(grossSales - discounts - returns),
+    taxCollected: round2(toNumber(sales.tax_collected)),
+    saleCount: parseInt(sales.sale_count),
+    voidCount: parseInt(voidsResult.rows[0].void_count),
+    voidAmount: round2(toNumber(voidsResult.rows[0].void_amount)),
+    returnCount: parseInt(returnsResult.rows[0].return_count),
+    cashTotal: totalFor('cash'),
+    cardTotal: totalFor('card'),
+    walletTotal: totalFor('credit'),
+    accountTotal: totalFor('account'),
+    accountPayments,
+    paymentBreakdown,
+    openingCash,
+    cashIn,
+    cashOut,
+    accountCashIn,
+    paidIn: movements.paidIn,
+    paidOut: movements.paidOut,
+    safeDrops: movements.safeDrops,
+    expectedCash: round2(openingCash + cashIn - cashOut + accountCashIn + movements.net),
+  };
+};
+
+/**
+ * Persist a numbered Z-report snapshot
+ * The location row is locked so report numbers and periods never overlap
+ */
+const createZReport = async (client, { locationId, shiftId = null, actualCash = null, varianceNotes = null, userId }) => {
+  if (shiftId) {
+    const existing = await client.query(
+      `SELECT z_report_id, report_number FROM z_reports WHERE shift_id = $1`,
+      [shiftId]
+    );
+    if (existing.rows.length > 0) {
+      throw new ValidationError('A Z-report has already been generated for this shift', [{
+        zReportId: existing.rows[0].z_report_id,
+        reportNumber: existing.rows[0].report_number,
+      }]);
+    }
+  }
+
+  let reportLocationId = locationId;
+  if (shiftId) {
+    const shiftResult = await client.query(`SELECT location_id FROM shifts WHERE shift_id = $1`, [shiftId]);
+    if (shiftResult.rows.length === 0) {
+      throw new NotFoundError('Shift');
+    }
+    reportLocationId = shiftResult.rows[0].location_id;
+  }
+
+  const locationResult = await client.query(
+    `SELECT location_code FROM locations WHERE location_id = $1 FOR UPDATE`,
+    [reportLocationId]
+  );
+
+  if (locationResult.rows.length === 0) {
+    throw new NotFoundError('Location');
+  }
+
+  const summary = await buildSummary(client, { locationId: reportLocationId, shiftId });
+
+  const countResult = await client.query(
+    `SELECT COUNT(*) as report_count FROM z_reports WHERE location_id = $1`,
+    [summary.locationId]
+  );
+  const sequence = parseInt(countResult.rows[0].report_count) + 1;
+  const reportNumber = `Z-${locationResult.rows[0].location_code}-${String(sequence).padStart(5, '0')}`;
+
+  const counted = actualCash === null || actualCash === undefined || actualCash === '' ? null : round2(toNumber(actualCash));
+  const variance = counted === null ? null : round2(counted - summary.expectedCash);
+
+  const result = await client.query(
+    `INSERT INTO z_reports (
+       report_number, location_id, shift_id, report_date, period_start, period_end,
+       gross_sales, discounts, returns, net_sales, tax_collected,
+       sale_count, void_count, void_amount, return_count,
+       cash_total, card_total, wallet_total, payment_breakdown,
+       opening_cash, cash_in, cash_out, paid_in, paid_out, safe_drops,
+       expected_cash, actual_cash, variance, variance_notes, generated_by)
+     VALUES ($1, $2, $3, CURRENT_DATE, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18,
+             $19, $20, $21, $22, $23, $24, $25, $26, $27, $28, $29)
+     RETURNING *`,
+    [
+      reportNumber, summary.locationId, summary.shiftId, summary.periodStart, summary.periodEnd,
+      summary.grossSales, summary.discounts, summary.returns, summary.netSales, summary.taxCollected,
+      summary.saleCount, summary.voidCount, summary.voidAmount, summary.returnCount,
+      summary.cashTotal, summary.cardTotal, summary.walletTotal, JSON.stringify(summary.paymentBreakdown),
+      summary.openingCash, summary.cashIn, summary.cashOut, summary.paidIn, summary.paidOut, summary.safeDrops,
+      summary.expectedCash, counted, variance, varianceNotes, userId,
+    ]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Shape a live summary as an X-report for printerService.printZReport
+ */
+const toXReportPrintData = (summary, locationName) => ({
+  ...summary,
+  reportType: 'X',
+  reportNumber: `X-${Date.now()}`,
+  locationName,
+  reportDate: new Date().toLocaleDateString(),
+  payments: summary.paymentBreakdown,
+  actualCash: null,
+  variance: null,
+});
+
+/**
+ * Shape a stored Z-report row for printerService.printZReport
+ */
+const toPrintData = (row, locationName) => ({
+  reportType: 'Z',
+  reportNumber: row.report_number,
+  locationName,
+  reportDate: new Date(row.report_date).toLocaleDateString(),
+  grossSales: toNumber(row.gross_sales),
+  discounts: toNumber(row.discounts),
+  returns: toNumber(row.returns),
+  netSales: toNumber(row.net_sales),
+  taxCollected: toNumber(row.tax_collected),
+  saleCount: row.sale_count,
+  voidCount: row.void_count,
+  returnCount: row.return_count,
+  cashTotal: toNumber(row.cash_total),
+  cardTotal: toNumber(row.card_total),
+  walletTotal: toNumber(row.wallet_total),
+  payments: row.payment_breakdown || [],
+  openingCash: toNumber(row.opening_cash),
+  paidIn: toNumber(row.paid_in),
+  paidOut: toNumber(row.paid_out),
+  safeDrops: toNumber(row.safe_drops),
+  expectedCash: toNumber(row.expected_cash),
+  actualCash: row.actual_cash === null ? null : toNumber(row.actual_cash),
+  variance: row.variance === null ? null : toNumber(row.variance),
+});
+
+module.exports = {
+  buildSummary,
+  createZReport,
+  toXReportPrintData,
+  toPrintData,
+};
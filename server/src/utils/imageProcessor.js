@@ -0,0 +1,208 @@
+/**
+ * Image processing for uploads (pure JavaScript - jpeg-js and pngjs)
+ * Detects JPEG/PNG from the file's bytes, decodes it, honours the EXIF
+ * orientation of phone photos, scales it down with a box filter and
+ * re-encodes it as JPEG (transparent areas become white)
+ */
+
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Larger images are rejected before decoding (decoded RGBA is 4 bytes per pixel)
+const MAX_MEGAPIXELS = 30;
+
+/**
+ * 'image/jpeg', 'image/png' or null - from the magic bytes, not the file name
+ */
+const detectImageType = (buffer) => {
+  if (buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length > 24 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return 'image/png';
+  }
+  return null;
+};
+
+/**
+ * EXIF orientation (1-8) of a JPEG; 1 when absent or unreadable
+ */
+const readJpegOrientation = (buffer) => {
+  let offset = 2;
+
+  while (offset + 4 < buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+
+    if (marker === 0xe1 && buffer.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+      const tiff = offset + 10;
+      const little = buffer.toString('latin1', tiff, tiff + 2) === 'II';
+      const read16 = position => (little ? buffer.readUInt16LE(position) : buffer.readUInt16BE(position));
+      const read32 = position => (little ? buffer.readUInt32LE(position) : buffer.readUInt32BE(position));
+
+      try {
+        const ifd = tiff + read32(tiff + 4);
+        const entries = read16(ifd);
+        for (let i = 0; i < entries; i++) {
+          const entry = ifd + 2 + i * 12;
+          if (read16(entry) === 0x0112) {
+            const orientation = read16(entry + 8);
+            return orientation >= 1 && orientation <= 8 ? orientation : 1;
+          }
+        }
+      } catch (error) {
+        return 1;
+      }
+      return 1;
+    }
+
+    // Start of scan - no more metadata segments
+    if (marker === 0xda) break;
+    offset += 2 + length;
+  }
+
+  return 1;
+};
+
+/**
+ * Decode to { width, height, data (RGBA) }
+ */
+const decodeImage = (buffer, type) => {
+  if (type === 'image/png') {
+    const width = buffer.readUInt32BE(16);
+    const height = buffer.readUInt32BE(20);
+    if (width * height > MAX_MEGAPIXELS * 1000000) {
+      throw new Error(`Image is larger than ${MAX_MEGAPIXELS} megapixels`);
+    }
+    return PNG.sync.read(buffer);
+  }
+
+  return jpeg.decode(buffer, {
+    useTArray: true,
+    formatAsRGBA: true,
+    maxResolutionInMP: MAX_MEGAPIXELS,
+    maxMemoryUsageInMB: 512,
+  });
+};
+
+/**
+ * Rotate/flip pixels so EXIF orientation 1 (upright) applies
+ */
+const applyOrientation = (image, orientation) => {
+  if (orientation === 1) return image;
+
+  const { width: w, height: h, data } = image;
+  const swap = orientation >= 5;
+  const width = swap ? h : w;
+  const height = swap ? w : h;
+  const out = Buffer.alloc(width * height * 4);
+
+  // Source pixel for each destination pixel
+  const source = {
+    2: (x, y) => [w - 1 - x, y],
+    3: (x, y) => [w - 1 - x, h - 1 - y],
+    4: (x, y) => [x, h - 1 - y],
+    5: (x, y) => [y, x],
+    6: (x, y) => [y, h - 1 - x],
+    7: (x, y) => [w - 1 - y, h - 1 - x],
+    8: (x, y) => [w - 1 - y, x],
+  }[orientation];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [sx, sy] = source(x, y);
+      const from = (sy * w + sx) * 4;
+      const to = (y * width + x) * 4;
+      out[to] = data[from];
+      out[to + 1] = data[from + 1];
+      out[to + 2] = data[from + 2];
+      out[to + 3] = data[from + 3];
+    }
+  }
+
+  return { width, height, data: out };
+};
+
+/**
+ * Scale down to fit within maxSize x maxSize (never up), averaging the source
+ * pixels under each output pixel, and flatten transparency onto white
+ */
+const resizeImage = (image, maxSize) => {
+  const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+  const width = Math.max(1, Math.round(image.width * scale));
+  const height = Math.max(1, Math.round(image.height * scale));
+  const xRatio = image.width / width;
+  const yRatio = image.height / height;
+  const out = Buffer.alloc(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.floor(y * yRatio);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * yRatio));
+
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * xRatio);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * xRatio));
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let count = 0;
+
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * image.width + sx) * 4;
+          const alpha = image.data[i + 3] / 255;
+          r += image.data[i] * alpha + 255 * (1 - alpha);
+          g += image.data[i + 1] * alpha + 255 * (1 - alpha);
+          b += image.data[i + 2] * alpha + 255 * (1 - alpha);
+          count++;
+        }
+      }
+
+      const o = (y * width + x) * 4;
+      out[o] = Math.round(r / count);
+      out[o + 1] = Math.round(g / count);
+      out[o + 2] = Math.round(b / count);
+      out[o + 3] = 255;
+    }
+  }
+
+  return { width, height, data: out };
+};
+
+const encodeJpeg = (image, quality) => jpeg.encode(image, quality).data;
+
+/**
+ * Produce the stored renditions of an uploaded image
+ * sizes: { name: { maxSize, quality } } -> { name: { buffer, width, height } }
+ */
+const processImage = (buffer, sizes) => {
+  const type = detectImageType(buffer);
+  if (!type) {
+    throw new Error('Only JPEG and PNG images are supported');
+  }
+
+  let image = decodeImage(buffer, type);
+  const orientation = type === 'image/jpeg' ? readJpegOrientation(buffer) : 1;
+
+  const renditions = {};
+  // Largest first, each scaled from the previous one to keep the work small
+  const ordered = Object.entries(sizes).sort(([, a], [, b]) => b.maxSize - a.maxSize);
+  for (const [name, { maxSize, quality }] of ordered) {
+    image = resizeImage(image, maxSize);
+    const oriented = applyOrientation(image, orientation);
+    renditions[name] = {
+      buffer: encodeJpeg(oriented, quality),
+      width: oriented.width,
+      height: oriented.height,
+    };
+  }
+
+  return { type, renditions };
+};
+
+module.exports = {
+  detectImageType,
+  processImage,
+};
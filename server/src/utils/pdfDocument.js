@@ -0,0 +1,184 @@
+/**
+ * Minimal PDF writer for printable documents (purchase orders, GRNs)
+ * Text-only A4 pages using the built-in Helvetica fonts, so no font files
+ * or native dependencies are needed. Lays out top to bottom and starts a
+ * new page when the current one is full
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+
+// Approximate Helvetica glyph widths (per 1pt of font size) for aligning columns
+const charWidth = (char) => {
+  if (/[0-9]/.test(char)) return 0.556;
+  if (/[ .,:;'|!il]/.test(char)) return 0.278;
+  if (/[A-Z]/.test(char)) return 0.667;
+  if (/[mwMW]/.test(char)) return 0.833;
+  return 0.5;
+};
+
+const textWidth = (text, size) => [...text].reduce((width, char) => width + charWidth(char), 0) * size;
+
+// PDF string literal; anything outside Latin-1 becomes '?'
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\xff]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+// Cut text to fit a column width
+const fit = (text, width, size) => {
+  let value = String(text ?? '');
+  while (value.length > 1 && textWidth(value, size) > width) {
+    value = value.slice(0, -1);
+  }
+  return value;
+};
+
+class PdfDocument {
+  constructor() {
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    this.y = PAGE_HEIGHT - MARGIN;
+  }
+
+  // Start a new page if the next block does not fit
+  ensureSpace(height) {
+    if (this.y - height < MARGIN) {
+      this.addPage();
+    }
+  }
+
+  drawText(text, x, y, { size = 10, bold = false } = {}) {
+    this.current.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${escapeText(text)}) Tj ET`);
+  }
+
+  /**
+   * A line of text; align 'right' puts it against the right margin
+   */
+  text(text, { size = 10, bold = false, align = 'left', gap = 4 } = {}) {
+    this.ensureSpace(size + gap);
+    this.y -= size;
+    const x = align === 'right' ? PAGE_WIDTH - MARGIN - textWidth(String(text), size) : MARGIN;
+    this.drawText(text, x, this.y, { size, bold });
+    this.y -= gap;
+    return this;
+  }
+
+  space(height = 10) {
+    this.y -= height;
+    return this;
+  }
+
+  rule() {
+    this.ensureSpace(8);
+    this.y -= 4;
+    this.current.push(`0.5 w ${MARGIN} ${this.y.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${this.y.toFixed(2)} l S`);
+    this.y -= 4;
+    return this;
+  }
+
+  /**
+   * Label/value pairs in two columns
+   */
+  details(pairs, { size = 10 } = {}) {
+    const columnWidth = (PAGE_WIDTH - MARGIN * 2) / 2;
+    for (let i = 0; i < pairs.length; i += 2) {
+      this.ensureSpace(size + 4);
+      this.y -= size;
+      pairs.slice(i, i + 2).forEach(([label, value], column) => {
+        const x = MARGIN + column * columnWidth;
+        this.drawText(`${label}:`, x, this.y, { size, bold: true });
+        this.drawText(fit(value ?? '-', columnWidth - 100, size), x + 95, this.y, { size });
+      });
+      this.y -= 4;
+    }
+    return this;
+  }
+
+  /**
+   * A table; columns are { header, width, align } with widths as fractions of the page
+   * The header row repeats on every page the table runs onto
+   */
+  table(columns, rows, { size = 9 } = {}) {
+    const usable = PAGE_WIDTH - MARGIN * 2;
+    const drawRow = (cells, bold) => {
+      this.y -= size;
+      let x = MARGIN;
+      columns.forEach((column, index) => {
+        const width = column.width * usable;
+        const value = fit(cells[index], width - 4, size);
+        const cellX = column.align === 'right' ? x + width - 4 - textWidth(value, size) : x;
+        this.drawText(value, cellX, this.y, { size, bold });
+        x += width;
+      });
+      this.y -= 5;
+    };
+    const drawHeader = () => {
+      drawRow(columns.map(column => column.header), true);
+      this.rule();
+    };
+
+    this.ensureSpace(size * 3 + 16);
+    drawHeader();
+    for (const row of rows) {
+      if (this.y - size - 5 < MARGIN) {
+        this.addPage();
+        drawHeader();
+      }
+      drawRow(row, false);
+    }
+    return this;
+  }
+
+  /**
+   * Serialize to a PDF file
+   */
+  toBuffer() {
+    const objects = [];
+    const pageRefs = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    addObject('<< /Type /Catalog /Pages 2 0 R >>');
+    addObject(null); // Page tree, filled in once the pages exist
+    addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    this.pages.forEach((operations, index) => {
+      const footer = `BT /F1 8 Tf ${PAGE_WIDTH - MARGIN - 60} 20 Td (Page ${index + 1} of ${this.pages.length}) Tj ET`;
+      const stream = [...operations, footer].join('\n');
+      const contentRef = addObject(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+      pageRefs.push(addObject(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentRef} 0 R >>`
+      ));
+    });
+
+    objects[1] = `<< /Type /Pages /Kids [${pageRefs.map(ref => `${ref} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`;
+
+    let output = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach((body, index) => {
+      offsets.push(Buffer.byteLength(output, 'latin1'));
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = { PdfDocument };
@@ -0,0 +1,372 @@
+/**
+ * Minimal XLSX reader/writer (no external dependencies)
+ * Reads the first worksheet of a workbook into rows of strings and writes a
+ * single-sheet workbook - enough for spreadsheet imports and exports.
+ * An .xlsx file is a zip of XML parts; zip entries are stored or deflated
+ * with the built-in zlib, and each part read is capped at MAX_PART_BYTES
+ */
+
+const zlib = require('zlib');
+
+// Largest a single part may inflate to; a small upload can otherwise expand
+// to gigabytes (a zip bomb)
+const MAX_PART_BYTES = 32 * 1024 * 1024;
+
+// ---------------------------------------------------------------------------
+// Zip container
+// ---------------------------------------------------------------------------
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Index the entries of a zip archive: a Map of name -> { method, data } with
+ * the data still compressed; readEntry inflates the ones actually needed
+ */
+const unzip = (buffer) => {
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+
+  if (eocd === -1) {
+    throw new Error('Not a zip archive');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Corrupt zip central directory');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    // The local header repeats the name and may carry a different extra field
+    const localNameLength = buffer.readUInt16LE(localOffset + 26);
+    const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    entries.set(name, { name, method, data });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+/**
+ * Contents of one zip entry (undefined when it is missing), inflated up to MAX_PART_BYTES
+ */
+const readEntry = (entry) => {
+  if (!entry) return undefined;
+
+  if (entry.method === 0) {
+    if (entry.data.length > MAX_PART_BYTES) {
+      throw new Error(`${entry.name} is too large`);
+    }
+    return Buffer.from(entry.data);
+  }
+  if (entry.method !== 8) {
+    throw new Error(`Unsupported zip compression method ${entry.method}`);
+  }
+
+  try {
+    return zlib.inflateRawSync(entry.data, { maxOutputLength: MAX_PART_BYTES });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new Error(`${entry.name} is too large`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Build a zip archive from [{ name, data }] (deflated)
+ */
+const zip = (files) => {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(0, 10); // time/date
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(0, 12);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+};
+
+// ---------------------------------------------------------------------------
+// SpreadsheetML
+// ---------------------------------------------------------------------------
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const unescapeXml = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// All <t> runs inside an element, joined (rich text splits strings into runs)
+const textRuns = (xml) => {
+  let text = '';
+  const pattern = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>|<t(?:\s[^>]*)?\/>/g;
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    text += match[1] ? unescapeXml(match[1]) : '';
+  }
+  return text;
+};
+
+const attribute = (attributes, name) => {
+  const match = new RegExp(`\\b${name}="([^"]*)"`).exec(attributes);
+  return match ? unescapeXml(match[1]) : null;
+};
+
+// "AB12" -> 27 (zero-based column index)
+const columnIndex = (reference) => {
+  const letters = /^[A-Z]+/.exec(reference)[0];
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+};
+
+const columnName = (index) => {
+  let name = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    name = String.fromCharCode(65 + remainder) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+};
+
+// Resolve the first sheet's part name through the workbook relationships
+const firstSheetPath = (entries) => {
+  const workbook = readEntry(entries.get('xl/workbook.xml'))?.toString('utf8');
+  const rels = readEntry(entries.get('xl/_rels/workbook.xml.rels'))?.toString('utf8');
+
+  if (workbook && rels) {
+    const sheet = /<sheet\b([^>]*)\/?>/.exec(workbook);
+    const relationshipId = sheet && attribute(sheet[1], 'r:id');
+    const relationships = rels.match(/<Relationship\b[^>]*>/g) || [];
+    const target = relationships
+      .map(rel => ({ id: attribute(rel, 'Id'), target: attribute(rel, 'Target') }))
+      .find(rel => rel.id === relationshipId)?.target;
+
+    if (target) {
+      return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    }
+  }
+
+  return 'xl/worksheets/sheet1.xml';
+};
+
+/**
+ * Read the first worksheet of an .xlsx buffer as an array of rows of strings
+ * Only the workbook, its relationships, the shared strings and that sheet are inflated
+ */
+const readXlsx = (buffer) => {
+  const entries = unzip(buffer);
+  const sheetXml = readEntry(entries.get(firstSheetPath(entries)))?.toString('utf8');
+
+  if (!sheetXml) {
+    throw new Error('Workbook has no worksheet');
+  }
+
+  const sharedXml = readEntry(entries.get('xl/sharedStrings.xml'))?.toString('utf8') || '';
+  const sharedStrings = (sharedXml.match(/<si>[\s\S]*?<\/si>/g) || []).map(textRuns);
+
+  const rows = [];
+  const rowPattern = /<row\b([^>]*)>([\s\S]*?)<\/row>/g;
+  let rowMatch;
+  while ((rowMatch = rowPattern.exec(sheetXml)) !== null) {
+    const rowNumber = parseInt(attribute(rowMatch[1], 'r')) || rows.length + 1;
+    const cells = [];
+
+    const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let cellMatch;
+    while ((cellMatch = cellPattern.exec(rowMatch[2])) !== null) {
+      const reference = attribute(cellMatch[1], 'r');
+      const index = reference ? columnIndex(reference) : cells.length;
+      const type = attribute(cellMatch[1], 't');
+      const body = cellMatch[2] || '';
+      const rawValue = /<v>([\s\S]*?)<\/v>/.exec(body)?.[1];
+
+      let value = '';
+      if (type === 's') {
+        value = sharedStrings[parseInt(rawValue)] ?? '';
+      } else if (type === 'inlineStr') {
+        value = textRuns(body);
+      } else if (type === 'b') {
+        value = rawValue === '1' ? 'TRUE' : 'FALSE';
+      } else if (rawValue !== undefined) {
+        value = unescapeXml(rawValue);
+      }
+
+      cells[index] = value;
+    }
+
+    rows[rowNumber - 1] = Array.from(cells, cell => cell ?? '');
+  }
+
+  return Array.from(rows, row => row || []);
+};
+
+/**
+ * Write a single-sheet .xlsx from a header row and data rows
+ * Numbers are written as numeric cells, everything else as text; the header is bold
+ */
+const writeXlsx = (headers, rows, { sheetName = 'Sheet1' } = {}) => {
+  const cellXml = (value, rowIndex, colIndex, style = 0) => {
+    const reference = `${columnName(colIndex)}${rowIndex + 1}`;
+    const styleAttr = style ? ` s="${style}"` : '';
+
+    if (value === null || value === undefined || value === '') {
+      return '';
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return `<c r="${reference}"${styleAttr}><v>${value}</v></c>`;
+    }
+    return `<c r="${reference}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+  };
+
+  const sheetRows = [headers, ...rows].map((row, rowIndex) =>
+    `<row r="${rowIndex + 1}">${row.map((value, colIndex) => cellXml(value, rowIndex, colIndex, rowIndex === 0 ? 1 : 0)).join('')}</row>`
+  );
+
+  const sheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<sheetData>${sheetRows.join('')}</sheetData>`
+    + '</worksheet>';
+
+  const styles = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+    + '</styleSheet>';
+
+  return zip([
+    {
+      name: '[Content_Types].xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+        + '</Relationships>',
+    },
+    { name: 'xl/worksheets/sheet1.xml', data: sheet },
+    { name: 'xl/styles.xml', data: styles },
+  ]);
+};
+
+module.exports = { readXlsx, writeXlsx };
@@ -0,0 +1,50 @@
+/**
+ * Test database
+ * An in-process PostgreSQL (PGlite) built from schema.postgres.sql, so service
+ * tests run the real SQL. The client has the pg client's query(text, params)
+ * shape and returns numeric and bigint columns as strings, as pg does
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+
+const SCHEMA_PATH = path.join(__dirname, '../../src/database/schema.postgres.sql');
+
+// pg type OIDs
+const INT8 = 20;
+const NUMERIC = 1700;
+
+/**
+ * Create a database with the schema and default data loaded
+ * uuid-ossp is not bundled with PGlite and nothing in the schema uses it
+ */
+const createTestDb = async () => {
+  const pg = new PGlite({
+    parsers: {
+      [INT8]: (value) => value,
+      [NUMERIC]: (value) => value,
+    },
+  });
+
+  const schema = fs.readFileSync(SCHEMA_PATH, 'utf8').replace(/CREATE EXTENSION[^;]*;/g, '');
+  await pg.exec(schema);
+
+  const client = {
+    query: async (text, params = []) => {
+      const result = await pg.query(text, params);
+      return { rows: result.rows, rowCount: result.affectedRows || result.rows.length };
+    },
+  };
+
+  return {
+    pg,
+    client,
+    // Each test runs in a transaction that is rolled back afterwards
+    begin: () => pg.exec('BEGIN'),
+    rollback: () => pg.exec('ROLLBACK'),
+    close: () => pg.close(),
+  };
+};
+
+module.exports = { createTestDb };
@@ -0,0 +1,119 @@
+/**
+ * Test fixtures
+ * Minimal rows for service tests, on top of the schema's default data
+ * (location 1 'HQ', user 1, the default payment methods)
+ */
+
+const inventoryService = require('../../src/services/inventoryService');
+const pricingService = require('../../src/services/pricingService');
+const saleService = require('../../src/services/saleService');
+
+const LOCATION_ID = 1;
+const USER_ID = 1;
+
+let sequence = 0;
+const nextCode = (prefix) => `${prefix}${Date.now().toString(36)}${++sequence}`;
+
+/**
+ * A product with one variant and, optionally, stock at location 1
+ */
+const createProduct = async (client, { price = 1000, cost = 400, taxRate = 0, stock = 0, productCode = nextCode('P') } = {}) => {
+  const productResult = await client.query(
+    `INSERT INTO products (product_code, product_name, base_price, cost_price, tax_rate)
+     VALUES ($1, $2, $3, $4, $5) RETURNING product_id`,
+    [productCode, `Product ${productCode}`, price, cost, taxRate]
+  );
+  const productId = productResult.rows[0].product_id;
+
+  const variantResult = await client.query(
+    `INSERT INTO product_variants (product_id, sku, barcode, variant_name, price, cost_price, is_default)
+     VALUES ($1, $2, $3, 'Default', $4, $5, true) RETURNING variant_id`,
+    [productId, productCode, `B${productCode}`, price, cost]
+  );
+  const variantId = variantResult.rows[0].variant_id;
+
+  if (stock > 0) {
+    await inventoryService.adjustStock(client, {
+      variantId,
+      locationId: LOCATION_ID,
+      quantityChange: stock,
+      transactionType: 'OPENING',
+      unitCost: cost,
+    });
+  }
+
+  return { productId, variantId, productCode, sku: productCode };
+};
+
+const createCustomer = async (client, { phone = `03${String(Date.now() + ++sequence).slice(-9)}`, firstName = 'Test', lastName = 'Customer' } = {}) => {
+  const result = await client.query(
+    `INSERT INTO customers (phone, first_name, last_name) VALUES ($1, $2, $3) RETURNING *`,
+    [phone, firstName, lastName]
+  );
+  return result.rows[0];
+};
+
+const createSupplier = async (client, { supplierCode = nextCode('S') } = {}) => {
+  const result = await client.query(
+    `INSERT INTO suppliers (supplier_code, supplier_name) VALUES ($1, $2) RETURNING *`,
+    [supplierCode, `Supplier ${supplierCode}`]
+  );
+  return result.rows[0];
+};
+
+const createLocation = async (client, { locationCode = nextCode('L').slice(-20) } = {}) => {
+  const result = await client.query(
+    `INSERT INTO locations (location_code, location_name) VALUES ($1, $2) RETURNING *`,
+    [locationCode, `Store ${locationCode}`]
+  );
+  return result.rows[0];
+};
+
+const paymentMethodId = async (client, methodType) => {
+  const result = await client.query(
+    `SELECT payment_method_id FROM payment_methods WHERE method_type = $1 ORDER BY sort_order LIMIT 1`,
+    [methodType]
+  );
+  return result.rows[0].payment_method_id;
+};
+
+/**
+ * Ring up a sale at list price, paid in full with one tender, as POST /sales does
+ */
+const createSale = async (client, { items, customerId = null, methodType = 'cash', shiftId = null }) => {
+  const pricing = await pricingService.priceSale(client, { items, locationId: LOCATION_ID, customerId });
+  return saleService.recordSale(client, {
+    saleNumber: await saleService.generateSaleNumber(client, LOCATION_ID),
+    locationId: LOCATION_ID,
+    shiftId,
+    userId: USER_ID,
+    customerId,
+    items: pricing.lines,
+    payments: [{ paymentMethodId: await paymentMethodId(client, methodType), amount: pricing.totalAmount }],
+    subtotal: pricing.subtotal,
+    taxAmount: pricing.taxAmount,
+    totalAmount: pricing.totalAmount,
+  });
+};
+
+const getStock = async (client, variantId, locationId = LOCATION_ID) => {
+  const result = await client.query(
+    `SELECT quantity_on_hand, average_cost FROM inventory WHERE variant_id = $1 AND location_id = $2`,
+    [variantId, locationId]
+  );
+  const row = result.rows[0];
+  return row ? { quantity: row.quantity_on_hand, averageCost: parseFloat(row.average_cost) } : { quantity: 0, averageCost: 0 };
+};
+
+module.exports = {
+  LOCATION_ID,
+  USER_ID,
+  nextCode,
+  createProduct,
+  createCustomer,
+  createSupplier,
+  createLocation,
+  paymentMethodId,
+  createSale,
+  getStock,
+};
@@ -0,0 +1,131 @@
+const { createTestDb } = require('../helpers/db');
+const { createProduct, createCustomer, createSale, paymentMethodId, LOCATION_ID, USER_ID } = require('../helpers/fixtures');
+const accountService = require('../../src/services/accountService');
+const returnService = require('../../src/services/returnService');
+
+describe('accountService', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = await createTestDb();
+  });
+  afterAll(() => db.close());
+  beforeEach(() => db.begin());
+  afterEach(() => db.rollback());
+
+  // A customer with a 5000 limit and an invoice for each price given
+  const accountWithInvoices = async (client, prices) => {
+    const customer = await createCustomer(client);
+    await accountService.setCreditLimit(client, customer.customer_id, 5000);
+
+    const invoices = [];
+    for (const price of prices) {
+      const { variantId } = await createProduct(client, { price, stock: 1 });
+      invoices.push(await createSale(client, {
+        items: [{ variantId, quantity: 1 }],
+        customerId: customer.customer_id,
+        methodType: 'account',
+      }));
+    }
+    return { customer, invoices };
+  };
+
+  const receive = async (client, customerId, details) => accountService.receivePayment(client, customerId, {
+    paymentMethodId: await paymentMethodId(client, 'cash'),
+    locationId: LOCATION_ID,
+    userId: USER_ID,
+    ...details,
+  });
+
+  it('charges sales to the account up to its credit limit', async () => {
+    const { customer, invoices } = await accountWithInvoices(db.client, [3000, 1500]);
+
+    const account = await accountService.getAccount(db.client, customer.customer_id);
+    expect(account).toMatchObject({ creditLimit: 5000, balance: 4500, available: 500 });
+    expect(account.invoices.map(invoice => invoice.saleId)).toEqual(invoices.map(sale => sale.sale_id));
+
+    const { variantId } = await createProduct(db.client, { price: 1000, stock: 1 });
+    await expect(createSale(db.client, { items: [{ variantId, quantity: 1 }], customerId: customer.customer_id, methodType: 'account' }))
+      .rejects.toMatchObject({ message: 'Credit limit exceeded', details: [expect.objectContaining({ balance: 4500, requested: 1000 })] });
+  });
+
+  it('refuses account sales for a customer without a credit account', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1000, stock: 1 });
+    const customer = await createCustomer(db.client);
+
+    await expect(createSale(db.client, { items: [{ variantId, quantity: 1 }], customerId: customer.customer_id, methodType: 'account' }))
+      .rejects.toMatchObject({ message: 'Customer does not have a credit account' });
+  });
+
+  it('settles the oldest invoices first when a payment is not allocated', async () => {
+    const { customer, invoices } = await accountWithInvoices(db.client, [1000, 500]);
+
+    const { payment, allocations, balance } = await receive(db.client, customer.customer_id, { amount: 1200 });
+
+    expect(payment.payment_number).toBe('ACP-HQ-00001');
+    expect(allocations).toEqual([
+      { saleId: invoices[0].sale_id, amount: 1000 },
+      { saleId: invoices[1].sale_id, amount: 200 },
+    ]);
+    expect(balance).toBe(300);
+    const open = await accountService.getOpenInvoices(db.client, customer.customer_id);
+    expect(open.map(invoice => [invoice.saleId, invoice.outstanding])).toEqual([[invoices[1].sale_id, 300]]);
+  });
+
+  it('counts an invoice allocated twice against what it owes', async () => {
+    const { customer, invoices } = await accountWithInvoices(db.client, [1000, 500]);
+
+    await expect(receive(db.client, customer.customer_id, {
+      amount: 1200,
+      allocations: [
+        { saleId: invoices[1].sale_id, amount: 400 },
+        { saleId: invoices[1].sale_id, amount: 400 },
+        { saleId: invoices[0].sale_id, amount: 400 },
+      ],
+    })).rejects.toMatchObject({
+      message: 'Allocation is more than the invoice owes',
+      details: [expect.objectContaining({ saleId: invoices[1].sale_id, outstanding: 500, received: 800 })],
+    });
+  });
+
+  it('refuses overpayments and payments made on account', async () => {
+    const { customer } = await accountWithInvoices(db.client, [1000]);
+
+    await expect(receive(db.client, customer.customer_id, { amount: 1500 }))
+      .rejects.toMatchObject({ message: 'Payment is more than the outstanding balance' });
+    await expect(receive(db.client, customer.customer_id, { amount: 500, paymentMethodId: await paymentMethodId(db.client, 'account') }))
+      .rejects.toMatchObject({ message: 'Account payments must be made in cash, card or mobile' });
+  });
+
+  it('settles the invoice with what a return refunds to the account', async () => {
+    const { customer, invoices } = await accountWithInvoices(db.client, [1000]);
+    const saleItem = await db.client.query(`SELECT sale_item_id FROM sale_items WHERE sale_id = $1`, [invoices[0].sale_id]);
+
+    await returnService.createReturn(db.client, {
+      saleId: invoices[0].sale_id,
+      items: [{ saleItemId: saleItem.rows[0].sale_item_id, quantity: 1 }],
+      userId: USER_ID,
+    });
+
+    expect((await accountService.getAccount(db.client, customer.customer_id)).balance).toBe(0);
+  });
+
+  it('ages what is owed by how old each invoice is', async () => {
+    const { customer, invoices } = await accountWithInvoices(db.client, [1000, 700]);
+    await db.client.query(
+      `UPDATE sales SET created_at = CURRENT_TIMESTAMP - INTERVAL '45 days' WHERE sale_id = $1`,
+      [invoices[0].sale_id]
+    );
+
+    const report = await accountService.getAgingReport(db.client);
+
+    expect(report.customers).toEqual([expect.objectContaining({
+      customerId: customer.customer_id,
+      current: 700,
+      days31to60: 1000,
+      total: 1700,
+      invoiceCount: 2,
+    })]);
+    expect(report.totals.total).toBe(1700);
+  });
+});
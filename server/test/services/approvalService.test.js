@@ -0,0 +1,78 @@
+const bcrypt = require('bcryptjs');
+const { createTestDb } = require('../helpers/db');
+const { LOCATION_ID, USER_ID } = require('../helpers/fixtures');
+const approvalService = require('../../src/services/approvalService');
+
+const PIN = '4321';
+
+describe('approvalService', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = await createTestDb();
+  });
+  afterAll(() => db.close());
+  beforeEach(async () => {
+    await db.begin();
+    await db.client.query(`UPDATE users SET pin_hash = $1 WHERE user_id = $2`, [await bcrypt.hash(PIN, 4), USER_ID]);
+  });
+  afterEach(() => db.rollback());
+
+  const issue = (client, overrides = {}) => approvalService.issueToken(client, {
+    action: 'REFUND',
+    pin: PIN,
+    locationId: LOCATION_ID,
+    requestedBy: USER_ID,
+    referenceType: 'SALE',
+    referenceId: 7,
+    ...overrides,
+  });
+
+  it('finds the manager by PIN and rejects a wrong one', async () => {
+    const manager = await approvalService.verifyPin(db.client, { pin: PIN, locationId: LOCATION_ID });
+    expect(manager).toMatchObject({ user_id: USER_ID, role_name: 'admin' });
+    expect(manager.pin_hash).toBeUndefined();
+
+    await expect(approvalService.verifyPin(db.client, { pin: '0000', locationId: LOCATION_ID }))
+      .rejects.toMatchObject({ message: 'Invalid Manager PIN' });
+  });
+
+  it('spends a token once, and checking it does not spend it', async () => {
+    const { token } = await issue(db.client);
+    const details = { token, action: 'REFUND', referenceId: '7', userId: USER_ID };
+
+    await approvalService.checkToken(db.client, details);
+    const approval = await approvalService.consumeToken(db.client, details);
+
+    expect(approval.approved_by).toBe(USER_ID);
+    await expect(approvalService.consumeToken(db.client, details)).rejects.toMatchObject({ message: 'Invalid approval token' });
+  });
+
+  it('leaves the token unused when the action rolls back', async () => {
+    const { token } = await issue(db.client);
+    const details = { token, action: 'REFUND', referenceId: '7', userId: USER_ID };
+
+    await db.client.query('SAVEPOINT action');
+    await approvalService.consumeToken(db.client, details);
+    await db.client.query('ROLLBACK TO SAVEPOINT action');
+
+    await expect(approvalService.consumeToken(db.client, details)).resolves.toMatchObject({ action_type: 'REFUND' });
+  });
+
+  it('only accepts a token for its action and record', async () => {
+    const { token } = await issue(db.client);
+
+    await expect(approvalService.checkToken(db.client, { token, action: 'VOID', referenceId: '7', userId: USER_ID }))
+      .rejects.toMatchObject({ message: 'Invalid approval token' });
+    await expect(approvalService.checkToken(db.client, { token, action: 'REFUND', referenceId: '8', userId: USER_ID }))
+      .rejects.toMatchObject({ message: 'Approval was issued for a different record' });
+  });
+
+  it('rejects an expired token', async () => {
+    const { token, approvalId } = await issue(db.client);
+    await db.client.query(`UPDATE approvals SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute' WHERE approval_id = $1`, [approvalId]);
+
+    await expect(approvalService.checkToken(db.client, { token, action: 'REFUND', referenceId: '7', userId: USER_ID }))
+      .rejects.toMatchObject({ message: 'Approval has expired' });
+  });
+});
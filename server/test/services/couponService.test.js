@@ -0,0 +1,104 @@
+const { createTestDb } = require('../helpers/db');
+const { createProduct, createCustomer, paymentMethodId, LOCATION_ID, USER_ID } = require('../helpers/fixtures');
+const couponService = require('../../src/services/couponService');
+const pricingService = require('../../src/services/pricingService');
+const saleService = require('../../src/services/saleService');
+
+describe('couponService', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = await createTestDb();
+  });
+  afterAll(() => db.close());
+  beforeEach(() => db.begin());
+  afterEach(() => db.rollback());
+
+  // As POST /sales with a couponCode
+  const saleWithCoupon = async (client, { variantId, couponCode, customerId = null }) => {
+    const pricing = await pricingService.priceSale(client, { items: [{ variantId, quantity: 1 }], customerId, couponCode });
+    return saleService.recordSale(client, {
+      saleNumber: await saleService.generateSaleNumber(client, LOCATION_ID),
+      locationId: LOCATION_ID,
+      userId: USER_ID,
+      customerId,
+      items: pricing.lines,
+      payments: [{ paymentMethodId: await paymentMethodId(client, 'cash'), amount: pricing.totalAmount }],
+      subtotal: pricing.subtotal,
+      taxAmount: pricing.taxAmount,
+      coupon: pricing.coupon,
+      couponDiscount: pricing.couponDiscount,
+      totalAmount: pricing.totalAmount,
+    });
+  };
+
+  it('takes a capped percentage off the cart and records its use', async () => {
+    const { variantId } = await createProduct(db.client, { price: 2000, stock: 1 });
+    const coupon = await couponService.createCoupon(db.client, {
+      code: 'save15',
+      discountValue: 15,
+      maxDiscountAmount: 250,
+    }, USER_ID);
+
+    const sale = await saleWithCoupon(db.client, { variantId, couponCode: 'SAVE15' });
+
+    expect(coupon.code).toBe('SAVE15');
+    expect(parseFloat(sale.coupon_discount)).toBe(250);
+    expect(parseFloat(sale.total_amount)).toBe(1750);
+    const detail = await couponService.getCouponDetail(db.client, coupon.coupon_id);
+    expect(detail.redemptions).toEqual([expect.objectContaining({ sale_id: sale.sale_id, discount_amount: '250.00' })]);
+  });
+
+  it('refuses a single-use code the second time, unless the first sale was voided', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1000, stock: 3 });
+    await couponService.createCoupon(db.client, { code: 'ONCE-ONLY', discountType: 'FIXED', discountValue: 100, usageLimit: 1 }, USER_ID);
+    const first = await saleWithCoupon(db.client, { variantId, couponCode: 'ONCE-ONLY' });
+
+    await expect(couponService.checkCoupon(db.client, 'ONCE-ONLY', { subtotal: 1000 }))
+      .rejects.toMatchObject({ message: 'This coupon has already been used' });
+
+    await db.client.query(`UPDATE sales SET status = 'voided' WHERE sale_id = $1`, [first.sale_id]);
+    await expect(couponService.checkCoupon(db.client, 'ONCE-ONLY', { subtotal: 1000 }))
+      .resolves.toMatchObject({ discountAmount: 100 });
+  });
+
+  it('checks the minimum spend and the validity dates', async () => {
+    await couponService.createCoupon(db.client, { code: 'SPEND-5000', discountValue: 10, minSpend: 5000 }, USER_ID);
+    await couponService.createCoupon(db.client, { code: 'LAST-YEAR', discountValue: 10, expiresAt: '2025-12-31' }, USER_ID);
+
+    await expect(couponService.checkCoupon(db.client, 'SPEND-5000', { subtotal: 4999 }))
+      .rejects.toMatchObject({ message: 'This coupon needs a spend of at least 5000.00' });
+    await expect(couponService.checkCoupon(db.client, 'LAST-YEAR', { subtotal: 1000, at: new Date('2026-03-01') }))
+      .rejects.toMatchObject({ message: 'This coupon has expired' });
+    await expect(couponService.checkCoupon(db.client, 'NO-SUCH-CODE', { subtotal: 1000 }))
+      .rejects.toMatchObject({ message: 'Coupon code not recognised' });
+  });
+
+  it('issues one single-use code per customer that only they can redeem', async () => {
+    const first = await createCustomer(db.client);
+    const second = await createCustomer(db.client);
+
+    const issued = await couponService.createCustomerCoupons(db.client, {
+      discountType: 'FIXED',
+      discountValue: 200,
+      prefix: 'EID',
+    }, [first.customer_id, second.customer_id], { campaign: 'Eid', userId: USER_ID });
+
+    expect(issued).toHaveLength(2);
+    expect(issued[0].code).toMatch(/^EID-/);
+    expect(issued[0].code).not.toBe(issued[1].code);
+    await expect(couponService.checkCoupon(db.client, issued[0].code, { customerId: first.customer_id, subtotal: 1000 }))
+      .resolves.toMatchObject({ discountAmount: 200 });
+    await expect(couponService.checkCoupon(db.client, issued[0].code, { customerId: second.customer_id, subtotal: 1000 }))
+      .rejects.toMatchObject({ message: 'This coupon belongs to another customer' });
+    await expect(couponService.checkCoupon(db.client, issued[0].code, { subtotal: 1000 }))
+      .rejects.toMatchObject({ message: 'Select the customer this coupon was issued to' });
+  });
+
+  it('rejects a code that is already in use', async () => {
+    await couponService.createCoupon(db.client, { code: 'WELCOME', discountValue: 5 }, USER_ID);
+
+    await expect(couponService.createCoupon(db.client, { code: 'welcome', discountValue: 10 }, USER_ID))
+      .rejects.toMatchObject({ message: 'Coupon code already exists' });
+  });
+});
@@ -0,0 +1,91 @@
+const { createTestDb } = require('../helpers/db');
+const { createProduct, createCustomer, createSale, USER_ID } = require('../helpers/fixtures');
+const customerService = require('../../src/services/customerService');
+const loyaltyService = require('../../src/services/loyaltyService');
+const walletService = require('../../src/services/walletService');
+
+describe('customerService', () => {
+  it('normalises Pakistani mobile numbers written in any format', () => {
+    expect(['+92 300 1234567', '0092-300-1234567', '0300 1234567', '923001234567'].map(customerService.normalizePhone))
+      .toEqual(['3001234567', '3001234567', '3001234567', '3001234567']);
+    expect(customerService.normalizePhone('042-111-222')).toBe('042111222');
+  });
+
+  describe('duplicates and merging', () => {
+    let db;
+
+    beforeAll(async () => {
+      db = await createTestDb();
+    });
+    afterAll(() => db.close());
+    beforeEach(() => db.begin());
+    afterEach(() => db.rollback());
+
+    const pairsFor = async (client, customerId) => {
+      const { pairs } = await customerService.findDuplicates(client, { customerId });
+      return pairs.map(pair => ({ ids: [pair.customerA.customer_id, pair.customerB.customer_id], score: pair.score, reasons: pair.reasons }));
+    };
+
+    it('flags the same number written differently', async () => {
+      const first = await createCustomer(db.client, { phone: '+92 300 7654321', firstName: 'Ayesha', lastName: 'Khan' });
+      const second = await createCustomer(db.client, { phone: '0300-7654321', firstName: 'Ayesha', lastName: 'Khan' });
+
+      const [pair] = await pairsFor(db.client, first.customer_id);
+
+      expect(pair.ids).toEqual([first.customer_id, second.customer_id]);
+      expect(pair.score).toBe(0.99);
+      expect(pair.reasons).toEqual(expect.arrayContaining(['Same phone number', 'Same name']));
+    });
+
+    it('flags a number one digit out only when the names are alike', async () => {
+      const customer = await createCustomer(db.client, { phone: '03217654321', firstName: 'Bilal', lastName: 'Ahmed' });
+      const typo = await createCustomer(db.client, { phone: '03217654331', firstName: 'Bilal', lastName: 'Ahmad' });
+      await createCustomer(db.client, { phone: '03217654320', firstName: 'Zainab', lastName: 'Raza' });
+
+      const pairs = await pairsFor(db.client, customer.customer_id);
+
+      expect(pairs.map(pair => pair.ids)).toEqual([[customer.customer_id, typo.customer_id]]);
+      expect(pairs[0].reasons).toContain('Phone number differs by one digit');
+    });
+
+    it('stops suggesting a pair once it is dismissed', async () => {
+      const first = await createCustomer(db.client, { phone: '03331112222', firstName: 'Omar' });
+      const second = await createCustomer(db.client, { phone: '+923331112222', firstName: 'Usman' });
+
+      await customerService.dismissDuplicate(db.client, { customerIdA: second.customer_id, customerIdB: first.customer_id, userId: USER_ID });
+
+      expect(await pairsFor(db.client, first.customer_id)).toEqual([]);
+    });
+
+    it('moves sales and balances to the survivor and retires the duplicate', async () => {
+      const { variantId } = await createProduct(db.client, { price: 1000, stock: 2 });
+      const survivor = await createCustomer(db.client, { phone: '03451234567', firstName: 'Sana', lastName: '' });
+      const duplicate = await createCustomer(db.client, { phone: '+92 345 1234568', firstName: 'Sana', lastName: 'Malik' });
+      await walletService.credit(db.client, survivor.customer_id, { amount: 300, userId: USER_ID });
+      await walletService.credit(db.client, duplicate.customer_id, { amount: 200, userId: USER_ID });
+      await loyaltyService.adjustPoints(db.client, duplicate.customer_id, { points: 50, notes: 'Welcome', userId: USER_ID });
+      const sale = await createSale(db.client, { items: [{ variantId, quantity: 1 }], customerId: duplicate.customer_id });
+
+      const { customer, merge } = await customerService.mergeCustomers(db.client, {
+        survivorId: survivor.customer_id,
+        duplicateId: duplicate.customer_id,
+        reason: 'Same person',
+        userId: USER_ID,
+      });
+
+      expect(customer).toMatchObject({ last_name: 'Malik', loyalty_points: 60, visit_count: 1 });
+      expect(parseFloat(customer.wallet_balance)).toBe(500);
+      expect(parseFloat(customer.total_purchases)).toBe(1000);
+      expect(merge.moved).toMatchObject({ sales: 1, wallet_balance: 200, loyalty_points: 60 });
+
+      const movedSale = await db.client.query(`SELECT customer_id FROM sales WHERE sale_id = $1`, [sale.sale_id]);
+      expect(movedSale.rows[0].customer_id).toBe(survivor.customer_id);
+      const { transactions } = await walletService.getStatement(db.client, survivor.customer_id);
+      expect(transactions.map(row => parseFloat(row.balance_after))).toEqual([500, 300]);
+
+      expect(await customerService.findByPhone(db.client, '0345 1234568')).toMatchObject({ customer_id: survivor.customer_id });
+      await expect(customerService.mergeCustomers(db.client, { survivorId: survivor.customer_id, duplicateId: duplicate.customer_id }))
+        .rejects.toMatchObject({ name: 'ValidationError' });
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const { createTestDb } = require('../helpers/db');
+const { createProduct, createCustomer, createSale, paymentMethodId, LOCATION_ID, USER_ID } = require('../helpers/fixtures');
+const loyaltyService = require('../../src/services/loyaltyService');
+const returnService = require('../../src/services/returnService');
+const saleService = require('../../src/services/saleService');
+
+describe('loyaltyService', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = await createTestDb();
+  });
+  afterAll(() => db.close());
+  beforeEach(() => db.begin());
+  afterEach(() => db.rollback());
+
+  const pointsOf = async (client, customerId) => (await loyaltyService.getBalance(client, customerId)).points;
+
+  // A 1000 sale paying `points` in points and the rest in cash
+  const saleWithPoints = async (client, { variantId, customerId, points }) => saleService.recordSale(client, {
+    saleNumber: await saleService.generateSaleNumber(client, LOCATION_ID),
+    locationId: LOCATION_ID,
+    userId: USER_ID,
+    customerId,
+    items: [{ variantId, quantity: 1, unitPrice: 1000 }],
+    payments: [
+      { paymentMethodId: await paymentMethodId(client, 'loyalty'), amount: points },
+      { paymentMethodId: await paymentMethodId(client, 'cash'), amount: 1000 - points },
+    ],
+    subtotal: 1000,
+    taxAmount: 0,
+    totalAmount: 1000,
+  });
+
+  it('earns a point per 100 spent, in whole points', async () => {
+    const { variantId } = await createProduct(db.client, { price: 2550, stock: 1 });
+    const customer = await createCustomer(db.client);
+
+    await createSale(db.client, { items: [{ variantId, quantity: 1 }], customerId: customer.customer_id });
+
+    const balance = await loyaltyService.getBalance(db.client, customer.customer_id);
+    expect(balance).toMatchObject({ points: 25, value: 25 });
+    expect(balance.nextExpiry.points).toBe(25);
+  });
+
+  it('spends points as a tender and earns only on the rest', async () => {
+    const { variantId } = await createProduct(db.client, { stock: 1 });
+    const customer = await createCustomer(db.client);
+    await loyaltyService.adjustPoints(db.client, customer.customer_id, { points: 500, notes: 'Welcome', userId: USER_ID });
+
+    await saleWithPoints(db.client, { variantId, customerId: customer.customer_id, points: 300 });
+
+    expect(await pointsOf(db.client, customer.customer_id)).toBe(500 - 300 + 7);
+    const { transactions } = await loyaltyService.getLedger(db.client, customer.customer_id);
+    expect(transactions.map(row => [row.transaction_type, row.points])).toEqual([
+      ['EARN', 7],
+      ['REDEEM', -300],
+      ['ADJUST', 500],
+    ]);
+  });
+
+  it('refuses to spend more points than the customer has', async () => {
+    const { variantId } = await createProduct(db.client, { stock: 1 });
+    const customer = await createCustomer(db.client);
+    await loyaltyService.adjustPoints(db.client, customer.customer_id, { points: 100, notes: 'Welcome', userId: USER_ID });
+
+    await expect(saleWithPoints(db.client, { variantId, customerId: customer.customer_id, points: 300 }))
+      .rejects.toMatchObject({ message: 'Not enough loyalty points', details: [expect.objectContaining({ required: 300, available: 100 })] });
+  });
+
+  it('takes back the points earned on what is returned', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1000, stock: 2 });
+    const customer = await createCustomer(db.client);
+    const sale = await createSale(db.client, { items: [{ variantId, quantity: 2 }], customerId: customer.customer_id });
+    const saleItem = await db.client.query(`SELECT sale_item_id FROM sale_items WHERE sale_id = $1`, [sale.sale_id]);
+
+    await returnService.createReturn(db.client, {
+      saleId: sale.sale_id,
+      items: [{ saleItemId: saleItem.rows[0].sale_item_id, quantity: 1 }],
+      userId: USER_ID,
+    });
+
+    expect(await pointsOf(db.client, customer.customer_id)).toBe(10);
+  });
+
+  it('gives back spent points and takes back earned ones when a sale is voided', async () => {
+    const { variantId } = await createProduct(db.client, { stock: 1 });
+    const customer = await createCustomer(db.client);
+    await loyaltyService.adjustPoints(db.client, customer.customer_id, { points: 500, notes: 'Welcome', userId: USER_ID });
+    const sale = await saleWithPoints(db.client, { variantId, customerId: customer.customer_id, points: 200 });
+
+    const reversed = await loyaltyService.reverseSalePoints(db.client, { sale, userId: USER_ID });
+
+    expect(reversed).toEqual({ earnReversed: 8, redeemReversed: 200 });
+    expect(await pointsOf(db.client, customer.customer_id)).toBe(500);
+  });
+
+  it('expires lots past their date', async () => {
+    const customer = await createCustomer(db.client);
+    await loyaltyService.adjustPoints(db.client, customer.customer_id, { points: 40, notes: 'Welcome', userId: USER_ID });
+    await db.client.query(
+      `UPDATE loyalty_transactions SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 day' WHERE customer_id = $1`,
+      [customer.customer_id]
+    );
+
+    expect(await loyaltyService.expirePoints(db.client)).toEqual({ customers: 1, points: 40 });
+    expect(await pointsOf(db.client, customer.customer_id)).toBe(0);
+  });
+
+  it('refuses a manual deduction beyond the balance', async () => {
+    const customer = await createCustomer(db.client);
+
+    await expect(loyaltyService.adjustPoints(db.client, customer.customer_id, { points: -1, notes: 'Correction', userId: USER_ID }))
+      .rejects.toMatchObject({ message: 'Cannot deduct more points than the customer has' });
+  });
+});
@@ -0,0 +1,81 @@
+const { createTestDb } = require('../helpers/db');
+const { createProduct, LOCATION_ID } = require('../helpers/fixtures');
+const pricingService = require('../../src/services/pricingService');
+
+const mismatchOf = async (promise) => {
+  const error = await promise.catch(caught => caught);
+  expect(error.name).toBe('ValidationError');
+  return error.details[0];
+};
+
+describe('pricingService.priceSale', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = await createTestDb();
+  });
+  afterAll(() => db.close());
+  beforeEach(() => db.begin());
+  afterEach(() => db.rollback());
+
+  it('charges tax on the line after its discount', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1000, taxRate: 10 });
+
+    const pricing = await pricingService.priceSale(db.client, {
+      items: [{ variantId, quantity: 2, unitPrice: 1000, discountAmount: 100 }],
+      locationId: LOCATION_ID,
+    });
+
+    expect(pricing.lines).toHaveLength(1);
+    expect(pricing.lines[0]).toMatchObject({ variantId, quantity: 2, discountAmount: 100, taxAmount: 190 });
+    expect(pricing).toMatchObject({ subtotal: 1900, taxAmount: 190, totalAmount: 2090, conflicts: [] });
+  });
+
+  it('takes the cart discount off the total', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1000 });
+
+    const pricing = await pricingService.priceSale(db.client, {
+      items: [{ variantId, quantity: 1 }],
+      discountAmount: 50,
+    });
+
+    expect(pricing).toMatchObject({ subtotal: 1000, discountAmount: 50, totalAmount: 950 });
+  });
+
+  it.each([0, -1, 1.5, 'two'])('rejects a quantity of %p', async (quantity) => {
+    const { variantId } = await createProduct(db.client);
+
+    const mismatch = await mismatchOf(pricingService.priceSale(db.client, { items: [{ variantId, quantity }] }));
+    expect(mismatch).toMatchObject({ field: 'quantity', variantId });
+  });
+
+  it('rejects a changed price without an approved override', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1000 });
+
+    const mismatch = await mismatchOf(pricingService.priceSale(db.client, {
+      items: [{ variantId, quantity: 1, unitPrice: 800 }],
+    }));
+    expect(mismatch).toMatchObject({ type: 'PRICE_CHANGED', expected: 1000, received: 800 });
+  });
+
+  it('rejects discounts over the threshold without approval', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1000 });
+
+    const mismatch = await mismatchOf(pricingService.priceSale(db.client, {
+      items: [{ variantId, quantity: 1, discountAmount: 300 }],
+    }));
+    expect(mismatch).toMatchObject({ type: 'DISCOUNT_UNAPPROVED', received: 300 });
+  });
+
+  it('keeps an offline sale\'s price and reports it as a conflict', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1000 });
+
+    const pricing = await pricingService.priceSale(db.client, {
+      items: [{ variantId, quantity: 1, unitPrice: 800 }],
+      offline: true,
+    });
+
+    expect(pricing.totalAmount).toBe(800);
+    expect(pricing.conflicts).toEqual([expect.objectContaining({ type: 'PRICE_CHANGED', variantId })]);
+  });
+});
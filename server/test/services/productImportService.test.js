@@ -0,0 +1,77 @@
+const { createTestDb } = require('../helpers/db');
+const { createProduct, getStock, USER_ID } = require('../helpers/fixtures');
+const productImportService = require('../../src/services/productImportService');
+const { toCsv } = require('../../src/utils/csv');
+const { writeXlsx } = require('../../src/utils/xlsx');
+
+const csvFile = (headers, rows) => ({ buffer: Buffer.from(toCsv(headers, rows), 'utf8'), originalname: 'products.csv' });
+
+describe('productImportService', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = await createTestDb();
+  });
+  afterAll(() => db.close());
+  beforeEach(() => db.begin());
+  afterEach(() => db.rollback());
+
+  it('re-imports an unchanged export without errors or changes', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1500, cost: 600, stock: 4 });
+    const { headers, rows } = await productImportService.exportProducts(db.client);
+
+    const preview = await productImportService.previewImport(db.client, csvFile(headers, rows));
+    expect(preview.errors).toEqual([]);
+    expect(preview.summary).toMatchObject({ variants: 0, updatedVariants: 0, unchangedVariants: rows.length });
+
+    const result = await productImportService.importProducts(db.client, csvFile(headers, rows), { userId: USER_ID });
+    expect(result).toMatchObject({ productsCreated: 0, variantsCreated: 0, variantsUpdated: 0 });
+    expect((await getStock(db.client, variantId)).quantity).toBe(4);
+  });
+
+  it('updates the price of an existing SKU and leaves its stock alone', async () => {
+    const { variantId, sku } = await createProduct(db.client, { price: 1500, cost: 600, stock: 4 });
+    const { headers, rows } = await productImportService.exportProducts(db.client);
+    const priceIndex = headers.indexOf('Price');
+    const stockIndex = headers.indexOf('Stock: HQ');
+    const row = rows.find(cells => cells[headers.indexOf('SKU')] === sku);
+    row[priceIndex] = 1800;
+    row[stockIndex] = 10;
+
+    const result = await productImportService.importProducts(db.client, csvFile(headers, [row]), { userId: USER_ID });
+    expect(result.variantsUpdated).toBe(1);
+    expect(result.warnings.map(warning => warning.field)).toContain('Stock');
+
+    const variant = await db.client.query(`SELECT price FROM product_variants WHERE variant_id = $1`, [variantId]);
+    expect(parseFloat(variant.rows[0].price)).toBe(1800);
+    expect((await getStock(db.client, variantId)).quantity).toBe(4);
+  });
+
+  it('creates new products with opening stock at the imported cost', async () => {
+    const headers = ['Product Code', 'Product Name', 'Price', 'Cost', 'Size', 'Stock: HQ'];
+    const rows = [
+      ['NEWKRT', 'New Kurta', 2500, 1000, 'S', 3],
+      ['NEWKRT', 'New Kurta', 2500, 1000, 'M', 2],
+    ];
+
+    const result = await productImportService.importProducts(db.client, csvFile(headers, rows), { userId: USER_ID });
+    expect(result).toMatchObject({ productsCreated: 1, variantsCreated: 2, openingStockUnits: 5 });
+  });
+
+  it('rejects an existing SKU given under another product code', async () => {
+    const { sku } = await createProduct(db.client);
+    const headers = ['Product Code', 'Product Name', 'Price', 'SKU'];
+
+    const preview = await productImportService.previewImport(db.client, csvFile(headers, [['OTHER', 'Other', 100, sku]]));
+    expect(preview.valid).toBe(false);
+    expect(preview.errors[0].message).toMatch(/belongs to product/);
+  });
+
+  it('refuses a workbook whose sheet inflates past the size limit', async () => {
+    // About 40 KB on disk, 40 MB once inflated
+    const buffer = writeXlsx(['Product Code'], [['x'.repeat(40 * 1024 * 1024)]]);
+
+    await expect(productImportService.previewImport(db.client, { buffer, originalname: 'products.xlsx' }))
+      .rejects.toMatchObject({ name: 'ValidationError', message: expect.stringMatching(/too large/) });
+  });
+});
@@ -0,0 +1,116 @@
+const { createTestDb } = require('../helpers/db');
+const { createProduct, createSale, USER_ID } = require('../helpers/fixtures');
+const promotionService = require('../../src/services/promotionService');
+
+describe('promotionService', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = await createTestDb();
+  });
+  afterAll(() => db.close());
+  beforeEach(() => db.begin());
+  afterEach(() => db.rollback());
+
+  const createPromotion = (client, data) => promotionService.createPromotion(client, {
+    promotionName: `Promotion ${data.promotionType}`,
+    discountType: 'PERCENTAGE',
+    ...data,
+  }, USER_ID);
+
+  const line = (variantId, quantity, unitPrice) => ({ variantId, quantity, unitPrice, discountAmount: 0 });
+
+  it('takes a percentage off the targeted products only, up to its cap', async () => {
+    const shirt = await createProduct(db.client, { price: 1000 });
+    const jeans = await createProduct(db.client, { price: 3000 });
+    await createPromotion(db.client, {
+      promotionType: 'ITEM_DISCOUNT',
+      discountValue: 20,
+      maxDiscountAmount: 300,
+      productIds: [shirt.productId],
+    });
+
+    const result = await promotionService.applyPromotions(db.client, [
+      line(shirt.variantId, 2, 1000),
+      line(jeans.variantId, 1, 3000),
+    ]);
+
+    expect(result.totalDiscount).toBe(300);
+    expect(result.lines.map(cartLine => cartLine.promotionDiscount)).toEqual([300, 0]);
+  });
+
+  it('gives the cheapest unit free on buy two get one', async () => {
+    const shirt = await createProduct(db.client, { price: 1000 });
+    const socks = await createProduct(db.client, { price: 200 });
+    await createPromotion(db.client, { promotionType: 'BUY_X_GET_Y', discountValue: 100, buyQuantity: 2, getQuantity: 1 });
+
+    const result = await promotionService.applyPromotions(db.client, [
+      line(shirt.variantId, 2, 1000),
+      line(socks.variantId, 1, 200),
+    ]);
+
+    expect(result.lines.map(cartLine => cartLine.promotionDiscount)).toEqual([0, 200]);
+  });
+
+  it('only applies a spend threshold once the cart reaches it', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1000 });
+    await createPromotion(db.client, { promotionType: 'SPEND_THRESHOLD', discountType: 'FIXED', discountValue: 250, minSpend: 2500 });
+
+    const below = await promotionService.applyPromotions(db.client, [line(variantId, 2, 1000)]);
+    const above = await promotionService.applyPromotions(db.client, [line(variantId, 3, 1000)]);
+
+    expect(below.totalDiscount).toBe(0);
+    expect(above.totalDiscount).toBe(250);
+  });
+
+  it('lets a non-stackable promotion block lower priority ones, and stacks stackable ones', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1000 });
+    await createPromotion(db.client, { promotionType: 'ITEM_DISCOUNT', discountValue: 10, priority: 2, isStackable: true });
+    await createPromotion(db.client, { promotionType: 'ITEM_DISCOUNT', discountValue: 10, priority: 1, isStackable: true });
+    const blocked = await createPromotion(db.client, { promotionType: 'ITEM_DISCOUNT', discountValue: 50, priority: 0 });
+
+    const result = await promotionService.applyPromotions(db.client, [line(variantId, 1, 1000)]);
+
+    expect(result.lines[0].promotionDiscount).toBe(190);
+    expect(result.promotions.map(promotion => promotion.promotionId)).not.toContain(blocked.promotion_id);
+  });
+
+  it('runs a time window past midnight on its days and locations only', () => {
+    const promotion = {
+      is_active: true,
+      start_time: '22:00',
+      end_time: '02:00',
+      days_of_week: [5, 6],
+      location_ids: [1],
+    };
+    const friday = (hours) => new Date(2026, 0, 16, hours, 30);
+
+    expect(promotionService.isRunning(promotion, { locationId: 1, at: friday(23) })).toBe(true);
+    expect(promotionService.isRunning(promotion, { locationId: 1, at: friday(1) })).toBe(true);
+    expect(promotionService.isRunning(promotion, { locationId: 1, at: friday(12) })).toBe(false);
+    expect(promotionService.isRunning(promotion, { locationId: 2, at: friday(23) })).toBe(false);
+    expect(promotionService.isRunning(promotion, { locationId: 1, at: new Date(2026, 0, 14, 23) })).toBe(false);
+  });
+
+  it('records the promotions on each line of the sale', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1000, stock: 1 });
+    const promotion = await createPromotion(db.client, { promotionType: 'ITEM_DISCOUNT', discountValue: 10 });
+
+    const sale = await createSale(db.client, { items: [{ variantId, quantity: 1 }] });
+
+    expect(parseFloat(sale.total_amount)).toBe(900);
+    const recorded = await db.client.query(
+      `SELECT sip.promotion_id, sip.discount_amount
+       FROM sale_item_promotions sip
+       INNER JOIN sale_items si ON sip.sale_item_id = si.sale_item_id
+       WHERE si.sale_id = $1`,
+      [sale.sale_id]
+    );
+    expect(recorded.rows).toEqual([{ promotion_id: promotion.promotion_id, discount_amount: '100.00' }]);
+  });
+
+  it('rejects a percentage over 100', async () => {
+    await expect(createPromotion(db.client, { promotionType: 'ITEM_DISCOUNT', discountValue: 120 }))
+      .rejects.toMatchObject({ message: 'Invalid promotion', details: [expect.objectContaining({ field: 'discountValue' })] });
+  });
+});
@@ -0,0 +1,103 @@
+const { createTestDb } = require('../helpers/db');
+const { createProduct, createSupplier, getStock, LOCATION_ID, USER_ID } = require('../helpers/fixtures');
+const purchaseOrderService = require('../../src/services/purchaseOrderService');
+
+describe('purchaseOrderService.receiveGoods', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = await createTestDb();
+  });
+  afterAll(() => db.close());
+  beforeEach(() => db.begin());
+  afterEach(() => db.rollback());
+
+  // A sent PO for 10 units at 500
+  const sentPurchaseOrder = async (client, { variantId }) => {
+    const supplier = await createSupplier(client);
+    const { purchaseOrder } = await purchaseOrderService.createPurchaseOrder(client, {
+      supplierId: supplier.supplier_id,
+      locationId: LOCATION_ID,
+      items: [{ variantId, quantity: 10, unitCost: 500 }],
+      userId: USER_ID,
+    });
+    return purchaseOrderService.sendPurchaseOrder(client, purchaseOrder.po_id);
+  };
+
+  it('adds stock at a blended average cost and stays open while lines are outstanding', async () => {
+    const { variantId } = await createProduct(db.client, { cost: 400, stock: 10 });
+    const { purchaseOrder, items } = await sentPurchaseOrder(db.client, { variantId });
+
+    const result = await purchaseOrderService.receiveGoods(db.client, {
+      poId: purchaseOrder.po_id,
+      items: [{ poItemId: items[0].po_item_id, quantity: 5, unitCost: 600 }],
+      userId: USER_ID,
+    });
+
+    expect(result.purchaseOrder.status).toBe('PARTIALLY_RECEIVED');
+    expect(result.purchaseOrder.closed_at).toBeNull();
+    expect(parseFloat(result.grn.total_cost)).toBe(3000);
+    const stock = await getStock(db.client, variantId);
+    expect(stock.quantity).toBe(15);
+    expect(stock.averageCost).toBeCloseTo((10 * 400 + 5 * 600) / 15, 4);
+
+    const variant = await db.client.query(`SELECT cost_price FROM product_variants WHERE variant_id = $1`, [variantId]);
+    expect(parseFloat(variant.rows[0].cost_price)).toBe(600);
+  });
+
+  it('closes the PO once every line is received', async () => {
+    const { variantId } = await createProduct(db.client);
+    const { purchaseOrder, items } = await sentPurchaseOrder(db.client, { variantId });
+
+    await purchaseOrderService.receiveGoods(db.client, {
+      poId: purchaseOrder.po_id,
+      items: [{ poItemId: items[0].po_item_id, quantity: 4 }],
+      userId: USER_ID,
+    });
+    const result = await purchaseOrderService.receiveGoods(db.client, {
+      poId: purchaseOrder.po_id,
+      items: [{ poItemId: items[0].po_item_id, quantity: 6 }],
+      userId: USER_ID,
+    });
+
+    expect(result.purchaseOrder.status).toBe('CLOSED');
+    expect(result.purchaseOrder.closed_at).not.toBeNull();
+    expect(result.items[0].quantity_received).toBe(10);
+    expect(await getStock(db.client, variantId)).toEqual({ quantity: 10, averageCost: 500 });
+  });
+
+  it('counts a line entered more than once against what is outstanding', async () => {
+    const { variantId } = await createProduct(db.client);
+    const { purchaseOrder, items } = await sentPurchaseOrder(db.client, { variantId });
+
+    await expect(purchaseOrderService.receiveGoods(db.client, {
+      poId: purchaseOrder.po_id,
+      items: [
+        { poItemId: items[0].po_item_id, quantity: 6 },
+        { poItemId: items[0].po_item_id, quantity: 6 },
+      ],
+      userId: USER_ID,
+    })).rejects.toMatchObject({
+      message: 'Received quantity exceeds the quantity outstanding',
+      details: [expect.objectContaining({ outstanding: 10, received: 12 })],
+    });
+    expect((await getStock(db.client, variantId)).quantity).toBe(0);
+  });
+
+  it('refuses to receive against a draft', async () => {
+    const { variantId } = await createProduct(db.client);
+    const supplier = await createSupplier(db.client);
+    const { purchaseOrder, items } = await purchaseOrderService.createPurchaseOrder(db.client, {
+      supplierId: supplier.supplier_id,
+      locationId: LOCATION_ID,
+      items: [{ variantId, quantity: 1 }],
+      userId: USER_ID,
+    });
+
+    await expect(purchaseOrderService.receiveGoods(db.client, {
+      poId: purchaseOrder.po_id,
+      items: [{ poItemId: items[0].po_item_id, quantity: 1 }],
+      userId: USER_ID,
+    })).rejects.toMatchObject({ name: 'ValidationError' });
+  });
+});
@@ -0,0 +1,265 @@
+const { createTestDb } = require('../helpers/db');
+const { createProduct, createCustomer, createSale, getStock, paymentMethodId, LOCATION_ID, USER_ID } = require('../helpers/fixtures');
+const accountService = require('../../src/services/accountService');
+const pricingService = require('../../src/services/pricingService');
+const returnService = require('../../src/services/returnService');
+const saleService = require('../../src/services/saleService');
+const walletService = require('../../src/services/walletService');
+
+const saleItemsOf = async (client, saleId) => {
+  const result = await client.query(`SELECT * FROM sale_items WHERE sale_id = $1 ORDER BY sale_item_id`, [saleId]);
+  return result.rows;
+};
+
+describe('returnService.createReturn', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = await createTestDb();
+  });
+  afterAll(() => db.close());
+  beforeEach(() => db.begin());
+  afterEach(() => db.rollback());
+
+  it('refunds the original tender and restocks resalable goods only', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1000, stock: 5 });
+    const sale = await createSale(db.client, { items: [{ variantId, quantity: 3 }] });
+    const [saleItem] = await saleItemsOf(db.client, sale.sale_id);
+
+    const { returnRecord, refunds } = await returnService.createReturn(db.client, {
+      saleId: sale.sale_id,
+      items: [
+        { saleItemId: saleItem.sale_item_id, quantity: 1 },
+        { saleItemId: saleItem.sale_item_id, quantity: 1, condition: 'DAMAGED' },
+      ],
+      userId: USER_ID,
+    });
+
+    expect(parseFloat(returnRecord.total_refund_amount)).toBe(2000);
+    expect(returnRecord.return_number).toBe('RET-HQ-00001');
+    expect(refunds).toEqual([{ paymentMethodId: await paymentMethodId(db.client, 'cash'), amount: 2000 }]);
+    expect((await getStock(db.client, variantId)).quantity).toBe(3);
+  });
+
+  it('numbers returns per location', async () => {
+    const { variantId } = await createProduct(db.client, { stock: 2 });
+    const sale = await createSale(db.client, { items: [{ variantId, quantity: 2 }] });
+    const [saleItem] = await saleItemsOf(db.client, sale.sale_id);
+    const returnOne = () => returnService.createReturn(db.client, {
+      saleId: sale.sale_id,
+      items: [{ saleItemId: saleItem.sale_item_id, quantity: 1 }],
+      userId: USER_ID,
+    });
+
+    const first = await returnOne();
+    const second = await returnOne();
+
+    expect([first.returnRecord.return_number, second.returnRecord.return_number]).toEqual(['RET-HQ-00001', 'RET-HQ-00002']);
+  });
+
+  it('rejects returning more than was sold, counting repeated lines together', async () => {
+    const { variantId } = await createProduct(db.client, { stock: 5 });
+    const sale = await createSale(db.client, { items: [{ variantId, quantity: 2 }] });
+    const [saleItem] = await saleItemsOf(db.client, sale.sale_id);
+
+    await expect(returnService.createReturn(db.client, {
+      saleId: sale.sale_id,
+      items: [
+        { saleItemId: saleItem.sale_item_id, quantity: 2 },
+        { saleItemId: saleItem.sale_item_id, quantity: 1 },
+      ],
+      userId: USER_ID,
+    })).rejects.toMatchObject({ message: 'Return quantity exceeds quantity sold' });
+  });
+
+  it('spreads the cart discount across the refund', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1000, stock: 2 });
+    const pricing = await pricingService.priceSale(db.client, { items: [{ variantId, quantity: 2 }], discountAmount: 100 });
+    const sale = await saleService.recordSale(db.client, {
+      saleNumber: await saleService.generateSaleNumber(db.client, LOCATION_ID),
+      locationId: LOCATION_ID,
+      userId: USER_ID,
+      items: pricing.lines,
+      payments: [{ paymentMethodId: await paymentMethodId(db.client, 'cash'), amount: pricing.totalAmount }],
+      subtotal: pricing.subtotal,
+      taxAmount: pricing.taxAmount,
+      discountAmount: pricing.discountAmount,
+      totalAmount: pricing.totalAmount,
+    });
+    const [saleItem] = await saleItemsOf(db.client, sale.sale_id);
+
+    const { returnRecord } = await returnService.createReturn(db.client, {
+      saleId: sale.sale_id,
+      items: [{ saleItemId: saleItem.sale_item_id, quantity: 1 }],
+      userId: USER_ID,
+    });
+
+    expect(parseFloat(returnRecord.total_refund_amount)).toBe(950);
+  });
+
+  describe('exchanges', () => {
+    // As POST /sales/exchanges: the return's value pays for part of the replacement sale
+    const exchange = async (client, { sale, returnItems, items }) => {
+      const { returnRecord, refunds } = await returnService.createReturn(client, {
+        saleId: sale.sale_id,
+        items: returnItems,
+        returnType: 'EXCHANGE',
+        userId: USER_ID,
+      });
+
+      const pricing = await pricingService.priceSale(client, { items, locationId: LOCATION_ID });
+      const returnedValue = parseFloat(returnRecord.total_refund_amount);
+      const amountDue = Math.round((pricing.totalAmount - returnedValue) * 100) / 100;
+      const accountCharge = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+
+      const replacement = await saleService.recordSale(client, {
+        saleNumber: await saleService.generateSaleNumber(client, LOCATION_ID),
+        locationId: LOCATION_ID,
+        userId: USER_ID,
+        customerId: sale.customer_id,
+        items: pricing.lines,
+        payments: [
+          ...(amountDue > 0 ? [{ paymentMethodId: await paymentMethodId(client, 'cash'), amount: amountDue }] : []),
+          ...refunds,
+        ],
+        subtotal: pricing.subtotal,
+        taxAmount: pricing.taxAmount,
+        totalAmount: pricing.totalAmount,
+        exchangeCredit: Math.round((returnedValue - accountCharge) * 100) / 100,
+      });
+
+      return { returnRecord, replacement, amountDue };
+    };
+
+    it('takes the returned goods back without refunding a tender', async () => {
+      const shirt = await createProduct(db.client, { price: 1000, stock: 2 });
+      const jacket = await createProduct(db.client, { price: 1500, stock: 2 });
+      const sale = await createSale(db.client, { items: [{ variantId: shirt.variantId, quantity: 1 }] });
+      const [saleItem] = await saleItemsOf(db.client, sale.sale_id);
+
+      const { returnRecord, replacement, amountDue } = await exchange(db.client, {
+        sale,
+        returnItems: [{ saleItemId: saleItem.sale_item_id, quantity: 1 }],
+        items: [{ variantId: jacket.variantId, quantity: 1 }],
+      });
+
+      expect(returnRecord.refund_method).toBe('EXCHANGE');
+      expect(amountDue).toBe(500);
+      expect(parseFloat(replacement.exchange_credit)).toBe(1000);
+
+      const returnPayments = await db.client.query(`SELECT * FROM return_payments WHERE return_id = $1`, [returnRecord.return_id]);
+      expect(returnPayments.rows).toEqual([]);
+      expect((await getStock(db.client, shirt.variantId)).quantity).toBe(2);
+      expect((await getStock(db.client, jacket.variantId)).quantity).toBe(1);
+    });
+
+    it('refunds no more than the replacement sale\'s total when it is returned', async () => {
+      const shirt = await createProduct(db.client, { price: 1000, stock: 2 });
+      const jacket = await createProduct(db.client, { price: 1500, stock: 2 });
+      const sale = await createSale(db.client, { items: [{ variantId: shirt.variantId, quantity: 1 }] });
+      const [saleItem] = await saleItemsOf(db.client, sale.sale_id);
+
+      const { replacement } = await exchange(db.client, {
+        sale,
+        returnItems: [{ saleItemId: saleItem.sale_item_id, quantity: 1 }],
+        items: [{ variantId: jacket.variantId, quantity: 1 }],
+      });
+      const [replacementItem] = await saleItemsOf(db.client, replacement.sale_id);
+
+      const { returnRecord } = await returnService.createReturn(db.client, {
+        saleId: replacement.sale_id,
+        items: [{ saleItemId: replacementItem.sale_item_id, quantity: 1 }],
+        returnType: 'EXCHANGE',
+        userId: USER_ID,
+      });
+
+      expect(parseFloat(returnRecord.total_refund_amount)).toBe(1500);
+    });
+
+    // A 1000 shirt exchanged for a 1500 jacket, paying the 500 difference in cash
+    const exchangedJacket = async (client, { customerId = null } = {}) => {
+      const shirt = await createProduct(client, { price: 1000, stock: 1 });
+      const jacket = await createProduct(client, { price: 1500, stock: 1 });
+      const sale = await createSale(client, { items: [{ variantId: shirt.variantId, quantity: 1 }], customerId });
+      const [saleItem] = await saleItemsOf(client, sale.sale_id);
+
+      const { replacement } = await exchange(client, {
+        sale,
+        returnItems: [{ saleItemId: saleItem.sale_item_id, quantity: 1 }],
+        items: [{ variantId: jacket.variantId, quantity: 1 }],
+      });
+      const [replacementItem] = await saleItemsOf(client, replacement.sale_id);
+      return { replacement, replacementItem };
+    };
+
+    const refundRows = async (client, returnId) => {
+      const result = await client.query(
+        `SELECT pm.method_type, rp.amount
+         FROM return_payments rp
+         INNER JOIN payment_methods pm ON rp.payment_method_id = pm.payment_method_id
+         WHERE rp.return_id = $1
+         ORDER BY rp.return_payment_id`,
+        [returnId]
+      );
+      return result.rows.map(row => ({ methodType: row.method_type, amount: parseFloat(row.amount) }));
+    };
+
+    it('refunds a replacement sale\'s exchange credit to the customer\'s wallet', async () => {
+      const customer = await createCustomer(db.client);
+      const { replacement, replacementItem } = await exchangedJacket(db.client, { customerId: customer.customer_id });
+
+      const { returnRecord } = await returnService.createReturn(db.client, {
+        saleId: replacement.sale_id,
+        items: [{ saleItemId: replacementItem.sale_item_id, quantity: 1 }],
+        userId: USER_ID,
+      });
+
+      expect(parseFloat(returnRecord.total_refund_amount)).toBe(1500);
+      expect(await refundRows(db.client, returnRecord.return_id)).toEqual([
+        { methodType: 'cash', amount: 500 },
+        { methodType: 'credit', amount: 1000 },
+      ]);
+      expect((await walletService.getBalance(db.client, customer.customer_id)).balance).toBe(1000);
+    });
+
+    it('refunds a replacement sale\'s exchange credit in cash without a customer', async () => {
+      const { replacement, replacementItem } = await exchangedJacket(db.client);
+
+      const { returnRecord } = await returnService.createReturn(db.client, {
+        saleId: replacement.sale_id,
+        items: [{ saleItemId: replacementItem.sale_item_id, quantity: 1 }],
+        userId: USER_ID,
+      });
+
+      expect(await refundRows(db.client, returnRecord.return_id)).toEqual([{ methodType: 'cash', amount: 1500 }]);
+    });
+
+    it('moves what an account sale owes onto the replacement sale\'s invoice', async () => {
+      const customer = await createCustomer(db.client);
+      await accountService.setCreditLimit(db.client, customer.customer_id, 5000);
+      const shirt = await createProduct(db.client, { price: 1000, stock: 1 });
+      const jacket = await createProduct(db.client, { price: 1500, stock: 1 });
+      const sale = await createSale(db.client, {
+        items: [{ variantId: shirt.variantId, quantity: 1 }],
+        customerId: customer.customer_id,
+        methodType: 'account',
+      });
+      const [saleItem] = await saleItemsOf(db.client, sale.sale_id);
+
+      const { returnRecord, replacement } = await exchange(db.client, {
+        sale,
+        returnItems: [{ saleItemId: saleItem.sale_item_id, quantity: 1 }],
+        items: [{ variantId: jacket.variantId, quantity: 1 }],
+      });
+
+      const allocations = await db.client.query(`SELECT sale_id, amount FROM account_allocations WHERE return_id = $1`, [returnRecord.return_id]);
+      expect(allocations.rows).toEqual([{ sale_id: sale.sale_id, amount: '1000.00' }]);
+      expect(await refundRows(db.client, returnRecord.return_id)).toEqual([{ methodType: 'account', amount: 1000 }]);
+      expect(parseFloat(replacement.exchange_credit)).toBe(0);
+
+      const account = await accountService.getAccount(db.client, customer.customer_id);
+      expect(account.balance).toBe(1000);
+      expect(account.invoices.map(invoice => invoice.saleId)).toEqual([replacement.sale_id]);
+    });
+  });
+});
@@ -0,0 +1,183 @@
+const { createTestDb } = require('../helpers/db');
+const { createProduct, createSale, getStock, paymentMethodId, LOCATION_ID, USER_ID } = require('../helpers/fixtures');
+const pricingService = require('../../src/services/pricingService');
+const saleService = require('../../src/services/saleService');
+
+describe('saleService.recordSale', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = await createTestDb();
+  });
+  afterAll(() => db.close());
+  beforeEach(() => db.begin());
+  afterEach(() => db.rollback());
+
+  it('records the lines and payments and takes the stock', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1000, cost: 400, stock: 5 });
+
+    const sale = await createSale(db.client, { items: [{ variantId, quantity: 2 }] });
+
+    expect(parseFloat(sale.total_amount)).toBe(2000);
+    expect(sale.status).toBe('completed');
+    expect((await getStock(db.client, variantId)).quantity).toBe(3);
+
+    const items = await db.client.query(`SELECT quantity, unit_price, unit_cost FROM sale_items WHERE sale_id = $1`, [sale.sale_id]);
+    expect(items.rows).toHaveLength(1);
+    expect(items.rows[0].quantity).toBe(2);
+    expect(parseFloat(items.rows[0].unit_cost)).toBe(400);
+
+    const payments = await db.client.query(`SELECT amount FROM sale_payments WHERE sale_id = $1`, [sale.sale_id]);
+    expect(payments.rows.map(payment => parseFloat(payment.amount))).toEqual([2000]);
+  });
+
+  it('refuses to sell more than is on hand, counting repeated lines together', async () => {
+    const { variantId } = await createProduct(db.client, { stock: 3 });
+
+    await expect(createSale(db.client, {
+      items: [{ variantId, quantity: 2 }, { variantId, quantity: 2 }],
+    })).rejects.toMatchObject({ name: 'ValidationError', message: 'Insufficient stock' });
+    expect((await getStock(db.client, variantId)).quantity).toBe(3);
+  });
+
+  it('keeps an offline sale\'s original time and sells past zero stock', async () => {
+    const { variantId } = await createProduct(db.client, { price: 500, stock: 0 });
+    const offlineCreatedAt = '2026-01-15T10:30:00.000Z';
+
+    const sale = await saleService.recordSale(db.client, {
+      saleNumber: 'OFF-1',
+      locationId: LOCATION_ID,
+      userId: USER_ID,
+      items: [{ variantId, quantity: 1, unitPrice: 500 }],
+      payments: [{ paymentMethodId: await paymentMethodId(db.client, 'cash'), amount: 500 }],
+      subtotal: 500,
+      taxAmount: 0,
+      totalAmount: 500,
+      enforceStock: false,
+      provisionalNumber: 'OFF-1',
+      offlineCreatedAt,
+    });
+
+    expect(new Date(sale.created_at).getTime()).toBe(new Date(sale.offline_created_at).getTime());
+    expect((await getStock(db.client, variantId)).quantity).toBe(-1);
+  });
+
+  it('timestamps an online sale now', async () => {
+    const { variantId } = await createProduct(db.client, { stock: 1 });
+
+    const sale = await createSale(db.client, { items: [{ variantId, quantity: 1 }] });
+
+    expect(sale.offline_created_at).toBeNull();
+    expect(sale.created_at).not.toBeNull();
+  });
+});
+
+describe('saleService.findByClientSaleId', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = await createTestDb();
+  });
+  afterAll(() => db.close());
+  beforeEach(() => db.begin());
+  afterEach(() => db.rollback());
+
+  const keyedSale = async (client, { variantId, clientSaleId }) => saleService.recordSale(client, {
+    saleNumber: await saleService.generateSaleNumber(client, LOCATION_ID),
+    locationId: LOCATION_ID,
+    userId: USER_ID,
+    items: [{ variantId, quantity: 1, unitPrice: 1000 }],
+    payments: [{ paymentMethodId: await paymentMethodId(client, 'cash'), amount: 1000 }],
+    subtotal: 1000,
+    taxAmount: 0,
+    totalAmount: 1000,
+    clientSaleId,
+  });
+
+  it('finds the sale a checkout key was first submitted with', async () => {
+    const { variantId } = await createProduct(db.client, { stock: 2 });
+    const sale = await keyedSale(db.client, { variantId, clientSaleId: 'till-1-0001' });
+
+    expect(await saleService.findByClientSaleId(db.client, 'till-1-0001')).toMatchObject({ sale_id: sale.sale_id });
+    expect(await saleService.findByClientSaleId(db.client, 'till-1-0002')).toBeNull();
+  });
+
+  it('refuses a second sale with the same key, leaving the stock taken once', async () => {
+    const { variantId } = await createProduct(db.client, { stock: 2 });
+    await keyedSale(db.client, { variantId, clientSaleId: 'till-1-0001' });
+
+    await db.client.query('SAVEPOINT retry');
+    await expect(keyedSale(db.client, { variantId, clientSaleId: 'till-1-0001' })).rejects.toMatchObject({ code: '23505' });
+    await db.client.query('ROLLBACK TO SAVEPOINT retry');
+
+    expect((await getStock(db.client, variantId)).quantity).toBe(1);
+    const sales = await db.client.query(`SELECT COUNT(*)::int as count FROM sales WHERE client_sale_id = 'till-1-0001'`);
+    expect(sales.rows[0].count).toBe(1);
+  });
+});
+
+describe('offline sale sync', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = await createTestDb();
+  });
+  afterAll(() => db.close());
+  beforeEach(() => db.begin());
+  afterEach(() => db.rollback());
+
+  // As POST /sales/sync: the sale is always recorded, whatever no longer checks out is a conflict
+  const syncSale = async (client, { clientSaleId, items, payments }) => {
+    const pricing = await pricingService.priceSale(client, { items, offline: true });
+    const conflicts = [...pricing.conflicts];
+
+    const paymentConflict = pricingService.paymentMismatch(payments, pricing.totalAmount);
+    if (paymentConflict) conflicts.push(paymentConflict);
+
+    const shortages = await saleService.reserveStock(client, LOCATION_ID, pricing.lines, { enforce: false });
+    conflicts.push(...shortages.map(shortage => ({ type: 'STOCK_NEGATIVE', variantId: shortage.variantId })));
+
+    return saleService.recordSale(client, {
+      saleNumber: await saleService.generateSaleNumber(client, LOCATION_ID),
+      locationId: LOCATION_ID,
+      userId: USER_ID,
+      items: pricing.lines,
+      payments,
+      subtotal: pricing.subtotal,
+      taxAmount: pricing.taxAmount,
+      totalAmount: pricing.totalAmount,
+      clientSaleId,
+      enforceStock: false,
+      provisionalNumber: `OFF-${clientSaleId}`,
+      syncConflicts: conflicts.length > 0 ? conflicts : null,
+    });
+  };
+
+  it('records a sale that no longer checks out and keeps its conflicts for review', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1000, stock: 1 });
+
+    const sale = await syncSale(db.client, {
+      clientSaleId: 'offline-1',
+      items: [{ variantId, quantity: 2, unitPrice: 900 }],
+      payments: [{ paymentMethodId: await paymentMethodId(db.client, 'cash'), amount: 1700 }],
+    });
+
+    expect(sale).toMatchObject({ status: 'completed', provisional_number: 'OFF-offline-1' });
+    expect(parseFloat(sale.total_amount)).toBe(1800);
+    expect(sale.sync_conflicts.map(conflict => conflict.type)).toEqual(['PRICE_CHANGED', 'PAYMENT_MISMATCH', 'STOCK_NEGATIVE']);
+    expect((await getStock(db.client, variantId)).quantity).toBe(-1);
+  });
+
+  it('records a clean sale without conflicts', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1000, stock: 1 });
+
+    const sale = await syncSale(db.client, {
+      clientSaleId: 'offline-2',
+      items: [{ variantId, quantity: 1 }],
+      payments: [{ paymentMethodId: await paymentMethodId(db.client, 'cash'), amount: 1000 }],
+    });
+
+    expect(sale.sync_conflicts).toBeNull();
+    expect(await saleService.findByClientSaleId(db.client, 'offline-2')).toMatchObject({ sale_id: sale.sale_id });
+  });
+});
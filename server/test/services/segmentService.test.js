@@ -0,0 +1,65 @@
+const { createTestDb } = require('../helpers/db');
+const { createProduct, createCustomer, createSale, USER_ID } = require('../helpers/fixtures');
+const segmentService = require('../../src/services/segmentService');
+
+describe('segmentService', () => {
+  describe('normalizeFilter', () => {
+    it('parses ids and numbers and drops empty criteria', () => {
+      expect(segmentService.normalizeFilter({
+        customerIds: ['3', 4],
+        preferredCategoryId: '2',
+        minSpend: '1500.5',
+        minVisits: '',
+        city: [' Lahore '],
+      })).toEqual({ customerIds: [3, 4], preferredCategoryId: [2], minSpend: 1500.5, city: ['Lahore'] });
+    });
+
+    it.each([
+      ['customerIds', ['3', 'abc']],
+      ['customerIds', '1.5'],
+      ['preferredCategoryId', 'shoes'],
+      ['preferredCategoryId', 0],
+    ])('rejects %s of %j', (field, value) => {
+      expect(() => segmentService.normalizeFilter({ [field]: value })).toThrow(expect.objectContaining({
+        name: 'ValidationError',
+        message: `Invalid segment filter: ${field}`,
+      }));
+    });
+
+    it('rejects an unknown segment', () => {
+      expect(() => segmentService.normalizeFilter({ segment: 'WHALES' })).toThrow('Unknown segment');
+    });
+  });
+
+  describe('findCustomers', () => {
+    let db;
+
+    beforeAll(async () => {
+      db = await createTestDb();
+    });
+    afterAll(() => db.close());
+    beforeEach(() => db.begin());
+    afterEach(() => db.rollback());
+
+    it('picks customers by id and spend, and through a saved segment', async () => {
+      const { variantId } = await createProduct(db.client, { price: 2000, stock: 5 });
+      const buyer = await createCustomer(db.client);
+      const browser = await createCustomer(db.client);
+      await createSale(db.client, { items: [{ variantId, quantity: 1 }], customerId: buyer.customer_id });
+
+      const byId = await segmentService.findCustomers(db.client, {
+        customerIds: [buyer.customer_id, browser.customer_id],
+        minSpend: 1000,
+      });
+      expect(byId.customers.map(customer => customer.customerId)).toEqual([buyer.customer_id]);
+      expect(byId.customers[0]).toMatchObject({ totalPurchases: 2000, visitCount: 1 });
+
+      const segment = await segmentService.createSegment(db.client, {
+        segmentName: 'Never bought',
+        filter: { customerIds: [buyer.customer_id, browser.customer_id], segment: 'PROSPECT' },
+      }, USER_ID);
+      const saved = await segmentService.findCustomers(db.client, { segmentId: segment.segment_id });
+      expect(saved.customers.map(customer => customer.customerId)).toEqual([browser.customer_id]);
+    });
+  });
+});
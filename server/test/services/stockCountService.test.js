@@ -0,0 +1,81 @@
+const { createTestDb } = require('../helpers/db');
+const { createProduct, createSale, getStock, LOCATION_ID, USER_ID } = require('../helpers/fixtures');
+const stockCountService = require('../../src/services/stockCountService');
+
+describe('stockCountService', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = await createTestDb();
+  });
+  afterAll(() => db.close());
+  beforeEach(() => db.begin());
+  afterEach(() => db.rollback());
+
+  const openCount = async (client) => {
+    const { stockCount } = await stockCountService.createStockCount(client, { locationId: LOCATION_ID, userId: USER_ID });
+    return stockCount;
+  };
+
+  const lineFor = (items, variantId) => items.find(item => item.variant_id === variantId);
+
+  const countAndApprove = async (client, stockCount, { sku, quantity }, { zeroUncounted = false } = {}) => {
+    await stockCountService.scanItem(client, stockCount.count_id, { code: sku, quantity, userId: USER_ID });
+    await stockCountService.submitStockCount(client, stockCount.count_id, { userId: USER_ID });
+    return stockCountService.approveStockCount(client, stockCount.count_id, { zeroUncounted, userId: USER_ID });
+  };
+
+  it('posts the counted - expected variance on approval', async () => {
+    const { variantId, sku } = await createProduct(db.client, { stock: 10 });
+    const stockCount = await openCount(db.client);
+
+    const { stockCount: approved, items } = await countAndApprove(db.client, stockCount, { sku, quantity: 8 });
+
+    expect(approved.status).toBe('APPROVED');
+    expect(lineFor(items, variantId)).toMatchObject({ expected_quantity: 10, counted_quantity: 8, variance: -2 });
+    expect((await getStock(db.client, variantId)).quantity).toBe(8);
+  });
+
+  it('does not take a sale made before the line was counted off twice', async () => {
+    const { variantId, sku } = await createProduct(db.client, { stock: 10 });
+    const stockCount = await openCount(db.client);
+
+    await createSale(db.client, { items: [{ variantId, quantity: 3 }] });
+    const { items } = await countAndApprove(db.client, stockCount, { sku, quantity: 7 });
+
+    expect(lineFor(items, variantId)).toMatchObject({ expected_quantity: 7, variance: 0 });
+    expect((await getStock(db.client, variantId)).quantity).toBe(7);
+  });
+
+  it('keeps a sale made after the line was counted', async () => {
+    const { variantId, sku } = await createProduct(db.client, { stock: 10 });
+    const stockCount = await openCount(db.client);
+
+    await stockCountService.scanItem(db.client, stockCount.count_id, { code: sku, quantity: 9, userId: USER_ID });
+    await createSale(db.client, { items: [{ variantId, quantity: 2 }] });
+    await stockCountService.submitStockCount(db.client, stockCount.count_id, { userId: USER_ID });
+    await stockCountService.approveStockCount(db.client, stockCount.count_id, { userId: USER_ID });
+
+    expect((await getStock(db.client, variantId)).quantity).toBe(7);
+  });
+
+  it('zeroes uncounted lines against the stock on hand at approval', async () => {
+    const counted = await createProduct(db.client, { stock: 1 });
+    const missing = await createProduct(db.client, { stock: 4 });
+    const stockCount = await openCount(db.client);
+
+    await createSale(db.client, { items: [{ variantId: missing.variantId, quantity: 1 }] });
+    const { items } = await countAndApprove(db.client, stockCount, { sku: counted.sku, quantity: 1 }, { zeroUncounted: true });
+
+    expect(lineFor(items, missing.variantId)).toMatchObject({ expected_quantity: 3, counted_quantity: 0 });
+    expect((await getStock(db.client, missing.variantId)).quantity).toBe(0);
+  });
+
+  it('refuses to approve a count that has not been submitted', async () => {
+    await createProduct(db.client, { stock: 1 });
+    const stockCount = await openCount(db.client);
+
+    await expect(stockCountService.approveStockCount(db.client, stockCount.count_id, { userId: USER_ID }))
+      .rejects.toMatchObject({ message: 'Cannot approve a stock count that is OPEN' });
+  });
+});
@@ -0,0 +1,95 @@
+const { createTestDb } = require('../helpers/db');
+const { createProduct, createLocation, getStock, LOCATION_ID, USER_ID } = require('../helpers/fixtures');
+const transferService = require('../../src/services/transferService');
+
+describe('transferService', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = await createTestDb();
+  });
+  afterAll(() => db.close());
+  beforeEach(() => db.begin());
+  afterEach(() => db.rollback());
+
+  // 5 units requested from HQ to a branch and dispatched in full
+  const dispatched = async (client, { variantId }) => {
+    const branch = await createLocation(client);
+    const { transfer } = await transferService.createTransfer(client, {
+      fromLocationId: LOCATION_ID,
+      toLocationId: branch.location_id,
+      items: [{ variantId, quantity: 5 }],
+      userId: USER_ID,
+    });
+    const result = await transferService.dispatchTransfer(client, transfer.transfer_id, { userId: USER_ID });
+    return { branch, ...result };
+  };
+
+  it('takes stock out of the source on dispatch and books it in on receipt', async () => {
+    const { variantId } = await createProduct(db.client, { cost: 400, stock: 8 });
+    const { branch, transfer, items } = await dispatched(db.client, { variantId });
+
+    expect(transfer.status).toBe('DISPATCHED');
+    expect(transfer.transfer_number).toBe('TRF-HQ-00001');
+    expect(items[0].quantity_dispatched).toBe(5);
+    expect((await getStock(db.client, variantId)).quantity).toBe(3);
+
+    const received = await transferService.receiveTransfer(db.client, transfer.transfer_id, { userId: USER_ID });
+
+    expect(received.transfer).toMatchObject({ status: 'RECEIVED', has_discrepancy: false });
+    expect(received.items[0].quantity_received).toBe(5);
+    expect(await getStock(db.client, variantId, branch.location_id)).toEqual({ quantity: 5, averageCost: 400 });
+  });
+
+  it('writes a short delivery off as a loss at the destination', async () => {
+    const { variantId } = await createProduct(db.client, { stock: 5 });
+    const { branch, transfer, items } = await dispatched(db.client, { variantId });
+
+    const received = await transferService.receiveTransfer(db.client, transfer.transfer_id, {
+      items: [{ transferItemId: items[0].transfer_item_id, quantity: 3, notes: 'Damaged in transit' }],
+      userId: USER_ID,
+    });
+
+    expect(received.transfer.has_discrepancy).toBe(true);
+    expect(received.items[0]).toMatchObject({ quantity_received: 3, discrepancy_notes: 'Damaged in transit' });
+    expect((await getStock(db.client, variantId, branch.location_id)).quantity).toBe(3);
+
+    const ledger = await db.client.query(
+      `SELECT transaction_type, quantity_change FROM inventory_transactions
+       WHERE variant_id = $1 AND location_id = $2 ORDER BY transaction_id`,
+      [variantId, branch.location_id]
+    );
+    expect(ledger.rows).toEqual([
+      { transaction_type: 'TRANSFER_IN', quantity_change: 5 },
+      { transaction_type: 'TRANSFER_LOSS', quantity_change: -2 },
+    ]);
+  });
+
+  it('refuses to receive more than was dispatched', async () => {
+    const { variantId } = await createProduct(db.client, { stock: 5 });
+    const { branch, transfer, items } = await dispatched(db.client, { variantId });
+
+    await expect(transferService.receiveTransfer(db.client, transfer.transfer_id, {
+      items: [{ transferItemId: items[0].transfer_item_id, quantity: 6 }],
+      userId: USER_ID,
+    })).rejects.toMatchObject({
+      message: 'Received quantity exceeds the quantity dispatched',
+      details: [expect.objectContaining({ dispatched: 5, received: 6 })],
+    });
+    expect((await getStock(db.client, variantId, branch.location_id)).quantity).toBe(0);
+  });
+
+  it('refuses to dispatch more than the source holds', async () => {
+    const { variantId } = await createProduct(db.client, { stock: 2 });
+    const branch = await createLocation(db.client);
+    const { transfer } = await transferService.createTransfer(db.client, {
+      fromLocationId: LOCATION_ID,
+      toLocationId: branch.location_id,
+      items: [{ variantId, quantity: 5 }],
+      userId: USER_ID,
+    });
+
+    await expect(transferService.dispatchTransfer(db.client, transfer.transfer_id, { userId: USER_ID }))
+      .rejects.toMatchObject({ message: 'Insufficient stock' });
+  });
+});
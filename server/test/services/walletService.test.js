@@ -0,0 +1,91 @@
+const { createTestDb } = require('../helpers/db');
+const { createProduct, createCustomer, createSale, paymentMethodId, LOCATION_ID, USER_ID } = require('../helpers/fixtures');
+const returnService = require('../../src/services/returnService');
+const saleService = require('../../src/services/saleService');
+const walletService = require('../../src/services/walletService');
+
+describe('walletService', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = await createTestDb();
+  });
+  afterAll(() => db.close());
+  beforeEach(() => db.begin());
+  afterEach(() => db.rollback());
+
+  const balanceOf = async (client, customerId) => (await walletService.getBalance(client, customerId)).balance;
+
+  const topUp = (client, customerId, amount) => walletService.credit(client, customerId, { amount, notes: 'Top-up', userId: USER_ID });
+
+  it('pays for a sale with store credit and keeps a running statement', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1000, stock: 1 });
+    const customer = await createCustomer(db.client);
+    await topUp(db.client, customer.customer_id, 1500);
+
+    const sale = await createSale(db.client, { items: [{ variantId, quantity: 1 }], customerId: customer.customer_id, methodType: 'credit' });
+
+    expect(await balanceOf(db.client, customer.customer_id)).toBe(500);
+    const { transactions } = await walletService.getStatement(db.client, customer.customer_id);
+    expect(transactions.map(row => ({
+      type: row.transaction_type,
+      amount: parseFloat(row.amount),
+      after: parseFloat(row.balance_after),
+      reference: row.reference_number,
+    }))).toEqual([
+      { type: 'SALE', amount: -1000, after: 500, reference: sale.sale_number },
+      { type: 'CREDIT', amount: 1500, after: 1500, reference: null },
+    ]);
+  });
+
+  it('refuses store credit the customer does not have, or without a customer', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1000, stock: 2 });
+    const customer = await createCustomer(db.client);
+    await topUp(db.client, customer.customer_id, 400);
+
+    await expect(createSale(db.client, { items: [{ variantId, quantity: 1 }], customerId: customer.customer_id, methodType: 'credit' }))
+      .rejects.toMatchObject({ message: 'Insufficient store credit', details: [expect.objectContaining({ required: 1000, available: 400 })] });
+    await expect(createSale(db.client, { items: [{ variantId, quantity: 1 }], methodType: 'credit' }))
+      .rejects.toMatchObject({ message: 'Paying with store credit needs a customer on the sale' });
+  });
+
+  it('spends an offline sale\'s store credit down to zero rather than refusing it', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1000, stock: 1 });
+    const customer = await createCustomer(db.client);
+    await topUp(db.client, customer.customer_id, 400);
+
+    await saleService.recordSale(db.client, {
+      saleNumber: await saleService.generateSaleNumber(db.client, LOCATION_ID),
+      locationId: LOCATION_ID,
+      userId: USER_ID,
+      customerId: customer.customer_id,
+      items: [{ variantId, quantity: 1, unitPrice: 1000 }],
+      payments: [{ paymentMethodId: await paymentMethodId(db.client, 'credit'), amount: 1000 }],
+      subtotal: 1000,
+      taxAmount: 0,
+      totalAmount: 1000,
+      enforceStock: false,
+    });
+
+    expect(await balanceOf(db.client, customer.customer_id)).toBe(0);
+  });
+
+  it('gives the store credit back when the sale is voided or returned', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1000, stock: 2 });
+    const customer = await createCustomer(db.client);
+    await topUp(db.client, customer.customer_id, 2000);
+    const voided = await createSale(db.client, { items: [{ variantId, quantity: 1 }], customerId: customer.customer_id, methodType: 'credit' });
+    const returned = await createSale(db.client, { items: [{ variantId, quantity: 1 }], customerId: customer.customer_id, methodType: 'credit' });
+    const saleItem = await db.client.query(`SELECT sale_item_id FROM sale_items WHERE sale_id = $1`, [returned.sale_id]);
+
+    await walletService.reverseSalePayment(db.client, { sale: voided, userId: USER_ID });
+    expect(await balanceOf(db.client, customer.customer_id)).toBe(1000);
+
+    await returnService.createReturn(db.client, {
+      saleId: returned.sale_id,
+      items: [{ saleItemId: saleItem.rows[0].sale_item_id, quantity: 1 }],
+      userId: USER_ID,
+    });
+    expect(await balanceOf(db.client, customer.customer_id)).toBe(2000);
+  });
+});
@@ -0,0 +1,97 @@
+const { createTestDb } = require('../helpers/db');
+const { createProduct, createSale, paymentMethodId, LOCATION_ID, USER_ID } = require('../helpers/fixtures');
+const pricingService = require('../../src/services/pricingService');
+const returnService = require('../../src/services/returnService');
+const saleService = require('../../src/services/saleService');
+const zReportService = require('../../src/services/zReportService');
+
+describe('zReportService', () => {
+  let db;
+
+  beforeAll(async () => {
+    db = await createTestDb();
+  });
+  afterAll(() => db.close());
+  beforeEach(() => db.begin());
+  afterEach(() => db.rollback());
+
+  const openShift = async (client, { openingCash = 5000 } = {}) => {
+    const result = await client.query(
+      `INSERT INTO shifts (user_id, location_id, opening_cash, status) VALUES ($1, $2, $3, 'active') RETURNING *`,
+      [USER_ID, LOCATION_ID, openingCash]
+    );
+    return result.rows[0];
+  };
+
+  // A 1000 sale paid by card with 100 off the cart
+  const discountedCardSale = async (client, { variantId, shiftId }) => {
+    const pricing = await pricingService.priceSale(client, { items: [{ variantId, quantity: 1 }], discountAmount: 100 });
+    return saleService.recordSale(client, {
+      saleNumber: await saleService.generateSaleNumber(client, LOCATION_ID),
+      locationId: LOCATION_ID,
+      shiftId,
+      userId: USER_ID,
+      items: pricing.lines,
+      payments: [{ paymentMethodId: await paymentMethodId(client, 'card'), amount: pricing.totalAmount }],
+      subtotal: pricing.subtotal,
+      taxAmount: pricing.taxAmount,
+      discountAmount: pricing.discountAmount,
+      totalAmount: pricing.totalAmount,
+    });
+  };
+
+  it('sums a shift\'s sales, discounts, refunds and tenders into the expected cash', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1000, stock: 5 });
+    const shift = await openShift(db.client);
+
+    const cashSale = await createSale(db.client, { items: [{ variantId, quantity: 2 }], shiftId: shift.shift_id });
+    await discountedCardSale(db.client, { variantId, shiftId: shift.shift_id });
+    const saleItem = await db.client.query(`SELECT sale_item_id FROM sale_items WHERE sale_id = $1`, [cashSale.sale_id]);
+    await returnService.createReturn(db.client, {
+      saleId: cashSale.sale_id,
+      items: [{ saleItemId: saleItem.rows[0].sale_item_id, quantity: 1 }],
+      shiftId: shift.shift_id,
+      userId: USER_ID,
+    });
+
+    const summary = await zReportService.buildSummary(db.client, { shiftId: shift.shift_id });
+
+    expect(summary).toMatchObject({
+      saleCount: 2,
+      grossSales: 3000,
+      discounts: 100,
+      returns: 1000,
+      netSales: 1900,
+      returnCount: 1,
+      cashTotal: 1000,
+      cardTotal: 900,
+      openingCash: 5000,
+      cashIn: 2000,
+      cashOut: 1000,
+      expectedCash: 6000,
+    });
+    expect(summary.paymentBreakdown).toEqual(expect.arrayContaining([
+      expect.objectContaining({ methodType: 'cash', sales: 2000, refunds: 1000, net: 1000 }),
+      expect.objectContaining({ methodType: 'card', sales: 900, refunds: 0, net: 900 }),
+    ]));
+  });
+
+  it('numbers a shift\'s Z-report, records the cash variance and allows only one', async () => {
+    const { variantId } = await createProduct(db.client, { price: 1000, stock: 1 });
+    const shift = await openShift(db.client);
+    await createSale(db.client, { items: [{ variantId, quantity: 1 }], shiftId: shift.shift_id });
+
+    const report = await zReportService.createZReport(db.client, {
+      shiftId: shift.shift_id,
+      actualCash: 5950,
+      varianceNotes: 'Short change',
+      userId: USER_ID,
+    });
+
+    expect(report.report_number).toBe('Z-HQ-00001');
+    expect(parseFloat(report.expected_cash)).toBe(6000);
+    expect(parseFloat(report.variance)).toBe(-50);
+    await expect(zReportService.createZReport(db.client, { shiftId: shift.shift_id, userId: USER_ID }))
+      .rejects.toMatchObject({ message: 'A Z-report has already been generated for this shift' });
+  });
+});